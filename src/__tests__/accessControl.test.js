@@ -0,0 +1,315 @@
+/**
+ * @jest-environment node
+ */
+import { SecurityModule, ROLES } from "../modules/securityModule";
+import {
+  ACTION_PERMISSIONS,
+  authorize,
+  canPerform,
+  canView,
+  enforceAccessControl,
+  guard,
+  guardMethods,
+  guardStore,
+  isGuarded,
+} from "../modules/accessControl";
+import alertEngine from "../services/alertEngine";
+import alertRuleStore from "../services/alertRuleStore";
+import onCallRoster from "../services/onCallRoster";
+import { blockchainIntegration } from "../services/BlockchainIntegration";
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import complianceModule from "../modules/complianceModule";
+import securityModule from "../modules/securityModule";
+import useDashboardStore from "../store/dashboardStore";
+
+jest.mock("../config/supabase", () => ({ supabase: null }));
+
+// Expected outcome for every role, kept explicit so a change to ROLES
+// has to be made here too
+const MATRIX = {
+  ADMIN: {
+    acknowledgeAlert: true,
+    shelveAlert: true,
+    unshelveAlert: true,
+    scheduleMaintenance: true,
+    cancelMaintenance: true,
+    saveAlertRule: true,
+    activateAlertRule: true,
+    deactivateAlertRule: true,
+    configureRule: true,
+    updateRoster: true,
+    updateThreshold: true,
+    mineBlock: true,
+    exportAuditTrail: true,
+    exportAuditLog: true,
+    exportReportData: true,
+    exportProofBundle: true,
+    exportChainArchive: true,
+    runTamperDrill: true,
+    importChainArchive: true,
+    rotateSigningKey: true,
+    revokeKey: true,
+    enrollNode: true,
+    unlockSigningKey: true,
+  },
+  QUALITY_MANAGER: {
+    acknowledgeAlert: true,
+    shelveAlert: true,
+    unshelveAlert: true,
+    scheduleMaintenance: true,
+    cancelMaintenance: true,
+    saveAlertRule: true,
+    activateAlertRule: true,
+    deactivateAlertRule: true,
+    configureRule: true,
+    updateRoster: true,
+    updateThreshold: true,
+    mineBlock: true,
+    exportAuditTrail: true,
+    exportAuditLog: true,
+    exportReportData: true,
+    exportProofBundle: true,
+    exportChainArchive: true,
+    runTamperDrill: true,
+    importChainArchive: false,
+    rotateSigningKey: false,
+    revokeKey: false,
+    enrollNode: false,
+    unlockSigningKey: false,
+  },
+  SUPERVISOR: {
+    acknowledgeAlert: true,
+    shelveAlert: true,
+    unshelveAlert: true,
+    scheduleMaintenance: false,
+    cancelMaintenance: false,
+    saveAlertRule: false,
+    activateAlertRule: false,
+    deactivateAlertRule: false,
+    configureRule: false,
+    updateRoster: false,
+    updateThreshold: true,
+    mineBlock: false,
+    exportAuditTrail: true,
+    exportAuditLog: true,
+    exportReportData: true,
+    exportProofBundle: true,
+    exportChainArchive: true,
+    runTamperDrill: false,
+    importChainArchive: false,
+    rotateSigningKey: false,
+    revokeKey: false,
+    enrollNode: false,
+    unlockSigningKey: false,
+  },
+  TECHNICIAN: {
+    acknowledgeAlert: true,
+    shelveAlert: true,
+    unshelveAlert: true,
+    scheduleMaintenance: false,
+    cancelMaintenance: false,
+    saveAlertRule: false,
+    activateAlertRule: false,
+    deactivateAlertRule: false,
+    configureRule: false,
+    updateRoster: false,
+    updateThreshold: false,
+    mineBlock: false,
+    exportAuditTrail: false,
+    exportAuditLog: false,
+    exportReportData: false,
+    exportProofBundle: false,
+    exportChainArchive: false,
+    runTamperDrill: false,
+    importChainArchive: false,
+    rotateSigningKey: false,
+    revokeKey: false,
+    enrollNode: false,
+    unlockSigningKey: false,
+  },
+  VIEWER: {
+    acknowledgeAlert: false,
+    shelveAlert: false,
+    unshelveAlert: false,
+    scheduleMaintenance: false,
+    cancelMaintenance: false,
+    saveAlertRule: false,
+    activateAlertRule: false,
+    deactivateAlertRule: false,
+    configureRule: false,
+    updateRoster: false,
+    updateThreshold: false,
+    mineBlock: false,
+    exportAuditTrail: false,
+    exportAuditLog: false,
+    exportReportData: false,
+    exportProofBundle: false,
+    exportChainArchive: false,
+    runTamperDrill: false,
+    importChainArchive: false,
+    rotateSigningKey: false,
+    revokeKey: false,
+    enrollNode: false,
+    unlockSigningKey: false,
+  },
+};
+
+const VIEW_MATRIX = {
+  ADMIN: ["dashboard", "room-detail", "compliance", "blockchain"],
+  QUALITY_MANAGER: ["dashboard", "room-detail", "compliance", "blockchain"],
+  SUPERVISOR: ["dashboard", "room-detail"],
+  TECHNICIAN: ["dashboard", "room-detail"],
+  VIEWER: ["dashboard", "room-detail"],
+};
+
+const createSession = (role) => {
+  const security = new SecurityModule();
+  security.initialize({ id: `${role.toLowerCase()}-1`, name: role, role });
+  return security;
+};
+
+describe("Access control", () => {
+  it("should cover every role", () => {
+    expect(Object.keys(MATRIX).sort()).toEqual(Object.keys(ROLES).sort());
+    Object.values(MATRIX).forEach((actions) => {
+      expect(Object.keys(actions).sort()).toEqual(
+        Object.keys(ACTION_PERMISSIONS).sort()
+      );
+    });
+  });
+
+  describe.each(Object.keys(ROLES))("as %s", (role) => {
+    let security;
+    let service;
+
+    beforeEach(() => {
+      security = createSession(role);
+      service = Object.fromEntries(
+        Object.keys(ACTION_PERMISSIONS).map((action) => [
+          action,
+          jest.fn().mockReturnValue(action),
+        ])
+      );
+      guardMethods(service, Object.keys(ACTION_PERMISSIONS), security);
+    });
+
+    it.each(Object.keys(ACTION_PERMISSIONS))(
+      "should allow or refuse %s",
+      (action) => {
+        const allowed = MATRIX[role][action];
+        const permission = ACTION_PERMISSIONS[action];
+        const call = () => {
+          try {
+            return service[action]("arg");
+          } catch (error) {
+            return error.message;
+          }
+        };
+
+        expect(canPerform(action, security)).toBe(allowed);
+        expect(call()).toBe(
+          allowed ? action : `Permission denied: ${permission} is required`
+        );
+        expect(
+          security
+            .getAuditLog({ action: "ACCESS_DENIED" })
+            .map((entry) => [entry.target, entry.details.permission])
+        ).toEqual(allowed ? [] : [[action, permission]]);
+      }
+    );
+
+    it("should only show the views the role may open", () => {
+      const views = [
+        "dashboard",
+        "room-detail",
+        "compliance",
+        "blockchain",
+      ].filter((view) => canView(view, security));
+      expect(views).toEqual(VIEW_MATRIX[role]);
+    });
+  });
+
+  it("should refuse every action without a session", () => {
+    const security = new SecurityModule();
+    Object.keys(ACTION_PERMISSIONS).forEach((action) => {
+      expect(() => authorize(action, security)).toThrow("Permission denied");
+    });
+    expect(canView("dashboard", security)).toBe(false);
+  });
+
+  it("should not run the wrapped call when refused", () => {
+    const security = createSession("VIEWER");
+    const mine = jest.fn();
+
+    expect(() => guard("mineBlock", mine, security)()).toThrow();
+    expect(mine).not.toHaveBeenCalled();
+  });
+
+  it("should keep the method's this and wrap only once", () => {
+    const security = createSession("ADMIN");
+    const service = {
+      count: 0,
+      acknowledgeAlert() {
+        this.count += 1;
+        return this.count;
+      },
+    };
+
+    guardMethods(service, ["acknowledgeAlert"], security);
+    const wrapped = service.acknowledgeAlert;
+    guardMethods(service, ["acknowledgeAlert"], security);
+
+    expect(service.acknowledgeAlert).toBe(wrapped);
+    expect(service.acknowledgeAlert()).toBe(1);
+  });
+
+  it("should refuse actions without a defined permission", () => {
+    expect(() => guard("deleteEverything", jest.fn())).toThrow(
+      "No permission is defined for action deleteEverything"
+    );
+  });
+
+  it("should guard store actions", () => {
+    const security = createSession("TECHNICIAN");
+    const updateThreshold = jest.fn();
+    let state = { updateThreshold };
+    const store = {
+      getState: () => state,
+      setState: (partial) => {
+        state = { ...state, ...partial };
+      },
+    };
+
+    guardStore(store, ["updateThreshold"], security);
+    expect(() =>
+      store.getState().updateThreshold("room-1", { tempMax: 30 })
+    ).toThrow("Permission denied: manage:thresholds is required");
+    expect(updateThreshold).not.toHaveBeenCalled();
+  });
+
+  it("should guard the app's store actions and services", () => {
+    enforceAccessControl();
+
+    const { acknowledgeAlert, updateThreshold } = useDashboardStore.getState();
+    expect(isGuarded(acknowledgeAlert)).toBe(true);
+    expect(isGuarded(updateThreshold)).toBe(true);
+    expect(isGuarded(alertEngine.acknowledgeAlert)).toBe(true);
+    expect(isGuarded(alertEngine.shelveAlert)).toBe(true);
+    expect(isGuarded(alertEngine.scheduleMaintenance)).toBe(true);
+    expect(isGuarded(alertEngine.configureRule)).toBe(true);
+    expect(isGuarded(alertRuleStore.activateAlertRule)).toBe(true);
+    expect(isGuarded(onCallRoster.updateRoster)).toBe(true);
+    expect(isGuarded(blockchainIntegration.mineBlock)).toBe(true);
+    expect(isGuarded(blockchainIntegration.exportAuditTrail)).toBe(true);
+    expect(isGuarded(blockchainIntegration.exportChainArchive)).toBe(true);
+    expect(isGuarded(pharmaBlockchain.runTamperDrill)).toBe(true);
+    expect(isGuarded(pharmaBlockchain.importChainArchive)).toBe(true);
+    expect(isGuarded(pharmaBlockchain.rotateSigningKey)).toBe(true);
+    expect(isGuarded(complianceModule.exportReportData)).toBe(true);
+    expect(isGuarded(securityModule.exportAuditLog)).toBe(true);
+
+    expect(() => blockchainIntegration.mineBlock()).toThrow(
+      "Permission denied: mine:blocks is required"
+    );
+  });
+});
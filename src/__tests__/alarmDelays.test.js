@@ -0,0 +1,258 @@
+/**
+ * @jest-environment node
+ */
+import { AlertEngine, CHANNELS, SEVERITY } from "../services/alertEngine";
+import { stepAlarm, validateAlarmSettings } from "../services/alarmDelays";
+import {
+  AlertRuleError,
+  compileAlertRule,
+  dryRunAlertRule,
+  validateAlertRule,
+} from "../services/alertRules";
+import { SecurityModule } from "../modules/securityModule";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const START = new Date("2026-01-05T10:00:00.000Z");
+
+const createRoom = (temperature) => ({
+  id: "room-1",
+  name: "Cold Room A",
+  conditions: {
+    temperature: { value: temperature, unit: "°C", min: 2, max: 8 },
+    humidity: { value: 45, unit: "%", min: 30, max: 60 },
+  },
+  thresholds: { emergency: { temperature: { min: 0, max: 10 } } },
+});
+
+describe("Alarm settings", () => {
+  it("should only accept delays in seconds or readings and a non-negative deadband", () => {
+    expect(
+      validateAlarmSettings(
+        { delayOn: { seconds: 30 }, delayOff: { readings: 2 }, deadband: 0.5 },
+        "temperature"
+      )
+    ).toEqual({
+      delayOn: { seconds: 30 },
+      delayOff: { readings: 2 },
+      deadband: 0.5,
+    });
+    expect(() => validateAlarmSettings({ delayOn: {} })).toThrow(
+      "delayOn needs seconds or readings"
+    );
+    expect(() => validateAlarmSettings({ delayOff: { minutes: 1 } })).toThrow(
+      'Unknown delayOff field "minutes"'
+    );
+    expect(() => validateAlarmSettings({ delayOn: { readings: 1.5 } })).toThrow(
+      "delayOn readings must be a whole number from 1"
+    );
+    expect(() =>
+      validateAlarmSettings({ deadband: -1 }, "temperature")
+    ).toThrow("deadband must not be negative");
+    expect(() => validateAlarmSettings({ deadband: 1 })).toThrow(
+      "A deadband needs the rule's parameter"
+    );
+  });
+
+  it("should need both parts of a delay given in seconds and readings", () => {
+    const settings = { delayOn: { seconds: 60, readings: 3 } };
+    const at = START.getTime();
+    let state = null;
+    [0, 30, 40].forEach((seconds) => {
+      state = stepAlarm(
+        state,
+        { holds: true },
+        at + seconds * SECOND,
+        settings
+      );
+    });
+    expect(state.active).toBe(false);
+    state = stepAlarm(state, { holds: true }, at + 60 * SECOND, settings);
+    expect(state).toMatchObject({ active: true, timer: null });
+  });
+});
+
+describe("Alert delays and deadband", () => {
+  let security;
+  let engine;
+
+  const active = () => engine.activeAlerts.get("room-1-temp-warning-high");
+  const evaluateAfter = (ms, temperature) => {
+    jest.advanceTimersByTime(ms);
+    engine.evaluateRoom(createRoom(temperature));
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(START);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    security = new SecurityModule();
+    security.initialize({
+      id: "qa-1",
+      name: "Quinn QA",
+      role: "QUALITY_MANAGER",
+    });
+    engine = new AlertEngine({ security });
+  });
+
+  afterEach(() => {
+    engine.clearAllAlerts();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("should raise and clear on the first reading without settings", () => {
+    evaluateAfter(0, 9);
+    expect(active()).toMatchObject({ severity: SEVERITY.WARNING, flaps: 0 });
+    evaluateAfter(30 * SECOND, 7);
+    expect(active()).toBeUndefined();
+  });
+
+  it("should raise once the condition has held for the delay-on time", () => {
+    engine.configureRule("temp-warning-high", { delayOn: { seconds: 60 } });
+
+    evaluateAfter(0, 9);
+    evaluateAfter(30 * SECOND, 9);
+    expect(active()).toBeUndefined();
+    // A good reading restarts the delay
+    evaluateAfter(15 * SECOND, 7);
+    evaluateAfter(15 * SECOND, 9);
+    evaluateAfter(45 * SECOND, 9);
+    expect(active()).toBeUndefined();
+    evaluateAfter(15 * SECOND, 9);
+    expect(active().firstSeen).toBe(
+      new Date(START.getTime() + 2 * MINUTE).toISOString()
+    );
+  });
+
+  it("should raise once the condition has held for the delay-on readings", () => {
+    engine.configureRule("temp-warning-high", { delayOn: { readings: 3 } });
+
+    evaluateAfter(0, 9);
+    evaluateAfter(SECOND, 9);
+    expect(active()).toBeUndefined();
+    evaluateAfter(SECOND, 9);
+    expect(active()).toBeDefined();
+  });
+
+  it("should hold an alert until the reading moves back past the deadband", () => {
+    engine.configureRule("temp-warning-high", { deadband: 0.5 });
+
+    evaluateAfter(0, 8.4);
+    evaluateAfter(30 * SECOND, 7.8);
+    expect(active()).toBeDefined();
+    evaluateAfter(30 * SECOND, 8.2);
+    expect(active().flaps).toBe(1);
+    evaluateAfter(30 * SECOND, 7.4);
+    expect(active()).toBeUndefined();
+
+    // The deadband only applies once the alert is raised
+    evaluateAfter(30 * SECOND, 7.8);
+    expect(active()).toBeUndefined();
+  });
+
+  it("should count flaps while the delay-off holds the alert", () => {
+    engine.configureRule("temp-warning-high", { delayOff: { readings: 2 } });
+
+    evaluateAfter(0, 9);
+    evaluateAfter(30 * SECOND, 7);
+    evaluateAfter(30 * SECOND, 9);
+    evaluateAfter(30 * SECOND, 7);
+    evaluateAfter(30 * SECOND, 9.5);
+    expect(active()).toMatchObject({ flaps: 2, occurrences: 3 });
+
+    evaluateAfter(30 * SECOND, 7);
+    expect(active()).toBeDefined();
+    evaluateAfter(30 * SECOND, 7);
+    expect(active()).toBeUndefined();
+    expect(
+      engine
+        .getAlertHistory()
+        .find((entry) => entry.type === "resolved" && entry.flaps === 2)
+    ).toBeDefined();
+  });
+
+  it("should audit rule settings and leave custom rules to their definition", () => {
+    engine.configureRule("temp-warning-high", { deadband: 0.5 });
+    jest.advanceTimersByTime(SECOND);
+    engine.configureRule("temp-warning-high", { delayOn: { seconds: 30 } });
+
+    expect(
+      security
+        .getAuditLog({ action: "ALERT_RULE_CONFIGURED" })
+        .map((entry) => entry.details)
+    ).toEqual([
+      expect.objectContaining({
+        delayOn: { seconds: 30 },
+        previous: expect.objectContaining({ deadband: 0.5 }),
+      }),
+      expect.objectContaining({ deadband: 0.5 }),
+    ]);
+    expect(() =>
+      engine.configureRule("stability-warning", { deadband: 0.1 })
+    ).toThrow("A deadband needs the rule's parameter");
+    expect(() => engine.configureRule("no-such-rule", {})).toThrow(
+      "Unknown alert rule: no-such-rule"
+    );
+
+    engine.setRule(
+      compileAlertRule({
+        id: "temp-high",
+        name: "Temperature high",
+        condition: "temperature > 8",
+        severity: SEVERITY.WARNING,
+        message: "Temperature {temperature}°C",
+        channels: [CHANNELS.UI],
+      })
+    );
+    expect(() =>
+      engine.configureRule("temp-high", { delayOn: { readings: 2 } })
+    ).toThrow("temp-high is a custom rule; save a new version of it");
+  });
+});
+
+describe("Custom rule delays", () => {
+  const definition = (overrides = {}) => ({
+    id: "temp-high",
+    name: "Temperature high",
+    parameter: "temperature",
+    condition: "temperature > 8",
+    severity: SEVERITY.WARNING,
+    message: "Temperature {temperature}°C",
+    channels: [CHANNELS.UI],
+    ...overrides,
+  });
+
+  const readings = (temperatures) =>
+    temperatures.map((temperature, index) => ({
+      temperature,
+      timestamp: new Date(START.getTime() + index * MINUTE).toISOString(),
+    }));
+
+  it("should validate delays and deadband in the definition", () => {
+    expect(() =>
+      validateAlertRule(definition({ delayOn: { seconds: -5 } }))
+    ).toThrow(AlertRuleError);
+    expect(() =>
+      validateAlertRule(definition({ parameter: undefined, deadband: 0.5 }))
+    ).toThrow("A deadband needs the rule's parameter");
+  });
+
+  it("should apply them when dry running", () => {
+    const result = dryRunAlertRule(
+      definition({ delayOn: { readings: 2 }, deadband: 0.5 }),
+      readings([9, 7, 9, 9, 7.8, 8.2, 7.8, 7, 9])
+    );
+
+    expect(result.matched).toBe(5);
+    expect(result.alerts).toEqual([
+      {
+        from: new Date(START.getTime() + 3 * MINUTE).toISOString(),
+        to: new Date(START.getTime() + 6 * MINUTE).toISOString(),
+        readings: 4,
+        flaps: 1,
+        message: "Temperature 9°C",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * @jest-environment node
+ */
+import { AlertEngine, CHANNELS, SEVERITY } from "../services/alertEngine";
+import {
+  AlertRuleError,
+  compileAlertRule,
+  createRuleContext,
+  dryRunAlertRule,
+  evaluateExpression,
+  parseExpression,
+  validateAlertRule,
+} from "../services/alertRules";
+import {
+  AlertRuleStore,
+  createMemoryRuleStorage,
+} from "../services/alertRuleStore";
+import { SecurityModule } from "../modules/securityModule";
+
+jest.mock("../config/supabase", () => ({ supabase: null }));
+
+const MINUTE = 60 * 1000;
+const START = new Date("2026-01-05T10:00:00.000Z").getTime();
+
+const risingRule = (overrides = {}) => ({
+  id: "temp-rising-fast",
+  name: "Temperature rising fast",
+  parameter: "temperature",
+  condition: "temperature > 6 and rate(temperature, 15) > 0.2",
+  severity: SEVERITY.WARNING,
+  message: "Temperature {temperature}°C rising {rate(temperature, 15)}°C/min",
+  actions: ["check-door"],
+  channels: [CHANNELS.UI],
+  ...overrides,
+});
+
+// One reading a minute from START
+const readings = (temperatures) =>
+  temperatures.map((temperature, index) => ({
+    roomId: "room-1",
+    temperature,
+    humidity: 45,
+    timestamp: new Date(START + index * MINUTE).toISOString(),
+  }));
+
+const createRoom = (temperature, history = []) => ({
+  id: "room-1",
+  name: "Cold Room A",
+  conditions: {
+    temperature: { value: temperature, unit: "°C", min: 2, max: 8 },
+    humidity: { value: 45, unit: "%", min: 30, max: 60 },
+  },
+  history,
+});
+
+const evaluate = (source, room, at) =>
+  evaluateExpression(parseExpression(source), createRuleContext(room, at));
+
+describe("Alert rule expressions", () => {
+  it("should report syntax and type errors with their position", () => {
+    expect(() => parseExpression("temperature >")).toThrow(/at position 14/);
+    expect(() => parseExpression("voltage > 3")).toThrow(AlertRuleError);
+    expect(() => parseExpression("avg(temperature)")).toThrow(AlertRuleError);
+    expect(() =>
+      validateAlertRule(risingRule({ condition: "temperature + 1" }))
+    ).toThrow(AlertRuleError);
+  });
+
+  it("should read current conditions and limits", () => {
+    const room = createRoom(9);
+    expect(evaluate("temperature > temperature.max", room)).toBe(true);
+    expect(evaluate("temperature - temperature.max", room)).toBe(1);
+    expect(
+      evaluate("not (humidity < humidity.min or humidity > humidity.max)", room)
+    ).toBe(true);
+  });
+
+  it("should work out window functions over the room's history", () => {
+    const history = readings([4, 5, 6, 7]);
+    const at = START + 3 * MINUTE;
+    const room = createRoom(7, history);
+    expect(evaluate("avg(temperature, 10)", room, at)).toBe(5.5);
+    expect(evaluate("min(temperature, 10)", room, at)).toBe(4);
+    expect(evaluate("delta(temperature, 10)", room, at)).toBe(3);
+    expect(evaluate("rate(temperature, 10)", room, at)).toBe(1);
+    // Only the last two readings fall in a 90 second window
+    expect(evaluate("min(temperature, 1.5)", room, at)).toBe(6);
+  });
+
+  it("should treat comparisons against missing values as false", () => {
+    const room = createRoom(9);
+    expect(evaluate("avg(temperature, 10) > 0", room)).toBe(false);
+    expect(evaluate("avg(temperature, 10) <= 0", room)).toBe(false);
+    expect(evaluate("pressure > 0", room)).toBe(false);
+  });
+});
+
+describe("Custom alert rules in the engine", () => {
+  let engine;
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    engine = new AlertEngine();
+  });
+
+  afterEach(() => {
+    engine.clearAllAlerts();
+    jest.restoreAllMocks();
+  });
+
+  it("should raise and clear alerts from a compiled rule", () => {
+    engine.setRule(compileAlertRule(risingRule()));
+    const now = Date.now();
+    const history = [0, 1, 2, 3].map((minutes) => ({
+      timestamp: new Date(now - (3 - minutes) * MINUTE).toISOString(),
+      temperature: 5.5 + minutes * 0.5,
+    }));
+
+    const [alert] = engine
+      .evaluateRoom(createRoom(7, history))
+      .filter((a) => a.ruleId === "temp-rising-fast");
+    expect(alert.message).toBe("Temperature 7°C rising 0.5°C/min");
+    expect(alert.severity).toBe(SEVERITY.WARNING);
+
+    engine.evaluateRoom(createRoom(5, []));
+    expect(
+      engine.getActiveAlerts().filter((a) => a.ruleId === "temp-rising-fast")
+    ).toHaveLength(0);
+  });
+
+  it("should not let a custom rule replace a built-in one", () => {
+    expect(() =>
+      engine.setRule(
+        compileAlertRule(risingRule({ id: "temp-emergency-high" }))
+      )
+    ).toThrow("temp-emergency-high is a built-in rule");
+    expect(engine.removeRule("temp-emergency-high")).toBe(false);
+  });
+});
+
+describe("Alert rule dry runs", () => {
+  it("should replay recorded readings into alert periods", () => {
+    const result = dryRunAlertRule(
+      risingRule({
+        condition: "temperature > 6 and rate(temperature, 2) > 0.2",
+        message:
+          "Temperature {temperature}°C rising {rate(temperature, 2)}°C/min",
+      }),
+      readings([5, 5, 6.5, 7, 7.5, 7.5, 7.5, 7, 7.5, 8]),
+      createRoom(5)
+    );
+
+    expect(result.evaluated).toBe(10);
+    expect(result.matched).toBe(5);
+    expect(result.errors).toBe(0);
+    expect(result.from).toBe(new Date(START).toISOString());
+    expect(result.alerts).toEqual([
+      {
+        from: new Date(START + 2 * MINUTE).toISOString(),
+        to: new Date(START + 4 * MINUTE).toISOString(),
+        readings: 3,
+        flaps: 0,
+        message: "Temperature 6.5°C rising 1.5°C/min",
+      },
+      {
+        from: new Date(START + 8 * MINUTE).toISOString(),
+        to: new Date(START + 9 * MINUTE).toISOString(),
+        readings: 2,
+        flaps: 0,
+        message: "Temperature 7.5°C rising 0.5°C/min",
+        ongoing: true,
+      },
+    ]);
+  });
+
+  it("should mark an alert still firing at the last reading as ongoing", () => {
+    const result = dryRunAlertRule(
+      risingRule({ condition: "temperature > 7" }),
+      readings([6, 8, 9])
+    );
+    expect(result.alerts).toHaveLength(1);
+    expect(result.alerts[0]).toMatchObject({ readings: 2, ongoing: true });
+  });
+});
+
+describe("Alert rule store", () => {
+  let security;
+  let engine;
+  let store;
+
+  const audited = (action) =>
+    security.getAuditLog({ action }).map((entry) => entry.details);
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    security = new SecurityModule();
+    security.initialize({
+      id: "qa-1",
+      name: "Quinn QA",
+      role: "QUALITY_MANAGER",
+    });
+    engine = new AlertEngine({ security });
+    store = new AlertRuleStore({
+      storage: createMemoryRuleStorage(),
+      engine,
+      security,
+    });
+  });
+
+  afterEach(() => {
+    engine.clearAllAlerts();
+    jest.restoreAllMocks();
+  });
+
+  it("should version definitions and keep an unchanged one as it is", async () => {
+    const first = await store.saveAlertRule(risingRule());
+    const again = await store.saveAlertRule(risingRule());
+    const second = await store.saveAlertRule(
+      risingRule({ condition: "temperature > 7" })
+    );
+
+    expect(again).toBe(first);
+    expect(store.getVersions("temp-rising-fast").map((v) => v.version)).toEqual(
+      [1, 2]
+    );
+    expect(second.savedBy).toBe("qa-1");
+    expect(second.hash).not.toBe(first.hash);
+    expect(audited("ALERT_RULE_SAVED")).toHaveLength(2);
+  });
+
+  it("should refuse invalid definitions and built-in rule ids", async () => {
+    await expect(
+      store.saveAlertRule(risingRule({ channels: ["pager"] }))
+    ).rejects.toThrow(AlertRuleError);
+    await expect(
+      store.saveAlertRule(risingRule({ id: "temp-emergency-high" }))
+    ).rejects.toThrow("temp-emergency-high is a built-in rule");
+  });
+
+  it("should only activate a version after a dry run over recorded readings", async () => {
+    const version = await store.saveAlertRule(risingRule());
+    await expect(
+      store.activateAlertRule("temp-rising-fast", 1)
+    ).rejects.toThrow(/Dry run version 1/);
+
+    await store.recordDryRun(
+      "temp-rising-fast",
+      1,
+      dryRunAlertRule(version.definition, [])
+    );
+    await expect(
+      store.activateAlertRule("temp-rising-fast", 1)
+    ).rejects.toThrow(/no recorded readings/);
+
+    await store.recordDryRun(
+      "temp-rising-fast",
+      1,
+      dryRunAlertRule(version.definition, readings([5, 7, 8]))
+    );
+    await store.activateAlertRule("temp-rising-fast", 1);
+
+    const rule = engine.rules.find((r) => r.id === "temp-rising-fast");
+    expect(rule).toMatchObject({
+      version: 1,
+      hash: version.hash,
+      custom: true,
+    });
+    expect(audited("ALERT_RULE_ACTIVATED")).toEqual([
+      expect.objectContaining({ version: 1, previousVersion: null }),
+    ]);
+  });
+
+  it("should reactivate stored rules on load and deactivate them", async () => {
+    const storage = createMemoryRuleStorage();
+    store = new AlertRuleStore({ storage, engine, security });
+    const version = await store.saveAlertRule(risingRule());
+    await store.recordDryRun(
+      "temp-rising-fast",
+      1,
+      dryRunAlertRule(version.definition, readings([5, 7]))
+    );
+    await store.activateAlertRule("temp-rising-fast", 1);
+
+    const otherEngine = new AlertEngine({ security });
+    const reloaded = new AlertRuleStore({
+      storage,
+      engine: otherEngine,
+      security,
+    });
+    expect(await reloaded.load()).toEqual([
+      expect.objectContaining({ id: "temp-rising-fast", activeVersion: 1 }),
+    ]);
+    expect(otherEngine.rules.some((r) => r.id === "temp-rising-fast")).toBe(
+      true
+    );
+
+    expect(await reloaded.deactivateAlertRule("temp-rising-fast")).toBe(true);
+    expect(otherEngine.rules.some((r) => r.id === "temp-rising-fast")).toBe(
+      false
+    );
+    expect(reloaded.getVersions("temp-rising-fast")).toHaveLength(1);
+    expect(audited("ALERT_RULE_DEACTIVATED")).toEqual([
+      expect.objectContaining({ version: 1 }),
+    ]);
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * @jest-environment node
+ */
+import {
+  AlertEngine,
+  CHANNELS,
+  ESCALATION_EVENTS,
+  SEVERITY,
+} from "../services/alertEngine";
+import {
+  MaintenanceSchedule,
+  MAINTENANCE_ACTIONS,
+  createMemoryMaintenanceStorage,
+} from "../services/maintenanceWindows";
+import { OnCallRoster } from "../services/onCallRoster";
+import { SecurityModule } from "../modules/securityModule";
+import {
+  NotificationDispatcher,
+  createLocalAdapter,
+  formatNotification,
+} from "../services/notifications";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = new Date("2026-01-05T10:00:00.000Z");
+
+const createRoom = (temperature, humidity = 50) => ({
+  id: "room-1",
+  name: "Cold Room A",
+  conditions: {
+    temperature: { value: temperature, unit: "°C", min: 2, max: 8 },
+    humidity: { value: humidity, unit: "%", min: 30, max: 60 },
+  },
+  thresholds: { emergency: { temperature: { min: 0, max: 10 } } },
+});
+
+const defrost = (overrides = {}) => ({
+  roomId: "room-1",
+  parameters: ["temperature"],
+  from: START,
+  to: new Date(START.getTime() + HOUR),
+  reason: "Scheduled defrost",
+  ...overrides,
+});
+
+const ruleIds = (alerts) => alerts.map((alert) => alert.ruleId);
+
+describe("Maintenance schedule", () => {
+  it("should only accept windows with a room, a reason and an end after the start", () => {
+    const schedule = new MaintenanceSchedule();
+    expect(() => schedule.addWindow(defrost({ roomId: undefined }))).toThrow(
+      "A maintenance window needs a room"
+    );
+    expect(() => schedule.addWindow(defrost({ reason: " " }))).toThrow(
+      "A maintenance window needs a reason"
+    );
+    expect(() => schedule.addWindow(defrost({ to: START }))).toThrow(
+      "A maintenance window must end after it starts"
+    );
+    expect(() => schedule.addWindow(defrost({ action: "ignore" }))).toThrow(
+      "Unknown maintenance action: ignore"
+    );
+  });
+
+  it("should match windows by room, parameter, rule and time", () => {
+    const schedule = new MaintenanceSchedule([
+      defrost({ id: "defrost" }),
+      defrost({
+        id: "calibration",
+        parameters: [],
+        ruleIds: ["humidity-warning"],
+        action: MAINTENANCE_ACTIONS.DOWNGRADE,
+        reason: "Probe calibration",
+      }),
+    ]);
+    const during = new Date(START.getTime() + 30 * MINUTE);
+    const temperatureRule = {
+      id: "temp-emergency-high",
+      parameter: "temperature",
+    };
+    const find = (roomId, rule, at = during) =>
+      schedule.findWindow(roomId, rule, at)?.id || null;
+
+    expect(find("room-1", temperatureRule)).toBe("defrost");
+    expect(find("room-2", temperatureRule)).toBeNull();
+    expect(
+      find("room-1", { id: "humidity-warning", parameter: "humidity" })
+    ).toBe("calibration");
+    expect(
+      find("room-1", { id: "humidity-emergency", parameter: "humidity" })
+    ).toBeNull();
+    expect(
+      find("room-1", temperatureRule, new Date(START.getTime() + HOUR))
+    ).toBeNull();
+    expect(
+      schedule.getWindows({ at: new Date(START.getTime() + HOUR) })
+    ).toEqual([]);
+  });
+
+  it("should keep the windows that have not ended across a reload", async () => {
+    const storage = createMemoryMaintenanceStorage();
+    const schedule = new MaintenanceSchedule([], { storage });
+    const now = Date.now();
+    const upcoming = schedule.addWindow(
+      defrost({ from: new Date(now + HOUR), to: new Date(now + 2 * HOUR) })
+    );
+    schedule.addWindow(
+      defrost({ from: new Date(now - 2 * HOUR), to: new Date(now - HOUR) })
+    );
+    const cancelled = schedule.addWindow(
+      defrost({ from: new Date(now), to: new Date(now + HOUR) })
+    );
+    schedule.removeWindow(cancelled.id);
+    await schedule.persist();
+
+    const restored = new MaintenanceSchedule([], { storage });
+    expect(await restored.restore()).toEqual([upcoming]);
+  });
+
+  it("should prefer suppressing where windows overlap", () => {
+    const schedule = new MaintenanceSchedule([
+      defrost({ id: "loading", action: MAINTENANCE_ACTIONS.DOWNGRADE }),
+      defrost({ id: "defrost", parameters: [] }),
+    ]);
+    expect(
+      schedule.findWindow("room-1", { id: "temp-emergency-high" }, START).id
+    ).toBe("defrost");
+  });
+});
+
+describe("Alert suppression", () => {
+  let security;
+  let engine;
+  let events;
+
+  const audited = (action) =>
+    security.getAuditLog({ action }).map((entry) => entry.details);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(START);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    security = new SecurityModule();
+    security.initialize({
+      id: "qa-1",
+      name: "Quinn QA",
+      role: "QUALITY_MANAGER",
+    });
+    engine = new AlertEngine({
+      security,
+      maintenance: new MaintenanceSchedule(),
+      roster: new OnCallRoster({
+        members: [
+          { id: "tech", name: "Dana Day", role: "TECHNICIAN" },
+          { id: "sup", name: "Sam Supervisor", role: "SUPERVISOR" },
+        ],
+        shifts: [{ memberId: "tech" }, { memberId: "sup" }],
+      }),
+    });
+    events = [];
+    engine.subscribe(({ type, alert }) => events.push([type, alert.ruleId]));
+  });
+
+  afterEach(() => {
+    engine.clearAllAlerts();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("should suppress covered rules and audit it once per window", () => {
+    const window = engine.scheduleMaintenance(defrost());
+
+    expect(ruleIds(engine.evaluateRoom(createRoom(12, 90)))).toEqual([
+      "humidity-emergency",
+      "humidity-warning",
+    ]);
+    engine.evaluateRoom(createRoom(12, 90));
+
+    expect(
+      engine.getAlertsForRoom("room-1").map((a) => a.ruleId)
+    ).not.toContain("temp-emergency-high");
+    expect(audited("MAINTENANCE_WINDOW_SCHEDULED")).toEqual([
+      expect.objectContaining({ id: window.id, reason: "Scheduled defrost" }),
+    ]);
+    expect(audited("ALERT_SUPPRESSED")).toEqual([
+      expect.objectContaining({
+        ruleId: "temp-emergency-high",
+        severity: SEVERITY.CRITICAL,
+        windowId: window.id,
+        reason: "Scheduled defrost",
+      }),
+    ]);
+    expect(
+      engine
+        .getAlertHistory()
+        .filter((entry) => entry.type === "suppressed")
+        .map((entry) => [entry.ruleId, entry.maintenance.windowId])
+    ).toEqual([["temp-emergency-high", window.id]]);
+  });
+
+  it("should raise alerts normally once the window ends or is cancelled", () => {
+    const window = engine.scheduleMaintenance(defrost());
+    engine.evaluateRoom(createRoom(12));
+
+    expect(engine.cancelMaintenance(window.id)).toBe(true);
+    expect(engine.cancelMaintenance(window.id)).toBe(false);
+    expect(ruleIds(engine.evaluateRoom(createRoom(12)))).toEqual([
+      "temp-emergency-high",
+    ]);
+    expect(audited("MAINTENANCE_WINDOW_CANCELLED")).toHaveLength(1);
+  });
+
+  it("should downgrade covered alerts to the UI without escalation", () => {
+    const window = engine.scheduleMaintenance(
+      defrost({
+        action: MAINTENANCE_ACTIONS.DOWNGRADE,
+        reason: "Door-open loading",
+      })
+    );
+
+    const [alert] = engine.evaluateRoom(createRoom(12));
+    expect(alert).toMatchObject({
+      ruleId: "temp-emergency-high",
+      severity: SEVERITY.WARNING,
+      originalSeverity: SEVERITY.CRITICAL,
+      channels: [CHANNELS.UI],
+      maintenance: { windowId: window.id, reason: "Door-open loading" },
+    });
+    expect(engine.getActiveAlerts()[0].escalation).toBeUndefined();
+    expect(audited("ALERT_DOWNGRADED")).toHaveLength(1);
+  });
+
+  it("should shelve an alert for a fixed time and then raise it again", () => {
+    const [raised] = engine.evaluateRoom(createRoom(12));
+    const alert = engine.getActiveAlerts()[0];
+
+    expect(() =>
+      engine.shelveAlert(raised.id, "tech", { duration: HOUR })
+    ).toThrow("Shelving an alert requires a reason");
+    expect(() =>
+      engine.shelveAlert(raised.id, "tech", { duration: 9 * HOUR, reason: "x" })
+    ).toThrow("An alert can be shelved for up to 8 hours");
+
+    engine.shelveAlert(raised.id, "tech", {
+      duration: HOUR,
+      reason: "Compressor swap in progress",
+    });
+    expect(alert.shelved).toMatchObject({
+      by: "tech",
+      until: new Date(START.getTime() + HOUR).toISOString(),
+    });
+
+    // No escalation while shelved
+    jest.advanceTimersByTime(30 * MINUTE);
+    expect(events.map(([type]) => type)).toEqual(["new", "shelved"]);
+
+    jest.advanceTimersByTime(30 * MINUTE);
+    expect(alert.shelved).toBeNull();
+    expect(events.map(([type]) => type)).toEqual([
+      "new",
+      "shelved",
+      "unshelved",
+    ]);
+    // Escalation starts over from the technician
+    expect(alert.escalation.current.role).toBe("TECHNICIAN");
+    jest.advanceTimersByTime(5 * MINUTE);
+    expect(alert.escalation.timeline.map((entry) => entry.type)).toEqual([
+      ESCALATION_EVENTS.NOTIFIED,
+      ESCALATION_EVENTS.SHELVED,
+      ESCALATION_EVENTS.UNSHELVED,
+      ESCALATION_EVENTS.NOTIFIED,
+      ESCALATION_EVENTS.NOTIFIED,
+    ]);
+    expect(alert.escalation.current.role).toBe("SUPERVISOR");
+
+    expect(audited("ALERT_SHELVED")).toEqual([
+      expect.objectContaining({
+        by: "tech",
+        reason: "Compressor swap in progress",
+      }),
+    ]);
+    expect(audited("ALERT_UNSHELVED")).toEqual([
+      expect.objectContaining({ by: "system", expired: true }),
+    ]);
+  });
+
+  it("should keep an acknowledged alert off once unshelving is due", () => {
+    const [raised] = engine.evaluateRoom(createRoom(12));
+    engine.shelveAlert(raised.id, "tech", {
+      duration: HOUR,
+      reason: "Defrost",
+    });
+    engine.acknowledgeAlert(raised.id, "sup");
+    jest.advanceTimersByTime(HOUR);
+
+    expect(events.map(([type]) => type)).toEqual([
+      "new",
+      "shelved",
+      "acknowledged",
+    ]);
+    expect(engine.unshelveAlert(raised.id, "sup")).toBe(false);
+  });
+
+  it("should let an operator unshelve early", () => {
+    const [raised] = engine.evaluateRoom(createRoom(12));
+    engine.shelveAlert(raised.id, "tech", {
+      duration: HOUR,
+      reason: "Defrost",
+    });
+
+    expect(engine.unshelveAlert(raised.id, "sup")).toBe(true);
+    // The expired shelf does not raise it a second time
+    jest.advanceTimersByTime(HOUR);
+    expect(events.map(([type]) => type)).toEqual([
+      "new",
+      "shelved",
+      "unshelved",
+      "escalated",
+    ]);
+    expect(audited("ALERT_UNSHELVED")).toEqual([
+      expect.objectContaining({ by: "sup", expired: false }),
+    ]);
+  });
+});
+
+describe("Shelved alert notifications", () => {
+  const alert = {
+    id: "room-1-temp-emergency-high-1",
+    roomName: "Cold Room A",
+    severity: SEVERITY.CRITICAL,
+    message: "EMERGENCY: Temperature at 12°C exceeds emergency threshold",
+    channels: [CHANNELS.UI, CHANNELS.SMS, CHANNELS.ALARM],
+  };
+
+  it("should switch the alarm off when shelved and page again when unshelved", async () => {
+    const sms = createLocalAdapter(CHANNELS.SMS);
+    const alarm = createLocalAdapter(CHANNELS.ALARM);
+    const dispatcher = new NotificationDispatcher({
+      adapters: [sms, alarm],
+      recipients: {
+        [CHANNELS.SMS]: ["+441234000001"],
+        [CHANNELS.ALARM]: ["beacon-1"],
+      },
+    });
+
+    await dispatcher.dispatch(alert, "shelved");
+    await dispatcher.dispatch(alert, "unshelved");
+
+    expect(sms.sent.map((n) => n.event)).toEqual(["unshelved"]);
+    expect(alarm.sent.map((n) => n.event)).toEqual(["shelved", "unshelved"]);
+    expect(formatNotification(alert, "unshelved").subject).toMatch(
+      /^UNSHELVED \[CRITICAL\]/
+    );
+  });
+});
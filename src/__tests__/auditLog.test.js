@@ -0,0 +1,304 @@
+/**
+ * @jest-environment node
+ */
+import { SecurityModule, AuditLogEntry } from "../modules/securityModule";
+import {
+  createMemoryAuditStore,
+  initializeAuditLog,
+  matchesFilters,
+  queryAuditLog,
+  syncAuditStore,
+} from "../services/auditLogStore";
+
+jest.mock("../config/supabase", () => ({ supabase: null }));
+
+const signIn = (security, id = "qa-1", role = "QUALITY_MANAGER") =>
+  security.initialize({ id, name: `User ${id}`, role });
+
+// Supabase stand-ins recording what was uploaded
+const createServer = () => {
+  const rows = [];
+  return {
+    rows,
+    upload: jest.fn(async (chainId, entries, chainKey) => {
+      rows.push(...entries.map((entry) => ({ ...entry, chainId, chainKey })));
+      return { success: true };
+    }),
+  };
+};
+
+const refused = async () => ({
+  success: false,
+  permissionDenied: true,
+  error: { code: "42501" },
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Persistent audit log", () => {
+  it("should restore the chain in a new session and keep extending it", async () => {
+    const store = createMemoryAuditStore();
+    const first = new SecurityModule();
+    await first.loadAuditLog(store);
+    signIn(first);
+    first.logAudit("AUDIT_EXPORT", "system", { format: "json" });
+    await first.flushAuditLog();
+
+    const second = new SecurityModule();
+    const integrity = await second.loadAuditLog(store);
+    expect(integrity.isValid).toBe(true);
+    expect(second.auditLog.map((entry) => entry.id)).toEqual(
+      first.auditLog.map((entry) => entry.id)
+    );
+
+    signIn(second, "tech-1", "TECHNICIAN");
+    await second.flushAuditLog();
+    const records = await store.loadRecent(100);
+    expect(records.map((record) => record.action)).toEqual([
+      "SESSION_START",
+      "AUDIT_EXPORT",
+      "SESSION_START",
+    ]);
+    expect(records[2].previousHash).toBe(records[1].hash);
+  });
+
+  it("should chain entries logged before the store was loaded", async () => {
+    const store = createMemoryAuditStore();
+    const earlier = new SecurityModule();
+    await earlier.loadAuditLog(store);
+    earlier.logAudit("USER_CREATED", "admin", { role: "ADMIN" });
+    await earlier.flushAuditLog();
+
+    const security = new SecurityModule();
+    signIn(security);
+    await security.loadAuditLog(store);
+    await security.flushAuditLog();
+
+    const records = await store.loadRecent(100);
+    expect(records.map((record) => record.action)).toEqual([
+      "USER_CREATED",
+      "SESSION_START",
+    ]);
+    expect(records[1].previousHash).toBe(records[0].hash);
+    expect((await security.verifyAuditLogIntegrity()).isValid).toBe(true);
+  });
+
+  it("should detect edited, reordered and removed entries at startup", async () => {
+    const store = createMemoryAuditStore();
+    const security = new SecurityModule();
+    await security.loadAuditLog(store);
+    signIn(security);
+    security.logAudit("AUDIT_EXPORT", "system", { format: "csv" });
+    security.logout("user_initiated");
+    await security.flushAuditLog();
+
+    const records = await store.loadRecent(100);
+    const tampered = createMemoryAuditStore();
+    tampered.loadRecent = async () => [
+      records[0],
+      { ...records[1], details: { ...records[1].details, format: "pdf" } },
+    ];
+    const edited = await new SecurityModule().loadAuditLog(tampered);
+    expect(edited.isValid).toBe(false);
+    expect(edited.invalidEntries).toEqual([
+      expect.objectContaining({ id: records[1].id, reason: "Hash mismatch" }),
+    ]);
+
+    tampered.loadRecent = async () => [records[0], records[2]];
+    const removed = new SecurityModule();
+    const gap = await removed.loadAuditLog(tampered);
+    expect(gap.invalidEntries).toEqual([
+      expect.objectContaining({ id: records[2].id }),
+    ]);
+    expect(removed.getAuditLog({ action: "AUDIT_INTEGRITY_FAILURE" })).toEqual([
+      expect.objectContaining({ target: "audit-log" }),
+    ]);
+  });
+
+  it("should verify entries whose details come back with keys reordered", async () => {
+    const entry = await AuditLogEntry.create({
+      action: "ELECTRONIC_SIGNATURE",
+      userId: "qa-1",
+      userName: "Quinn",
+      target: "DEV-1",
+      details: {
+        meaning: "Approved",
+        recordType: "deviation",
+        nested: { b: 1, a: 2 },
+      },
+    });
+    const reordered = AuditLogEntry.fromRecord({
+      ...entry,
+      details: {
+        nested: { a: 2, b: 1 },
+        recordType: "deviation",
+        meaning: "Approved",
+      },
+    });
+    expect(await reordered.calculateHash()).toBe(entry.hash);
+    expect(entry.hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe("Audit log upload", () => {
+  it("should upload unsynced entries in chain order and only once", async () => {
+    const store = createMemoryAuditStore();
+    const security = new SecurityModule();
+    await security.loadAuditLog(store);
+    for (let i = 0; i < 5; i++) {
+      security.logAudit("AUDIT_EXPORT", "system", { format: `f${i}` });
+    }
+    await security.flushAuditLog();
+    const server = createServer();
+
+    const result = await syncAuditStore(store, server.upload, 2);
+    expect(result).toEqual({ success: true, uploaded: 5 });
+    expect(server.upload).toHaveBeenCalledTimes(3);
+    expect(server.rows.map((row) => row.sequence)).toEqual([1, 2, 3, 4, 5]);
+    expect(new Set(server.rows.map((row) => row.chainId)).size).toBe(1);
+    // Every batch carries the key the chain is registered to
+    expect(new Set(server.rows.map((row) => row.chainKey))).toEqual(
+      new Set([await store.getChainKey()])
+    );
+    expect(await store.getChainKey()).toMatch(/^[0-9a-f]{64}$/);
+    expect(await createMemoryAuditStore().getChainKey()).not.toBe(
+      await store.getChainKey()
+    );
+
+    await syncAuditStore(store, server.upload, 2);
+    expect(server.rows).toHaveLength(5);
+  });
+
+  it("should keep refused entries for a later upload", async () => {
+    const store = createMemoryAuditStore();
+    await store.append(new AuditLogEntry({ action: "SESSION_START" }));
+
+    await expect(syncAuditStore(store, refused)).resolves.toMatchObject({
+      success: false,
+      permissionDenied: true,
+      uploaded: 0,
+    });
+    expect(await store.loadUnsynced(10)).toHaveLength(1);
+  });
+
+  it("should wait for the next session after a refused upload", async () => {
+    const store = createMemoryAuditStore();
+    const security = new SecurityModule();
+    const server = createServer();
+    const upload = jest.fn(refused);
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+    const { stop } = await initializeAuditLog({
+      security,
+      store,
+      upload,
+      interval: 10,
+    });
+    signIn(security);
+    await settle();
+    expect(upload).toHaveBeenCalledTimes(1);
+
+    upload.mockImplementation(server.upload);
+    security.logout("user_initiated");
+    await settle();
+    expect(server.rows).toEqual([]);
+
+    signIn(security, "qa-2");
+    await settle();
+    stop();
+
+    expect(server.rows.map((row) => row.action)).toEqual([
+      "SESSION_START",
+      "SESSION_END",
+      "SESSION_START",
+    ]);
+    expect(await store.loadUnsynced(10)).toEqual([]);
+  });
+});
+
+describe("Audit log queries", () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryAuditStore();
+    const security = new SecurityModule();
+    await security.loadAuditLog(store);
+    signIn(security, "qa-1");
+    for (let i = 0; i < 25; i++) {
+      security.logAudit("AUDIT_EXPORT", `report-${i}`, { format: "csv" });
+    }
+    security.logout("user_initiated");
+    signIn(security, "tech-1", "TECHNICIAN");
+    expect(() =>
+      security.requirePermission("mine:blocks", "mineBlock")
+    ).toThrow();
+    await security.flushAuditLog();
+  });
+
+  it("should page the server's results when it answers", async () => {
+    const fetchPage = jest.fn(async () => ({
+      success: true,
+      data: [{ id: "remote-1" }],
+      total: 41,
+    }));
+    const server = createServer();
+
+    const result = await queryAuditLog(
+      { action: "AUDIT_EXPORT", page: 2, pageSize: 10 },
+      { store, upload: server.upload, fetchPage }
+    );
+    expect(result).toEqual({
+      entries: [{ id: "remote-1" }],
+      total: 41,
+      source: "supabase",
+    });
+    expect(fetchPage).toHaveBeenCalledWith({
+      action: "AUDIT_EXPORT",
+      page: 2,
+      pageSize: 10,
+    });
+    // Uploaded before querying so the page includes them
+    expect(server.rows).toHaveLength(29);
+  });
+
+  it("should fall back to the local copy with the same filters", async () => {
+    const fetchPage = async () => ({ success: false, data: [] });
+    const query = (filters) =>
+      queryAuditLog(filters, { store, upload: refused, fetchPage });
+
+    const exports = await query({
+      action: "AUDIT_EXPORT",
+      page: 1,
+      pageSize: 10,
+    });
+    expect(exports.source).toBe("local");
+    expect(exports.total).toBe(25);
+    expect(exports.entries.map((entry) => entry.target)).toEqual(
+      Array.from({ length: 10 }, (_, i) => `report-${14 - i}`)
+    );
+
+    const denied = await query({ userId: "tech-1", search: "denied" });
+    expect(denied.entries).toEqual([
+      expect.objectContaining({ action: "ACCESS_DENIED", target: "mineBlock" }),
+    ]);
+
+    const future = await query({
+      since: new Date(Date.now() + 60000).toISOString(),
+    });
+    expect(future.total).toBe(0);
+  });
+
+  it("should match search terms case-insensitively across fields", () => {
+    const entry = {
+      action: "ELECTRONIC_SIGNATURE",
+      userName: "Quinn Manager",
+      target: "DEV-7",
+    };
+    expect(matchesFilters(entry, { search: "quinn" })).toBe(true);
+    expect(matchesFilters(entry, { search: "dev-7" })).toBe(true);
+    expect(matchesFilters(entry, { search: "signature" })).toBe(true);
+    expect(matchesFilters(entry, { search: "other" })).toBe(false);
+  });
+});
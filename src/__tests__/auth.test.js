@@ -0,0 +1,448 @@
+/**
+ * @jest-environment node
+ */
+import { SecurityModule } from "../modules/securityModule";
+import { AuthService } from "../services/auth/AuthService";
+import {
+  LocalAuthProvider,
+  hashPassword,
+} from "../services/auth/LocalAuthProvider";
+import { SupabaseAuthProvider } from "../services/auth/SupabaseAuthProvider";
+import { OidcAuthProvider } from "../services/auth/OidcAuthProvider";
+import { createMockIdP } from "../services/auth/mockIdP";
+
+// Tests pass their own Supabase client
+jest.mock("../config/supabase", () => ({ supabase: null }));
+
+const ITERATIONS = 1000;
+const PASSWORD = "Str0ng!Password";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    list: async () => [...records.values()],
+  };
+};
+
+const createSessionStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Local authentication", () => {
+  let storage;
+  let security;
+  let auth;
+  let keyId;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    security = new SecurityModule();
+    auth = new AuthService(security, [
+      new LocalAuthProvider(storage, { iterations: ITERATIONS }),
+    ]);
+    ({ keyId } = await auth.setupAdministrator("local", {
+      username: "Admin",
+      name: "Site Admin",
+      password: PASSWORD,
+    }));
+  });
+
+  it("should create the first administrator only through the setup step", async () => {
+    const empty = new AuthService(new SecurityModule(), [
+      new LocalAuthProvider(createMemoryStorage(), { iterations: ITERATIONS }),
+    ]);
+    expect(await empty.needsSetup("local")).toBe(true);
+    await expect(
+      empty.registerUser("local", { username: "first", password: PASSWORD })
+    ).rejects.toThrow("Permission denied: manage:users is required");
+
+    expect((await storage.get("admin")).role).toBe("ADMIN");
+    expect(await auth.needsSetup("local")).toBe(false);
+    await expect(
+      auth.setupAdministrator("local", {
+        username: "second-admin",
+        password: PASSWORD,
+      })
+    ).rejects.toThrow("already been set up");
+    expect(security.getAuditLog({ action: "ADMIN_SETUP" })).toEqual([
+      expect.objectContaining({
+        details: expect.objectContaining({ provider: "local", keyId }),
+      }),
+    ]);
+  });
+
+  it("should require manage:users to create further accounts", async () => {
+    await expect(
+      auth.registerUser("local", {
+        username: "tech",
+        password: PASSWORD,
+        role: "TECHNICIAN",
+      })
+    ).rejects.toThrow("Permission denied: manage:users is required");
+
+    await auth.login("local", { username: "admin", password: PASSWORD });
+    const tech = await auth.registerUser("local", {
+      username: "tech",
+      password: PASSWORD,
+      role: "TECHNICIAN",
+    });
+    expect(tech).toEqual(expect.objectContaining({ role: "TECHNICIAN" }));
+    expect(tech.password).toBeUndefined();
+  });
+
+  it("should enforce the password policy on new accounts and password changes", async () => {
+    await auth.login("local", { username: "admin", password: PASSWORD });
+    await expect(
+      auth.registerUser("local", { username: "weak", password: "password" })
+    ).rejects.toThrow("at least one special character");
+
+    await expect(
+      auth.changePassword({ password: PASSWORD, newPassword: "short" })
+    ).rejects.toThrow("at least 8 characters");
+    await auth.changePassword({
+      password: PASSWORD,
+      newPassword: "N3w!Password",
+    });
+
+    await auth.logout();
+    await expect(
+      auth.login("local", { username: "admin", password: PASSWORD })
+    ).rejects.toThrow("Invalid username or password");
+    await auth.login("local", { username: "admin", password: "N3w!Password" });
+  });
+
+  it("should store salted hashes, never the password", async () => {
+    await auth.login("local", { username: "admin", password: PASSWORD });
+    await auth.registerUser("local", {
+      username: "second",
+      password: PASSWORD,
+    });
+
+    const [first, second] = await storage.list();
+    expect(JSON.stringify(first)).not.toContain(PASSWORD);
+    expect(first.password).toMatchObject({
+      algorithm: "PBKDF2-SHA256",
+      iterations: ITERATIONS,
+    });
+    expect(first.password.salt).not.toBe(second.password.salt);
+    expect(first.password.hash).not.toBe(second.password.hash);
+  });
+
+  it("should refuse an account whose role was edited in the store", async () => {
+    await auth.login("local", { username: "admin", password: PASSWORD });
+    await auth.registerUser("local", {
+      username: "viewer",
+      password: PASSWORD,
+      role: "VIEWER",
+    });
+    await auth.logout();
+
+    await storage.put({ ...(await storage.get("viewer")), role: "ADMIN" });
+    await expect(
+      auth.login("local", { username: "viewer", password: PASSWORD })
+    ).rejects.toThrow("record has been altered");
+    expect(security.currentUser).toBeNull();
+  });
+
+  it("should refuse an administrator whose password hash was replaced", async () => {
+    const admin = await storage.get("admin");
+    await storage.put({
+      ...admin,
+      password: await hashPassword("Att4cker!Password", ITERATIONS),
+    });
+
+    await expect(
+      auth.login("local", { username: "admin", password: "Att4cker!Password" })
+    ).rejects.toThrow("record has been altered");
+  });
+
+  it("should refuse an account granted by a store set up again elsewhere", async () => {
+    const forged = createMemoryStorage();
+    const other = new AuthService(new SecurityModule(), [
+      new LocalAuthProvider(forged, { iterations: ITERATIONS }),
+    ]);
+    await other.setupAdministrator("local", {
+      username: "admin",
+      password: PASSWORD,
+    });
+
+    // Unpinned, the replacement store is indistinguishable from a new one
+    const pinned = new AuthService(new SecurityModule(), [
+      new LocalAuthProvider(forged, {
+        iterations: ITERATIONS,
+        rootKeyId: keyId,
+      }),
+    ]);
+    await expect(
+      pinned.login("local", { username: "admin", password: PASSWORD })
+    ).rejects.toThrow("record has been altered");
+
+    const genuine = new AuthService(new SecurityModule(), [
+      new LocalAuthProvider(storage, {
+        iterations: ITERATIONS,
+        rootKeyId: keyId,
+      }),
+    ]);
+    await genuine.login("local", { username: "admin", password: PASSWORD });
+  });
+
+  it("should start a session only after a successful login", async () => {
+    expect(auth.isAuthenticated()).toBe(false);
+    const session = await auth.login("local", {
+      username: " ADMIN ",
+      password: PASSWORD,
+    });
+
+    expect(session.success).toBe(true);
+    expect(session.user).toMatchObject({
+      id: "admin",
+      name: "Site Admin",
+      role: "ADMIN",
+      authProvider: "local",
+    });
+    expect(auth.isAuthenticated()).toBe(true);
+
+    await auth.logout();
+    expect(auth.isAuthenticated()).toBe(false);
+    expect(security.currentUser).toBeNull();
+  });
+
+  it("should lock the account after repeated failures, even for the right password", async () => {
+    for (let i = 0; i < 5; i++) {
+      await expect(
+        auth.login("local", { username: "admin", password: "Wr0ng!Password" })
+      ).rejects.toThrow("Invalid username or password");
+    }
+
+    await expect(
+      auth.login("local", { username: "admin", password: PASSWORD })
+    ).rejects.toThrow("Account locked");
+    expect(security.currentUser).toBeNull();
+    expect(security.getAuditLog({ action: "LOGIN_FAILED" })).toHaveLength(5);
+    expect(security.getAuditLog({ action: "ACCOUNT_LOCKED" })).toHaveLength(1);
+    expect(security.getAuditLog({ action: "LOGIN_BLOCKED" })).toHaveLength(1);
+
+    // Unknown users fail the same way and are counted too
+    await expect(
+      auth.login("local", { username: "nobody", password: PASSWORD })
+    ).rejects.toThrow("Invalid username or password");
+    expect(security.failedLoginAttempts.get("nobody").count).toBe(1);
+  });
+
+  it("should expire the session after the inactivity timeout", async () => {
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    await auth.login("local", { username: "admin", password: PASSWORD });
+
+    Date.now.mockReturnValue(now + security.config.sessionTimeout + 1);
+    expect(auth.isAuthenticated()).toBe(false);
+    expect(security.getAuditLog({ action: "SESSION_END" })).toEqual([
+      expect.objectContaining({
+        details: expect.objectContaining({ reason: "session_expired" }),
+      }),
+    ]);
+  });
+});
+
+describe("Supabase authentication", () => {
+  const createClient = (result) => ({
+    auth: {
+      signInWithPassword: jest.fn().mockResolvedValue(result),
+      signOut: jest.fn().mockResolvedValue({}),
+    },
+  });
+
+  it("should take the role from app_metadata and cap the session at the token expiry", async () => {
+    const now = Date.now();
+    const client = createClient({
+      data: {
+        user: {
+          id: "4b1d-uuid",
+          email: "qm@example.com",
+          app_metadata: { role: "QUALITY_MANAGER" },
+          user_metadata: { full_name: "Quinn Manager", role: "ADMIN" },
+        },
+        session: { expires_at: Math.floor(now / 1000) + 600 },
+      },
+      error: null,
+    });
+    const security = new SecurityModule();
+    const auth = new AuthService(security, [new SupabaseAuthProvider(client)]);
+
+    const { user, expiresAt } = await auth.login("supabase", {
+      email: "QM@example.com",
+      password: PASSWORD,
+    });
+    expect(user).toMatchObject({
+      id: "4b1d-uuid",
+      name: "Quinn Manager",
+      role: "QUALITY_MANAGER",
+      authProvider: "supabase",
+    });
+    expect(expiresAt).toBeLessThanOrEqual(now + 600 * 1000);
+
+    // Activity cannot extend the session past the provider's
+    jest.spyOn(Date, "now").mockReturnValue(now + 590 * 1000);
+    security.refreshSession();
+    expect(security.sessionExpiry).toBeLessThanOrEqual(now + 600 * 1000);
+
+    await auth.logout();
+    expect(client.auth.signOut).toHaveBeenCalled();
+  });
+
+  it("should count rejected credentials towards the lockout", async () => {
+    const client = createClient({
+      data: { user: null, session: null },
+      error: { message: "Invalid login credentials" },
+    });
+    const security = new SecurityModule();
+    const auth = new AuthService(security, [new SupabaseAuthProvider(client)]);
+
+    await expect(
+      auth.login("supabase", { email: "qm@example.com", password: "x" })
+    ).rejects.toThrow("Invalid login credentials");
+    expect(security.failedLoginAttempts.get("qm@example.com").count).toBe(1);
+  });
+});
+
+describe("OIDC authentication", () => {
+  const users = {
+    jane: {
+      sub: "idp|jane",
+      name: "Jane Doe",
+      email: "jane@example.com",
+      groups: "qa-managers",
+    },
+  };
+  let idp;
+  let security;
+  let provider;
+  let auth;
+
+  beforeAll(async () => {
+    idp = await createMockIdP({ users });
+  });
+
+  beforeEach(() => {
+    security = new SecurityModule();
+    provider = new OidcAuthProvider(
+      {
+        issuer: idp.issuer,
+        clientId: idp.clientId,
+        redirectUri: "http://localhost:3000",
+        roleClaim: "groups",
+        roleMapping: { "qa-managers": "QUALITY_MANAGER" },
+      },
+      { fetch: idp.fetch, storage: createSessionStorage() }
+    );
+    auth = new AuthService(security, [provider]);
+  });
+
+  it("should sign in through the authorization code flow with PKCE", async () => {
+    const url = await provider.beginLogin();
+    expect(url).toContain("code_challenge_method=S256");
+
+    const callback = idp.authorize(url, "jane");
+    const { user, expiresAt } = await auth.login("oidc", callback);
+
+    expect(user).toMatchObject({
+      id: "idp|jane",
+      name: "Jane Doe",
+      role: "QUALITY_MANAGER",
+      authProvider: "oidc",
+    });
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 60 * 60 * 1000);
+  });
+
+  it("should reject a callback whose state does not match", async () => {
+    const url = await provider.beginLogin();
+    const { code } = idp.authorize(url, "jane");
+
+    await expect(auth.login("oidc", { code, state: "forged" })).rejects.toThrow(
+      "Login state does not match"
+    );
+    expect(security.currentUser).toBeNull();
+    expect(security.getAuditLog({ action: "LOGIN_FAILED" })).toHaveLength(1);
+  });
+
+  it("should reject a code redeemed without the PKCE verifier", async () => {
+    const url = await provider.beginLogin();
+    const { code } = idp.authorize(url, "jane");
+
+    const response = await idp.fetch(`${idp.issuer}/token`, {
+      method: "POST",
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        client_id: idp.clientId,
+        redirect_uri: "http://localhost:3000",
+        code_verifier: "guessed",
+      }).toString(),
+    });
+    expect(response.status).toBe(400);
+  });
+
+  it("should verify the ID token audience, expiry and nonce", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      ...users.jane,
+      iss: idp.issuer,
+      aud: idp.clientId,
+      iat: now,
+      exp: now + 300,
+      nonce: "n-1",
+    };
+
+    await expect(
+      provider.verifyIdToken(await idp.signIdToken(claims), "n-1")
+    ).resolves.toMatchObject({ sub: "idp|jane" });
+    await expect(
+      provider.verifyIdToken(
+        await idp.signIdToken({ ...claims, aud: "other-app" }),
+        "n-1"
+      )
+    ).rejects.toThrow("not issued for this client");
+    await expect(
+      provider.verifyIdToken(
+        await idp.signIdToken({ ...claims, exp: now - 3600 }),
+        "n-1"
+      )
+    ).rejects.toThrow("expired");
+    await expect(
+      provider.verifyIdToken(await idp.signIdToken(claims), "n-2")
+    ).rejects.toThrow("nonce does not match");
+
+    const [header, , signature] = (await idp.signIdToken(claims)).split(".");
+    const tampered = Buffer.from(
+      JSON.stringify({ ...claims, groups: "admins" })
+    ).toString("base64url");
+    await expect(
+      provider.verifyIdToken(`${header}.${tampered}.${signature}`, "n-1")
+    ).rejects.toThrow("signature is invalid");
+  });
+
+  it("should refuse a subject locked out locally", async () => {
+    for (let i = 0; i < 5; i++) {
+      security.recordFailedLogin("idp|jane");
+    }
+    const url = await provider.beginLogin();
+
+    await expect(
+      auth.login("oidc", idp.authorize(url, "jane"))
+    ).rejects.toThrow("Account locked");
+    expect(security.currentUser).toBeNull();
+  });
+});
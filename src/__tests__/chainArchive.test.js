@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+import {
+  parseChainArchive,
+  ChainArchiveError,
+  IMPORT_MODES,
+} from "../services/blockchain/chainArchive";
+import { sha256 } from "../services/blockchain/crypto";
+import { createService, recordReading } from "../testUtils/blockchainFixtures";
+
+// Edit an archive and re-seal its footer, as a deliberate forger would
+const rewriteArchive = async (text, edit) => {
+  const lines = text.trim().split("\n");
+  const records = lines.slice(0, -1).map((line) => JSON.parse(line));
+  edit(records);
+
+  const body = records.map((record) => JSON.stringify(record));
+  const footer = JSON.parse(lines[lines.length - 1]);
+  footer.checksum = await sha256(body.join("\n"));
+  return [...body, JSON.stringify(footer)].join("\n") + "\n";
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Chain archives", () => {
+  let source;
+  let archive;
+
+  beforeEach(async () => {
+    source = await createService();
+    await recordReading(source, 4);
+    await source.rotateSigningKey({ reason: "annual" });
+    await recordReading(source, 5);
+    await recordReading(source, 6, false);
+    archive = await source.exportChainArchive();
+  });
+
+  it("should write one JSON record per line with a header and footer", async () => {
+    const lines = archive
+      .trim()
+      .split("\n")
+      .map((l) => JSON.parse(l));
+
+    expect(lines[0]).toMatchObject({
+      type: "header",
+      format: "pharma-ledger-archive",
+      version: 1,
+      chainLength: 4,
+    });
+    expect(lines.filter((l) => l.type === "key")).toHaveLength(2);
+    expect(lines.filter((l) => l.type === "block")).toHaveLength(4);
+    expect(lines.filter((l) => l.type === "pending")).toHaveLength(1);
+    expect(lines[lines.length - 1].type).toBe("footer");
+    expect(archive).not.toContain("privateKey");
+  });
+
+  it("should restore a wiped browser from an archive", async () => {
+    const restored = await createService();
+    const result = await restored.importChainArchive(archive, {
+      mode: IMPORT_MODES.REPLACE,
+    });
+
+    expect(result.imported).toBe(true);
+    expect(result.blocksAdded).toBe(4);
+    expect(result.pendingAdded).toBe(1);
+    expect(result.warnings[0]).toContain("restore the facility key");
+    expect(restored.getChain().map((b) => b.currentHash)).toEqual(
+      source.getChain().map((b) => b.currentHash)
+    );
+
+    const validation = await restored.validateChain();
+    expect(validation.isValid).toBe(true);
+  });
+
+  it("should merge blocks that extend the local chain", async () => {
+    const replica = await createService();
+    await replica.importChainArchive(archive, { mode: IMPORT_MODES.REPLACE });
+
+    await source.mineBlock();
+    const result = await replica.importChainArchive(
+      await source.exportChainArchive()
+    );
+
+    expect(result.imported).toBe(true);
+    expect(result.blocksAdded).toBe(1);
+    expect(replica.getChainLength()).toBe(5);
+  });
+
+  it("should append merged blocks like mined ones", async () => {
+    const replica = await createService();
+    await replica.importChainArchive(archive, { mode: IMPORT_MODES.REPLACE });
+    const [pending] = replica.pendingTransactions;
+
+    const [retired] = source.keyManager.getHistory();
+    await source.revokeKey(retired.keyId, { reason: "lost laptop" });
+    await source.mineBlock();
+    const events = [];
+    replica.subscribe((event) => events.push(event));
+    await replica.importChainArchive(await source.exportChainArchive());
+
+    // The pending reading was mined into the merged block
+    expect(replica.pendingTransactions.map((tx) => tx.id)).not.toContain(
+      pending.id
+    );
+    expect(
+      replica.keyManager.getHistory().find((e) => e.keyId === retired.keyId)
+    ).toMatchObject({ status: "revoked", reason: "lost laptop" });
+    expect(events).toEqual(["signingKeyRevoked", "newBlock", "chainImported"]);
+  });
+
+  it("should drop local pending transactions the replacing chain has mined", async () => {
+    const replica = await createService();
+    await replica.importChainArchive(archive, { mode: IMPORT_MODES.REPLACE });
+    const [pending] = replica.pendingTransactions;
+
+    await source.mineBlock();
+    const result = await replica.importChainArchive(
+      await source.exportChainArchive(),
+      { mode: IMPORT_MODES.REPLACE }
+    );
+
+    expect(result.pendingAdded).toBe(0);
+    expect(replica.pendingTransactions).toEqual([]);
+    expect(replica.clearMinedTransactions).toHaveBeenCalledWith([pending.id]);
+  });
+
+  it("should refuse to merge a diverging chain", async () => {
+    const other = await createService();
+    const result = await other.importChainArchive(archive, {
+      mode: IMPORT_MODES.MERGE,
+    });
+
+    expect(result.imported).toBe(false);
+    expect(result.failedBlock).toMatchObject({
+      blockNumber: 0,
+      reason: "Archive diverges from the local chain",
+    });
+    expect(other.getChainLength()).toBe(1);
+  });
+
+  it("should report the exact block that fails re-validation", async () => {
+    const forged = await rewriteArchive(archive, (records) => {
+      const block = records.find(
+        (r) => r.type === "block" && r.block.blockNumber === 2
+      ).block;
+      block.transactions[0].data.reason = "nothing to see here";
+    });
+
+    const target = await createService();
+    const result = await target.importChainArchive(forged, {
+      mode: IMPORT_MODES.REPLACE,
+    });
+
+    expect(result.imported).toBe(false);
+    expect(result.failedBlock).toMatchObject({
+      blockNumber: 2,
+      reason: "Merkle root mismatch",
+    });
+    expect(target.getChainLength()).toBe(1);
+  });
+
+  it("should flag a block re-signed with an unknown key", async () => {
+    const intruder = await createService();
+    const forged = await rewriteArchive(archive, (records) => {
+      const block = records.find(
+        (r) => r.type === "block" && r.block.blockNumber === 3
+      ).block;
+      block.signature = intruder.getLatestBlock().signature;
+    });
+
+    const target = await createService();
+    const result = await target.importChainArchive(forged, {
+      mode: IMPORT_MODES.REPLACE,
+    });
+
+    expect(result.failedBlock).toMatchObject({
+      blockNumber: 3,
+      reason: "Invalid block signature",
+    });
+  });
+
+  it("should reject truncated or hand-edited files", async () => {
+    const lines = archive.trim().split("\n");
+
+    await expect(
+      parseChainArchive(lines.slice(0, -2).join("\n"))
+    ).rejects.toThrow(ChainArchiveError);
+    await expect(
+      parseChainArchive(archive.replace('"temperature":5', '"temperature":3'))
+    ).rejects.toThrow("checksum mismatch");
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import {
+  createIndexEntry,
+  matchesQuery,
+} from "../services/blockchain/chainIndex";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+// Stand-in for the IndexedDB chain and transactionIndex stores
+const createChainStorage = (service) => {
+  const blocks = new Map();
+  const index = new Map();
+
+  service.db = {};
+  service.saveBlockToStorage = jest.fn(async (block) => {
+    blocks.set(block.blockNumber, block);
+    block.transactions.forEach((tx) =>
+      index.set(tx.id, createIndexEntry(tx, block))
+    );
+  });
+  service.loadBlocksFromStorage = jest.fn(
+    async (fromBlock = 0, toBlock = Infinity) =>
+      [...blocks.values()]
+        .filter((b) => b.blockNumber >= fromBlock && b.blockNumber <= toBlock)
+        .sort((a, b) => a.blockNumber - b.blockNumber)
+  );
+  service.loadIndexEntry = jest.fn(async (id) => index.get(id) || null);
+  service.queryIndexStore = jest.fn(async (query, beforeBlock, limit) =>
+    [...index.values()]
+      .filter((e) => e.blockNumber < beforeBlock && matchesQuery(e, query))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit)
+  );
+  return blocks;
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage());
+  service.difficulty = 1;
+  service.checkpointInterval = 3;
+  service.retainedBlocks = 1;
+
+  const storedBlocks = createChainStorage(service);
+  service.saveCheckpoint = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return { service, storedBlocks };
+};
+
+// Readings a minute apart so time-range queries are unambiguous
+const startTime = Date.now() - 60 * 60 * 1000;
+
+const recordReading = async (service, roomId, temperature, minute = 0) => {
+  const tx = service.transactionFactory.createSensorReadingTransaction(
+    { temperature, humidity: 45 },
+    roomId
+  );
+  tx.timestamp = new Date(startTime + minute * 60 * 1000).toISOString();
+  await service.addTransaction(tx);
+  await service.mineBlock();
+  return tx;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Chain checkpoints", () => {
+  let service;
+  let storedBlocks;
+  let readings;
+
+  beforeEach(async () => {
+    ({ service, storedBlocks } = await createService());
+    readings = [];
+    for (let i = 0; i < 7; i++) {
+      const room = i % 2 === 0 ? "room-1-ambient" : "room-2-cold";
+      readings.push(await recordReading(service, room, 4 + i, i));
+    }
+  });
+
+  it("should checkpoint finished segments and evict their blocks", async () => {
+    const checkpoints = service.getCheckpoints();
+
+    expect(checkpoints.map((c) => [c.fromBlock, c.toBlock])).toEqual([
+      [0, 2],
+      [3, 5],
+    ]);
+    expect(checkpoints[1].previousCheckpointHash).toBe(checkpoints[0].hash);
+    expect(service.saveCheckpoint).toHaveBeenCalledTimes(2);
+
+    expect(service.getChainLength()).toBe(8);
+    expect(service.getChain().map((b) => b.blockNumber)).toEqual([5, 6, 7]);
+    expect(service.getBlock(1)).toBeNull();
+    expect((await service.loadBlock(1)).currentHash).toBe(
+      storedBlocks.get(1).currentHash
+    );
+
+    const summary = await service.getSummary();
+    expect(summary.chainLength).toBe(8);
+    expect(summary.totalTransactions).toBe(8);
+    expect(summary.checkpoints).toBe(2);
+  });
+
+  it("should validate quickly from the latest checkpoint or fully from storage", async () => {
+    await service.rotateSigningKey({ reason: "annual" });
+    await recordReading(service, "room-2-cold", 5, 10);
+
+    const quick = await service.validateChain();
+    expect(quick).toMatchObject({
+      isValid: true,
+      mode: "checkpoint",
+      totalBlocks: 10,
+      checkpointedBlocks: 9,
+    });
+
+    const full = await service.validateChain({ full: true });
+    expect(full.invalidBlocks).toEqual([]);
+    expect(full).toMatchObject({ isValid: true, mode: "full" });
+    expect(full.validatedBlocks).toBe(9);
+  });
+
+  it("should detect tampered checkpoints and archived blocks", async () => {
+    storedBlocks.get(1).transactions[0].data.temperature = 5;
+    expect((await service.validateChain()).isValid).toBe(true);
+
+    const full = await service.validateChain({ full: true });
+    expect(full.isValid).toBe(false);
+    expect(full.invalidBlocks[0]).toMatchObject({
+      blockNumber: 1,
+      reason: "Merkle root mismatch",
+    });
+
+    service.getCheckpoints()[0].transactionCount = 1;
+    const quick = await service.validateChain();
+    expect(quick.isValid).toBe(false);
+    expect(quick.invalidCheckpoints).toEqual([
+      expect.objectContaining({
+        checkpointNumber: 0,
+        reason: "Checkpoint hash mismatch",
+      }),
+    ]);
+  });
+
+  it("should query transactions by room, type and time across archived blocks", async () => {
+    const coldIds = readings.filter((_, i) => i % 2 === 1).map((tx) => tx.id);
+
+    const recent = service.getRecentTransactions({ roomId: "room-2-cold" });
+    expect(recent.map((tx) => tx.id)).toEqual([coldIds[2]]);
+
+    const all = await service.queryTransactions({
+      roomId: "room-2-cold",
+      type: TRANSACTION_TYPES.SENSOR_READING,
+    });
+    expect(all.map((tx) => tx.id)).toEqual([...coldIds].reverse());
+    expect(all[2]).toMatchObject({ blockNumber: 2 });
+
+    const window = await service.queryTransactions({
+      from: readings[1].timestamp,
+      to: readings[3].timestamp,
+    });
+    expect(window.map((tx) => tx.id)).toEqual([
+      readings[3].id,
+      readings[2].id,
+      readings[1].id,
+    ]);
+
+    const verification = await service.verifyTransaction(readings[0].id);
+    expect(verification).toMatchObject({ verified: true, blockNumber: 1 });
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import {
+  SmartContractRegistry,
+  DEFAULT_RULE_SET,
+  STORAGE_SPECIFICATIONS,
+} from "../services/blockchain/RegulatorySmartContracts";
+import {
+  RuleDefinitionError,
+  hashRuleDefinition,
+  validateRuleSet,
+} from "../services/blockchain/contractRules";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage());
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+const pressureRule = {
+  id: "PC-001",
+  name: "Pressure Differential Contract",
+  version: "1.0.0",
+  parameter: "pressure",
+  unit: "Pa",
+  limits: { cold_storage: { min: -5, max: 5 } },
+  durationWindows: [{ minutes: 30, severity: "critical" }],
+  severity: {
+    BELOW_MINIMUM: { status: "fail", severity: "major" },
+    ABOVE_MAXIMUM: { status: "fail", severity: "major" },
+  },
+  regulatoryReferences: [{ code: "EU GMP Annex 1", description: "Cascade" }],
+};
+
+const withRules = (version, rules) => ({
+  ruleSet: "storage-compliance",
+  version,
+  rules,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Rule contracts", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new SmartContractRegistry();
+  });
+
+  it("should bundle the storage specification limits", () => {
+    const [temperature, humidity] = DEFAULT_RULE_SET.rules;
+    Object.entries(STORAGE_SPECIFICATIONS).forEach(([roomType, specs]) => {
+      expect(temperature.limits[roomType]).toEqual({
+        min: specs.temperature.min,
+        max: specs.temperature.max,
+      });
+      expect(humidity.limits[roomType]).toEqual({
+        min: specs.humidity.min,
+        max: specs.humidity.max,
+      });
+    });
+  });
+
+  it("should check temperature against the rule definition", async () => {
+    const inRange = await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 5,
+    });
+    expect(inRange).toMatchObject({
+      status: "pass",
+      severity: null,
+      contractVersion: "1.0.0",
+      specifications: { min: 2, max: 8, unit: "°C" },
+    });
+    expect(inRange.ruleHash).toBe(
+      await hashRuleDefinition(DEFAULT_RULE_SET.rules[0])
+    );
+
+    const nearLimit = await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 7.5,
+    });
+    expect(nearLimit).toMatchObject({ status: "warning", severity: "minor" });
+
+    const excursion = await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 10,
+    });
+    expect(excursion).toMatchObject({ status: "fail", severity: "major" });
+    expect(excursion.details.map((d) => d.type)).toEqual([
+      "ABOVE_MAXIMUM",
+      "APPROACHING_HIGH",
+    ]);
+    expect(excursion.correctiveActions).toEqual([
+      expect.objectContaining({
+        action: "IMMEDIATE_INVESTIGATION",
+        priority: "HIGH",
+      }),
+    ]);
+
+    const longExcursion = await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 10,
+      duration: 90 * 60 * 1000,
+    });
+    expect(longExcursion.severity).toBe("critical");
+
+    const unknownRoom = await registry.checkHumidityCompliance({
+      roomType: "loading_dock",
+      humidity: 75,
+    });
+    expect(unknownRoom).toMatchObject({
+      status: "fail",
+      specifications: { min: 20, max: 70, unit: "%RH" },
+    });
+  });
+
+  it("should reject invalid definitions with the offending path", () => {
+    const invalid = [
+      [{ ...pressureRule, limit: {} }, 'rules[0]: Unknown field "limit"'],
+      [
+        { ...pressureRule, limits: { cold_storage: { min: 5, max: -5 } } },
+        "rules[0].limits.cold_storage: min must be below max",
+      ],
+      [
+        {
+          ...pressureRule,
+          severity: { BELOW_MINIMUM: { status: "fail", severity: "major" } },
+        },
+        "rules[0].severity: ABOVE_MAXIMUM needs a mapping",
+      ],
+      [
+        {
+          ...pressureRule,
+          durationWindows: [{ minutes: 5, severity: "huge" }],
+        },
+        'rules[0].durationWindows[0]: Unknown severity "huge"',
+      ],
+    ];
+
+    invalid.forEach(([rule, message]) => {
+      expect(() => validateRuleSet(withRules("1.0.0", [rule]))).toThrow(
+        new RuleDefinitionError(message)
+      );
+    });
+  });
+
+  it("should hash definitions independently of key order", async () => {
+    const reordered = Object.fromEntries(
+      Object.entries(pressureRule).reverse()
+    );
+    expect(await hashRuleDefinition(reordered)).toBe(
+      await hashRuleDefinition(pressureRule)
+    );
+  });
+});
+
+describe("Rule set deployment", () => {
+  let registry;
+  let service;
+
+  beforeEach(async () => {
+    registry = new SmartContractRegistry();
+    service = await createService();
+  });
+
+  it("should add a contract without code and record every hash on-chain", async () => {
+    await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 5,
+    });
+
+    const deployment = await registry.deployRuleSet(
+      withRules("1.1.0", [...DEFAULT_RULE_SET.rules, pressureRule]),
+      service
+    );
+
+    const tx = service.pendingTransactions.find(
+      (p) => p.id === deployment.transactionId
+    );
+    expect(tx.type).toBe(TRANSACTION_TYPES.CONTRACT_DEPLOYMENT);
+    expect(tx.data).toMatchObject({
+      ruleSet: "storage-compliance",
+      version: "1.1.0",
+      hash: deployment.hash,
+    });
+    expect(tx.data.contracts).toEqual([
+      expect.objectContaining({
+        contractId: "TC-001",
+        previousVersion: "1.0.0",
+      }),
+      expect.objectContaining({
+        contractId: "HC-001",
+        previousVersion: "1.0.0",
+      }),
+      {
+        contractId: "PC-001",
+        version: "1.0.0",
+        hash: await hashRuleDefinition(pressureRule),
+        previousVersion: null,
+        previousHash: null,
+      },
+    ]);
+
+    // Unchanged contracts keep their history
+    expect(registry.getContract("TC-001").executionCount).toBe(1);
+
+    const result = await registry.executeContract("PC-001", {
+      roomType: "cold_storage",
+      pressure: 7,
+      duration: 45 * 60 * 1000,
+    });
+    expect(result).toMatchObject({ status: "fail", severity: "critical" });
+    expect(result.ruleHash).toBe(tx.data.contracts[2].hash);
+  });
+
+  it("should require a new version for changed rules", async () => {
+    const [temperature, humidity] = DEFAULT_RULE_SET.rules;
+    const tightened = {
+      ...temperature,
+      limits: { ...temperature.limits, cold_storage: { min: 3, max: 7 } },
+    };
+
+    await expect(
+      registry.deployRuleSet(withRules("1.1.0", [tightened, humidity]))
+    ).rejects.toThrow(
+      "rules[0].version: TC-001 version 1.0.0 is already deployed with different content"
+    );
+
+    const deployment = await registry.deployRuleSet(
+      withRules("1.1.0", [{ ...tightened, version: "1.1.0" }, humidity])
+    );
+    expect(deployment.contracts[0]).toMatchObject({
+      version: "1.1.0",
+      previousVersion: "1.0.0",
+    });
+    expect(deployment.transactionId).toBeNull();
+
+    const result = await registry.checkTemperatureCompliance({
+      roomType: "cold_storage",
+      temperature: 7.5,
+    });
+    expect(result).toMatchObject({ status: "fail", contractVersion: "1.1.0" });
+    expect(registry.getDeployments()).toHaveLength(1);
+  });
+
+  it("should leave every contract in place when one rule is invalid", async () => {
+    await expect(
+      registry.deployRuleSet(
+        withRules("1.1.0", [
+          { ...pressureRule },
+          { ...pressureRule, id: "PC-002", unit: "" },
+        ])
+      )
+    ).rejects.toThrow(RuleDefinitionError);
+
+    expect(registry.getContract("PC-001")).toBeNull();
+    expect(registry.getDeployments()).toEqual([]);
+  });
+
+  it("should not replace built-in contracts", async () => {
+    await expect(
+      registry.deployRuleSet(
+        withRules("1.0.0", [{ ...pressureRule, id: "DM-001" }])
+      )
+    ).rejects.toThrow("DM-001 is a built-in contract");
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { SecurityModule } from "../modules/securityModule";
+import { ESignatureService } from "../services/eSignatureService";
+import {
+  DeviationModule,
+  DEVIATION_STATES,
+  parseTimeframe,
+} from "../modules/deviationModule";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage(), {
+    iterations: 1000,
+  });
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+const signIn = (security, role) =>
+  security.initialize({ id: `user-${role}`, name: role, role });
+
+const excursion = {
+  severity: "major",
+  parameter: "temperature",
+  actualValue: 11.2,
+  expectedRange: { min: 2, max: 8 },
+  duration: 20 * 60 * 1000,
+  roomId: "room-2-cold",
+  description: "Door left ajar during delivery",
+};
+
+const PASSPHRASE = "Str0ng!Passphrase";
+const closure = { credential: PASSPHRASE };
+
+const capa = {
+  title: "Door alarm on delivery bay",
+  description: "Install a door-open alarm",
+  assignedTo: "facilities",
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Deviation workflow", () => {
+  let service;
+  let security;
+  let signatures;
+  let deviations;
+
+  beforeEach(async () => {
+    service = await createService();
+    security = new SecurityModule();
+    signatures = new ESignatureService(service, security);
+    deviations = new DeviationModule(service, security, signatures);
+
+    signIn(security, "QUALITY_MANAGER");
+    await signatures.registerSigner(PASSPHRASE);
+  });
+
+  const deviationTransactions = () =>
+    service.pendingTransactions.filter(
+      (tx) => tx.type === TRANSACTION_TYPES.DEVIATION
+    );
+
+  const runToEffectivenessCheck = async () => {
+    signIn(security, "TECHNICIAN");
+    const { deviationId } = await deviations.openDeviation(excursion);
+
+    signIn(security, "SUPERVISOR");
+    await deviations.transition(deviationId, DEVIATION_STATES.INVESTIGATION);
+    await deviations.transition(deviationId, DEVIATION_STATES.ROOT_CAUSE, {
+      rootCause: "Delivery bay door not closed",
+    });
+
+    signIn(security, "QUALITY_MANAGER");
+    await deviations.transition(deviationId, DEVIATION_STATES.CAPA_ASSIGNED, {
+      capa,
+    });
+    await deviations.transition(
+      deviationId,
+      DEVIATION_STATES.EFFECTIVENESS_CHECK,
+      { notes: "No door excursions in 30 days" }
+    );
+    return deviationId;
+  };
+
+  it("should take a deviation from open to closed with a chained transaction per step", async () => {
+    const deviationId = await runToEffectivenessCheck();
+    const closed = await deviations.transition(
+      deviationId,
+      DEVIATION_STATES.CLOSED,
+      { effective: true, signature: closure }
+    );
+
+    expect(closed.state).toBe(DEVIATION_STATES.CLOSED);
+    expect(closed.closureSignature.manifestation).toMatch(
+      /^APPROVED by QUALITY_MANAGER \(Quality Manager\) at /
+    );
+    expect(closed.classification.level).toBe("MAJOR");
+    expect(closed.rootCause).toBe("Delivery bay door not closed");
+    expect(closed.capa).toMatchObject({
+      capaId: `CAPA-${deviationId}-1`,
+      assignedTo: "facilities",
+      dueDate: closed.dueAt,
+    });
+
+    const transactions = deviationTransactions();
+    expect(transactions.map((tx) => tx.data.deviationData.state)).toEqual([
+      "open",
+      "investigation",
+      "root_cause",
+      "capa_assigned",
+      "effectiveness_check",
+      "closed",
+    ]);
+    expect(transactions[0].data.action).toBe("create");
+    expect(transactions[5].data.action).toBe("resolve");
+    transactions.slice(1).forEach((tx, i) => {
+      expect(tx.data.deviationData.previousTransactionId).toBe(
+        transactions[i].id
+      );
+    });
+    expect(transactions.map((tx) => tx.metadata.roomId)).toEqual(
+      Array(6).fill("room-2-cold")
+    );
+
+    expect(
+      service.pendingTransactions.filter(
+        (tx) => tx.type === TRANSACTION_TYPES.CAPA
+      )
+    ).toHaveLength(1);
+    expect(closed.history.map((entry) => entry.actor.role)).toEqual([
+      "TECHNICIAN",
+      "SUPERVISOR",
+      "SUPERVISOR",
+      "QUALITY_MANAGER",
+      "QUALITY_MANAGER",
+      "QUALITY_MANAGER",
+    ]);
+  });
+
+  it("should set the due date from the resolution timeframe", async () => {
+    signIn(security, "TECHNICIAN");
+    const deviation = await deviations.openDeviation(excursion);
+
+    expect(deviation.resolutionTimeframe).toBe("72 hours");
+    expect(
+      new Date(deviation.dueAt).getTime() -
+        new Date(deviation.openedAt).getTime()
+    ).toBe(parseTimeframe("72 hours"));
+    expect(parseTimeframe("30 days")).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it("should refuse transitions the user's role does not allow", async () => {
+    signIn(security, "VIEWER");
+    await expect(deviations.openDeviation(excursion)).rejects.toThrow(
+      "Permission denied: open:deviations is required"
+    );
+
+    signIn(security, "TECHNICIAN");
+    const { deviationId } = await deviations.openDeviation(excursion);
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.INVESTIGATION)
+    ).rejects.toThrow("investigate:deviations");
+    expect(deviations.getAvailableTransitions(deviationId)).toEqual([]);
+
+    signIn(security, "SUPERVISOR");
+    await deviations.transition(deviationId, DEVIATION_STATES.INVESTIGATION);
+    await deviations.transition(deviationId, DEVIATION_STATES.ROOT_CAUSE, {
+      rootCause: "Door",
+    });
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.CAPA_ASSIGNED, {
+        capa,
+      })
+    ).rejects.toThrow("approve:deviations");
+
+    expect(
+      security.getAuditLog().filter((entry) => entry.action === "ACCESS_DENIED")
+    ).toHaveLength(3);
+    expect(deviationTransactions()).toHaveLength(3);
+  });
+
+  it("should enforce the order and conditions of transitions", async () => {
+    signIn(security, "QUALITY_MANAGER");
+    const { deviationId } = await deviations.openDeviation(excursion);
+
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.CLOSED)
+    ).rejects.toThrow("cannot move from open to closed");
+    await deviations.transition(deviationId, DEVIATION_STATES.INVESTIGATION);
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.ROOT_CAUSE)
+    ).rejects.toThrow("A root cause is required");
+    await deviations.transition(deviationId, DEVIATION_STATES.ROOT_CAUSE, {
+      rootCause: "Door",
+    });
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.CLOSED, {
+        justification: "Isolated event",
+      })
+    ).rejects.toThrow("A major deviation requires a CAPA before closure");
+
+    const minor = await deviations.openDeviation({
+      ...excursion,
+      severity: "minor",
+    });
+    await deviations.transition(minor.deviationId, "investigation");
+    await deviations.transition(minor.deviationId, "root_cause", {
+      rootCause: "Sensor spike",
+    });
+    await expect(
+      deviations.transition(minor.deviationId, "closed", {
+        justification: "Single reading, no product impact",
+      })
+    ).rejects.toThrow("requires an electronic signature");
+    const closed = await deviations.transition(minor.deviationId, "closed", {
+      justification: "Single reading, no product impact",
+      signature: closure,
+    });
+    expect(closed.state).toBe(DEVIATION_STATES.CLOSED);
+  });
+
+  it("should reassign a CAPA that was not effective", async () => {
+    const deviationId = await runToEffectivenessCheck();
+
+    await expect(
+      deviations.transition(deviationId, DEVIATION_STATES.CLOSED, {
+        effective: false,
+      })
+    ).rejects.toThrow("verified effective");
+
+    const reassigned = await deviations.transition(
+      deviationId,
+      DEVIATION_STATES.CAPA_ASSIGNED,
+      { capa: { ...capa, title: "Automatic door closer" } }
+    );
+    expect(reassigned.capa.capaId).toBe(`CAPA-${deviationId}-2`);
+  });
+
+  it("should escalate overdue deviations along the escalation path", async () => {
+    signIn(security, "TECHNICIAN");
+    const deviation = await deviations.openDeviation({
+      ...excursion,
+      severity: "critical",
+    });
+    const dueAt = new Date(deviation.dueAt).getTime();
+    const day = 24 * 60 * 60 * 1000;
+
+    expect(await deviations.checkOverdue(new Date(dueAt - 1000))).toEqual([]);
+
+    const [first] = await deviations.checkOverdue(new Date(dueAt + 1000));
+    expect(first.escalationLevel).toBe(1);
+    expect(first.history[1]).toMatchObject({
+      action: "escalate",
+      toState: DEVIATION_STATES.OPEN,
+      details: { escalatedTo: "supervisor" },
+    });
+
+    // Already escalated to this level
+    expect(await deviations.checkOverdue(new Date(dueAt + 2000))).toEqual([]);
+
+    const [second] = await deviations.checkOverdue(new Date(dueAt + 2 * day));
+    expect(second.escalationLevel).toBe(3);
+    expect(second.history[2].details.escalatedTo).toBe("director");
+    expect(
+      security.getAuditLog().filter((e) => e.action === "DEVIATION_ESCALATED")
+    ).toHaveLength(2);
+  });
+
+  it("should rebuild deviations from mined and pending transactions", async () => {
+    const deviationId = await runToEffectivenessCheck();
+    await service.mineBlock();
+    await deviations.transition(deviationId, DEVIATION_STATES.CLOSED, {
+      effective: true,
+      signature: closure,
+    });
+
+    const rebuilt = new DeviationModule(service, security);
+    expect(await rebuilt.loadFromLedger()).toBe(1);
+    expect(rebuilt.getDeviation(deviationId)).toEqual(
+      deviations.getDeviation(deviationId)
+    );
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { SecurityModule } from "../modules/securityModule";
+import {
+  ESignatureService,
+  SIGNATURE_MEANINGS,
+} from "../services/eSignatureService";
+
+const ITERATIONS = 1000;
+const PASSPHRASE = "Str0ng!Passphrase";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage(), {
+    iterations: ITERATIONS,
+  });
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+const alert = {
+  id: "alert-1",
+  roomId: "room-2-cold",
+  condition: "temperature",
+  severity: "critical",
+  value: 9.1,
+};
+
+const request = (overrides = {}) => ({
+  recordType: "alert",
+  recordId: alert.id,
+  record: alert,
+  meaning: SIGNATURE_MEANINGS.REVIEWED,
+  credential: PASSPHRASE,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Electronic signatures", () => {
+  let service;
+  let security;
+  let signatures;
+
+  beforeEach(async () => {
+    service = await createService();
+    security = new SecurityModule();
+    security.initialize({
+      id: "USR002",
+      name: "Jane Doe",
+      role: "QUALITY_MANAGER",
+    });
+    signatures = new ESignatureService(service, security);
+  });
+
+  it("should require a signature passphrase that meets the password policy", async () => {
+    expect(await signatures.hasSigningKey()).toBe(false);
+    await expect(signatures.sign(request())).rejects.toThrow(
+      "Set up a signature passphrase before signing"
+    );
+    await expect(signatures.registerSigner("weak")).rejects.toThrow();
+
+    await signatures.registerSigner(PASSPHRASE);
+    expect(await signatures.hasSigningKey()).toBe(true);
+  });
+
+  it("should bind the record hash, signer, meaning and time", async () => {
+    await signatures.registerSigner(PASSPHRASE);
+    const signature = await signatures.sign(
+      request({ comment: "Door closed, product quarantined" })
+    );
+
+    expect(signature).toMatchObject({
+      recordType: "alert",
+      recordId: "alert-1",
+      meaning: "reviewed",
+      signerId: "USR002",
+      signerName: "Jane Doe",
+      signerRole: "QUALITY_MANAGER",
+      comment: "Door closed, product quarantined",
+    });
+    expect(signatures.getManifestation(signature)).toBe(
+      `REVIEWED by Jane Doe (Quality Manager) at ${signature.signedAt}`
+    );
+    expect(await signatures.verify(signature, alert)).toEqual({
+      valid: true,
+      reason: null,
+    });
+
+    const [tx] = service.pendingTransactions.filter(
+      (t) => t.type === TRANSACTION_TYPES.USER_ACTION
+    );
+    expect(tx.id).toBe(signature.transactionId);
+    expect(tx.userId).toBe("USR002");
+    expect(tx.data).toMatchObject({
+      action: "esign",
+      recordHash: signature.recordHash,
+    });
+    expect(JSON.stringify(tx)).not.toContain(PASSPHRASE);
+
+    const [audit] = security.getAuditLog({ action: "ELECTRONIC_SIGNATURE" });
+    expect(audit.details.manifestation).toBe(
+      signatures.getManifestation(signature)
+    );
+  });
+
+  it("should not verify a changed record or manifestation", async () => {
+    await signatures.registerSigner(PASSPHRASE);
+    const signature = await signatures.sign(request());
+
+    expect(await signatures.verify(signature, { ...alert, value: 7 })).toEqual({
+      valid: false,
+      reason: "Record changed after signing",
+    });
+    // The record hash does not depend on key order
+    const reordered = Object.fromEntries(Object.entries(alert).reverse());
+    expect((await signatures.verify(signature, reordered)).valid).toBe(true);
+
+    const forged = { ...signature, meaning: SIGNATURE_MEANINGS.APPROVED };
+    expect((await signatures.verify(forged, alert)).valid).toBe(false);
+  });
+
+  it("should reject unknown meanings", async () => {
+    await signatures.registerSigner(PASSPHRASE);
+    await expect(
+      signatures.sign(request({ meaning: "witnessed" }))
+    ).rejects.toThrow("Unknown signature meaning: witnessed");
+  });
+
+  it("should count failed re-authentication towards the lockout", async () => {
+    await signatures.registerSigner(PASSPHRASE);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(
+        signatures.sign(request({ credential: "Wr0ng!Passphrase" }))
+      ).rejects.toThrow("Re-authentication failed");
+    }
+    await expect(signatures.sign(request())).rejects.toThrow("Account locked");
+    expect(
+      security.getAuditLog({ action: "SIGNATURE_REAUTH_FAILED" })
+    ).toHaveLength(5);
+    const [blocked] = security.getAuditLog({ action: "LOGIN_BLOCKED" });
+    expect(blocked).toMatchObject({
+      target: "USR002",
+      details: { reason: "signature re-authentication" },
+    });
+    expect(signatures.getSignatures()).toHaveLength(0);
+  });
+
+  it("should rebuild signatures from mined and pending transactions", async () => {
+    await signatures.registerSigner(PASSPHRASE);
+    const first = await signatures.sign(request());
+    await service.mineBlock();
+    const second = await signatures.sign(
+      request({
+        recordType: "threshold",
+        recordId: "room-2-cold:temperature",
+        record: { min: 2, max: 8 },
+        meaning: SIGNATURE_MEANINGS.APPROVED,
+      })
+    );
+
+    const rebuilt = new ESignatureService(service, security);
+    expect(await rebuilt.loadFromLedger()).toBe(2);
+    expect(rebuilt.getSignatures({ recordType: "alert" })).toEqual([first]);
+    expect(rebuilt.getSignatures({ recordType: "threshold" })).toEqual([
+      second,
+    ]);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import { FORENSIC_CHECKS, diffFields } from "../services/blockchain/forensics";
+import securityModule from "../modules/securityModule";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage());
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.clearChainStorage = jest.fn().mockResolvedValue();
+  service.saveCheckpoint = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+const recordReading = async (service, temperature) => {
+  const tx = service.transactionFactory.createSensorReadingTransaction(
+    { temperature, humidity: 45 },
+    "room-2-cold"
+  );
+  await service.addTransaction(tx);
+  await service.mineBlock();
+  return tx;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("diffFields", () => {
+  it("should name nested and array fields", () => {
+    expect(
+      diffFields(
+        { data: { temperature: 5, readings: [1, 2] }, id: "a" },
+        { data: { temperature: 6, readings: [1, 3] }, id: "a" }
+      )
+    ).toEqual([
+      { field: "data.temperature", expected: 5, actual: 6 },
+      { field: "data.readings[1]", expected: 2, actual: 3 },
+    ]);
+  });
+});
+
+describe("Chain forensics", () => {
+  let service;
+  let readings;
+
+  beforeEach(async () => {
+    service = await createService();
+    readings = [];
+    for (const temperature of [4, 5, 6]) {
+      readings.push(await recordReading(service, temperature));
+    }
+  });
+
+  it("should pinpoint a tampered field against the last exported archive", async () => {
+    const reference = await service.exportChainArchive();
+    const audit = jest.spyOn(securityModule, "logAudit");
+
+    service.getBlock(2).transactions[0].data.reading.temperature = 2;
+    const result = await service.validateChain({ forensic: true, reference });
+
+    expect(result.isValid).toBe(false);
+    const report = result.incidentReport;
+    expect(report).toMatchObject({
+      format: "pharma-ledger-incident",
+      status: "tampered",
+      facilityId: service.facilityId,
+      reference: { chainLength: 4 },
+      summary: {
+        firstBlock: 2,
+        blocks: [2],
+        transactions: [readings[1].id],
+        fields: ["data.reading.temperature"],
+      },
+    });
+    expect(report.findings).toEqual([
+      expect.objectContaining({
+        blockNumber: 2,
+        check: FORENSIC_CHECKS.MERKLE_ROOT,
+        transactionId: readings[1].id,
+        field: "data.reading.temperature",
+        expected: 5,
+        actual: 2,
+      }),
+    ]);
+    expect(report.reportId).toMatch(/^IR-[0-9a-f]{16}$/);
+    expect(audit).toHaveBeenCalledWith(
+      "CHAIN_FORENSIC_REPORT",
+      service.facilityId,
+      report
+    );
+  });
+
+  it("should find the transaction by its signature without a reference", async () => {
+    const events = [];
+    service.subscribe((event, data) => events.push([event, data]));
+
+    service.getBlock(3).transactions[0].data.reading.humidity = 80;
+    const { incidentReport } = await service.validateChain({ forensic: true });
+
+    expect(incidentReport.findings).toEqual([
+      expect.objectContaining({
+        blockNumber: 3,
+        check: FORENSIC_CHECKS.TRANSACTION_SIGNATURE,
+        transactionId: readings[2].id,
+        field: "data",
+      }),
+    ]);
+    expect(events).toContainEqual(["tamperDetected", incidentReport]);
+  });
+
+  it("should report an intact chain", async () => {
+    const reference = await service.exportChainArchive();
+    const { incidentReport } = await service.validateChain({
+      forensic: true,
+      reference,
+    });
+
+    expect(incidentReport.status).toBe("intact");
+    expect(incidentReport.findings).toEqual([]);
+  });
+
+  it("should alter the first reading value by default", async () => {
+    const drill = await service.runTamperDrill();
+
+    expect(drill.passed).toBe(true);
+    expect(drill.target).toMatchObject({
+      blockNumber: 3,
+      field: "data.reading.temperature",
+      originalValue: 6,
+    });
+  });
+
+  it("should pass a tamper drill without touching the chain", async () => {
+    const audit = jest.spyOn(securityModule, "logAudit");
+    const headHash = service.getLatestBlock().currentHash;
+
+    const drill = await service.runTamperDrill({
+      blockNumber: 2,
+      field: "data.reading.temperature",
+    });
+
+    expect(drill).toMatchObject({
+      passed: true,
+      detected: true,
+      pinpointed: true,
+      target: {
+        blockNumber: 2,
+        transactionId: readings[1].id,
+        field: "data.reading.temperature",
+        originalValue: 5,
+        alteredValue: 6,
+      },
+    });
+    expect(drill.incidentReport.drill).toBe(true);
+    expect(audit).toHaveBeenCalledWith(
+      "TAMPER_DRILL",
+      service.facilityId,
+      expect.objectContaining({ passed: true })
+    );
+
+    expect(service.getBlock(2).transactions[0].data.reading.temperature).toBe(
+      5
+    );
+    expect(service.getLatestBlock().currentHash).toBe(headHash);
+    expect((await service.validateChain()).isValid).toBe(true);
+  });
+
+  it("should refuse a drill on a field the transaction does not have", async () => {
+    await expect(
+      service.runTamperDrill({ blockNumber: 2, field: "data.sensor.probe" })
+    ).rejects.toThrow(
+      `Transaction ${readings[1].id} in block #2 has no field data.sensor.probe`
+    );
+    await expect(
+      service.runTamperDrill({ blockNumber: 2, field: "data.reading.dewPoint" })
+    ).rejects.toThrow("has no field data.reading.dewPoint");
+  });
+
+  it("should fail a drill on a field outside the hashes", async () => {
+    const drill = await service.runTamperDrill({
+      blockNumber: 2,
+      field: "metadata.verificationLevel",
+    });
+
+    expect(drill).toMatchObject({ passed: false, detected: false });
+    expect(drill.incidentReport.findings).toContainEqual(
+      expect.objectContaining({
+        check: FORENSIC_CHECKS.UNPROTECTED_FIELD,
+        field: "metadata.verificationLevel",
+      })
+    );
+  });
+});
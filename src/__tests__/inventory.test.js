@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { InventoryModule, LOT_STATUS } from "../modules/inventoryModule";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage());
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+// Keep ledger timestamps of consecutive steps apart
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const recordReading = async (service, roomId, temperature) => {
+  await tick();
+  const tx = service.transactionFactory.createSensorReadingTransaction(
+    { temperature, humidity: 45 },
+    roomId
+  );
+  await service.addTransaction(tx);
+  await tick();
+};
+
+const humiraLot = {
+  medicineKey: "humira",
+  batchNumber: "HM-2026-001",
+  expiryDate: "2030-01-31",
+  quantity: 100,
+  unit: "pens",
+  roomId: "room-2-cold",
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Medicine inventory", () => {
+  let service;
+  let inventory;
+
+  beforeEach(async () => {
+    service = await createService();
+    inventory = new InventoryModule(service);
+  });
+
+  const inventoryTransactions = () =>
+    service.pendingTransactions.filter(
+      (tx) => tx.type === TRANSACTION_TYPES.MEDICINE_INVENTORY
+    );
+
+  it("should write every lot action to the ledger", async () => {
+    const lot = await inventory.receiveLot(humiraLot);
+    expect(lot).toMatchObject({
+      lotId: "humira-HM-2026-001",
+      name: "Humira (Adalimumab)",
+      quantity: 100,
+      status: LOT_STATUS.AVAILABLE,
+    });
+
+    await inventory.dispenseLot(lot.lotId, 30);
+    await inventory.quarantineLot(lot.lotId, "Freezer alarm");
+    await inventory.releaseLot(lot.lotId, "QA assessment passed");
+    await inventory.moveLot(lot.lotId, "room-3-adjuvanted");
+
+    const transactions = inventoryTransactions();
+    expect(transactions.map((tx) => tx.data.action)).toEqual([
+      "receive",
+      "dispense",
+      "quarantine",
+      "release",
+      "move",
+    ]);
+    expect(transactions.map((tx) => tx.metadata.roomId)).toEqual([
+      "room-2-cold",
+      "room-2-cold",
+      "room-2-cold",
+      "room-2-cold",
+      "room-3-adjuvanted",
+    ]);
+    expect(transactions[0].data.details).toMatchObject({
+      batchNumber: "HM-2026-001",
+      quantity: 100,
+      location: "room-2-cold",
+    });
+
+    expect(inventory.getLot(lot.lotId)).toMatchObject({
+      quantity: 70,
+      roomId: "room-3-adjuvanted",
+      status: LOT_STATUS.AVAILABLE,
+    });
+    expect(inventory.getLots("room-2-cold")).toEqual([]);
+  });
+
+  it("should reject actions the lot's state does not allow", async () => {
+    const { lotId } = await inventory.receiveLot(humiraLot);
+
+    await expect(inventory.receiveLot(humiraLot)).rejects.toThrow(
+      "Lot humira-HM-2026-001 has already been received"
+    );
+    await expect(inventory.dispenseLot(lotId, 101)).rejects.toThrow(
+      "Quantity must be between 1 and 100 pens"
+    );
+    await expect(inventory.releaseLot(lotId, "OK")).rejects.toThrow(
+      "is not quarantined"
+    );
+    await expect(inventory.moveLot(lotId, "room-2-cold")).rejects.toThrow(
+      "is already in room-2-cold"
+    );
+
+    await inventory.quarantineLot(lotId, "Excursion");
+    await expect(inventory.dispenseLot(lotId, 1)).rejects.toThrow(
+      "is quarantined"
+    );
+
+    const expired = await inventory.receiveLot({
+      ...humiraLot,
+      batchNumber: "HM-2020-001",
+      expiryDate: "2021-01-31",
+    });
+    await expect(inventory.dispenseLot(expired.lotId, 1)).rejects.toThrow(
+      "has expired"
+    );
+
+    expect(inventoryTransactions()).toHaveLength(3);
+  });
+
+  it("should deplete a lot when it is fully dispensed", async () => {
+    const { lotId } = await inventory.receiveLot(humiraLot);
+    const lot = await inventory.dispenseLot(lotId, 100);
+
+    expect(lot.status).toBe(LOT_STATUS.DEPLETED);
+    expect(lot.storageHistory[0].to).not.toBeNull();
+  });
+
+  it("should rebuild lots from mined and pending transactions", async () => {
+    const { lotId } = await inventory.receiveLot(humiraLot);
+    await inventory.dispenseLot(lotId, 10);
+    await service.mineBlock();
+    await inventory.quarantineLot(lotId, "Excursion");
+
+    const rebuilt = new InventoryModule(service);
+    expect(await rebuilt.loadFromLedger()).toBe(1);
+    expect(rebuilt.getLot(lotId)).toEqual(inventory.getLot(lotId));
+  });
+
+  it("should ignore quarantine recommendations on rebuild", async () => {
+    const { lotId } = await inventory.receiveLot(humiraLot);
+    const tx = service.transactionFactory.createMedicineInventoryTransaction(
+      lotId,
+      "quarantine",
+      { recommendation: true, roomId: "room-2-cold" }
+    );
+    await service.addTransaction(tx);
+
+    const rebuilt = new InventoryModule(service);
+    await rebuilt.loadFromLedger();
+    expect(rebuilt.getLot(lotId).status).toBe(LOT_STATUS.AVAILABLE);
+  });
+
+  it("should link a lot to the history of every room it was stored in", async () => {
+    await recordReading(service, "room-2-cold", 4);
+    const { lotId } = await inventory.receiveLot(humiraLot);
+    await recordReading(service, "room-2-cold", 5);
+    await recordReading(service, "room-3-adjuvanted", 3);
+    await inventory.moveLot(lotId, "room-3-adjuvanted");
+    await recordReading(service, "room-2-cold", 9);
+    await recordReading(service, "room-3-adjuvanted", 6);
+    await service.mineBlock();
+
+    const { stays } = await inventory.getEnvironmentalHistory(lotId);
+
+    expect(stays.map((stay) => stay.roomId)).toEqual([
+      "room-2-cold",
+      "room-3-adjuvanted",
+    ]);
+    expect(stays[0].to).toBe(stays[1].from);
+    expect(stays[0].readings.map((r) => r.temperature)).toEqual([5]);
+    expect(stays[1].readings.map((r) => r.temperature)).toEqual([6]);
+    expect(stays[1].readings[0].blockNumber).toBe(1);
+    expect(stays[1].mkt).toMatchObject({ mkt: 6, samples: 1 });
+  });
+});
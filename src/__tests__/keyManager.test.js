@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager, KEY_STATUS } from "../services/blockchain/KeyManager";
+import {
+  generateKeyPair,
+  signData,
+  verifySignature,
+  importPublicKey,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+} from "../services/blockchain/crypto";
+import {
+  createMemoryStorage,
+  createService as createFixtureService,
+  recordReading,
+} from "../testUtils/blockchainFixtures";
+
+// Keep PBKDF2 fast in tests
+const ITERATIONS = 1000;
+
+const createService = (storage) =>
+  createFixtureService({ storage, iterations: ITERATIONS });
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Passphrase-wrapped keys", () => {
+  it("should round-trip a private key and reject a wrong passphrase", async () => {
+    const keyPair = await generateKeyPair();
+    const wrapped = await wrapPrivateKey(
+      keyPair.privateKey,
+      "correct horse battery staple",
+      ITERATIONS
+    );
+
+    expect(wrapped.algorithm).toBe("PBKDF2-SHA256/AES-GCM-256");
+    expect(JSON.stringify(wrapped)).not.toContain("privateKey");
+
+    const unwrapped = await unwrapPrivateKey(
+      wrapped,
+      "correct horse battery staple"
+    );
+    const signature = await signData("payload", unwrapped);
+    expect(await verifySignature("payload", signature, keyPair.publicKey)).toBe(
+      true
+    );
+
+    await expect(unwrapPrivateKey(wrapped, "wrong")).rejects.toThrow(
+      "Incorrect passphrase"
+    );
+  });
+
+  it("should keep a protected facility key locked until unlocked", async () => {
+    const storage = createMemoryStorage();
+    const service = await createService(storage);
+    await service.protectSigningKey("facility-passphrase");
+
+    expect(storage.records.get("facility-keys").privateKey).toBeUndefined();
+
+    const restarted = new PharmaBlockchainService();
+    restarted.keyManager = new KeyManager(storage);
+    await restarted.loadOrGenerateKeys();
+    expect(restarted.privateKey).toBeNull();
+    expect(restarted.signerKeyId).toBe(service.signerKeyId);
+
+    await expect(restarted.unlockSigningKey("nope")).rejects.toThrow(
+      "Incorrect passphrase"
+    );
+    await restarted.unlockSigningKey("facility-passphrase");
+    expect(restarted.privateKey).not.toBeNull();
+  });
+});
+
+describe("Signing key rotation", () => {
+  it("should validate blocks signed before and after a rotation", async () => {
+    const service = await createService();
+    const originalKeyId = service.signerKeyId;
+
+    await recordReading(service, 5);
+    const { keyId, block: rotationBlock } = await service.rotateSigningKey({
+      reason: "annual rotation",
+    });
+    await recordReading(service, 6);
+
+    // The announcement is signed by the outgoing key
+    expect(rotationBlock.signerKeyId).toBe(originalKeyId);
+    expect(service.signerKeyId).toBe(keyId);
+    expect(service.getLatestBlock().signerKeyId).toBe(keyId);
+
+    const validation = await service.validateChain();
+    expect(validation.invalidBlocks).toEqual([]);
+    expect(validation.isValid).toBe(true);
+
+    const history = service.getKeyHistory();
+    expect(history.find((k) => k.keyId === originalKeyId).status).toBe(
+      KEY_STATUS.RETIRED
+    );
+    expect(history.find((k) => k.keyId === keyId).status).toBe(
+      KEY_STATUS.ACTIVE
+    );
+  });
+
+  it("should leave no rotation pending when announcing it fails", async () => {
+    const service = await createService();
+    jest
+      .spyOn(service.transactionFactory, "createKeyManagementTransaction")
+      .mockImplementationOnce(() => {
+        throw new Error("Announcement failed");
+      });
+
+    await expect(service.rotateSigningKey()).rejects.toThrow(
+      "Announcement failed"
+    );
+    expect(service.pendingRotation).toBeNull();
+    expect(service.pendingTransactions).toHaveLength(0);
+
+    const { keyId } = await service.rotateSigningKey();
+    expect(service.signerKeyId).toBe(keyId);
+  });
+
+  it("should reject a block signed with the retired key", async () => {
+    const service = await createService();
+    const retiredKey = service.privateKey;
+    const retiredKeyId = service.signerKeyId;
+
+    await service.rotateSigningKey();
+    await recordReading(service, 7);
+    const block = service.chain[service.chain.length - 1];
+
+    block.signerKeyId = retiredKeyId;
+    block.signature = await signData(block.currentHash, retiredKey);
+
+    const validation = await service.validateChain();
+    expect(validation.isValid).toBe(false);
+    expect(validation.invalidBlocks[0]).toMatchObject({
+      blockNumber: block.blockNumber,
+      reason: "Invalid block signature",
+    });
+  });
+
+  it("should flag blocks signed by a key after it was compromised", async () => {
+    const service = await createService();
+    const compromisedKeyId = service.signerKeyId;
+
+    await recordReading(service, 5);
+    await recordReading(service, 6);
+
+    await service.revokeKey(compromisedKeyId, {
+      reason: "key material leaked",
+      compromisedFromBlock: 2,
+    });
+    await recordReading(service, 7);
+
+    expect(service.signerKeyId).not.toBe(compromisedKeyId);
+    expect(
+      service.getKeyHistory().find((k) => k.keyId === compromisedKeyId).status
+    ).toBe(KEY_STATUS.REVOKED);
+
+    const validation = await service.validateChain();
+    expect(validation.isValid).toBe(false);
+
+    // Block 1 predates the compromise; blocks 2 and 3 carry the leaked key
+    const flagged = validation.invalidBlocks.map((b) => b.blockNumber);
+    expect(flagged).toEqual([2, 3]);
+    expect(validation.invalidBlocks[0].details).toContain("revoked");
+  });
+});
+
+describe("User signing keys", () => {
+  it("should register a wrapped key on-chain and unlock it with the passphrase", async () => {
+    const service = await createService();
+    const user = { id: "QA-01", name: "Quality Lead", role: "QUALITY_MANAGER" };
+
+    const { keyId, transactionId } = await service.registerUserSigningKey(
+      "qa-passphrase",
+      user
+    );
+    await service.mineBlock();
+
+    const onChain = service.getTransaction(transactionId).transaction;
+    expect(onChain.data).toMatchObject({
+      action: "register",
+      keyId,
+      ownerId: "QA-01",
+      ownerRole: "QUALITY_MANAGER",
+    });
+
+    const privateKey = await service.unlockUserSigningKey(
+      "qa-passphrase",
+      user.id
+    );
+    const signature = await signData("batch release", privateKey);
+    expect(
+      await verifySignature(
+        "batch release",
+        signature,
+        await importPublicKey(onChain.data.publicKey)
+      )
+    ).toBe(true);
+
+    await expect(
+      service.unlockUserSigningKey("wrong", user.id)
+    ).rejects.toThrow("Incorrect passphrase");
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import { MiningWorkerClient } from "../services/blockchain/MiningWorkerClient";
+import { calculateBlockHash } from "../services/blockchain/crypto";
+import { calculateMerkleRoot } from "../services/blockchain/MerkleTree";
+
+const createTransaction = (id) => ({
+  id,
+  type: "sensor_reading",
+  data: { roomId: "room-2-cold", value: 5 },
+  timestamp: "2024-01-01T00:00:00.000Z",
+  userId: "SYSTEM",
+  facilityId: "PHARMA_FACILITY_001",
+});
+
+const createTemplate = (blockNumber, previousHash, difficulty = 1) => ({
+  blockNumber,
+  timestamp: "2024-01-01T00:00:00.000Z",
+  previousHash,
+  transactions: [createTransaction(`tx-${blockNumber}`)],
+  difficulty,
+  minedBy: "PHARMA_FACILITY_001",
+  facilityId: "PHARMA_FACILITY_001",
+});
+
+const createGenesis = async () => {
+  const genesis = {
+    ...createTemplate(0, "0".repeat(64), 0),
+    merkleRoot: await calculateMerkleRoot([]),
+    nonce: 0,
+  };
+  genesis.currentHash = await calculateBlockHash(genesis);
+  return genesis;
+};
+
+describe("MiningWorkerClient (in-thread fallback)", () => {
+  let client;
+
+  beforeEach(() => {
+    client = new MiningWorkerClient();
+  });
+
+  it("should run without a Web Worker in this environment", () => {
+    expect(client.useWorker).toBe(false);
+  });
+
+  it("should mine a block that satisfies the difficulty target", async () => {
+    const { promise } = client.mine(createTemplate(1, "a".repeat(64), 2));
+    const { block, attempts } = await promise;
+
+    expect(block.currentHash.startsWith("00")).toBe(true);
+    expect(block.nonce).toBe(attempts - 1);
+    expect(block.merkleRoot).toBe(
+      await calculateMerkleRoot(block.transactions)
+    );
+    expect(await calculateBlockHash(block)).toBe(block.currentHash);
+  });
+
+  it("should report progress and stop when cancelled", async () => {
+    const progress = [];
+    const { jobId, promise } = client.mine(
+      createTemplate(1, "a".repeat(64), 64),
+      {
+        progressInterval: 10,
+        onProgress: (update) => {
+          progress.push(update);
+          if (progress.length === 2) client.cancel(jobId);
+        },
+      }
+    );
+
+    await expect(promise).rejects.toMatchObject({
+      name: "MiningCancelledError",
+      cancelled: true,
+    });
+    expect(progress[0]).toMatchObject({ blockNumber: 1, nonce: 10 });
+    expect(client.cancel(jobId)).toBe(false);
+  });
+
+  it("should validate a chain and detect tampering", async () => {
+    const genesis = await createGenesis();
+    const { block } = await client.mine(createTemplate(1, genesis.currentHash))
+      .promise;
+    const chain = [genesis, block];
+
+    const valid = await client.validate(chain).promise;
+    expect(valid.isValid).toBe(true);
+    expect(valid.validatedBlocks).toBe(1);
+
+    const tampered = [
+      genesis,
+      {
+        ...block,
+        transactions: [{ ...block.transactions[0], data: { value: 99 } }],
+      },
+    ];
+    const invalid = await client.validate(tampered).promise;
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.invalidBlocks[0].reason).toBe("Merkle root mismatch");
+  });
+});
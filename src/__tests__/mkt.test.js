@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+import {
+  conditionEngine,
+  MKT_ACTIVATION_ENERGY,
+} from "../engines/conditionEngine";
+import { ComplianceModule } from "../modules/complianceModule";
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.parse("2026-01-01T00:00:00.000Z");
+
+const hourly = (temperatures) =>
+  temperatures.map((temperature, index) => ({
+    timestamp: new Date(start + index * HOUR).toISOString(),
+    temperature,
+  }));
+
+describe("Mean kinetic temperature", () => {
+  it("should use 83.144 kJ/mol by default", () => {
+    const result = conditionEngine.calculateMKT([20, 30]);
+
+    expect(MKT_ACTIVATION_ENERGY).toBe(83.144);
+    expect(result).toMatchObject({
+      mkt: 26.26,
+      activationEnergy: 83.144,
+      samples: 2,
+      mean: 25,
+      min: 20,
+      max: 30,
+    });
+  });
+
+  it("should equal the temperature when it never changes", () => {
+    expect(conditionEngine.calculateMKT(hourly([5, 5, 5, 5])).mkt).toBe(5);
+  });
+
+  it("should weigh short peaks above the arithmetic mean", () => {
+    const result = conditionEngine.calculateMKT([5, 5, 25]);
+    expect(result.mkt).toBe(16.93);
+    expect(result.mkt).toBeGreaterThan(result.mean);
+  });
+
+  it("should accept a custom activation energy", () => {
+    const result = conditionEngine.calculateMKT([20, 30], {
+      activationEnergy: 60,
+    });
+    expect(result).toMatchObject({ mkt: 25.91, activationEnergy: 60 });
+
+    expect(() =>
+      conditionEngine.calculateMKT([20, 30], { activationEnergy: 0 })
+    ).toThrow("Activation energy must be a positive number");
+  });
+
+  it("should weight recorded readings by the time they cover", () => {
+    // 20°C for three hours, then 30°C for one
+    const readings = [
+      { timestamp: new Date(start).toISOString(), temperature: 20 },
+      { timestamp: new Date(start + 3 * HOUR).toISOString(), temperature: 30 },
+    ];
+    const result = conditionEngine.calculateMKT(readings, {
+      to: new Date(start + 4 * HOUR),
+    });
+    expect(result.mkt).toBe(23.64);
+  });
+
+  it("should only use readings inside the window", () => {
+    const result = conditionEngine.calculateMKT(hourly([30, 5, 5, 30]), {
+      from: new Date(start + HOUR),
+      to: new Date(start + 2 * HOUR),
+    });
+
+    expect(result).toMatchObject({
+      mkt: 5,
+      samples: 2,
+      from: new Date(start + HOUR).toISOString(),
+      to: new Date(start + 2 * HOUR).toISOString(),
+    });
+    expect(
+      conditionEngine.calculateMKT(hourly([5]), { from: new Date(start + 1) })
+    ).toBeNull();
+  });
+
+  it("should cover a batch from the time it was received", () => {
+    const result = conditionEngine.calculateBatchMKT(
+      {
+        id: "med-1",
+        name: "Insulin",
+        batch: "BATCH-1",
+        receivedAt: new Date(start + 2 * HOUR).toISOString(),
+      },
+      hourly([25, 25, 5, 5])
+    );
+
+    expect(result).toMatchObject({
+      mkt: 5,
+      samples: 2,
+      batch: "BATCH-1",
+      medicineId: "med-1",
+    });
+  });
+});
+
+describe("MKT in compliance reports", () => {
+  let compliance;
+  const room = (violations) => ({
+    id: "room-2-cold",
+    name: "Cold Storage",
+    conditions: {
+      temperature: { current: 5, min: 2, max: 8, history: [] },
+    },
+    medicines: [
+      {
+        id: "med-1",
+        name: "Insulin",
+        batch: "BATCH-1",
+        receivedAt: new Date(start + 2 * HOUR).toISOString(),
+      },
+    ],
+    compliance: { violations },
+  });
+  const period = {
+    start: new Date(start).toISOString(),
+    end: new Date(start + 4 * HOUR).toISOString(),
+  };
+
+  beforeEach(() => {
+    compliance = new ComplianceModule();
+  });
+
+  it("should report room and batch MKT from recorded readings", () => {
+    const report = compliance.generate21CFRPart211Report(room([]), period, {
+      temperatureReadings: hourly([12, 12, 5, 5]),
+    });
+
+    expect(report.detailed.meanKineticTemperature).toMatchObject({
+      status: "non-compliant",
+      withinLimits: false,
+      allowedRange: { min: 2, max: 8 },
+      activationEnergy: 83.144,
+      batches: [
+        expect.objectContaining({
+          batch: "BATCH-1",
+          mkt: 5,
+          withinLimits: true,
+        }),
+      ],
+    });
+  });
+
+  it("should quarantine on an excursion only when MKT leaves the range", () => {
+    const excursion = {
+      parameter: "temperature",
+      severity: "medium",
+      duration: 30,
+    };
+
+    const brief = compliance.generate21CFRPart211Report(
+      room([excursion]),
+      period,
+      { temperatureReadings: hourly([5, 5, 10, 5]) }
+    );
+    expect(brief.deviations[0].impact).toMatchObject({
+      mktWithinLimits: true,
+      quarantineRequired: false,
+    });
+
+    const sustained = compliance.generate21CFRPart211Report(
+      room([excursion]),
+      period,
+      { temperatureReadings: hourly([10, 11, 12, 10]) }
+    );
+    expect(sustained.deviations[0].impact).toMatchObject({
+      mktWithinLimits: false,
+      quarantineRequired: true,
+    });
+  });
+
+  it("should report no data without readings", () => {
+    const report = compliance.generate21CFRPart211Report(room([]), period);
+    expect(report.detailed.meanKineticTemperature.status).toBe("no-data");
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * @jest-environment node
+ */
+import { AlertEngine, CHANNELS } from "../services/alertEngine";
+import {
+  NotificationDispatcher,
+  RECEIPT_STATUS,
+  SmtpEmailAdapter,
+  SmsGatewayAdapter,
+  WebPushAdapter,
+  RelayOutputAdapter,
+  createLocalAdapter,
+  createLocalGateway,
+  formatNotification,
+} from "../services/notifications";
+
+const alert = {
+  id: "room-1-temp-emergency-high-1",
+  ruleId: "temp-emergency-high",
+  roomId: "room-1",
+  roomName: "Cold Room A",
+  severity: "critical",
+  message: "EMERGENCY: Temperature at 12°C exceeds emergency threshold",
+  timestamp: "2026-01-05T10:00:00.000Z",
+  actions: ["notify-pharmacist"],
+  channels: [CHANNELS.UI, CHANNELS.SMS, CHANNELS.ALARM],
+};
+
+// No waiting between retries
+const createDispatcher = (options = {}, now = () => Date.now()) => {
+  const sleep = jest.fn().mockResolvedValue();
+  const dispatcher = new NotificationDispatcher(options, { sleep, now });
+  return { dispatcher, sleep };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Notification dispatch", () => {
+  it("should send each alert channel to its recipients and skip UI", async () => {
+    const sms = createLocalAdapter(CHANNELS.SMS);
+    const alarm = createLocalAdapter(CHANNELS.ALARM);
+    const email = createLocalAdapter(CHANNELS.EMAIL);
+    const { dispatcher } = createDispatcher({
+      adapters: [sms, alarm, email],
+      recipients: {
+        [CHANNELS.SMS]: ["+441234000001", "+441234000002"],
+        [CHANNELS.ALARM]: ["beacon-1"],
+        [CHANNELS.EMAIL]: ["qa@example.com"],
+      },
+    });
+
+    const receipts = await dispatcher.dispatch(alert, "new");
+    expect(receipts.map((r) => [r.channel, r.recipient, r.status])).toEqual([
+      [CHANNELS.SMS, "+441234000001", RECEIPT_STATUS.DELIVERED],
+      [CHANNELS.SMS, "+441234000002", RECEIPT_STATUS.DELIVERED],
+      [CHANNELS.ALARM, "beacon-1", RECEIPT_STATUS.DELIVERED],
+    ]);
+    expect(receipts[0].messageId).toBe("sms-1");
+    // EMAIL is not one of the alert's channels
+    expect(email.sent).toEqual([]);
+    expect(dispatcher.getReceipts({ alertId: alert.id })).toHaveLength(3);
+  });
+
+  it("should only tell the alarm relay once an alert is acknowledged", async () => {
+    const sms = createLocalAdapter(CHANNELS.SMS);
+    const alarm = createLocalAdapter(CHANNELS.ALARM);
+    const { dispatcher } = createDispatcher({
+      adapters: [sms, alarm],
+      recipients: {
+        [CHANNELS.SMS]: ["+441234000001"],
+        [CHANNELS.ALARM]: ["beacon-1"],
+      },
+    });
+
+    await dispatcher.dispatch(alert, "acknowledged");
+    expect(sms.sent).toEqual([]);
+    expect(alarm.sent.map((n) => n.event)).toEqual(["acknowledged"]);
+  });
+
+  it("should retry with backoff until the gateway accepts", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const sms = createLocalAdapter(CHANNELS.SMS, { failures: 2 });
+    const { dispatcher, sleep } = createDispatcher({
+      adapters: [sms],
+      recipients: { [CHANNELS.SMS]: ["+441234000001"] },
+      policies: { [CHANNELS.SMS]: { jitter: 0 } },
+    });
+
+    const [receipt] = await dispatcher.dispatch(alert);
+    expect(receipt).toMatchObject({
+      status: RECEIPT_STATUS.DELIVERED,
+      attempts: 3,
+    });
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([2000, 4000]);
+  });
+
+  it("should give up after the channel's attempts or a rejected request", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const alarm = createLocalAdapter(CHANNELS.ALARM, { failures: Infinity });
+    const sms = createLocalAdapter(CHANNELS.SMS, {
+      failures: Infinity,
+      retryable: false,
+    });
+    const { dispatcher } = createDispatcher({
+      adapters: [alarm, sms],
+      recipients: {
+        [CHANNELS.ALARM]: ["beacon-1"],
+        [CHANNELS.SMS]: ["+441234000001"],
+      },
+    });
+
+    await dispatcher.dispatch(alert);
+    expect(alarm.attempts).toHaveLength(5);
+    expect(sms.attempts).toHaveLength(1);
+    expect(
+      dispatcher.getReceipts({ status: RECEIPT_STATUS.FAILED }).length
+    ).toBe(2);
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should rate limit a channel within its window", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    let now = 0;
+    const sms = createLocalAdapter(CHANNELS.SMS);
+    const { dispatcher } = createDispatcher(
+      {
+        adapters: [sms],
+        recipients: { [CHANNELS.SMS]: ["+441234000001"] },
+        policies: { [CHANNELS.SMS]: { rateLimit: { max: 2, window: 1000 } } },
+      },
+      () => now
+    );
+
+    for (let i = 0; i < 3; i++) {
+      await dispatcher.dispatch({ ...alert, id: `alert-${i}` });
+    }
+    now = 1000;
+    await dispatcher.dispatch({ ...alert, id: "alert-3" });
+
+    expect(sms.sent.map((n) => n.alert.id)).toEqual([
+      "alert-0",
+      "alert-1",
+      "alert-3",
+    ]);
+    expect(dispatcher.getStats()[CHANNELS.SMS]).toEqual({
+      delivered: 3,
+      failed: 0,
+      rate_limited: 1,
+    });
+  });
+
+  it("should use the adapter registered last for a channel", async () => {
+    const first = createLocalAdapter(CHANNELS.SMS);
+    const replacement = createLocalAdapter(CHANNELS.SMS);
+    const { dispatcher } = createDispatcher({
+      adapters: [first],
+      recipients: { [CHANNELS.SMS]: ["+441234000001"] },
+    });
+    dispatcher.registerAdapter(replacement);
+
+    await dispatcher.dispatch(alert);
+    expect(first.sent).toEqual([]);
+    expect(replacement.sent).toHaveLength(1);
+    expect(() =>
+      dispatcher.registerAdapter(createLocalAdapter(CHANNELS.UI))
+    ).toThrow("The UI channel is served by alertEngine subscribers");
+  });
+
+  it("should dispatch alertEngine events once attached", async () => {
+    const engine = new AlertEngine();
+    const alarm = createLocalAdapter(CHANNELS.ALARM);
+    const { dispatcher } = createDispatcher({
+      adapters: [alarm],
+      recipients: { [CHANNELS.ALARM]: ["beacon-1"] },
+    });
+    const receipts = [];
+    dispatcher.subscribe((event, receipt) => receipts.push(receipt));
+    const detach = dispatcher.attach(engine);
+
+    engine.handleNewAlert(alert, { id: alert.ruleId });
+    engine.acknowledgeAlert(alert.id, "qa-1");
+    await new Promise((resolve) => setImmediate(resolve));
+    detach();
+
+    expect(alarm.sent.map((n) => n.event)).toEqual(["new", "acknowledged"]);
+    expect(receipts).toHaveLength(2);
+  });
+});
+
+describe("Channel adapters", () => {
+  const notification = (event = "new", recipient = "to") => ({
+    alert,
+    event,
+    recipient,
+    ...formatNotification(alert, event),
+  });
+
+  it("should post each channel's request to its gateway", async () => {
+    const gateway = createLocalGateway();
+    const deps = { fetch: gateway };
+
+    await new SmtpEmailAdapter(
+      { endpoint: "https://relay/email", from: "alerts@example.com" },
+      deps
+    ).send(notification("new", "qa@example.com"));
+    await new SmsGatewayAdapter(
+      { endpoint: "https://relay/sms", sender: "PHARMA", apiKey: "k" },
+      deps
+    ).send(notification("new", "+441234000001"));
+    await new WebPushAdapter({ endpoint: "https://relay/push" }, deps).send(
+      notification("escalated", { endpoint: "https://push/abc" })
+    );
+    const relay = new RelayOutputAdapter(
+      { endpoint: "https://relay/io" },
+      deps
+    );
+    const result = await relay.send(notification("new", "beacon-1"));
+    await relay.send(notification("resolved", "beacon-1"));
+
+    const [email, sms, push, on, off] = gateway.requests;
+    expect(email.body).toMatchObject({
+      from: "alerts@example.com",
+      to: "qa@example.com",
+      subject: expect.stringContaining("[CRITICAL] Cold Room A"),
+    });
+    expect(sms.headers.Authorization).toBe("Bearer k");
+    expect(sms.body.text.length).toBeLessThanOrEqual(160);
+    expect(push.body).toMatchObject({
+      subscription: { endpoint: "https://push/abc" },
+      urgency: "high",
+      payload: { tag: alert.id, title: expect.stringMatching(/^ESCALATED/) },
+    });
+    expect([on.body.state, off.body.state]).toEqual(["on", "off"]);
+    expect(result).toEqual({ messageId: "msg-1" });
+  });
+
+  it("should retry server errors but not rejected requests", async () => {
+    const adapter = (status) =>
+      new SmsGatewayAdapter(
+        { endpoint: "https://relay/sms" },
+        { fetch: createLocalGateway(() => ({ status })) }
+      );
+
+    await expect(adapter(503).send(notification())).rejects.toMatchObject({
+      status: 503,
+      retryable: true,
+    });
+    await expect(adapter(400).send(notification())).rejects.toMatchObject({
+      status: 400,
+      retryable: false,
+    });
+    expect(() => new SmsGatewayAdapter({})).toThrow(
+      "An endpoint is required for the sms channel"
+    );
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * @jest-environment node
+ */
+import {
+  AlertEngine,
+  CHANNELS,
+  ESCALATION_EVENTS,
+} from "../services/alertEngine";
+import {
+  OnCallRoster,
+  createMemoryRosterStorage,
+} from "../services/onCallRoster";
+import { SecurityModule } from "../modules/securityModule";
+import {
+  NotificationDispatcher,
+  createLocalAdapter,
+} from "../services/notifications";
+
+const MINUTE = 60 * 1000;
+
+// Monday 5 January 2026, local time
+const at = (day, hours, minutes = 0) =>
+  new Date(2026, 0, 5 + day, hours, minutes);
+
+const members = [
+  {
+    id: "tech-day",
+    name: "Dana Day",
+    role: "TECHNICIAN",
+    contacts: { sms: "+441234000001" },
+  },
+  {
+    id: "tech-night",
+    name: "Nico Night",
+    role: "TECHNICIAN",
+    contacts: { sms: "+441234000002" },
+  },
+  {
+    id: "sup",
+    name: "Sam Supervisor",
+    role: "SUPERVISOR",
+    contacts: { sms: "+441234000003" },
+  },
+  {
+    id: "qa",
+    name: "Quinn QA",
+    role: "QUALITY_MANAGER",
+    contacts: { sms: "+441234000004", email: "qa@example.com" },
+  },
+];
+
+const createRoster = () =>
+  new OnCallRoster({
+    members,
+    shifts: [
+      {
+        memberId: "tech-day",
+        days: [1, 2, 3, 4, 5],
+        start: "08:00",
+        end: "20:00",
+      },
+      {
+        memberId: "tech-night",
+        days: [1, 2, 3, 4, 5],
+        start: "20:00",
+        end: "08:00",
+      },
+      { memberId: "tech-night", start: "00:00", end: "24:00", holiday: true },
+      { memberId: "sup" },
+      { memberId: "qa" },
+    ],
+    holidays: [{ date: "2026-01-07", name: "Site shutdown" }],
+  });
+
+const onCall = (roster, role, date) =>
+  roster.getOnCall(role, date).map((member) => member.id);
+
+describe("On-call roster", () => {
+  it("should follow day and overnight shifts", () => {
+    const roster = createRoster();
+    expect(onCall(roster, "TECHNICIAN", at(0, 10))).toEqual(["tech-day"]);
+    expect(onCall(roster, "TECHNICIAN", at(0, 22))).toEqual(["tech-night"]);
+    // Friday's night shift runs into Saturday morning
+    expect(onCall(roster, "TECHNICIAN", at(5, 7, 59))).toEqual(["tech-night"]);
+    expect(onCall(roster, "TECHNICIAN", at(5, 8))).toEqual([]);
+  });
+
+  it("should use holiday shifts on holidays", () => {
+    const roster = createRoster();
+    expect(onCall(roster, "TECHNICIAN", at(2, 10))).toEqual(["tech-night"]);
+    // No regular night shift starts on the holiday
+    expect(onCall(roster, "TECHNICIAN", at(3, 7))).toEqual([]);
+  });
+
+  it("should put overrides in place of the rota while they last", () => {
+    const roster = createRoster();
+    roster.addOverride({
+      memberId: "tech-night",
+      role: "TECHNICIAN",
+      from: at(0, 12),
+      to: at(0, 14),
+      reason: "Cover for appointment",
+    });
+
+    expect(onCall(roster, "TECHNICIAN", at(0, 13))).toEqual(["tech-night"]);
+    expect(onCall(roster, "TECHNICIAN", at(0, 14))).toEqual(["tech-day"]);
+    expect(() =>
+      roster.addOverride({ memberId: "sup", from: at(0, 14), to: at(0, 12) })
+    ).toThrow("An override must end after it starts");
+  });
+
+  it("should store the roster and keep it when an update is invalid", async () => {
+    const storage = createMemoryRosterStorage();
+    const security = new SecurityModule();
+    await new OnCallRoster({}, { storage, security }).updateRoster(
+      createRoster().toJSON()
+    );
+
+    const restored = new OnCallRoster({}, { storage, security });
+    await restored.restore();
+    expect(onCall(restored, "TECHNICIAN", at(0, 10))).toEqual(["tech-day"]);
+    expect(restored.isHoliday(at(2, 10))).toBe(true);
+
+    await expect(
+      restored.updateRoster({
+        members: [{ id: "x", name: "X", role: "JANITOR" }],
+      })
+    ).rejects.toThrow("Unknown role: JANITOR");
+    expect(onCall(restored, "TECHNICIAN", at(0, 10))).toEqual(["tech-day"]);
+    expect(
+      security.getAuditLog({ action: "ON_CALL_ROSTER_UPDATED" })
+    ).toHaveLength(1);
+  });
+
+  it("should only accept securityModule roles", () => {
+    const roster = createRoster();
+    expect(() =>
+      roster.addMember({ id: "x", name: "X", role: "JANITOR" })
+    ).toThrow("Unknown role: JANITOR");
+    expect(() =>
+      new AlertEngine().setEscalationPolicy({
+        id: "bad",
+        tiers: [{ name: "Nobody", role: "NOBODY", delay: 0 }],
+      })
+    ).toThrow("Unknown role in escalation policy: NOBODY");
+  });
+});
+
+describe("Alert escalation", () => {
+  let roster;
+  let engine;
+  let rule;
+  let events;
+
+  const raise = () => {
+    const alert = engine.createAlert(rule, {
+      id: "room-1",
+      name: "Cold Room A",
+      conditions: { temperature: { value: 12, unit: "°C" } },
+    });
+    engine.handleNewAlert(alert, rule);
+    return engine.activeAlerts.get(`room-1-${rule.id}`);
+  };
+
+  const timeline = (alert) =>
+    alert.escalation.timeline.map((entry) =>
+      [entry.type, entry.role, entry.members?.map((m) => m.id)].filter(Boolean)
+    );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(at(0, 10));
+    roster = createRoster();
+    engine = new AlertEngine({ roster });
+    rule = engine.rules.find((r) => r.id === "temp-emergency-high");
+    events = [];
+    engine.subscribe(({ type, alert }) =>
+      events.push([type, alert.escalation?.current?.role])
+    );
+  });
+
+  afterEach(() => {
+    engine.clearAllAlerts();
+    jest.useRealTimers();
+  });
+
+  it("should step through technician, supervisor and QA manager", () => {
+    const alert = raise();
+    expect(events).toEqual([["new", "TECHNICIAN"]]);
+
+    // The rule's escalation.after sets the first step up
+    jest.advanceTimersByTime(5 * MINUTE);
+    expect(alert.escalated).toBe(true);
+    expect(alert.escalationActions).toEqual(rule.escalation.actions);
+    jest.advanceTimersByTime(10 * MINUTE);
+    jest.advanceTimersByTime(60 * MINUTE);
+
+    expect(events).toEqual([
+      ["new", "TECHNICIAN"],
+      ["escalated", "SUPERVISOR"],
+      ["escalated", "QUALITY_MANAGER"],
+    ]);
+    expect(timeline(alert)).toEqual([
+      [ESCALATION_EVENTS.NOTIFIED, "TECHNICIAN", ["tech-day"]],
+      [ESCALATION_EVENTS.NOTIFIED, "SUPERVISOR", ["sup"]],
+      [ESCALATION_EVENTS.NOTIFIED, "QUALITY_MANAGER", ["qa"]],
+    ]);
+  });
+
+  it("should stop escalating once acknowledged", () => {
+    const alert = raise();
+    jest.advanceTimersByTime(5 * MINUTE);
+    engine.acknowledgeAlert(alert.id, "sup");
+    jest.advanceTimersByTime(60 * MINUTE);
+
+    expect(events.map(([type]) => type)).toEqual([
+      "new",
+      "escalated",
+      "acknowledged",
+    ]);
+    expect(alert.escalation.current).toBeNull();
+    expect(alert.escalation.timeline[2]).toMatchObject({
+      type: ESCALATION_EVENTS.ACKNOWLEDGED,
+      by: "sup",
+      at: new Date(at(0, 10, 5)).toISOString(),
+    });
+  });
+
+  it("should skip tiers with nobody on call", () => {
+    jest.setSystemTime(at(5, 9)); // Saturday: no technician shift
+    roster.load({ members, shifts: [{ memberId: "qa" }] });
+
+    const alert = raise();
+    expect(events).toEqual([["new", "QUALITY_MANAGER"]]);
+    expect(timeline(alert)).toEqual([
+      [ESCALATION_EVENTS.NO_ONE_ON_CALL, "TECHNICIAN"],
+      [ESCALATION_EVENTS.NO_ONE_ON_CALL, "SUPERVISOR"],
+      [ESCALATION_EVENTS.NOTIFIED, "QUALITY_MANAGER", ["qa"]],
+    ]);
+
+    engine.clearAlert("room-1", rule.id);
+    expect(alert.escalation.timeline.pop().type).toBe(
+      ESCALATION_EVENTS.RESOLVED
+    );
+  });
+
+  it("should record an exhausted escalation when nobody can be reached", () => {
+    roster.load({ members });
+    const alert = raise();
+
+    expect(alert.escalation.current).toBeNull();
+    expect(timeline(alert).map(([type]) => type)).toEqual([
+      ESCALATION_EVENTS.NO_ONE_ON_CALL,
+      ESCALATION_EVENTS.NO_ONE_ON_CALL,
+      ESCALATION_EVENTS.NO_ONE_ON_CALL,
+      ESCALATION_EVENTS.EXHAUSTED,
+    ]);
+  });
+
+  it("should page the on-call tier at their own contact", async () => {
+    const sms = createLocalAdapter(CHANNELS.SMS);
+    const dispatcher = new NotificationDispatcher({
+      adapters: [sms],
+      recipients: { [CHANNELS.SMS]: ["+441234999999"] },
+    });
+    dispatcher.attach(engine);
+
+    raise();
+    jest.advanceTimersByTime(5 * MINUTE);
+    jest.useRealTimers();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(sms.sent.map((n) => [n.event, n.recipient]).sort()).toEqual([
+      ["escalated", "+441234000003"],
+      ["escalated", "+441234999999"],
+      ["new", "+441234000001"],
+      ["new", "+441234999999"],
+    ]);
+  });
+});
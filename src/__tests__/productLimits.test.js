@@ -0,0 +1,213 @@
+import {
+  parseStorageTemp,
+  deriveProductLimits,
+  applyProductLimits,
+} from "../services/productLimits";
+import {
+  calculateRoomStatus,
+  generateAlerts,
+} from "../services/statusCalculator";
+import { AlertEngine } from "../services/alertEngine";
+import inventoryModule, { LOT_STATUS } from "../modules/inventoryModule";
+
+// Inventory lots served to applyProductLimits() by inventoryModule
+let lots;
+let roomCount = 0;
+
+beforeEach(() => {
+  lots = [];
+  jest
+    .spyOn(inventoryModule, "getLots")
+    .mockImplementation((roomId) =>
+      lots.filter((lot) => lot.roomId === roomId)
+    );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A room with one available lot of each product
+const createRoom = (products, temperature = {}) => {
+  const id = `room-${++roomCount}`;
+  products.forEach((medicineKey) =>
+    lots.push({
+      lotId: `${medicineKey}-${id}`,
+      medicineKey,
+      roomId: id,
+      status: LOT_STATUS.AVAILABLE,
+    })
+  );
+  return {
+    id,
+    name: "Test Room",
+    conditions: {
+      temperature: { current: 5, min: 0, max: 10, unit: "°C", ...temperature },
+    },
+  };
+};
+
+describe("parseStorageTemp", () => {
+  it("should parse ranges and open-ended specifications", () => {
+    expect(parseStorageTemp("2°C to 8°C")).toEqual({ min: 2, max: 8 });
+    expect(parseStorageTemp("-90°C to -60°C")).toEqual({ min: -90, max: -60 });
+    expect(parseStorageTemp("-60°C or below")).toEqual({
+      min: -Infinity,
+      max: -60,
+    });
+    expect(parseStorageTemp("15°C or above")).toEqual({
+      min: 15,
+      max: Infinity,
+    });
+  });
+
+  it("should return null for unknown specifications", () => {
+    expect(parseStorageTemp("Room temperature")).toBeNull();
+    expect(parseStorageTemp(undefined)).toBeNull();
+  });
+});
+
+describe("deriveProductLimits", () => {
+  it("should use the strictest overlap of the room and its products", () => {
+    const limits = deriveProductLimits({ min: 0, max: 25 }, [
+      "stamaril",
+      "augmentin-ds",
+    ]);
+
+    expect(limits).toMatchObject({
+      min: 15,
+      max: 25,
+      source: "products",
+      conflicts: [],
+    });
+    expect(limits.products.map((product) => product.key)).toEqual([
+      "stamaril",
+      "augmentin-ds",
+    ]);
+  });
+
+  it("should keep configured limits when the room has no known products", () => {
+    expect(
+      deriveProductLimits({ min: 3, max: 8 }, ["unknown-product"])
+    ).toMatchObject({ min: 3, max: 8, source: "room", products: [] });
+  });
+
+  it("should report incompatible products and keep configured limits", () => {
+    const limits = deriveProductLimits({ min: -90, max: -60 }, [
+      "kymriah",
+      "viral-seed",
+    ]);
+
+    expect(limits).toMatchObject({ min: -90, max: -60, source: "room" });
+    expect(limits.conflicts).toHaveLength(1);
+    expect(limits.conflicts[0].products).toEqual(["kymriah", "viral-seed"]);
+    expect(limits.conflicts[0].message).toContain("cannot share a room");
+  });
+
+  it("should report products outside the room's configured range", () => {
+    const limits = deriveProductLimits({ min: 2, max: 8 }, ["comirnaty"]);
+    expect(limits.conflicts[0].products).toEqual(["room", "comirnaty"]);
+  });
+});
+
+describe("applyProductLimits", () => {
+  it("should replace temperature limits and keep the configured ones", () => {
+    const room = applyProductLimits(createRoom(["humira"]));
+
+    expect(room.conditions.temperature).toMatchObject({
+      min: 2,
+      max: 8,
+      configuredMin: 0,
+      configuredMax: 10,
+    });
+    expect(room.productLimits.source).toBe("products");
+  });
+
+  it("should derive from the configured limits when applied again", () => {
+    const room = applyProductLimits(createRoom(["humira"]));
+    lots[0].status = LOT_STATUS.DEPLETED;
+    const rederived = applyProductLimits(room);
+
+    expect(rederived.conditions.temperature).toMatchObject({ min: 0, max: 10 });
+  });
+
+  it("should take products from the lots stored in the room", () => {
+    const room = createRoom([]);
+    expect(applyProductLimits(room).productLimits.source).toBe("room");
+
+    lots.push({
+      lotId: "humira-moved",
+      medicineKey: "humira",
+      roomId: room.id,
+      status: LOT_STATUS.QUARANTINED,
+    });
+    expect(applyProductLimits(room).productLimits.products).toEqual([
+      expect.objectContaining({ key: "humira", min: 2, max: 8 }),
+    ]);
+    expect(inventoryModule.getLots).toHaveBeenCalledWith(room.id);
+  });
+
+  it("should leave rooms without a temperature condition unchanged", () => {
+    const room = { id: "room-test", conditions: {} };
+    expect(applyProductLimits(room)).toBe(room);
+  });
+});
+
+describe("Status and alerts with product limits", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should rate a room against the limits of its stored products", () => {
+    const configuredOnly = createRoom([], { current: 9 });
+    const withProducts = createRoom(["humira"], { current: 9 });
+
+    expect(calculateRoomStatus(configuredOnly)).toBe("green");
+    expect(calculateRoomStatus(withProducts)).toBe("red");
+
+    const [alert] = generateAlerts([withProducts]);
+    expect(alert).toMatchObject({
+      condition: "temperature",
+      severity: "critical",
+    });
+    expect(alert.message).toContain("Range: 2-8");
+  });
+
+  it("should warn when incompatible products share a room", () => {
+    const room = createRoom(["kymriah", "viral-seed"], {
+      current: -75,
+      min: -90,
+      max: -60,
+    });
+
+    const alerts = generateAlerts([room]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      condition: "productCompatibility",
+      severity: "warning",
+    });
+  });
+
+  it("should evaluate alert rules against product limits", () => {
+    const alertEngine = new AlertEngine();
+    const alerts = alertEngine.evaluateRoom(
+      createRoom(["humira"], { current: 9 })
+    );
+    expect(alerts.map((alert) => alert.ruleId)).toContain("temp-warning-high");
+
+    const conflicting = alertEngine.evaluateRoom(
+      createRoom(["kymriah", "viral-seed"], {
+        current: -75,
+        min: -90,
+        max: -60,
+      })
+    );
+    expect(conflicting.map((alert) => alert.ruleId)).toContain(
+      "product-storage-conflict"
+    );
+  });
+});
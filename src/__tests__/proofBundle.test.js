@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+import {
+  verifyProofBundle,
+  getPublicKeyFingerprint,
+} from "../services/blockchain/proofBundle";
+import { createKeyedService } from "../testUtils/blockchainFixtures";
+
+// Round-trip through JSON as an inspector would receive it
+const ship = (bundle) => JSON.parse(JSON.stringify(bundle));
+
+describe("Transaction proof bundles", () => {
+  let service;
+  let txIds;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    service = await createKeyedService();
+
+    txIds = [];
+    for (let i = 0; i < 3; i++) {
+      const tx = service.transactionFactory.createSensorReadingTransaction(
+        { temperature: 4 + i, humidity: 45 },
+        "room-2-cold"
+      );
+      txIds.push(await service.addTransaction(tx));
+    }
+    await service.mineBlock();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should verify every transaction in a block, including an unpaired last leaf", async () => {
+    for (const txId of txIds) {
+      const bundle = ship(await service.exportProofBundle(txId));
+      const result = await verifyProofBundle(bundle);
+
+      expect(result.errors).toEqual([]);
+      expect(result.verified).toBe(true);
+      expect(result.checks).toMatchObject({
+        transactionHash: true,
+        merklePath: true,
+        blockHash: true,
+        proofOfWork: true,
+        blockSignature: true,
+        transactionSignature: true,
+      });
+    }
+  });
+
+  it("should be returned by verifyTransaction", async () => {
+    const result = await service.verifyTransaction(txIds[0]);
+    expect(result.verified).toBe(true);
+    expect(result.proofBundle.transaction.id).toBe(txIds[0]);
+    expect(result.proofBundle.blockHeader.currentHash).toBe(result.blockHash);
+  });
+
+  it("should detect an altered reading", async () => {
+    const bundle = ship(await service.exportProofBundle(txIds[1]));
+    bundle.transaction.data.reading.temperature = 2.5;
+
+    const result = await verifyProofBundle(bundle);
+    expect(result.verified).toBe(false);
+    expect(result.checks.transactionHash).toBe(false);
+    expect(result.checks.transactionSignature).toBe(false);
+  });
+
+  it("should detect an altered block header", async () => {
+    const bundle = ship(await service.exportProofBundle(txIds[0]));
+    bundle.blockHeader.timestamp = "2020-01-01T00:00:00.000Z";
+
+    const result = await verifyProofBundle(bundle);
+    expect(result.verified).toBe(false);
+    expect(result.checks.blockHash).toBe(false);
+  });
+
+  it("should check the signer against a published fingerprint", async () => {
+    const bundle = ship(await service.exportProofBundle(txIds[0]));
+
+    const trusted = await verifyProofBundle(bundle, {
+      trustedFingerprint: await getPublicKeyFingerprint(service.publicKey),
+    });
+    expect(trusted.verified).toBe(true);
+
+    const untrusted = await verifyProofBundle(bundle, {
+      trustedFingerprint: "not-the-facility-key",
+    });
+    expect(untrusted.verified).toBe(false);
+    expect(untrusted.checks.trustedSigner).toBe(false);
+  });
+});
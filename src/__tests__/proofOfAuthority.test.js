@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+import {
+  CONSENSUS_TYPES,
+  createAuthorityConfig,
+  createSeal,
+} from "../services/blockchain/proofOfAuthority";
+import { mineBlockData } from "../services/blockchain/miningCore";
+import {
+  generateKeyPair,
+  exportPublicKey,
+} from "../services/blockchain/crypto";
+import { createKeyedService } from "../testUtils/blockchainFixtures";
+
+const createTransaction = (id) => ({
+  id,
+  type: "sensor_reading",
+  data: { roomId: "room-2-cold", value: 5 },
+  timestamp: new Date().toISOString(),
+  userId: "SYSTEM",
+  facilityId: "PHARMA_FACILITY_001",
+});
+
+const queue = (service, count) => {
+  for (let i = 0; i < count; i++) {
+    service.pendingTransactions.push(
+      createTransaction(`tx-${service.chain.length}-${i}`)
+    );
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("createAuthorityConfig", () => {
+  it("should reject thresholds larger than the sealer set", () => {
+    expect(() =>
+      createAuthorityConfig({
+        sealers: [{ id: "A", publicKey: "key" }],
+        threshold: 2,
+      })
+    ).toThrow("exceeds");
+  });
+
+  it("should reject duplicate sealers", () => {
+    expect(() =>
+      createAuthorityConfig({
+        sealers: [
+          { id: "A", publicKey: "key" },
+          { id: "A", publicKey: "key" },
+        ],
+      })
+    ).toThrow("Duplicate sealer");
+  });
+});
+
+describe("Proof of authority sealing", () => {
+  let service;
+  let qaKeys;
+
+  beforeEach(async () => {
+    service = await createKeyedService();
+    qaKeys = await generateKeyPair();
+    await service.configureConsensus(CONSENSUS_TYPES.PROOF_OF_AUTHORITY, {
+      sealers: [
+        {
+          id: "QA-01",
+          role: "quality_manager",
+          publicKey: await exportPublicKey(qaKeys.publicKey),
+        },
+      ],
+      threshold: 2,
+    });
+  });
+
+  it("should hold a sealed block until the co-signature threshold is met", async () => {
+    queue(service, 2);
+    const block = await service.mineBlock();
+
+    expect(block.difficulty).toBe(0);
+    expect(block.consensus).toEqual({
+      type: CONSENSUS_TYPES.PROOF_OF_AUTHORITY,
+      threshold: 2,
+    });
+    expect(block.seals).toHaveLength(1);
+    expect(service.getChainLength()).toBe(1);
+    expect(service.getBlockAwaitingSeals()).toBe(block);
+
+    const result = await service.cosignBlock("QA-01", qaKeys.privateKey);
+    expect(result.committed).toBe(true);
+    expect(service.getChainLength()).toBe(2);
+    expect(service.pendingTransactions).toHaveLength(0);
+
+    const validation = await service.validateChain();
+    expect(validation.isValid).toBe(true);
+  });
+
+  it("should reject seals from unauthorized keys", async () => {
+    queue(service, 1);
+    const block = await service.mineBlock();
+    const rogue = await generateKeyPair();
+
+    await expect(
+      service.addSeal(
+        await createSeal(block.currentHash, "QA-01", rogue.privateKey)
+      )
+    ).rejects.toThrow("rejected");
+    await expect(
+      service.addSeal(
+        await createSeal(block.currentHash, "ROGUE", rogue.privateKey)
+      )
+    ).rejects.toThrow("rejected");
+    expect(service.getChainLength()).toBe(1);
+  });
+
+  it("should fail validation when a committed block loses a seal", async () => {
+    queue(service, 1);
+    await service.mineBlock();
+    await service.cosignBlock("QA-01", qaKeys.privateKey);
+
+    service.chain[1].seals = service.chain[1].seals.slice(0, 1);
+
+    const validation = await service.validateChain();
+    expect(validation.isValid).toBe(false);
+    expect(validation.invalidBlocks[0].reason).toBe("Invalid authority seals");
+  });
+
+  it("should keep verifying proof-of-work blocks mined before the switch", async () => {
+    const { block: powBlock } = await mineBlockData(
+      {
+        blockNumber: 1,
+        timestamp: new Date().toISOString(),
+        previousHash: service.chain[0].currentHash,
+        transactions: [createTransaction("tx-pow")],
+        difficulty: 2,
+        minedBy: service.facilityId,
+        facilityId: service.facilityId,
+      },
+      { privateKey: service.privateKey }
+    );
+    service.chain.push(powBlock);
+
+    queue(service, 1);
+    await service.mineBlock();
+    await service.cosignBlock("QA-01", qaKeys.privateKey);
+
+    const validation = await service.validateChain();
+    expect(validation.isValid).toBe(true);
+    expect(validation.validatedBlocks).toBe(2);
+    expect(service.chain[1].consensus).toBeUndefined();
+  });
+});
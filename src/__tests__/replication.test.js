@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+import {
+  InProcessRelay,
+  LedgerReplicator,
+  FORK_RULE,
+  REPLICATION_STATUS,
+} from "../services/blockchain/replication";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { startLedgerReplication } from "../services/ledgerReplication";
+import { createService, recordReading } from "../testUtils/blockchainFixtures";
+
+// Two dashboards with their own keys: qa-2 joins qa-1's ledger and qa-1's
+// operator enrolls it
+const createNetwork = async ({ enroll = true } = {}) => {
+  const relay = new InProcessRelay();
+  const primary = await createService();
+  const secondary = await createService();
+
+  const primaryReplicator = new LedgerReplicator(primary, relay, {
+    nodeId: "qa-1",
+  });
+  const secondaryReplicator = new LedgerReplicator(secondary, relay, {
+    nodeId: "qa-2",
+  });
+  primaryReplicator.start();
+  secondaryReplicator.start();
+  await relay.flush();
+
+  await secondaryReplicator.requestSnapshot("qa-1");
+  await relay.flush();
+  if (enroll) {
+    await primaryReplicator.approveEnrollment("qa-2");
+    await relay.flush();
+  }
+
+  return {
+    relay,
+    primary,
+    secondary,
+    primaryReplicator,
+    secondaryReplicator,
+  };
+};
+
+const getHeadHash = (service) => service.getLatestBlock().currentHash;
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Ledger replication", () => {
+  it("should bootstrap a dashboard and replicate transactions and blocks", async () => {
+    const { relay, primary, secondary } = await createNetwork();
+    expect(secondary.signerKeyId).not.toBe(primary.signerKeyId);
+    expect(getHeadHash(secondary)).toBe(getHeadHash(primary));
+
+    const tx = await recordReading(primary, 5, false);
+    await relay.flush();
+    expect(secondary.pendingTransactions.map((p) => p.id)).toEqual([tx.id]);
+
+    await primary.mineBlock();
+    await relay.flush();
+    expect(getHeadHash(secondary)).toBe(getHeadHash(primary));
+    expect(secondary.pendingTransactions).toEqual([]);
+    expect(secondary.getTransaction(tx.id).blockNumber).toBe(2);
+  });
+
+  it("should accept a replica's blocks only once its key is enrolled", async () => {
+    const { relay, primary, secondary, primaryReplicator } =
+      await createNetwork({ enroll: false });
+    const outcomes = [];
+    primaryReplicator.subscribe((event, data) => {
+      if (event === "blocksReceived") outcomes.push(data.status);
+      if (event === "enrollmentRequested") outcomes.push(event);
+    });
+    expect(primaryReplicator.getStatus().enrollmentRequests).toEqual([
+      expect.objectContaining({ nodeId: "qa-2", keyId: secondary.signerKeyId }),
+    ]);
+
+    const headBefore = getHeadHash(primary);
+    await recordReading(secondary, 3);
+    await relay.flush();
+    expect(outcomes).toEqual([REPLICATION_STATUS.REJECTED]);
+    expect(getHeadHash(primary)).toBe(headBefore);
+
+    await primaryReplicator.approveEnrollment("qa-2");
+    await relay.flush();
+    expect(primary.keyManager.getNodeKeysAt(primary.getChainLength())).toEqual([
+      { keyId: secondary.signerKeyId, publicKey: secondary.publicKey },
+    ]);
+    expect(primaryReplicator.getStatus().enrollmentRequests).toEqual([]);
+
+    // The longer enrolled branch replaces the replica's rejected block;
+    // its next block is accepted
+    await recordReading(primary, 5);
+    await relay.flush();
+    expect(getHeadHash(secondary)).toBe(getHeadHash(primary));
+    const tx = await recordReading(secondary, 4);
+    await relay.flush();
+    expect(primary.getTransaction(tx.id).blockNumber).toBe(
+      secondary.getTransaction(tx.id).blockNumber
+    );
+    expect(getHeadHash(primary)).toBe(getHeadHash(secondary));
+    expect((await primary.validateChain()).isValid).toBe(true);
+  });
+
+  it("should refuse an enrollment without proof of the key", async () => {
+    const { primary, secondary } = await createNetwork({ enroll: false });
+    const request = await secondary.createEnrollmentRequest("qa-2");
+
+    await expect(
+      primary.enrollNode({ ...request, nodeId: "qa-3" })
+    ).rejects.toThrow("Node qa-3 did not prove possession");
+    await expect(
+      primary.enrollNode({ ...request, publicKey: primary.publicKey })
+    ).rejects.toThrow("does not match the enrolled key");
+  });
+
+  it("should adopt the longer branch after a partition and record the resolution", async () => {
+    const { relay, primary, secondary, secondaryReplicator } =
+      await createNetwork();
+
+    secondaryReplicator.stop();
+    await recordReading(primary, 4);
+    await recordReading(primary, 5);
+    const orphan = await recordReading(secondary, 9);
+
+    secondaryReplicator.start();
+    await relay.flush();
+
+    expect(getHeadHash(secondary)).toBe(getHeadHash(primary));
+    const record = secondary.pendingTransactions.find(
+      (tx) => tx.type === TRANSACTION_TYPES.REPLICATION
+    );
+    expect(record.data).toMatchObject({
+      event: "fork_resolved",
+      peerId: "qa-1",
+      forkPoint: 1,
+      rule: FORK_RULE,
+      discardedBlocks: 1,
+      requeuedTransactions: [orphan.id],
+    });
+
+    // Both the orphaned reading and the record reach the other replica
+    await secondary.mineBlock();
+    await relay.flush();
+    expect(getHeadHash(primary)).toBe(getHeadHash(secondary));
+    expect(primary.getTransaction(orphan.id).blockNumber).toBe(4);
+    expect(primary.getTransaction(record.id).blockNumber).toBe(4);
+    expect((await primary.validateChain()).isValid).toBe(true);
+    expect((await secondary.validateChain()).isValid).toBe(true);
+  });
+
+  it("should settle equal-length forks on the same head", async () => {
+    const { relay, primary, secondary, secondaryReplicator } =
+      await createNetwork();
+
+    secondaryReplicator.stop();
+    await recordReading(primary, 4);
+    await recordReading(secondary, 6);
+    const heads = [getHeadHash(primary), getHeadHash(secondary)];
+
+    secondaryReplicator.start();
+    await relay.flush();
+
+    expect(getHeadHash(primary)).toBe(getHeadHash(secondary));
+    expect(getHeadHash(primary)).toBe(heads.sort()[0]);
+
+    const records = [primary, secondary].flatMap((service) =>
+      service.pendingTransactions.filter(
+        (tx) => tx.type === TRANSACTION_TYPES.REPLICATION
+      )
+    );
+    expect(new Set(records.map((tx) => tx.id)).size).toBe(1);
+  });
+
+  it("should not reorganize blocks behind a checkpoint", async () => {
+    const { relay, primary, secondary, secondaryReplicator } =
+      await createNetwork();
+    primary.checkpointInterval = 2;
+    secondary.checkpointInterval = 2;
+
+    const outcomes = [];
+    secondaryReplicator.subscribe((event, data) => {
+      if (event === "blocksReceived") outcomes.push(data);
+    });
+
+    secondaryReplicator.stop();
+    for (const temperature of [4, 5, 6, 7]) {
+      await recordReading(primary, temperature);
+    }
+    for (const temperature of [3, 8, 9]) {
+      await recordReading(secondary, temperature);
+    }
+    const secondaryHead = getHeadHash(secondary);
+
+    secondaryReplicator.start();
+    await relay.flush();
+
+    expect(getHeadHash(secondary)).toBe(secondaryHead);
+    expect(outcomes).toContainEqual({
+      peerId: "qa-1",
+      status: REPLICATION_STATUS.REJECTED,
+      reason: "Fork at block #1 is behind checkpoint #1",
+    });
+  });
+
+  it("should start the app's replicator once the ledger is initialized", async () => {
+    const ledger = await createService();
+    ledger.isInitialized = false;
+    const replicator = new LedgerReplicator(ledger, new InProcessRelay(), {
+      nodeId: "qa-1",
+    });
+
+    const stop = startLedgerReplication({ replicator, ledger });
+    expect(replicator.getStatus().connected).toBe(false);
+
+    ledger.isInitialized = true;
+    ledger.notifySubscribers("initialized", { chainLength: 1 });
+    expect(replicator.getStatus().connected).toBe(true);
+
+    stop();
+    expect(replicator.getStatus().connected).toBe(false);
+  });
+});
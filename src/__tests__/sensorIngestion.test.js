@@ -0,0 +1,289 @@
+/**
+ * @jest-environment node
+ */
+import {
+  SensorIngestionAdapter,
+  CONNECTION_STATES,
+  FEED_PROTOCOLS,
+  MQTT_PACKET,
+  matchTopic,
+  resolveRoomId,
+  validateReadingPayload,
+  calculateBackoff,
+  encodePublish,
+  decodePackets,
+} from "../services/sensorIngestion";
+import { DataPipeline } from "../services/dataPipeline";
+
+class FakeSocket {
+  static instances = [];
+
+  constructor(url, protocol) {
+    this.url = url;
+    this.protocol = protocol;
+    this.sent = [];
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  open() {
+    this.onopen && this.onopen();
+  }
+
+  receive(data) {
+    this.onmessage && this.onmessage({ data });
+  }
+
+  drop(reason = "network error") {
+    this.onclose && this.onclose({ reason });
+  }
+}
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe("matchTopic", () => {
+  it("should match exact topics and wildcards", () => {
+    expect(matchTopic("gmp/room-1/temp", "gmp/room-1/temp")).toBe(true);
+    expect(matchTopic("gmp/+/temp", "gmp/room-2/temp")).toBe(true);
+    expect(matchTopic("gmp/#", "gmp/room-2/temp/raw")).toBe(true);
+    expect(matchTopic("gmp/+/temp", "gmp/room-2/humidity")).toBe(false);
+    expect(matchTopic("gmp/+", "gmp/room-2/temp")).toBe(false);
+  });
+});
+
+describe("resolveRoomId", () => {
+  it("should resolve fixed and captured room IDs", () => {
+    const topicMap = [
+      { pattern: "site/freezer-a/#", roomId: "room-1-cryo" },
+      { pattern: "sensors/{roomId}/+" },
+    ];
+    expect(resolveRoomId("site/freezer-a/t1", topicMap)).toBe("room-1-cryo");
+    expect(resolveRoomId("sensors/room-2-cold/t1", topicMap)).toBe(
+      "room-2-cold"
+    );
+    expect(resolveRoomId("other/topic", topicMap)).toBeNull();
+  });
+
+  it("should use the default gmp/<roomId>/# layout", () => {
+    expect(resolveRoomId("gmp/room-4-ambient/env")).toBe("room-4-ambient");
+  });
+});
+
+describe("validateReadingPayload", () => {
+  it("should normalize flat payloads to pipeline readings", () => {
+    const result = validateReadingPayload({
+      temperature: 5.123,
+      humidity: 45,
+      timestamp: "2024-01-01T00:00:00.000Z",
+    });
+    expect(result.valid).toBe(true);
+    expect(result.readings.temperature).toEqual({
+      value: 5.12,
+      trueValue: 5.12,
+      accuracy: 1.0,
+      timestamp: "2024-01-01T00:00:00.000Z",
+    });
+    expect(result.readings.humidity.value).toBe(45);
+  });
+
+  it("should accept single-parameter payloads", () => {
+    const result = validateReadingPayload({
+      parameter: "temperature",
+      value: -70,
+      accuracy: 0.95,
+    });
+    expect(result.valid).toBe(true);
+    expect(result.readings.temperature.accuracy).toBe(0.95);
+  });
+
+  it("should reject non-numeric and implausible values", () => {
+    expect(validateReadingPayload({ temperature: "hot" }).valid).toBe(false);
+    expect(validateReadingPayload({ humidity: 140 }).valid).toBe(false);
+    expect(validateReadingPayload({ foo: 1 }).valid).toBe(false);
+    expect(validateReadingPayload(null).valid).toBe(false);
+  });
+});
+
+describe("calculateBackoff", () => {
+  it("should grow exponentially up to the maximum delay", () => {
+    const options = { initialDelay: 1000, maxDelay: 8000, jitter: 0 };
+    expect(calculateBackoff(0, options)).toBe(1000);
+    expect(calculateBackoff(2, options)).toBe(4000);
+    expect(calculateBackoff(10, options)).toBe(8000);
+  });
+});
+
+describe("SensorIngestionAdapter", () => {
+  const createAdapter = (options = {}) =>
+    new SensorIngestionAdapter({
+      url: "ws://localhost:9001",
+      WebSocketImpl: FakeSocket,
+      ...options,
+    });
+
+  it("should reject connect without a feed URL", async () => {
+    const adapter = createAdapter({ url: null });
+    await expect(adapter.connect()).rejects.toThrow("not configured");
+  });
+
+  it("should emit validated readings from WebSocket messages", async () => {
+    const adapter = createAdapter({
+      deviceMap: { "probe-7": "room-2-cold" },
+    });
+    const received = [];
+    adapter.onReading((roomId, readings) =>
+      received.push({ roomId, readings })
+    );
+
+    const connecting = adapter.connect();
+    FakeSocket.instances[0].open();
+    await expect(connecting).resolves.toBe(CONNECTION_STATES.CONNECTED);
+
+    const socket = FakeSocket.instances[0];
+    socket.receive(JSON.stringify({ deviceId: "probe-7", temperature: 4.2 }));
+    socket.receive(
+      JSON.stringify({
+        topic: "gmp/room-1-cryo/t",
+        payload: { temperature: -72 },
+      })
+    );
+    socket.receive(JSON.stringify({ deviceId: "unknown", temperature: 4.2 }));
+    socket.receive(JSON.stringify({ deviceId: "probe-7", temperature: 900 }));
+    socket.receive("not json");
+
+    expect(received).toHaveLength(2);
+    expect(received[0].roomId).toBe("room-2-cold");
+    expect(received[1].readings.temperature.value).toBe(-72);
+
+    const stats = adapter.getStats();
+    expect(stats.accepted).toBe(2);
+    expect(stats.rejected).toBe(3);
+    expect(stats.unmapped).toBe(1);
+  });
+
+  it("should reconnect with backoff after the connection drops", async () => {
+    jest.useFakeTimers();
+    const adapter = createAdapter({
+      reconnect: { initialDelay: 1000, jitter: 0 },
+    });
+    const states = [];
+    adapter.onStateChange((state) => states.push(state));
+
+    const connecting = adapter.connect();
+    FakeSocket.instances[0].drop();
+    await expect(connecting).resolves.toBe(CONNECTION_STATES.RECONNECTING);
+
+    jest.advanceTimersByTime(999);
+    expect(FakeSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeSocket.instances).toHaveLength(2);
+
+    FakeSocket.instances[1].open();
+    expect(adapter.state).toBe(CONNECTION_STATES.CONNECTED);
+    expect(adapter.reconnectAttempts).toBe(0);
+
+    adapter.disconnect();
+    expect(FakeSocket.instances[1].closed).toBe(true);
+    expect(states[states.length - 1]).toBe(CONNECTION_STATES.CLOSED);
+  });
+
+  it("should speak MQTT over WebSocket", async () => {
+    const adapter = createAdapter({ protocol: FEED_PROTOCOLS.MQTT });
+    const received = [];
+    adapter.onReading((roomId, readings) =>
+      received.push({ roomId, readings })
+    );
+
+    const connecting = adapter.connect();
+    const socket = FakeSocket.instances[0];
+    expect(socket.protocol).toBe("mqtt");
+
+    socket.open();
+    expect(socket.sent[0][0] >> 4).toBe(MQTT_PACKET.CONNECT);
+
+    socket.receive(new Uint8Array([MQTT_PACKET.CONNACK << 4, 2, 0, 0]).buffer);
+    await expect(connecting).resolves.toBe(CONNECTION_STATES.CONNECTED);
+    expect(socket.sent[1][0] >> 4).toBe(MQTT_PACKET.SUBSCRIBE);
+
+    socket.receive(
+      encodePublish(
+        "gmp/room-3-adjuvanted/env",
+        JSON.stringify({ temperature: 5, humidity: 50 })
+      ).buffer
+    );
+
+    expect(received).toHaveLength(1);
+    expect(received[0].roomId).toBe("room-3-adjuvanted");
+    expect(received[0].readings.humidity.value).toBe(50);
+
+    adapter.disconnect();
+  });
+
+  it("should stop reconnecting when the broker refuses the connection", async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const adapter = createAdapter({
+      protocol: FEED_PROTOCOLS.MQTT,
+      reconnect: { initialDelay: 1000, jitter: 0 },
+    });
+    const states = [];
+    adapter.onStateChange((state) => states.push(state));
+
+    const connecting = adapter.connect();
+    const socket = FakeSocket.instances[0];
+    socket.open();
+    socket.receive(new Uint8Array([MQTT_PACKET.CONNACK << 4, 2, 0, 5]).buffer);
+    await expect(connecting).resolves.toBe(CONNECTION_STATES.CLOSED);
+
+    expect(socket.closed).toBe(true);
+    socket.drop();
+    jest.advanceTimersByTime(60000);
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(states).toEqual([
+      CONNECTION_STATES.CONNECTING,
+      CONNECTION_STATES.CLOSED,
+    ]);
+    expect(adapter.getStats().lastError).toBe(
+      "MQTT connection refused: not authorized"
+    );
+  });
+});
+
+describe("DataPipeline live mode", () => {
+  it("should refuse live mode without a feed URL and stay as it was", async () => {
+    const pipeline = new DataPipeline();
+
+    await expect(
+      pipeline.initialize({ mode: "live", feed: { url: null } })
+    ).rejects.toThrow("Live mode needs a sensor feed URL");
+    expect(pipeline.isInitialized).toBe(false);
+    expect(pipeline.options.mode).toBe("mock");
+    expect(pipeline.roomModels.size).toBe(0);
+  });
+});
+
+describe("decodePackets", () => {
+  it("should decode PUBLISH topic and payload", () => {
+    const [packet] = decodePackets(encodePublish("a/b", '{"x":1}'));
+    expect(packet.type).toBe(MQTT_PACKET.PUBLISH);
+    expect(packet.topic).toBe("a/b");
+    expect(packet.payload).toBe('{"x":1}');
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * @jest-environment node
+ */
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import {
+  StabilityBudgetModule,
+  BUDGET_EVENTS,
+} from "../modules/stabilityBudgetModule";
+import { InventoryModule } from "../modules/inventoryModule";
+
+const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+const createService = async () => {
+  const service = new PharmaBlockchainService();
+  service.keyManager = new KeyManager(createMemoryStorage());
+  service.difficulty = 1;
+
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+const MINUTE = 60 * 1000;
+const start = Date.parse("2026-01-01T00:00:00.000Z");
+const at = (minutes) => new Date(start + minutes * MINUTE);
+
+// Keep ledger timestamps of consecutive steps apart
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const comirnatyLot = {
+  medicineKey: "comirnaty",
+  batchNumber: "CM-2026-001",
+  expiryDate: "2030-01-31",
+  quantity: 50,
+  unit: "vials",
+  roomId: "room-1-cryo",
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Stability budgets", () => {
+  let service;
+  let inventory;
+  let budgets;
+
+  // A reading on the ledger, taken at a time on the test clock
+  const recordLedgerReading = async (roomId, temperature, minutes) => {
+    await tick();
+    const tx = service.transactionFactory.createSensorReadingTransaction(
+      { temperature, timestamp: at(minutes).toISOString() },
+      roomId
+    );
+    await service.addTransaction(tx);
+  };
+
+  const recommendations = () =>
+    service.pendingTransactions.filter((tx) => tx.data.details?.recommendation);
+
+  beforeEach(async () => {
+    service = await createService();
+    inventory = new InventoryModule(service);
+    budgets = new StabilityBudgetModule(service, inventory);
+  });
+
+  it("should track inventory lots with budgets from the medicine database", async () => {
+    const { lotId } = await inventory.receiveLot(comirnatyLot);
+    await inventory.receiveLot({
+      ...comirnatyLot,
+      medicineKey: "kymriah",
+      batchNumber: "KY-2026-001",
+    });
+    budgets.syncLots();
+
+    expect(budgets.getLotsForRoom("room-1-cryo")).toEqual([
+      expect.objectContaining({
+        lotId,
+        budget: { limit: -60, direction: "above", maxMinutes: 120 },
+      }),
+    ]);
+  });
+
+  it("should charge a moved lot to the room it is in now", async () => {
+    const { lotId } = await inventory.receiveLot(comirnatyLot);
+    budgets.syncLots();
+    await budgets.recordReading("room-1-cryo", -50, at(0));
+
+    await inventory.moveLot(lotId, "room-4-ultra");
+    budgets.syncLots();
+    expect(budgets.getLot(lotId).roomId).toBe("room-4-ultra");
+
+    await budgets.recordReading("room-1-cryo", -50, at(30));
+    expect(budgets.getLot(lotId).excursionMinutes).toBe(0);
+    await budgets.recordReading("room-4-ultra", -50, at(40));
+    await budgets.recordReading("room-4-ultra", -50, at(50));
+    expect(budgets.getLot(lotId).excursionMinutes).toBe(10);
+  });
+
+  it("should rebuild tallies from the readings on the ledger", async () => {
+    const { lotId } = await inventory.receiveLot(comirnatyLot);
+    await recordLedgerReading("room-1-cryo", -50, 0);
+    await recordLedgerReading("room-2-cold", 20, 30);
+    await recordLedgerReading("room-1-cryo", -70, 70);
+    await service.mineBlock();
+
+    const rebuilt = new StabilityBudgetModule(
+      service,
+      new InventoryModule(service)
+    );
+    expect(await rebuilt.loadFromLedger()).toBe(1);
+    expect(rebuilt.getLot(lotId)).toMatchObject({
+      roomId: "room-1-cryo",
+      excursionMinutes: 70,
+      warningLevel: 0.5,
+      status: "near-budget",
+      quarantine: null,
+    });
+
+    // Used up since: one recommendation, kept by later rebuilds
+    await recordLedgerReading("room-1-cryo", -50, 80);
+    await recordLedgerReading("room-1-cryo", -50, 140);
+    await service.mineBlock();
+    const exhausted = new StabilityBudgetModule(
+      service,
+      new InventoryModule(service)
+    );
+    await exhausted.loadFromLedger();
+    expect(exhausted.getLot(lotId).status).toBe("exhausted");
+    expect(recommendations()).toHaveLength(1);
+
+    const again = new StabilityBudgetModule(
+      service,
+      new InventoryModule(service)
+    );
+    await again.loadFromLedger();
+    expect(again.getLot(lotId).quarantine.transactionId).toBe(
+      exhausted.getLot(lotId).quarantine.transactionId
+    );
+    expect(recommendations()).toHaveLength(1);
+  });
+
+  it("should accumulate excursion time and degree-minutes", async () => {
+    budgets.registerLot({
+      lotId: "LOT-1",
+      medicineKey: "comirnaty",
+      roomId: "room-1-cryo",
+    });
+
+    await budgets.recordReading("room-1-cryo", -70, at(0));
+    await budgets.recordReading("room-1-cryo", -58, at(10));
+    await budgets.recordReading("room-1-cryo", -55, at(20));
+    await budgets.recordReading("room-1-cryo", -70, at(30));
+    await budgets.recordReading("room-1-cryo", -70, at(40));
+
+    expect(budgets.getLot("LOT-1")).toMatchObject({
+      excursionMinutes: 20,
+      degreeMinutes: 2 * 10 + 5 * 10,
+      status: "within-budget",
+    });
+    expect(budgets.getLot("LOT-1").used).toBeCloseTo(20 / 120);
+  });
+
+  it("should warn as a lot nears its budget and quarantine it on-chain", async () => {
+    const events = [];
+    budgets.subscribe((event, data) => events.push([event, data]));
+    budgets.registerLot({
+      lotId: "LOT-1",
+      medicineKey: "comirnaty",
+      roomId: "room-1-cryo",
+    });
+
+    await budgets.recordReading("room-1-cryo", -50, at(0));
+    await budgets.recordReading("room-1-cryo", -50, at(60));
+    await budgets.recordReading("room-1-cryo", -50, at(100));
+    const exhausted = await budgets.recordReading("room-1-cryo", -50, at(120));
+    await budgets.recordReading("room-1-cryo", -50, at(180));
+
+    expect(events.map(([event, data]) => [event, data.level])).toEqual([
+      [BUDGET_EVENTS.WARNING, 0.5],
+      [BUDGET_EVENTS.WARNING, 0.8],
+      [BUDGET_EVENTS.EXHAUSTED, undefined],
+    ]);
+    expect(exhausted).toHaveLength(1);
+
+    const lot = budgets.getLot("LOT-1");
+    expect(lot.status).toBe("exhausted");
+    const tx = service.pendingTransactions.find(
+      (p) => p.id === lot.quarantine.transactionId
+    );
+    expect(tx.type).toBe(TRANSACTION_TYPES.MEDICINE_INVENTORY);
+    expect(tx.data).toMatchObject({
+      medicineId: "LOT-1",
+      action: "quarantine",
+      details: {
+        location: "room-1-cryo",
+        recommendation: true,
+        excursionMinutes: 120,
+        degreeMinutes: 1200,
+      },
+    });
+    expect(
+      service.pendingTransactions.filter(
+        (p) => p.type === TRANSACTION_TYPES.MEDICINE_INVENTORY
+      )
+    ).toHaveLength(1);
+  });
+
+  it("should charge degree-minutes against budgets that limit them", async () => {
+    budgets.registerLot({
+      lotId: "LOT-2",
+      medicineKey: "humira",
+      roomId: "room-2-cold",
+    });
+
+    // 30°C is 22° over the limit, above the 17° the budget allows for
+    await budgets.recordReading("room-2-cold", 30, at(0));
+    await budgets.recordReading("room-2-cold", 30, at(7 * 24 * 60));
+
+    const lot = budgets.getLot("LOT-2");
+    expect(lot.used).toBeCloseTo((0.5 * 22) / 17);
+    expect(lot.status).toBe("near-budget");
+  });
+
+  it("should only count time outside the limit", async () => {
+    budgets.registerLot({
+      lotId: "LOT-3",
+      roomId: "room-3-adjuvanted",
+      budget: { limit: 0, direction: "below", maxMinutes: 0 },
+    });
+
+    await budgets.recordReading("room-3-adjuvanted", 5, at(0));
+    expect(
+      await budgets.recordReading("room-3-adjuvanted", -1, at(30))
+    ).toEqual([]);
+    const [event] = await budgets.recordReading("room-3-adjuvanted", 5, at(31));
+
+    expect(event.event).toBe(BUDGET_EVENTS.EXHAUSTED);
+    expect(budgets.getLot("LOT-3").excursionMinutes).toBe(1);
+  });
+});
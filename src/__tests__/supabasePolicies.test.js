@@ -0,0 +1,336 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import { ROLES } from "../modules/securityModule";
+import { supabase } from "../config/supabase";
+import {
+  acknowledgeAlert,
+  batchUpdateRooms,
+  fetchAuditTrail,
+  isPermissionDenied,
+  logAuditEntry,
+  recordSensorReading,
+  uploadSecurityAuditEntries,
+} from "../services/supabaseService";
+
+jest.mock("../config/supabase", () => ({
+  supabase: { from: jest.fn(), rpc: jest.fn() },
+  TABLES: {
+    ROOMS: "rooms",
+    SENSOR_READINGS: "sensor_readings",
+    ALERTS: "alerts",
+    AUDIT_TRAIL: "audit_trail",
+    MEDICINES: "medicines",
+    MEDICINE_LOTS: "medicine_lots",
+  },
+}));
+
+const schema = fs.readFileSync(
+  path.join(__dirname, "../../supabase/schema.sql"),
+  "utf8"
+);
+
+// Rows of the INSERT ... VALUES seed for a table
+const seedRows = (table) => {
+  const match = schema.match(
+    new RegExp(`INSERT INTO ${table} \\([^)]*\\) VALUES([\\s\\S]*?)ON CONFLICT`)
+  );
+  return [...match[1].matchAll(/\(([^)]*)\)/g)].map((row) =>
+    row[1].split(",").map((value) => value.trim().replace(/^'|'$/g, ""))
+  );
+};
+
+const policies = [
+  ...schema.matchAll(/CREATE POLICY "[^"]+" ON (\w+)([^;]*);/g),
+];
+
+// Query builder that resolves to the given result whatever is chained
+const mockResult = (result) => {
+  const builder = {};
+  [
+    "select",
+    "insert",
+    "update",
+    "eq",
+    "gte",
+    "order",
+    "limit",
+    "single",
+  ].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve) => resolve(result);
+  supabase.from.mockReturnValue(builder);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Supabase row-level security", () => {
+  it("should mirror the roles and permissions of securityModule", () => {
+    const roles = Object.fromEntries(
+      seedRows("app_roles").map(([role, , level]) => [role, Number(level)])
+    );
+    expect(roles).toEqual(
+      Object.fromEntries(
+        Object.entries(ROLES).map(([role, { level }]) => [role, level])
+      )
+    );
+
+    const permissions = {};
+    seedRows("role_permissions").forEach(([role, permission]) => {
+      permissions[role] = [...(permissions[role] || []), permission];
+    });
+    Object.entries(ROLES).forEach(([role, definition]) => {
+      expect(permissions[role].sort()).toEqual(
+        [...definition.permissions].sort()
+      );
+    });
+  });
+
+  it("should give the anon key no policies or table grants", () => {
+    expect(policies.length).toBeGreaterThan(0);
+    policies.forEach(([policy]) => {
+      expect(policy).toContain("TO authenticated");
+    });
+    expect(schema).not.toMatch(/GRANT [^;]* ON (?!SCHEMA)[^;]* TO anon;/);
+    expect(schema).not.toMatch(/CREATE POLICY "Allow public/);
+  });
+
+  it.each([
+    ["audit_trail", ["INSERT", "SELECT"]],
+    ["security_audit_log", ["SELECT"]],
+  ])("should keep %s append-only", (table, policyCommands) => {
+    const auditPolicies = policies
+      .filter(([, policyTable]) => policyTable === table)
+      .map(([, , body]) => body.match(/FOR (\w+)/)[1]);
+    expect(auditPolicies.sort()).toEqual(policyCommands);
+
+    expect(schema).toMatch(
+      new RegExp(
+        `REVOKE (INSERT, )?UPDATE, DELETE, TRUNCATE ON ${table} FROM authenticated;`
+      )
+    );
+    expect(schema).toMatch(
+      new RegExp(
+        `BEFORE UPDATE OR DELETE ON ${table}\\s+FOR EACH ROW\\s+EXECUTE FUNCTION prevent_audit_trail_changes`
+      )
+    );
+    expect(schema).toMatch(new RegExp(`BEFORE TRUNCATE ON ${table}`));
+  });
+
+  it("should append security audit entries only through the chain function", () => {
+    expect(schema).toContain(
+      "GRANT SELECT ON security_audit_log TO authenticated;"
+    );
+    expect(schema).toContain(
+      "REVOKE ALL ON security_audit_chains FROM authenticated;"
+    );
+    expect(
+      policies.filter(([, table]) => table === "security_audit_chains")
+    ).toEqual([]);
+
+    const fn = schema.match(
+      /FUNCTION append_security_audit_entries\([\s\S]*?\$\$ LANGUAGE plpgsql SECURITY DEFINER/
+    );
+    expect(fn).not.toBeNull();
+    // The chain is checked against its registered key and continues its tip
+    expect(fn[0]).toContain("v_registered_hash <> v_key_hash");
+    expect(fn[0]).toContain("<> v_tip + 1");
+    expect(schema).toContain(
+      "GRANT EXECUTE ON FUNCTION append_security_audit_entries(TEXT, TEXT, JSONB)\n    TO authenticated;"
+    );
+  });
+});
+
+describe("Permission-denied responses", () => {
+  it("should recognise refusals from RLS, triggers and expired tokens", () => {
+    expect(isPermissionDenied({ code: "42501" })).toBe(true);
+    expect(isPermissionDenied({ code: "PGRST301" })).toBe(true);
+    expect(isPermissionDenied({ status: 403 })).toBe(true);
+    expect(isPermissionDenied({ code: "23505" })).toBe(false);
+    expect(isPermissionDenied(null)).toBe(false);
+
+    // An update filtered to no rows by RLS
+    expect(isPermissionDenied({ code: "PGRST116" })).toBe(false);
+    expect(isPermissionDenied({ code: "PGRST116" }, { update: true })).toBe(
+      true
+    );
+  });
+
+  it("should report a refused write without logging an error", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    mockResult({
+      data: null,
+      error: {
+        code: "42501",
+        message: 'new row violates row-level security policy for table "x"',
+      },
+    });
+
+    const result = await recordSensorReading("room-1-cryo", {
+      temperature: -75,
+    });
+    expect(result).toMatchObject({ success: false, permissionDenied: true });
+    expect(warn).toHaveBeenCalled();
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it("should treat an acknowledgement RLS filtered out as refused", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    mockResult({
+      data: null,
+      error: { code: "PGRST116", message: "0 rows" },
+    });
+
+    await expect(acknowledgeAlert("alert-1", "user-1")).resolves.toMatchObject({
+      success: false,
+      permissionDenied: true,
+    });
+  });
+
+  it("should flag refused room updates in a batch", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    mockResult({ data: null, error: { code: "42501", message: "denied" } });
+
+    const result = await batchUpdateRooms([{ id: "room-1-cryo" }]);
+    expect(result).toMatchObject({ success: false, permissionDenied: true });
+  });
+
+  it("should still report other failures as errors", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    mockResult({ data: null, error: { code: "08006", message: "down" } });
+
+    const result = await fetchAuditTrail();
+    expect(result).toEqual({
+      success: false,
+      error: { code: "08006", message: "down" },
+      data: [],
+    });
+    expect(error).toHaveBeenCalled();
+  });
+});
+
+describe("Audit trail writes", () => {
+  // Stand-in for log_audit_entry and the audit_trail SELECT policy, run
+  // as a signed-in user with the given role
+  const signInAs = (role) => {
+    const canRead = ROLES[role].permissions.includes("view:audit-log");
+    supabase.rpc.mockImplementation(async (fn, params) =>
+      fn === "log_audit_entry" && !("p_user_id" in params)
+        ? { data: "entry-1", error: null }
+        : { data: null, error: { code: "42883", message: "no function" } }
+    );
+    mockResult(
+      canRead
+        ? { data: [], error: null }
+        : { data: null, error: { code: "42501", message: "denied" } }
+    );
+  };
+
+  it("should let a role without view:audit-log log its own actions", async () => {
+    signInAs("TECHNICIAN");
+
+    const result = await logAuditEntry({
+      action: "ALERT_ACKNOWLEDGED",
+      entityType: "alert",
+      entityId: "alert-1",
+      userName: "Dana Day",
+      details: { signerId: "tech-1" },
+    });
+
+    expect(result).toEqual({ success: true, data: "entry-1" });
+    expect(supabase.rpc).toHaveBeenCalledWith(
+      "log_audit_entry",
+      expect.objectContaining({
+        p_action: "ALERT_ACKNOWLEDGED",
+        p_user_name: "Dana Day",
+      })
+    );
+    // Nothing is read back, which the SELECT policy would refuse
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it("should report a session without a Supabase user as refused", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: {
+        code: "42501",
+        message: "Audit entries need a signed-in user",
+      },
+    });
+
+    await expect(
+      logAuditEntry({ action: "ALERT_ACKNOWLEDGED", entityType: "alert" })
+    ).resolves.toMatchObject({ success: false, permissionDenied: true });
+  });
+
+  it("should record the signed-in user's id and keep the function from anon", () => {
+    const fn = schema.match(
+      /CREATE OR REPLACE FUNCTION log_audit_entry[\s\S]*?\$\$ LANGUAGE plpgsql SECURITY DEFINER/
+    )[0];
+    expect(fn).toContain("auth.uid()::text");
+    expect(fn).toContain("app_role() IS NULL");
+    expect(schema).toMatch(
+      /REVOKE ALL ON FUNCTION log_audit_entry\([^)]*\)\s+FROM PUBLIC, anon;/
+    );
+    expect(schema).toMatch(
+      /GRANT EXECUTE ON FUNCTION log_audit_entry\([^)]*\)\s+TO authenticated;/
+    );
+  });
+});
+
+describe("Security audit log uploads", () => {
+  const entry = {
+    id: "audit-1",
+    sequence: 1,
+    timestamp: "2026-01-01T00:00:00.000Z",
+    action: "LOGIN",
+    userId: "user-1",
+    userName: "Dana Day",
+    target: null,
+    details: {},
+    previousHash: "0",
+    hash: "a".repeat(64),
+  };
+
+  it("should append through the chain function with the installation key", async () => {
+    supabase.rpc.mockResolvedValue({ data: 1, error: null });
+
+    const result = await uploadSecurityAuditEntries("chain-1", [entry], "key");
+
+    expect(result).toEqual({ success: true });
+    expect(supabase.rpc).toHaveBeenCalledWith("append_security_audit_entries", {
+      p_chain_id: "chain-1",
+      p_chain_key: "key",
+      p_entries: [
+        expect.objectContaining({
+          id: "audit-1",
+          sequence: 1,
+          hash: entry.hash,
+        }),
+      ],
+    });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it("should report a chain registered to another installation as refused", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: {
+        code: "42501",
+        message: "Audit chain chain-1 belongs to another installation",
+      },
+    });
+
+    await expect(
+      uploadSecurityAuditEntries("chain-1", [entry], "other-key")
+    ).resolves.toMatchObject({ success: false, permissionDenied: true });
+  });
+});
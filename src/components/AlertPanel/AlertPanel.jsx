@@ -8,10 +8,39 @@ import {
   FaChevronRight,
 } from "react-icons/fa";
 import { useDashboard } from "../../contexts/DashboardContext";
+import SignatureDialog from "../SignatureDialog";
+import eSignatureService from "../../services/eSignatureService";
+import { canPerform } from "../../modules/accessControl";
+import { useAlertControls } from "../../hooks/useAlertControls";
+import { useOnCallRoster } from "../../hooks/useOnCallRoster";
+import RuleAlerts from "./RuleAlerts";
+import MaintenanceWindows from "./MaintenanceWindows";
+import OnCallPanel from "./OnCallPanel";
 
 const AlertPanel = () => {
-  const { alerts, acknowledgeAlert, clearAcknowledgedAlerts } = useDashboard();
+  const { rooms, alerts, acknowledgeAlert, clearAcknowledgedAlerts } =
+    useDashboard();
+  const {
+    engineAlerts,
+    maintenanceWindows,
+    error,
+    acknowledgeAlert: acknowledgeRuleAlert,
+    shelveAlert,
+    unshelveAlert,
+    scheduleMaintenance,
+    cancelMaintenance,
+  } = useAlertControls(rooms);
+  const {
+    roster,
+    onCall,
+    error: rosterError,
+    loadRoster,
+    addCover,
+    removeCover,
+  } = useOnCallRoster();
   const [isExpanded, setIsExpanded] = useState(true);
+  const [signingAlert, setSigningAlert] = useState(null);
+  const [signingRuleAlert, setSigningRuleAlert] = useState(null);
 
   const activeAlerts = alerts.filter((a) => !a.acknowledged);
   const acknowledgedAlerts = alerts.filter((a) => a.acknowledged);
@@ -41,6 +70,48 @@ const AlertPanel = () => {
     },
   };
 
+  const operatorControls = (
+    <>
+      {(error || rosterError) && (
+        <div className="mx-4 mt-4 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded">
+          {error || rosterError}
+        </div>
+      )}
+      <RuleAlerts
+        alerts={engineAlerts}
+        onAcknowledge={setSigningRuleAlert}
+        onShelve={shelveAlert}
+        onUnshelve={unshelveAlert}
+      />
+      <MaintenanceWindows
+        rooms={rooms || []}
+        windows={maintenanceWindows}
+        onSchedule={scheduleMaintenance}
+        onCancel={cancelMaintenance}
+      />
+      <OnCallPanel
+        roster={roster}
+        onCall={onCall}
+        onLoad={loadRoster}
+        onAddCover={addCover}
+        onRemoveCover={removeCover}
+      />
+      {signingRuleAlert && (
+        <SignatureDialog
+          title="Acknowledge Alert"
+          recordType="alert"
+          recordId={signingRuleAlert.id}
+          record={signingRuleAlert}
+          onSigned={(signature) => {
+            acknowledgeRuleAlert(signingRuleAlert.id, signature);
+            setSigningRuleAlert(null);
+          }}
+          onCancel={() => setSigningRuleAlert(null)}
+        />
+      )}
+    </>
+  );
+
   if (alerts.length === 0) {
     return (
       <div className="bg-white rounded-xl shadow-lg border border-gray-200 m-6">
@@ -48,6 +119,7 @@ const AlertPanel = () => {
           <FaCheck className="text-green-500" />
           <span>All systems operating normally</span>
         </div>
+        {operatorControls}
       </div>
     );
   }
@@ -119,16 +191,18 @@ const AlertPanel = () => {
                         {alert.message}
                       </p>
                     </div>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        acknowledgeAlert(alert.id);
-                      }}
-                      className="p-1.5 text-gray-400 hover:text-green-600 hover:bg-green-50 rounded transition-colors"
-                      title="Acknowledge"
-                    >
-                      <FaCheck className="text-sm" />
-                    </button>
+                    {canPerform("acknowledgeAlert") && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSigningAlert(alert);
+                        }}
+                        className="p-1.5 text-gray-400 hover:text-green-600 hover:bg-green-50 rounded transition-colors"
+                        title="Acknowledge"
+                      >
+                        <FaCheck className="text-sm" />
+                      </button>
+                    )}
                   </div>
                 );
               })}
@@ -160,6 +234,11 @@ const AlertPanel = () => {
                     <span className="text-sm text-gray-600 truncate block">
                       {alert.roomName}: {alert.condition}
                     </span>
+                    {alert.signature && (
+                      <span className="text-xs text-gray-500 truncate block">
+                        {eSignatureService.getManifestation(alert.signature)}
+                      </span>
+                    )}
                   </div>
                   <span className="text-xs text-gray-400">
                     {formatTimestamp(alert.timestamp)}
@@ -175,6 +254,22 @@ const AlertPanel = () => {
           )}
         </div>
       )}
+
+      {isExpanded && operatorControls}
+
+      {signingAlert && (
+        <SignatureDialog
+          title="Acknowledge Alert"
+          recordType="alert"
+          recordId={signingAlert.id}
+          record={signingAlert}
+          onSigned={(signature) => {
+            acknowledgeAlert(signingAlert.id, signature);
+            setSigningAlert(null);
+          }}
+          onCancel={() => setSigningAlert(null)}
+        />
+      )}
     </div>
   );
 };
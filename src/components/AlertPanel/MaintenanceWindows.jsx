@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { FaTools, FaTimes } from "react-icons/fa";
+import { MAINTENANCE_ACTIONS } from "../../services/maintenanceWindows";
+import { RULE_PARAMETERS } from "../../services/alertRules";
+import { canPerform } from "../../modules/accessControl";
+
+const HOUR = 60 * 60 * 1000;
+
+// datetime-local inputs take local time without a zone
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const emptyForm = () => {
+  const now = new Date();
+  return {
+    roomId: "",
+    parameters: [],
+    from: toLocalInput(now),
+    to: toLocalInput(new Date(now.getTime() + HOUR)),
+    action: MAINTENANCE_ACTIONS.SUPPRESS,
+    reason: "",
+  };
+};
+
+const formatWindowTime = (iso) =>
+  new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Maintenance windows for the alert panel
+ * A window without parameters covers every rule for its room.
+ */
+const MaintenanceWindows = ({ rooms, windows, onSchedule, onCancel }) => {
+  const [form, setForm] = useState(emptyForm);
+  const canSchedule = canPerform("scheduleMaintenance");
+  const canCancel = canPerform("cancelMaintenance");
+
+  const roomName = (roomId) =>
+    rooms.find((room) => room.id === roomId)?.name || roomId;
+
+  const update = (field) => (e) =>
+    setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const toggleParameter = (parameter) =>
+    setForm((current) => ({
+      ...current,
+      parameters: current.parameters.includes(parameter)
+        ? current.parameters.filter((p) => p !== parameter)
+        : [...current.parameters, parameter],
+    }));
+
+  const handleSchedule = (e) => {
+    e.preventDefault();
+    const scheduled = onSchedule({
+      ...form,
+      from: new Date(form.from),
+      to: new Date(form.to),
+    });
+    if (scheduled) {
+      setForm(emptyForm());
+    }
+  };
+
+  if (windows.length === 0 && !canSchedule) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 border-t border-gray-100 space-y-2">
+      <h3 className="text-sm font-medium text-gray-700 flex items-center space-x-2">
+        <FaTools className="text-gray-400" />
+        <span>Maintenance Windows</span>
+      </h3>
+
+      {windows.map((window) => (
+        <div
+          key={window.id}
+          className="flex items-center space-x-3 p-2 rounded-lg bg-blue-50 border border-blue-200"
+        >
+          <div className="flex-1 min-w-0 text-sm">
+            <span className="font-medium text-blue-800">
+              {roomName(window.roomId)}
+            </span>{" "}
+            <span className="text-gray-600">
+              {window.parameters.length > 0
+                ? window.parameters.join(", ")
+                : "all rules"}{" "}
+              · {window.action} · {formatWindowTime(window.from)} –{" "}
+              {formatWindowTime(window.to)}
+            </span>
+            <span className="text-xs text-gray-500 truncate block">
+              {window.reason}
+            </span>
+          </div>
+          {canCancel && (
+            <button
+              onClick={() => onCancel(window.id)}
+              className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+              title="Cancel window"
+            >
+              <FaTimes className="text-sm" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {canSchedule && (
+        <form
+          onSubmit={handleSchedule}
+          className="p-3 bg-gray-50 rounded-lg border space-y-2"
+        >
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={form.roomId}
+              onChange={update("roomId")}
+              className="px-2 py-1 text-sm border rounded"
+            >
+              <option value="">Room</option>
+              {rooms.map((room) => (
+                <option key={room.id} value={room.id}>
+                  {room.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.action}
+              onChange={update("action")}
+              className="px-2 py-1 text-sm border rounded"
+            >
+              {Object.values(MAINTENANCE_ACTIONS).map((action) => (
+                <option key={action} value={action}>
+                  {action}
+                </option>
+              ))}
+            </select>
+            <input
+              type="datetime-local"
+              value={form.from}
+              onChange={update("from")}
+              className="px-2 py-1 text-sm border rounded"
+            />
+            <input
+              type="datetime-local"
+              value={form.to}
+              onChange={update("to")}
+              className="px-2 py-1 text-sm border rounded"
+            />
+          </div>
+          <div
+            className="flex flex-wrap gap-3 text-sm text-gray-700"
+            title="Leave all unticked to cover every rule for the room"
+          >
+            {RULE_PARAMETERS.map((parameter) => (
+              <label key={parameter} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={form.parameters.includes(parameter)}
+                  onChange={() => toggleParameter(parameter)}
+                />
+                <span>{parameter}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <input
+              placeholder="Reason, e.g. defrost cycle"
+              value={form.reason}
+              onChange={update("reason")}
+              className="flex-1 px-2 py-1 text-sm border rounded"
+            />
+            <button
+              type="submit"
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Schedule
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceWindows;
@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import { FaUserClock, FaFileImport, FaTimes } from "react-icons/fa";
+import { ROLES } from "../../modules/securityModule";
+import { canPerform } from "../../modules/accessControl";
+
+// Cover lengths offered, starting now
+const COVER_HOURS = [4, 8, 12, 24];
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Who escalations go to now, with covers in place of the rota
+ * The rota itself is loaded from a roster file exported as JSON.
+ */
+const OnCallPanel = ({ roster, onCall, onLoad, onAddCover, onRemoveCover }) => {
+  const [cover, setCover] = useState({
+    memberId: "",
+    hours: COVER_HOURS[0],
+    reason: "",
+  });
+  const canEdit = canPerform("updateRoster");
+
+  const memberName = (memberId) =>
+    roster.members.find((member) => member.id === memberId)?.name || memberId;
+
+  const now = new Date().toISOString();
+  const covers = roster.overrides.filter((override) => override.to > now);
+
+  const update = (field) => (e) =>
+    setCover((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleAddCover = async (e) => {
+    e.preventDefault();
+    const added = await onAddCover({
+      ...cover,
+      hours: Number(cover.hours),
+    });
+    if (added) {
+      setCover((current) => ({ ...current, memberId: "", reason: "" }));
+    }
+  };
+
+  const handleLoad = (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (file) {
+      onLoad(file);
+    }
+  };
+
+  if (roster.members.length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 border-t border-gray-100 space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center space-x-2">
+          <FaUserClock className="text-gray-400" />
+          <span>On Call</span>
+        </h3>
+        {canEdit && (
+          <label
+            className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1 cursor-pointer"
+            title="Replace the roster with a JSON roster file"
+          >
+            <FaFileImport />
+            <span>Load roster</span>
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleLoad}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+
+      {onCall.length === 0 ? (
+        <p className="text-sm text-gray-500">No roster has been loaded.</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {onCall.map(({ role, members }) => (
+            <li key={role} className="flex justify-between">
+              <span className="text-gray-600">{ROLES[role]?.name || role}</span>
+              <span className="font-medium text-gray-800">
+                {members.length > 0
+                  ? members.map((member) => member.name).join(", ")
+                  : "Nobody"}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {covers.map((override) => (
+        <div
+          key={override.id}
+          className="flex items-center space-x-3 p-2 rounded-lg bg-purple-50 border border-purple-200"
+        >
+          <div className="flex-1 min-w-0 text-sm">
+            <span className="font-medium text-purple-800">
+              {memberName(override.memberId)}
+            </span>{" "}
+            <span className="text-gray-600">
+              covers {ROLES[override.role]?.name || override.role} ·{" "}
+              {formatTime(override.from)} – {formatTime(override.to)}
+            </span>
+            {override.reason && (
+              <span className="text-xs text-gray-500 truncate block">
+                {override.reason}
+              </span>
+            )}
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => onRemoveCover(override.id)}
+              className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+              title="Remove cover"
+            >
+              <FaTimes className="text-sm" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {canEdit && roster.members.length > 0 && (
+        <form onSubmit={handleAddCover} className="flex space-x-2">
+          <select
+            value={cover.memberId}
+            onChange={update("memberId")}
+            className="px-2 py-1 text-sm border rounded"
+          >
+            <option value="">Member</option>
+            {roster.members.map((member) => (
+              <option key={member.id} value={member.id}>
+                {member.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={cover.hours}
+            onChange={update("hours")}
+            className="px-2 py-1 text-sm border rounded"
+          >
+            {COVER_HOURS.map((hours) => (
+              <option key={hours} value={hours}>
+                {hours} h
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Reason"
+            value={cover.reason}
+            onChange={update("reason")}
+            className="flex-1 px-2 py-1 text-sm border rounded"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Cover
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OnCallPanel;
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { FaCheck, FaPause, FaPlay, FaTools } from "react-icons/fa";
+import { MAX_SHELVE_DURATION } from "../../services/alertEngine";
+import { canPerform } from "../../modules/accessControl";
+
+const MINUTE = 60 * 1000;
+
+// Shelve durations offered, up to the engine's limit
+const SHELVE_DURATIONS = [15, 30, 60, 120, 240, 480]
+  .map((minutes) => minutes * MINUTE)
+  .filter((duration) => duration <= MAX_SHELVE_DURATION);
+
+const formatDuration = (duration) =>
+  duration < 60 * MINUTE
+    ? `${duration / MINUTE} min`
+    : `${duration / (60 * MINUTE)} h`;
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Alerts raised by the alert engine's rules
+ * An operator acknowledges one, which stops its escalation, or shelves it
+ * for a fixed time with a reason and can return it before the shelf expires.
+ */
+const RuleAlerts = ({ alerts, onAcknowledge, onShelve, onUnshelve }) => {
+  const [shelving, setShelving] = useState(null);
+  const [duration, setDuration] = useState(SHELVE_DURATIONS[0]);
+  const [reason, setReason] = useState("");
+
+  const openShelve = (alertId) => {
+    setShelving(alertId);
+    setDuration(SHELVE_DURATIONS[0]);
+    setReason("");
+  };
+
+  const handleShelve = (e) => {
+    e.preventDefault();
+    if (onShelve(shelving, duration, reason)) {
+      setShelving(null);
+    }
+  };
+
+  const pending = alerts.filter((alert) => !alert.acknowledged);
+  if (pending.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 border-t border-gray-100 space-y-2">
+      <h3 className="text-sm font-medium text-gray-700 mb-2">Rule Alerts</h3>
+      {pending.map((alert) => (
+        <div
+          key={alert.id}
+          className={`p-3 rounded-lg border ${
+            alert.shelved
+              ? "bg-gray-50 border-gray-200 opacity-75"
+              : "bg-white border-gray-200"
+          }`}
+        >
+          <div className="flex items-start space-x-3">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-800">
+                  {alert.roomName}
+                </span>
+                <span className="text-xs uppercase text-gray-500">
+                  {alert.severity}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 mt-1 truncate">
+                {alert.message}
+              </p>
+              {alert.maintenance && (
+                <p className="text-xs text-blue-600 mt-1 flex items-center space-x-1">
+                  <FaTools />
+                  <span>Maintenance: {alert.maintenance.reason}</span>
+                </p>
+              )}
+              {alert.shelved && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Shelved until {formatTime(alert.shelved.until)}:{" "}
+                  {alert.shelved.reason}
+                </p>
+              )}
+            </div>
+            {canPerform("acknowledgeAlert") && (
+              <button
+                onClick={() => onAcknowledge(alert)}
+                className="p-1.5 text-gray-400 hover:text-green-600 hover:bg-green-50 rounded transition-colors"
+                title="Acknowledge"
+              >
+                <FaCheck className="text-sm" />
+              </button>
+            )}
+            {alert.shelved
+              ? canPerform("unshelveAlert") && (
+                  <button
+                    onClick={() => onUnshelve(alert.id)}
+                    className="p-1.5 text-gray-400 hover:text-orange-600 hover:bg-orange-50 rounded transition-colors"
+                    title="Unshelve"
+                  >
+                    <FaPlay className="text-sm" />
+                  </button>
+                )
+              : canPerform("shelveAlert") && (
+                  <button
+                    onClick={() => openShelve(alert.id)}
+                    className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                    title="Shelve"
+                  >
+                    <FaPause className="text-sm" />
+                  </button>
+                )}
+          </div>
+
+          {shelving === alert.id && (
+            <form onSubmit={handleShelve} className="flex space-x-2 mt-2">
+              <select
+                value={duration}
+                onChange={(e) => setDuration(Number(e.target.value))}
+                className="px-2 py-1 text-sm border rounded"
+              >
+                {SHELVE_DURATIONS.map((option) => (
+                  <option key={option} value={option}>
+                    {formatDuration(option)}
+                  </option>
+                ))}
+              </select>
+              <input
+                placeholder="Reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="flex-1 px-2 py-1 text-sm border rounded"
+              />
+              <button
+                type="submit"
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+              >
+                Shelve
+              </button>
+              <button
+                type="button"
+                onClick={() => setShelving(null)}
+                className="px-3 py-1 text-sm text-gray-600 border rounded hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RuleAlerts;
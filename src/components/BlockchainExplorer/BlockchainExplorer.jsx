@@ -5,6 +5,8 @@
 
 import React, { useState, useEffect, useCallback } from "react";
 import { useBlockchain, useBlockchainMonitor } from "../../hooks/useBlockchain";
+import { canPerform } from "../../modules/accessControl";
+import { ledgerReplicator } from "../../services/ledgerReplication";
 import "./BlockchainExplorer.css";
 
 /**
@@ -19,12 +21,19 @@ const BlockchainExplorer = () => {
     latestBlock,
     pendingTransactions,
     recentBlocks,
+    miningProgress,
     mineBlock,
+    cancelMining,
     validateChain,
+    runTamperDrill,
     verifyTransaction,
+    exportProofBundle,
+    exportChainArchive,
+    importChainArchive,
     getTransaction,
     getBlock,
     getChain,
+    getRecentTransactions,
     refreshSummary,
   } = useBlockchain();
 
@@ -36,12 +45,26 @@ const BlockchainExplorer = () => {
   const [searchQuery, setSearchQuery] = useState("");
   const [validationResult, setValidationResult] = useState(null);
   const [isMining, setIsMining] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [drillResult, setDrillResult] = useState(null);
 
   // Handle chain validation
-  const handleValidateChain = useCallback(async () => {
-    const result = await validateChain();
-    setValidationResult(result);
-  }, [validateChain]);
+  const handleValidateChain = useCallback(
+    async (forensic = false) => {
+      const result = await validateChain({ forensic });
+      setValidationResult(result);
+    },
+    [validateChain]
+  );
+
+  // Handle tamper detection drill
+  const handleTamperDrill = useCallback(async () => {
+    try {
+      setDrillResult(await runTamperDrill());
+    } catch (error) {
+      alert(`Tamper drill failed: ${error.message}`);
+    }
+  }, [runTamperDrill]);
 
   // Handle mining
   const handleMineBlock = useCallback(async () => {
@@ -99,6 +122,62 @@ const BlockchainExplorer = () => {
     [verifyTransaction]
   );
 
+  // Download a transaction's inclusion proof bundle
+  const handleExportProof = useCallback(
+    async (txId) => {
+      const bundle = await exportProofBundle(txId);
+      if (!bundle) {
+        alert("Transaction not found in a mined block");
+        return;
+      }
+
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `proof_${txId}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    },
+    [exportProofBundle]
+  );
+
+  // Download the full chain as a JSON Lines archive
+  const handleExportArchive = useCallback(async () => {
+    const archive = await exportChainArchive();
+    const blob = new Blob([archive], { type: "application/x-ndjson" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `ledger_${new Date().toISOString().slice(0, 10)}.jsonl`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [exportChainArchive]);
+
+  // Re-validate and import an archive file
+  const handleImportArchive = useCallback(
+    async (file, mode) => {
+      if (
+        mode === "replace" &&
+        !window.confirm(
+          "Replace the local chain with this archive? Local blocks not in the archive will be removed."
+        )
+      ) {
+        return;
+      }
+
+      try {
+        const result = await importChainArchive(await file.text(), { mode });
+        setImportResult(result);
+      } catch (err) {
+        setImportResult({ imported: false, error: err.message });
+      }
+    },
+    [importChainArchive]
+  );
+
   if (isLoading) {
     return (
       <div className="blockchain-explorer loading">
@@ -231,7 +310,9 @@ const BlockchainExplorer = () => {
             chainSummary={chainSummary}
             selectedTransaction={selectedTransaction}
             onVerify={handleVerifyTransaction}
-            getChain={getChain}
+            onExportProof={handleExportProof}
+            canExport={canPerform("exportProofBundle")}
+            getRecentTransactions={getRecentTransactions}
           />
         )}
 
@@ -239,7 +320,10 @@ const BlockchainExplorer = () => {
           <PendingTab
             transactions={pendingTransactions}
             onMine={handleMineBlock}
+            canMine={canPerform("mineBlock")}
+            onCancelMining={cancelMining}
             isMining={isMining}
+            miningProgress={miningProgress}
           />
         )}
 
@@ -247,7 +331,15 @@ const BlockchainExplorer = () => {
           <ValidationTab
             validationResult={validationResult}
             onValidate={handleValidateChain}
+            drillResult={drillResult}
+            onTamperDrill={handleTamperDrill}
+            canDrill={canPerform("runTamperDrill")}
             chainHealth={chainHealth}
+            importResult={importResult}
+            onExportArchive={handleExportArchive}
+            canExport={canPerform("exportChainArchive")}
+            onImportArchive={handleImportArchive}
+            canImport={canPerform("importChainArchive")}
           />
         )}
       </div>
@@ -371,10 +463,122 @@ const OverviewTab = ({
           🔍 Validate Chain
         </button>
       </div>
+
+      {ledgerReplicator && (
+        <ReplicationCard
+          replicator={ledgerReplicator}
+          canJoin={latestBlock?.blockNumber === 0}
+        />
+      )}
     </div>
   </div>
 );
 
+/**
+ * Replication Card Component
+ * Peers on the ledger relay, joining the ledger from a peer, and approval
+ * of replicas asking for their key to be enrolled.
+ */
+const ReplicationCard = ({ replicator, canJoin }) => {
+  const [status, setStatus] = useState(() => replicator.getStatus());
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setStatus(replicator.getStatus());
+    const unsubscribe = replicator.subscribe(refresh);
+    const interval = setInterval(refresh, 5000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [replicator]);
+
+  const run = async (action, done) => {
+    try {
+      await action();
+      setMessage(done);
+    } catch (err) {
+      setMessage(`✗ ${err.message}`);
+    }
+    setStatus(replicator.getStatus());
+  };
+
+  return (
+    <div className="info-card">
+      <h3>🔗 Replication</h3>
+      <dl>
+        <dt>Node</dt>
+        <dd>
+          {status.nodeId} {status.connected ? "· connected" : "· offline"}
+        </dd>
+        <dt>Peers</dt>
+        <dd>
+          {status.peers.length === 0
+            ? "None seen yet"
+            : status.peers.map((peer) => (
+                <div key={peer.nodeId}>
+                  {peer.nodeId}
+                  {peer.head && ` · block #${peer.head.blockNumber}`}
+                  {canJoin && canPerform("importChainArchive") && (
+                    <button
+                      className="archive-btn"
+                      onClick={() =>
+                        run(
+                          () => replicator.requestSnapshot(peer.nodeId),
+                          `Asked ${peer.nodeId} for its ledger`
+                        )
+                      }
+                    >
+                      Join ledger
+                    </button>
+                  )}
+                </div>
+              ))}
+        </dd>
+        {status.enrollmentRequests.length > 0 && (
+          <>
+            <dt>Replicas asking to sign blocks</dt>
+            <dd>
+              {status.enrollmentRequests.map((request) => (
+                <div key={request.nodeId}>
+                  {request.nodeId} · {request.keyId.substring(0, 12)}...
+                  {canPerform("enrollNode") && (
+                    <>
+                      <button
+                        className="archive-btn"
+                        onClick={() =>
+                          run(
+                            () => replicator.approveEnrollment(request.nodeId),
+                            `✓ Enrolled ${request.nodeId}`
+                          )
+                        }
+                      >
+                        Approve
+                      </button>
+                      <button
+                        className="archive-btn"
+                        onClick={() =>
+                          run(
+                            () => replicator.dismissEnrollment(request.nodeId),
+                            `Dismissed ${request.nodeId}`
+                          )
+                        }
+                      >
+                        Dismiss
+                      </button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </dd>
+          </>
+        )}
+      </dl>
+      {message && <p>{message}</p>}
+    </div>
+  );
+};
+
 /**
  * Blocks Tab Component
  */
@@ -437,6 +641,21 @@ const BlocksTab = ({ blocks, selectedBlock, onSelectBlock }) => (
             <dd>{selectedBlock.difficulty}</dd>
             <dt>Mined By</dt>
             <dd>{selectedBlock.minedBy}</dd>
+            {selectedBlock.consensus && (
+              <>
+                <dt>Consensus</dt>
+                <dd>
+                  Proof of Authority ({selectedBlock.seals?.length || 0} of{" "}
+                  {selectedBlock.consensus.threshold} seals)
+                </dd>
+                <dt>Sealed By</dt>
+                <dd>
+                  {(selectedBlock.seals || [])
+                    .map((seal) => seal.sealerId)
+                    .join(", ")}
+                </dd>
+              </>
+            )}
           </dl>
 
           <h4>Transactions ({selectedBlock.transactions?.length || 0})</h4>
@@ -474,24 +693,15 @@ const TransactionsTab = ({
   chainSummary,
   selectedTransaction,
   onVerify,
-  getChain,
+  onExportProof,
+  canExport,
+  getRecentTransactions,
 }) => {
   const [allTransactions, setAllTransactions] = useState([]);
 
   useEffect(() => {
-    const chain = getChain();
-    const txs = [];
-    chain.forEach((block) => {
-      block.transactions.forEach((tx) => {
-        txs.push({
-          ...tx,
-          blockNumber: block.blockNumber,
-          blockHash: block.currentHash,
-        });
-      });
-    });
-    setAllTransactions(txs.reverse());
-  }, [getChain, chainSummary]);
+    setAllTransactions(getRecentTransactions({ limit: 50 }));
+  }, [getRecentTransactions, chainSummary]);
 
   return (
     <div className="transactions-tab">
@@ -508,7 +718,7 @@ const TransactionsTab = ({
             </tr>
           </thead>
           <tbody>
-            {allTransactions.slice(0, 50).map((tx) => (
+            {allTransactions.map((tx) => (
               <tr key={tx.id}>
                 <td className="tx-id">{tx.id.substring(0, 20)}...</td>
                 <td>
@@ -524,6 +734,14 @@ const TransactionsTab = ({
                   >
                     ✓ Verify
                   </button>
+                  <button
+                    className="verify-btn"
+                    onClick={() => onExportProof(tx.id)}
+                    disabled={!canExport}
+                    title="Download portable inclusion proof for auditors"
+                  >
+                    ⤓ Proof
+                  </button>
                 </td>
               </tr>
             ))}
@@ -544,17 +762,44 @@ const TransactionsTab = ({
 /**
  * Pending Transactions Tab Component
  */
-const PendingTab = ({ transactions, onMine, isMining }) => (
+const PendingTab = ({
+  transactions,
+  onMine,
+  canMine,
+  onCancelMining,
+  isMining,
+  miningProgress,
+}) => (
   <div className="pending-tab">
     <div className="pending-header">
       <h3>Pending Transactions ({transactions.length})</h3>
-      <button
-        className="mine-btn"
-        onClick={onMine}
-        disabled={isMining || transactions.length === 0}
-      >
-        {isMining ? "⛏️ Mining..." : "⛏️ Mine Block"}
-      </button>
+      <div className="mining-controls">
+        {miningProgress && (
+          <span className="mining-progress">
+            Block #{miningProgress.blockNumber} · nonce{" "}
+            {miningProgress.nonce.toLocaleString()} ·{" "}
+            {miningProgress.hashRate.toLocaleString()} H/s
+          </span>
+        )}
+        {miningProgress && (
+          <button className="cancel-mining-btn" onClick={onCancelMining}>
+            Cancel
+          </button>
+        )}
+        <button
+          className="mine-btn"
+          onClick={onMine}
+          disabled={
+            !canMine ||
+            isMining ||
+            !!miningProgress ||
+            transactions.length === 0
+          }
+          title={canMine ? undefined : "Your role cannot mine blocks"}
+        >
+          {isMining || miningProgress ? "⛏️ Mining..." : "⛏️ Mine Block"}
+        </button>
+      </div>
     </div>
 
     {transactions.length === 0 ? (
@@ -596,13 +841,35 @@ const PendingTab = ({ transactions, onMine, isMining }) => (
 /**
  * Validation Tab Component
  */
-const ValidationTab = ({ validationResult, onValidate, chainHealth }) => (
+const ValidationTab = ({
+  validationResult,
+  onValidate,
+  drillResult,
+  onTamperDrill,
+  canDrill,
+  chainHealth,
+  importResult,
+  onExportArchive,
+  canExport,
+  onImportArchive,
+  canImport,
+}) => (
   <div className="validation-tab">
     <div className="validation-header">
       <h3>Chain Validation</h3>
-      <button className="validate-btn" onClick={onValidate}>
+      <button className="validate-btn" onClick={() => onValidate(false)}>
         🔍 Run Full Validation
       </button>
+      <button className="validate-btn" onClick={() => onValidate(true)}>
+        🕵️ Forensic Report
+      </button>
+      <button
+        className="validate-btn"
+        onClick={onTamperDrill}
+        disabled={!canDrill}
+      >
+        🧪 Tamper Drill
+      </button>
     </div>
 
     {validationResult ? (
@@ -638,6 +905,10 @@ const ValidationTab = ({ validationResult, onValidate, chainHealth }) => (
             </ul>
           </div>
         )}
+
+        {validationResult.incidentReport && (
+          <IncidentFindings report={validationResult.incidentReport} />
+        )}
       </div>
     ) : (
       <div className="validation-placeholder">
@@ -649,6 +920,35 @@ const ValidationTab = ({ validationResult, onValidate, chainHealth }) => (
       </div>
     )}
 
+    {drillResult && (
+      <div
+        className={`validation-result ${
+          drillResult.passed ? "valid" : "invalid"
+        }`}
+      >
+        <h4>
+          {drillResult.passed
+            ? "✅ Tamper Drill Passed"
+            : "❌ Tamper Drill Failed"}
+        </h4>
+        <p>
+          Altered <code>{drillResult.target.field}</code> of{" "}
+          {drillResult.target.transactionId} in block #
+          {drillResult.target.blockNumber}:{" "}
+          {drillResult.detected ? "detected" : "not detected"},{" "}
+          {drillResult.pinpointed ? "pinpointed" : "not pinpointed"}
+        </p>
+      </div>
+    )}
+
+    <ArchivePanel
+      importResult={importResult}
+      onExport={onExportArchive}
+      canExport={canExport}
+      onImport={onImportArchive}
+      canImport={canImport}
+    />
+
     <div className="health-info">
       <h4>Real-time Health Monitor</h4>
       <dl>
@@ -669,4 +969,106 @@ const ValidationTab = ({ validationResult, onValidate, chainHealth }) => (
   </div>
 );
 
+/**
+ * Incident Report Findings
+ */
+const IncidentFindings = ({ report }) => (
+  <div className="invalid-blocks">
+    <h5>
+      Incident Report {report.reportId} ({report.status})
+    </h5>
+    {report.findings.length > 0 ? (
+      <ul>
+        {report.findings.map((finding, idx) => (
+          <li key={idx}>
+            Block #{finding.blockNumber}
+            {finding.transactionId && ` · ${finding.transactionId}`}
+            {finding.field && ` · ${finding.field}`}: {finding.check}
+            {finding.expected !== null &&
+              typeof finding.expected !== "object" &&
+              ` (was ${finding.expected}, now ${finding.actual})`}
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p>No tampering found</p>
+    )}
+  </div>
+);
+
+/**
+ * Archive Backup & Restore Panel
+ */
+const ArchivePanel = ({
+  importResult,
+  onExport,
+  canExport,
+  onImport,
+  canImport,
+}) => {
+  const [mode, setMode] = useState("merge");
+
+  return (
+    <div className="archive-panel">
+      <h4>Backup &amp; Restore</h4>
+      <p>
+        Archives are re-validated block by block before anything is written to
+        this browser.
+      </p>
+      <div className="archive-actions">
+        <button
+          className="archive-btn"
+          onClick={onExport}
+          disabled={!canExport}
+        >
+          ⤓ Export Archive
+        </button>
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="merge">Merge</option>
+          <option value="replace">Replace</option>
+        </select>
+        <label className="archive-btn">
+          ⤒ Import Archive
+          <input
+            type="file"
+            disabled={!canImport}
+            accept=".jsonl,application/x-ndjson"
+            onChange={(e) => {
+              if (e.target.files[0]) onImport(e.target.files[0], mode);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+
+      {importResult && (
+        <div
+          className={`archive-result ${
+            importResult.imported ? "valid" : "invalid"
+          }`}
+        >
+          {importResult.imported ? (
+            <>
+              ✓ Imported {importResult.blocksAdded} blocks and{" "}
+              {importResult.pendingAdded} pending transactions
+              {importResult.warnings.map((warning, idx) => (
+                <div key={idx} className="archive-warning">
+                  ⚠️ {warning}
+                </div>
+              ))}
+            </>
+          ) : importResult.failedBlock ? (
+            <>
+              ✗ Rejected at block #{importResult.failedBlock.blockNumber}:{" "}
+              {importResult.failedBlock.reason}
+            </>
+          ) : (
+            <>✗ {importResult.error}</>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default BlockchainExplorer;
@@ -104,6 +104,8 @@ const DashboardHeader = () => {
                 isConnected
                   ? pendingChanges > 0
                     ? `${pendingChanges} changes pending sync - Click to sync now`
+                    : syncStatus === "read-only"
+                    ? "Your role cannot write to Supabase - changes are kept locally. Click to retry"
                     : `Connected to Supabase (${syncStatus}) - Data source: ${dataSource}`
                   : "Offline - Using local storage. Click to retry connection"
               }
@@ -135,6 +137,8 @@ const DashboardHeader = () => {
                     ? `${pendingChanges} Pending`
                     : syncStatus === "syncing"
                     ? "Syncing..."
+                    : syncStatus === "read-only"
+                    ? "Read-only"
                     : "Synced"
                   : "Offline"}
               </span>
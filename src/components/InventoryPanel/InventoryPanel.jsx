@@ -0,0 +1,272 @@
+import React, { useState } from "react";
+import {
+  FaBoxes,
+  FaTruck,
+  FaHandHoldingMedical,
+  FaBan,
+  FaCheckCircle,
+  FaHistory,
+  FaPlus,
+} from "react-icons/fa";
+import { useInventory } from "../../hooks/useInventory";
+import { INITIAL_ROOMS, MEDICINE_DATABASE } from "../../utils/constants";
+
+// Lot status badge colors
+const lotStatusColors = {
+  available: "bg-green-100 text-green-700",
+  quarantined: "bg-amber-100 text-amber-700",
+  depleted: "bg-gray-100 text-gray-500",
+};
+
+/**
+ * Receive Lot Form Component
+ */
+const ReceiveLotForm = ({ roomId, medicineKeys, onReceive }) => {
+  const [form, setForm] = useState({
+    medicineKey: medicineKeys[0] || "",
+    batchNumber: "",
+    expiryDate: "",
+    quantity: "",
+  });
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const lot = await onReceive({
+      ...form,
+      quantity: parseFloat(form.quantity),
+      roomId,
+    });
+    if (lot) {
+      setForm((prev) => ({ ...prev, batchNumber: "", quantity: "" }));
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-lg border"
+    >
+      <select
+        value={form.medicineKey}
+        onChange={update("medicineKey")}
+        className="col-span-2 px-2 py-1 text-sm border rounded"
+      >
+        {medicineKeys.map((key) => (
+          <option key={key} value={key}>
+            {MEDICINE_DATABASE[key]?.name || key}
+          </option>
+        ))}
+      </select>
+      <input
+        placeholder="Batch number"
+        value={form.batchNumber}
+        onChange={update("batchNumber")}
+        className="px-2 py-1 text-sm border rounded"
+      />
+      <input
+        type="number"
+        min="1"
+        placeholder="Quantity"
+        value={form.quantity}
+        onChange={update("quantity")}
+        className="px-2 py-1 text-sm border rounded"
+      />
+      <input
+        type="date"
+        value={form.expiryDate}
+        onChange={update("expiryDate")}
+        className="px-2 py-1 text-sm border rounded"
+      />
+      <button
+        type="submit"
+        className="flex items-center justify-center space-x-1 px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700"
+      >
+        <FaPlus />
+        <span>Receive Lot</span>
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Lot Row Component - Lot details with its actions
+ */
+const LotRow = ({ lot, roomId, inventory }) => {
+  const [input, setInput] = useState("");
+  const [toRoomId, setToRoomId] = useState("");
+  const [history, setHistory] = useState(null);
+
+  const otherRooms = INITIAL_ROOMS.filter((room) => room.id !== roomId);
+  const isAvailable = lot.status === "available";
+
+  const toggleHistory = async () => {
+    setHistory(
+      history ? null : await inventory.getEnvironmentalHistory(lot.lotId)
+    );
+  };
+
+  return (
+    <div className="p-3 bg-white rounded-lg border border-gray-200 shadow-sm">
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="font-medium text-gray-800">{lot.name}</p>
+          <p className="text-xs text-gray-500">
+            Batch {lot.batchNumber} · Expires{" "}
+            {new Date(lot.expiryDate).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="text-right">
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+              lotStatusColors[lot.status]
+            }`}
+          >
+            {lot.status}
+          </span>
+          <p className="mt-1 text-sm font-bold text-gray-700">
+            {lot.quantity} {lot.unit}
+          </p>
+        </div>
+      </div>
+
+      {lot.status !== "depleted" && (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <input
+            placeholder={isAvailable ? "Quantity or reason" : "Reason"}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 text-xs border rounded"
+          />
+          {isAvailable && (
+            <button
+              onClick={() =>
+                inventory.dispenseLot(lot.lotId, parseFloat(input))
+              }
+              className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-blue-50 text-blue-700 hover:bg-blue-100"
+            >
+              <FaHandHoldingMedical />
+              <span>Dispense</span>
+            </button>
+          )}
+          {isAvailable ? (
+            <button
+              onClick={() => inventory.quarantineLot(lot.lotId, input)}
+              className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-amber-50 text-amber-700 hover:bg-amber-100"
+            >
+              <FaBan />
+              <span>Quarantine</span>
+            </button>
+          ) : (
+            <button
+              onClick={() => inventory.releaseLot(lot.lotId, input)}
+              className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-green-50 text-green-700 hover:bg-green-100"
+            >
+              <FaCheckCircle />
+              <span>Release</span>
+            </button>
+          )}
+          <select
+            value={toRoomId}
+            onChange={(e) => setToRoomId(e.target.value)}
+            className="px-2 py-1 text-xs border rounded"
+          >
+            <option value="">Move to...</option>
+            {otherRooms.map((room) => (
+              <option key={room.id} value={room.id}>
+                {room.shortName || room.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => inventory.moveLot(lot.lotId, toRoomId)}
+            disabled={!toRoomId}
+            className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+          >
+            <FaTruck />
+            <span>Move</span>
+          </button>
+        </div>
+      )}
+
+      <button
+        onClick={toggleHistory}
+        className="mt-2 flex items-center space-x-1 text-xs text-indigo-600 hover:text-indigo-800"
+      >
+        <FaHistory />
+        <span>{history ? "Hide" : "Show"} environmental history</span>
+      </button>
+      {history && (
+        <div className="mt-2 space-y-1">
+          {history.stays.map((stay) => (
+            <div
+              key={`${stay.roomId}-${stay.from}`}
+              className="flex justify-between text-xs bg-indigo-50 px-2 py-1 rounded"
+            >
+              <span className="text-gray-700">
+                {stay.roomId}: {new Date(stay.from).toLocaleString()} –{" "}
+                {stay.to ? new Date(stay.to).toLocaleString() : "now"}
+              </span>
+              <span className="text-gray-600">
+                {stay.readings.length} readings
+                {stay.mkt && ` · MKT ${stay.mkt.mkt}°C`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Inventory Panel Component - Lots stored in a room
+ */
+const InventoryPanel = ({ roomId, medicineKeys = [] }) => {
+  const inventory = useInventory(roomId);
+  const { lots, isLoading, error, receiveLot } = inventory;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <FaBoxes className="text-lg text-blue-600" />
+        <h3 className="font-semibold text-gray-800">
+          Lot Inventory ({lots.length})
+        </h3>
+      </div>
+
+      <ReceiveLotForm
+        roomId={roomId}
+        medicineKeys={medicineKeys}
+        onReceive={receiveLot}
+      />
+
+      {error && (
+        <p className="p-2 text-sm text-red-700 bg-red-50 rounded border border-red-200">
+          {error}
+        </p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading inventory...</p>
+      ) : lots.length === 0 ? (
+        <p className="text-sm text-gray-500">No lots stored in this room.</p>
+      ) : (
+        <div className="space-y-3">
+          {lots.map((lot) => (
+            <LotRow
+              key={lot.lotId}
+              lot={lot}
+              roomId={roomId}
+              inventory={inventory}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InventoryPanel;
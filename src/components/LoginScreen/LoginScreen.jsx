@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from "react";
+import { FaPills, FaLock, FaUser, FaSignInAlt, FaKey } from "react-icons/fa";
+import { useAuth } from "../../hooks/useAuth";
+
+const providerLabels = {
+  local: "Local Account",
+  supabase: "Supabase",
+  oidc: "Single Sign-On",
+};
+
+/**
+ * Login Screen Component - Signs in through the configured providers
+ * An empty local user store offers the setup step for its administrator,
+ * then shows the key ID to pin before the first sign-in.
+ */
+const LoginScreen = () => {
+  const {
+    providers,
+    defaultProvider,
+    getProvider,
+    login,
+    needsSetup,
+    setupAdministrator,
+  } = useAuth();
+  const [providerName, setProviderName] = useState(
+    providers.includes(defaultProvider) ? defaultProvider : providers[0]
+  );
+  const [form, setForm] = useState({
+    username: "",
+    email: "",
+    name: "",
+    password: "",
+    confirmation: "",
+  });
+  const [canSetUp, setCanSetUp] = useState(false);
+  const [settingUp, setSettingUp] = useState(false);
+  const [setupKeyId, setSetupKeyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Check for an empty local store
+  useEffect(() => {
+    setSettingUp(false);
+    if (providerName !== "local") {
+      setCanSetUp(false);
+      return;
+    }
+    needsSetup("local").then(setCanSetUp);
+  }, [providerName, needsSetup]);
+
+  // Complete an OIDC login returning from the identity provider
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (!providers.includes("oidc") || !params.get("state")) return;
+
+    window.history.replaceState({}, "", window.location.pathname);
+    login("oidc", {
+      code: params.get("code"),
+      state: params.get("state"),
+      error: params.get("error"),
+    }).catch((err) => setError(err.message));
+  }, [providers, login]);
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const run = async (action) => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setForm((prev) => ({ ...prev, password: "", confirmation: "" }));
+      setIsBusy(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (providerName === "oidc") {
+        window.location.assign(await getProvider("oidc").beginLogin());
+        return;
+      }
+      if (settingUp) {
+        if (form.password !== form.confirmation) {
+          throw new Error("Passwords do not match");
+        }
+        const { keyId } = await setupAdministrator("local", {
+          username: form.username,
+          name: form.name,
+          email: form.email,
+          password: form.password,
+        });
+        setSettingUp(false);
+        setCanSetUp(false);
+        setSetupKeyId(keyId);
+        return;
+      }
+      await login(
+        providerName,
+        providerName === "supabase"
+          ? { email: form.email, password: form.password }
+          : { username: form.username, password: form.password }
+      );
+    });
+  };
+
+  const inputClass = "flex-1 py-2 text-sm outline-none";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white rounded-xl shadow-md p-8 space-y-5"
+      >
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-blue-600 rounded-lg">
+            <FaPills className="text-white text-xl" />
+          </div>
+          <div>
+            <h1 className="text-lg font-bold text-gray-900">
+              Medicine Storage Monitor
+            </h1>
+            <p className="text-xs text-gray-500">
+              {settingUp ? "Create the administrator account" : "Sign in"}
+            </p>
+          </div>
+        </div>
+
+        {providers.length > 1 && (
+          <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg">
+            {providers.map((name) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => setProviderName(name)}
+                className={`flex-1 px-2 py-1 rounded text-xs font-medium ${
+                  providerName === name
+                    ? "bg-white text-blue-700 shadow"
+                    : "text-gray-600"
+                }`}
+              >
+                {providerLabels[name] || name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {providerName !== "oidc" && (
+          <div className="space-y-3">
+            {settingUp && (
+              <input
+                placeholder="Full name"
+                value={form.name}
+                onChange={update("name")}
+                className="w-full px-3 py-2 text-sm border rounded"
+              />
+            )}
+            {providerName === "local" && (
+              <div className="flex items-center space-x-2 border rounded px-3">
+                <FaUser className="text-gray-400" />
+                <input
+                  placeholder="Username"
+                  autoComplete="username"
+                  value={form.username}
+                  onChange={update("username")}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            {(providerName === "supabase" || settingUp) && (
+              <div className="flex items-center space-x-2 border rounded px-3">
+                <FaUser className="text-gray-400" />
+                <input
+                  type="email"
+                  placeholder="Email"
+                  autoComplete="email"
+                  value={form.email}
+                  onChange={update("email")}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            <div className="flex items-center space-x-2 border rounded px-3">
+              <FaLock className="text-gray-400" />
+              <input
+                type="password"
+                placeholder="Password"
+                autoComplete={settingUp ? "new-password" : "current-password"}
+                value={form.password}
+                onChange={update("password")}
+                className={inputClass}
+              />
+            </div>
+            {settingUp && (
+              <div className="flex items-center space-x-2 border rounded px-3">
+                <FaLock className="text-gray-400" />
+                <input
+                  type="password"
+                  placeholder="Confirm password"
+                  autoComplete="new-password"
+                  value={form.confirmation}
+                  onChange={update("confirmation")}
+                  className={inputClass}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {canSetUp && !settingUp && (
+          <p className="p-2 text-sm text-gray-700 bg-gray-50 rounded border">
+            No local accounts exist yet.{" "}
+            <button
+              type="button"
+              onClick={() => setSettingUp(true)}
+              className="text-blue-700 font-medium hover:underline"
+            >
+              Set up the administrator account
+            </button>
+          </p>
+        )}
+
+        {setupKeyId && (
+          <p className="p-2 text-sm text-green-800 bg-green-50 rounded border border-green-200">
+            Administrator created; sign in to continue. Pin this store by
+            setting REACT_APP_LOCAL_ADMIN_KEY_ID to{" "}
+            <code className="font-mono">{setupKeyId}</code>.
+          </p>
+        )}
+
+        {error && (
+          <p className="p-2 text-sm text-red-700 bg-red-50 rounded border border-red-200">
+            {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isBusy}
+          className="w-full flex items-center justify-center space-x-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {providerName === "oidc" ? <FaKey /> : <FaSignInAlt />}
+          <span>
+            {isBusy
+              ? "Signing in..."
+              : providerName === "oidc"
+              ? "Continue to identity provider"
+              : settingUp
+              ? "Set up administrator"
+              : "Sign in"}
+          </span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,42 @@
+import React, { useEffect } from "react";
+import { FaLock } from "react-icons/fa";
+import {
+  useSecurityModule,
+  PERMISSION_DESCRIPTIONS,
+} from "../../modules/securityModule";
+import { VIEW_PERMISSIONS } from "../../modules/accessControl";
+
+/**
+ * Permission Guard Component - Renders a view only for permitted roles
+ * Pass a view from VIEW_PERMISSIONS or a permission directly. Refused
+ * views are recorded as ACCESS_DENIED.
+ */
+const PermissionGuard = ({ view, permission, fallback, children }) => {
+  const security = useSecurityModule();
+  const required = permission || VIEW_PERMISSIONS[view];
+  const allowed = security.hasPermission(required);
+
+  useEffect(() => {
+    if (!allowed) {
+      security.logAudit("ACCESS_DENIED", view || required, {
+        permission: required,
+      });
+    }
+  }, [allowed, security, view, required]);
+
+  if (allowed) return children;
+  if (fallback !== undefined) return fallback;
+
+  return (
+    <div className="flex flex-col items-center justify-center py-16 bg-white rounded-xl shadow-md text-center">
+      <FaLock className="text-3xl text-gray-400 mb-3" />
+      <p className="font-medium text-gray-700">Access restricted</p>
+      <p className="text-sm text-gray-500 mt-1">
+        Your role ({security.getRole()?.name}) does not have permission to:{" "}
+        {PERMISSION_DESCRIPTIONS[required] || required}
+      </p>
+    </div>
+  );
+};
+
+export default PermissionGuard;
@@ -55,7 +55,7 @@ const statusColors = {
 const RoomCard = ({ room }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [showChart, setShowChart] = useState(false);
-  const { overallStatus, conditionStatuses } = useRoomStatus(room);
+  const { overallStatus, conditionStatuses, conditions } = useRoomStatus(room);
 
   const formatDateTime = (timestamp) => {
     const date = new Date(timestamp);
@@ -106,7 +106,7 @@ const RoomCard = ({ room }) => {
 
       {/* Conditions Grid */}
       <div className="p-4 space-y-3">
-        {Object.entries(room.conditions).map(([key, condition]) => {
+        {Object.entries(conditions).map(([key, condition]) => {
           const Icon = conditionIcons[key];
           const status = conditionStatuses[key];
           const conditionColors = statusColors[status?.status || "green"];
@@ -201,7 +201,7 @@ const RoomCard = ({ room }) => {
 
           {/* Detailed Stats */}
           <div className="grid grid-cols-3 gap-2 text-center">
-            {Object.entries(room.conditions).map(([key, condition]) => {
+            {Object.entries(conditions).map(([key, condition]) => {
               const status = conditionStatuses[key];
               return (
                 <div key={key} className="p-2 bg-gray-50 rounded-lg">
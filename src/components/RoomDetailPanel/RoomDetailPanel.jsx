@@ -17,8 +17,13 @@ import {
   FaChevronUp,
   FaSnowflake,
   FaWind,
+  FaBoxes,
 } from "react-icons/fa";
 import { MEDICINE_DATABASE } from "../../utils/constants";
+import { useMeanKineticTemperature } from "../../hooks/useMeanKineticTemperature";
+import { MKT_ACTIVATION_ENERGY } from "../../engines/conditionEngine";
+import { applyProductLimits } from "../../services/productLimits";
+import InventoryPanel from "../InventoryPanel";
 
 // Status color configurations
 const statusColors = {
@@ -186,6 +191,200 @@ const ConditionDisplay = ({ condition, label, icon: Icon, status }) => {
   );
 };
 
+// MKT windows, in hours
+const mktWindows = [
+  { hours: 24, label: "24h" },
+  { hours: 24 * 7, label: "7 days" },
+  { hours: 24 * 30, label: "30 days" },
+];
+
+/**
+ * Product Limits Card Component - Temperature limits derived from stored products
+ */
+const ProductLimitsCard = ({ productLimits, temperature }) => {
+  const { source, products, conflicts } = productLimits;
+  const unit = temperature.unit || "°C";
+  const formatBound = (value) => (Number.isFinite(value) ? value : "–");
+
+  return (
+    <div
+      className={`p-4 rounded-lg border ${
+        conflicts.length > 0
+          ? "bg-amber-50 border-amber-200"
+          : "bg-blue-50 border-blue-200"
+      }`}
+    >
+      <div className="flex items-center space-x-2 mb-2">
+        <FaPills className="text-blue-600" />
+        <span className="font-medium text-gray-700">
+          Product-Specific Limits
+        </span>
+      </div>
+      <p className="text-sm text-gray-700">
+        Effective range: {temperature.min}
+        {unit} to {temperature.max}
+        {unit}{" "}
+        <span className="text-xs text-gray-500">
+          (
+          {source === "products"
+            ? `strictest of ${products.length} stored products`
+            : "room configuration"}
+          ; configured {temperature.configuredMin}
+          {unit} to {temperature.configuredMax}
+          {unit})
+        </span>
+      </p>
+      {products.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {products.map((product) => (
+            <span
+              key={product.key}
+              className="px-2 py-0.5 text-xs bg-white border rounded text-gray-600"
+            >
+              {product.name}: {formatBound(product.min)} to{" "}
+              {formatBound(product.max)}
+              {unit}
+            </span>
+          ))}
+        </div>
+      )}
+      {conflicts.map((conflict) => (
+        <p
+          key={conflict.products.join("-")}
+          className="mt-2 flex items-start space-x-1 text-xs text-amber-800"
+        >
+          <FaExclamationTriangle className="mt-0.5 flex-shrink-0" />
+          <span>{conflict.message}</span>
+        </p>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Mean Kinetic Temperature Card Component
+ */
+const MeanKineticTemperatureCard = ({ room }) => {
+  const [hours, setHours] = useState(24);
+  const [activationEnergy, setActivationEnergy] = useState(
+    MKT_ACTIVATION_ENERGY
+  );
+  const { mkt, batches, source, isLoading } = useMeanKineticTemperature(room, {
+    hours,
+    activationEnergy,
+  });
+  const { min, max, unit = "°C" } = room.conditions?.temperature || {};
+  const withinLimits = (value) =>
+    min === undefined || (value >= min && value <= max);
+
+  return (
+    <div className="p-4 rounded-lg bg-indigo-50 border border-indigo-200">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <FaFlask className="text-indigo-600" />
+          <span className="font-medium text-gray-700">
+            Mean Kinetic Temperature
+          </span>
+        </div>
+        <div className="flex space-x-1">
+          {mktWindows.map((window) => (
+            <button
+              key={window.hours}
+              onClick={() => setHours(window.hours)}
+              className={`px-2 py-0.5 rounded text-xs font-medium ${
+                hours === window.hours
+                  ? "bg-indigo-600 text-white"
+                  : "bg-white text-indigo-700 border border-indigo-200"
+              }`}
+            >
+              {window.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mkt ? (
+        <>
+          <div className="flex items-baseline space-x-1">
+            <span
+              className={`text-2xl font-bold ${
+                withinLimits(mkt.mkt) ? "text-indigo-700" : "text-red-700"
+              }`}
+            >
+              {mkt.mkt}
+            </span>
+            <span className="text-gray-500">{unit}</span>
+          </div>
+          <div className="mt-2 flex justify-between text-xs text-gray-500">
+            <span>
+              Mean: {mkt.mean}
+              {unit}
+            </span>
+            <span>
+              Range: {mkt.min} to {mkt.max}
+              {unit}
+            </span>
+            <span>{mkt.samples} readings</span>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {isLoading
+            ? "Loading sensor history..."
+            : "No temperature readings in this window."}
+        </p>
+      )}
+
+      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+        <label className="flex items-center space-x-1">
+          <span>Activation energy</span>
+          <input
+            type="number"
+            min="1"
+            step="0.001"
+            value={activationEnergy}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (value > 0) setActivationEnergy(value);
+            }}
+            className="w-20 px-1 py-0.5 rounded border border-indigo-200 bg-white"
+          />
+          <span>kJ/mol</span>
+        </label>
+        <span className="italic">
+          {source === "recorded" ? "Recorded history" : "Recent readings"}
+        </span>
+      </div>
+
+      {batches.length > 0 && (
+        <div className="mt-3 space-y-1">
+          <p className="text-xs font-medium text-gray-600 uppercase">
+            By Batch
+          </p>
+          {batches.map((batch) => (
+            <div
+              key={batch.medicineId}
+              className="flex justify-between text-xs bg-white px-2 py-1 rounded"
+            >
+              <span className="text-gray-700">
+                {batch.name} ({batch.batch})
+              </span>
+              <span
+                className={`font-medium ${
+                  withinLimits(batch.mkt) ? "text-gray-800" : "text-red-700"
+                }`}
+              >
+                {batch.mkt}
+                {unit}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
  * Action Protocol Card Component
  */
@@ -249,6 +448,7 @@ const RoomDetailPanel = ({ room, onClose }) => {
 
   if (!room) return null;
 
+  const limitedRoom = applyProductLimits(room);
   const {
     id,
     name,
@@ -262,7 +462,8 @@ const RoomDetailPanel = ({ room, onClose }) => {
     equipment = {},
     complianceRequirements = [],
     status = "green",
-  } = room;
+    productLimits,
+  } = limitedRoom;
 
   // Representative Product Examples data for each room
   const productExamples = {
@@ -311,6 +512,7 @@ const RoomDetailPanel = ({ room, onClose }) => {
   const tabs = [
     { id: "overview", label: "Overview", icon: FaInfoCircle },
     { id: "medicines", label: "Medicines", icon: FaPills },
+    { id: "inventory", label: "Inventory", icon: FaBoxes },
     { id: "conditions", label: "Conditions", icon: FaThermometerHalf },
     { id: "protocols", label: "Protocols", icon: FaClipboardList },
     { id: "compliance", label: "Compliance", icon: FaShieldAlt },
@@ -604,6 +806,11 @@ const RoomDetailPanel = ({ room, onClose }) => {
           </div>
         )}
 
+        {/* Inventory Tab */}
+        {activeTab === "inventory" && (
+          <InventoryPanel roomId={id} medicineKeys={medicineDetails} />
+        )}
+
         {/* Conditions Tab */}
         {activeTab === "conditions" && (
           <div className="space-y-4">
@@ -621,6 +828,15 @@ const RoomDetailPanel = ({ room, onClose }) => {
                   status={status}
                 />
               )}
+              {productLimits && (
+                <ProductLimitsCard
+                  productLimits={productLimits}
+                  temperature={conditions.temperature}
+                />
+              )}
+              {conditions.temperature && (
+                <MeanKineticTemperatureCard room={limitedRoom} />
+              )}
               {conditions.humidity && (
                 <ConditionDisplay
                   condition={conditions.humidity}
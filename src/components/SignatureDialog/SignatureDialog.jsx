@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from "react";
+import { FaSignature, FaLock, FaTimes } from "react-icons/fa";
+import eSignatureService, {
+  SIGNATURE_MEANINGS,
+} from "../../services/eSignatureService";
+import { useSecurityModule } from "../../modules/securityModule";
+
+// Default signing action
+const signRecord = (request) => eSignatureService.sign(request);
+
+/**
+ * Signature Dialog Component - Re-authenticates the user and signs a record
+ * Users without a signing key set up their signature passphrase first.
+ * Actions that sign as part of their own operation pass `sign`, which gets
+ * the same request as eSignatureService.sign().
+ */
+const SignatureDialog = ({
+  title,
+  recordType,
+  recordId,
+  record,
+  defaultMeaning = SIGNATURE_MEANINGS.REVIEWED,
+  sign = signRecord,
+  onSigned,
+  onCancel,
+}) => {
+  const security = useSecurityModule();
+  const [hasKey, setHasKey] = useState(null);
+  const [meaning, setMeaning] = useState(defaultMeaning);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [comment, setComment] = useState("");
+  const [error, setError] = useState(null);
+  const [isSigning, setIsSigning] = useState(false);
+
+  useEffect(() => {
+    eSignatureService.hasSigningKey().then(setHasKey);
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSigning(true);
+    try {
+      if (!hasKey) {
+        if (passphrase !== confirmation) {
+          throw new Error("Passphrases do not match");
+        }
+        await eSignatureService.registerSigner(passphrase);
+        setHasKey(true);
+      }
+      const result = await sign({
+        recordType,
+        recordId,
+        record,
+        meaning,
+        credential: passphrase,
+        comment,
+      });
+      await onSigned(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPassphrase("");
+      setConfirmation("");
+      setIsSigning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md bg-white rounded-xl shadow-xl p-6 space-y-4"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <FaSignature className="text-blue-600" />
+            <h3 className="font-semibold text-gray-800">{title}</h3>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <FaTimes />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Signing as{" "}
+          <span className="font-medium">{security.currentUser?.name}</span> (
+          {security.getRole()?.name}). Your signature is bound to this record
+          and the time of signing.
+        </p>
+
+        <div className="flex space-x-2">
+          {Object.values(SIGNATURE_MEANINGS).map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMeaning(value)}
+              className={`flex-1 px-2 py-1 rounded text-sm font-medium capitalize ${
+                meaning === value
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+
+        {hasKey === false && (
+          <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded border border-amber-200">
+            No signature passphrase is set up for your account yet. Choose one
+            now; you will enter it for every signature.
+          </p>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center space-x-2 border rounded px-2">
+            <FaLock className="text-gray-400" />
+            <input
+              type="password"
+              placeholder="Signature passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="flex-1 py-1.5 text-sm outline-none"
+              autoFocus
+            />
+          </div>
+          {hasKey === false && (
+            <div className="flex items-center space-x-2 border rounded px-2">
+              <FaLock className="text-gray-400" />
+              <input
+                type="password"
+                placeholder="Confirm passphrase"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                className="flex-1 py-1.5 text-sm outline-none"
+              />
+            </div>
+          )}
+          <input
+            placeholder="Comment (optional)"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            className="w-full px-2 py-1.5 text-sm border rounded"
+          />
+        </div>
+
+        {error && (
+          <p className="p-2 text-sm text-red-700 bg-red-50 rounded border border-red-200">
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1.5 text-sm rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!passphrase || isSigning || hasKey === null}
+            className="flex items-center space-x-1 px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            <FaSignature />
+            <span>{isSigning ? "Signing..." : "Sign"}</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SignatureDialog;
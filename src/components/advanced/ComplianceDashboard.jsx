@@ -13,7 +13,10 @@ import {
   FaChartLine,
   FaClipboardList,
   FaScroll,
+  FaClipboardCheck,
+  FaSlidersH,
 } from "react-icons/fa";
+import { canPerform } from "../../modules/accessControl";
 
 // Import new compliance components
 import {
@@ -21,6 +24,8 @@ import {
   RequirementsMatrix,
   AuditTrail,
   ReportsDashboard,
+  DeviationWorkflow,
+  AlertRuleEditor,
 } from "../compliance";
 
 /**
@@ -311,7 +316,11 @@ const ComplianceDashboard = ({
     { id: "overview", label: "Overview", icon: FaChartLine },
     { id: "requirements", label: "Requirements", icon: FaClipboardList },
     { id: "audit-trail", label: "Audit Trail", icon: FaScroll },
+    { id: "deviations", label: "Deviations", icon: FaClipboardCheck },
     { id: "reports", label: "Reports", icon: FaFileAlt },
+    ...(canPerform("saveAlertRule")
+      ? [{ id: "alert-rules", label: "Alert Rules", icon: FaSlidersH }]
+      : []),
   ];
 
   // Calculate overall compliance score
@@ -467,9 +476,13 @@ const ComplianceDashboard = ({
 
       {activeView === "requirements" && <RequirementsMatrix roomId={roomId} />}
 
-      {activeView === "audit-trail" && <AuditTrail roomId={roomId} />}
+      {activeView === "audit-trail" && <AuditTrail />}
+
+      {activeView === "deviations" && <DeviationWorkflow roomId={roomId} />}
 
       {activeView === "reports" && <ReportsDashboard roomId={roomId} />}
+
+      {activeView === "alert-rules" && <AlertRuleEditor />}
     </div>
   );
 };
@@ -0,0 +1,533 @@
+import React, { useMemo, useState } from "react";
+import {
+  FaSlidersH,
+  FaPlus,
+  FaPlay,
+  FaCheck,
+  FaPowerOff,
+} from "react-icons/fa";
+import { useAlertRules } from "../../hooks/useAlertRules";
+import { useDashboard } from "../../contexts/DashboardContext";
+import alertEngine, { SEVERITY, CHANNELS } from "../../services/alertEngine";
+import {
+  RULE_PARAMETERS,
+  RULE_FUNCTIONS,
+  validateAlertRule,
+} from "../../services/alertRules";
+
+const emptyForm = {
+  id: "",
+  name: "",
+  parameter: "",
+  condition: "",
+  severity: SEVERITY.WARNING,
+  message: "",
+  actions: "",
+  channels: [CHANNELS.UI],
+  escalate: false,
+  policy: "",
+  afterMinutes: "",
+  delayOn: "",
+  delayOnUnit: "seconds",
+  delayOff: "",
+  delayOffUnit: "seconds",
+  deadband: "",
+};
+
+const DELAY_UNITS = ["seconds", "readings"];
+
+const list = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Rule definition from the editor form
+ */
+const toDefinition = (form) => {
+  const definition = {
+    id: form.id.trim(),
+    name: form.name.trim(),
+    condition: form.condition,
+    severity: form.severity,
+    message: form.message,
+    actions: list(form.actions),
+    channels: form.channels,
+  };
+  if (form.parameter) definition.parameter = form.parameter;
+  ["delayOn", "delayOff"].forEach((delay) => {
+    if (form[delay] !== "") {
+      definition[delay] = { [form[`${delay}Unit`]]: Number(form[delay]) };
+    }
+  });
+  if (form.deadband !== "") definition.deadband = Number(form.deadband);
+  if (form.escalate) {
+    definition.escalation = {};
+    if (form.policy) definition.escalation.policy = form.policy;
+    if (form.afterMinutes !== "") {
+      definition.escalation.afterMinutes = Number(form.afterMinutes);
+    }
+  }
+  return definition;
+};
+
+// Delay fields for the form; a delay is edited in one unit
+const delayForm = (delay, field) => {
+  const unit = delay?.readings !== undefined ? "readings" : "seconds";
+  return {
+    [field]: delay?.[unit] ?? "",
+    [`${field}Unit`]: unit,
+  };
+};
+
+/**
+ * Editor form from a saved definition
+ */
+const toForm = (definition) => ({
+  ...emptyForm,
+  id: definition.id,
+  name: definition.name,
+  parameter: definition.parameter || "",
+  condition: definition.condition,
+  severity: definition.severity,
+  message: definition.message,
+  actions: (definition.actions || []).join(", "),
+  channels: definition.channels,
+  escalate: !!definition.escalation,
+  policy: definition.escalation?.policy || "",
+  afterMinutes: definition.escalation?.afterMinutes ?? "",
+  ...delayForm(definition.delayOn, "delayOn"),
+  ...delayForm(definition.delayOff, "delayOff"),
+  deadband: definition.deadband ?? "",
+});
+
+const formatTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "–";
+
+/**
+ * Dry Run Result Component
+ */
+const DryRunResult = ({ result }) => {
+  if (result.evaluated === 0) {
+    return (
+      <p className="p-2 text-sm text-yellow-700 bg-yellow-50 rounded border border-yellow-200">
+        No recorded readings for this room; the rule cannot be activated until
+        it has been replayed against history.
+      </p>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg border space-y-2 text-sm">
+      <p className="text-gray-700">
+        Replayed {result.evaluated} readings from {formatTime(result.from)} to{" "}
+        {formatTime(result.to)}: {result.alerts.length} alert
+        {result.alerts.length === 1 ? "" : "s"} over {result.matched} matching
+        readings
+        {result.errors > 0 && `, ${result.errors} evaluation errors`}.
+      </p>
+      {result.alerts.slice(0, 20).map((alert) => (
+        <div
+          key={alert.from}
+          className="flex justify-between text-xs bg-white px-2 py-1 rounded border"
+        >
+          <span className="text-gray-700">{alert.message}</span>
+          <span className="font-mono text-gray-500">
+            {formatTime(alert.from)} –{" "}
+            {alert.ongoing ? "ongoing" : formatTime(alert.to)}
+            {alert.flaps > 0 && ` · ${alert.flaps} flaps`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Version History Component
+ */
+const VersionHistory = ({
+  rule,
+  versions,
+  onActivate,
+  onDeactivate,
+  onEdit,
+}) => (
+  <div className="space-y-1">
+    {versions
+      .slice()
+      .reverse()
+      .map((version) => {
+        const isActive = rule.activeVersion === version.version;
+        return (
+          <div
+            key={version.version}
+            className={`flex items-center justify-between text-xs px-2 py-1 rounded ${
+              isActive ? "bg-green-50 border border-green-200" : "bg-gray-50"
+            }`}
+          >
+            <button
+              onClick={() => onEdit(version.definition)}
+              className="text-left text-gray-700 hover:text-blue-700"
+              title="Load into the editor"
+            >
+              v{version.version} · {formatTime(version.savedAt)} ·{" "}
+              {version.savedBy} ·{" "}
+              <span className="font-mono">{version.hash.substr(0, 8)}</span>
+              {version.dryRun
+                ? ` · dry run: ${version.dryRun.alerts} alerts in ${version.dryRun.evaluated} readings`
+                : " · not dry run"}
+            </button>
+            {isActive ? (
+              <button
+                onClick={() => onDeactivate(rule.id)}
+                className="flex items-center space-x-1 px-2 py-0.5 text-red-700 hover:bg-red-50 rounded"
+              >
+                <FaPowerOff />
+                <span>Deactivate</span>
+              </button>
+            ) : (
+              <button
+                onClick={() => onActivate(rule.id, version.version)}
+                disabled={!version.dryRun?.evaluated}
+                title={
+                  version.dryRun?.evaluated
+                    ? "Activate this version"
+                    : "Dry run this version against recorded history first"
+                }
+                className="flex items-center space-x-1 px-2 py-0.5 text-green-700 hover:bg-green-100 rounded disabled:text-gray-400 disabled:hover:bg-transparent"
+              >
+                <FaCheck />
+                <span>Activate</span>
+              </button>
+            )}
+          </div>
+        );
+      })}
+  </div>
+);
+
+/**
+ * Alert Rule Editor Component - Custom rules with dry runs and versions
+ */
+const AlertRuleEditor = () => {
+  const {
+    rules,
+    isLoading,
+    error,
+    dryRun,
+    activateRule,
+    deactivateRule,
+    getVersions,
+  } = useAlertRules();
+  const { rooms } = useDashboard();
+  const [form, setForm] = useState(emptyForm);
+  const [roomId, setRoomId] = useState("");
+  const [dryRunResult, setDryRunResult] = useState(null);
+
+  const definition = useMemo(() => toDefinition(form), [form]);
+  const definitionError = useMemo(() => {
+    try {
+      validateAlertRule(definition);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [definition]);
+
+  const selectedRule = rules.find((rule) => rule.id === definition.id);
+  const room = rooms.find((r) => r.id === roomId) || rooms[0];
+
+  const update = (field) => (e) => {
+    const value =
+      e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setDryRunResult(null);
+  };
+
+  const toggleChannel = (channel) => {
+    setForm((prev) => ({
+      ...prev,
+      channels: prev.channels.includes(channel)
+        ? prev.channels.filter((c) => c !== channel)
+        : [...prev.channels, channel],
+    }));
+    setDryRunResult(null);
+  };
+
+  const edit = (saved) => {
+    setForm(toForm(saved));
+    setDryRunResult(null);
+  };
+
+  const handleDryRun = async (e) => {
+    e.preventDefault();
+    if (!room) return;
+    const outcome = await dryRun(definition, room);
+    if (outcome) setDryRunResult(outcome.result);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <FaSlidersH className="text-lg text-blue-600" />
+          <h3 className="font-semibold text-gray-800">
+            Custom Alert Rules ({rules.filter((r) => r.activeVersion).length}{" "}
+            active of {rules.length})
+          </h3>
+        </div>
+        <button
+          onClick={() => edit(emptyForm)}
+          className="flex items-center space-x-1 px-3 py-1 text-sm text-blue-700 rounded hover:bg-blue-50"
+        >
+          <FaPlus />
+          <span>New rule</span>
+        </button>
+      </div>
+
+      {error && (
+        <p className="p-2 text-sm text-red-700 bg-red-50 rounded border border-red-200">
+          {error}
+        </p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading alert rules...</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {rules.length === 0 && (
+            <p className="text-sm text-gray-500">No custom rules saved.</p>
+          )}
+          {rules.map((rule) => (
+            <button
+              key={rule.id}
+              onClick={() => {
+                const versions = getVersions(rule.id);
+                edit(versions[versions.length - 1].definition);
+              }}
+              className={`px-3 py-1 text-xs rounded-full border ${
+                rule.id === definition.id
+                  ? "border-blue-500 text-blue-700"
+                  : "border-gray-200 text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {rule.name} ·{" "}
+              {rule.activeVersion
+                ? `v${rule.activeVersion} active`
+                : "inactive"}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleDryRun}
+        className="p-3 bg-gray-50 rounded-lg border space-y-2"
+      >
+        <div className="grid grid-cols-4 gap-2">
+          <input
+            placeholder="rule-id"
+            value={form.id}
+            onChange={update("id")}
+            className="px-2 py-1 text-sm border rounded font-mono"
+          />
+          <input
+            placeholder="Name"
+            value={form.name}
+            onChange={update("name")}
+            className="col-span-2 px-2 py-1 text-sm border rounded"
+          />
+          <select
+            value={form.severity}
+            onChange={update("severity")}
+            className="px-2 py-1 text-sm border rounded"
+          >
+            {Object.values(SEVERITY).map((severity) => (
+              <option key={severity} value={severity}>
+                {severity}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <textarea
+          placeholder="temperature > temperature.max and rate(temperature, 15) > 0.2"
+          value={form.condition}
+          onChange={update("condition")}
+          rows={2}
+          className="w-full px-2 py-1 text-sm border rounded font-mono"
+        />
+        <p className="text-xs text-gray-500">
+          Parameters: {RULE_PARAMETERS.join(", ")} (with .min, .max,
+          .emergencyMin, .emergencyMax) · score · functions:{" "}
+          {Object.keys(RULE_FUNCTIONS).join(", ")} · and, or, not
+        </p>
+        <input
+          placeholder="Message, e.g. Temperature {temperature}°C rising {rate(temperature, 15)}°C/min"
+          value={form.message}
+          onChange={update("message")}
+          className="w-full px-2 py-1 text-sm border rounded"
+        />
+
+        <div className="grid grid-cols-4 gap-2">
+          <select
+            value={form.parameter}
+            onChange={update("parameter")}
+            title="Parameter maintenance windows match the rule by"
+            className="px-2 py-1 text-sm border rounded"
+          >
+            <option value="">No parameter</option>
+            {RULE_PARAMETERS.map((parameter) => (
+              <option key={parameter} value={parameter}>
+                {parameter}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Actions, comma separated"
+            value={form.actions}
+            onChange={update("actions")}
+            className="col-span-3 px-2 py-1 text-sm border rounded"
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          {[
+            ["delayOn", "Raise after"],
+            ["delayOff", "Clear after"],
+          ].map(([field, label]) => (
+            <label key={field} className="flex items-center space-x-1">
+              <span>{label}</span>
+              <input
+                type="number"
+                min="0"
+                value={form[field]}
+                onChange={update(field)}
+                className="w-20 px-2 py-1 text-sm border rounded"
+              />
+              <select
+                value={form[`${field}Unit`]}
+                onChange={update(`${field}Unit`)}
+                className="px-2 py-1 text-sm border rounded"
+              >
+                {DELAY_UNITS.map((unit) => (
+                  <option key={unit} value={unit}>
+                    {unit}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <label className="flex items-center space-x-1">
+            <span>Deadband</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.deadband}
+              onChange={update("deadband")}
+              disabled={!form.parameter}
+              title="How far the parameter must move back past a limit before the alert clears"
+              className="w-20 px-2 py-1 text-sm border rounded disabled:bg-gray-100"
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          {Object.values(CHANNELS).map((channel) => (
+            <label key={channel} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={form.channels.includes(channel)}
+                onChange={() => toggleChannel(channel)}
+              />
+              <span>{channel}</span>
+            </label>
+          ))}
+          <label className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={form.escalate}
+              onChange={update("escalate")}
+            />
+            <span>Escalate</span>
+          </label>
+          {form.escalate && (
+            <>
+              <select
+                value={form.policy}
+                onChange={update("policy")}
+                className="px-2 py-1 text-sm border rounded"
+              >
+                <option value="">Policy for severity</option>
+                {Object.keys(alertEngine.escalationPolicies).map((policy) => (
+                  <option key={policy} value={policy}>
+                    {policy}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                placeholder="First step up after (min)"
+                value={form.afterMinutes}
+                onChange={update("afterMinutes")}
+                className="w-48 px-2 py-1 text-sm border rounded"
+              />
+            </>
+          )}
+        </div>
+
+        {definitionError && form.id && (
+          <p className="text-xs text-red-600 font-mono">{definitionError}</p>
+        )}
+
+        <div className="flex items-center space-x-2">
+          <select
+            value={room?.id || ""}
+            onChange={(e) => {
+              setRoomId(e.target.value);
+              setDryRunResult(null);
+            }}
+            className="px-2 py-1 text-sm border rounded"
+          >
+            {rooms.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!!definitionError || !room}
+            className="flex items-center space-x-1 px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            <FaPlay />
+            <span>Save version & dry run</span>
+          </button>
+        </div>
+      </form>
+
+      {dryRunResult && <DryRunResult result={dryRunResult} />}
+
+      {selectedRule && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium text-gray-700">
+            Versions of {selectedRule.name}
+          </h4>
+          <VersionHistory
+            rule={selectedRule}
+            versions={getVersions(selectedRule.id)}
+            onActivate={activateRule}
+            onDeactivate={deactivateRule}
+            onEdit={edit}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertRuleEditor;
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   FaPlay,
   FaPause,
@@ -9,20 +15,91 @@ import {
   FaLock,
   FaUserShield,
   FaHistory,
+  FaSignature,
+  FaSyncAlt,
+  FaChevronLeft,
+  FaChevronRight,
 } from "react-icons/fa";
+import securityModule, { AuditLogEntry } from "../../modules/securityModule";
+import { queryAuditLog } from "../../services/auditLogStore";
+import { authorize, canPerform } from "../../modules/accessControl";
+
+const PAGE_SIZE = 20;
+const STREAM_SIZE = 50;
+
+const ACTION_OPTIONS = [
+  "SESSION_START",
+  "SESSION_END",
+  "LOGIN_FAILED",
+  "ACCESS_DENIED",
+  "ELECTRONIC_SIGNATURE",
+  "USER_CREATED",
+  "PASSWORD_CHANGED",
+  "ACCOUNT_LOCKED",
+  "AUDIT_EXPORT",
+  "AUDIT_INTEGRITY_FAILURE",
+];
 
 /**
- * Calculate SHA-256 hash (simplified for demo)
+ * Earliest timestamp for a date range filter
  */
-const calculateHash = (data) => {
-  const str = JSON.stringify(data);
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = (hash << 5) - hash + char;
-    hash = hash & hash;
+const sinceFor = (dateRange) => {
+  const start = new Date();
+  if (dateRange === "today") {
+    start.setHours(0, 0, 0, 0);
+  } else if (dateRange === "7d") {
+    start.setDate(start.getDate() - 7);
+  } else if (dateRange === "30d") {
+    start.setDate(start.getDate() - 30);
+  } else {
+    return undefined;
   }
-  return Math.abs(hash).toString(16).padStart(16, "0");
+  return start.toISOString();
+};
+
+/**
+ * Readable summary of an entry's details
+ */
+const describeDetails = (details = {}) =>
+  Object.entries(details)
+    .filter(([key]) => key !== "timestamp" && key !== "manifestation")
+    .map(
+      ([key, value]) =>
+        `${key}: ${
+          typeof value === "object" ? JSON.stringify(value) : String(value)
+        }`
+    )
+    .join(", ");
+
+/**
+ * Whether a stored entry still matches its hash
+ */
+const verifyEntry = async (entry) =>
+  (await AuditLogEntry.fromRecord(entry).calculateHash()) === entry.hash;
+
+const recentEntries = () =>
+  securityModule.auditLog.slice(-STREAM_SIZE).reverse();
+
+/**
+ * Users, latest blocks and integrity of the chain held in memory
+ */
+const readChain = async () => {
+  const integrity = await securityModule.verifyAuditLogIntegrity();
+  const invalidIds = new Set(integrity.invalidEntries.map((e) => e.id));
+  return {
+    integrity,
+    users: [
+      ...new Map(
+        securityModule.auditLog.map((e) => [
+          e.userId,
+          { id: e.userId, name: e.userName },
+        ])
+      ).values(),
+    ],
+    blocks: securityModule.auditLog
+      .slice(-8)
+      .map((entry) => ({ entry, isValid: !invalidIds.has(entry.id) })),
+  };
 };
 
 /**
@@ -30,17 +107,16 @@ const calculateHash = (data) => {
  */
 const AuditStreamEntry = ({ entry, isNew, onInspect }) => {
   const actionColors = {
-    DATA_MODIFICATION: "bg-blue-100 text-blue-700",
-    SETPOINT_CHANGE: "bg-purple-100 text-purple-700",
-    CALIBRATION: "bg-green-100 text-green-700",
-    OVERRIDE: "bg-red-100 text-red-700",
-    REPORT_GENERATION: "bg-yellow-100 text-yellow-700",
-    LOGIN: "bg-gray-100 text-gray-700",
-    LOGOUT: "bg-gray-100 text-gray-700",
-    ALERT_ACKNOWLEDGE: "bg-orange-100 text-orange-700",
-    THRESHOLD_CHANGE: "bg-pink-100 text-pink-700",
-    DEVIATION_CREATED: "bg-red-100 text-red-700",
-    CAPA_INITIATED: "bg-amber-100 text-amber-700",
+    SESSION_START: "bg-gray-100 text-gray-700",
+    SESSION_END: "bg-gray-100 text-gray-700",
+    LOGIN_FAILED: "bg-orange-100 text-orange-700",
+    ACCESS_DENIED: "bg-red-100 text-red-700",
+    ACCOUNT_LOCKED: "bg-red-100 text-red-700",
+    AUDIT_EXPORT: "bg-yellow-100 text-yellow-700",
+    AUDIT_INTEGRITY_FAILURE: "bg-red-100 text-red-700",
+    USER_CREATED: "bg-green-100 text-green-700",
+    PASSWORD_CHANGED: "bg-purple-100 text-purple-700",
+    ELECTRONIC_SIGNATURE: "bg-indigo-100 text-indigo-700",
   };
 
   return (
@@ -71,14 +147,22 @@ const AuditStreamEntry = ({ entry, isNew, onInspect }) => {
             </span>
           )}
         </div>
-        <p className="text-sm text-gray-800 mt-1">{entry.details}</p>
+        <p className="text-sm text-gray-800 mt-1">
+          {describeDetails(entry.details)}
+        </p>
+        {entry.details?.manifestation && (
+          <p className="flex items-center space-x-1 text-xs text-indigo-700 mt-1">
+            <FaSignature />
+            <span>{entry.details.manifestation}</span>
+          </p>
+        )}
         <div className="flex items-center space-x-4 mt-1 text-xs text-gray-500">
           <span className="flex items-center space-x-1">
             <FaUserShield />
             <span>{entry.userName}</span>
           </span>
           <span>{new Date(entry.timestamp).toLocaleString()}</span>
-          <span className="font-mono text-gray-400">{entry.ipAddress}</span>
+          <span className="font-mono text-gray-400">{entry.target}</span>
         </div>
       </div>
       <button
@@ -98,9 +182,7 @@ const AuditTableRow = ({ entry }) => {
   const [verificationStatus, setVerificationStatus] = useState(null);
 
   const handleVerify = async () => {
-    setVerificationStatus("verifying");
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    setVerificationStatus(entry.isValid ? "valid" : "invalid");
+    setVerificationStatus((await verifyEntry(entry)) ? "valid" : "invalid");
   };
 
   return (
@@ -126,11 +208,12 @@ const AuditTableRow = ({ entry }) => {
       <td className="px-4 py-3">
         <span
           className={`px-2 py-1 rounded text-xs font-medium ${
-            entry.action.includes("OVERRIDE") ||
-            entry.action.includes("DEVIATION")
+            entry.action.includes("DENIED") ||
+            entry.action.includes("FAIL") ||
+            entry.action.includes("LOCKED")
               ? "bg-red-100 text-red-700"
-              : entry.action.includes("CALIBRATION")
-              ? "bg-green-100 text-green-700"
+              : entry.action.includes("SIGNATURE")
+              ? "bg-indigo-100 text-indigo-700"
               : "bg-blue-100 text-blue-700"
           }`}
         >
@@ -138,10 +221,15 @@ const AuditTableRow = ({ entry }) => {
         </span>
       </td>
       <td className="px-4 py-3 text-sm text-gray-600 max-w-xs truncate">
-        {entry.details}
+        {describeDetails(entry.details)}
+        {entry.details?.manifestation && (
+          <p className="text-xs text-indigo-700 truncate">
+            {entry.details.manifestation}
+          </p>
+        )}
       </td>
       <td className="px-4 py-3 text-xs text-gray-500 font-mono">
-        {entry.ipAddress}
+        {entry.target}
       </td>
       <td className="px-4 py-3 text-xs text-gray-400 font-mono truncate max-w-24">
         {entry.hash?.substring(0, 12)}...
@@ -149,7 +237,6 @@ const AuditTableRow = ({ entry }) => {
       <td className="px-4 py-3">
         <button
           onClick={handleVerify}
-          disabled={verificationStatus === "verifying"}
           className={`flex items-center space-x-1 px-2 py-1 rounded text-xs ${
             verificationStatus === "valid"
               ? "bg-green-100 text-green-700"
@@ -158,9 +245,7 @@ const AuditTableRow = ({ entry }) => {
               : "bg-gray-100 text-gray-600 hover:bg-gray-200"
           }`}
         >
-          {verificationStatus === "verifying" ? (
-            <span className="animate-spin">⟳</span>
-          ) : verificationStatus === "valid" ? (
+          {verificationStatus === "valid" ? (
             <FaCheckCircle />
           ) : verificationStatus === "invalid" ? (
             <FaTimesCircle />
@@ -168,9 +253,7 @@ const AuditTableRow = ({ entry }) => {
             <FaLock />
           )}
           <span>
-            {verificationStatus === "verifying"
-              ? "Verifying..."
-              : verificationStatus === "valid"
+            {verificationStatus === "valid"
               ? "Valid"
               : verificationStatus === "invalid"
               ? "Invalid"
@@ -218,9 +301,7 @@ const BlockchainBlock = ({ entry, index, previousHash, isValid }) => {
           <div>
             <p className="text-xs text-gray-500">Prev</p>
             <p className="text-xs font-mono text-gray-700 truncate">
-              {previousHash === "Genesis"
-                ? "Genesis"
-                : previousHash?.substring(0, 8) + "..."}
+              {previousHash ? previousHash.substring(0, 8) + "..." : "Genesis"}
             </p>
           </div>
         </div>
@@ -238,156 +319,134 @@ const BlockchainBlock = ({ entry, index, previousHash, isValid }) => {
 
 /**
  * Main Audit Trail Component
+ * Streams the securityModule audit log as it is written and pages through
+ * the persisted log, filtered by the database when Supabase is reachable.
  */
-const AuditTrail = ({ roomId }) => {
-  const [auditLogs, setAuditLogs] = useState([]);
-  const [liveStream, setLiveStream] = useState([]);
+const AuditTrail = () => {
+  const [liveStream, setLiveStream] = useState(recentEntries);
   const [isStreaming, setIsStreaming] = useState(true);
+  const [chain, setChain] = useState({
+    integrity: null,
+    users: [],
+    blocks: [],
+  });
   const [filters, setFilters] = useState({
     user: "all",
     action: "all",
     dateRange: "today",
+    search: "",
   });
+  const [page, setPage] = useState(0);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [result, setResult] = useState({ entries: [], total: 0 });
+  const [isLoading, setIsLoading] = useState(false);
   const [selectedEntry, setSelectedEntry] = useState(null);
-  const streamRef = useRef(null);
-
-  // Generate mock audit entries
-  const generateMockEntry = useCallback(() => {
-    const actions = [
-      "DATA_MODIFICATION",
-      "SETPOINT_CHANGE",
-      "CALIBRATION",
-      "ALERT_ACKNOWLEDGE",
-      "REPORT_GENERATION",
-      "THRESHOLD_CHANGE",
-      "LOGIN",
-    ];
-    const users = [
-      { id: "USR001", name: "John Smith" },
-      { id: "USR002", name: "Jane Doe" },
-      { id: "USR003", name: "Bob Johnson" },
-      { id: "SYSTEM", name: "System" },
-    ];
-
-    const action = actions[Math.floor(Math.random() * actions.length)];
-    const user = users[Math.floor(Math.random() * users.length)];
-
-    const details = {
-      DATA_MODIFICATION: "Updated temperature reading from 5.2°C to 5.3°C",
-      SETPOINT_CHANGE: "Changed temperature setpoint from 5.0°C to 5.5°C",
-      CALIBRATION: "Completed sensor calibration - Deviation: 0.1°C",
-      ALERT_ACKNOWLEDGE: "Acknowledged high humidity alert",
-      REPORT_GENERATION: "Generated daily compliance report",
-      THRESHOLD_CHANGE: "Modified alert threshold from 8.0°C to 7.5°C",
-      LOGIN: "User logged in from dashboard",
-    };
+  const streamingRef = useRef(isStreaming);
 
-    const entry = {
-      id: `AUD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: new Date().toISOString(),
-      action,
-      userId: user.id,
-      userName: user.name,
-      details: details[action],
-      ipAddress: `192.168.1.${Math.floor(Math.random() * 255)}`,
-      previousHash: auditLogs.length > 0 ? auditLogs[0].hash : "GENESIS",
-      roomId,
-      isValid: true,
+  // Follow the audit log as entries are written
+  useEffect(() => {
+    let active = true;
+    const refreshChain = () =>
+      readChain().then((next) => {
+        if (active) setChain(next);
+      });
+    refreshChain();
+
+    const unsubscribe = securityModule.subscribe((event, entry) => {
+      if (event !== "audit") return;
+      refreshChain();
+      if (streamingRef.current) {
+        setLiveStream((prev) => [entry, ...prev.slice(0, STREAM_SIZE - 1)]);
+      }
+    });
+    return () => {
+      active = false;
+      unsubscribe();
     };
+  }, []);
 
-    entry.hash = calculateHash(entry);
-    return entry;
-  }, [roomId, auditLogs]);
-
-  // Initialize with mock data
-  useEffect(() => {
-    const initialEntries = [];
-    for (let i = 0; i < 50; i++) {
-      const entry = {
-        id: `AUD-${Date.now() - i * 60000}-${Math.random()
-          .toString(36)
-          .substr(2, 9)}`,
-        timestamp: new Date(Date.now() - i * 60000).toISOString(),
-        action: [
-          "DATA_MODIFICATION",
-          "SETPOINT_CHANGE",
-          "CALIBRATION",
-          "ALERT_ACKNOWLEDGE",
-          "REPORT_GENERATION",
-        ][Math.floor(Math.random() * 5)],
-        userId: ["USR001", "USR002", "USR003", "SYSTEM"][
-          Math.floor(Math.random() * 4)
-        ],
-        userName: ["John Smith", "Jane Doe", "Bob Johnson", "System"][
-          Math.floor(Math.random() * 4)
-        ],
-        details: "Historical audit entry",
-        ipAddress: `192.168.1.${Math.floor(Math.random() * 255)}`,
-        previousHash: i > 0 ? initialEntries[i - 1]?.hash : "GENESIS",
-        roomId,
-        isValid: true,
-      };
-      entry.hash = calculateHash(entry);
-      initialEntries.push(entry);
+  const toggleStreaming = () => {
+    streamingRef.current = !isStreaming;
+    if (!isStreaming) {
+      setLiveStream(recentEntries());
     }
-    setAuditLogs(initialEntries);
-    setLiveStream(initialEntries.slice(0, 10));
-  }, [roomId]);
+    setIsStreaming(!isStreaming);
+  };
 
-  // Simulate real-time stream
-  useEffect(() => {
-    if (isStreaming) {
-      streamRef.current = setInterval(() => {
-        const newEntry = generateMockEntry();
-        setAuditLogs((prev) => [newEntry, ...prev.slice(0, 999)]);
-        setLiveStream((prev) => [newEntry, ...prev.slice(0, 49)]);
-      }, 5000);
-    }
+  const query = useMemo(
+    () => ({
+      userId: filters.user === "all" ? undefined : filters.user,
+      action: filters.action === "all" ? undefined : filters.action,
+      since: sinceFor(filters.dateRange),
+      search: filters.search || undefined,
+    }),
+    [filters]
+  );
 
+  // Load the current page of the persisted log
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    queryAuditLog({ ...query, page, pageSize: PAGE_SIZE })
+      .then((pageResult) => {
+        if (!cancelled) setResult(pageResult);
+      })
+      .catch((error) => console.error("Audit log query failed:", error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
     return () => {
-      if (streamRef.current) {
-        clearInterval(streamRef.current);
-      }
+      cancelled = true;
     };
-  }, [isStreaming, generateMockEntry]);
-
-  // Filter audit logs
-  const filteredLogs = auditLogs.filter((entry) => {
-    if (filters.user !== "all" && entry.userId !== filters.user) return false;
-    if (filters.action !== "all" && entry.action !== filters.action)
-      return false;
-    return true;
-  });
+  }, [query, page, refreshKey]);
 
-  // Get unique users
-  const uniqueUsers = [
-    ...new Map(
-      auditLogs.map((e) => [e.userId, { id: e.userId, name: e.userName }])
-    ).values(),
-  ];
-
-  // Validate chain integrity
-  const validateChain = useCallback(() => {
-    for (let i = 1; i < auditLogs.length; i++) {
-      if (auditLogs[i].previousHash !== auditLogs[i - 1].hash) {
-        return false;
-      }
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const handleExport = useCallback(async () => {
+    try {
+      authorize("exportAuditTrail");
+    } catch (error) {
+      alert(error.message);
+      return;
     }
-    return true;
-  }, [auditLogs]);
 
-  const handleExport = useCallback(() => {
+    const entries = [];
+    let total = Infinity;
+    for (let p = 0; entries.length < total; p++) {
+      const pageResult = await queryAuditLog({
+        ...query,
+        page: p,
+        pageSize: 500,
+      });
+      if (pageResult.entries.length === 0) break;
+      entries.push(...pageResult.entries);
+      total = pageResult.total;
+    }
+
+    const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
     const csv = [
-      ["Timestamp", "User", "Action", "Details", "IP Address", "Hash"].join(
-        ","
-      ),
-      ...auditLogs.map((e) =>
+      [
+        "Timestamp",
+        "User",
+        "Action",
+        "Target",
+        "Details",
+        "Signature",
+        "Previous Hash",
+        "Hash",
+      ].join(","),
+      ...entries.map((e) =>
         [
           e.timestamp,
-          e.userName,
+          quote(e.userName),
           e.action,
-          `"${e.details}"`,
-          e.ipAddress,
+          quote(e.target),
+          quote(describeDetails(e.details)),
+          quote(e.details?.manifestation),
+          e.previousHash || "",
           e.hash,
         ].join(",")
       ),
@@ -400,7 +459,10 @@ const AuditTrail = ({ roomId }) => {
     a.download = `audit_trail_${new Date().toISOString().split("T")[0]}.csv`;
     a.click();
     URL.revokeObjectURL(url);
-  }, [auditLogs]);
+  }, [query]);
+
+  const firstShown = result.total === 0 ? 0 : page * PAGE_SIZE + 1;
+  const lastShown = Math.min((page + 1) * PAGE_SIZE, result.total);
 
   return (
     <div className="space-y-6">
@@ -426,7 +488,7 @@ const AuditTrail = ({ roomId }) => {
           </div>
           <div className="flex items-center space-x-2">
             <button
-              onClick={() => setIsStreaming(!isStreaming)}
+              onClick={toggleStreaming}
               className={`flex items-center space-x-1 px-3 py-2 rounded-lg ${
                 isStreaming
                   ? "bg-red-100 text-red-700"
@@ -438,7 +500,8 @@ const AuditTrail = ({ roomId }) => {
             </button>
             <button
               onClick={handleExport}
-              className="flex items-center space-x-1 px-3 py-2 bg-blue-100 text-blue-700 rounded-lg"
+              disabled={!canPerform("exportAuditTrail")}
+              className="flex items-center space-x-1 px-3 py-2 bg-blue-100 text-blue-700 rounded-lg disabled:opacity-50"
             >
               <FaDownload />
               <span>Export</span>
@@ -465,13 +528,24 @@ const AuditTrail = ({ roomId }) => {
             Complete Audit Trail
           </h3>
           <div className="flex items-center space-x-3">
+            <div className="relative">
+              <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 text-xs" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => updateFilter("search", e.target.value)}
+                placeholder="Search action, user, target"
+                className="pl-8 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+
             <select
               value={filters.user}
-              onChange={(e) => setFilters({ ...filters, user: e.target.value })}
+              onChange={(e) => updateFilter("user", e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
             >
               <option value="all">All Users</option>
-              {uniqueUsers.map((user) => (
+              {chain.users.map((user) => (
                 <option key={user.id} value={user.id}>
                   {user.name}
                 </option>
@@ -480,24 +554,36 @@ const AuditTrail = ({ roomId }) => {
 
             <select
               value={filters.action}
-              onChange={(e) =>
-                setFilters({ ...filters, action: e.target.value })
-              }
+              onChange={(e) => updateFilter("action", e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
             >
               <option value="all">All Actions</option>
-              {[
-                "DATA_MODIFICATION",
-                "SETPOINT_CHANGE",
-                "CALIBRATION",
-                "OVERRIDE",
-                "REPORT_GENERATION",
-              ].map((action) => (
+              {ACTION_OPTIONS.map((action) => (
                 <option key={action} value={action}>
                   {action.replace(/_/g, " ")}
                 </option>
               ))}
             </select>
+
+            <select
+              value={filters.dateRange}
+              onChange={(e) => updateFilter("dateRange", e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="today">Today</option>
+              <option value="7d">Last 7 days</option>
+              <option value="30d">Last 30 days</option>
+              <option value="all">All time</option>
+            </select>
+
+            <button
+              onClick={() => setRefreshKey((key) => key + 1)}
+              disabled={isLoading}
+              title="Refresh"
+              className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded disabled:opacity-50"
+            >
+              <FaSyncAlt className={isLoading ? "animate-spin" : ""} />
+            </button>
           </div>
         </div>
 
@@ -518,7 +604,7 @@ const AuditTrail = ({ roomId }) => {
                   Details
                 </th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  IP Address
+                  Target
                 </th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
                   Hash
@@ -529,11 +615,47 @@ const AuditTrail = ({ roomId }) => {
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-100">
-              {filteredLogs.slice(0, 20).map((entry) => (
+              {result.entries.map((entry) => (
                 <AuditTableRow key={entry.id} entry={entry} />
               ))}
             </tbody>
           </table>
+          {result.entries.length === 0 && (
+            <p className="py-6 text-center text-sm text-gray-500">
+              {isLoading
+                ? "Loading audit entries..."
+                : "No audit entries found"}
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>
+            Showing {firstShown}–{lastShown} of {result.total}
+            {result.source === "local" && (
+              <span className="ml-2 text-xs text-amber-600">
+                (local copy, not yet on the server)
+              </span>
+            )}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page === 0 || isLoading}
+              className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              <FaChevronLeft />
+              <span>Prev</span>
+            </button>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={lastShown >= result.total || isLoading}
+              className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              <span>Next</span>
+              <FaChevronRight />
+            </button>
+          </div>
         </div>
       </div>
 
@@ -544,13 +666,13 @@ const AuditTrail = ({ roomId }) => {
         </h3>
         <div className="overflow-x-auto">
           <div className="flex items-center space-x-8 pb-4 min-w-max">
-            {auditLogs.slice(0, 8).map((entry, index) => (
+            {chain.blocks.map(({ entry, isValid }, index) => (
               <BlockchainBlock
                 key={entry.id}
                 entry={entry}
                 index={index}
-                previousHash={index > 0 ? auditLogs[index - 1].hash : "Genesis"}
-                isValid={entry.isValid}
+                previousHash={entry.previousHash}
+                isValid={isValid}
               />
             ))}
           </div>
@@ -559,15 +681,21 @@ const AuditTrail = ({ roomId }) => {
         <div className="mt-4 pt-4 border-t border-gray-200">
           <div
             className={`flex items-center space-x-2 ${
-              validateChain() ? "text-green-600" : "text-red-600"
+              !chain.integrity
+                ? "text-gray-500"
+                : chain.integrity.isValid
+                ? "text-green-600"
+                : "text-red-600"
             }`}
           >
-            {validateChain() ? (
+            {!chain.integrity ? (
+              <span className="font-medium">Verifying chain…</span>
+            ) : chain.integrity.isValid ? (
               <>
                 <FaCheckCircle />
                 <span className="font-medium">✓ Chain Integrity Valid</span>
                 <span className="text-sm text-gray-500">
-                  - All {auditLogs.length} blocks verified
+                  - All {chain.integrity.totalEntries} entries verified
                 </span>
               </>
             ) : (
@@ -575,7 +703,8 @@ const AuditTrail = ({ roomId }) => {
                 <FaTimesCircle />
                 <span className="font-medium">✗ Chain Compromised</span>
                 <span className="text-sm text-gray-500">
-                  - Integrity check failed
+                  - {chain.integrity.invalidEntries.length} entries failed
+                  verification
                 </span>
               </>
             )}
@@ -615,8 +744,21 @@ const AuditTrail = ({ roomId }) => {
               </div>
               <div>
                 <p className="text-xs text-gray-500">Details</p>
-                <p className="text-sm text-gray-800">{selectedEntry.details}</p>
+                <p className="text-sm text-gray-800">
+                  {describeDetails(selectedEntry.details)}
+                </p>
               </div>
+              {selectedEntry.details?.manifestation && (
+                <div>
+                  <p className="text-xs text-gray-500">Electronic Signature</p>
+                  <p className="text-sm text-gray-800">
+                    {selectedEntry.details.manifestation}
+                  </p>
+                  <p className="text-xs font-mono text-gray-500 break-all">
+                    Record hash {selectedEntry.details.recordHash}
+                  </p>
+                </div>
+              )}
               <div>
                 <p className="text-xs text-gray-500">Hash</p>
                 <p className="text-sm font-mono text-gray-800 break-all">
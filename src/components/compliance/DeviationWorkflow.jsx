@@ -0,0 +1,402 @@
+import React, { useState } from "react";
+import {
+  FaClipboardCheck,
+  FaExclamationTriangle,
+  FaClock,
+  FaLink,
+  FaPlus,
+  FaArrowRight,
+} from "react-icons/fa";
+import { useDeviations } from "../../hooks/useDeviations";
+import deviationModule, {
+  DEVIATION_STATES,
+} from "../../modules/deviationModule";
+import { SIGNATURE_MEANINGS } from "../../services/eSignatureService";
+import SignatureDialog from "../SignatureDialog";
+
+// Workflow steps in order
+const workflowSteps = [
+  { state: DEVIATION_STATES.OPEN, label: "Open" },
+  { state: DEVIATION_STATES.INVESTIGATION, label: "Investigation" },
+  { state: DEVIATION_STATES.ROOT_CAUSE, label: "Root Cause" },
+  { state: DEVIATION_STATES.CAPA_ASSIGNED, label: "CAPA Assigned" },
+  { state: DEVIATION_STATES.EFFECTIVENESS_CHECK, label: "Effectiveness" },
+  { state: DEVIATION_STATES.CLOSED, label: "Closed" },
+];
+
+const stepLabels = Object.fromEntries(
+  workflowSteps.map((step) => [step.state, step.label])
+);
+
+const severityColors = {
+  critical: "bg-red-100 text-red-700",
+  major: "bg-orange-100 text-orange-700",
+  minor: "bg-yellow-100 text-yellow-700",
+  info: "bg-gray-100 text-gray-600",
+};
+
+/**
+ * Workflow Progress Component
+ */
+const WorkflowProgress = ({ state }) => {
+  const current = workflowSteps.findIndex((step) => step.state === state);
+
+  return (
+    <div className="flex items-center space-x-1">
+      {workflowSteps.map((step, index) => (
+        <div
+          key={step.state}
+          title={step.label}
+          className={`h-1.5 flex-1 rounded ${
+            index <= current ? "bg-blue-500" : "bg-gray-200"
+          }`}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Open Deviation Form Component
+ */
+const OpenDeviationForm = ({ roomId, onOpen }) => {
+  const [form, setForm] = useState({
+    severity: "minor",
+    parameter: "temperature",
+    actualValue: "",
+    description: "",
+  });
+
+  const update = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const deviation = await onOpen({
+      ...form,
+      actualValue: parseFloat(form.actualValue),
+      roomId,
+    });
+    if (deviation) {
+      setForm((prev) => ({ ...prev, actualValue: "", description: "" }));
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="grid grid-cols-4 gap-2 p-3 bg-gray-50 rounded-lg border"
+    >
+      <select
+        value={form.severity}
+        onChange={update("severity")}
+        className="px-2 py-1 text-sm border rounded"
+      >
+        {Object.keys(severityColors).map((severity) => (
+          <option key={severity} value={severity}>
+            {severity}
+          </option>
+        ))}
+      </select>
+      <select
+        value={form.parameter}
+        onChange={update("parameter")}
+        className="px-2 py-1 text-sm border rounded"
+      >
+        <option value="temperature">Temperature</option>
+        <option value="humidity">Humidity</option>
+        <option value="pressure">Pressure</option>
+      </select>
+      <input
+        type="number"
+        step="any"
+        placeholder="Observed value"
+        value={form.actualValue}
+        onChange={update("actualValue")}
+        className="px-2 py-1 text-sm border rounded"
+      />
+      <button
+        type="submit"
+        className="flex items-center justify-center space-x-1 px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700"
+      >
+        <FaPlus />
+        <span>Open Deviation</span>
+      </button>
+      <input
+        placeholder="Description"
+        value={form.description}
+        onChange={update("description")}
+        className="col-span-4 px-2 py-1 text-sm border rounded"
+      />
+    </form>
+  );
+};
+
+/**
+ * Transition Form Component - Collects what the next state needs
+ */
+const TransitionForm = ({ deviation, toState, onSubmit }) => {
+  const [text, setText] = useState("");
+  const [assignedTo, setAssignedTo] = useState("");
+  const [effective, setEffective] = useState(true);
+  const [isSigning, setIsSigning] = useState(false);
+
+  const closingAfterCheck =
+    toState === DEVIATION_STATES.CLOSED &&
+    deviation.state === DEVIATION_STATES.EFFECTIVENESS_CHECK;
+
+  const buildDetails = () => {
+    switch (toState) {
+      case DEVIATION_STATES.ROOT_CAUSE:
+        return { rootCause: text };
+      case DEVIATION_STATES.CAPA_ASSIGNED:
+        return { capa: { title: text, assignedTo } };
+      case DEVIATION_STATES.CLOSED:
+        return closingAfterCheck
+          ? { effective, notes: text }
+          : { justification: text };
+      default:
+        return { notes: text };
+    }
+  };
+
+  const placeholders = {
+    [DEVIATION_STATES.ROOT_CAUSE]: "Root cause",
+    [DEVIATION_STATES.CAPA_ASSIGNED]: "CAPA title",
+    [DEVIATION_STATES.CLOSED]: closingAfterCheck
+      ? "Verification notes"
+      : "Justification for closing without CAPA",
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        placeholder={placeholders[toState] || "Notes"}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="flex-1 min-w-0 px-2 py-1 text-xs border rounded"
+      />
+      {toState === DEVIATION_STATES.CAPA_ASSIGNED && (
+        <input
+          placeholder="Assigned to"
+          value={assignedTo}
+          onChange={(e) => setAssignedTo(e.target.value)}
+          className="px-2 py-1 text-xs border rounded"
+        />
+      )}
+      {closingAfterCheck && (
+        <label className="flex items-center space-x-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={effective}
+            onChange={(e) => setEffective(e.target.checked)}
+          />
+          <span>CAPA effective</span>
+        </label>
+      )}
+      <button
+        onClick={() =>
+          toState === DEVIATION_STATES.CLOSED
+            ? setIsSigning(true)
+            : onSubmit(deviation.deviationId, toState, buildDetails())
+        }
+        className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-blue-50 text-blue-700 hover:bg-blue-100"
+      >
+        <FaArrowRight />
+        <span>{stepLabels[toState]}</span>
+      </button>
+
+      {/* Closure is signed as part of the transition */}
+      {isSigning && (
+        <SignatureDialog
+          title={`Close ${deviation.deviationId}`}
+          recordType="deviation"
+          recordId={deviation.deviationId}
+          defaultMeaning={SIGNATURE_MEANINGS.APPROVED}
+          sign={({ credential, meaning, comment }) =>
+            deviationModule.transition(deviation.deviationId, toState, {
+              ...buildDetails(),
+              signature: { credential, meaning, comment },
+            })
+          }
+          onSigned={() => setIsSigning(false)}
+          onCancel={() => setIsSigning(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Deviation Card Component
+ */
+const DeviationCard = ({ deviation, availableTransitions, onTransition }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const isOverdue =
+    deviation.state !== DEVIATION_STATES.CLOSED &&
+    new Date(deviation.dueAt).getTime() < Date.now();
+
+  return (
+    <div className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm space-y-3">
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <span className="font-mono text-xs text-gray-500">
+              {deviation.deviationId}
+            </span>
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                severityColors[deviation.severity]
+              }`}
+            >
+              {deviation.severity}
+            </span>
+          </div>
+          <p className="mt-1 font-medium text-gray-800">
+            {deviation.description || `${deviation.parameter} deviation`}
+          </p>
+          <p className="text-xs text-gray-500">
+            {deviation.roomId} · {deviation.classification?.description}
+          </p>
+        </div>
+        <div className="text-right text-xs">
+          <p className="font-medium text-gray-700">
+            {stepLabels[deviation.state]}
+          </p>
+          <p
+            className={`flex items-center justify-end space-x-1 ${
+              isOverdue ? "text-red-600" : "text-gray-500"
+            }`}
+          >
+            {isOverdue ? <FaExclamationTriangle /> : <FaClock />}
+            <span>Due {new Date(deviation.dueAt).toLocaleString()}</span>
+          </p>
+          {deviation.escalationLevel > 0 && (
+            <p className="text-red-600">
+              Escalated to {deviation.escalationPath[deviation.escalationLevel]}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <WorkflowProgress state={deviation.state} />
+
+      {deviation.rootCause && (
+        <p className="text-xs text-gray-600">
+          <span className="font-medium">Root cause:</span> {deviation.rootCause}
+        </p>
+      )}
+      {deviation.closureSignature && (
+        <p className="text-xs text-gray-600">
+          <span className="font-medium">Closure signature:</span>{" "}
+          {deviation.closureSignature.manifestation}
+        </p>
+      )}
+      {deviation.capa && (
+        <p className="text-xs text-gray-600">
+          <span className="font-medium">CAPA {deviation.capa.capaId}:</span>{" "}
+          {deviation.capa.title} · {deviation.capa.assignedTo} · due{" "}
+          {new Date(deviation.capa.dueDate).toLocaleDateString()}
+        </p>
+      )}
+
+      {availableTransitions.map((toState) => (
+        <TransitionForm
+          key={toState}
+          deviation={deviation}
+          toState={toState}
+          onSubmit={onTransition}
+        />
+      ))}
+
+      <button
+        onClick={() => setShowHistory(!showHistory)}
+        className="flex items-center space-x-1 text-xs text-indigo-600 hover:text-indigo-800"
+      >
+        <FaLink />
+        <span>
+          {showHistory ? "Hide" : "Show"} chained history (
+          {deviation.history.length})
+        </span>
+      </button>
+      {showHistory && (
+        <div className="space-y-1">
+          {deviation.history.map((entry) => (
+            <div
+              key={entry.transactionId}
+              className="flex justify-between text-xs bg-indigo-50 px-2 py-1 rounded"
+            >
+              <span className="text-gray-700">
+                {entry.action === "escalate"
+                  ? `Escalated to ${entry.details.escalatedTo}`
+                  : stepLabels[entry.toState]}{" "}
+                · {entry.actor.name} ({entry.actor.role})
+              </span>
+              <span className="font-mono text-gray-500">
+                {new Date(entry.timestamp).toLocaleString()} ·{" "}
+                {entry.transactionId.substr(0, 8)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Deviation Workflow Component - Deviations from opening to closure
+ */
+const DeviationWorkflow = ({ roomId }) => {
+  const {
+    deviations,
+    isLoading,
+    error,
+    openDeviation,
+    transition,
+    getAvailableTransitions,
+  } = useDeviations(roomId);
+  const open = deviations.filter(
+    (deviation) => deviation.state !== DEVIATION_STATES.CLOSED
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <FaClipboardCheck className="text-lg text-blue-600" />
+        <h3 className="font-semibold text-gray-800">
+          Deviations & CAPA ({open.length} open of {deviations.length})
+        </h3>
+      </div>
+
+      <OpenDeviationForm roomId={roomId} onOpen={openDeviation} />
+
+      {error && (
+        <p className="p-2 text-sm text-red-700 bg-red-50 rounded border border-red-200">
+          {error}
+        </p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading deviations...</p>
+      ) : deviations.length === 0 ? (
+        <p className="text-sm text-gray-500">No deviations recorded.</p>
+      ) : (
+        <div className="space-y-3">
+          {deviations.map((deviation) => (
+            <DeviationCard
+              key={deviation.deviationId}
+              deviation={deviation}
+              availableTransitions={getAvailableTransitions(
+                deviation.deviationId
+              )}
+              onTransition={transition}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeviationWorkflow;
@@ -9,9 +9,13 @@
  * - RequirementsMatrix: Interactive regulatory requirements filtering
  * - AuditTrail: Blockchain-style immutable audit logging
  * - ReportsDashboard: One-click report generation system
+ * - DeviationWorkflow: Deviation and CAPA lifecycle on the ledger
+ * - AlertRuleEditor: Custom alert rules with dry runs and versions
  */
 
 export { default as ComplianceOverview } from "./ComplianceOverview";
 export { default as RequirementsMatrix } from "./RequirementsMatrix";
 export { default as AuditTrail } from "./AuditTrail";
 export { default as ReportsDashboard } from "./ReportsDashboard";
+export { default as DeviationWorkflow } from "./DeviationWorkflow";
+export { default as AlertRuleEditor } from "./AlertRuleEditor";
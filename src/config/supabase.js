@@ -29,6 +29,8 @@ export const TABLES = {
   ALERTS: "alerts",
   AUDIT_TRAIL: "audit_trail",
   MEDICINES: "medicines",
+  MEDICINE_LOTS: "medicine_lots",
+  SECURITY_AUDIT_LOG: "security_audit_log",
 };
 
 export default supabase;
@@ -1,6 +1,8 @@
-import React, { createContext, useContext } from "react";
+import React, { createContext, useContext, useEffect, useMemo } from "react";
 import { useSensorData } from "../hooks/useSensorData";
 import { useSupabase } from "../hooks/useSupabase";
+import { guard } from "../modules/accessControl";
+import alertEngine from "../services/alertEngine";
 
 const DashboardContext = createContext(null);
 
@@ -17,8 +19,23 @@ export const DashboardProvider = ({ children }) => {
   // Select data source based on feature flag
   const sensorData = USE_SUPABASE ? supabaseData : localData;
 
+  // Every room update runs through the alert engine's rules, whichever view
+  // is open; notificationDispatcher sends the alerts they raise
+  useEffect(() => {
+    (sensorData.rooms || []).forEach((room) => alertEngine.evaluateRoom(room));
+  }, [sensorData.rooms]);
+
+  // Actions are refused for roles without the permission
+  const value = useMemo(
+    () => ({
+      ...sensorData,
+      acknowledgeAlert: guard("acknowledgeAlert", sensorData.acknowledgeAlert),
+    }),
+    [sensorData]
+  );
+
   return (
-    <DashboardContext.Provider value={sensorData}>
+    <DashboardContext.Provider value={value}>
       {children}
     </DashboardContext.Provider>
   );
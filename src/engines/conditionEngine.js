@@ -23,6 +23,11 @@ const DEGRADATION_CONSTANTS = {
   controlled: { Q10: 2.2, baseRate: 0.012 },
 };
 
+// Mean kinetic temperature: default activation energy (kJ/mol) per
+// USP <1079> and the gas constant in J/(mol·K)
+const MKT_ACTIVATION_ENERGY = 83.144;
+const GAS_CONSTANT = 8.314462618;
+
 /**
  * ConditionEngine class for advanced status calculations
  */
@@ -317,6 +322,115 @@ class ConditionEngine {
     };
   }
 
+  /**
+   * Calculate Mean Kinetic Temperature (MKT) over a time window
+   *
+   * Readings may be plain values (evenly spaced) or objects with a
+   * timestamp and a temperature/value. Timestamped readings are weighted by
+   * the time until the next reading, so gaps in the log do not skew MKT.
+   * @param {Array} readings - Numbers or { timestamp, temperature|value }
+   * @param {Object} options - { activationEnergy (kJ/mol), from, to }
+   * @returns {Object|null} MKT in °C with window statistics, null without data
+   */
+  calculateMKT(readings, options = {}) {
+    const { activationEnergy = MKT_ACTIVATION_ENERGY, from, to } = options;
+    if (!(activationEnergy > 0)) {
+      throw new Error("Activation energy must be a positive number");
+    }
+
+    const start = from ? new Date(from).getTime() : -Infinity;
+    const end = to ? new Date(to).getTime() : Infinity;
+
+    const samples = (readings || [])
+      .map((reading) =>
+        typeof reading === "number"
+          ? { value: reading, time: null }
+          : {
+              value: reading.temperature ?? reading.value,
+              time:
+                reading.timestamp || reading.recorded_at
+                  ? new Date(reading.timestamp || reading.recorded_at).getTime()
+                  : null,
+            }
+      )
+      .filter(
+        (sample) =>
+          Number.isFinite(sample.value) &&
+          (sample.time === null || (sample.time >= start && sample.time <= end))
+      );
+    if (samples.length === 0) return null;
+
+    const timed = samples.every((sample) => sample.time !== null);
+    if (timed) samples.sort((a, b) => a.time - b.time);
+
+    // Each timed reading stands for the interval until the next one; the
+    // last one covers the rest of the window, or a typical interval
+    let weights = samples.map((sample, index) => {
+      if (!timed) return 1;
+      if (index < samples.length - 1) {
+        return samples[index + 1].time - sample.time;
+      }
+      if (Number.isFinite(end) && end > sample.time) return end - sample.time;
+      return samples.length > 1
+        ? (sample.time - samples[0].time) / (samples.length - 1)
+        : 1;
+    });
+    let totalWeight = weights.reduce((a, b) => a + b, 0);
+    if (!(totalWeight > 0)) {
+      // Readings all share one timestamp
+      weights = samples.map(() => 1);
+      totalWeight = samples.length;
+    }
+
+    const ratio = (activationEnergy * 1000) / GAS_CONSTANT;
+    const meanFactor =
+      samples.reduce(
+        (sum, sample, index) =>
+          sum + weights[index] * Math.exp(-ratio / (sample.value + 273.15)),
+        0
+      ) / totalWeight;
+    const mkt = ratio / -Math.log(meanFactor) - 273.15;
+
+    const values = samples.map((sample) => sample.value);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      mkt: round(mkt),
+      activationEnergy,
+      samples: samples.length,
+      from: timed ? new Date(samples[0].time).toISOString() : null,
+      to: timed
+        ? new Date(samples[samples.length - 1].time).toISOString()
+        : null,
+      mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+      min: Math.min(...values),
+      max: Math.max(...values),
+    };
+  }
+
+  /**
+   * Calculate MKT for a batch over the time it has been stored in the room
+   * @param {Object} batch - Medicine batch with receivedAt and optional removedAt
+   * @param {Array} readings - Room temperature readings
+   * @param {Object} options - { activationEnergy, to }
+   * @returns {Object|null}
+   */
+  calculateBatchMKT(batch, readings, options = {}) {
+    const result = this.calculateMKT(readings, {
+      ...options,
+      from: batch.receivedAt || options.from,
+      to: batch.removedAt || options.to,
+    });
+    if (!result) return null;
+
+    return {
+      ...result,
+      batch: batch.batch,
+      medicineId: batch.id,
+      name: batch.name,
+    };
+  }
+
   /**
    * Get recommendation based on degradation prediction
    */
@@ -473,6 +587,16 @@ export const detectSensorDrift = (room, param) =>
   conditionEngine.detectSensorDrift(room, param);
 export const predictDegradation = (medicines, conditions, category) =>
   conditionEngine.predictDegradation(medicines, conditions, category);
+export const calculateMKT = (readings, options) =>
+  conditionEngine.calculateMKT(readings, options);
+export const calculateBatchMKT = (batch, readings, options) =>
+  conditionEngine.calculateBatchMKT(batch, readings, options);
 
 export default ConditionEngine;
-export { conditionEngine, COMPLIANCE_WEIGHTS, DEGRADATION_CONSTANTS };
+export {
+  conditionEngine,
+  COMPLIANCE_WEIGHTS,
+  DEGRADATION_CONSTANTS,
+  MKT_ACTIVATION_ENERGY,
+  GAS_CONSTANT,
+};
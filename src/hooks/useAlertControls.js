@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from "react";
+import alertEngine from "../services/alertEngine";
+import securityModule from "../modules/securityModule";
+
+const userId = () => securityModule.currentUser?.id || "unknown";
+
+/**
+ * Custom hook for acknowledging and shelving engine alerts and scheduling
+ * maintenance windows
+ * DashboardProvider evaluates the rooms; this hook follows the engine's
+ * alerts and refreshes the windows as the rooms update.
+ * @param {Array} rooms - Rooms being monitored
+ * @returns {Object} Engine alerts, maintenance windows and operator actions
+ */
+export const useAlertControls = (rooms) => {
+  const [engineAlerts, setEngineAlerts] = useState(() =>
+    alertEngine.getActiveAlerts()
+  );
+  const [maintenanceWindows, setMaintenanceWindows] = useState(() =>
+    alertEngine.getMaintenanceWindows()
+  );
+  const [error, setError] = useState(null);
+
+  useEffect(
+    () =>
+      alertEngine.subscribe(() =>
+        setEngineAlerts(alertEngine.getActiveAlerts())
+      ),
+    []
+  );
+
+  useEffect(() => {
+    // Windows that have ended drop out on the next update
+    setMaintenanceWindows(alertEngine.getMaintenanceWindows());
+  }, [rooms]);
+
+  const runAction = useCallback((action) => {
+    try {
+      setError(null);
+      return action();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const acknowledgeAlert = useCallback(
+    (alertId, signature) =>
+      runAction(() =>
+        alertEngine.acknowledgeAlert(alertId, userId(), signature)
+      ),
+    [runAction]
+  );
+
+  const shelveAlert = useCallback(
+    (alertId, duration, reason) =>
+      runAction(() =>
+        alertEngine.shelveAlert(alertId, userId(), { duration, reason })
+      ),
+    [runAction]
+  );
+
+  const unshelveAlert = useCallback(
+    (alertId) => runAction(() => alertEngine.unshelveAlert(alertId, userId())),
+    [runAction]
+  );
+
+  const scheduleMaintenance = useCallback(
+    (window) =>
+      runAction(() => {
+        const scheduled = alertEngine.scheduleMaintenance(window);
+        setMaintenanceWindows(alertEngine.getMaintenanceWindows());
+        return scheduled;
+      }),
+    [runAction]
+  );
+
+  const cancelMaintenance = useCallback(
+    (windowId) =>
+      runAction(() => {
+        const cancelled = alertEngine.cancelMaintenance(windowId);
+        setMaintenanceWindows(alertEngine.getMaintenanceWindows());
+        return cancelled;
+      }),
+    [runAction]
+  );
+
+  return {
+    engineAlerts,
+    maintenanceWindows,
+    error,
+    acknowledgeAlert,
+    shelveAlert,
+    unshelveAlert,
+    scheduleMaintenance,
+    cancelMaintenance,
+  };
+};
+
+export default useAlertControls;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from "react";
+import alertRuleStore from "../services/alertRuleStore";
+import { dryRunAlertRule } from "../services/alertRules";
+import { loadSensorReadings } from "../services/dualStorageManager";
+
+// Recorded readings a dry run replays
+const DRY_RUN_READINGS = 1000;
+
+/**
+ * Custom hook for the custom alert rule editor
+ * @returns {Object} Rules and editor actions
+ */
+export const useAlertRules = () => {
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setRules(alertRuleStore.getRules());
+    const unsubscribe = alertRuleStore.subscribe(refresh);
+
+    const load = async () => {
+      try {
+        if (!alertRuleStore.isLoaded) {
+          await alertRuleStore.load();
+        }
+        refresh();
+      } catch (err) {
+        console.error("Error loading alert rules:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+
+    return unsubscribe;
+  }, []);
+
+  const runAction = useCallback(async (action) => {
+    try {
+      setError(null);
+      return await action();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  // Save the definition as a version, then replay it over the room's
+  // recorded readings and keep the outcome with that version
+  const dryRun = useCallback(
+    (definition, room) =>
+      runAction(async () => {
+        const version = await alertRuleStore.saveAlertRule(definition);
+        const { data } = await loadSensorReadings(room.id, DRY_RUN_READINGS);
+        const result = dryRunAlertRule(version.definition, data || [], room);
+        await alertRuleStore.recordDryRun(
+          definition.id,
+          version.version,
+          result
+        );
+        return { version, result };
+      }),
+    [runAction]
+  );
+
+  const activateRule = useCallback(
+    (id, version) =>
+      runAction(() => alertRuleStore.activateAlertRule(id, version)),
+    [runAction]
+  );
+
+  const deactivateRule = useCallback(
+    (id) => runAction(() => alertRuleStore.deactivateAlertRule(id)),
+    [runAction]
+  );
+
+  const getVersions = useCallback((id) => alertRuleStore.getVersions(id), []);
+
+  return {
+    rules,
+    isLoading,
+    error,
+    dryRun,
+    activateRule,
+    deactivateRule,
+    getVersions,
+  };
+};
+
+export default useAlertRules;
@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import authService, { DEFAULT_AUTH_PROVIDER } from "../services/auth";
+import securityModule from "../modules/securityModule";
+
+// How often an expired session is noticed while idle
+const SESSION_CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Custom hook for signing in and out
+ * User activity extends the session up to the provider's expiry; once it
+ * expires the user is signed out.
+ * @returns {Object} Signed-in user and authentication actions
+ */
+export const useAuth = () => {
+  const [user, setUser] = useState(() =>
+    authService.isAuthenticated() ? securityModule.currentUser : null
+  );
+
+  useEffect(() => {
+    const unsubscribe = authService.subscribe((event, data) =>
+      setUser(event === "login" ? data : null)
+    );
+
+    const checkSession = () => {
+      if (securityModule.currentUser && !authService.isAuthenticated()) {
+        authService.logout("session_expired");
+      }
+    };
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+
+    const extendSession = () => securityModule.refreshSession();
+    window.addEventListener("click", extendSession);
+    window.addEventListener("keydown", extendSession);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+      window.removeEventListener("click", extendSession);
+      window.removeEventListener("keydown", extendSession);
+    };
+  }, []);
+
+  const login = useCallback(
+    (providerName, credentials) => authService.login(providerName, credentials),
+    []
+  );
+
+  const logout = useCallback(() => authService.logout(), []);
+
+  const registerUser = useCallback(
+    (providerName, details) => authService.registerUser(providerName, details),
+    []
+  );
+
+  const needsSetup = useCallback(
+    (providerName) => authService.needsSetup(providerName),
+    []
+  );
+
+  const setupAdministrator = useCallback(
+    (providerName, details) =>
+      authService.setupAdministrator(providerName, details),
+    []
+  );
+
+  const getProvider = useCallback((name) => authService.getProvider(name), []);
+
+  const providers = useMemo(() => authService.getProviderNames(), []);
+
+  return {
+    user,
+    isAuthenticated: !!user,
+    providers,
+    defaultProvider: DEFAULT_AUTH_PROVIDER,
+    getProvider,
+    login,
+    logout,
+    registerUser,
+    needsSetup,
+    setupAdministrator,
+  };
+};
+
+export default useAuth;
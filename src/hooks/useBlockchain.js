@@ -14,6 +14,7 @@ import {
   TRANSACTION_TYPES,
 } from "../services/blockchain/TransactionFactory";
 import { smartContractRegistry } from "../services/blockchain/RegulatorySmartContracts";
+import { blockchainIntegration } from "../services/BlockchainIntegration";
 
 /**
  * Main blockchain hook
@@ -27,6 +28,7 @@ export const useBlockchain = () => {
   const [latestBlock, setLatestBlock] = useState(null);
   const [pendingTransactions, setPendingTransactions] = useState([]);
   const [recentBlocks, setRecentBlocks] = useState([]);
+  const [miningProgress, setMiningProgress] = useState(null);
 
   const transactionFactory = useRef(null);
   const unsubscribe = useRef(null);
@@ -45,7 +47,17 @@ export const useBlockchain = () => {
         // Subscribe to blockchain events
         unsubscribe.current = pharmaBlockchain.subscribe((event, data) => {
           switch (event) {
+            case "miningStarted":
+              setMiningProgress({ ...data, nonce: 0, hashRate: 0 });
+              break;
+            case "miningProgress":
+              setMiningProgress((prev) => ({ ...prev, ...data }));
+              break;
+            case "miningCancelled":
+              setMiningProgress(null);
+              break;
             case "newBlock":
+              setMiningProgress(null);
               setLatestBlock(data);
               setRecentBlocks((prev) => [data, ...prev].slice(0, 10));
               refreshSummary();
@@ -236,19 +248,39 @@ export const useBlockchain = () => {
       throw new Error("Blockchain not initialized");
     }
 
-    const block = await pharmaBlockchain.mineBlock();
+    const block = await blockchainIntegration.mineBlock();
     await refreshSummary();
     return block;
   }, [isInitialized, refreshSummary]);
 
+  // Cancel the block currently being mined
+  const cancelMining = useCallback(() => {
+    return pharmaBlockchain.cancelMining();
+  }, []);
+
   // Validate chain
-  const validateChain = useCallback(async () => {
-    if (!isInitialized) {
-      throw new Error("Blockchain not initialized");
-    }
+  const validateChain = useCallback(
+    async (options = {}) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
 
-    return await pharmaBlockchain.validateChain();
-  }, [isInitialized]);
+      return await pharmaBlockchain.validateChain(options);
+    },
+    [isInitialized]
+  );
+
+  // Tamper a copy of recent blocks and check the forensic report finds it
+  const runTamperDrill = useCallback(
+    async (options = {}) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
+
+      return await pharmaBlockchain.runTamperDrill(options);
+    },
+    [isInitialized]
+  );
 
   // Verify transaction
   const verifyTransaction = useCallback(
@@ -262,6 +294,78 @@ export const useBlockchain = () => {
     [isInitialized]
   );
 
+  // Export a portable inclusion proof for auditors
+  const exportProofBundle = useCallback(
+    async (transactionId) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
+
+      return await blockchainIntegration.exportProofBundle(transactionId);
+    },
+    [isInitialized]
+  );
+
+  // Export the chain as a JSON Lines archive
+  const exportChainArchive = useCallback(async () => {
+    if (!isInitialized) {
+      throw new Error("Blockchain not initialized");
+    }
+
+    return await blockchainIntegration.exportChainArchive();
+  }, [isInitialized]);
+
+  // Import a JSON Lines archive after re-validating it
+  const importChainArchive = useCallback(
+    async (text, options = {}) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
+
+      const result = await pharmaBlockchain.importChainArchive(text, options);
+      await refreshSummary();
+      return result;
+    },
+    [isInitialized, refreshSummary]
+  );
+
+  // Rotate the facility signing key
+  const rotateSigningKey = useCallback(
+    async (options = {}) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
+
+      const result = await pharmaBlockchain.rotateSigningKey(options);
+      await refreshSummary();
+      return result;
+    },
+    [isInitialized, refreshSummary]
+  );
+
+  // Revoke a facility or user signing key
+  const revokeKey = useCallback(
+    async (keyId, options = {}) => {
+      if (!isInitialized) {
+        throw new Error("Blockchain not initialized");
+      }
+
+      const result = await pharmaBlockchain.revokeKey(keyId, options);
+      await refreshSummary();
+      return result;
+    },
+    [isInitialized, refreshSummary]
+  );
+
+  // Unlock a passphrase-protected facility key
+  const unlockSigningKey = useCallback(
+    async (passphrase) => {
+      await pharmaBlockchain.unlockSigningKey(passphrase);
+      await refreshSummary();
+    },
+    [refreshSummary]
+  );
+
   // Get transaction by ID
   const getTransaction = useCallback(
     (transactionId) => {
@@ -280,6 +384,24 @@ export const useBlockchain = () => {
     [isInitialized]
   );
 
+  // Get recent transactions from the in-memory index
+  const getRecentTransactions = useCallback(
+    (query = {}) => {
+      if (!isInitialized) return [];
+      return pharmaBlockchain.getRecentTransactions(query);
+    },
+    [isInitialized]
+  );
+
+  // Query transactions across the whole chain, including archived blocks
+  const queryTransactions = useCallback(
+    async (query = {}) => {
+      if (!isInitialized) return [];
+      return await pharmaBlockchain.queryTransactions(query);
+    },
+    [isInitialized]
+  );
+
   // Get block by number
   const getBlock = useCallback(
     (blockNumber) => {
@@ -304,6 +426,7 @@ export const useBlockchain = () => {
     latestBlock,
     pendingTransactions,
     recentBlocks,
+    miningProgress,
 
     // Recording methods
     recordSensorReading,
@@ -314,12 +437,24 @@ export const useBlockchain = () => {
 
     // Blockchain operations
     mineBlock,
+    cancelMining,
     validateChain,
+    runTamperDrill,
     verifyTransaction,
+    exportProofBundle,
+    exportChainArchive,
+    importChainArchive,
+
+    // Key management
+    rotateSigningKey,
+    revokeKey,
+    unlockSigningKey,
 
     // Query methods
     getTransaction,
     getTransactionsByType,
+    getRecentTransactions,
+    queryTransactions,
     getBlock,
     getChain,
 
@@ -354,6 +489,7 @@ export const useSmartContracts = () => {
         framework: c.framework,
         status: c.status,
         version: c.version,
+        ruleHash: c.ruleHash || null,
         executionCount: c.executionCount,
         lastExecuted: c.lastExecuted,
         violations: c.violations.length,
@@ -429,10 +565,25 @@ export const useSmartContracts = () => {
     [refreshStatistics]
   );
 
+  // Deploy a rule set and record its contract hashes on-chain
+  const deployRuleSet = useCallback(
+    async (ruleSet) => {
+      const deployment = await smartContractRegistry.deployRuleSet(
+        ruleSet,
+        pharmaBlockchain
+      );
+      refreshContracts();
+      refreshStatistics();
+      return deployment;
+    },
+    [refreshContracts, refreshStatistics]
+  );
+
   return {
     contracts,
     executionHistory,
     statistics,
+    deployRuleSet,
     checkTemperatureCompliance,
     checkHumidityCompliance,
     processDeviation,
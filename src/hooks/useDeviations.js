@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from "react";
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import deviationModule from "../modules/deviationModule";
+
+// How often overdue deviations are escalated
+const OVERDUE_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Custom hook for the deviation and CAPA workflow
+ * Deviations are rebuilt from the ledger and overdue ones are escalated
+ * while the hook is mounted.
+ * @param {string} [roomId] - Only return deviations of this room
+ * @returns {Object} Deviations and workflow actions
+ */
+export const useDeviations = (roomId = null) => {
+  const [deviations, setDeviations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setDeviations(deviationModule.getDeviations(roomId));
+    const unsubscribe = deviationModule.subscribe(refresh);
+
+    const checkOverdue = () =>
+      deviationModule
+        .checkOverdue()
+        .catch((err) => console.error("Error escalating deviations:", err));
+
+    const load = async () => {
+      try {
+        if (!deviationModule.isLoaded) {
+          await pharmaBlockchain.initialize();
+          await deviationModule.loadFromLedger();
+        }
+        refresh();
+        checkOverdue();
+      } catch (err) {
+        console.error("Error loading deviations:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+
+    const interval = setInterval(checkOverdue, OVERDUE_CHECK_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, [roomId]);
+
+  const runAction = useCallback(async (action) => {
+    try {
+      setError(null);
+      return await action();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const openDeviation = useCallback(
+    (deviation) => runAction(() => deviationModule.openDeviation(deviation)),
+    [runAction]
+  );
+
+  const transition = useCallback(
+    (deviationId, toState, details) =>
+      runAction(() =>
+        deviationModule.transition(deviationId, toState, details)
+      ),
+    [runAction]
+  );
+
+  const getAvailableTransitions = useCallback(
+    (deviationId) => deviationModule.getAvailableTransitions(deviationId),
+    []
+  );
+
+  return {
+    deviations,
+    isLoading,
+    error,
+    openDeviation,
+    transition,
+    getAvailableTransitions,
+  };
+};
+
+export default useDeviations;
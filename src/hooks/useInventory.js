@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from "react";
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import { upsertMedicineLot } from "../services/supabaseService";
+import inventoryModule from "../modules/inventoryModule";
+
+/**
+ * Custom hook for medicine lot inventory
+ * Lots are rebuilt from the ledger; every change is mirrored to Supabase.
+ * @param {string} [roomId] - Only return lots currently in this room
+ * @returns {Object} Lots and inventory actions
+ */
+export const useInventory = (roomId = null) => {
+  const [lots, setLots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setLots(inventoryModule.getLots(roomId));
+    const unsubscribe = inventoryModule.subscribe(refresh);
+
+    const load = async () => {
+      try {
+        if (!inventoryModule.isLoaded) {
+          await pharmaBlockchain.initialize();
+          await inventoryModule.loadFromLedger();
+        }
+        refresh();
+      } catch (err) {
+        console.error("Error loading inventory:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+
+    return unsubscribe;
+  }, [roomId]);
+
+  // Run an action, then mirror the lot to the database
+  const runAction = useCallback(async (action) => {
+    try {
+      setError(null);
+      const lot = await action();
+      upsertMedicineLot(lot);
+      return lot;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const receiveLot = useCallback(
+    (lot) => runAction(() => inventoryModule.receiveLot(lot)),
+    [runAction]
+  );
+
+  const moveLot = useCallback(
+    (lotId, toRoomId) =>
+      runAction(() => inventoryModule.moveLot(lotId, toRoomId)),
+    [runAction]
+  );
+
+  const dispenseLot = useCallback(
+    (lotId, quantity) =>
+      runAction(() => inventoryModule.dispenseLot(lotId, quantity)),
+    [runAction]
+  );
+
+  const quarantineLot = useCallback(
+    (lotId, reason) =>
+      runAction(() => inventoryModule.quarantineLot(lotId, reason)),
+    [runAction]
+  );
+
+  const releaseLot = useCallback(
+    (lotId, reason) =>
+      runAction(() => inventoryModule.releaseLot(lotId, reason)),
+    [runAction]
+  );
+
+  const getEnvironmentalHistory = useCallback(
+    (lotId) => inventoryModule.getEnvironmentalHistory(lotId),
+    []
+  );
+
+  return {
+    lots,
+    isLoading,
+    error,
+    receiveLot,
+    moveLot,
+    dispenseLot,
+    quarantineLot,
+    releaseLot,
+    getEnvironmentalHistory,
+  };
+};
+
+export default useInventory;
@@ -0,0 +1,66 @@
+import { useState, useEffect, useMemo } from "react";
+import { fetchSensorHistory } from "../services/supabaseService";
+import {
+  calculateMKT,
+  calculateBatchMKT,
+  MKT_ACTIVATION_ENERGY,
+} from "../engines/conditionEngine";
+
+/**
+ * Custom hook to calculate Mean Kinetic Temperature for a room
+ * Uses the recorded sensor history for the window, falling back to the
+ * room's in-memory history when nothing has been recorded.
+ * @param {Object} room - Room data
+ * @param {Object} options - { hours, activationEnergy }
+ * @returns {Object} { mkt, batches, source, isLoading }
+ */
+export const useMeanKineticTemperature = (room, options = {}) => {
+  const { hours = 24, activationEnergy = MKT_ACTIVATION_ENERGY } = options;
+  const [recorded, setRecorded] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const roomId = room?.id;
+
+  useEffect(() => {
+    if (!roomId) return undefined;
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetchSensorHistory(roomId, hours).then(({ data }) => {
+      if (cancelled) return;
+      setRecorded(data || []);
+      setIsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, hours]);
+
+  const history = room?.conditions?.temperature?.history;
+  const medicines = room?.medicines;
+
+  return useMemo(() => {
+    const source = recorded.length > 0 ? "recorded" : "recent";
+    const readings = source === "recorded" ? recorded : history || [];
+    const mktOptions = {
+      activationEnergy,
+      from: new Date(Date.now() - hours * 60 * 60 * 1000),
+    };
+
+    let mkt = null;
+    let batches = [];
+    try {
+      mkt = calculateMKT(readings, mktOptions);
+      batches = (medicines || [])
+        .filter((medicine) => medicine.receivedAt)
+        .map((medicine) => calculateBatchMKT(medicine, readings, mktOptions))
+        .filter(Boolean);
+    } catch (err) {
+      console.error("Error calculating MKT:", err);
+    }
+
+    return { mkt, batches, source, isLoading };
+  }, [recorded, history, medicines, hours, activationEnergy, isLoading]);
+};
+
+export default useMeanKineticTemperature;
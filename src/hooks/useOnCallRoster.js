@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from "react";
+import onCallRoster from "../services/onCallRoster";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Custom hook for the on-call roster escalations are sent to
+ * Every change goes through onCallRoster.updateRoster(), which stores the
+ * roster and refuses one with unknown roles or members.
+ * @returns {Object} Roster, who is on call now and roster actions
+ */
+export const useOnCallRoster = () => {
+  const [roster, setRoster] = useState(() => onCallRoster.toJSON());
+  const [error, setError] = useState(null);
+
+  useEffect(() => onCallRoster.subscribe((event, data) => setRoster(data)), []);
+
+  const runUpdate = useCallback(async (config) => {
+    try {
+      setError(null);
+      return await onCallRoster.updateRoster(config);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const loadRoster = useCallback(
+    async (file) => {
+      let config;
+      try {
+        config = JSON.parse(await file.text());
+      } catch (err) {
+        setError(`${file.name} is not a roster file`);
+        return null;
+      }
+      return runUpdate(config);
+    },
+    [runUpdate]
+  );
+
+  const addCover = useCallback(
+    ({ memberId, hours, reason }) => {
+      const current = onCallRoster.toJSON();
+      const from = new Date();
+      return runUpdate({
+        ...current,
+        overrides: [
+          ...current.overrides,
+          {
+            id: `override-${from.getTime()}`,
+            memberId,
+            from,
+            to: new Date(from.getTime() + hours * HOUR),
+            reason,
+          },
+        ],
+      });
+    },
+    [runUpdate]
+  );
+
+  const removeCover = useCallback(
+    (overrideId) => {
+      const current = onCallRoster.toJSON();
+      return runUpdate({
+        ...current,
+        overrides: current.overrides.filter(
+          (override) => override.id !== overrideId
+        ),
+      });
+    },
+    [runUpdate]
+  );
+
+  // Roles the rota or a cover names, with who has them now
+  const onCall = [
+    ...new Set(
+      [...roster.shifts, ...roster.overrides].map((entry) => entry.role)
+    ),
+  ].map((role) => ({ role, members: onCallRoster.getOnCall(role) }));
+
+  return {
+    roster,
+    onCall,
+    error,
+    loadRoster,
+    addCover,
+    removeCover,
+  };
+};
+
+export default useOnCallRoster;
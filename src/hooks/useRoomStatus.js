@@ -3,9 +3,12 @@ import {
   calculateRoomStatus,
   getConditionStatus,
 } from "../services/statusCalculator";
+import { applyProductLimits } from "../services/productLimits";
 
 /**
  * Custom hook to calculate room status and condition statuses
+ * Conditions come back with the room's product limits applied, along with
+ * the limits themselves.
  * @param {Object} room - Room data
  * @returns {Object} Room status information
  */
@@ -17,14 +20,17 @@ export const useRoomStatus = (room) => {
         conditionStatuses: {},
         hasAlerts: false,
         alertCount: 0,
+        conditions: {},
+        productLimits: null,
       };
     }
 
     const overallStatus = calculateRoomStatus(room);
+    const { conditions, productLimits } = applyProductLimits(room);
     const conditionStatuses = {};
     let alertCount = 0;
 
-    Object.entries(room.conditions).forEach(([key, condition]) => {
+    Object.entries(conditions).forEach(([key, condition]) => {
       const status = getConditionStatus(condition);
       conditionStatuses[key] = status;
       if (status.status !== "green") {
@@ -37,6 +43,8 @@ export const useRoomStatus = (room) => {
       conditionStatuses,
       hasAlerts: alertCount > 0,
       alertCount,
+      conditions,
+      productLimits,
     };
   }, [room]);
 
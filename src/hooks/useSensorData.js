@@ -102,11 +102,13 @@ export const useSensorData = (autoUpdate = true) => {
     updateSensorData();
   }, [updateSensorData]);
 
-  // Acknowledge alert
-  const acknowledgeAlert = useCallback((alertId) => {
+  // Acknowledge alert with the e-signature applied to it
+  const acknowledgeAlert = useCallback((alertId, signature = null) => {
     setAlerts((prev) =>
       prev.map((alert) =>
-        alert.id === alertId ? { ...alert, acknowledged: true } : alert
+        alert.id === alertId
+          ? { ...alert, acknowledged: true, signature }
+          : alert
       )
     );
   }, []);
@@ -34,6 +34,7 @@ const SYNC_STATUS = {
   SYNCED: "synced",
   ERROR: "error",
   OFFLINE: "offline",
+  READ_ONLY: "read-only",
 };
 
 /**
@@ -57,16 +58,35 @@ export const useSupabase = (autoUpdate = true) => {
   const intervalRef = useRef(null);
   const roomSubscriptionRef = useRef(null);
   const alertSubscriptionRef = useRef(null);
+  // Cleared once row-level security refuses a write for this session
+  const canWriteRef = useRef(true);
+
+  // Stop pushing local changes the database will refuse
+  const markReadOnly = useCallback(() => {
+    if (canWriteRef.current) {
+      console.warn(
+        "Supabase refused a write for this role; keeping changes local only"
+      );
+    }
+    canWriteRef.current = false;
+    setSyncStatus(SYNC_STATUS.READ_ONLY);
+  }, []);
 
   // Trigger sync to Supabase
   const triggerSync = useCallback(async () => {
     if (!navigator.onLine) return;
 
+    // A manual sync retries writes, e.g. after signing in with another role
+    canWriteRef.current = true;
     setSyncStatus(SYNC_STATUS.SYNCING);
     try {
       // Re-sync current rooms to Supabase
       if (rooms.length > 0) {
-        await batchUpdateRooms(rooms);
+        const result = await batchUpdateRooms(rooms);
+        if (result.permissionDenied) {
+          markReadOnly();
+          return;
+        }
       }
       setSyncStatus(SYNC_STATUS.SYNCED);
       setLastSynced(new Date().toISOString());
@@ -74,7 +94,7 @@ export const useSupabase = (autoUpdate = true) => {
       console.error("Sync error:", err);
       setSyncStatus(SYNC_STATUS.ERROR);
     }
-  }, [rooms]);
+  }, [rooms, markReadOnly]);
 
   // Check database connection and initialize
   useEffect(() => {
@@ -298,30 +318,41 @@ export const useSupabase = (autoUpdate = true) => {
 
       // Sync to Supabase if connected (async, don't block UI)
       if (isConnected) {
-        syncToSupabase(roomsWithStatus, newAlerts);
+        syncToSupabase(roomsWithStatus, newAlerts).then(
+          (denied) => denied && markReadOnly()
+        );
       }
 
       setLastUpdate(new Date());
       return roomsWithStatus;
     });
-  }, [isConnected]);
+  }, [isConnected, markReadOnly]);
 
   // Sync data to Supabase
+  // Resolves to true when row-level security refused a write
   const syncToSupabase = async (roomsToSync, alertsToSync) => {
+    if (!canWriteRef.current) return false;
+
     try {
       setSyncStatus(SYNC_STATUS.SYNCING);
 
       // Batch update rooms
-      await batchUpdateRooms(roomsToSync);
+      const roomResult = await batchUpdateRooms(roomsToSync);
+      if (roomResult.permissionDenied) {
+        return true;
+      }
 
       // Record sensor readings for history
       for (const room of roomsToSync) {
-        await recordSensorReading(room.id, {
+        const result = await recordSensorReading(room.id, {
           temperature: room.conditions?.temperature?.current,
           humidity: room.conditions?.humidity?.current,
           pressureDifferential: room.conditions?.pressureDifferential?.current,
           status: room.status,
         });
+        if (result.permissionDenied) {
+          return true;
+        }
       }
 
       // Create new alerts in database
@@ -329,7 +360,10 @@ export const useSupabase = (autoUpdate = true) => {
         (a) => a.severity === "critical" && !a.acknowledged
       );
       for (const alert of criticalAlerts) {
-        await createAlert(alert);
+        const result = await createAlert(alert);
+        if (result.permissionDenied) {
+          return true;
+        }
       }
 
       setSyncStatus(SYNC_STATUS.SYNCED);
@@ -338,6 +372,7 @@ export const useSupabase = (autoUpdate = true) => {
       console.error("Error syncing to Supabase:", err);
       setSyncStatus(SYNC_STATUS.ERROR);
     }
+    return false;
   };
 
   // Auto-update simulation
@@ -373,28 +408,44 @@ export const useSupabase = (autoUpdate = true) => {
     updateSensorData();
   }, [isConnected, updateSensorData]);
 
-  // Acknowledge alert
+  // Acknowledge alert with the e-signature applied to it
   const handleAcknowledgeAlert = useCallback(
-    async (alertId) => {
-      if (isConnected) {
-        await acknowledgeAlertDB(alertId);
-
-        // Log audit entry
-        await logAuditEntry({
+    async (alertId, signature = null) => {
+      const result = isConnected
+        ? await acknowledgeAlertDB(alertId, signature?.signerId)
+        : null;
+
+      // The acknowledgement stays signed on the ledger even when the
+      // database refuses it
+      if (result?.permissionDenied) {
+        markReadOnly();
+      } else if (result) {
+        const audit = await logAuditEntry({
           action: "ALERT_ACKNOWLEDGED",
           entityType: "alert",
           entityId: alertId,
-          details: { alertId },
+          userName: signature?.signerName,
+          details: {
+            alertId,
+            signerId: signature?.signerId,
+            signatureId: signature?.signatureId,
+            meaning: signature?.meaning,
+            recordHash: signature?.recordHash,
+            signedAt: signature?.signedAt,
+          },
         });
+        if (audit.permissionDenied) markReadOnly();
       }
 
       setAlerts((prev) =>
         prev.map((alert) =>
-          alert.id === alertId ? { ...alert, acknowledged: true } : alert
+          alert.id === alertId
+            ? { ...alert, acknowledged: true, signature }
+            : alert
         )
       );
     },
-    [isConnected]
+    [isConnected, markReadOnly]
   );
 
   // Clear acknowledged alerts
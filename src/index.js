@@ -3,6 +3,43 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { enforceAccessControl } from './modules/accessControl';
+import { initializeAuditLog } from './services/auditLogStore';
+import { notificationDispatcher } from './services/notifications';
+import alertRuleStore from './services/alertRuleStore';
+import onCallRoster from './services/onCallRoster';
+import maintenanceSchedule from './services/maintenanceWindows';
+import { startLedgerReplication } from './services/ledgerReplication';
+
+// Refuse store actions and service calls the signed-in role does not allow
+enforceAccessControl();
+
+// Send alerts to the email, SMS, push and alarm channels their rules list;
+// DashboardProvider feeds every room update to the alert engine
+notificationDispatcher.attach();
+
+// Restore the persisted security audit log and verify its hash chain
+initializeAuditLog().catch((error) =>
+  console.error('Security audit log could not be restored:', error)
+);
+
+// Activate the custom alert rules QA has released
+alertRuleStore.load().catch((error) =>
+  console.error('Custom alert rules could not be loaded:', error)
+);
+
+// Restore the on-call roster escalations are sent to
+onCallRoster.restore().catch((error) =>
+  console.error('On-call roster could not be restored:', error)
+);
+
+// Restore the maintenance windows that have not ended
+maintenanceSchedule.restore().catch((error) =>
+  console.error('Maintenance windows could not be restored:', error)
+);
+
+// Exchange blocks with the other dashboards when a ledger relay is configured
+startLedgerReplication();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
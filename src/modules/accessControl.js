@@ -0,0 +1,221 @@
+/**
+ * Access Control for Medicine Storage Dashboard
+ * The single place RBAC is enforced: views are mapped to the permission
+ * needed to see them, and actions to the permission needed to run them.
+ * Store actions and service methods are wrapped so a refused call throws
+ * and is recorded as ACCESS_DENIED in the securityModule audit log.
+ */
+
+import securityModule from "./securityModule";
+import alertEngine from "../services/alertEngine";
+import alertRuleStore from "../services/alertRuleStore";
+import onCallRoster from "../services/onCallRoster";
+import { blockchainIntegration } from "../services/BlockchainIntegration";
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import complianceModule from "./complianceModule";
+import useDashboardStore from "../store/dashboardStore";
+
+// Permission needed to open each App view
+const VIEW_PERMISSIONS = {
+  dashboard: "view:dashboard",
+  "room-detail": "view:dashboard",
+  compliance: "view:compliance",
+  blockchain: "view:audit-log",
+  "smart-contracts": "view:compliance",
+};
+
+// Permission needed for each guarded action
+const ACTION_PERMISSIONS = {
+  acknowledgeAlert: "acknowledge:alerts",
+  shelveAlert: "acknowledge:alerts",
+  unshelveAlert: "acknowledge:alerts",
+  scheduleMaintenance: "manage:alerts",
+  cancelMaintenance: "manage:alerts",
+  saveAlertRule: "manage:alerts",
+  activateAlertRule: "manage:alerts",
+  deactivateAlertRule: "manage:alerts",
+  configureRule: "manage:alerts",
+  updateRoster: "manage:alerts",
+  updateThreshold: "manage:thresholds",
+  mineBlock: "mine:blocks",
+  exportAuditTrail: "export:data",
+  exportAuditLog: "export:data",
+  exportReportData: "export:data",
+  exportProofBundle: "export:data",
+  exportChainArchive: "export:data",
+  runTamperDrill: "mine:blocks",
+  importChainArchive: "configure:system",
+  rotateSigningKey: "configure:system",
+  revokeKey: "configure:system",
+  enrollNode: "configure:system",
+  unlockSigningKey: "configure:system",
+};
+
+const GUARDED = Symbol("guarded");
+
+const permissionFor = (action) => {
+  const permission = ACTION_PERMISSIONS[action];
+  if (!permission) {
+    throw new Error(`No permission is defined for action ${action}`);
+  }
+  return permission;
+};
+
+/**
+ * Whether the signed-in user may open a view
+ * @param {string} view
+ * @param {object} [security]
+ * @returns {boolean}
+ */
+function canView(view, security = securityModule) {
+  const permission = VIEW_PERMISSIONS[view];
+  return !!permission && security.hasPermission(permission);
+}
+
+/**
+ * Whether the signed-in user may run an action
+ * @param {string} action
+ * @param {object} [security]
+ * @returns {boolean}
+ */
+function canPerform(action, security = securityModule) {
+  return security.hasPermission(permissionFor(action));
+}
+
+/**
+ * Refuse an action the signed-in user may not run
+ * @param {string} action
+ * @param {object} [security]
+ */
+function authorize(action, security = securityModule) {
+  security.requirePermission(permissionFor(action), action);
+}
+
+/**
+ * Wrap a function so it only runs for permitted users
+ * @param {string} action
+ * @param {function} fn
+ * @param {object} [security]
+ * @returns {function}
+ */
+function guard(action, fn, security = securityModule) {
+  if (fn[GUARDED]) return fn;
+
+  permissionFor(action);
+  const guarded = function (...args) {
+    authorize(action, security);
+    return fn.apply(this, args);
+  };
+  guarded[GUARDED] = true;
+  return guarded;
+}
+
+/**
+ * Guard methods of a service in place
+ * @param {object} service
+ * @param {array} actions - Method names, each listed in ACTION_PERMISSIONS
+ * @param {object} [security]
+ * @returns {object} - The service
+ */
+function guardMethods(service, actions, security = securityModule) {
+  actions.forEach((action) => {
+    service[action] = guard(action, service[action], security);
+  });
+  return service;
+}
+
+/**
+ * Guard actions of a zustand store
+ * @param {object} store - Store hook with getState/setState
+ * @param {array} actions - Action names, each listed in ACTION_PERMISSIONS
+ * @param {object} [security]
+ * @returns {object} - The store
+ */
+function guardStore(store, actions, security = securityModule) {
+  const state = store.getState();
+  store.setState(
+    Object.fromEntries(
+      actions.map((action) => [action, guard(action, state[action], security)])
+    )
+  );
+  return store;
+}
+
+/**
+ * Whether a function has been wrapped by guard()
+ * @param {function} fn
+ * @returns {boolean}
+ */
+function isGuarded(fn) {
+  return !!fn?.[GUARDED];
+}
+
+/**
+ * Guard the app's store actions and service methods
+ * Ledger writes made by the system itself, such as auto-mining, are not
+ * user actions and stay unguarded; users mine and export through
+ * blockchainIntegration, whose methods are guarded.
+ * @param {object} [security]
+ */
+function enforceAccessControl(security = securityModule) {
+  guardStore(
+    useDashboardStore,
+    ["acknowledgeAlert", "updateThreshold"],
+    security
+  );
+  guardMethods(
+    alertEngine,
+    [
+      "acknowledgeAlert",
+      "shelveAlert",
+      "unshelveAlert",
+      "scheduleMaintenance",
+      "cancelMaintenance",
+      "configureRule",
+    ],
+    security
+  );
+  guardMethods(
+    alertRuleStore,
+    ["saveAlertRule", "activateAlertRule", "deactivateAlertRule"],
+    security
+  );
+  guardMethods(onCallRoster, ["updateRoster"], security);
+  guardMethods(
+    blockchainIntegration,
+    [
+      "mineBlock",
+      "exportAuditTrail",
+      "exportProofBundle",
+      "exportChainArchive",
+    ],
+    security
+  );
+  guardMethods(
+    pharmaBlockchain,
+    [
+      "runTamperDrill",
+      "importChainArchive",
+      "rotateSigningKey",
+      "revokeKey",
+      "enrollNode",
+      "unlockSigningKey",
+    ],
+    security
+  );
+  guardMethods(complianceModule, ["exportReportData"], security);
+  guardMethods(securityModule, ["exportAuditLog"], security);
+}
+
+export {
+  VIEW_PERMISSIONS,
+  ACTION_PERMISSIONS,
+  canView,
+  canPerform,
+  authorize,
+  guard,
+  guardMethods,
+  guardStore,
+  isGuarded,
+  enforceAccessControl,
+};
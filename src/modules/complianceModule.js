@@ -4,6 +4,9 @@
  * FDA 21 CFR Part 211 compliance reporting and audit trail management.
  */
 
+import { conditionEngine } from "../engines/conditionEngine";
+import eSignatureService from "../services/eSignatureService";
+
 /**
  * FDA Requirements definitions
  */
@@ -55,12 +58,20 @@ class ComplianceModule {
 
   /**
    * Generate FDA 21 CFR Part 211 compliance report
+   * @param {Object} room - Room state object
+   * @param {Object} dateRange - { start, end }, defaults to the last 30 days
+   * @param {Object} options - { temperatureReadings, activationEnergy }
    */
-  generate21CFRPart211Report(room, dateRange = null) {
+  generate21CFRPart211Report(room, dateRange = null, options = {}) {
     const period = dateRange || {
       start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
       end: new Date().toISOString(),
     };
+    const meanKineticTemperature = this.analyzeMeanKineticTemperature(
+      room,
+      period,
+      options
+    );
 
     const report = {
       reportId: `RPT-${Date.now()}-${room.id}`,
@@ -87,12 +98,13 @@ class ComplianceModule {
         ),
         humidityCompliance: this.analyzeParameterCompliance(room, "humidity"),
         pressureCompliance: this.analyzeParameterCompliance(room, "pressure"),
+        meanKineticTemperature,
         dataIntegrity: this.verifyDataIntegrity(room),
         calibrationRecords: this.getCalibrationHistory(room),
         maintenanceLogs: this.getMaintenanceHistory(room),
       },
 
-      deviations: this.compileDeviations(room),
+      deviations: this.compileDeviations(room, meanKineticTemperature),
       corrativeActions: this.getCorrectiveActions(room),
       recommendations: this.generateRecommendations(room),
 
@@ -391,6 +403,46 @@ class ComplianceModule {
     };
   }
 
+  /**
+   * Analyze Mean Kinetic Temperature for the room and each stored batch
+   * Uses recorded readings when given, otherwise the room's recent history.
+   */
+  analyzeMeanKineticTemperature(room, period, options = {}) {
+    const condition = room.conditions?.temperature;
+    const readings = options.temperatureReadings || condition?.history || [];
+    const mktOptions = {
+      activationEnergy: options.activationEnergy,
+      from: period.start,
+      to: period.end,
+    };
+
+    const result = conditionEngine.calculateMKT(readings, mktOptions);
+    if (!result || !condition) {
+      return { status: "no-data", details: result };
+    }
+
+    const { min, max } = condition;
+    const withinLimits = result.mkt >= min && result.mkt <= max;
+    const batches = (room.medicines || [])
+      .filter((medicine) => medicine.receivedAt)
+      .map((medicine) =>
+        conditionEngine.calculateBatchMKT(medicine, readings, mktOptions)
+      )
+      .filter(Boolean)
+      .map((batch) => ({
+        ...batch,
+        withinLimits: batch.mkt >= min && batch.mkt <= max,
+      }));
+
+    return {
+      status: withinLimits ? "compliant" : "non-compliant",
+      ...result,
+      allowedRange: { min, max },
+      withinLimits,
+      batches,
+    };
+  }
+
   /**
    * Verify data integrity
    */
@@ -485,7 +537,7 @@ class ComplianceModule {
   /**
    * Compile deviations
    */
-  compileDeviations(room) {
+  compileDeviations(room, meanKineticTemperature = null) {
     const violations = room.compliance?.violations || [];
     return violations.map((v, index) => ({
       id: `DEV-${room.id}-${index}`,
@@ -493,7 +545,7 @@ class ComplianceModule {
       severity: v.severity,
       duration: v.duration,
       timestamp: v.timestamp,
-      impact: this.assessDeviationImpact(v, room),
+      impact: this.assessDeviationImpact(v, room, meanKineticTemperature),
       rootCause: "Under investigation",
       status: "open",
     }));
@@ -501,13 +553,25 @@ class ComplianceModule {
 
   /**
    * Assess deviation impact
+   * A temperature excursion whose MKT stays within the storage range has
+   * limited stability impact; one that pushes MKT out of range needs
+   * quarantine regardless of its severity.
    */
-  assessDeviationImpact(violation, room) {
+  assessDeviationImpact(violation, room, meanKineticTemperature = null) {
     const affectedMedicines = room.medicines?.map((m) => m.name) || [];
+    const mkt =
+      violation.parameter === "temperature" &&
+      meanKineticTemperature?.withinLimits !== undefined
+        ? meanKineticTemperature
+        : null;
+
     return {
       affectedProducts: affectedMedicines,
       estimatedDegradation: violation.duration * 0.1, // Simplified calculation
-      quarantineRequired: violation.severity === "high",
+      meanKineticTemperature: mkt ? mkt.mkt : null,
+      mktWithinLimits: mkt ? mkt.withinLimits : null,
+      quarantineRequired:
+        violation.severity === "high" || (mkt ? !mkt.withinLimits : false),
     };
   }
 
@@ -623,8 +687,18 @@ class ComplianceModule {
     const report = this.reports.get(reportId);
     if (!report) return null;
 
+    // Signature manifestations are printed with the report (21 CFR 11.50)
+    const signatures = eSignatureService
+      .getSignatures({ recordId: reportId })
+      .map((signature) => ({
+        signatureId: signature.signatureId,
+        meaning: signature.meaning,
+        recordHash: signature.recordHash,
+        manifestation: eSignatureService.getManifestation(signature),
+      }));
+
     if (format === "json") {
-      return JSON.stringify(report, null, 2);
+      return JSON.stringify({ ...report, signatures }, null, 2);
     }
 
     // For PDF, return structured data that can be rendered
@@ -632,6 +706,7 @@ class ComplianceModule {
       title: `Compliance Report - ${report.roomName}`,
       generated: report.generatedAt,
       data: report,
+      signatures,
     };
   }
 }
@@ -0,0 +1,504 @@
+/**
+ * Deviation Module
+ *
+ * Tracks a deviation from opening to closure: open, investigation, root
+ * cause, CAPA assigned, effectiveness check and closed. Every transition is
+ * gated by a securityModule permission and written to the ledger as a
+ * deviation transaction that links to the previous one, so the chain holds
+ * the complete, ordered history of each deviation.
+ */
+
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { DeviationManagementContract } from "../services/blockchain/RegulatorySmartContracts";
+import securityModule from "./securityModule";
+import eSignatureService, {
+  SIGNATURE_MEANINGS,
+} from "../services/eSignatureService";
+
+/**
+ * Deviation states
+ */
+const DEVIATION_STATES = {
+  OPEN: "open",
+  INVESTIGATION: "investigation",
+  ROOT_CAUSE: "root_cause",
+  CAPA_ASSIGNED: "capa_assigned",
+  EFFECTIVENESS_CHECK: "effectiveness_check",
+  CLOSED: "closed",
+};
+
+/**
+ * Allowed transitions and the permission each one requires
+ * A deviation that does not require a CAPA may close from root cause; an
+ * ineffective CAPA goes back to CAPA assigned with a new action.
+ */
+const DEVIATION_TRANSITIONS = {
+  [DEVIATION_STATES.OPEN]: {
+    [DEVIATION_STATES.INVESTIGATION]: "investigate:deviations",
+  },
+  [DEVIATION_STATES.INVESTIGATION]: {
+    [DEVIATION_STATES.ROOT_CAUSE]: "investigate:deviations",
+  },
+  [DEVIATION_STATES.ROOT_CAUSE]: {
+    [DEVIATION_STATES.CAPA_ASSIGNED]: "approve:deviations",
+    [DEVIATION_STATES.CLOSED]: "approve:deviations",
+  },
+  [DEVIATION_STATES.CAPA_ASSIGNED]: {
+    [DEVIATION_STATES.EFFECTIVENESS_CHECK]: "investigate:deviations",
+  },
+  [DEVIATION_STATES.EFFECTIVENESS_CHECK]: {
+    [DEVIATION_STATES.CAPA_ASSIGNED]: "approve:deviations",
+    [DEVIATION_STATES.CLOSED]: "approve:deviations",
+  },
+  [DEVIATION_STATES.CLOSED]: {},
+};
+
+const OPEN_PERMISSION = "open:deviations";
+
+// Ledger action recorded for a transition
+const LEDGER_ACTIONS = {
+  [DEVIATION_STATES.OPEN]: "create",
+  [DEVIATION_STATES.CLOSED]: "resolve",
+};
+
+const TIMEFRAME_UNITS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Convert a timeframe such as "72 hours" to milliseconds
+ * @param {string} timeframe
+ * @returns {number}
+ */
+const parseTimeframe = (timeframe) => {
+  const match = /^(\d+)\s+(minute|hour|day)s?$/.exec(timeframe || "");
+  if (!match) {
+    throw new Error(`Unknown timeframe: ${timeframe}`);
+  }
+  return parseInt(match[1], 10) * TIMEFRAME_UNITS[match[2]];
+};
+
+/**
+ * DeviationModule class
+ */
+class DeviationModule {
+  /**
+   * @param {object} ledger - Blockchain transitions are written to
+   * @param {object} security - securityModule that gates each transition
+   * @param {object} signatures - eSignatureService that signs closures
+   */
+  constructor(
+    ledger = pharmaBlockchain,
+    security = securityModule,
+    signatures = eSignatureService
+  ) {
+    this.ledger = ledger;
+    this.security = security;
+    this.signatures = signatures;
+    this.contract = new DeviationManagementContract();
+    this.deviations = new Map();
+    this.isLoaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Rebuild deviations from the ledger
+   * Mined transactions are applied oldest first, then pending ones.
+   * Deviation transactions from outside the workflow are ignored.
+   * @returns {Promise<number>} - Number of deviations
+   */
+  async loadFromLedger() {
+    const mined = await this.ledger.queryTransactions({
+      type: TRANSACTION_TYPES.DEVIATION,
+      limit: Infinity,
+    });
+    const pending = this.ledger.pendingTransactions.filter(
+      (tx) => tx.type === TRANSACTION_TYPES.DEVIATION
+    );
+
+    this.deviations.clear();
+    [...mined.reverse(), ...pending].forEach((tx) => this.applyTransaction(tx));
+    this.isLoaded = true;
+    this.notifySubscribers("loaded", this.getDeviations());
+    return this.deviations.size;
+  }
+
+  /**
+   * Open a deviation
+   * It is classified by the deviation management contract and due within
+   * the resolution timeframe for its severity.
+   * @param {object} deviation - { severity, parameter, actualValue, expectedRange, duration, roomId, description }
+   * @returns {Promise<object>} - The deviation
+   */
+  async openDeviation({
+    severity,
+    parameter,
+    actualValue,
+    expectedRange,
+    duration = 0,
+    roomId,
+    description = "",
+  }) {
+    this.requirePermission(OPEN_PERMISSION, "open");
+    if (!severity || !roomId) {
+      throw new Error("Severity and room are required");
+    }
+
+    const factory = this.ledger.transactionFactory;
+    const openedAt = new Date();
+    const resolutionTimeframe = factory.getResolutionTimeframe(severity);
+    const deviationId = `DEV-${openedAt.getTime()}-${Math.random()
+      .toString(36)
+      .substr(2, 6)}`;
+
+    return await this.recordTransition(
+      {
+        deviationId,
+        severity,
+        classification: this.contract.classifyDeviation(severity, duration),
+        parameter,
+        actualValue,
+        expectedRange,
+        duration,
+        roomId,
+        description,
+        requiresCAPA: ["critical", "major"].includes(severity),
+        resolutionTimeframe,
+        openedAt: openedAt.toISOString(),
+        dueAt: new Date(
+          openedAt.getTime() + parseTimeframe(resolutionTimeframe)
+        ).toISOString(),
+        escalationPath: factory.getEscalationPath(severity),
+        escalationLevel: 0,
+        state: DEVIATION_STATES.OPEN,
+        rootCause: null,
+        capa: null,
+      },
+      null,
+      { description }
+    );
+  }
+
+  /**
+   * Move a deviation to its next state
+   * Details by target state:
+   * - root_cause: { rootCause }
+   * - capa_assigned: { capa: { title, description, type, assignedTo, dueDate } }
+   * - effectiveness_check: { notes }
+   * - closed: { effective } after an effectiveness check, { justification } from root cause,
+   *   and always { signature: { credential, meaning } } for the closure e-signature
+   * @param {string} deviationId
+   * @param {string} toState - A DEVIATION_STATES value
+   * @param {object} details
+   * @returns {Promise<object>} - The deviation
+   */
+  async transition(deviationId, toState, { signature, ...details } = {}) {
+    const deviation = this.requireDeviation(deviationId);
+    const permission = DEVIATION_TRANSITIONS[deviation.state][toState];
+    if (!permission) {
+      throw new Error(
+        `Deviation ${deviationId} cannot move from ${deviation.state} to ${toState}`
+      );
+    }
+    this.requirePermission(permission, toState);
+
+    const next = { ...deviation, state: toState };
+    switch (toState) {
+      case DEVIATION_STATES.ROOT_CAUSE:
+        if (!details.rootCause) {
+          throw new Error("A root cause is required");
+        }
+        next.rootCause = details.rootCause;
+        break;
+      case DEVIATION_STATES.CAPA_ASSIGNED:
+        next.capa = await this.assignCAPA(deviation, details.capa);
+        break;
+      case DEVIATION_STATES.CLOSED:
+        if (deviation.state === DEVIATION_STATES.ROOT_CAUSE) {
+          if (deviation.requiresCAPA) {
+            throw new Error(
+              `A ${deviation.severity} deviation requires a CAPA before closure`
+            );
+          }
+          if (!details.justification) {
+            throw new Error(
+              "A justification is required to close without CAPA"
+            );
+          }
+        } else if (details.effective !== true) {
+          throw new Error(
+            "The CAPA must be verified effective before closure; assign a new CAPA otherwise"
+          );
+        }
+        if (!signature?.credential) {
+          throw new Error(
+            "Closing a deviation requires an electronic signature"
+          );
+        }
+        next.closedAt = new Date().toISOString();
+        next.closureSignature = await this.signClosure(next, signature);
+        break;
+      default:
+        break;
+    }
+
+    return await this.recordTransition(next, deviation.state, details);
+  }
+
+  /**
+   * Sign the closed deviation
+   * @returns {Promise<object>} - Signature reference stored with the deviation
+   */
+  async signClosure(deviation, { credential, meaning, comment }) {
+    const { history, ...record } = deviation;
+    const signature = await this.signatures.sign({
+      recordType: "deviation",
+      recordId: deviation.deviationId,
+      record,
+      meaning: meaning || SIGNATURE_MEANINGS.APPROVED,
+      credential,
+      comment,
+    });
+
+    return {
+      signatureId: signature.signatureId,
+      recordHash: signature.recordHash,
+      manifestation: this.signatures.getManifestation(signature),
+    };
+  }
+
+  /**
+   * Record the CAPA for a deviation on the ledger
+   * @returns {Promise<object>} - The CAPA
+   */
+  async assignCAPA(deviation, capa) {
+    if (!capa?.title || !capa?.assignedTo) {
+      throw new Error("A CAPA needs a title and an assignee");
+    }
+
+    const capaId = `CAPA-${deviation.deviationId}-${
+      deviation.history.filter(
+        (entry) => entry.toState === DEVIATION_STATES.CAPA_ASSIGNED
+      ).length + 1
+    }`;
+    const assigned = {
+      capaId,
+      title: capa.title,
+      description: capa.description || "",
+      type: capa.type || "corrective",
+      priority: deviation.severity,
+      assignedTo: capa.assignedTo,
+      dueDate: capa.dueDate || deviation.dueAt,
+      relatedDeviations: [deviation.deviationId],
+    };
+
+    const tx = this.ledger.transactionFactory.createCAPATransaction(
+      capaId,
+      "create",
+      assigned
+    );
+    tx.metadata = { ...tx.metadata, roomId: deviation.roomId };
+    await this.ledger.addTransaction(tx);
+
+    return { ...assigned, transactionId: tx.id };
+  }
+
+  /**
+   * Escalate deviations that are past their due date
+   * Each full resolution timeframe overdue escalates one step further
+   * along the severity's escalation path.
+   * @param {Date} [now]
+   * @returns {Promise<array>} - Deviations escalated by this check
+   */
+  async checkOverdue(now = new Date()) {
+    const escalated = [];
+
+    for (const deviation of this.getDeviations()) {
+      const overdueMs = now.getTime() - new Date(deviation.dueAt).getTime();
+      if (deviation.state === DEVIATION_STATES.CLOSED || overdueMs <= 0) {
+        continue;
+      }
+
+      const level = Math.min(
+        deviation.escalationPath.length - 1,
+        1 +
+          Math.floor(overdueMs / parseTimeframe(deviation.resolutionTimeframe))
+      );
+      if (level <= deviation.escalationLevel) continue;
+
+      const updated = await this.recordTransition(
+        { ...deviation, escalationLevel: level },
+        deviation.state,
+        {
+          escalatedTo: deviation.escalationPath[level],
+          overdueMinutes: Math.round(overdueMs / TIMEFRAME_UNITS.minute),
+        },
+        "escalate"
+      );
+      escalated.push(updated);
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Write a transition to the ledger and apply it
+   * The transaction carries the deviation as of this transition and the
+   * id of the deviation's previous transaction.
+   */
+  async recordTransition(deviation, fromState, details, action = null) {
+    const { history = [], ...snapshot } = deviation;
+    const user = this.security.currentUser;
+    const actor = user
+      ? { id: user.id, name: user.name, role: user.role }
+      : { id: "system", name: "System", role: "SYSTEM" };
+
+    const tx = this.ledger.transactionFactory.createDeviationTransaction(
+      deviation.deviationId,
+      action || LEDGER_ACTIONS[deviation.state] || "update",
+      {
+        ...snapshot,
+        fromState,
+        actor,
+        details,
+        previousTransactionId: history.length
+          ? history[history.length - 1].transactionId
+          : null,
+      }
+    );
+    tx.metadata = { ...tx.metadata, roomId: deviation.roomId };
+
+    await this.ledger.addTransaction(tx);
+    const applied = this.applyTransaction(tx);
+
+    this.security.logAudit(
+      action === "escalate" ? "DEVIATION_ESCALATED" : "DEVIATION_TRANSITION",
+      deviation.deviationId,
+      { fromState, toState: deviation.state, transactionId: tx.id }
+    );
+    this.notifySubscribers(action || deviation.state, applied);
+    return applied;
+  }
+
+  /**
+   * Apply a deviation transaction
+   * @param {object} tx
+   * @returns {object|null} - The updated deviation
+   */
+  applyTransaction(tx) {
+    const { deviationId, action, deviationData } = tx.data;
+    if (!deviationData?.state) return null;
+
+    const {
+      fromState,
+      actor,
+      details,
+      previousTransactionId,
+      // Fields the transaction factory adds to every deviation
+      correctiveActions,
+      ...snapshot
+    } = deviationData;
+    const previous = this.deviations.get(deviationId);
+
+    const deviation = {
+      ...snapshot,
+      history: [
+        ...(previous?.history || []),
+        {
+          action,
+          fromState,
+          toState: snapshot.state,
+          actor,
+          details,
+          timestamp: tx.data.timestamp || tx.timestamp,
+          transactionId: tx.id,
+          previousTransactionId,
+        },
+      ],
+    };
+    this.deviations.set(deviationId, deviation);
+    return deviation;
+  }
+
+  /**
+   * Refuse a transition the current user is not allowed to make
+   */
+  requirePermission(permission, action) {
+    this.security.requirePermission(permission, "deviations", { action });
+  }
+
+  /**
+   * Get a deviation
+   * @param {string} deviationId
+   * @returns {object|null}
+   */
+  getDeviation(deviationId) {
+    return this.deviations.get(deviationId) || null;
+  }
+
+  requireDeviation(deviationId) {
+    const deviation = this.deviations.get(deviationId);
+    if (!deviation) {
+      throw new Error(`Unknown deviation ${deviationId}`);
+    }
+    return deviation;
+  }
+
+  /**
+   * Get deviations, optionally only those of a room
+   * @param {string} [roomId]
+   * @returns {array}
+   */
+  getDeviations(roomId = null) {
+    return [...this.deviations.values()].filter(
+      (deviation) => !roomId || deviation.roomId === roomId
+    );
+  }
+
+  /**
+   * Get the transitions the current user may make on a deviation
+   * @param {string} deviationId
+   * @returns {array} - Target states
+   */
+  getAvailableTransitions(deviationId) {
+    const deviation = this.requireDeviation(deviationId);
+    return Object.entries(DEVIATION_TRANSITIONS[deviation.state])
+      .filter(([, permission]) => this.security.hasPermission(permission))
+      .map(([state]) => state);
+  }
+
+  /**
+   * Subscribe to deviation changes
+   * @param {function} callback - (event, deviation)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
+
+const deviationModule = new DeviationModule();
+
+export default deviationModule;
+export {
+  DeviationModule,
+  DEVIATION_STATES,
+  DEVIATION_TRANSITIONS,
+  parseTimeframe,
+};
@@ -0,0 +1,394 @@
+/**
+ * Inventory Module
+ *
+ * Medicine lot management: receive, move, dispense, quarantine and release.
+ * Every action is written to the ledger as a medicine inventory transaction
+ * and lot state is rebuilt from those transactions, so the chain is the
+ * record of where each lot has been and for how long.
+ */
+
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import { calculateMKT } from "../engines/conditionEngine";
+import { MEDICINE_DATABASE } from "../utils/constants";
+
+/**
+ * Inventory actions
+ */
+const INVENTORY_ACTIONS = {
+  RECEIVE: "receive",
+  MOVE: "move",
+  DISPENSE: "dispense",
+  QUARANTINE: "quarantine",
+  RELEASE: "release",
+};
+
+/**
+ * Lot statuses
+ */
+const LOT_STATUS = {
+  AVAILABLE: "available",
+  QUARANTINED: "quarantined",
+  DEPLETED: "depleted",
+};
+
+/**
+ * InventoryModule class
+ */
+class InventoryModule {
+  /**
+   * @param {object} ledger - Blockchain inventory actions are written to
+   */
+  constructor(ledger = pharmaBlockchain) {
+    this.ledger = ledger;
+    this.lots = new Map();
+    this.isLoaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Rebuild lots from the inventory transactions on the ledger
+   * Mined transactions are applied oldest first, then pending ones.
+   * @returns {Promise<number>} - Number of lots
+   */
+  async loadFromLedger() {
+    const mined = await this.ledger.queryTransactions({
+      type: TRANSACTION_TYPES.MEDICINE_INVENTORY,
+      limit: Infinity,
+    });
+    const pending = this.ledger.pendingTransactions.filter(
+      (tx) => tx.type === TRANSACTION_TYPES.MEDICINE_INVENTORY
+    );
+
+    this.lots.clear();
+    [...mined.reverse(), ...pending].forEach((tx) => this.applyTransaction(tx));
+    this.isLoaded = true;
+    this.notifySubscribers("loaded", this.getLots());
+    return this.lots.size;
+  }
+
+  /**
+   * Receive a new lot into a room
+   * @param {object} lot - { medicineKey, name, batchNumber, expiryDate, quantity, unit, roomId }
+   * @returns {Promise<object>} - The lot
+   */
+  async receiveLot({
+    medicineKey,
+    name,
+    batchNumber,
+    expiryDate,
+    quantity,
+    unit = "units",
+    roomId,
+  }) {
+    if (!batchNumber || !roomId) {
+      throw new Error("Batch number and room are required");
+    }
+    if (!(quantity > 0)) {
+      throw new Error("Quantity must be positive");
+    }
+    if (!expiryDate || Number.isNaN(new Date(expiryDate).getTime())) {
+      throw new Error("A valid expiry date is required");
+    }
+
+    const lotId = `${medicineKey || "lot"}-${batchNumber}`;
+    if (this.lots.has(lotId)) {
+      throw new Error(`Lot ${lotId} has already been received`);
+    }
+
+    return await this.recordAction(lotId, INVENTORY_ACTIONS.RECEIVE, roomId, {
+      medicineKey,
+      name: name || MEDICINE_DATABASE[medicineKey]?.name || medicineKey,
+      batchNumber,
+      expiryDate: new Date(expiryDate).toISOString(),
+      quantity,
+      unit,
+    });
+  }
+
+  /**
+   * Move a lot to another room
+   * @param {string} lotId
+   * @param {string} toRoomId
+   * @returns {Promise<object>}
+   */
+  async moveLot(lotId, toRoomId) {
+    const lot = this.requireLot(lotId);
+    if (lot.status === LOT_STATUS.DEPLETED) {
+      throw new Error(`Lot ${lotId} is depleted`);
+    }
+    if (!toRoomId || toRoomId === lot.roomId) {
+      throw new Error(`Lot ${lotId} is already in ${lot.roomId}`);
+    }
+
+    return await this.recordAction(lotId, INVENTORY_ACTIONS.MOVE, toRoomId, {
+      fromRoomId: lot.roomId,
+      toRoomId,
+    });
+  }
+
+  /**
+   * Dispense from an available, unexpired lot
+   * @param {string} lotId
+   * @param {number} quantity
+   * @returns {Promise<object>}
+   */
+  async dispenseLot(lotId, quantity) {
+    const lot = this.requireLot(lotId);
+    if (lot.status !== LOT_STATUS.AVAILABLE) {
+      throw new Error(`Lot ${lotId} is ${lot.status}`);
+    }
+    if (new Date(lot.expiryDate).getTime() <= Date.now()) {
+      throw new Error(`Lot ${lotId} has expired`);
+    }
+    if (!(quantity > 0) || quantity > lot.quantity) {
+      throw new Error(
+        `Quantity must be between 1 and ${lot.quantity} ${lot.unit}`
+      );
+    }
+
+    return await this.recordAction(
+      lotId,
+      INVENTORY_ACTIONS.DISPENSE,
+      lot.roomId,
+      { quantity }
+    );
+  }
+
+  /**
+   * Place a lot in quarantine
+   * @param {string} lotId
+   * @param {string} reason
+   * @returns {Promise<object>}
+   */
+  async quarantineLot(lotId, reason) {
+    const lot = this.requireLot(lotId);
+    if (lot.status !== LOT_STATUS.AVAILABLE) {
+      throw new Error(`Lot ${lotId} is ${lot.status}`);
+    }
+    if (!reason) {
+      throw new Error("A quarantine reason is required");
+    }
+
+    return await this.recordAction(
+      lotId,
+      INVENTORY_ACTIONS.QUARANTINE,
+      lot.roomId,
+      { reason }
+    );
+  }
+
+  /**
+   * Release a quarantined lot
+   * @param {string} lotId
+   * @param {string} reason - Disposition, e.g. the QA assessment
+   * @returns {Promise<object>}
+   */
+  async releaseLot(lotId, reason) {
+    const lot = this.requireLot(lotId);
+    if (lot.status !== LOT_STATUS.QUARANTINED) {
+      throw new Error(`Lot ${lotId} is not quarantined`);
+    }
+    if (!reason) {
+      throw new Error("A release reason is required");
+    }
+
+    return await this.recordAction(
+      lotId,
+      INVENTORY_ACTIONS.RELEASE,
+      lot.roomId,
+      { reason }
+    );
+  }
+
+  /**
+   * Write an action to the ledger and apply it
+   */
+  async recordAction(lotId, action, roomId, details) {
+    const tx =
+      this.ledger.transactionFactory.createMedicineInventoryTransaction(
+        lotId,
+        action,
+        { ...details, roomId }
+      );
+    // Index the action under the room so room queries include it
+    tx.metadata = { ...tx.metadata, roomId };
+
+    await this.ledger.addTransaction(tx);
+    const lot = this.applyTransaction(tx);
+    this.notifySubscribers(action, lot);
+    return lot;
+  }
+
+  /**
+   * Apply an inventory transaction to the lot it belongs to
+   * Transactions from other sources that are not lot actions, such as
+   * quarantine recommendations, are ignored.
+   * @param {object} tx
+   * @returns {object|null} - The updated lot
+   */
+  applyTransaction(tx) {
+    const { medicineId: lotId, action, details } = tx.data;
+    const timestamp = tx.data.timestamp || tx.timestamp;
+    if (details?.recommendation) return null;
+
+    if (action === INVENTORY_ACTIONS.RECEIVE) {
+      const lot = {
+        lotId,
+        medicineKey: details.medicineKey,
+        name: details.name,
+        batchNumber: details.batchNumber,
+        expiryDate: details.expiryDate,
+        quantity: details.quantity,
+        unit: details.unit,
+        roomId: details.roomId,
+        status: LOT_STATUS.AVAILABLE,
+        receivedAt: timestamp,
+        storageHistory: [{ roomId: details.roomId, from: timestamp, to: null }],
+        actions: [],
+      };
+      this.lots.set(lotId, lot);
+    }
+
+    const lot = this.lots.get(lotId);
+    if (!lot || !Object.values(INVENTORY_ACTIONS).includes(action)) {
+      return null;
+    }
+
+    const currentStay = lot.storageHistory[lot.storageHistory.length - 1];
+    switch (action) {
+      case INVENTORY_ACTIONS.MOVE:
+        currentStay.to = timestamp;
+        lot.storageHistory.push({
+          roomId: details.toRoomId,
+          from: timestamp,
+          to: null,
+        });
+        lot.roomId = details.toRoomId;
+        break;
+      case INVENTORY_ACTIONS.DISPENSE:
+        lot.quantity -= details.quantity;
+        if (lot.quantity <= 0) {
+          lot.status = LOT_STATUS.DEPLETED;
+          currentStay.to = timestamp;
+        }
+        break;
+      case INVENTORY_ACTIONS.QUARANTINE:
+        lot.status = LOT_STATUS.QUARANTINED;
+        break;
+      case INVENTORY_ACTIONS.RELEASE:
+        lot.status = LOT_STATUS.AVAILABLE;
+        break;
+      default:
+        break;
+    }
+
+    lot.actions.push({
+      action,
+      timestamp,
+      transactionId: tx.id,
+      quantity: details.quantity,
+      fromRoomId: details.fromRoomId,
+      toRoomId: details.toRoomId,
+      reason: details.reason,
+    });
+    return lot;
+  }
+
+  /**
+   * Environmental history of every room a lot has been stored in
+   * Sensor readings come from the ledger for each stay, with the MKT over
+   * that stay.
+   * @param {string} lotId
+   * @param {object} options - { activationEnergy }
+   * @returns {Promise<object>} - { lotId, stays: [{ roomId, from, to, readings, mkt }] }
+   */
+  async getEnvironmentalHistory(lotId, options = {}) {
+    const lot = this.requireLot(lotId);
+
+    const stays = [];
+    for (const stay of lot.storageHistory) {
+      const transactions = await this.ledger.queryTransactions({
+        type: TRANSACTION_TYPES.SENSOR_READING,
+        roomId: stay.roomId,
+        from: stay.from,
+        to: stay.to,
+        limit: Infinity,
+      });
+      const readings = transactions.reverse().map((tx) => ({
+        transactionId: tx.id,
+        blockNumber: tx.blockNumber,
+        timestamp: tx.data.reading?.timestamp || tx.timestamp,
+        temperature: tx.data.reading?.temperature,
+        humidity: tx.data.reading?.humidity,
+      }));
+
+      stays.push({
+        ...stay,
+        readings,
+        mkt: calculateMKT(readings, {
+          activationEnergy: options.activationEnergy,
+          from: stay.from,
+          to: stay.to || new Date(),
+        }),
+      });
+    }
+
+    return { lotId, stays };
+  }
+
+  /**
+   * Get a lot
+   * @param {string} lotId
+   * @returns {object|null}
+   */
+  getLot(lotId) {
+    return this.lots.get(lotId) || null;
+  }
+
+  requireLot(lotId) {
+    const lot = this.lots.get(lotId);
+    if (!lot) {
+      throw new Error(`Unknown lot ${lotId}`);
+    }
+    return lot;
+  }
+
+  /**
+   * Get lots, optionally only those currently in a room
+   * @param {string} [roomId]
+   * @returns {array}
+   */
+  getLots(roomId = null) {
+    return [...this.lots.values()].filter(
+      (lot) => !roomId || lot.roomId === roomId
+    );
+  }
+
+  /**
+   * Subscribe to inventory changes
+   * @param {function} callback - (action, lot)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
+
+const inventoryModule = new InventoryModule();
+
+export default inventoryModule;
+export { InventoryModule, INVENTORY_ACTIONS, LOT_STATUS };
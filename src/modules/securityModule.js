@@ -3,6 +3,12 @@
  * Implements RBAC, Audit Logging, and Access Control
  */
 
+import { canonicalJson } from "../utils/canonicalJson";
+import { sha256 } from "../services/blockchain/crypto";
+
+// Audit entries kept in memory; older ones stay in the attached store
+const MAX_AUDIT_ENTRIES = 10000;
+
 // Role definitions with permissions
 const ROLES = {
   ADMIN: {
@@ -22,8 +28,12 @@ const ROLES = {
       "generate:reports",
       "export:data",
       "acknowledge:alerts",
+      "mine:blocks",
       "configure:system",
       "delete:data",
+      "open:deviations",
+      "investigate:deviations",
+      "approve:deviations",
     ],
   },
   QUALITY_MANAGER: {
@@ -40,6 +50,10 @@ const ROLES = {
       "generate:reports",
       "export:data",
       "acknowledge:alerts",
+      "mine:blocks",
+      "open:deviations",
+      "investigate:deviations",
+      "approve:deviations",
     ],
   },
   SUPERVISOR: {
@@ -52,12 +66,19 @@ const ROLES = {
       "acknowledge:alerts",
       "manage:thresholds",
       "export:data",
+      "open:deviations",
+      "investigate:deviations",
     ],
   },
   TECHNICIAN: {
     name: "Technician",
     level: 40,
-    permissions: ["view:dashboard", "view:alerts", "acknowledge:alerts"],
+    permissions: [
+      "view:dashboard",
+      "view:alerts",
+      "acknowledge:alerts",
+      "open:deviations",
+    ],
   },
   VIEWER: {
     name: "Viewer",
@@ -81,8 +102,12 @@ const PERMISSION_DESCRIPTIONS = {
   "generate:reports": "Generate compliance and analytical reports",
   "export:data": "Export sensor data and reports",
   "acknowledge:alerts": "Acknowledge and resolve alerts",
+  "mine:blocks": "Mine pending ledger transactions on demand",
   "configure:system": "Modify system configuration settings",
   "delete:data": "Delete historical data and records",
+  "open:deviations": "Open deviations from excursions and observations",
+  "investigate:deviations": "Investigate deviations and record root causes",
+  "approve:deviations": "Assign CAPAs and approve deviation closure",
 };
 
 /**
@@ -90,38 +115,60 @@ const PERMISSION_DESCRIPTIONS = {
  */
 class AuditLogEntry {
   constructor({
+    id,
+    timestamp,
     action,
     userId,
     userName,
     target,
     details,
     previousHash = null,
+    hash = null,
   }) {
-    this.id = crypto.randomUUID
-      ? crypto.randomUUID()
-      : `audit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    this.timestamp = new Date().toISOString();
+    this.id =
+      id ||
+      (crypto.randomUUID
+        ? crypto.randomUUID()
+        : `audit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    this.timestamp = timestamp || new Date().toISOString();
     this.action = action;
     this.userId = userId;
     this.userName = userName;
     this.target = target;
     this.details = details;
     this.previousHash = previousHash;
-    this.hash = this.calculateHash();
-  }
-
-  calculateHash() {
-    const data = `${this.timestamp}${this.action}${this.userId}${
-      this.target
-    }${JSON.stringify(this.details)}${this.previousHash}`;
-    // Simple hash for demonstration (in production, use crypto.subtle.digest)
-    let hash = 0;
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(16).padStart(8, "0");
+    // Set once the entry is chained; see SecurityModule.appendAuditEntry
+    this.hash = hash;
+  }
+
+  /**
+   * Create an entry and hash it
+   * @param {object} fields
+   * @returns {Promise<AuditLogEntry>}
+   */
+  static async create(fields) {
+    const entry = new AuditLogEntry(fields);
+    entry.hash = await entry.calculateHash();
+    return entry;
+  }
+
+  /**
+   * Rebuild a stored entry, keeping its stored hash so tampering shows
+   * @param {object} record - Entry as persisted
+   * @returns {AuditLogEntry}
+   */
+  static fromRecord(record) {
+    return new AuditLogEntry(record);
+  }
+
+  // SHA-256 of the entry; details are hashed as canonical JSON so entries
+  // read back from JSONB, which reorders keys, still verify
+  async calculateHash() {
+    return await sha256(
+      `${this.timestamp}${this.action}${this.userId}${
+        this.target
+      }${canonicalJson(this.details)}${this.previousHash}`
+    );
   }
 }
 
@@ -133,8 +180,13 @@ class SecurityModule {
     this.currentUser = null;
     this.auditLog = [];
     this.lastAuditHash = null;
+    this.auditAnchorHash = null; // previousHash of the oldest entry in memory
+    this.auditStore = null;
+    this.auditWrites = Promise.resolve();
+    this.subscribers = [];
     this.sessionToken = null;
     this.sessionExpiry = null;
+    this.authExpiry = null; // Expiry of the provider's session, if any
     this.failedLoginAttempts = new Map();
     this.lockedAccounts = new Set();
 
@@ -152,6 +204,8 @@ class SecurityModule {
 
   /**
    * Initialize security module with user data
+   * Called by authService once a provider has authenticated the user;
+   * userData.sessionExpiresAt caps the session at the provider's expiry.
    */
   initialize(userData) {
     if (!userData) {
@@ -164,13 +218,16 @@ class SecurityModule {
       email: userData.email,
       role: userData.role || "VIEWER",
       department: userData.department,
+      authProvider: userData.authProvider || null,
       lastLogin: new Date().toISOString(),
     };
 
     this.sessionToken = this.generateSessionToken();
-    this.sessionExpiry = Date.now() + this.config.sessionTimeout;
+    this.authExpiry = userData.sessionExpiresAt || null;
+    this.sessionExpiry = this.getNextExpiry();
 
     this.logAudit("SESSION_START", "system", {
+      authProvider: this.currentUser.authProvider,
       ip: userData.ip || "unknown",
       userAgent:
         typeof navigator !== "undefined" ? navigator.userAgent : "unknown",
@@ -200,6 +257,14 @@ class SecurityModule {
     );
   }
 
+  /**
+   * Session expiry after the inactivity timeout, never past the provider's
+   */
+  getNextExpiry() {
+    const expiry = Date.now() + this.config.sessionTimeout;
+    return this.authExpiry ? Math.min(expiry, this.authExpiry) : expiry;
+  }
+
   /**
    * Check if session is valid
    */
@@ -217,7 +282,7 @@ class SecurityModule {
    */
   refreshSession() {
     if (!this.isSessionValid()) return false;
-    this.sessionExpiry = Date.now() + this.config.sessionTimeout;
+    this.sessionExpiry = this.getNextExpiry();
     return true;
   }
 
@@ -229,6 +294,7 @@ class SecurityModule {
     this.currentUser = null;
     this.sessionToken = null;
     this.sessionExpiry = null;
+    this.authExpiry = null;
   }
 
   /**
@@ -249,6 +315,19 @@ class SecurityModule {
     return role.permissions.includes(permission);
   }
 
+  /**
+   * Require a permission, recording refused attempts
+   * @param {string} permission
+   * @param {string} target - What was being accessed
+   * @param {object} [details]
+   */
+  requirePermission(permission, target, details = {}) {
+    if (!this.hasPermission(permission)) {
+      this.logAudit("ACCESS_DENIED", target, { ...details, permission });
+      throw new Error(`Permission denied: ${permission} is required`);
+    }
+  }
+
   /**
    * Check if user has any of the specified permissions
    */
@@ -289,7 +368,7 @@ class SecurityModule {
    * Log an audit entry
    */
   logAudit(action, target, details = {}) {
-    const entry = new AuditLogEntry({
+    return this.appendAuditEntry({
       action,
       userId: this.currentUser?.id || "system",
       userName: this.currentUser?.name || "System",
@@ -298,18 +377,91 @@ class SecurityModule {
         ...details,
         timestamp: Date.now(),
       },
-      previousHash: this.lastAuditHash,
     });
+  }
 
+  /**
+   * Chain an entry onto the log and persist it to the attached store
+   * @param {object} fields - AuditLogEntry fields without previousHash
+   * @returns {AuditLogEntry}
+   */
+  appendAuditEntry(fields) {
+    const entry = new AuditLogEntry(fields);
     this.auditLog.push(entry);
-    this.lastAuditHash = entry.hash;
 
-    // Keep only last 10000 entries in memory
-    if (this.auditLog.length > 10000) {
-      this.auditLog = this.auditLog.slice(-10000);
+    // Hashing is asynchronous, so entries are chained and written in a
+    // queue; the store receives them in chain order
+    const store = this.auditStore;
+    this.auditWrites = this.auditWrites
+      .then(async () => {
+        entry.previousHash = this.lastAuditHash;
+        entry.hash = await entry.calculateHash();
+        this.lastAuditHash = entry.hash;
+
+        // Keep only the most recent entries in memory
+        if (this.auditLog.length > MAX_AUDIT_ENTRIES) {
+          this.auditLog = this.auditLog.slice(-MAX_AUDIT_ENTRIES);
+          this.auditAnchorHash = this.auditLog[0].previousHash;
+        }
+
+        if (store) {
+          await store.append(entry);
+        }
+      })
+      .catch((error) => console.error("Audit log write failed:", error));
+
+    this.notifySubscribers("audit", entry);
+    return entry;
+  }
+
+  /**
+   * Restore the persisted audit log and keep persisting to the store
+   * Entries logged before this was called are re-chained onto the
+   * restored log, then the whole chain is verified.
+   * @param {object} store - { append(entry), loadRecent(limit) }
+   * @returns {Promise<object>} - verifyAuditLogIntegrity() result
+   */
+  async loadAuditLog(store) {
+    const records = await store.loadRecent(MAX_AUDIT_ENTRIES);
+    await this.flushAuditLog();
+    const unsaved = this.auditLog;
+
+    this.auditLog = records.map((record) => AuditLogEntry.fromRecord(record));
+    this.auditAnchorHash = this.auditLog[0]?.previousHash ?? null;
+    this.lastAuditHash = this.auditLog[this.auditLog.length - 1]?.hash ?? null;
+    this.auditStore = store;
+
+    unsaved.forEach(
+      ({ id, timestamp, action, userId, userName, target, details }) =>
+        this.appendAuditEntry({
+          id,
+          timestamp,
+          action,
+          userId,
+          userName,
+          target,
+          details,
+        })
+    );
+
+    const integrity = await this.verifyAuditLogIntegrity();
+    if (!integrity.isValid) {
+      this.logAudit("AUDIT_INTEGRITY_FAILURE", "audit-log", {
+        invalidEntries: integrity.invalidEntries.slice(0, 20),
+      });
     }
+    return integrity;
+  }
 
-    return entry;
+  /**
+   * Wait until queued entries are chained and have reached the store
+   */
+  async flushAuditLog() {
+    let pending;
+    while (pending !== this.auditWrites) {
+      pending = this.auditWrites;
+      await pending;
+    }
   }
 
   /**
@@ -345,8 +497,10 @@ class SecurityModule {
 
   /**
    * Verify audit log integrity
+   * @returns {Promise<object>} - { isValid, totalEntries, invalidEntries }
    */
-  verifyAuditLogIntegrity() {
+  async verifyAuditLogIntegrity() {
+    await this.flushAuditLog();
     const results = {
       isValid: true,
       totalEntries: this.auditLog.length,
@@ -355,7 +509,8 @@ class SecurityModule {
 
     for (let i = 0; i < this.auditLog.length; i++) {
       const entry = this.auditLog[i];
-      const expectedPreviousHash = i > 0 ? this.auditLog[i - 1].hash : null;
+      const expectedPreviousHash =
+        i > 0 ? this.auditLog[i - 1].hash : this.auditAnchorHash;
 
       if (entry.previousHash !== expectedPreviousHash) {
         results.isValid = false;
@@ -366,24 +521,41 @@ class SecurityModule {
         });
       }
 
-      // Recalculate and verify hash
-      const recalculatedEntry = new AuditLogEntry({
-        action: entry.action,
-        userId: entry.userId,
-        userName: entry.userName,
-        target: entry.target,
-        details: entry.details,
-        previousHash: entry.previousHash,
-      });
-      recalculatedEntry.timestamp = entry.timestamp;
-
-      // Note: Hash verification would need the original timestamp
-      // This is simplified for demonstration
+      if ((await entry.calculateHash()) !== entry.hash) {
+        results.isValid = false;
+        results.invalidEntries.push({
+          index: i,
+          id: entry.id,
+          reason: "Hash mismatch",
+        });
+      }
     }
 
     return results;
   }
 
+  /**
+   * Subscribe to new audit entries
+   * @param {function} callback - (event, entry)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+
   /**
    * Check login attempts and account lockout
    */
@@ -488,9 +660,11 @@ class SecurityModule {
 
   /**
    * Export audit log for compliance
+   * @returns {Promise<string|null>}
    */
-  exportAuditLog(format = "json") {
+  async exportAuditLog(format = "json") {
     this.logAudit("AUDIT_EXPORT", "system", { format });
+    await this.flushAuditLog();
 
     if (format === "json") {
       return JSON.stringify(this.auditLog, null, 2);
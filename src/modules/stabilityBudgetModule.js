@@ -0,0 +1,332 @@
+/**
+ * Stability Budget Module
+ *
+ * Running tally of the out-of-range time each inventory lot has used
+ * against its allowable excursion budget, with a quarantine recommendation
+ * recorded on-chain when a budget is used up. Lots and their rooms come
+ * from inventoryModule, and tallies are rebuilt from the sensor readings on
+ * the ledger for each room a lot has been stored in.
+ */
+
+import { pharmaBlockchain } from "../services/blockchain/PharmaBlockchainService";
+import { TRANSACTION_TYPES } from "../services/blockchain/TransactionFactory";
+import inventoryModule, { LOT_STATUS } from "./inventoryModule";
+import { MEDICINE_DATABASE } from "../utils/constants";
+
+/**
+ * Fractions of a budget at which a lot raises a warning
+ */
+const BUDGET_WARNING_LEVELS = [0.5, 0.8];
+
+/**
+ * Budget events
+ */
+const BUDGET_EVENTS = {
+  WARNING: "budgetWarning",
+  EXHAUSTED: "budgetExhausted",
+};
+
+/**
+ * StabilityBudgetModule class
+ */
+class StabilityBudgetModule {
+  /**
+   * @param {object} ledger - Blockchain the quarantine recommendations go to
+   * @param {object} inventory - inventoryModule the lots come from
+   */
+  constructor(ledger = pharmaBlockchain, inventory = inventoryModule) {
+    this.ledger = ledger;
+    this.inventory = inventory;
+    this.lots = new Map();
+    this.isLoaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Rebuild every lot's tally from the ledger
+   * Each stay's sensor readings are replayed in order; a lot whose budget
+   * was used up keeps the recommendation already on-chain, and gets one
+   * recorded only if none was.
+   * @returns {Promise<number>} - Number of lots tracked
+   */
+  async loadFromLedger() {
+    if (!this.inventory.isLoaded) {
+      await this.inventory.loadFromLedger();
+    }
+    const recommendations = await this.getQuarantineRecommendations();
+
+    this.lots.clear();
+    this.syncLots();
+    for (const lot of this.lots.values()) {
+      const { stays } = await this.inventory.getEnvironmentalHistory(lot.lotId);
+      stays.forEach((stay) => {
+        lot.lastReading = null;
+        stay.readings
+          .filter((reading) => typeof reading.temperature === "number")
+          .forEach((reading) =>
+            this.charge(
+              lot,
+              reading.temperature,
+              new Date(reading.timestamp).getTime()
+            )
+          );
+      });
+      // Readings from here on are live, in the lot's current room
+      lot.lastReading = null;
+
+      lot.warningLevel =
+        BUDGET_WARNING_LEVELS.filter((level) => lot.used >= level).pop() || 0;
+      if (lot.warningLevel) {
+        lot.status = "near-budget";
+      }
+      if (recommendations.has(lot.lotId)) {
+        lot.status = "exhausted";
+        lot.quarantine = recommendations.get(lot.lotId);
+      } else {
+        await this.updateStatus(lot);
+      }
+    }
+
+    this.isLoaded = true;
+    return this.lots.size;
+  }
+
+  /**
+   * Quarantine recommendations already on the ledger, by lot
+   * @returns {Promise<Map>} - lotId -> { transactionId, recommendedAt }
+   */
+  async getQuarantineRecommendations() {
+    const mined = await this.ledger.queryTransactions({
+      type: TRANSACTION_TYPES.MEDICINE_INVENTORY,
+      limit: Infinity,
+    });
+    const pending = this.ledger.pendingTransactions.filter(
+      (tx) => tx.type === TRANSACTION_TYPES.MEDICINE_INVENTORY
+    );
+
+    return new Map(
+      [...mined, ...pending]
+        .filter((tx) => tx.data.details?.recommendation)
+        .map((tx) => [
+          tx.data.medicineId,
+          { transactionId: tx.id, recommendedAt: tx.timestamp },
+        ])
+    );
+  }
+
+  /**
+   * Track the inventory's lots where they are now stored
+   * Depleted lots keep their tally but are no longer charged.
+   */
+  syncLots() {
+    this.inventory.getLots().forEach((lot) =>
+      this.registerLot({
+        lotId: lot.lotId,
+        medicineKey: lot.medicineKey,
+        roomId: lot.status === LOT_STATUS.DEPLETED ? null : lot.roomId,
+        name: lot.name,
+      })
+    );
+  }
+
+  /**
+   * Start tracking a lot
+   * The budget comes from MEDICINE_DATABASE unless one is given:
+   * { limit, direction: "above"|"below", maxMinutes, maxDegreeMinutes }.
+   * A maxMinutes of 0 allows no excursion at all. Registering a tracked
+   * lot again moves it to the given room.
+   * @param {object} lot - { lotId, medicineKey, roomId, name, budget }
+   * @returns {object|null} - The tracked lot, null if it has no budget
+   */
+  registerLot({ lotId, medicineKey, roomId, name, budget }) {
+    const tracked = this.lots.get(lotId);
+    if (tracked) {
+      if (tracked.roomId !== roomId) {
+        tracked.roomId = roomId;
+        // The last reading was taken in the room the lot has left
+        tracked.lastReading = null;
+      }
+      return tracked;
+    }
+
+    const medicine = MEDICINE_DATABASE[medicineKey];
+    const excursionBudget = budget || medicine?.excursionBudget;
+    if (!excursionBudget) return null;
+
+    const lot = {
+      lotId,
+      medicineKey,
+      roomId,
+      name: name || medicine?.name || medicineKey,
+      budget: excursionBudget,
+      excursionMinutes: 0,
+      degreeMinutes: 0,
+      used: 0,
+      warningLevel: 0,
+      status: "within-budget",
+      lastReading: null,
+      quarantine: null,
+    };
+    this.lots.set(lotId, lot);
+    return lot;
+  }
+
+  /**
+   * Get tracked lots in a room
+   * @param {string} roomId
+   * @returns {array}
+   */
+  getLotsForRoom(roomId) {
+    return [...this.lots.values()].filter((lot) => lot.roomId === roomId);
+  }
+
+  /**
+   * Get a tracked lot
+   * @param {string} lotId
+   * @returns {object|null}
+   */
+  getLot(lotId) {
+    return this.lots.get(lotId) || null;
+  }
+
+  /**
+   * Accumulate a room temperature reading into its lots' budgets
+   * Each reading holds until the next one, so the time between two
+   * readings is charged at the earlier reading's excursion.
+   * @param {string} roomId
+   * @param {number} temperature
+   * @param {string|Date} [timestamp]
+   * @returns {Promise<array>} - Budget events raised by this reading
+   */
+  async recordReading(roomId, temperature, timestamp = new Date()) {
+    const time = new Date(timestamp).getTime();
+    const events = [];
+
+    for (const lot of this.getLotsForRoom(roomId)) {
+      if (this.charge(lot, temperature, time)) {
+        events.push(...(await this.updateStatus(lot)));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Charge the time since a lot's last reading at that reading's excursion
+   * @returns {boolean} - Whether the lot was charged
+   */
+  charge(lot, temperature, time) {
+    const previous = lot.lastReading;
+    lot.lastReading = { temperature, time };
+    if (!previous || time <= previous.time) return false;
+
+    const excess = this.getExcess(lot.budget, previous.temperature);
+    if (excess <= 0) return false;
+
+    const minutes = (time - previous.time) / (60 * 1000);
+    lot.excursionMinutes += minutes;
+    lot.degreeMinutes += excess * minutes;
+    lot.used = this.getBudgetUsed(lot);
+    return true;
+  }
+
+  /**
+   * Degrees beyond the budget's limit, zero when within it
+   */
+  getExcess(budget, temperature) {
+    return budget.direction === "below"
+      ? budget.limit - temperature
+      : temperature - budget.limit;
+  }
+
+  /**
+   * Fraction of the budget used, by time or degree-minutes
+   */
+  getBudgetUsed(lot) {
+    const { maxMinutes, maxDegreeMinutes } = lot.budget;
+    const byTime =
+      maxMinutes > 0 ? lot.excursionMinutes / maxMinutes : Infinity;
+    const byDegrees =
+      maxDegreeMinutes > 0 ? lot.degreeMinutes / maxDegreeMinutes : 0;
+    return Math.max(byTime, byDegrees);
+  }
+
+  /**
+   * Raise warnings for levels crossed, and quarantine an exhausted lot once
+   */
+  async updateStatus(lot) {
+    const events = [];
+
+    if (lot.used >= 1) {
+      if (lot.status !== "exhausted") {
+        lot.status = "exhausted";
+        lot.quarantine = await this.recordQuarantineRecommendation(lot);
+        events.push({ event: BUDGET_EVENTS.EXHAUSTED, lot });
+      }
+    } else {
+      const level = BUDGET_WARNING_LEVELS.filter((l) => lot.used >= l).pop();
+      if (level && level > lot.warningLevel) {
+        lot.warningLevel = level;
+        lot.status = "near-budget";
+        events.push({ event: BUDGET_EVENTS.WARNING, lot, level });
+      }
+    }
+
+    events.forEach(({ event, ...data }) => this.notifySubscribers(event, data));
+    return events;
+  }
+
+  /**
+   * Record a quarantine recommendation for an exhausted lot on-chain
+   * @param {object} lot
+   * @returns {Promise<object>} - { transactionId, recommendedAt }
+   */
+  async recordQuarantineRecommendation(lot) {
+    const recommendedAt = new Date().toISOString();
+    const tx =
+      this.ledger.transactionFactory.createMedicineInventoryTransaction(
+        lot.lotId,
+        "quarantine",
+        {
+          batchNumber: lot.lotId,
+          roomId: lot.roomId,
+          medicineKey: lot.medicineKey,
+          reason: "Excursion stability budget exhausted",
+          recommendation: true,
+          excursionMinutes: Math.round(lot.excursionMinutes),
+          degreeMinutes: Math.round(lot.degreeMinutes),
+          budget: lot.budget,
+        }
+      );
+
+    await this.ledger.addTransaction(tx);
+    return { transactionId: tx.id, recommendedAt };
+  }
+
+  /**
+   * Subscribe to budget events
+   * @param {function} callback - (event, data)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
+
+const stabilityBudgetModule = new StabilityBudgetModule();
+
+export default stabilityBudgetModule;
+export { StabilityBudgetModule, BUDGET_WARNING_LEVELS, BUDGET_EVENTS };
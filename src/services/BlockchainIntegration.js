@@ -12,6 +12,10 @@ import {
   TRANSACTION_TYPES,
 } from "./blockchain/TransactionFactory";
 import { smartContractRegistry } from "./blockchain/RegulatorySmartContracts";
+import eSignatureService from "./eSignatureService";
+import stabilityBudgetModule, {
+  BUDGET_EVENTS,
+} from "../modules/stabilityBudgetModule";
 
 /**
  * Room type mapping for smart contracts
@@ -155,6 +159,11 @@ class BlockchainIntegrationService {
           );
         }
 
+        // Charge temperature excursions to each lot's stability budget
+        if (temperature !== undefined) {
+          await this.trackStabilityBudgets(room, temperature);
+        }
+
         // Check for status changes
         if (this.previousStatus[room.id] !== room.status) {
           await this.recordStatusChange(
@@ -199,21 +208,56 @@ class BlockchainIntegrationService {
     roomName,
     roomType
   ) {
-    const tx = this.transactionFactory.createSensorReading(
-      roomId,
-      sensorType,
-      value,
-      unit,
-      {
-        roomName,
-        roomType,
-        source: "auto-recording",
-      }
+    const tx = this.transactionFactory.createSensorReadingTransaction(
+      { [sensorType]: value },
+      roomId
     );
+    tx.metadata = {
+      ...tx.metadata,
+      unit,
+      roomName,
+      roomType,
+      source: "auto-recording",
+    };
 
     await pharmaBlockchain.addTransaction(tx);
   }
 
+  /**
+   * Accumulate a reading into the stability budgets of the room's lots
+   * Tallies are rebuilt from the ledger before the first reading, and lots
+   * received or moved since are picked up from the inventory. Warnings go
+   * to the audit trail; exhausted lots get a quarantine recommendation
+   * on-chain from the budget module.
+   */
+  async trackStabilityBudgets(room, temperature) {
+    if (!stabilityBudgetModule.isLoaded) {
+      await stabilityBudgetModule.loadFromLedger();
+    }
+    stabilityBudgetModule.syncLots();
+    const events = await stabilityBudgetModule.recordReading(
+      room.id,
+      temperature
+    );
+
+    for (const { event, lot, level } of events) {
+      await this.logAuditEntry(
+        event === BUDGET_EVENTS.EXHAUSTED
+          ? "STABILITY_BUDGET_EXHAUSTED"
+          : "STABILITY_BUDGET_WARNING",
+        room.id,
+        {
+          lotId: lot.lotId,
+          budgetUsed: Math.round(lot.used * 100),
+          warningLevel: level,
+          excursionMinutes: Math.round(lot.excursionMinutes),
+          degreeMinutes: Math.round(lot.degreeMinutes),
+          quarantineTransactionId: lot.quarantine?.transactionId,
+        }
+      );
+    }
+  }
+
   /**
    * Record a status change
    */
@@ -450,28 +494,44 @@ class BlockchainIntegrationService {
     return await pharmaBlockchain.mineBlock();
   }
 
+  /**
+   * Export a portable inclusion proof for a transaction
+   * @param {string} transactionId
+   * @returns {Promise<object|null>}
+   */
+  async exportProofBundle(transactionId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return await pharmaBlockchain.exportProofBundle(transactionId);
+  }
+
+  /**
+   * Export the chain as a JSON Lines archive
+   * @returns {Promise<string>}
+   */
+  async exportChainArchive() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return await pharmaBlockchain.exportChainArchive();
+  }
+
   /**
    * Get transactions for a specific room
+   * Uses the chain's room index, loading archived blocks as needed.
    * @param {string} roomId
    * @param {number} limit
+   * @returns {Promise<array>} - Oldest first
    */
-  getTransactionsForRoom(roomId, limit = 50) {
-    const chain = pharmaBlockchain.getChain();
-    const transactions = [];
-
-    for (const block of chain) {
-      for (const tx of block.transactions) {
-        if (tx.data?.roomId === roomId || tx.metadata?.roomId === roomId) {
-          transactions.push({
-            ...tx,
-            blockNumber: block.blockNumber,
-            blockHash: block.currentHash,
-          });
-        }
-      }
-    }
-
-    return transactions.slice(-limit);
+  async getTransactionsForRoom(roomId, limit = 50) {
+    const transactions = await pharmaBlockchain.queryTransactions({
+      roomId,
+      limit,
+    });
+    return transactions.reverse();
   }
 
   /**
@@ -480,58 +540,47 @@ class BlockchainIntegrationService {
   async exportAuditTrail(options = {}) {
     const { startDate, endDate, roomId, transactionTypes } = options;
 
-    const chain = pharmaBlockchain.getChain();
-    const auditTrail = [];
-
-    for (const block of chain) {
-      const blockTime = new Date(block.timestamp);
-
-      // Date filter
-      if (startDate && blockTime < new Date(startDate)) continue;
-      if (endDate && blockTime > new Date(endDate)) continue;
-
-      for (const tx of block.transactions) {
-        // Room filter
-        if (
-          roomId &&
-          tx.data?.roomId !== roomId &&
-          tx.metadata?.roomId !== roomId
-        )
-          continue;
-
-        // Type filter
-        if (
-          transactionTypes &&
-          transactionTypes.length > 0 &&
-          !transactionTypes.includes(tx.type)
-        )
-          continue;
-
-        auditTrail.push({
-          transactionId: tx.id,
-          type: tx.type,
-          timestamp: tx.timestamp,
-          blockNumber: block.blockNumber,
-          blockHash: block.currentHash,
-          merkleRoot: block.merkleRoot,
-          data: tx.data,
-          metadata: tx.metadata,
-          regulatoryReferences: tx.regulatoryReferences,
-          userId: tx.userId,
-          facilityId: tx.facilityId,
-          signature: tx.signature,
-        });
-      }
-    }
+    const transactions = await pharmaBlockchain.queryTransactions({
+      roomId,
+      types: transactionTypes,
+      from: startDate ? new Date(startDate) : null,
+      to: endDate ? new Date(endDate) : null,
+      limit: Infinity,
+    });
+
+    const auditTrail = transactions.reverse().map((tx) => ({
+      transactionId: tx.id,
+      type: tx.type,
+      timestamp: tx.timestamp,
+      blockNumber: tx.blockNumber,
+      blockHash: tx.blockHash,
+      merkleRoot: tx.merkleRoot,
+      data: tx.data,
+      metadata: tx.metadata,
+      regulatoryReferences: tx.regulatoryReferences,
+      userId: tx.userId,
+      facilityId: tx.facilityId,
+      signature: tx.signature,
+    }));
 
     return {
       exportTimestamp: new Date().toISOString(),
       exportedBy: "SYSTEM",
       facilityId: pharmaBlockchain.facilityId,
-      chainLength: chain.length,
+      chainLength: pharmaBlockchain.getChainLength(),
       totalRecords: auditTrail.length,
       filters: options,
       auditTrail,
+      electronicSignatures: auditTrail
+        .filter((entry) => entry.data.action === "esign")
+        .map((entry) => ({
+          transactionId: entry.transactionId,
+          signatureId: entry.data.signatureId,
+          recordType: entry.data.recordType,
+          recordId: entry.data.recordId,
+          recordHash: entry.data.recordHash,
+          manifestation: eSignatureService.getManifestation(entry.data),
+        })),
       chainValidation: await pharmaBlockchain.validateChain(),
     };
   }
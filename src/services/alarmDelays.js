@@ -0,0 +1,163 @@
+/**
+ * Alarm Delays Service
+ *
+ * Delay-on, delay-off and deadband handling that keeps sensor noise near a
+ * limit from raising and clearing the same alert over and over. A rule may
+ * set:
+ *
+ *   delayOn   { seconds, readings } the condition must hold this long
+ *             before the alert is raised
+ *   delayOff  { seconds, readings } the condition must stay cleared this
+ *             long before the alert is resolved
+ *   deadband  how far the rule's parameter must move back past a limit
+ *             before a raised alert counts as cleared
+ *
+ * A delay with both seconds and readings needs both. An alarm's flaps are
+ * the times its condition cleared and came back while the alert stayed
+ * raised.
+ */
+
+const DELAY_FIELDS = ["seconds", "readings"];
+
+/**
+ * Validate a delay
+ * @param {object} [delay] - { seconds, readings }
+ * @param {string} name - Setting reported in errors
+ * @returns {object|undefined} - The delay, undefined when not set
+ */
+function validateDelay(delay, name) {
+  if (delay === undefined || delay === null) return undefined;
+  if (typeof delay !== "object" || Array.isArray(delay)) {
+    throw new Error(`${name} must be an object with seconds or readings`);
+  }
+  const unknown = Object.keys(delay).filter(
+    (key) => !DELAY_FIELDS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${name} field "${unknown[0]}"`);
+  }
+  if (delay.seconds === undefined && delay.readings === undefined) {
+    throw new Error(`${name} needs seconds or readings`);
+  }
+  if (
+    delay.seconds !== undefined &&
+    !(typeof delay.seconds === "number" && delay.seconds >= 0)
+  ) {
+    throw new Error(`${name} seconds must not be negative`);
+  }
+  if (
+    delay.readings !== undefined &&
+    !(Number.isInteger(delay.readings) && delay.readings >= 1)
+  ) {
+    throw new Error(`${name} readings must be a whole number from 1`);
+  }
+  return { ...delay };
+}
+
+/**
+ * Validate a deadband
+ * @param {number} [deadband]
+ * @param {string} [parameter] - The rule's parameter the deadband applies to
+ * @returns {number|undefined}
+ */
+function validateDeadband(deadband, parameter) {
+  if (deadband === undefined || deadband === null) return undefined;
+  if (!(typeof deadband === "number" && deadband >= 0)) {
+    throw new Error("deadband must not be negative");
+  }
+  if (!parameter) {
+    throw new Error("A deadband needs the rule's parameter");
+  }
+  return deadband;
+}
+
+/**
+ * Validate a rule's delay and deadband settings
+ * @param {object} settings - { delayOn, delayOff, deadband }
+ * @param {string} [parameter]
+ * @returns {object} - { delayOn, delayOff, deadband }
+ */
+function validateAlarmSettings(settings = {}, parameter) {
+  return {
+    delayOn: validateDelay(settings.delayOn, "delayOn"),
+    delayOff: validateDelay(settings.delayOff, "delayOff"),
+    deadband: validateDeadband(settings.deadband, parameter),
+  };
+}
+
+const delayElapsed = (delay, timer, at) =>
+  !delay ||
+  ((delay.seconds === undefined || at - timer.since >= delay.seconds * 1000) &&
+    (delay.readings === undefined || timer.readings >= delay.readings));
+
+/**
+ * Whether a rule's condition holds anywhere within its deadband
+ * A raised alert is held while moving the parameter's reading by up to
+ * the deadband either way would still meet the condition.
+ * @param {object} rule - { condition, parameter, deadband }
+ * @param {object} room
+ * @param {number} [at]
+ * @returns {boolean}
+ */
+function holdsWithinDeadband(rule, room, at) {
+  const { parameter, deadband } = rule;
+  const reading = room.conditions?.[parameter];
+  const value = reading?.value ?? reading?.current;
+  if (!deadband || typeof value !== "number") return false;
+
+  return [value - deadband, value + deadband].some((shifted) =>
+    rule.condition(
+      {
+        ...room,
+        conditions: {
+          ...room.conditions,
+          [parameter]: { ...reading, value: shifted, current: shifted },
+        },
+      },
+      at
+    )
+  );
+}
+
+/**
+ * Advance an alarm by one evaluation
+ * The timer runs while the condition disagrees with whether the alert is
+ * raised; once the rule's delay has passed the alert is raised or cleared.
+ * @param {object|null} state - { active, raw, timer, flaps }, null when idle
+ * @param {object} evaluation - { holds, raw }: the condition with and
+ *   without the deadband applied
+ * @param {number} at - Evaluation time in ms
+ * @param {object} [settings] - { delayOn, delayOff }
+ * @returns {object} - The next state
+ */
+function stepAlarm(state, { holds, raw = holds }, at, settings = {}) {
+  const current = state || {
+    active: false,
+    raw: false,
+    timer: null,
+    flaps: 0,
+  };
+  const flaps =
+    current.active && !current.raw && raw ? current.flaps + 1 : current.flaps;
+
+  if (holds === current.active) {
+    return { active: current.active, raw, timer: null, flaps };
+  }
+
+  const timer = current.timer
+    ? { since: current.timer.since, readings: current.timer.readings + 1 }
+    : { since: at, readings: 1 };
+  const delay = current.active ? settings.delayOff : settings.delayOn;
+  if (!delayElapsed(delay, timer, at)) {
+    return { active: current.active, raw, timer, flaps };
+  }
+  return { active: holds, raw, timer: null, flaps: holds ? 0 : flaps };
+}
+
+export {
+  validateDelay,
+  validateDeadband,
+  validateAlarmSettings,
+  holdsWithinDeadband,
+  stepAlarm,
+};
@@ -3,9 +3,31 @@
  *
  * Rule-based alert evaluation with escalation,
  * anomaly detection, and cross-parameter correlation.
+ *
+ * Alerts from rules with an escalation step through the tiers of an
+ * escalation policy, notifying whoever the on-call roster has for each
+ * tier's role, until someone acknowledges. Every step is kept on the
+ * alert's escalation timeline.
+ *
+ * Maintenance windows suppress or downgrade the rules they cover, and
+ * operators can shelve an alert for a fixed time with a reason. Every
+ * suppression is written to the securityModule audit trail so reviewers
+ * can see why no alarm fired.
+ *
+ * Rules may set a delay-on, delay-off and deadband (see alarmDelays) so
+ * noise near a limit does not make an alert flap.
  */
 
 import { conditionEngine } from "../engines/conditionEngine";
+import { applyProductLimits } from "./productLimits";
+import onCallRoster from "./onCallRoster";
+import securityModule, { ROLES } from "../modules/securityModule";
+import maintenanceSchedule, { MAINTENANCE_ACTIONS } from "./maintenanceWindows";
+import {
+  validateAlarmSettings,
+  holdsWithinDeadband,
+  stepAlarm,
+} from "./alarmDelays";
 
 // Alert severity levels
 const SEVERITY = {
@@ -23,21 +45,179 @@ const CHANNELS = {
   ALARM: "alarm",
 };
 
+// Escalation tiers by severity; each tier's delay counts from the one before
+const ESCALATION_POLICIES = {
+  critical: {
+    id: "critical",
+    tiers: [
+      { name: "Technician", role: "TECHNICIAN", delay: 0 },
+      { name: "Supervisor", role: "SUPERVISOR", delay: 5 * 60 * 1000 },
+      { name: "QA Manager", role: "QUALITY_MANAGER", delay: 10 * 60 * 1000 },
+    ],
+  },
+  warning: {
+    id: "warning",
+    tiers: [
+      { name: "Technician", role: "TECHNICIAN", delay: 0 },
+      { name: "Supervisor", role: "SUPERVISOR", delay: 30 * 60 * 1000 },
+      { name: "QA Manager", role: "QUALITY_MANAGER", delay: 60 * 60 * 1000 },
+    ],
+  },
+};
+
+// Escalation timeline entry types
+const ESCALATION_EVENTS = {
+  NOTIFIED: "notified",
+  NO_ONE_ON_CALL: "no_one_on_call",
+  EXHAUSTED: "exhausted",
+  ACKNOWLEDGED: "acknowledged",
+  RESOLVED: "resolved",
+  SHELVED: "shelved",
+  UNSHELVED: "unshelved",
+};
+
+// Longest an alert may be shelved for
+const MAX_SHELVE_DURATION = 8 * 60 * 60 * 1000;
+
+// Severity a downgraded alert is raised at
+const DOWNGRADED_SEVERITY = {
+  [SEVERITY.CRITICAL]: SEVERITY.WARNING,
+  [SEVERITY.WARNING]: SEVERITY.INFO,
+  [SEVERITY.INFO]: SEVERITY.INFO,
+};
+
 /**
  * AlertEngine class for managing alerts
  */
 class AlertEngine {
-  constructor() {
+  /**
+   * @param {object} [options] - { roster, policies, maintenance, security }
+   */
+  constructor(options = {}) {
     this.rules = this.initializeRules();
     this.activeAlerts = new Map();
     this.alertHistory = [];
     this.escalationTimers = new Map();
+    this.shelveTimers = new Map();
+    this.suppressed = new Map(); // alert key -> window the rule is held by
+    this.alarmStates = new Map(); // alert key -> stepAlarm() state
     this.subscribers = new Set();
     this.correlationWindow = 5 * 60 * 1000; // 5 minutes
+    this.roster = options.roster || onCallRoster;
+    this.maintenance = options.maintenance || maintenanceSchedule;
+    this.security = options.security || securityModule;
+    this.escalationPolicies = { ...ESCALATION_POLICIES };
+    Object.values(options.policies || {}).forEach((policy) =>
+      this.setEscalationPolicy(policy)
+    );
+  }
+
+  /**
+   * Add or replace an escalation policy
+   * Rules pick a policy with escalation.policy, otherwise the one named
+   * after their severity is used.
+   * @param {object} policy - { id, tiers: [{ name, role, delay }] }
+   */
+  setEscalationPolicy(policy) {
+    if (!policy.tiers?.length) {
+      throw new Error(`Escalation policy ${policy.id} has no tiers`);
+    }
+    policy.tiers.forEach((tier) => {
+      if (!ROLES[tier.role]) {
+        throw new Error(`Unknown role in escalation policy: ${tier.role}`);
+      }
+    });
+    this.escalationPolicies[policy.id] = policy;
+  }
+
+  /**
+   * Escalation tiers for a rule
+   * The rule's escalation.after, when set, is the wait before the first
+   * step up.
+   * @param {object} rule
+   * @returns {object|null} - Policy with the rule's timing applied
+   */
+  getEscalationPolicy(rule) {
+    if (!rule.escalation) return null;
+    const policy =
+      this.escalationPolicies[rule.escalation.policy || rule.severity];
+    if (!policy) return null;
+
+    const tiers = policy.tiers.map((tier, index) =>
+      index === 1 && rule.escalation.after !== undefined
+        ? { ...tier, delay: rule.escalation.after }
+        : { ...tier }
+    );
+    return { ...policy, tiers };
+  }
+
+  /**
+   * Add or replace a custom rule, e.g. one compiled by alertRules
+   * @param {object} rule - Rule with custom: true
+   */
+  setRule(rule) {
+    const index = this.rules.findIndex((r) => r.id === rule.id);
+    if (index >= 0 && !this.rules[index].custom) {
+      throw new Error(`${rule.id} is a built-in rule`);
+    }
+    if (index >= 0) {
+      this.rules[index] = rule;
+    } else {
+      this.rules.push(rule);
+    }
+  }
+
+  /**
+   * Set a built-in rule's delay-on, delay-off and deadband
+   * Settings left out are cleared. Custom rules carry these in their
+   * definition.
+   * @param {string} ruleId
+   * @param {object} settings - { delayOn, delayOff, deadband }
+   * @returns {object} - The settings applied
+   */
+  configureRule(ruleId, settings) {
+    const rule = this.rules.find((r) => r.id === ruleId);
+    if (!rule) {
+      throw new Error(`Unknown alert rule: ${ruleId}`);
+    }
+    if (rule.custom) {
+      throw new Error(`${ruleId} is a custom rule; save a new version of it`);
+    }
+
+    const applied = validateAlarmSettings(settings, rule.parameter);
+    const previous = {
+      delayOn: rule.delayOn,
+      delayOff: rule.delayOff,
+      deadband: rule.deadband,
+    };
+    Object.assign(rule, applied);
+
+    this.security.logAudit("ALERT_RULE_CONFIGURED", ruleId, {
+      ...applied,
+      previous,
+    });
+    return applied;
+  }
+
+  /**
+   * Remove a custom rule and resolve its active alerts
+   * @param {string} ruleId
+   * @returns {boolean}
+   */
+  removeRule(ruleId) {
+    const rule = this.rules.find((r) => r.id === ruleId);
+    if (!rule?.custom) return false;
+
+    this.rules = this.rules.filter((r) => r !== rule);
+    this.getActiveAlerts()
+      .filter((alert) => alert.ruleId === ruleId)
+      .forEach((alert) => this.clearAlert(alert.roomId, ruleId));
+    return true;
   }
 
   /**
    * Initialize alert rules
+   * A rule's parameter is what maintenance windows match it by.
    */
   initializeRules() {
     return [
@@ -45,6 +225,7 @@ class AlertEngine {
       {
         id: "temp-emergency-high",
         name: "Temperature Emergency (High)",
+        parameter: "temperature",
         condition: (room) => {
           const temp = room.conditions?.temperature;
           const emergency = room.thresholds?.emergency?.temperature;
@@ -73,6 +254,7 @@ class AlertEngine {
       {
         id: "temp-emergency-low",
         name: "Temperature Emergency (Low)",
+        parameter: "temperature",
         condition: (room) => {
           const temp = room.conditions?.temperature;
           const emergency = room.thresholds?.emergency?.temperature;
@@ -100,6 +282,7 @@ class AlertEngine {
       {
         id: "temp-warning-high",
         name: "Temperature Warning (High)",
+        parameter: "temperature",
         condition: (room) => {
           const temp = room.conditions?.temperature;
           const primary = room.thresholds?.primary?.temperature || {
@@ -127,6 +310,7 @@ class AlertEngine {
       {
         id: "temp-warning-low",
         name: "Temperature Warning (Low)",
+        parameter: "temperature",
         condition: (room) => {
           const temp = room.conditions?.temperature;
           const primary = room.thresholds?.primary?.temperature || {
@@ -151,10 +335,24 @@ class AlertEngine {
         actions: ["notify-operator", "check-cooling-level"],
         channels: [CHANNELS.UI, CHANNELS.PUSH],
       },
+      // Product compatibility
+      {
+        id: "product-storage-conflict",
+        name: "Incompatible Products",
+        condition: (room) => room.productLimits?.conflicts.length > 0,
+        severity: SEVERITY.WARNING,
+        message: (room) =>
+          `Incompatible storage: ${room.productLimits.conflicts
+            .map((conflict) => conflict.message)
+            .join("; ")}`,
+        actions: ["notify-pharmacist", "relocate-product"],
+        channels: [CHANNELS.UI, CHANNELS.PUSH],
+      },
       // Humidity rules
       {
         id: "humidity-emergency",
         name: "Humidity Emergency",
+        parameter: "humidity",
         condition: (room) => {
           const humidity = room.conditions?.humidity;
           const emergency = room.thresholds?.emergency?.humidity || {
@@ -181,6 +379,7 @@ class AlertEngine {
       {
         id: "humidity-warning",
         name: "Humidity Warning",
+        parameter: "humidity",
         condition: (room) => {
           const humidity = room.conditions?.humidity;
           const primary = room.thresholds?.primary?.humidity || {
@@ -204,6 +403,7 @@ class AlertEngine {
       {
         id: "trend-prediction-temp",
         name: "Temperature Trend Prediction",
+        parameter: "temperature",
         condition: (room) => {
           try {
             const probability = conditionEngine.predictExcursion(
@@ -287,21 +487,44 @@ class AlertEngine {
 
   /**
    * Evaluate all rules for a room
+   * Rules see the room's conditions with its product limits applied.
+   * Rules covered by a maintenance window are suppressed or downgraded.
+   * An alert is raised once its rule's delay-on has passed and cleared
+   * once the condition has stayed outside the deadband for its delay-off.
    */
-  evaluateRoom(room) {
+  evaluateRoom(roomData) {
+    const room = applyProductLimits(roomData);
     const alerts = [];
 
     // Rule-based evaluation
     this.rules.forEach((rule) => {
       try {
-        if (rule.condition(room)) {
-          const alert = this.createAlert(rule, room);
-          alerts.push(alert);
-          this.handleNewAlert(alert, rule);
-        } else {
-          // Clear existing alert if condition no longer met
+        const alertKey = `${room.id}-${rule.id}`;
+        const previous = this.alarmStates.get(alertKey);
+        const raw = !!rule.condition(room);
+        const holds =
+          raw || (!!previous?.active && holdsWithinDeadband(rule, room));
+        const state = stepAlarm(previous, { holds, raw }, Date.now(), rule);
+
+        if (state.active && raw) {
+          const alert = this.applyMaintenance(
+            { ...this.createAlert(rule, room), flaps: state.flaps },
+            rule
+          );
+          if (alert) {
+            alerts.push(alert);
+            this.handleNewAlert(alert, rule);
+          }
+        } else if (!state.active && previous?.active) {
+          // Clear existing alert once the condition is no longer met
           this.clearAlert(room.id, rule.id);
         }
+
+        if (state.active || state.timer) {
+          this.alarmStates.set(alertKey, state);
+        } else {
+          this.alarmStates.delete(alertKey);
+        }
       } catch (error) {
         console.error(`Error evaluating rule ${rule.id}:`, error);
       }
@@ -351,8 +574,67 @@ class AlertEngine {
     };
   }
 
+  /**
+   * Apply the maintenance window covering an alert's rule, if any
+   * A suppressed alert is not raised. A downgraded one is raised a
+   * severity lower, on the UI only and without escalation. Each rule is
+   * audited once per window for as long as its condition holds.
+   * @param {object} alert
+   * @param {object} rule
+   * @returns {object|null} - The alert to raise, or null when suppressed
+   */
+  applyMaintenance(alert, rule) {
+    const alertKey = `${alert.roomId}-${alert.ruleId}`;
+    const window = this.maintenance.findWindow(alert.roomId, rule);
+    if (!window) {
+      this.suppressed.delete(alertKey);
+      return alert;
+    }
+
+    const suppress = window.action === MAINTENANCE_ACTIONS.SUPPRESS;
+    const maintenance = {
+      windowId: window.id,
+      action: window.action,
+      reason: window.reason,
+      until: window.to,
+    };
+
+    if (this.suppressed.get(alertKey) !== window.id) {
+      this.suppressed.set(alertKey, window.id);
+      this.security.logAudit(
+        suppress ? "ALERT_SUPPRESSED" : "ALERT_DOWNGRADED",
+        alertKey,
+        {
+          roomId: alert.roomId,
+          ruleId: alert.ruleId,
+          severity: alert.severity,
+          message: alert.message,
+          ...maintenance,
+        }
+      );
+      if (suppress) {
+        this.alertHistory.unshift({
+          ...alert,
+          type: "suppressed",
+          maintenance,
+        });
+      }
+    }
+
+    if (suppress) return null;
+    return {
+      ...alert,
+      severity: DOWNGRADED_SEVERITY[alert.severity] || alert.severity,
+      originalSeverity: alert.severity,
+      channels: [CHANNELS.UI],
+      escalation: undefined,
+      maintenance,
+    };
+  }
+
   /**
    * Handle a new alert
+   * Alerts raised under a maintenance window are not escalated.
    */
   handleNewAlert(alert, rule) {
     const alertKey = `${alert.roomId}-${alert.ruleId}`;
@@ -363,27 +645,35 @@ class AlertEngine {
       const existing = this.activeAlerts.get(alertKey);
       existing.lastSeen = new Date().toISOString();
       existing.occurrences = (existing.occurrences || 1) + 1;
+      existing.flaps = alert.flaps || 0;
       return;
     }
 
     // Store active alert
-    this.activeAlerts.set(alertKey, {
+    const active = {
       ...alert,
       occurrences: 1,
       firstSeen: alert.timestamp,
       lastSeen: alert.timestamp,
-    });
+    };
+    this.activeAlerts.set(alertKey, active);
 
-    // Set up escalation timer if applicable
-    if (rule.escalation) {
-      const timer = setTimeout(() => {
-        this.escalateAlert(alertKey, rule.escalation);
-      }, rule.escalation.after);
-      this.escalationTimers.set(alertKey, timer);
+    // Page the first tier before subscribers hear of the alert, so
+    // notifications go to whoever it reached
+    const policy = alert.maintenance ? null : this.getEscalationPolicy(rule);
+    if (policy) {
+      active.escalation = {
+        policyId: policy.id,
+        tiers: policy.tiers,
+        tier: -1,
+        current: null,
+        timeline: [],
+      };
+      this.advanceEscalation(alertKey, true);
     }
 
     // Notify subscribers
-    this.notifySubscribers("new", alert);
+    this.notifySubscribers("new", active);
 
     // Add to history
     this.alertHistory.unshift({
@@ -402,15 +692,16 @@ class AlertEngine {
    */
   clearAlert(roomId, ruleId) {
     const alertKey = `${roomId}-${ruleId}`;
+    this.suppressed.delete(alertKey);
+    this.alarmStates.delete(alertKey);
 
     if (this.activeAlerts.has(alertKey)) {
       const alert = this.activeAlerts.get(alertKey);
 
-      // Cancel escalation timer
-      if (this.escalationTimers.has(alertKey)) {
-        clearTimeout(this.escalationTimers.get(alertKey));
-        this.escalationTimers.delete(alertKey);
-      }
+      this.stopEscalation(alertKey, alert, {
+        type: ESCALATION_EVENTS.RESOLVED,
+      });
+      this.clearShelveTimer(alertKey);
 
       // Remove from active alerts
       this.activeAlerts.delete(alertKey);
@@ -428,15 +719,103 @@ class AlertEngine {
   }
 
   /**
-   * Escalate an alert
+   * Notify the next tier with someone on call
+   * Tiers with nobody on call are skipped. The following tier is scheduled
+   * after its delay; after the last tier the escalation is exhausted.
+   * @param {string} alertKey
+   * @param {boolean} [initial] - Paging the first tier as the alert is raised
+   */
+  advanceEscalation(alertKey, initial = false) {
+    const alert = this.activeAlerts.get(alertKey);
+    const escalation = alert?.escalation;
+    if (!escalation || alert.acknowledged || alert.shelved) return;
+    this.escalationTimers.delete(alertKey);
+
+    const now = new Date();
+    let tier = escalation.tier + 1;
+    let members = [];
+    for (; tier < escalation.tiers.length; tier++) {
+      const { name, role } = escalation.tiers[tier];
+      members = this.roster.getOnCall(role, now);
+      if (members.length) break;
+      escalation.timeline.push({
+        type: ESCALATION_EVENTS.NO_ONE_ON_CALL,
+        tier,
+        name,
+        role,
+        at: now.toISOString(),
+      });
+    }
+
+    if (tier >= escalation.tiers.length) {
+      escalation.tier = escalation.tiers.length;
+      escalation.current = null;
+      escalation.timeline.push({
+        type: ESCALATION_EVENTS.EXHAUSTED,
+        at: now.toISOString(),
+      });
+      return;
+    }
+
+    const { name, role } = escalation.tiers[tier];
+    escalation.tier = tier;
+    escalation.current = { tier, name, role, members };
+    escalation.timeline.push({
+      type: ESCALATION_EVENTS.NOTIFIED,
+      tier,
+      name,
+      role,
+      members: members.map(({ id, name: memberName }) => ({
+        id,
+        name: memberName,
+      })),
+      at: now.toISOString(),
+    });
+
+    if (!initial) {
+      this.escalateAlert(alertKey);
+    }
+
+    const next = escalation.tiers[tier + 1];
+    if (next) {
+      this.escalationTimers.set(
+        alertKey,
+        setTimeout(() => this.advanceEscalation(alertKey), next.delay)
+      );
+    }
+  }
+
+  /**
+   * Cancel an alert's pending escalation and record why it stopped
+   * @param {string} alertKey
+   * @param {object} alert
+   * @param {object} entry - Timeline entry
    */
-  escalateAlert(alertKey, escalation) {
+  stopEscalation(alertKey, alert, entry) {
+    if (this.escalationTimers.has(alertKey)) {
+      clearTimeout(this.escalationTimers.get(alertKey));
+      this.escalationTimers.delete(alertKey);
+    }
+    if (alert.escalation) {
+      alert.escalation.current = null;
+      alert.escalation.timeline.push({
+        ...entry,
+        at: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Escalate an alert to the tier now being paged
+   */
+  escalateAlert(alertKey) {
     const alert = this.activeAlerts.get(alertKey);
-    if (!alert || alert.acknowledged) return;
+    if (!alert || alert.acknowledged || alert.shelved) return;
 
+    const rule = this.rules.find((r) => r.id === alert.ruleId);
     alert.escalated = true;
     alert.escalatedAt = new Date().toISOString();
-    alert.escalationActions = escalation.actions;
+    alert.escalationActions = rule?.escalation?.actions || [];
 
     // Notify subscribers of escalation
     this.notifySubscribers("escalated", alert);
@@ -604,19 +983,25 @@ class AlertEngine {
 
   /**
    * Acknowledge an alert
+   * @param {string} alertId
+   * @param {string} userId
+   * @param {object} [signature] - eSignatureService signature of the acknowledgement
    */
-  acknowledgeAlert(alertId, userId = "unknown") {
+  acknowledgeAlert(alertId, userId = "unknown", signature = null) {
     for (const [key, alert] of this.activeAlerts) {
       if (alert.id === alertId) {
         alert.acknowledged = true;
         alert.acknowledgedBy = userId;
         alert.acknowledgedAt = new Date().toISOString();
+        alert.signature = signature;
 
-        // Cancel escalation
-        if (this.escalationTimers.has(key)) {
-          clearTimeout(this.escalationTimers.get(key));
-          this.escalationTimers.delete(key);
-        }
+        this.stopEscalation(key, alert, {
+          type: ESCALATION_EVENTS.ACKNOWLEDGED,
+          by: userId,
+        });
+        // An acknowledged alert does not come back when its shelf expires
+        this.clearShelveTimer(key);
+        alert.shelved = null;
 
         this.notifySubscribers("acknowledged", alert);
         return true;
@@ -625,6 +1010,163 @@ class AlertEngine {
     return false;
   }
 
+  /**
+   * Shelve an alert for a fixed time
+   * Escalation stops and notifications stay quiet until the shelf expires
+   * or the alert is unshelved; it is then raised again if still active.
+   * @param {string} alertId
+   * @param {string} userId
+   * @param {object} shelf - { duration, reason }
+   * @returns {boolean}
+   */
+  shelveAlert(alertId, userId = "unknown", { duration, reason } = {}) {
+    if (!reason?.trim()) {
+      throw new Error("Shelving an alert requires a reason");
+    }
+    if (!(duration > 0) || duration > MAX_SHELVE_DURATION) {
+      throw new Error(
+        `An alert can be shelved for up to ${
+          MAX_SHELVE_DURATION / (60 * 60 * 1000)
+        } hours`
+      );
+    }
+
+    for (const [key, alert] of this.activeAlerts) {
+      if (alert.id === alertId) {
+        const at = new Date();
+        alert.shelved = {
+          by: userId,
+          reason: reason.trim(),
+          at: at.toISOString(),
+          until: new Date(at.getTime() + duration).toISOString(),
+        };
+
+        this.stopEscalation(key, alert, {
+          type: ESCALATION_EVENTS.SHELVED,
+          by: userId,
+          reason: alert.shelved.reason,
+          until: alert.shelved.until,
+        });
+        this.clearShelveTimer(key);
+        this.shelveTimers.set(
+          key,
+          setTimeout(() => this.releaseShelf(key, "system", true), duration)
+        );
+
+        this.security.logAudit("ALERT_SHELVED", key, {
+          alertId,
+          roomId: alert.roomId,
+          ruleId: alert.ruleId,
+          severity: alert.severity,
+          by: userId,
+          ...alert.shelved,
+        });
+        this.notifySubscribers("shelved", alert);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Return a shelved alert before its shelf expires
+   * @param {string} alertId
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  unshelveAlert(alertId, userId = "unknown") {
+    for (const [key, alert] of this.activeAlerts) {
+      if (alert.id === alertId && alert.shelved) {
+        this.releaseShelf(key, userId, false);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Take an alert off its shelf and raise it again
+   * Escalation starts over from the first tier.
+   * @param {string} alertKey
+   * @param {string} userId
+   * @param {boolean} expired - The shelf ran out rather than being lifted
+   */
+  releaseShelf(alertKey, userId, expired) {
+    this.clearShelveTimer(alertKey);
+    const alert = this.activeAlerts.get(alertKey);
+    if (!alert?.shelved) return;
+
+    const { reason } = alert.shelved;
+    alert.shelved = null;
+    this.security.logAudit("ALERT_UNSHELVED", alertKey, {
+      alertId: alert.id,
+      roomId: alert.roomId,
+      ruleId: alert.ruleId,
+      by: userId,
+      reason,
+      expired,
+    });
+
+    if (alert.escalation) {
+      alert.escalation.timeline.push({
+        type: ESCALATION_EVENTS.UNSHELVED,
+        by: userId,
+        expired,
+        at: new Date().toISOString(),
+      });
+      alert.escalation.tier = -1;
+      this.advanceEscalation(alertKey, true);
+    }
+    this.notifySubscribers("unshelved", alert);
+  }
+
+  clearShelveTimer(alertKey) {
+    if (this.shelveTimers.has(alertKey)) {
+      clearTimeout(this.shelveTimers.get(alertKey));
+      this.shelveTimers.delete(alertKey);
+    }
+  }
+
+  /**
+   * Schedule a maintenance window
+   * @param {object} window - See MaintenanceSchedule.addWindow
+   * @returns {object} - The window
+   */
+  scheduleMaintenance(window) {
+    const scheduled = this.maintenance.addWindow(window);
+    this.security.logAudit(
+      "MAINTENANCE_WINDOW_SCHEDULED",
+      scheduled.roomId,
+      scheduled
+    );
+    return scheduled;
+  }
+
+  /**
+   * Cancel a maintenance window
+   * @param {string} windowId
+   * @returns {boolean}
+   */
+  cancelMaintenance(windowId) {
+    const window = this.maintenance.removeWindow(windowId);
+    if (!window) return false;
+    this.security.logAudit(
+      "MAINTENANCE_WINDOW_CANCELLED",
+      window.roomId,
+      window
+    );
+    return true;
+  }
+
+  /**
+   * Maintenance windows that have not ended
+   * @param {string} [roomId]
+   * @returns {array}
+   */
+  getMaintenanceWindows(roomId) {
+    return this.maintenance.getWindows({ roomId });
+  }
+
   /**
    * Get all active alerts
    */
@@ -654,6 +1196,10 @@ class AlertEngine {
   clearAllAlerts() {
     this.escalationTimers.forEach((timer) => clearTimeout(timer));
     this.escalationTimers.clear();
+    this.shelveTimers.forEach((timer) => clearTimeout(timer));
+    this.shelveTimers.clear();
+    this.suppressed.clear();
+    this.alarmStates.clear();
     this.activeAlerts.clear();
   }
 }
@@ -662,4 +1208,11 @@ class AlertEngine {
 const alertEngine = new AlertEngine();
 
 export default alertEngine;
-export { AlertEngine, SEVERITY, CHANNELS };
+export {
+  AlertEngine,
+  SEVERITY,
+  CHANNELS,
+  ESCALATION_POLICIES,
+  ESCALATION_EVENTS,
+  MAX_SHELVE_DURATION,
+};
@@ -0,0 +1,287 @@
+/**
+ * Alert Rule Store
+ *
+ * Keeps every saved version of each custom alert rule and which version,
+ * if any, is active in alertEngine. Versions are numbered per rule and
+ * identified by the hash of their definition; saving an unchanged
+ * definition returns the existing version. A version can only be
+ * activated after a dry run against recorded history.
+ */
+
+import alertEngine from "./alertEngine";
+import securityModule from "../modules/securityModule";
+import { saveToLocal, loadFromLocal } from "./dualStorageManager";
+import { hashRuleDefinition } from "./blockchain/contractRules";
+import { AlertRuleError, compileAlertRule } from "./alertRules";
+
+const STORAGE_KEY = "pharma-monitor-alert-rules";
+
+/**
+ * Rule storage in localStorage
+ * @param {string} [key]
+ * @returns {object} - { load(), save(data) }
+ */
+function createLocalRuleStorage(key = STORAGE_KEY) {
+  return {
+    load: async () => loadFromLocal(key).data,
+    save: async (data) => saveToLocal(key, data),
+  };
+}
+
+/**
+ * Rule storage held in memory, for tests and browsers without storage
+ * @returns {object} - { load(), save(data) }
+ */
+function createMemoryRuleStorage() {
+  let stored = null;
+  return {
+    load: async () => stored && JSON.parse(stored),
+    save: async (data) => {
+      stored = JSON.stringify(data);
+    },
+  };
+}
+
+/**
+ * AlertRuleStore class
+ */
+class AlertRuleStore {
+  /**
+   * @param {object} [deps] - { storage, engine, security }
+   */
+  constructor(deps = {}) {
+    this.storage = deps.storage || createLocalRuleStorage();
+    this.engine = deps.engine || alertEngine;
+    this.security = deps.security || securityModule;
+    this.rules = new Map(); // id -> { id, activeVersion, versions }
+    this.isLoaded = false;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Read the stored rules and activate their active versions
+   * A version that no longer compiles is left inactive.
+   * @returns {Promise<array>} - Rule summaries
+   */
+  async load() {
+    const data = (await this.storage.load()) || { rules: [] };
+    this.rules = new Map(data.rules.map((rule) => [rule.id, rule]));
+
+    this.rules.forEach((rule) => {
+      if (rule.activeVersion === null) return;
+      try {
+        this.engine.setRule(this.compile(rule, rule.activeVersion));
+      } catch (error) {
+        console.error(`Alert rule ${rule.id} could not be activated:`, error);
+        rule.activeVersion = null;
+      }
+    });
+
+    this.isLoaded = true;
+    this.notifySubscribers("loaded", this.getRules());
+    return this.getRules();
+  }
+
+  async persist() {
+    await this.storage.save({ rules: [...this.rules.values()] });
+  }
+
+  /**
+   * Rules with their latest and active versions
+   * @returns {array}
+   */
+  getRules() {
+    return [...this.rules.values()].map((rule) => {
+      const latest = rule.versions[rule.versions.length - 1];
+      return {
+        id: rule.id,
+        name: latest.definition.name,
+        activeVersion: rule.activeVersion,
+        latestVersion: latest.version,
+        versions: rule.versions.length,
+      };
+    });
+  }
+
+  /**
+   * Saved versions of a rule, oldest first
+   * @param {string} id
+   * @returns {array}
+   */
+  getVersions(id) {
+    return [...(this.rules.get(id)?.versions || [])];
+  }
+
+  /**
+   * One saved version
+   * @param {string} id
+   * @param {number} version
+   * @returns {object}
+   * @throws {AlertRuleError}
+   */
+  getVersion(id, version) {
+    const found = this.rules
+      .get(id)
+      ?.versions.find((entry) => entry.version === version);
+    if (!found) {
+      throw new AlertRuleError(`${id} has no version ${version}`);
+    }
+    return found;
+  }
+
+  compile(rule, version) {
+    const { definition, hash } = this.getVersion(rule.id, version);
+    return { ...compileAlertRule(definition), version, hash };
+  }
+
+  /**
+   * Save a definition as the rule's next version
+   * @param {object} definition
+   * @returns {Promise<object>} - The version
+   * @throws {AlertRuleError}
+   */
+  async saveAlertRule(definition) {
+    compileAlertRule(definition);
+    const builtIn = this.engine.rules.find(
+      (rule) => rule.id === definition.id && !rule.custom
+    );
+    if (builtIn) {
+      throw new AlertRuleError(
+        `${definition.id} is a built-in rule`,
+        "rule.id"
+      );
+    }
+
+    const hash = await hashRuleDefinition(definition);
+    const rule = this.rules.get(definition.id) || {
+      id: definition.id,
+      activeVersion: null,
+      versions: [],
+    };
+    const latest = rule.versions[rule.versions.length - 1];
+    if (latest?.hash === hash) return latest;
+
+    const version = {
+      version: (latest?.version || 0) + 1,
+      definition: JSON.parse(JSON.stringify(definition)),
+      hash,
+      savedAt: new Date().toISOString(),
+      savedBy: this.security.currentUser?.id || "system",
+      dryRun: null,
+    };
+    rule.versions.push(version);
+    this.rules.set(rule.id, rule);
+    await this.persist();
+
+    this.security.logAudit("ALERT_RULE_SAVED", rule.id, {
+      version: version.version,
+      hash,
+    });
+    this.notifySubscribers("saved", version);
+    return version;
+  }
+
+  /**
+   * Keep a dry run's outcome with the version it ran
+   * @param {string} id
+   * @param {number} version
+   * @param {object} result - dryRunAlertRule() result
+   * @returns {Promise<object>} - The version
+   */
+  async recordDryRun(id, version, result) {
+    const entry = this.getVersion(id, version);
+    entry.dryRun = {
+      runAt: new Date().toISOString(),
+      evaluated: result.evaluated,
+      matched: result.matched,
+      alerts: result.alerts.length,
+      errors: result.errors,
+      from: result.from,
+      to: result.to,
+    };
+    await this.persist();
+    this.notifySubscribers("dry-run", entry);
+    return entry;
+  }
+
+  /**
+   * Make a version the one alertEngine evaluates
+   * @param {string} id
+   * @param {number} version
+   * @returns {Promise<object>} - The version
+   * @throws {AlertRuleError}
+   */
+  async activateAlertRule(id, version) {
+    const entry = this.getVersion(id, version);
+    if (!entry.dryRun) {
+      throw new AlertRuleError(
+        `Dry run version ${version} of ${id} against recorded history before activating it`
+      );
+    }
+    if (!(entry.dryRun.evaluated > 0)) {
+      throw new AlertRuleError(
+        `The dry run of version ${version} of ${id} had no recorded readings to replay`
+      );
+    }
+
+    const rule = this.rules.get(id);
+    this.engine.setRule(this.compile(rule, version));
+    const previousVersion = rule.activeVersion;
+    rule.activeVersion = version;
+    await this.persist();
+
+    this.security.logAudit("ALERT_RULE_ACTIVATED", id, {
+      version,
+      hash: entry.hash,
+      previousVersion,
+      dryRun: entry.dryRun,
+    });
+    this.notifySubscribers("activated", entry);
+    return entry;
+  }
+
+  /**
+   * Stop evaluating a rule; its versions are kept
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async deactivateAlertRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule || rule.activeVersion === null) return false;
+
+    this.engine.removeRule(id);
+    const version = rule.activeVersion;
+    rule.activeVersion = null;
+    await this.persist();
+
+    this.security.logAudit("ALERT_RULE_DEACTIVATED", id, { version });
+    this.notifySubscribers("deactivated", rule);
+    return true;
+  }
+
+  /**
+   * Subscribe to rule changes
+   * @param {function} callback - (event, data)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in alert rule subscriber:", error);
+      }
+    });
+  }
+}
+
+// Singleton instance
+const alertRuleStore = new AlertRuleStore();
+
+export default alertRuleStore;
+export { AlertRuleStore, createLocalRuleStorage, createMemoryRuleStorage };
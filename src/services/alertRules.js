@@ -0,0 +1,873 @@
+/**
+ * Alert Rule Definitions
+ *
+ * Declarative alert rules that QA can write without a code change. A rule
+ * is JSON: a condition expression, severity, message, actions, channels
+ * and escalation. Conditions are written in a small expression language
+ * over a room's current conditions, its recorded history and the
+ * conditionEngine's outputs, e.g.
+ *
+ *   temperature > temperature.max and rate(temperature, 15) > 0.2
+ *   min(temperature, 10) > 8            (above 8 for the last 10 minutes)
+ *   excursion(humidity, 30) > 0.7 or risk(stability) > 0.6
+ *
+ * Comparisons against a value that is missing - no reading, or no history
+ * in the window - are false. Messages may embed expressions in braces:
+ * "Temperature {temperature}°C rising {rate(temperature, 15)}°C/min".
+ */
+
+import { conditionEngine } from "../engines/conditionEngine";
+import { applyProductLimits } from "./productLimits";
+import { SEVERITY, CHANNELS } from "./alertEngine";
+import {
+  validateDelay,
+  validateDeadband,
+  holdsWithinDeadband,
+  stepAlarm,
+} from "./alarmDelays";
+
+// Room parameters a rule can read
+const RULE_PARAMETERS = [
+  "temperature",
+  "humidity",
+  "pressure",
+  "pressureDifferential",
+];
+
+// Limits read as parameter.member
+const PARAMETER_MEMBERS = ["min", "max", "emergencyMin", "emergencyMax"];
+
+// conditionEngine risk factors read with risk(factor)
+const RISK_FACTORS = [
+  "temperature",
+  "humidity",
+  "pressure",
+  "stability",
+  "trend",
+  "duration",
+];
+
+const MINUTE = 60 * 1000;
+
+// Most recent readings a dry run keeps as a room's history
+const DRY_RUN_HISTORY = 50;
+
+const RULE_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "parameter",
+  "condition",
+  "severity",
+  "message",
+  "actions",
+  "channels",
+  "escalation",
+  "delayOn",
+  "delayOff",
+  "deadband",
+];
+const ESCALATION_FIELDS = ["policy", "afterMinutes", "actions"];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Error raised for rule definitions and expressions that cannot be used
+ */
+class AlertRuleError extends Error {
+  constructor(message, path = null) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "AlertRuleError";
+    this.path = path;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim() !== "";
+
+// ============================================
+// EXPRESSIONS
+// ============================================
+
+const COMPARISONS = ["<", "<=", ">", ">=", "==", "!="];
+
+// Split an expression into numbers, words and symbols
+const tokenize = (source) => {
+  const pattern =
+    /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|[<>+\-*/(),.]))/y;
+  const tokens = [];
+  let position = 0;
+  while (source.slice(position).trim()) {
+    const rest = source.slice(position);
+    const at = position + rest.length - rest.trimStart().length;
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new AlertRuleError(
+        `Unexpected "${source[at]}" at position ${at + 1}`
+      );
+    }
+    const [, number, word, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: parseFloat(number), at });
+    } else if (word !== undefined) {
+      tokens.push({ type: "word", value: word, at });
+    } else {
+      tokens.push({ type: "symbol", value: symbol, at });
+    }
+    position = pattern.lastIndex;
+  }
+  tokens.push({ type: "end", value: "end of expression", at: source.length });
+  return tokens;
+};
+
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Functions: argument kinds and result type
+ * Kinds: parameter and factor are names, minutes a positive number.
+ */
+const FUNCTIONS = {
+  avg: { args: ["parameter", "minutes"], type: "number" },
+  min: { args: ["parameter", "minutes"], type: "number" },
+  max: { args: ["parameter", "minutes"], type: "number" },
+  delta: { args: ["parameter", "minutes"], type: "number" },
+  rate: { args: ["parameter", "minutes"], type: "number" },
+  excursion: { args: ["parameter", "minutes"], type: "number" },
+  drift: { args: ["parameter"], type: "number" },
+  risk: { args: ["factor"], type: "number" },
+};
+
+// Variables other than parameters
+const VARIABLES = { score: "number", true: "boolean", false: "boolean" };
+
+/**
+ * Recursive descent parser; nodes carry their result type
+ */
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  fail(message, token = this.peek()) {
+    throw new AlertRuleError(`${message} at position ${token.at + 1}`);
+  }
+
+  isWord(value) {
+    const token = this.peek();
+    return token.type === "word" && token.value === value;
+  }
+
+  isSymbol(value) {
+    const token = this.peek();
+    return token.type === "symbol" && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isSymbol(value)) {
+      this.fail(`Expected "${value}" but found "${this.peek().value}"`);
+    }
+    return this.next();
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (this.peek().type !== "end") {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  requireType(node, type, token) {
+    if (node.type !== type) {
+      this.fail(`Expected a ${type} but found a ${node.type}`, token);
+    }
+    return node;
+  }
+
+  parseLogical(op, parseOperand) {
+    const first = this.peek();
+    let node = parseOperand();
+    while (this.isWord(op)) {
+      this.next();
+      const next = this.peek();
+      node = {
+        kind: "logical",
+        op,
+        type: "boolean",
+        left: this.requireType(node, "boolean", first),
+        right: this.requireType(parseOperand(), "boolean", next),
+      };
+    }
+    return node;
+  }
+
+  parseOr() {
+    return this.parseLogical("or", () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseLogical("and", () => this.parseNot());
+  }
+
+  parseNot() {
+    if (this.isWord("not")) {
+      this.next();
+      const token = this.peek();
+      const arg = this.requireType(this.parseNot(), "boolean", token);
+      return { kind: "not", type: "boolean", arg };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const first = this.peek();
+    const left = this.parseSum();
+    const token = this.peek();
+    if (token.type === "symbol" && COMPARISONS.includes(token.value)) {
+      this.next();
+      const next = this.peek();
+      return {
+        kind: "compare",
+        op: token.value,
+        type: "boolean",
+        left: this.requireType(left, "number", first),
+        right: this.requireType(this.parseSum(), "number", next),
+      };
+    }
+    return left;
+  }
+
+  parseArithmetic(ops, parseOperand) {
+    const first = this.peek();
+    let node = parseOperand();
+    while (ops.some((op) => this.isSymbol(op))) {
+      const { value: op } = this.next();
+      const next = this.peek();
+      node = {
+        kind: "arithmetic",
+        op,
+        type: "number",
+        left: this.requireType(node, "number", first),
+        right: this.requireType(parseOperand(), "number", next),
+      };
+    }
+    return node;
+  }
+
+  parseSum() {
+    return this.parseArithmetic(["+", "-"], () => this.parseProduct());
+  }
+
+  parseProduct() {
+    return this.parseArithmetic(["*", "/"], () => this.parseUnary());
+  }
+
+  parseUnary() {
+    if (this.isSymbol("-")) {
+      this.next();
+      const token = this.peek();
+      const arg = this.requireType(this.parseUnary(), "number", token);
+      return { kind: "negate", type: "number", arg };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (token.type === "number") {
+      return { kind: "number", type: "number", value: token.value };
+    }
+    if (token.type === "symbol" && token.value === "(") {
+      const node = this.parseOr();
+      this.expect(")");
+      return node;
+    }
+    if (token.type !== "word") {
+      this.fail(`Unexpected "${token.value}"`, token);
+    }
+    if (this.isSymbol("(")) {
+      return this.parseCall(token);
+    }
+    if (RULE_PARAMETERS.includes(token.value)) {
+      if (this.isSymbol(".")) {
+        this.next();
+        const member = this.next();
+        if (!PARAMETER_MEMBERS.includes(member.value)) {
+          this.fail(
+            `Unknown limit "${member.value}"; use ${PARAMETER_MEMBERS.join(
+              ", "
+            )}`,
+            member
+          );
+        }
+        return {
+          kind: "limit",
+          type: "number",
+          parameter: token.value,
+          member: member.value,
+        };
+      }
+      return { kind: "parameter", type: "number", parameter: token.value };
+    }
+    if (hasOwn(VARIABLES, token.value)) {
+      return {
+        kind: "variable",
+        type: VARIABLES[token.value],
+        name: token.value,
+      };
+    }
+    return this.fail(`Unknown name "${token.value}"`, token);
+  }
+
+  parseCall(nameToken) {
+    if (!hasOwn(FUNCTIONS, nameToken.value)) {
+      this.fail(`Unknown function "${nameToken.value}"`, nameToken);
+    }
+    const spec = FUNCTIONS[nameToken.value];
+    this.expect("(");
+    const args = spec.args.map((kind, index) => {
+      if (index > 0) this.expect(",");
+      const token = this.next();
+      if (kind === "minutes") {
+        if (token.type !== "number" || !(token.value > 0)) {
+          this.fail(`${nameToken.value}() needs a number of minutes`, token);
+        }
+        return token.value;
+      }
+      const names = kind === "parameter" ? RULE_PARAMETERS : RISK_FACTORS;
+      if (token.type !== "word" || !names.includes(token.value)) {
+        this.fail(
+          `${nameToken.value}() needs a ${kind}: ${names.join(", ")}`,
+          token
+        );
+      }
+      return token.value;
+    });
+    this.expect(")");
+    return { kind: "call", type: spec.type, name: nameToken.value, args };
+  }
+}
+
+/**
+ * Parse an expression
+ * @param {string} source
+ * @returns {object} - Expression tree with a type of number or boolean
+ * @throws {AlertRuleError}
+ */
+function parseExpression(source) {
+  if (!isNonEmptyString(source)) {
+    throw new AlertRuleError("Expression is empty");
+  }
+  return new ExpressionParser(source).parse();
+}
+
+/**
+ * Parse a condition, which must be true or false
+ * @param {string} source
+ * @returns {object}
+ * @throws {AlertRuleError}
+ */
+function parseCondition(source) {
+  const node = parseExpression(source);
+  if (node.type !== "boolean") {
+    throw new AlertRuleError(
+      "Condition must be a comparison, e.g. temperature > 8"
+    );
+  }
+  return node;
+}
+
+/**
+ * Split a message into text and parsed {expression} parts
+ * @param {string} message
+ * @returns {array}
+ * @throws {AlertRuleError}
+ */
+function parseMessage(message) {
+  const parts = [];
+  const pattern = /\{([^{}]*)\}/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(message)) !== null) {
+    parts.push(message.slice(last, match.index));
+    try {
+      parts.push(parseExpression(match[1]));
+    } catch (error) {
+      throw new AlertRuleError(`{${match[1]}}: ${error.message}`);
+    }
+    last = pattern.lastIndex;
+  }
+  parts.push(message.slice(last));
+  return parts;
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const valueOf = (condition) => condition?.value ?? condition?.current;
+
+const isNumber = (value) => typeof value === "number" && !isNaN(value);
+
+/**
+ * What an expression is evaluated against
+ * The room's history entries are { timestamp, temperature, humidity, ... }.
+ * @param {object} room - Room with product limits applied
+ * @param {number} [at] - Evaluation time in ms
+ * @returns {object}
+ */
+function createRuleContext(room, at = Date.now()) {
+  let weighted = null;
+  return {
+    room,
+    at,
+    // The weighted score is only computed when a rule reads it
+    weightedScore() {
+      if (!weighted) weighted = conditionEngine.calculateWeightedScore(room);
+      return weighted;
+    },
+    samples(parameter, minutes) {
+      const since = at - minutes * MINUTE;
+      return (room.history || [])
+        .map((entry) => ({
+          time: new Date(entry.timestamp).getTime(),
+          value: entry[parameter],
+        }))
+        .filter(
+          ({ time, value }) => time > since && time <= at && isNumber(value)
+        )
+        .sort((a, b) => a.time - b.time);
+    },
+  };
+}
+
+const limitOf = (room, parameter, member) => {
+  const condition = room.conditions?.[parameter];
+  const primary = room.thresholds?.primary?.[parameter] || condition || {};
+  const emergency = room.thresholds?.emergency?.[parameter] || {};
+  return {
+    min: primary.min,
+    max: primary.max,
+    emergencyMin: emergency.min,
+    emergencyMax: emergency.max,
+  }[member];
+};
+
+const callFunction = (node, context) => {
+  const [name, arg] = [node.name, node.args[0]];
+  const { room } = context;
+  switch (name) {
+    case "excursion":
+      return conditionEngine.predictExcursion(room, arg, node.args[1]);
+    case "drift":
+      return conditionEngine.detectSensorDrift(room, arg);
+    case "risk":
+      return context.weightedScore().breakdown?.[arg];
+    default:
+      break;
+  }
+
+  const samples = context.samples(arg, node.args[1]);
+  if (!samples.length) return null;
+  const values = samples.map((sample) => sample.value);
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  switch (name) {
+    case "avg":
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+    case "min":
+      return Math.min(...values);
+    case "max":
+      return Math.max(...values);
+    case "delta":
+      return last.value - first.value;
+    case "rate": {
+      const minutes = (last.time - first.time) / MINUTE;
+      return minutes > 0 ? (last.value - first.value) / minutes : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Evaluate an expression tree
+ * Numbers that cannot be worked out are null; comparing null is false.
+ * @param {object} node
+ * @param {object} context - createRuleContext()
+ * @returns {number|boolean|null}
+ */
+function evaluateExpression(node, context) {
+  switch (node.kind) {
+    case "number":
+      return node.value;
+    case "parameter": {
+      const value = valueOf(context.room.conditions?.[node.parameter]);
+      return isNumber(value) ? value : null;
+    }
+    case "limit": {
+      const value = limitOf(context.room, node.parameter, node.member);
+      return isNumber(value) ? value : null;
+    }
+    case "variable":
+      if (node.name === "score") {
+        return context.weightedScore().score ?? null;
+      }
+      return node.name === "true";
+    case "call": {
+      const value = callFunction(node, context);
+      return isNumber(value) ? value : null;
+    }
+    case "negate": {
+      const value = evaluateExpression(node.arg, context);
+      return value === null ? null : -value;
+    }
+    case "arithmetic": {
+      const left = evaluateExpression(node.left, context);
+      const right = evaluateExpression(node.right, context);
+      if (left === null || right === null) return null;
+      if (node.op === "+") return left + right;
+      if (node.op === "-") return left - right;
+      if (node.op === "*") return left * right;
+      return right === 0 ? null : left / right;
+    }
+    case "compare": {
+      const left = evaluateExpression(node.left, context);
+      const right = evaluateExpression(node.right, context);
+      if (left === null || right === null) return false;
+      return {
+        "<": left < right,
+        "<=": left <= right,
+        ">": left > right,
+        ">=": left >= right,
+        "==": left === right,
+        "!=": left !== right,
+      }[node.op];
+    }
+    case "not":
+      return !evaluateExpression(node.arg, context);
+    case "logical":
+      return node.op === "and"
+        ? evaluateExpression(node.left, context) &&
+            evaluateExpression(node.right, context)
+        : evaluateExpression(node.left, context) ||
+            evaluateExpression(node.right, context);
+    default:
+      throw new AlertRuleError(`Unknown expression node ${node.kind}`);
+  }
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "n/a";
+  if (typeof value === "number") {
+    return String(Math.round(value * 100) / 100);
+  }
+  return String(value);
+};
+
+/**
+ * Fill a parsed message in for a room
+ * @param {array} parts - parseMessage()
+ * @param {object} context
+ * @returns {string}
+ */
+function renderMessage(parts, context) {
+  return parts
+    .map((part) =>
+      typeof part === "string"
+        ? part
+        : formatValue(evaluateExpression(part, context))
+    )
+    .join("");
+}
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+const validateStrings = (value, path) => {
+  if (
+    value !== undefined &&
+    !(Array.isArray(value) && value.every(isNonEmptyString))
+  ) {
+    throw new AlertRuleError("must be a list of names", path);
+  }
+};
+
+/**
+ * Validate a rule definition
+ * @param {object} rule
+ * @param {string} [path] - Location reported in errors
+ * @throws {AlertRuleError}
+ */
+function validateAlertRule(rule, path = "rule") {
+  if (!isObject(rule)) {
+    throw new AlertRuleError("Rule must be an object", path);
+  }
+
+  const unknown = Object.keys(rule).filter((key) => !RULE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new AlertRuleError(`Unknown field "${unknown[0]}"`, path);
+  }
+
+  if (!ID_PATTERN.test(rule.id || "")) {
+    throw new AlertRuleError(
+      "id must be lowercase letters, digits and dashes",
+      `${path}.id`
+    );
+  }
+  ["name", "condition", "message"].forEach((field) => {
+    if (!isNonEmptyString(rule[field])) {
+      throw new AlertRuleError(`${field} is required`, path);
+    }
+  });
+  if (
+    rule.parameter !== undefined &&
+    !RULE_PARAMETERS.includes(rule.parameter)
+  ) {
+    throw new AlertRuleError(
+      `Unknown parameter "${rule.parameter}"`,
+      `${path}.parameter`
+    );
+  }
+
+  try {
+    parseCondition(rule.condition);
+  } catch (error) {
+    throw new AlertRuleError(error.message, `${path}.condition`);
+  }
+  try {
+    parseMessage(rule.message);
+  } catch (error) {
+    throw new AlertRuleError(error.message, `${path}.message`);
+  }
+
+  if (!Object.values(SEVERITY).includes(rule.severity)) {
+    throw new AlertRuleError(
+      `severity must be one of ${Object.values(SEVERITY).join(", ")}`,
+      `${path}.severity`
+    );
+  }
+  validateStrings(rule.actions, `${path}.actions`);
+  if (
+    !Array.isArray(rule.channels) ||
+    rule.channels.length === 0 ||
+    rule.channels.some((channel) => !Object.values(CHANNELS).includes(channel))
+  ) {
+    throw new AlertRuleError(
+      `channels must list some of ${Object.values(CHANNELS).join(", ")}`,
+      `${path}.channels`
+    );
+  }
+
+  const { escalation } = rule;
+  if (escalation !== undefined) {
+    const escalationPath = `${path}.escalation`;
+    if (!isObject(escalation)) {
+      throw new AlertRuleError("must be an object", escalationPath);
+    }
+    const unknownEscalation = Object.keys(escalation).filter(
+      (key) => !ESCALATION_FIELDS.includes(key)
+    );
+    if (unknownEscalation.length > 0) {
+      throw new AlertRuleError(
+        `Unknown field "${unknownEscalation[0]}"`,
+        escalationPath
+      );
+    }
+    if (
+      escalation.policy !== undefined &&
+      !isNonEmptyString(escalation.policy)
+    ) {
+      throw new AlertRuleError(
+        "policy must name an escalation policy",
+        `${escalationPath}.policy`
+      );
+    }
+    if (
+      escalation.afterMinutes !== undefined &&
+      !(escalation.afterMinutes >= 0)
+    ) {
+      throw new AlertRuleError(
+        "afterMinutes must not be negative",
+        `${escalationPath}.afterMinutes`
+      );
+    }
+    validateStrings(escalation.actions, `${escalationPath}.actions`);
+  }
+
+  ["delayOn", "delayOff"].forEach((field) => {
+    try {
+      validateDelay(rule[field], field);
+    } catch (error) {
+      throw new AlertRuleError(error.message, `${path}.${field}`);
+    }
+  });
+  try {
+    validateDeadband(rule.deadband, rule.parameter);
+  } catch (error) {
+    throw new AlertRuleError(error.message, `${path}.deadband`);
+  }
+}
+
+/**
+ * Turn a definition into an alertEngine rule
+ * @param {object} definition
+ * @returns {object} - Rule with condition(room, at) and message(room, at)
+ * @throws {AlertRuleError}
+ */
+function compileAlertRule(definition) {
+  validateAlertRule(definition);
+  const condition = parseCondition(definition.condition);
+  const message = parseMessage(definition.message);
+  const { escalation } = definition;
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    parameter: definition.parameter,
+    condition: (room, at) =>
+      evaluateExpression(condition, createRuleContext(room, at)) === true,
+    severity: definition.severity,
+    message: (room, at) => renderMessage(message, createRuleContext(room, at)),
+    actions: [...(definition.actions || [])],
+    channels: [...definition.channels],
+    escalation: escalation && {
+      policy: escalation.policy,
+      after:
+        escalation.afterMinutes === undefined
+          ? undefined
+          : escalation.afterMinutes * MINUTE,
+      actions: [...(escalation.actions || [])],
+    },
+    delayOn: definition.delayOn && { ...definition.delayOn },
+    delayOff: definition.delayOff && { ...definition.delayOff },
+    deadband: definition.deadband,
+    custom: true,
+  };
+}
+
+/**
+ * Room as it stood at the last of a run of recorded readings
+ * @param {object} room - Room configuration: thresholds, limits, products
+ * @param {array} readings - { timestamp, temperature, humidity, ... }, oldest first
+ * @returns {object}
+ */
+function replayRoom(room, readings) {
+  const latest = readings[readings.length - 1];
+  const conditions = { ...(room.conditions || {}) };
+  RULE_PARAMETERS.forEach((parameter) => {
+    if (!isNumber(latest[parameter])) return;
+    conditions[parameter] = {
+      ...conditions[parameter],
+      value: latest[parameter],
+      current: latest[parameter],
+      history: readings.map((reading) => reading[parameter]).filter(isNumber),
+    };
+  });
+  return applyProductLimits({ ...room, conditions, history: readings });
+}
+
+/**
+ * Replay a rule over recorded readings without raising anything
+ * Each reading is evaluated with the readings before it as history, and
+ * the rule's delays and deadband decide when an alert is raised and
+ * cleared, as alertEngine would.
+ * @param {object} definition
+ * @param {array} readings - { timestamp, temperature, humidity, ... }
+ * @param {object} [room] - Room the readings were recorded in
+ * @returns {object} - { ruleId, evaluated, matched, alerts, errors, from, to }
+ */
+function dryRunAlertRule(definition, readings, room = {}) {
+  const rule = compileAlertRule(definition);
+  const sorted = [...readings].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+
+  const alerts = [];
+  let open = null;
+  let state = null;
+  let matched = 0;
+  let errors = 0;
+  sorted.forEach((reading, index) => {
+    const at = new Date(reading.timestamp).getTime();
+    const snapshot = replayRoom(
+      room,
+      sorted.slice(Math.max(0, index - DRY_RUN_HISTORY + 1), index + 1)
+    );
+
+    let raw = false;
+    let holds = false;
+    try {
+      raw = rule.condition(snapshot, at);
+      holds =
+        raw || (!!state?.active && holdsWithinDeadband(rule, snapshot, at));
+    } catch (error) {
+      errors++;
+    }
+    if (raw) matched++;
+    state = stepAlarm(state, { holds, raw }, at, rule);
+
+    if (!state.active) {
+      if (open) alerts.push(open);
+      open = null;
+      return;
+    }
+    if (open) {
+      open.to = reading.timestamp;
+      open.readings++;
+      open.flaps = state.flaps;
+    } else {
+      open = {
+        from: reading.timestamp,
+        to: reading.timestamp,
+        readings: 1,
+        flaps: 0,
+        message: rule.message(snapshot, at),
+      };
+    }
+  });
+  if (open) alerts.push({ ...open, ongoing: true });
+
+  return {
+    ruleId: rule.id,
+    evaluated: sorted.length,
+    matched,
+    alerts,
+    errors,
+    from: sorted[0]?.timestamp || null,
+    to: sorted[sorted.length - 1]?.timestamp || null,
+  };
+}
+
+export {
+  AlertRuleError,
+  RULE_PARAMETERS,
+  PARAMETER_MEMBERS,
+  RISK_FACTORS,
+  FUNCTIONS as RULE_FUNCTIONS,
+  parseExpression,
+  parseCondition,
+  parseMessage,
+  createRuleContext,
+  evaluateExpression,
+  renderMessage,
+  validateAlertRule,
+  compileAlertRule,
+  replayRoom,
+  dryRunAlertRule,
+};
@@ -0,0 +1,410 @@
+/**
+ * Security Audit Log Store
+ * Persists the securityModule hash chain to IndexedDB, numbered in chain
+ * order, and uploads it to the Supabase security_audit_log table. Reads go
+ * to Supabase, where filtering and paging are done by the database, and
+ * fall back to the local copy when it is unreachable or refuses the read.
+ */
+
+import securityModule from "../modules/securityModule";
+import {
+  uploadSecurityAuditEntries,
+  fetchSecurityAuditLog,
+} from "./supabaseService";
+
+const DB_NAME = "PharmaSecurityAudit";
+const DB_VERSION = 1;
+const STORES = {
+  ENTRIES: "entries",
+  META: "meta",
+};
+
+const SYNC_BATCH_SIZE = 100;
+const SYNC_INTERVAL = 60 * 1000;
+
+const newChainId = () =>
+  crypto.randomUUID
+    ? crypto.randomUUID()
+    : `chain-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Secret proving an upload comes from the installation that registered the
+// chain; only its hash is kept by Supabase
+const newChainKey = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+// Stored record for an entry; IndexedDB cannot index booleans, so synced is 0/1
+const toRecord = (entry) => ({
+  id: entry.id,
+  timestamp: entry.timestamp,
+  action: entry.action,
+  userId: entry.userId,
+  userName: entry.userName,
+  target: entry.target,
+  details: entry.details,
+  previousHash: entry.previousHash,
+  hash: entry.hash,
+  synced: 0,
+});
+
+/**
+ * Whether a stored entry matches a query
+ * Mirrors the filters fetchSecurityAuditLog applies in the database.
+ * @param {object} entry
+ * @param {object} filters - { action, userId, search, since }
+ * @returns {boolean}
+ */
+function matchesFilters(entry, { action, userId, search, since } = {}) {
+  if (action && entry.action !== action) return false;
+  if (userId && entry.userId !== userId) return false;
+  if (since && entry.timestamp < since) return false;
+
+  const term = search?.trim().toLowerCase();
+  if (term) {
+    return [entry.action, entry.userName, entry.target].some((value) =>
+      String(value ?? "")
+        .toLowerCase()
+        .includes(term)
+    );
+  }
+  return true;
+}
+
+const pageOf = (matches, { page = 0, pageSize = 20 }) => ({
+  entries: matches.slice(page * pageSize, (page + 1) * pageSize),
+  total: matches.length,
+});
+
+/**
+ * Audit store backed by IndexedDB
+ * @param {string} [dbName]
+ * @returns {object}
+ */
+function createIndexedDBAuditStore(dbName = DB_NAME) {
+  let opening = null;
+
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, DB_VERSION);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+
+          if (!db.objectStoreNames.contains(STORES.ENTRIES)) {
+            const entries = db.createObjectStore(STORES.ENTRIES, {
+              keyPath: "sequence",
+              autoIncrement: true,
+            });
+            entries.createIndex("id", "id", { unique: true });
+            entries.createIndex("synced", "synced", { unique: false });
+          }
+          if (!db.objectStoreNames.contains(STORES.META)) {
+            db.createObjectStore(STORES.META, { keyPath: "key" });
+          }
+        };
+      });
+    }
+    return opening;
+  };
+
+  const run = async (storeName, mode, operation) => {
+    const db = await open();
+    const store = db.transaction([storeName], mode).objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  // Walk a cursor, collecting values until collect() returns false
+  const walk = async (source, range, direction, collect) => {
+    const db = await open();
+    const store = db
+      .transaction([STORES.ENTRIES], "readonly")
+      .objectStore(STORES.ENTRIES);
+    const target = source ? store.index(source) : store;
+
+    return new Promise((resolve, reject) => {
+      const request = target.openCursor(range, direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || collect(cursor.value) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  // Meta value, created on first use
+  const getMeta = async (key, create) => {
+    const meta = await run(STORES.META, "readonly", (store) => store.get(key));
+    if (meta) return meta.value;
+
+    const value = create();
+    await run(STORES.META, "readwrite", (store) => store.add({ key, value }));
+    return value;
+  };
+
+  return {
+    async getChainId() {
+      return getMeta("chainId", newChainId);
+    },
+
+    async getChainKey() {
+      return getMeta("chainKey", newChainKey);
+    },
+
+    async append(entry) {
+      return run(STORES.ENTRIES, "readwrite", (store) =>
+        store.add(toRecord(entry))
+      );
+    },
+
+    async loadRecent(limit) {
+      const records = [];
+      await walk(null, null, "prev", (record) => {
+        records.push(record);
+        return records.length < limit;
+      });
+      return records.reverse();
+    },
+
+    async loadUnsynced(limit) {
+      const records = [];
+      await walk("synced", IDBKeyRange.only(0), "next", (record) => {
+        records.push(record);
+        return records.length < limit;
+      });
+      return records;
+    },
+
+    async markSynced(sequences) {
+      const db = await open();
+      const transaction = db.transaction([STORES.ENTRIES], "readwrite");
+      const store = transaction.objectStore(STORES.ENTRIES);
+
+      return new Promise((resolve, reject) => {
+        sequences.forEach((sequence) => {
+          const request = store.get(sequence);
+          request.onsuccess = () => {
+            if (request.result) {
+              store.put({ ...request.result, synced: 1 });
+            }
+          };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+
+    async query(query = {}) {
+      const matches = [];
+      await walk(null, null, "prev", (record) => {
+        if (matchesFilters(record, query)) {
+          matches.push(record);
+        }
+      });
+      return pageOf(matches, query);
+    },
+  };
+}
+
+/**
+ * Audit store kept in memory, used where IndexedDB is unavailable
+ * @returns {object}
+ */
+function createMemoryAuditStore() {
+  const records = [];
+  const chainId = newChainId();
+  const chainKey = newChainKey();
+
+  return {
+    async getChainId() {
+      return chainId;
+    },
+
+    async getChainKey() {
+      return chainKey;
+    },
+
+    async append(entry) {
+      const sequence = records.length + 1;
+      records.push({ ...toRecord(entry), sequence });
+      return sequence;
+    },
+
+    async loadRecent(limit) {
+      return records.slice(-limit).map((record) => ({ ...record }));
+    },
+
+    async loadUnsynced(limit) {
+      return records
+        .filter((record) => record.synced === 0)
+        .slice(0, limit)
+        .map((record) => ({ ...record }));
+    },
+
+    async markSynced(sequences) {
+      sequences.forEach((sequence) => {
+        records[sequence - 1].synced = 1;
+      });
+    },
+
+    async query(query = {}) {
+      const matches = records
+        .filter((record) => matchesFilters(record, query))
+        .reverse();
+      return pageOf(matches, query);
+    },
+  };
+}
+
+/**
+ * Upload entries the store has not synced yet, oldest first
+ * Stops at the first refused or failed batch so the chain is uploaded
+ * without gaps.
+ * @param {object} store
+ * @param {function} [upload] - (chainId, records, chainKey) => { success, permissionDenied }
+ * @param {number} [batchSize]
+ * @returns {Promise<object>} - { success, uploaded, permissionDenied }
+ */
+async function syncAuditStore(
+  store,
+  upload = uploadSecurityAuditEntries,
+  batchSize = SYNC_BATCH_SIZE
+) {
+  const chainId = await store.getChainId();
+  const chainKey = await store.getChainKey();
+  let uploaded = 0;
+
+  for (;;) {
+    const batch = await store.loadUnsynced(batchSize);
+    if (batch.length === 0) break;
+
+    const result = await upload(chainId, batch, chainKey);
+    if (!result.success) {
+      return {
+        success: false,
+        uploaded,
+        permissionDenied: !!result.permissionDenied,
+        error: result.error,
+      };
+    }
+
+    await store.markSynced(batch.map((record) => record.sequence));
+    uploaded += batch.length;
+    if (batch.length < batchSize) break;
+  }
+
+  return { success: true, uploaded };
+}
+
+/**
+ * Read one page of the audit log
+ * Local entries are uploaded first so the database page is current.
+ * @param {object} query - { action, userId, search, since, page, pageSize }
+ * @param {object} [options] - { store, upload, fetchPage }
+ * @returns {Promise<object>} - { entries, total, source }
+ */
+async function queryAuditLog(
+  query = {},
+  {
+    store = auditLogStore,
+    upload = uploadSecurityAuditEntries,
+    fetchPage = fetchSecurityAuditLog,
+  } = {}
+) {
+  await syncAuditStore(store, upload);
+
+  const remote = await fetchPage(query);
+  if (remote.success) {
+    return { entries: remote.data, total: remote.total, source: "supabase" };
+  }
+
+  const local = await store.query(query);
+  return { ...local, source: "local" };
+}
+
+/**
+ * Restore the audit log at startup and keep uploading it
+ * After a refused upload, syncing waits for the next session to start.
+ * @param {object} [options] - { security, store, upload, interval }
+ * @returns {Promise<object>} - { integrity, sync, stop }
+ */
+async function initializeAuditLog({
+  security = securityModule,
+  store = auditLogStore,
+  upload = uploadSecurityAuditEntries,
+  interval = SYNC_INTERVAL,
+} = {}) {
+  const integrity = await security.loadAuditLog(store);
+  if (!integrity.isValid) {
+    console.warn(
+      "Security audit log failed its integrity check:",
+      integrity.invalidEntries
+    );
+  }
+
+  let syncing = null;
+  let refused = false;
+
+  const sync = () => {
+    if (!syncing) {
+      syncing = security
+        .flushAuditLog()
+        .then(() => syncAuditStore(store, upload))
+        .then((result) => {
+          refused = !!result.permissionDenied;
+          return result;
+        })
+        .finally(() => {
+          syncing = null;
+        });
+    }
+    return syncing;
+  };
+
+  const unsubscribe = security.subscribe((event, entry) => {
+    if (event === "audit" && entry.action === "SESSION_START") {
+      refused = false;
+      sync();
+    }
+  });
+  const timer = setInterval(() => {
+    if (!refused) sync();
+  }, interval);
+
+  await sync();
+
+  return {
+    integrity,
+    sync,
+    stop: () => {
+      clearInterval(timer);
+      unsubscribe();
+    },
+  };
+}
+
+// Default store: IndexedDB in the browser, memory elsewhere
+const auditLogStore =
+  typeof indexedDB !== "undefined"
+    ? createIndexedDBAuditStore()
+    : createMemoryAuditStore();
+
+export default auditLogStore;
+export {
+  matchesFilters,
+  createIndexedDBAuditStore,
+  createMemoryAuditStore,
+  syncAuditStore,
+  queryAuditLog,
+  initializeAuditLog,
+};
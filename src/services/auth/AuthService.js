@@ -0,0 +1,272 @@
+/**
+ * Authentication Service
+ *
+ * Signs users in through a pluggable provider (local store, Supabase Auth
+ * or OpenID Connect) and only then starts a securityModule session. The
+ * service owns the policy every provider shares: failed logins count
+ * towards the securityModule lockout, new passwords must pass
+ * validatePassword(), and the session never outlives the provider's.
+ *
+ * A provider is { name, getAccountId(credentials), authenticate(credentials) }
+ * where authenticate resolves to { user, expiresAt } and throws on bad
+ * credentials, with optional setup(), register(), hasUsers(),
+ * changePassword() and logout().
+ */
+
+import securityModule from "../../modules/securityModule";
+
+/**
+ * AuthService class
+ */
+class AuthService {
+  /**
+   * @param {object} security - securityModule holding the session
+   * @param {array} providers - Authentication providers
+   */
+  constructor(security = securityModule, providers = []) {
+    this.security = security;
+    this.providers = new Map();
+    this.activeProvider = null;
+    this.subscribers = [];
+    providers.forEach((provider) => this.registerProvider(provider));
+  }
+
+  /**
+   * Add an authentication provider
+   * @param {object} provider
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown authentication provider: ${name}`);
+    }
+    return provider;
+  }
+
+  getProviderNames() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Sign in through a provider
+   * @param {string} providerName
+   * @param {object} credentials - Provider-specific credentials
+   * @returns {Promise<object>} - { success, sessionToken, expiresAt, user }
+   */
+  async login(providerName, credentials) {
+    const provider = this.getProvider(providerName);
+    const accountId = provider.getAccountId(credentials);
+    if (accountId) {
+      this.assertNotLocked(accountId, provider);
+    }
+
+    let result;
+    try {
+      result = await provider.authenticate(credentials);
+    } catch (error) {
+      if (accountId) {
+        this.security.recordFailedLogin(accountId);
+      }
+      this.security.logAudit("LOGIN_FAILED", accountId || provider.name, {
+        provider: provider.name,
+        reason: error.message,
+      });
+      throw error;
+    }
+
+    // Accounts locked elsewhere, e.g. by failed signature re-authentication
+    this.assertNotLocked(result.user.id, provider);
+    if (accountId) {
+      this.security.clearFailedLogins(accountId);
+    }
+
+    if (this.security.currentUser) {
+      this.security.logout("new_login");
+    }
+    const session = this.security.initialize({
+      ...result.user,
+      authProvider: provider.name,
+      sessionExpiresAt: result.expiresAt || null,
+    });
+    this.activeProvider = provider;
+    this.notifySubscribers("login", this.security.currentUser);
+
+    return { ...session, user: this.security.currentUser };
+  }
+
+  /**
+   * End the session with the provider and locally
+   * @param {string} [reason]
+   */
+  async logout(reason = "user_initiated") {
+    try {
+      await this.activeProvider?.logout?.();
+    } catch (error) {
+      console.error("Provider logout failed:", error);
+    }
+    this.activeProvider = null;
+    if (this.security.currentUser) {
+      this.security.logout(reason);
+    }
+    this.notifySubscribers("logout", { reason });
+  }
+
+  /**
+   * Whether a user is signed in with an unexpired session
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return this.security.isSessionValid();
+  }
+
+  /**
+   * Whether a provider's store is empty and waiting for setupAdministrator()
+   * @param {string} providerName
+   * @returns {Promise<boolean>}
+   */
+  async needsSetup(providerName) {
+    const provider = this.getProvider(providerName);
+    return !!provider.setup && !(await provider.hasUsers());
+  }
+
+  /**
+   * Create the first administrator of an empty provider store
+   * This is the only way to an administrator without manage:users, and the
+   * provider refuses it once any account exists.
+   * @param {string} providerName
+   * @param {object} details - Provider-specific account details with password
+   * @returns {Promise<object>} - { user, keyId }
+   */
+  async setupAdministrator(providerName, details) {
+    const provider = this.getProvider(providerName);
+    if (!provider.setup) {
+      throw new Error(
+        `Administrators for ${provider.name} are set up at the identity provider`
+      );
+    }
+    this.assertPasswordPolicy(details.password);
+
+    const { user, keyId } = await provider.setup(details);
+    this.security.logAudit("ADMIN_SETUP", user.id, {
+      provider: provider.name,
+      keyId,
+    });
+    return { user, keyId };
+  }
+
+  /**
+   * Create an account with a provider
+   * Requires manage:users; the first administrator comes from
+   * setupAdministrator() instead.
+   * @param {string} providerName
+   * @param {object} details - Provider-specific account details with password
+   * @returns {Promise<object>} - The user
+   */
+  async registerUser(providerName, details) {
+    const provider = this.getProvider(providerName);
+    if (!provider.register) {
+      throw new Error(
+        `Accounts for ${provider.name} are created at the identity provider`
+      );
+    }
+
+    this.security.requirePermission("manage:users", "users", {
+      action: "register_user",
+    });
+    this.assertPasswordPolicy(details.password);
+
+    const user = await provider.register(details);
+    this.security.logAudit("USER_CREATED", user.id, {
+      provider: provider.name,
+      role: user.role,
+    });
+    return user;
+  }
+
+  /**
+   * Change the signed-in user's password
+   * A wrong current password counts as a failed login.
+   * @param {object} request - { password, newPassword }
+   */
+  async changePassword({ password, newPassword }) {
+    const user = this.security.currentUser;
+    if (!this.isAuthenticated() || !this.activeProvider) {
+      throw new Error("A signed-in session is required");
+    }
+    if (!this.activeProvider.changePassword) {
+      throw new Error(
+        `Passwords for ${this.activeProvider.name} are managed at the identity provider`
+      );
+    }
+    this.assertNotLocked(user.id, this.activeProvider);
+    this.assertPasswordPolicy(newPassword);
+
+    try {
+      await this.activeProvider.changePassword({
+        username: user.id,
+        email: user.email,
+        password,
+        newPassword,
+      });
+    } catch (error) {
+      this.security.recordFailedLogin(user.id);
+      this.security.logAudit("PASSWORD_CHANGE_FAILED", user.id, {
+        reason: error.message,
+      });
+      throw error;
+    }
+    this.security.clearFailedLogins(user.id);
+    this.security.logAudit("PASSWORD_CHANGED", user.id, {
+      provider: this.activeProvider.name,
+    });
+  }
+
+  assertNotLocked(accountId, provider) {
+    const lockout = this.security.checkLoginAttempts(accountId);
+    if (lockout.locked) {
+      this.security.logAudit("LOGIN_BLOCKED", accountId, {
+        provider: provider.name,
+        remainingTime: lockout.remainingTime,
+      });
+      throw new Error(
+        `Account locked, try again in ${lockout.remainingTime} seconds`
+      );
+    }
+  }
+
+  assertPasswordPolicy(password) {
+    const { isValid, issues } = this.security.validatePassword(password || "");
+    if (!isValid) {
+      throw new Error(issues.join("; "));
+    }
+  }
+
+  /**
+   * Subscribe to logins and logouts
+   * @param {function} callback - (event, data)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
+
+export default AuthService;
+export { AuthService };
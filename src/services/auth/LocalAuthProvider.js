@@ -0,0 +1,410 @@
+/**
+ * Local Authentication Provider
+ * User accounts held in a local store with salted PBKDF2-SHA256 password
+ * hashes. Storage is injected as { get(id), put(record), list() } so the
+ * provider works against localStorage or an in-memory store.
+ *
+ * The store sits in the browser, so nothing in a record is trusted as
+ * stored. Each account has an ECDSA key wrapped with its password, and an
+ * administrator's key signs the account's identity, role and public key.
+ * A login must unwrap the key and its grant must chain to the
+ * administrator created by setup(); an edited role or swapped password
+ * hash is refused. Pin that administrator's key ID with the rootKeyId
+ * option so a store set up again from scratch is refused too.
+ */
+
+import { ROLES } from "../../modules/securityModule";
+import {
+  generateKeyPair,
+  exportPublicKey,
+  importPublicKey,
+  getKeyId,
+  signData,
+  verifySignature,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+} from "../blockchain/crypto";
+import { canonicalJson } from "../../utils/canonicalJson";
+
+const HASH_ALGORITHM = "PBKDF2-SHA256";
+const INVALID_CREDENTIALS = "Invalid username or password";
+const ALTERED_RECORD =
+  "This account's record has been altered; an administrator must re-create it";
+
+// What an administrator's grant signature covers
+const grantPayload = ({ id, name, email, role, department, credential }) =>
+  canonicalJson({
+    id,
+    name,
+    email,
+    role,
+    department,
+    publicKey: credential.publicKey,
+  });
+
+const canManageUsers = (role) =>
+  !!ROLES[role]?.permissions.includes("manage:users");
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+const fromHex = (hex) =>
+  new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+
+/**
+ * Derive a password hash
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<string>} - Hex digest
+ */
+async function derivePasswordHash(password, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    baseKey,
+    256
+  );
+  return toHex(bits);
+}
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password
+ * @param {number} iterations
+ * @returns {Promise<object>} - { algorithm, iterations, salt, hash }
+ */
+export async function hashPassword(password, iterations) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    algorithm: HASH_ALGORITHM,
+    iterations,
+    salt: toHex(salt),
+    hash: await derivePasswordHash(password, salt, iterations),
+  };
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password
+ * @param {object} stored - Record from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const hash = await derivePasswordHash(
+    password,
+    fromHex(stored.salt),
+    stored.iterations
+  );
+  let difference = hash.length ^ stored.hash.length;
+  for (let i = 0; i < hash.length; i++) {
+    difference |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * User store backed by localStorage, or memory where it is unavailable
+ * @param {string} key - localStorage key
+ * @returns {object} - { get, put, list }
+ */
+export function createUserStore(key = "pharma_local_users") {
+  const hasLocalStorage = typeof localStorage !== "undefined";
+  let memory = {};
+
+  const read = () =>
+    hasLocalStorage ? JSON.parse(localStorage.getItem(key) || "{}") : memory;
+  const write = (users) => {
+    if (hasLocalStorage) {
+      localStorage.setItem(key, JSON.stringify(users));
+    } else {
+      memory = users;
+    }
+  };
+
+  return {
+    get: async (id) => read()[id] || null,
+    put: async (record) => write({ ...read(), [record.id]: record }),
+    list: async () => Object.values(read()),
+  };
+}
+
+/**
+ * Local Auth Provider Class
+ */
+export class LocalAuthProvider {
+  /**
+   * @param {object} storage - { get, put, list }
+   * @param {object} [options] - { iterations, rootKeyId }
+   */
+  constructor(storage = createUserStore(), options = {}) {
+    this.name = "local";
+    this.storage = storage;
+    this.iterations = options.iterations || 310000;
+    this.rootKeyId = options.rootKeyId || null;
+    // Signing key of the signed-in account, for granting new accounts
+    this.session = null;
+  }
+
+  /**
+   * Account the credentials are for, used for lockout
+   * @param {object} credentials - { username }
+   * @returns {string|null}
+   */
+  getAccountId({ username } = {}) {
+    return username ? username.trim().toLowerCase() : null;
+  }
+
+  /**
+   * Whether any accounts exist yet
+   * @returns {Promise<boolean>}
+   */
+  async hasUsers() {
+    return (await this.storage.list()).length > 0;
+  }
+
+  /**
+   * Create the administrator of an empty store
+   * The administrator's grant is signed with its own key, which is the
+   * root every other account's grant chains to.
+   * @param {object} details - { username, password, name, email, department }
+   * @returns {Promise<object>} - { user, keyId } with the key ID to pin
+   */
+  async setup(details) {
+    if (await this.hasUsers()) {
+      throw new Error("The administrator account has already been set up");
+    }
+    const { record, privateKey } = await this.createRecord({
+      ...details,
+      role: "ADMIN",
+    });
+    await this.storage.put(await this.signGrant(record, record.id, privateKey));
+    return {
+      user: this.toUser(record),
+      keyId: await getKeyId(record.credential.publicKey),
+    };
+  }
+
+  /**
+   * Create an account, granted by the signed-in administrator
+   * The password policy and manage:users are enforced by authService
+   * before this is called.
+   * @param {object} details - { username, password, name, email, role, department }
+   * @returns {Promise<object>} - The user, without the password hash
+   */
+  async register(details) {
+    if (!this.session) {
+      throw new Error(
+        "Sign in with a local administrator account to create local accounts"
+      );
+    }
+    const { record } = await this.createRecord(details);
+    await this.storage.put(
+      await this.signGrant(
+        record,
+        this.session.accountId,
+        this.session.privateKey
+      )
+    );
+    return this.toUser(record);
+  }
+
+  /**
+   * Build an unsigned account record with a fresh, password-wrapped key
+   * @returns {Promise<object>} - { record, privateKey }
+   */
+  async createRecord({ username, password, name, email, role, department }) {
+    const id = this.getAccountId({ username });
+    if (!id) {
+      throw new Error("A username is required");
+    }
+    if (await this.storage.get(id)) {
+      throw new Error(`User ${id} already exists`);
+    }
+
+    const { publicKey, privateKey } = await generateKeyPair();
+    const record = {
+      id,
+      name: name || id,
+      email: email || null,
+      role: role || "VIEWER",
+      department: department || null,
+      password: await hashPassword(password, this.iterations),
+      credential: {
+        publicKey: await exportPublicKey(publicKey),
+        wrappedKey: await wrapPrivateKey(privateKey, password, this.iterations),
+      },
+      createdAt: new Date().toISOString(),
+    };
+    return { record, privateKey };
+  }
+
+  async signGrant(record, signedBy, privateKey) {
+    return {
+      ...record,
+      grant: {
+        signedBy,
+        signature: await signData(grantPayload(record), privateKey),
+      },
+    };
+  }
+
+  /**
+   * Authenticate with username and password
+   * @param {object} credentials - { username, password }
+   * @returns {Promise<object>} - { user }
+   */
+  async authenticate({ username, password } = {}) {
+    const record = await this.verify(username, password);
+    const privateKey = await this.unlock(record, password);
+    this.session = { accountId: record.id, privateKey };
+    return { user: this.toUser(record) };
+  }
+
+  logout() {
+    this.session = null;
+  }
+
+  /**
+   * Replace a user's password after checking the current one
+   * The account key is re-wrapped, so its grant stays valid.
+   * @param {object} request - { username, password, newPassword }
+   */
+  async changePassword({ username, password, newPassword }) {
+    const record = await this.verify(username, password);
+    const privateKey = await this.unlock(record, password, true);
+    await this.storage.put({
+      ...record,
+      password: await hashPassword(newPassword, this.iterations),
+      credential: {
+        ...record.credential,
+        wrappedKey: await wrapPrivateKey(
+          privateKey,
+          newPassword,
+          this.iterations
+        ),
+      },
+      passwordChangedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Look up an account and check its password
+   * Unknown users are hashed too so both failures take the same time.
+   * @returns {Promise<object>} - Stored record
+   */
+  async verify(username, password) {
+    const record = await this.storage.get(this.getAccountId({ username }));
+    const stored = record?.password || {
+      salt: "00".repeat(16),
+      iterations: this.iterations,
+      hash: "",
+    };
+    const matches = await verifyPassword(password || "", stored);
+    if (!record || !matches) {
+      throw new Error(INVALID_CREDENTIALS);
+    }
+    return record;
+  }
+
+  /**
+   * Unwrap an account's key with its password and check its grant
+   * Only the password the key was wrapped with unlocks it, so a replaced
+   * password hash gets no further than this.
+   * @returns {Promise<CryptoKey>} - The account's signing key
+   */
+  async unlock(record, password, extractable = false) {
+    if (!record.credential || !record.grant) {
+      throw new Error(ALTERED_RECORD);
+    }
+    let privateKey;
+    try {
+      privateKey = await unwrapPrivateKey(
+        record.credential.wrappedKey,
+        password,
+        extractable
+      );
+    } catch (error) {
+      throw new Error(ALTERED_RECORD);
+    }
+    const challenge = `unlock:${record.id}:${Date.now()}`;
+    const holdsKey = await verifySignature(
+      challenge,
+      await signData(challenge, privateKey),
+      await importPublicKey(record.credential.publicKey)
+    );
+    if (!holdsKey) {
+      throw new Error(ALTERED_RECORD);
+    }
+    await this.verifyGrant(record);
+    return privateKey;
+  }
+
+  /**
+   * Follow an account's grant back to the administrator created by setup()
+   * Every signer on the way must still hold manage:users.
+   * @param {object} record
+   * @param {Set} [seen] - Accounts already on the chain
+   */
+  async verifyGrant(record, seen = new Set()) {
+    if (!record?.credential || !record.grant || seen.has(record.id)) {
+      throw new Error(ALTERED_RECORD);
+    }
+    seen.add(record.id);
+
+    const selfSigned = record.grant.signedBy === record.id;
+    const signer = selfSigned
+      ? record
+      : await this.storage.get(record.grant.signedBy);
+    if (!signer?.credential || !canManageUsers(signer.role)) {
+      throw new Error(ALTERED_RECORD);
+    }
+    const valid = await verifySignature(
+      grantPayload(record),
+      record.grant.signature,
+      await importPublicKey(signer.credential.publicKey)
+    );
+    if (!valid) {
+      throw new Error(ALTERED_RECORD);
+    }
+
+    if (selfSigned) {
+      await this.assertRoot(record);
+    } else {
+      await this.verifyGrant(signer, seen);
+    }
+  }
+
+  /**
+   * The self-signed administrator must be the pinned one or, unpinned, the
+   * store's only one
+   */
+  async assertRoot(record) {
+    if (this.rootKeyId) {
+      if ((await getKeyId(record.credential.publicKey)) !== this.rootKeyId) {
+        throw new Error(ALTERED_RECORD);
+      }
+      return;
+    }
+    const roots = (await this.storage.list()).filter(
+      (other) => other.grant?.signedBy === other.id
+    );
+    if (roots.length !== 1) {
+      throw new Error(ALTERED_RECORD);
+    }
+  }
+
+  toUser({ password, credential, grant, ...user }) {
+    return user;
+  }
+}
+
+export default LocalAuthProvider;
@@ -0,0 +1,262 @@
+/**
+ * OpenID Connect Authentication Provider
+ * Authorization code flow with PKCE. The ID token is verified against the
+ * issuer's published keys (RS256) and its issuer, audience, expiry and
+ * nonce are checked before the user is signed in. Credentials and their
+ * policy stay with the identity provider.
+ */
+
+import { ROLES } from "../../modules/securityModule";
+
+const PENDING_LOGIN_KEY = "pharma_oidc_pending";
+const CLOCK_SKEW = 60 * 1000;
+
+/**
+ * Base64url encode bytes or a string
+ * @param {ArrayBuffer|Uint8Array|string} data
+ * @returns {string}
+ */
+export function base64UrlEncode(data) {
+  const bytes =
+    typeof data === "string"
+      ? new TextEncoder().encode(data)
+      : new Uint8Array(data);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Base64url decode to bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(
+    base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=")
+  );
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * PKCE S256 code challenge for a verifier
+ * @param {string} verifier
+ * @returns {Promise<string>}
+ */
+export async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier)
+  );
+  return base64UrlEncode(digest);
+}
+
+const randomString = () =>
+  base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+
+const decodeJson = (segment) =>
+  JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+
+/**
+ * OIDC Auth Provider Class
+ */
+export class OidcAuthProvider {
+  /**
+   * @param {object} config - { issuer, clientId, redirectUri, scope, roleClaim, roleMapping }
+   * @param {object} [deps] - { fetch, storage } for the HTTP client and pending-login store
+   */
+  constructor(config, deps = {}) {
+    this.name = "oidc";
+    this.config = {
+      scope: "openid profile email",
+      roleClaim: "role",
+      roleMapping: {},
+      ...config,
+    };
+    this.fetch = deps.fetch || ((...args) => fetch(...args));
+    this.storage =
+      deps.storage ||
+      (typeof sessionStorage !== "undefined" ? sessionStorage : null);
+    this.metadata = null;
+  }
+
+  /**
+   * Credentials are checked by the identity provider, so there is no
+   * account to lock out before the callback
+   */
+  getAccountId() {
+    return null;
+  }
+
+  /**
+   * Fetch the issuer's discovery document
+   * @returns {Promise<object>}
+   */
+  async discover() {
+    if (this.metadata) return this.metadata;
+
+    const metadata = await this.getJson(
+      `${this.config.issuer}/.well-known/openid-configuration`
+    );
+    if (metadata.issuer !== this.config.issuer) {
+      throw new Error(`Discovery document is for issuer ${metadata.issuer}`);
+    }
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  /**
+   * Start a login
+   * @returns {Promise<string>} - Authorization URL to redirect the browser to
+   */
+  async beginLogin() {
+    const metadata = await this.discover();
+    const pending = {
+      state: randomString(),
+      nonce: randomString(),
+      codeVerifier: randomString(),
+    };
+    this.storage.setItem(PENDING_LOGIN_KEY, JSON.stringify(pending));
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scope,
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: await createCodeChallenge(pending.codeVerifier),
+      code_challenge_method: "S256",
+    });
+    return `${metadata.authorization_endpoint}?${params}`;
+  }
+
+  /**
+   * Complete a login from the authorization callback
+   * @param {object} callback - { code, state, error } query parameters
+   * @returns {Promise<object>} - { user, expiresAt }
+   */
+  async authenticate({ code, state, error } = {}) {
+    const pending = JSON.parse(this.storage.getItem(PENDING_LOGIN_KEY));
+    this.storage.removeItem(PENDING_LOGIN_KEY);
+
+    if (error) {
+      throw new Error(`Identity provider returned ${error}`);
+    }
+    if (!pending || !state || pending.state !== state) {
+      throw new Error("Login state does not match; start the login again");
+    }
+
+    const metadata = await this.discover();
+    const tokens = await this.getJson(metadata.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: this.config.redirectUri,
+        client_id: this.config.clientId,
+        code_verifier: pending.codeVerifier,
+      }).toString(),
+    });
+
+    const claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    return { user: this.toUser(claims), expiresAt: claims.exp * 1000 };
+  }
+
+  /**
+   * Verify an ID token's signature and claims
+   * @param {string} idToken
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<object>} - Claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const [encodedHeader, encodedClaims, encodedSignature] = (
+      idToken || ""
+    ).split(".");
+    if (!encodedSignature) {
+      throw new Error("Malformed ID token");
+    }
+
+    const header = decodeJson(encodedHeader);
+    if (header.alg !== "RS256") {
+      throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+    }
+
+    const metadata = await this.discover();
+    const { keys } = await this.getJson(metadata.jwks_uri);
+    const jwk = keys.find((key) => key.kid === header.kid);
+    if (!jwk) {
+      throw new Error(`Unknown ID token key ${header.kid}`);
+    }
+
+    const publicKey = await crypto.subtle.importKey(
+      "jwk",
+      jwk,
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    const valid = await crypto.subtle.verify(
+      "RSASSA-PKCS1-v1_5",
+      publicKey,
+      base64UrlDecode(encodedSignature),
+      new TextEncoder().encode(`${encodedHeader}.${encodedClaims}`)
+    );
+    if (!valid) {
+      throw new Error("ID token signature is invalid");
+    }
+
+    const claims = decodeJson(encodedClaims);
+    const audiences = [].concat(claims.aud);
+    const now = Date.now();
+
+    if (claims.iss !== this.config.issuer) {
+      throw new Error(`ID token issuer ${claims.iss} is not trusted`);
+    }
+    if (!audiences.includes(this.config.clientId)) {
+      throw new Error("ID token was not issued for this client");
+    }
+    if (claims.exp * 1000 <= now - CLOCK_SKEW) {
+      throw new Error("ID token has expired");
+    }
+    if (claims.iat * 1000 > now + CLOCK_SKEW) {
+      throw new Error("ID token was issued in the future");
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error("ID token nonce does not match");
+    }
+    return claims;
+  }
+
+  async logout() {
+    this.storage?.removeItem(PENDING_LOGIN_KEY);
+  }
+
+  async getJson(url, options) {
+    const response = await this.fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`Identity provider request failed (${response.status})`);
+    }
+    return await response.json();
+  }
+
+  toUser(claims) {
+    const claimed = claims[this.config.roleClaim];
+    const role = this.config.roleMapping[claimed] || claimed;
+    return {
+      id: claims.sub,
+      name: claims.name || claims.preferred_username || claims.email,
+      email: claims.email,
+      role: ROLES[role] ? role : "VIEWER",
+    };
+  }
+}
+
+export default OidcAuthProvider;
@@ -0,0 +1,84 @@
+/**
+ * Supabase Authentication Provider
+ * Email and password sign-in through Supabase Auth. Roles are read from
+ * app_metadata, which only the service role can write, never from the
+ * user-editable user_metadata. Accounts are created in Supabase itself.
+ */
+
+import { supabase } from "../../config/supabase";
+import { ROLES } from "../../modules/securityModule";
+
+/**
+ * Supabase Auth Provider Class
+ */
+export class SupabaseAuthProvider {
+  /**
+   * @param {object} client - Supabase client
+   */
+  constructor(client = supabase) {
+    this.name = "supabase";
+    this.client = client;
+  }
+
+  /**
+   * Account the credentials are for, used for lockout
+   * @param {object} credentials - { email }
+   * @returns {string|null}
+   */
+  getAccountId({ email } = {}) {
+    return email ? email.trim().toLowerCase() : null;
+  }
+
+  /**
+   * Authenticate with email and password
+   * @param {object} credentials - { email, password }
+   * @returns {Promise<object>} - { user, expiresAt }
+   */
+  async authenticate({ email, password } = {}) {
+    const { data, error } = await this.client.auth.signInWithPassword({
+      email,
+      password,
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return {
+      user: this.toUser(data.user),
+      expiresAt: data.session?.expires_at
+        ? data.session.expires_at * 1000
+        : null,
+    };
+  }
+
+  /**
+   * Replace the signed-in user's password after checking the current one
+   * @param {object} request - { email, password, newPassword }
+   */
+  async changePassword({ email, password, newPassword }) {
+    await this.authenticate({ email, password });
+    const { error } = await this.client.auth.updateUser({
+      password: newPassword,
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+  }
+
+  async logout() {
+    await this.client.auth.signOut();
+  }
+
+  toUser(user) {
+    const role = user.app_metadata?.role;
+    return {
+      id: user.id,
+      name: user.user_metadata?.full_name || user.email,
+      email: user.email,
+      role: ROLES[role] ? role : "VIEWER",
+      department: user.app_metadata?.department,
+    };
+  }
+}
+
+export default SupabaseAuthProvider;
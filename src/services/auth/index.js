@@ -0,0 +1,52 @@
+/**
+ * Authentication Services Index
+ * Builds the app's authService from the environment:
+ *   REACT_APP_AUTH_PROVIDER  - local (default), supabase or oidc
+ *   REACT_APP_LOCAL_ADMIN_KEY_ID - Pins the local store's administrator
+ *   REACT_APP_OIDC_ISSUER    - enables the OIDC provider
+ *   REACT_APP_OIDC_CLIENT_ID
+ */
+
+import { AuthService } from "./AuthService";
+import { LocalAuthProvider } from "./LocalAuthProvider";
+import { SupabaseAuthProvider } from "./SupabaseAuthProvider";
+import { OidcAuthProvider } from "./OidcAuthProvider";
+
+export const DEFAULT_AUTH_PROVIDER =
+  process.env.REACT_APP_AUTH_PROVIDER || "local";
+
+const providers = [
+  new LocalAuthProvider(undefined, {
+    rootKeyId: process.env.REACT_APP_LOCAL_ADMIN_KEY_ID,
+  }),
+  new SupabaseAuthProvider(),
+];
+if (process.env.REACT_APP_OIDC_ISSUER) {
+  providers.push(
+    new OidcAuthProvider({
+      issuer: process.env.REACT_APP_OIDC_ISSUER,
+      clientId: process.env.REACT_APP_OIDC_CLIENT_ID,
+      redirectUri:
+        typeof window !== "undefined" ? window.location.origin : undefined,
+    })
+  );
+}
+
+export const authService = new AuthService(undefined, providers);
+
+export { AuthService } from "./AuthService";
+export {
+  LocalAuthProvider,
+  createUserStore,
+  hashPassword,
+  verifyPassword,
+} from "./LocalAuthProvider";
+export { SupabaseAuthProvider } from "./SupabaseAuthProvider";
+export {
+  OidcAuthProvider,
+  base64UrlEncode,
+  base64UrlDecode,
+  createCodeChallenge,
+} from "./OidcAuthProvider";
+
+export default authService;
@@ -0,0 +1,144 @@
+/**
+ * Mock OpenID Connect Identity Provider
+ * An in-process IdP for tests and local development. It publishes a
+ * discovery document and JWKS, issues authorization codes for its users
+ * and exchanges them (with PKCE) for RS256-signed ID tokens. Pass its
+ * fetch() to OidcAuthProvider in place of the network.
+ */
+
+import { base64UrlEncode, createCodeChallenge } from "./OidcAuthProvider";
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+/**
+ * Create a mock IdP
+ * @param {object} options - { issuer, clientId, users, tokenLifetime }
+ *   users maps usernames to ID token claims ({ sub, name, email, role })
+ * @returns {Promise<object>} - { issuer, fetch, authorize, signIdToken }
+ */
+export async function createMockIdP({
+  issuer = "http://localhost:4000/mock-idp",
+  clientId = "pharma-dashboard",
+  users = {},
+  tokenLifetime = 60 * 60,
+} = {}) {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    {
+      name: "RSASSA-PKCS1-v1_5",
+      modulusLength: 2048,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: "SHA-256",
+    },
+    true,
+    ["sign", "verify"]
+  );
+  const kid = "mock-key-1";
+  const jwk = {
+    ...(await crypto.subtle.exportKey("jwk", publicKey)),
+    kid,
+    alg: "RS256",
+    use: "sig",
+  };
+  const codes = new Map();
+
+  const metadata = {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  };
+
+  /**
+   * Sign an ID token, with claims overridable for negative tests
+   */
+  const signIdToken = async (claims) => {
+    const header = base64UrlEncode(JSON.stringify({ alg: "RS256", kid }));
+    const payload = base64UrlEncode(JSON.stringify(claims));
+    const signature = await crypto.subtle.sign(
+      "RSASSA-PKCS1-v1_5",
+      privateKey,
+      new TextEncoder().encode(`${header}.${payload}`)
+    );
+    return `${header}.${payload}.${base64UrlEncode(signature)}`;
+  };
+
+  /**
+   * Sign a user in at the IdP, as its login page would
+   * @param {string} authorizationUrl - URL from OidcAuthProvider.beginLogin()
+   * @param {string} username
+   * @returns {object} - Callback parameters { code, state } or { error, state }
+   */
+  const authorize = (authorizationUrl, username) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const state = params.get("state");
+    if (params.get("client_id") !== clientId) {
+      return { error: "unauthorized_client", state };
+    }
+    if (!users[username]) {
+      return { error: "access_denied", state };
+    }
+
+    const code = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+    codes.set(code, {
+      claims: users[username],
+      nonce: params.get("nonce"),
+      redirectUri: params.get("redirect_uri"),
+      codeChallenge: params.get("code_challenge"),
+    });
+    return { code, state };
+  };
+
+  const exchangeCode = async (body) => {
+    const params = new URLSearchParams(body);
+    const grant = codes.get(params.get("code"));
+    codes.delete(params.get("code"));
+
+    if (
+      !grant ||
+      params.get("client_id") !== clientId ||
+      params.get("redirect_uri") !== grant.redirectUri ||
+      (await createCodeChallenge(params.get("code_verifier") || "")) !==
+        grant.codeChallenge
+    ) {
+      return jsonResponse(400, { error: "invalid_grant" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    return jsonResponse(200, {
+      token_type: "Bearer",
+      expires_in: tokenLifetime,
+      id_token: await signIdToken({
+        ...grant.claims,
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + tokenLifetime,
+        nonce: grant.nonce,
+      }),
+    });
+  };
+
+  const mockFetch = async (url, options = {}) => {
+    switch (url) {
+      case `${issuer}/.well-known/openid-configuration`:
+        return jsonResponse(200, metadata);
+      case metadata.jwks_uri:
+        return jsonResponse(200, { keys: [jwk] });
+      case metadata.token_endpoint:
+        return await exchangeCode(options.body);
+      default:
+        return jsonResponse(404, { error: "not_found" });
+    }
+  };
+
+  return { issuer, clientId, fetch: mockFetch, authorize, signIdToken };
+}
+
+export default createMockIdP;
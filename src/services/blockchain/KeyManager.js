@@ -0,0 +1,708 @@
+/**
+ * Key Management for Pharmaceutical Blockchain
+ * Facility signing key rotation and revocation, replica node keys,
+ * per-user signing keys, passphrase-wrapped private key storage, and
+ * historical key resolution for chain validation
+ */
+
+import {
+  generateKeyPair,
+  exportPublicKey,
+  exportPrivateKey,
+  importPrivateKey,
+  importPublicKey,
+  verifySignature,
+  getKeyId,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+} from "./crypto";
+import { TRANSACTION_TYPES } from "./TransactionFactory";
+
+/**
+ * Key lifecycle states
+ */
+export const KEY_STATUS = {
+  ACTIVE: "active",
+  RETIRED: "retired",
+  REVOKED: "revoked",
+};
+
+/**
+ * Key management transaction actions
+ */
+export const KEY_ACTIONS = {
+  ROTATE: "rotate",
+  REVOKE: "revoke",
+  REGISTER: "register",
+  ENROLL: "enroll",
+};
+
+/**
+ * Owner recorded for facility keys in the key history
+ */
+export const FACILITY_KEY_OWNER = "facility";
+
+/**
+ * Owner recorded for the keys of replica dashboards enrolled on-chain
+ */
+export const NODE_KEY_OWNER = "node";
+
+/**
+ * Storage record IDs
+ */
+const RECORDS = {
+  FACILITY_KEY: "facility-keys",
+  NEXT_FACILITY_KEY: "facility-keys-next",
+  HISTORY: "facility-key-history",
+  userKey: (userId) => `user-key:${userId}`,
+};
+
+/**
+ * Message a new key signs to prove possession when it is announced
+ * @param {string} previousKeyId
+ * @param {string} keyId
+ * @returns {string}
+ */
+export function getPossessionChallenge(previousKeyId, keyId) {
+  return `rotate:${previousKeyId}:${keyId}`;
+}
+
+/**
+ * Message a replica's key signs to prove possession when it is enrolled
+ * @param {string} nodeId
+ * @param {string} keyId
+ * @returns {string}
+ */
+export function getEnrollmentChallenge(nodeId, keyId) {
+  return `enroll:${nodeId}:${keyId}`;
+}
+
+/**
+ * Key Manager Class
+ * Storage is injected as { get(id), put(record), delete(id) } so the
+ * manager works against IndexedDB or an in-memory store.
+ */
+export class KeyManager {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.iterations = options.iterations || 310000;
+    this.history = [];
+  }
+
+  /**
+   * Load the facility signing key, generating one on first use
+   * Wrapped keys stay locked until a passphrase is supplied.
+   * @param {string} [passphrase]
+   * @returns {Promise<object>} - { privateKey, publicKey, keyId, locked }
+   */
+  async loadFacilityKey(passphrase = null) {
+    const record = await this.storage.get(RECORDS.FACILITY_KEY);
+    await this.loadHistory();
+
+    if (!record || (!record.privateKey && !record.wrappedPrivateKey)) {
+      return await this.generateFacilityKey(passphrase);
+    }
+
+    const keyId = record.keyId || (await getKeyId(record.publicKey));
+    await this.ensureInHistory(keyId, record.publicKey, record.createdAt);
+
+    let privateKey = null;
+    if (record.wrappedPrivateKey) {
+      if (passphrase) {
+        privateKey = await unwrapPrivateKey(
+          record.wrappedPrivateKey,
+          passphrase
+        );
+      }
+    } else {
+      privateKey = await importPrivateKey(record.privateKey);
+    }
+
+    return {
+      privateKey,
+      publicKey: record.publicKey,
+      keyId,
+      locked: !privateKey,
+      wrapped: !!record.wrappedPrivateKey,
+    };
+  }
+
+  /**
+   * Generate and store a new facility signing key
+   * @param {string} [passphrase] - Wrap the private key when given
+   * @returns {Promise<object>}
+   */
+  async generateFacilityKey(passphrase = null) {
+    const key = await this.createKeyRecord(RECORDS.FACILITY_KEY, passphrase);
+    await this.ensureInHistory(key.keyId, key.publicKey, key.createdAt);
+    return { ...key, locked: false, wrapped: !!passphrase };
+  }
+
+  /**
+   * Generate a key pair and persist it under a record ID
+   */
+  async createKeyRecord(recordId, passphrase, extra = {}) {
+    const keyPair = await generateKeyPair();
+    const publicKey = await exportPublicKey(keyPair.publicKey);
+    const keyId = await getKeyId(publicKey);
+    const createdAt = new Date().toISOString();
+
+    const record = {
+      id: recordId,
+      keyId,
+      publicKey,
+      createdAt,
+      ...extra,
+    };
+    if (passphrase) {
+      record.wrappedPrivateKey = await wrapPrivateKey(
+        keyPair.privateKey,
+        passphrase,
+        this.iterations
+      );
+    } else {
+      record.privateKey = await exportPrivateKey(keyPair.privateKey);
+    }
+
+    await this.storage.put(record);
+    return { privateKey: keyPair.privateKey, publicKey, keyId, createdAt };
+  }
+
+  /**
+   * Wrap a plainly stored facility key with a passphrase
+   * @param {string} passphrase
+   */
+  async protectFacilityKey(passphrase) {
+    const record = await this.storage.get(RECORDS.FACILITY_KEY);
+    if (!record) {
+      throw new Error("No facility key to protect");
+    }
+    if (record.wrappedPrivateKey) {
+      throw new Error("Facility key is already passphrase protected");
+    }
+
+    const privateKey = await importPrivateKey(record.privateKey);
+    const { privateKey: _plain, ...rest } = record;
+    await this.storage.put({
+      ...rest,
+      wrappedPrivateKey: await wrapPrivateKey(
+        privateKey,
+        passphrase,
+        this.iterations
+      ),
+    });
+  }
+
+  /**
+   * Generate the key that will replace the facility key
+   * Stored separately until the rotation is committed to the chain.
+   * @param {string} [passphrase]
+   * @returns {Promise<object>} - { privateKey, publicKey, keyId }
+   */
+  async stageRotationKey(passphrase = null) {
+    return await this.createKeyRecord(RECORDS.NEXT_FACILITY_KEY, passphrase);
+  }
+
+  /**
+   * Whether a key is staged on this device awaiting its rotation
+   * @param {string} keyId
+   * @returns {Promise<boolean>}
+   */
+  async isStaged(keyId) {
+    const staged = await this.storage.get(RECORDS.NEXT_FACILITY_KEY);
+    return !!staged && staged.keyId === keyId;
+  }
+
+  /**
+   * Promote the staged key once its rotation transaction is on-chain
+   * The new key keeps the owner of the key it replaces, so a replica's
+   * rotated key stays a node key.
+   * @param {string} keyId - Staged key ID
+   * @param {number} blockNumber - Block that committed the rotation
+   * @param {string} previousKeyId - Key being replaced
+   */
+  async completeRotation(keyId, blockNumber, previousKeyId) {
+    const staged = await this.storage.get(RECORDS.NEXT_FACILITY_KEY);
+    if (!staged || staged.keyId !== keyId) {
+      throw new Error(`No staged key ${keyId} to promote`);
+    }
+
+    const previous = this.history.find((e) => e.keyId === previousKeyId);
+    const now = new Date().toISOString();
+    this.history = this.history.map((entry) =>
+      entry.keyId === previousKeyId
+        ? {
+            ...entry,
+            status: KEY_STATUS.RETIRED,
+            retiredAt: now,
+            retiredAtBlock: blockNumber,
+          }
+        : entry
+    );
+    this.history.push({
+      keyId,
+      publicKey: staged.publicKey,
+      ownerId: previous?.ownerId || FACILITY_KEY_OWNER,
+      ...(previous?.nodeId && { nodeId: previous.nodeId }),
+      status: KEY_STATUS.ACTIVE,
+      createdAt: staged.createdAt,
+      activatedAtBlock: blockNumber + 1,
+    });
+
+    await this.storage.put({ ...staged, id: RECORDS.FACILITY_KEY });
+    await this.storage.delete(RECORDS.NEXT_FACILITY_KEY);
+    await this.saveHistory();
+  }
+
+  /**
+   * Mark a key revoked in the local history
+   * @param {string} keyId
+   * @param {object} details - { reason, blockNumber, compromisedFromBlock }
+   */
+  async markRevoked(keyId, details = {}) {
+    this.history = this.history.map((entry) =>
+      entry.keyId === keyId
+        ? {
+            ...entry,
+            status: KEY_STATUS.REVOKED,
+            revokedAt: new Date().toISOString(),
+            revokedAtBlock: details.blockNumber,
+            compromisedFromBlock: details.compromisedFromBlock ?? null,
+            reason: details.reason || null,
+          }
+        : entry
+    );
+    await this.saveHistory();
+  }
+
+  /**
+   * Record a key announced on-chain by another replica
+   * Rotations retire the previous key; enrollments add a replica's node
+   * key, including this device's own; registrations add the user's public
+   * key. Other keys already in the history are left alone.
+   * @param {object} data - Key management transaction data
+   * @param {number} blockNumber - Block containing the announcement
+   */
+  async recordAnnouncedKey(data, blockNumber) {
+    if (data.action === KEY_ACTIONS.ENROLL) {
+      const enrolled = {
+        keyId: data.keyId,
+        publicKey: data.publicKey,
+        ownerId: NODE_KEY_OWNER,
+        nodeId: data.ownerId,
+        status: KEY_STATUS.ACTIVE,
+        createdAt: data.effectiveAt,
+        activatedAtBlock: blockNumber + 1,
+      };
+      this.history = this.hasKey(data.keyId)
+        ? this.history.map((entry) =>
+            entry.keyId === data.keyId ? { ...entry, ...enrolled } : entry
+          )
+        : [...this.history, enrolled];
+      await this.saveHistory();
+      return;
+    }
+    if (this.hasKey(data.keyId)) return;
+
+    const isRotation = data.action === KEY_ACTIONS.ROTATE;
+    const previous = this.history.find((e) => e.keyId === data.previousKeyId);
+    if (isRotation) {
+      this.history = this.history.map((entry) =>
+        entry.keyId === data.previousKeyId
+          ? {
+              ...entry,
+              status: KEY_STATUS.RETIRED,
+              retiredAt: data.effectiveAt,
+              retiredAtBlock: blockNumber,
+            }
+          : entry
+      );
+    }
+
+    this.history.push({
+      keyId: data.keyId,
+      publicKey: data.publicKey,
+      ownerId: isRotation
+        ? previous?.ownerId || FACILITY_KEY_OWNER
+        : data.ownerId,
+      ...(isRotation && previous?.nodeId && { nodeId: previous.nodeId }),
+      ownerRole: data.ownerRole || null,
+      status: KEY_STATUS.ACTIVE,
+      createdAt: data.effectiveAt,
+      ...(isRotation && { activatedAtBlock: blockNumber + 1 }),
+    });
+    await this.saveHistory();
+  }
+
+  /**
+   * Generate a passphrase-wrapped signing key for a user
+   * @param {object} user - securityModule user { id, name, role }
+   * @param {string} passphrase
+   * @returns {Promise<object>} - { keyId, publicKey }
+   */
+  async registerUserKey(user, passphrase) {
+    if (!user || !user.id) {
+      throw new Error("A signed-in user is required");
+    }
+    if (!passphrase) {
+      throw new Error("User signing keys must be passphrase protected");
+    }
+
+    const { keyId, publicKey, createdAt } = await this.createKeyRecord(
+      RECORDS.userKey(user.id),
+      passphrase,
+      { userId: user.id, userName: user.name, role: user.role }
+    );
+
+    this.history.push({
+      keyId,
+      publicKey,
+      ownerId: user.id,
+      ownerRole: user.role,
+      status: KEY_STATUS.ACTIVE,
+      createdAt,
+    });
+    await this.saveHistory();
+
+    return { keyId, publicKey };
+  }
+
+  /**
+   * Unlock a user's signing key
+   * @param {string} userId
+   * @param {string} passphrase
+   * @returns {Promise<CryptoKey>}
+   */
+  async unlockUserKey(userId, passphrase) {
+    const record = await this.storage.get(RECORDS.userKey(userId));
+    if (!record) {
+      throw new Error(`No signing key registered for ${userId}`);
+    }
+
+    const entry = this.history.find((e) => e.keyId === record.keyId);
+    if (entry && entry.status === KEY_STATUS.REVOKED) {
+      throw new Error(`Signing key for ${userId} has been revoked`);
+    }
+
+    return await unwrapPrivateKey(record.wrappedPrivateKey, passphrase);
+  }
+
+  /**
+   * Get a user's public key record
+   * @param {string} userId
+   * @returns {Promise<object|null>}
+   */
+  async getUserKey(userId) {
+    const record = await this.storage.get(RECORDS.userKey(userId));
+    if (!record) return null;
+    const { wrappedPrivateKey, ...publicRecord } = record;
+    return publicRecord;
+  }
+
+  /**
+   * Add public keys from an imported chain to the key history
+   * Private keys never leave the device, so only public entries are merged.
+   * @param {array} keys - Public key records, genesis signer first
+   * @param {object} [options]
+   * @param {boolean} [options.replace] - Imported keys take precedence, so the
+   *   imported genesis signer becomes the initial key
+   */
+  async importPublicKeys(keys, options = {}) {
+    const known = new Set(keys.map((key) => key.keyId));
+    const imported = keys.map((key) => {
+      const local = this.history.find((e) => e.keyId === key.keyId);
+      return local ? { ...key, ...local } : { ...key };
+    });
+    const localOnly = this.history.filter((e) => !known.has(e.keyId));
+
+    this.history = options.replace
+      ? [...imported, ...localOnly]
+      : [...this.history, ...imported.filter((key) => !this.hasKey(key.keyId))];
+    await this.saveHistory();
+  }
+
+  /**
+   * Whether a key is in the history
+   * @param {string} keyId
+   * @returns {boolean}
+   */
+  hasKey(keyId) {
+    return this.history.some((entry) => entry.keyId === keyId);
+  }
+
+  /**
+   * Get the public key that signed the genesis block
+   * @returns {string|null}
+   */
+  getInitialPublicKey() {
+    const facilityKeys = this.history.filter(
+      (e) => e.ownerId === FACILITY_KEY_OWNER
+    );
+    return facilityKeys.length > 0 ? facilityKeys[0].publicKey : null;
+  }
+
+  /**
+   * Get a public key from the history
+   * @param {string} keyId
+   * @returns {string|null}
+   */
+  getPublicKey(keyId) {
+    const entry = this.history.find((e) => e.keyId === keyId);
+    return entry ? entry.publicKey : null;
+  }
+
+  /**
+   * Facility key in force when a block was signed
+   * @param {number} blockNumber
+   * @returns {object|null} - History entry
+   */
+  getFacilityKeyAt(blockNumber) {
+    // The earliest entry wins ties, so the genesis signer is found even
+    // when another device's own key was kept after an archive import
+    const activatedAt = (entry) => entry.activatedAtBlock ?? 0;
+    return this.history
+      .filter(
+        (e) => e.ownerId === FACILITY_KEY_OWNER && activatedAt(e) <= blockNumber
+      )
+      .reduce(
+        (current, entry) =>
+          !current || activatedAt(entry) > activatedAt(current)
+            ? entry
+            : current,
+        null
+      );
+  }
+
+  /**
+   * Replica node keys in force when a block was signed
+   * @param {number} blockNumber
+   * @returns {array} - [{ keyId, publicKey }]
+   */
+  getNodeKeysAt(blockNumber) {
+    return this.history
+      .filter(
+        (e) =>
+          e.ownerId === NODE_KEY_OWNER &&
+          e.activatedAtBlock <= blockNumber &&
+          (e.retiredAtBlock ?? Infinity) >= blockNumber
+      )
+      .map(({ keyId, publicKey }) => ({ keyId, publicKey }));
+  }
+
+  /**
+   * Revocations recorded in the key history
+   * @returns {array} - [{ keyId, fromBlock }]
+   */
+  getRevocations() {
+    return this.history
+      .filter((entry) => entry.status === KEY_STATUS.REVOKED)
+      .map((entry) => ({
+        keyId: entry.keyId,
+        fromBlock: entry.compromisedFromBlock ?? entry.revokedAtBlock + 1,
+      }));
+  }
+
+  /**
+   * Get the key history
+   * @returns {array}
+   */
+  getHistory() {
+    return [...this.history];
+  }
+
+  async ensureInHistory(keyId, publicKey, createdAt) {
+    if (this.history.some((entry) => entry.keyId === keyId)) return;
+    this.history.push({
+      keyId,
+      publicKey,
+      ownerId: FACILITY_KEY_OWNER,
+      status: KEY_STATUS.ACTIVE,
+      createdAt: createdAt || new Date().toISOString(),
+      activatedAtBlock: 0,
+    });
+    await this.saveHistory();
+  }
+
+  async loadHistory() {
+    const record = await this.storage.get(RECORDS.HISTORY);
+    this.history = record ? record.keys : [];
+  }
+
+  async saveHistory() {
+    await this.storage.put({ id: RECORDS.HISTORY, keys: this.history });
+  }
+}
+
+/**
+ * Tracks which keys are authorized to sign each block while walking the
+ * chain: the facility key, following its rotations, and the node keys of
+ * enrolled replicas. Applies on-chain rotations, enrollments and
+ * revocations.
+ */
+export class SigningKeySchedule {
+  constructor(initialPublicKey) {
+    this.initialPublicKey = initialPublicKey;
+    this.activeKey = null;
+    this.signers = new Map(); // keyId -> public key authorized to sign
+    this.keys = new Map(); // keyId -> CryptoKey
+    this.revocations = new Map(); // keyId -> first invalid block number
+  }
+
+  /**
+   * Build a schedule for a chain, collecting revocations up front so
+   * blocks signed after a key was compromised are flagged
+   * @param {array} chain
+   * @param {string} initialPublicKey - Key that signed the first block checked
+   * @param {array} [knownRevocations] - [{ keyId, fromBlock }] recorded
+   *   outside this chain segment
+   * @param {array} [nodeKeys] - [{ keyId, publicKey }] replicas enrolled
+   *   before the first block checked
+   * @returns {Promise<SigningKeySchedule>}
+   */
+  static async fromChain(
+    chain,
+    initialPublicKey,
+    knownRevocations = [],
+    nodeKeys = []
+  ) {
+    const schedule = new SigningKeySchedule(initialPublicKey);
+    const keyId = await getKeyId(initialPublicKey);
+    schedule.activeKey = { keyId, publicKey: initialPublicKey };
+    schedule.signers.set(keyId, initialPublicKey);
+    nodeKeys.forEach((key) => schedule.signers.set(key.keyId, key.publicKey));
+
+    const revoke = (revokedKeyId, from) => {
+      const existing = schedule.revocations.get(revokedKeyId);
+      schedule.revocations.set(
+        revokedKeyId,
+        existing !== undefined ? Math.min(existing, from) : from
+      );
+    };
+    knownRevocations.forEach(({ keyId: revokedKeyId, fromBlock }) =>
+      revoke(revokedKeyId, fromBlock)
+    );
+
+    chain.forEach((block) => {
+      (block.transactions || []).forEach((tx) => {
+        if (
+          tx.type === TRANSACTION_TYPES.KEY_MANAGEMENT &&
+          tx.data.action === KEY_ACTIONS.REVOKE
+        ) {
+          revoke(
+            tx.data.keyId,
+            tx.data.compromisedFromBlock ?? block.blockNumber + 1
+          );
+        }
+      });
+    });
+
+    return schedule;
+  }
+
+  async getCryptoKey(keyId, publicKey) {
+    if (!this.keys.has(keyId)) {
+      this.keys.set(keyId, await importPublicKey(publicKey));
+    }
+    return this.keys.get(keyId);
+  }
+
+  /**
+   * Facility key expected to sign the block currently being checked
+   * @returns {object} - { keyId, publicKey }
+   */
+  getActiveKey() {
+    return this.activeKey;
+  }
+
+  /**
+   * Check a block's signer, then apply its key transactions
+   * Blocks without a signer key ID are checked against the facility key.
+   * @param {object} block
+   * @returns {Promise<object>} - { valid, reason, keyId, publicKey }
+   */
+  async checkBlock(block) {
+    const keyId = block.signerKeyId || this.activeKey.keyId;
+    const publicKey = this.signers.get(keyId);
+    let result = { valid: true, reason: null, keyId, publicKey };
+
+    if (!publicKey) {
+      const expected = [...this.signers.keys()].join(" or ");
+      result = {
+        valid: false,
+        reason: `Signed by ${keyId}, expected ${expected}`,
+        keyId: this.activeKey.keyId,
+        publicKey: null,
+      };
+    } else if (
+      !(await verifySignature(
+        block.currentHash,
+        block.signature,
+        await this.getCryptoKey(keyId, publicKey)
+      ))
+    ) {
+      result = {
+        valid: false,
+        reason: "Block signature invalid",
+        keyId,
+        publicKey,
+      };
+    } else if (
+      this.revocations.has(keyId) &&
+      block.blockNumber >= this.revocations.get(keyId)
+    ) {
+      result = {
+        valid: false,
+        reason: `Signed by revoked key ${keyId}`,
+        keyId,
+        publicKey,
+      };
+    }
+
+    await this.applyKeyTransactions(block);
+    return result;
+  }
+
+  /**
+   * Apply rotations and enrollments announced in a block; they take effect
+   * from the next block
+   */
+  async applyKeyTransactions(block) {
+    for (const tx of block.transactions || []) {
+      if (tx.type !== TRANSACTION_TYPES.KEY_MANAGEMENT) continue;
+      const { action, keyId, publicKey, previousKeyId, ownerId } = tx.data;
+      if (action !== KEY_ACTIONS.ROTATE && action !== KEY_ACTIONS.ENROLL) {
+        continue;
+      }
+
+      // Rotations are signed by the outgoing key, enrollments by the
+      // signer that endorsed the replica
+      const announcerId =
+        action === KEY_ACTIONS.ROTATE ? previousKeyId : tx.data.endorserKeyId;
+      if (!this.signers.has(announcerId)) continue;
+      const announced = await verifySignature(
+        JSON.stringify(tx.data),
+        tx.signature,
+        await this.getCryptoKey(announcerId, this.signers.get(announcerId))
+      );
+      if (!announced) continue;
+
+      // The incoming key must prove possession of its private half
+      const possessed = await verifySignature(
+        action === KEY_ACTIONS.ROTATE
+          ? getPossessionChallenge(previousKeyId, keyId)
+          : getEnrollmentChallenge(ownerId, keyId),
+        tx.data.possessionProof,
+        await this.getCryptoKey(keyId, publicKey)
+      );
+      if (!possessed) continue;
+
+      if (action === KEY_ACTIONS.ROTATE) {
+        this.signers.delete(previousKeyId);
+        if (previousKeyId === this.activeKey.keyId) {
+          this.activeKey = { keyId, publicKey };
+        }
+      }
+      this.signers.set(keyId, publicKey);
+    }
+  }
+}
@@ -102,10 +102,13 @@ export class MerkleTree {
       const isRightNode = currentIndex % 2 === 1;
       const siblingIndex = isRightNode ? currentIndex - 1 : currentIndex + 1;
 
-      if (siblingIndex < this.tree[level].length) {
-        proof.path.push(this.tree[level][siblingIndex]);
-        proof.indices.push(isRightNode ? 0 : 1); // 0 = sibling is left, 1 = sibling is right
-      }
+      // An unpaired last node is hashed with itself by build()
+      const sibling =
+        siblingIndex < this.tree[level].length
+          ? this.tree[level][siblingIndex]
+          : this.tree[level][currentIndex];
+      proof.path.push(sibling);
+      proof.indices.push(isRightNode ? 0 : 1); // 0 = sibling is left, 1 = sibling is right
 
       currentIndex = Math.floor(currentIndex / 2);
     }
@@ -0,0 +1,243 @@
+/**
+ * Mining Worker Client
+ * Dispatches mining and validation jobs to the mining Web Worker, with
+ * progress callbacks and cancellation. Falls back to running the same
+ * routines in-thread where Web Workers are unavailable.
+ */
+
+import {
+  mineBlockData,
+  validateChainData,
+  MiningCancelledError,
+} from "./miningCore";
+
+/**
+ * Mining Worker Client Class
+ */
+class MiningWorkerClient {
+  constructor(options = {}) {
+    this.useWorker =
+      options.useWorker !== undefined
+        ? options.useWorker
+        : typeof Worker !== "undefined";
+    this.workerFactory = options.workerFactory || null;
+    this.worker = null;
+    this.workerPromise = null;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Lazily create the worker, falling back to in-thread execution on failure
+   * @returns {Promise<Worker|null>}
+   */
+  async getWorker() {
+    if (!this.useWorker) return null;
+    if (this.worker) return this.worker;
+
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        try {
+          const factory =
+            this.workerFactory ||
+            (await import("./createMiningWorker")).default;
+          const worker = factory();
+          worker.onmessage = (event) => this.handleMessage(event.data);
+          worker.onerror = (event) => this.handleWorkerError(event);
+          this.worker = worker;
+          return worker;
+        } catch (error) {
+          console.warn(
+            "Mining worker unavailable, mining on main thread:",
+            error
+          );
+          this.useWorker = false;
+          return null;
+        } finally {
+          this.workerPromise = null;
+        }
+      })();
+    }
+
+    return this.workerPromise;
+  }
+
+  /**
+   * Mine a block template
+   * @param {object} template - Block fields without merkleRoot/nonce/hash
+   * @param {object} options - { privateKey, onProgress, progressInterval }
+   * @returns {{jobId: number, promise: Promise<object>}}
+   */
+  mine(template, options = {}) {
+    const { onProgress, ...rest } = options;
+    return this.runJob("mine", { template, ...rest }, onProgress);
+  }
+
+  /**
+   * Validate a chain
+   * @param {array} chain
+   * @param {object} options - validateChainData() options and onProgress
+   * @returns {{jobId: number, promise: Promise<object>}}
+   */
+  validate(chain, options = {}) {
+    const { onProgress, ...rest } = options;
+    return this.runJob("validate", { chain, ...rest }, onProgress);
+  }
+
+  /**
+   * Queue a job on the worker or run it in-thread
+   */
+  runJob(type, payload, onProgress = () => {}) {
+    const jobId = this.nextJobId++;
+    const job = { type, onProgress, cancelled: false };
+    this.jobs.set(jobId, job);
+
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.getWorker().then((worker) => {
+      if (job.cancelled) {
+        this.settle(jobId, { cancelled: true });
+        return;
+      }
+      if (worker) {
+        worker.postMessage({ id: jobId, type, payload });
+      } else {
+        this.runInThread(jobId, type, payload);
+      }
+    });
+
+    return { jobId, promise };
+  }
+
+  /**
+   * Run a job on the current thread using the shared mining core
+   */
+  async runInThread(jobId, type, payload) {
+    const job = this.jobs.get(jobId);
+    const options = {
+      onProgress: (progress) => job.onProgress(progress),
+      isCancelled: () => job.cancelled,
+    };
+
+    try {
+      const result =
+        type === "mine"
+          ? await mineBlockData(payload.template, {
+              ...options,
+              privateKey: payload.privateKey,
+              progressInterval: payload.progressInterval,
+            })
+          : await validateChainData(payload.chain, {
+              ...payload,
+              ...options,
+            });
+      this.settle(jobId, { result });
+    } catch (error) {
+      this.settle(jobId, {
+        error: error.message,
+        cancelled: !!error.cancelled,
+      });
+    }
+  }
+
+  /**
+   * Handle a message from the worker
+   */
+  handleMessage({ id, type, data }) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    switch (type) {
+      case "progress":
+        try {
+          job.onProgress(data);
+        } catch (error) {
+          console.error("Mining progress callback error:", error);
+        }
+        break;
+      case "result":
+        this.settle(id, { result: data });
+        break;
+      case "error":
+        this.settle(id, { error: data.message, cancelled: data.cancelled });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Fail all in-flight jobs if the worker crashes
+   */
+  handleWorkerError(event) {
+    console.error("Mining worker error:", event.message || event);
+    this.worker = null;
+    Array.from(this.jobs.keys()).forEach((jobId) => {
+      this.settle(jobId, { error: event.message || "Mining worker crashed" });
+    });
+  }
+
+  /**
+   * Resolve or reject a job and forget it
+   */
+  settle(jobId, { result, error, cancelled }) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+    this.jobs.delete(jobId);
+
+    if (cancelled) {
+      job.reject(new MiningCancelledError(error));
+    } else if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * Cancel a job
+   * @param {number} jobId
+   * @returns {boolean} - True if the job was still running
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    job.cancelled = true;
+    if (this.worker) {
+      this.worker.postMessage({ type: "cancel", payload: { jobId } });
+    }
+    return true;
+  }
+
+  /**
+   * Cancel every running job and terminate the worker
+   */
+  terminate() {
+    Array.from(this.jobs.keys()).forEach((jobId) => {
+      this.jobs.get(jobId).cancelled = true;
+      this.settle(jobId, {
+        cancelled: true,
+        error: "Mining worker terminated",
+      });
+    });
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Whether jobs run in a Web Worker
+   * @returns {boolean}
+   */
+  isUsingWorker() {
+    return this.useWorker && !!this.worker;
+  }
+}
+
+export { MiningWorkerClient, MiningCancelledError };
+export default MiningWorkerClient;
@@ -8,14 +8,49 @@ import {
   calculateBlockHash,
   signData,
   verifySignature,
-  generateKeyPair,
-  exportPublicKey,
-  exportPrivateKey,
-  importPrivateKey,
   generateNonce,
+  importPublicKey,
+  getKeyId,
 } from "./crypto";
 import { MerkleTree, calculateMerkleRoot } from "./MerkleTree";
 import { TransactionFactory, TRANSACTION_TYPES } from "./TransactionFactory";
+import { MiningWorkerClient } from "./MiningWorkerClient";
+import { createProofBundle } from "./proofBundle";
+import {
+  CONSENSUS_TYPES,
+  createAuthorityConfig,
+  createSeal,
+  verifyBlockSeals,
+} from "./proofOfAuthority";
+import {
+  KeyManager,
+  KEY_ACTIONS,
+  KEY_STATUS,
+  FACILITY_KEY_OWNER,
+  getPossessionChallenge,
+  getEnrollmentChallenge,
+} from "./KeyManager";
+import {
+  createChainArchive,
+  parseChainArchive,
+  verifyChainArchive,
+  ChainArchiveError,
+  IMPORT_MODES,
+} from "./chainArchive";
+import {
+  ChainIndex,
+  createIndexEntry,
+  normalizeQuery,
+  matchesQuery,
+} from "./chainIndex";
+import {
+  createCheckpoint,
+  verifyCheckpoints,
+  verifySegment,
+} from "./checkpoints";
+import { REPLICATION_STATUS, FORK_RULE, compareBranches } from "./replication";
+import { investigateChain, createIncidentReport } from "./forensics";
+import securityModule from "../../modules/securityModule";
 
 /**
  * Sync status constants
@@ -42,12 +77,14 @@ export const BLOCK_TYPES = {
  * IndexedDB database name and stores
  */
 const DB_NAME = "PharmaBlockchain";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORES = {
   CHAIN: "blockchain",
   PENDING: "pendingTransactions",
   KEYS: "cryptoKeys",
   CONFIG: "config",
+  CHECKPOINTS: "checkpoints",
+  TX_INDEX: "transactionIndex",
 };
 
 /**
@@ -57,16 +94,37 @@ class PharmaBlockchainService {
   constructor() {
     this.chain = [];
     this.pendingTransactions = [];
-    this.difficulty = 3; // Number of leading zeros required
+    this.difficulty = 3; // Number of leading zeros required (proof of work)
+    this.consensus = CONSENSUS_TYPES.PROOF_OF_WORK;
+    this.authority = null; // { sealers, threshold } for proof of authority
+    this.blockAwaitingSeals = null;
     this.blockSize = 10; // Transactions per block
+    this.checkpointInterval = 1000; // Blocks summarized per checkpoint
+    this.retainedBlocks = 100; // Checkpointed blocks kept in memory
+    this.blockCacheSize = 200; // Archived blocks cached after lazy loads
+    this.checkpoints = [];
+    this.chainIndex = new ChainIndex();
+    this.blockCache = new Map();
     this.miningReward = 0; // No mining rewards for pharmaceutical use
     this.isInitialized = false;
     this.privateKey = null;
     this.publicKey = null;
+    this.signerKeyId = null;
+    this.isKeyWrapped = false;
+    this.pendingRotation = null; // Staged key until its rotation is mined
     this.facilityId = "PHARMA_FACILITY_001";
     this.db = null;
     this.subscribers = [];
     this.transactionFactory = new TransactionFactory(this.facilityId);
+    this.keyManager = new KeyManager({
+      get: (id) => this.loadKeyRecord(id),
+      put: (record) => this.saveKeyRecord(record),
+      delete: (id) => this.deleteKeyRecord(id),
+    });
+    this.miningClient = new MiningWorkerClient();
+    this.currentMiningJob = null;
+    this.currentValidationJob = null;
+    this.miningPromise = null;
   }
 
   /**
@@ -82,12 +140,22 @@ class PharmaBlockchainService {
       // Load or generate keys
       await this.loadOrGenerateKeys();
 
-      // Load existing chain or create genesis
-      const existingChain = await this.loadChainFromStorage();
+      // Load consensus configuration
+      await this.loadConsensusConfig();
+
+      // Load blocks after the latest checkpoint, or create genesis
+      this.checkpoints = await this.loadCheckpoints();
+      const existingChain = await this.loadBlocksFromStorage(
+        this.getMemoryStart()
+      );
 
       if (existingChain && existingChain.length > 0) {
-        this.chain = existingChain;
-        console.log(`Loaded blockchain with ${this.chain.length} blocks`);
+        this.setChain(existingChain);
+        console.log(
+          `Loaded blockchain with ${this.getChainLength()} blocks (${
+            this.chain.length
+          } in memory)`
+        );
       } else {
         await this.createGenesisBlock();
         console.log("Created new blockchain with genesis block");
@@ -120,6 +188,7 @@ class PharmaBlockchainService {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const upgrade = event.target.transaction;
 
         // Create stores
         if (!db.objectStoreNames.contains(STORES.CHAIN)) {
@@ -145,31 +214,57 @@ class PharmaBlockchainService {
         if (!db.objectStoreNames.contains(STORES.CONFIG)) {
           db.createObjectStore(STORES.CONFIG, { keyPath: "key" });
         }
+
+        if (!db.objectStoreNames.contains(STORES.CHECKPOINTS)) {
+          db.createObjectStore(STORES.CHECKPOINTS, {
+            keyPath: "checkpointNumber",
+          });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.TX_INDEX)) {
+          const indexStore = db.createObjectStore(STORES.TX_INDEX, {
+            keyPath: "id",
+          });
+          indexStore.createIndex("blockNumber", "blockNumber", {
+            unique: false,
+          });
+          indexStore.createIndex("timestamp", "timestamp", { unique: false });
+          indexStore.createIndex("type_time", ["type", "timestamp"], {
+            unique: false,
+          });
+          indexStore.createIndex("room_time", ["roomId", "timestamp"], {
+            unique: false,
+          });
+
+          // Index blocks written before the index existed
+          if (event.oldVersion > 0) {
+            upgrade.objectStore(STORES.CHAIN).openCursor().onsuccess = (e) => {
+              const cursor = e.target.result;
+              if (!cursor) return;
+              cursor.value.transactions.forEach((tx) =>
+                indexStore.put(createIndexEntry(tx, cursor.value))
+              );
+              cursor.continue();
+            };
+          }
+        }
       };
     });
   }
 
   /**
    * Load or generate cryptographic keys
+   * Passphrase-protected keys stay locked until unlockSigningKey() is called.
    */
   async loadOrGenerateKeys() {
     try {
-      const transaction = this.db.transaction([STORES.KEYS], "readonly");
-      const store = transaction.objectStore(STORES.KEYS);
-      const request = store.get("facility-keys");
-
-      const result = await new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
-
-      if (result && result.privateKey) {
-        this.privateKey = await importPrivateKey(result.privateKey);
-        this.publicKey = result.publicKey;
-        console.log("Loaded existing cryptographic keys");
-      } else {
-        await this.generateAndSaveKeys();
-      }
+      const key = await this.keyManager.loadFacilityKey();
+      this.setFacilityKey(key);
+      console.log(
+        key.locked
+          ? "Facility signing key is passphrase protected and locked"
+          : "Loaded existing cryptographic keys"
+      );
     } catch (error) {
       console.error("Error loading keys:", error);
       await this.generateAndSaveKeys();
@@ -180,27 +275,407 @@ class PharmaBlockchainService {
    * Generate and save new cryptographic keys
    */
   async generateAndSaveKeys() {
-    const keyPair = await generateKeyPair();
-    this.privateKey = keyPair.privateKey;
-    this.publicKey = await exportPublicKey(keyPair.publicKey);
+    this.setFacilityKey(await this.keyManager.generateFacilityKey());
+    console.log("Generated new cryptographic keys");
+  }
 
-    const privateKeyExport = await exportPrivateKey(keyPair.privateKey);
+  /**
+   * Use a loaded facility key for signing
+   * @param {object} key - { privateKey, publicKey, keyId, wrapped }
+   */
+  setFacilityKey(key) {
+    this.privateKey = key.privateKey;
+    this.publicKey = key.publicKey;
+    this.signerKeyId = key.keyId;
+    this.isKeyWrapped = !!key.wrapped;
+  }
 
-    const transaction = this.db.transaction([STORES.KEYS], "readwrite");
-    const store = transaction.objectStore(STORES.KEYS);
+  /**
+   * Throw if the facility key is locked
+   */
+  requireSigningKey() {
+    if (!this.privateKey) {
+      throw new Error(
+        "Facility signing key is locked; unlock it with the key passphrase"
+      );
+    }
+  }
 
-    await new Promise((resolve, reject) => {
-      const request = store.put({
-        id: "facility-keys",
-        privateKey: privateKeyExport,
-        publicKey: this.publicKey,
-        createdAt: new Date().toISOString(),
+  /**
+   * Unlock a passphrase-protected facility key
+   * @param {string} passphrase
+   */
+  async unlockSigningKey(passphrase) {
+    try {
+      const key = await this.keyManager.loadFacilityKey(passphrase);
+      this.setFacilityKey(key);
+    } catch (error) {
+      securityModule.logAudit("SIGNING_KEY_UNLOCK_FAILED", this.signerKeyId, {
+        reason: error.message,
       });
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      throw error;
+    }
+
+    securityModule.logAudit("SIGNING_KEY_UNLOCKED", this.signerKeyId);
+    this.notifySubscribers("signingKeyUnlocked", { keyId: this.signerKeyId });
+  }
+
+  /**
+   * Encrypt the stored facility key with a passphrase (PBKDF2 + AES-GCM)
+   * @param {string} passphrase
+   */
+  async protectSigningKey(passphrase) {
+    await this.keyManager.protectFacilityKey(passphrase);
+    this.isKeyWrapped = true;
+    securityModule.logAudit("SIGNING_KEY_PROTECTED", this.signerKeyId);
+  }
+
+  /**
+   * Rotate the facility signing key
+   * The new key is announced in a key-rotation transaction signed by the
+   * current key and takes over once the block containing it is committed.
+   * @param {object} options - { reason, passphrase }
+   * @returns {Promise<object>} - { keyId, transactionId, block }
+   */
+  async rotateSigningKey(options = {}) {
+    const { reason = "scheduled", passphrase = null } = options;
+
+    this.requireSigningKey();
+    if (this.blockAwaitingSeals) {
+      throw new Error(
+        "Cannot rotate the signing key while a block awaits seals"
+      );
+    }
+    if (this.pendingRotation) {
+      throw new Error(
+        `Rotation to ${this.pendingRotation.keyId} is already pending`
+      );
+    }
+    if (this.isKeyWrapped && !passphrase) {
+      throw new Error("A passphrase is required to protect the new key");
+    }
+
+    // Let any block in progress finish with the current key
+    if (this.miningPromise) {
+      await this.miningPromise.catch(() => null);
+    }
+
+    const next = await this.keyManager.stageRotationKey(passphrase);
+
+    const tx = this.transactionFactory.createKeyManagementTransaction(
+      KEY_ACTIONS.ROTATE,
+      {
+        keyId: next.keyId,
+        publicKey: next.publicKey,
+        previousKeyId: this.signerKeyId,
+        reason,
+        possessionProof: await signData(
+          getPossessionChallenge(this.signerKeyId, next.keyId),
+          next.privateKey
+        ),
+      }
+    );
+    tx.signature = await signData(JSON.stringify(tx.data), this.privateKey);
+
+    // Mine the announcement ahead of any queued transactions. The rotation
+    // is pending only once it is queued, so a failed signature leaves none.
+    this.pendingTransactions.unshift(tx);
+    this.pendingRotation = { ...next, wrapped: !!passphrase };
+    await this.savePendingTransaction(tx);
+    this.notifySubscribers("newTransaction", tx);
+
+    securityModule.logAudit("SIGNING_KEY_ROTATION_STARTED", next.keyId, {
+      previousKeyId: this.signerKeyId,
+      reason,
     });
 
-    console.log("Generated new cryptographic keys");
+    const block = await this.mineBlock();
+    return { keyId: next.keyId, transactionId: tx.id, block };
+  }
+
+  /**
+   * Revoke a facility or user signing key
+   * Revoking the active facility key rotates it first. Blocks signed by a
+   * revoked key from compromisedFromBlock onwards fail validation.
+   * @param {string} keyId
+   * @param {object} options - { reason, compromisedFromBlock, passphrase }
+   * @returns {Promise<object>} - { transactionId, block }
+   */
+  async revokeKey(keyId, options = {}) {
+    const {
+      reason = "compromised",
+      compromisedFromBlock,
+      passphrase,
+    } = options;
+
+    const entry = this.keyManager.getHistory().find((e) => e.keyId === keyId);
+    if (!entry) {
+      throw new Error(`Unknown signing key: ${keyId}`);
+    }
+    if (entry.status === KEY_STATUS.REVOKED) {
+      throw new Error(`Signing key ${keyId} is already revoked`);
+    }
+
+    if (keyId === this.signerKeyId) {
+      await this.rotateSigningKey({
+        reason: `revocation: ${reason}`,
+        passphrase,
+      });
+      if (keyId === this.signerKeyId) {
+        throw new Error(`Rotation away from ${keyId} has not been committed`);
+      }
+    }
+
+    const tx = this.transactionFactory.createKeyManagementTransaction(
+      KEY_ACTIONS.REVOKE,
+      {
+        keyId,
+        ownerId: entry.ownerId,
+        ownerRole: entry.ownerRole,
+        reason,
+        compromisedFromBlock,
+      }
+    );
+    await this.addTransaction(tx);
+
+    securityModule.logAudit("SIGNING_KEY_REVOCATION_REQUESTED", keyId, {
+      reason,
+      compromisedFromBlock: compromisedFromBlock ?? null,
+    });
+
+    const block = await this.mineBlock();
+    return { transactionId: tx.id, block };
+  }
+
+  /**
+   * Ask to join a ledger as a replica
+   * The request carries this device's public key and proves possession of
+   * the private half; a node already signing the ledger enrolls it.
+   * @param {string} nodeId - Replica ID used on the relay
+   * @returns {Promise<object>} - { nodeId, keyId, publicKey, possessionProof }
+   */
+  async createEnrollmentRequest(nodeId) {
+    this.requireSigningKey();
+    return {
+      nodeId,
+      keyId: this.signerKeyId,
+      publicKey: this.publicKey,
+      possessionProof: await signData(
+        getEnrollmentChallenge(nodeId, this.signerKeyId),
+        this.privateKey
+      ),
+    };
+  }
+
+  /**
+   * Enroll a replica's key in the ledger's signer set
+   * The enrollment is signed with this node's key and mined at once; the
+   * replica's blocks are accepted from the next block on.
+   * @param {object} request - From createEnrollmentRequest()
+   * @returns {Promise<object>} - { keyId, transactionId, block }
+   */
+  async enrollNode(request) {
+    this.requireSigningKey();
+    const { nodeId, keyId, publicKey, possessionProof } = request;
+
+    if ((await getKeyId(publicKey)) !== keyId) {
+      throw new Error(`Key ID ${keyId} does not match the enrolled key`);
+    }
+    const possessed = await verifySignature(
+      getEnrollmentChallenge(nodeId, keyId),
+      possessionProof,
+      await importPublicKey(publicKey)
+    );
+    if (!possessed) {
+      throw new Error(`Node ${nodeId} did not prove possession of ${keyId}`);
+    }
+    const entry = this.keyManager.getHistory().find((e) => e.keyId === keyId);
+    if (entry && entry.status === KEY_STATUS.REVOKED) {
+      throw new Error(`Signing key ${keyId} has been revoked`);
+    }
+    if (
+      this.keyManager.getNodeKeysAt(Infinity).some((k) => k.keyId === keyId)
+    ) {
+      throw new Error(`Node key ${keyId} is already enrolled`);
+    }
+
+    const tx = this.transactionFactory.createKeyManagementTransaction(
+      KEY_ACTIONS.ENROLL,
+      {
+        keyId,
+        publicKey,
+        ownerId: nodeId,
+        endorserKeyId: this.signerKeyId,
+        possessionProof,
+      }
+    );
+    tx.signature = await signData(JSON.stringify(tx.data), this.privateKey);
+    await this.addTransaction(tx);
+
+    securityModule.logAudit("NODE_ENROLLMENT_REQUESTED", keyId, {
+      nodeId,
+      endorserKeyId: this.signerKeyId,
+    });
+
+    const block = await this.mineBlock();
+    return { keyId, transactionId: tx.id, block };
+  }
+
+  /**
+   * Register a passphrase-protected signing key for a user
+   * The public key is recorded on-chain against the user and role.
+   * @param {string} passphrase
+   * @param {object} [user] - Defaults to the signed-in securityModule user
+   * @returns {Promise<object>} - { keyId, publicKey, transactionId }
+   */
+  async registerUserSigningKey(passphrase, user = securityModule.currentUser) {
+    const { keyId, publicKey } = await this.keyManager.registerUserKey(
+      user,
+      passphrase
+    );
+
+    const tx = this.transactionFactory.createKeyManagementTransaction(
+      KEY_ACTIONS.REGISTER,
+      {
+        keyId,
+        publicKey,
+        ownerId: user.id,
+        ownerRole: user.role,
+      }
+    );
+    tx.userId = user.id;
+    await this.addTransaction(tx);
+
+    securityModule.logAudit("USER_SIGNING_KEY_REGISTERED", keyId, {
+      userId: user.id,
+      role: user.role,
+    });
+
+    return { keyId, publicKey, transactionId: tx.id };
+  }
+
+  /**
+   * Unlock a user's signing key
+   * @param {string} passphrase
+   * @param {string} [userId] - Defaults to the signed-in securityModule user
+   * @returns {Promise<CryptoKey>}
+   */
+  async unlockUserSigningKey(
+    passphrase,
+    userId = securityModule.currentUser?.id
+  ) {
+    return await this.keyManager.unlockUserKey(userId, passphrase);
+  }
+
+  /**
+   * Apply key rotations and revocations once their block is committed
+   * @param {object} block
+   */
+  async applyKeyTransactions(block) {
+    for (const tx of block.transactions) {
+      if (tx.type !== TRANSACTION_TYPES.KEY_MANAGEMENT) continue;
+      const { action, keyId, previousKeyId } = tx.data;
+
+      if (
+        action === KEY_ACTIONS.ROTATE &&
+        previousKeyId === this.signerKeyId &&
+        (await this.keyManager.isStaged(keyId))
+      ) {
+        await this.keyManager.completeRotation(
+          keyId,
+          block.blockNumber,
+          previousKeyId
+        );
+
+        const staged =
+          this.pendingRotation && this.pendingRotation.keyId === keyId
+            ? this.pendingRotation
+            : await this.keyManager.loadFacilityKey();
+        this.setFacilityKey(staged);
+        this.pendingRotation = null;
+        await this.updateFacilitySealerKey();
+
+        securityModule.logAudit("SIGNING_KEY_ROTATED", keyId, {
+          previousKeyId,
+          blockNumber: block.blockNumber,
+        });
+        this.notifySubscribers("signingKeyRotated", {
+          keyId,
+          previousKeyId,
+          blockNumber: block.blockNumber,
+        });
+      } else if (action === KEY_ACTIONS.REVOKE) {
+        await this.keyManager.markRevoked(keyId, {
+          reason: tx.data.reason,
+          blockNumber: block.blockNumber,
+          compromisedFromBlock: tx.data.compromisedFromBlock,
+        });
+
+        securityModule.logAudit("SIGNING_KEY_REVOKED", keyId, {
+          reason: tx.data.reason,
+          blockNumber: block.blockNumber,
+        });
+        this.notifySubscribers("signingKeyRevoked", {
+          keyId,
+          blockNumber: block.blockNumber,
+        });
+      } else if (action === KEY_ACTIONS.ENROLL) {
+        await this.keyManager.recordAnnouncedKey(tx.data, block.blockNumber);
+
+        securityModule.logAudit("NODE_ENROLLED", keyId, {
+          nodeId: tx.data.ownerId,
+          blockNumber: block.blockNumber,
+        });
+        this.notifySubscribers("nodeEnrolled", {
+          keyId,
+          nodeId: tx.data.ownerId,
+          blockNumber: block.blockNumber,
+        });
+      } else {
+        // Rotation or registration replicated from another node
+        await this.keyManager.recordAnnouncedKey(tx.data, block.blockNumber);
+      }
+    }
+  }
+
+  /**
+   * Point the facility sealer at the rotated key
+   */
+  async updateFacilitySealerKey() {
+    if (!this.authority) return;
+
+    this.authority = {
+      ...this.authority,
+      sealers: this.authority.sealers.map((sealer) =>
+        sealer.id === this.facilityId
+          ? { ...sealer, publicKey: this.publicKey }
+          : sealer
+      ),
+    };
+    await this.saveConfig("consensus", {
+      type: this.consensus,
+      authority: this.authority,
+    });
+  }
+
+  /**
+   * Get the public key that signed a block
+   * @param {object} block
+   * @returns {string}
+   */
+  getSignerPublicKey(block) {
+    const entry = this.keyManager
+      .getHistory()
+      .find((e) => e.keyId === block.signerKeyId);
+    return entry ? entry.publicKey : this.publicKey;
+  }
+
+  /**
+   * Get facility and user key history
+   * @returns {array}
+   */
+  getKeyHistory() {
+    return this.keyManager.getHistory();
   }
 
   /**
@@ -242,6 +717,7 @@ class PharmaBlockchainService {
       difficulty: 0,
       minedBy: "SYSTEM",
       facilityId: this.facilityId,
+      signerKeyId: this.signerKeyId,
       blockType: BLOCK_TYPES.GENESIS,
       version: "1.0.0",
       complianceChecks: [],
@@ -262,6 +738,7 @@ class PharmaBlockchainService {
     );
 
     this.chain.push(genesisBlock);
+    this.chainIndex.addBlock(genesisBlock);
     await this.saveBlockToStorage(genesisBlock);
 
     return genesisBlock;
@@ -281,6 +758,7 @@ class PharmaBlockchainService {
 
     // Sign transaction if not already signed
     if (!transaction.signature) {
+      this.requireSigningKey();
       transaction.signature = await signData(
         JSON.stringify(transaction.data),
         this.privateKey
@@ -321,9 +799,7 @@ class PharmaBlockchainService {
     // Check for duplicate
     const isDuplicate =
       this.pendingTransactions.some((tx) => tx.id === transaction.id) ||
-      this.chain.some((block) =>
-        block.transactions.some((tx) => tx.id === transaction.id)
-      );
+      !!this.chainIndex.get(transaction.id);
 
     if (isDuplicate) {
       return { valid: false, reason: "Duplicate transaction" };
@@ -350,63 +826,143 @@ class PharmaBlockchainService {
    * @returns {Promise<object>} The mined block
    */
   async mineBlock(minerAddress = null) {
+    // Only one block can be mined at a time
+    if (this.miningPromise) {
+      return this.miningPromise;
+    }
+
+    this.miningPromise = this.mineNextBlock(minerAddress);
+    try {
+      return await this.miningPromise;
+    } finally {
+      this.miningPromise = null;
+    }
+  }
+
+  /**
+   * Mine the next block in the mining worker
+   * @param {string} minerAddress
+   * @returns {Promise<object|null>}
+   */
+  async mineNextBlock(minerAddress) {
+    // A sealed block waiting for co-signatures must be finalized first
+    if (this.blockAwaitingSeals) {
+      console.log(
+        `Block #${this.blockAwaitingSeals.block.blockNumber} is awaiting co-signatures`
+      );
+      return this.blockAwaitingSeals.block;
+    }
+
     if (this.pendingTransactions.length === 0) {
       console.log("No pending transactions to mine");
       return null;
     }
 
+    this.requireSigningKey();
+
+    const isAuthority = this.consensus === CONSENSUS_TYPES.PROOF_OF_AUTHORITY;
     const previousBlock = this.getLatestBlock();
     const blockNumber = previousBlock.blockNumber + 1;
     const transactions = this.pendingTransactions.slice(0, this.blockSize);
 
-    // Calculate Merkle root
-    const merkleRoot = await calculateMerkleRoot(transactions);
-
-    // Prepare block data
-    const blockData = {
+    // Prepare block template; Merkle root and nonce are set by the worker.
+    // Sealed blocks use difficulty 0, so the worker only hashes and signs.
+    const template = {
       blockNumber,
       timestamp: new Date().toISOString(),
       previousHash: previousBlock.currentHash,
       transactions,
-      merkleRoot,
-      nonce: 0,
-      difficulty: this.difficulty,
+      difficulty: isAuthority ? 0 : this.difficulty,
       minedBy: minerAddress || this.facilityId,
       facilityId: this.facilityId,
+      signerKeyId: this.signerKeyId,
       blockType: this.determineBlockType(transactions),
       version: "1.0.0",
     };
+    if (isAuthority) {
+      template.consensus = {
+        type: CONSENSUS_TYPES.PROOF_OF_AUTHORITY,
+        threshold: this.authority.threshold,
+      };
+    }
 
-    // Mine block (Proof of Work)
+    // Mine block (Proof of Work) or seal it off the UI thread
     console.log(`Mining block #${blockNumber}...`);
-    const startTime = Date.now();
-    let nonce = 0;
-    let hash = "";
-    const target = "0".repeat(this.difficulty);
-
-    do {
-      blockData.nonce = nonce;
-      hash = await calculateBlockHash(blockData);
+    const { jobId, promise } = this.miningClient.mine(template, {
+      privateKey: this.privateKey,
+      onProgress: (progress) =>
+        this.notifySubscribers("miningProgress", progress),
+    });
+    this.currentMiningJob = jobId;
+    this.notifySubscribers("miningStarted", {
+      blockNumber,
+      transactionCount: transactions.length,
+    });
 
-      if (hash.substring(0, this.difficulty) === target) {
-        break;
+    let mined;
+    try {
+      mined = await promise;
+    } catch (error) {
+      if (error.cancelled) {
+        console.log(`Mining of block #${blockNumber} cancelled`);
+        this.notifySubscribers("miningCancelled", { blockNumber });
+        return null;
       }
+      throw error;
+    } finally {
+      this.currentMiningJob = null;
+    }
+
+    const { block: minedBlock, miningTime } = mined;
+    console.log(
+      `Block mined in ${miningTime}ms with nonce ${minedBlock.nonce}`
+    );
 
-      nonce++;
+    // The chain may have moved on while the worker was busy
+    if (this.getLatestBlock().currentHash !== minedBlock.previousHash) {
+      console.warn(`Discarding stale block #${blockNumber}`);
+      return null;
+    }
 
-      // Yield to prevent blocking
-      if (nonce % 1000 === 0) {
-        await new Promise((resolve) => setTimeout(resolve, 0));
+    if (isAuthority) {
+      // The facility system key provides the first seal
+      minedBlock.seals = [
+        {
+          sealerId: this.facilityId,
+          signature: minedBlock.signature,
+          sealedAt: new Date().toISOString(),
+        },
+      ];
+
+      if (this.authority.threshold > 1) {
+        this.blockAwaitingSeals = {
+          block: minedBlock,
+          transactions,
+          miningTime,
+        };
+        this.notifySubscribers("blockAwaitingSeals", {
+          block: minedBlock,
+          seals: minedBlock.seals.length,
+          required: this.authority.threshold,
+        });
+        return minedBlock;
       }
-    } while (true);
+    }
 
-    const miningTime = Date.now() - startTime;
-    console.log(`Block mined in ${miningTime}ms with nonce ${nonce}`);
+    return await this.commitBlock(minedBlock, transactions, miningTime);
+  }
 
+  /**
+   * Finalize a mined or sealed block and append it to the chain
+   * @param {object} minedBlock
+   * @param {array} transactions
+   * @param {number} miningTime
+   * @returns {Promise<object>}
+   */
+  async commitBlock(minedBlock, transactions, miningTime) {
     // Finalize block
     const newBlock = {
-      ...blockData,
-      currentHash: hash,
+      ...minedBlock,
       complianceChecks: await this.runComplianceChecks(transactions),
       regulatoryStamp: {
         framework: "FDA 21 CFR Part 211",
@@ -415,58 +971,214 @@ class PharmaBlockchainService {
       },
     };
 
-    // Sign block
-    newBlock.signature = await signData(newBlock.currentHash, this.privateKey);
+    await this.appendBlock(newBlock);
+
+    // Log audit event
+    await this.logBlockMiningEvent(newBlock, miningTime);
+
+    return newBlock;
+  }
 
+  /**
+   * Append a committed block, whether mined here or replicated
+   * @param {object} block
+   */
+  async appendBlock(block) {
     // Add to chain
-    this.chain.push(newBlock);
+    this.chain.push(block);
+    this.chainIndex.addBlock(block);
 
     // Remove mined transactions from pending
-    const minedTxIds = new Set(transactions.map((tx) => tx.id));
+    const minedTxIds = new Set(block.transactions.map((tx) => tx.id));
     this.pendingTransactions = this.pendingTransactions.filter(
       (tx) => !minedTxIds.has(tx.id)
     );
 
     // Save to storage
-    await this.saveBlockToStorage(newBlock);
+    await this.saveBlockToStorage(block);
     await this.clearMinedTransactions(minedTxIds);
 
-    // Notify subscribers
-    this.notifySubscribers("newBlock", newBlock);
+    // Switch to a rotated key only after its announcement is on-chain
+    await this.applyKeyTransactions(block);
 
-    // Log audit event
-    await this.logBlockMiningEvent(newBlock, miningTime);
+    await this.createDueCheckpoints();
 
-    return newBlock;
+    // Notify subscribers
+    this.notifySubscribers("newBlock", block);
   }
 
   /**
-   * Determine block type based on transactions
-   * @param {array} transactions
-   * @returns {string}
+   * Add a co-signature to the block awaiting seals
+   * The block is committed once the seal threshold is reached.
+   * @param {object} seal - { sealerId, signature, sealedAt }
+   * @returns {Promise<object>} - { committed, block, seals, required }
    */
-  determineBlockType(transactions) {
-    const types = transactions.map((tx) => tx.type);
+  async addSeal(seal) {
+    if (!this.blockAwaitingSeals) {
+      throw new Error("No block is awaiting co-signatures");
+    }
 
-    if (types.includes("deviation") || types.includes("alert")) {
-      return BLOCK_TYPES.EMERGENCY;
+    const { block, transactions, miningTime } = this.blockAwaitingSeals;
+    if (block.seals.some((s) => s.sealerId === seal.sealerId)) {
+      throw new Error(`Block already sealed by ${seal.sealerId}`);
     }
-    if (types.includes("audit") || types.includes("compliance_check")) {
-      return BLOCK_TYPES.AUDIT;
+
+    const candidate = { ...block, seals: [...block.seals, seal] };
+    const verification = await verifyBlockSeals(candidate, this.authority);
+    if (!verification.validSeals.includes(seal.sealerId)) {
+      throw new Error(`Seal from ${seal.sealerId} rejected`);
     }
-    if (types.every((t) => t === "compliance_check")) {
-      return BLOCK_TYPES.COMPLIANCE;
+
+    block.seals = candidate.seals;
+    this.notifySubscribers("blockSealed", {
+      blockNumber: block.blockNumber,
+      sealerId: seal.sealerId,
+      seals: verification.validSeals.length,
+      required: verification.required,
+    });
+
+    if (!verification.valid) {
+      return {
+        committed: false,
+        block,
+        seals: verification.validSeals.length,
+        required: verification.required,
+      };
     }
-    return BLOCK_TYPES.DATA;
+
+    this.blockAwaitingSeals = null;
+    const committed = await this.commitBlock(block, transactions, miningTime);
+    return {
+      committed: true,
+      block: committed,
+      seals: verification.validSeals.length,
+      required: verification.required,
+    };
   }
 
   /**
-   * Run compliance checks on transactions
-   * @param {array} transactions
-   * @returns {Promise<array>}
+   * Co-sign the block awaiting seals with an authorized sealer key
+   * @param {string} sealerId
+   * @param {CryptoKey} privateKey
+   * @returns {Promise<object>}
    */
-  async runComplianceChecks(transactions) {
-    const checks = [];
+  async cosignBlock(sealerId, privateKey) {
+    if (!this.blockAwaitingSeals) {
+      throw new Error("No block is awaiting co-signatures");
+    }
+    const seal = await createSeal(
+      this.blockAwaitingSeals.block.currentHash,
+      sealerId,
+      privateKey
+    );
+    return await this.addSeal(seal);
+  }
+
+  /**
+   * Get the block awaiting co-signatures, if any
+   * @returns {object|null}
+   */
+  getBlockAwaitingSeals() {
+    return this.blockAwaitingSeals ? this.blockAwaitingSeals.block : null;
+  }
+
+  /**
+   * Switch between proof of work and proof of authority
+   * The facility system key is always an authorized sealer.
+   * @param {string} type - CONSENSUS_TYPES value
+   * @param {object} options - { sealers, threshold } for proof of authority
+   * @returns {Promise<object>}
+   */
+  async configureConsensus(type, options = {}) {
+    if (!Object.values(CONSENSUS_TYPES).includes(type)) {
+      throw new Error(`Unknown consensus type: ${type}`);
+    }
+    if (this.blockAwaitingSeals) {
+      throw new Error("Cannot change consensus while a block awaits seals");
+    }
+
+    let authority = null;
+    if (type === CONSENSUS_TYPES.PROOF_OF_AUTHORITY) {
+      const sealers = (options.sealers || []).filter(
+        (s) => s.id !== this.facilityId
+      );
+      authority = createAuthorityConfig({
+        sealers: [
+          {
+            id: this.facilityId,
+            name: "Facility System",
+            role: "system",
+            publicKey: this.publicKey,
+          },
+          ...sealers,
+        ],
+        threshold: options.threshold || 1,
+      });
+    }
+
+    this.consensus = type;
+    // Keep the sealer set so earlier sealed blocks still verify
+    this.authority = authority || this.authority;
+
+    await this.saveConfig("consensus", {
+      type: this.consensus,
+      authority: this.authority,
+    });
+
+    this.notifySubscribers("consensusChanged", this.getConsensusConfig());
+    return this.getConsensusConfig();
+  }
+
+  /**
+   * Get the active consensus configuration
+   * @returns {object}
+   */
+  getConsensusConfig() {
+    return {
+      type: this.consensus,
+      difficulty: this.difficulty,
+      authority: this.authority,
+    };
+  }
+
+  /**
+   * Load the consensus configuration from storage
+   */
+  async loadConsensusConfig() {
+    const config = await this.loadConfig("consensus");
+    if (config) {
+      this.consensus = config.type;
+      this.authority = config.authority;
+    }
+  }
+
+  /**
+   * Determine block type based on transactions
+   * @param {array} transactions
+   * @returns {string}
+   */
+  determineBlockType(transactions) {
+    const types = transactions.map((tx) => tx.type);
+
+    if (types.includes("deviation") || types.includes("alert")) {
+      return BLOCK_TYPES.EMERGENCY;
+    }
+    if (types.includes("audit") || types.includes("compliance_check")) {
+      return BLOCK_TYPES.AUDIT;
+    }
+    if (types.every((t) => t === "compliance_check")) {
+      return BLOCK_TYPES.COMPLIANCE;
+    }
+    return BLOCK_TYPES.DATA;
+  }
+
+  /**
+   * Run compliance checks on transactions
+   * @param {array} transactions
+   * @returns {Promise<array>}
+   */
+  async runComplianceChecks(transactions) {
+    const checks = [];
 
     for (const tx of transactions) {
       // ALCOA+ check
@@ -519,89 +1231,479 @@ class PharmaBlockchainService {
   }
 
   /**
-   * Validate the entire blockchain
+   * Validate the blockchain in the mining worker
+   * Block signatures are checked against the facility key in force at
+   * each block, following on-chain rotations and revocations. Once
+   * checkpoints exist, validation verifies the checkpoint signatures and
+   * the blocks after the latest one; pass full to re-check every archived
+   * segment from IndexedDB as well. Pass forensic for an incident report
+   * naming the tampered blocks, transactions and fields.
+   * @param {object} options - { full, forensic, reference, onProgress }
    * @returns {Promise<object>}
    */
-  async validateChain() {
-    const result = {
-      isValid: true,
-      totalBlocks: this.chain.length,
-      validatedBlocks: 0,
-      invalidBlocks: [],
-      validationTime: 0,
-      details: [],
+  async validateChain(options = {}) {
+    if (options.forensic) {
+      return await this.runForensicValidation(options);
+    }
+
+    const latest = this.getLatestCheckpoint();
+    if (!latest) {
+      return await this.runValidation(
+        this.chain,
+        this.keyManager.getInitialPublicKey(),
+        options
+      );
+    }
+
+    const checkpointCheck = await verifyCheckpoints(this.checkpoints, (keyId) =>
+      this.keyManager.getPublicKey(keyId)
+    );
+
+    const result = options.full
+      ? await this.validateArchivedSegments(options)
+      : await this.runValidation(
+          this.getSegmentAfter(latest, this.chain),
+          latest.nextSignerPublicKey,
+          options
+        );
+
+    return {
+      ...result,
+      isValid: result.isValid && checkpointCheck.valid,
+      totalBlocks: this.getChainLength(),
+      checkpointedBlocks: latest.toBlock + 1,
+      invalidCheckpoints: checkpointCheck.invalidCheckpoints,
+      mode: options.full ? "full" : "checkpoint",
     };
+  }
 
-    const startTime = Date.now();
+  /**
+   * Forensic validation
+   * Runs a full validation, then pinpoints the block, transaction and field
+   * behind every failure. With reference (the text of the last exported
+   * archive) each altered field is named along with its exported value.
+   * The incident report is logged as a security audit event.
+   * @param {object} options - { reference, onProgress }
+   * @returns {Promise<object>} - Validation result with incidentReport
+   */
+  async runForensicValidation(options = {}) {
+    const { reference = null, onProgress } = options;
+    const validation = await this.validateChain({ full: true, onProgress });
+    const archive = reference ? await parseChainArchive(reference) : null;
+
+    const findings = await investigateChain({
+      validation,
+      loadBlock: (blockNumber) => this.loadBlock(blockNumber),
+      chainLength: this.getChainLength(),
+      reference: archive ? archive.chain : null,
+      publicKeys: this.getForensicPublicKeys(),
+    });
 
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
-
-      // Check hash linkage
-      if (currentBlock.previousHash !== previousBlock.currentHash) {
-        result.isValid = false;
-        result.invalidBlocks.push({
-          blockNumber: currentBlock.blockNumber,
-          reason: "Hash linkage broken",
-          expected: previousBlock.currentHash,
-          actual: currentBlock.previousHash,
-        });
-        continue;
-      }
+    const incidentReport = await createIncidentReport({
+      facilityId: this.facilityId,
+      validation,
+      findings: findings.map((finding) => ({
+        ...finding,
+        checkpointNumber: this.getCoveringCheckpoint(finding.blockNumber),
+      })),
+      checkpoint: this.getCheckpointStatus(validation),
+      reference: archive
+        ? {
+            exportedAt: archive.header.exportedAt,
+            chainLength: archive.header.chainLength,
+            headHash: archive.header.headHash,
+          }
+        : null,
+    });
 
-      // Verify block hash
-      const calculatedHash = await calculateBlockHash(currentBlock);
-      if (calculatedHash !== currentBlock.currentHash) {
-        result.isValid = false;
-        result.invalidBlocks.push({
-          blockNumber: currentBlock.blockNumber,
-          reason: "Block hash mismatch",
-          expected: currentBlock.currentHash,
-          actual: calculatedHash,
-        });
-        continue;
-      }
+    securityModule.logAudit(
+      "CHAIN_FORENSIC_REPORT",
+      this.facilityId,
+      incidentReport
+    );
+    if (incidentReport.status === "tampered") {
+      this.notifySubscribers("tamperDetected", incidentReport);
+    }
+    return { ...validation, incidentReport };
+  }
 
-      // Verify Merkle root
-      const calculatedMerkle = await calculateMerkleRoot(
-        currentBlock.transactions
+  /**
+   * Run a tamper detection drill
+   * Alters one transaction field in a copy of the blocks after the latest
+   * checkpoint, validates the copy and checks that the incident report
+   * names the altered block, transaction and field. The chain itself is
+   * never modified.
+   * @param {object} options - { blockNumber, transactionIndex, field }
+   * @returns {Promise<object>} - { passed, detected, pinpointed, target,
+   *   incidentReport }
+   */
+  async runTamperDrill(options = {}) {
+    const latest = this.getLatestCheckpoint();
+    const fromBlock = latest ? latest.toBlock : 0;
+    const head = this.getLatestBlock().blockNumber;
+    const { blockNumber = head, transactionIndex = 0 } = options;
+    if (blockNumber <= fromBlock || blockNumber > head) {
+      throw new Error(
+        `Drill block must be between #${fromBlock + 1} and #${head}`
       );
-      if (calculatedMerkle !== currentBlock.merkleRoot) {
-        result.isValid = false;
-        result.invalidBlocks.push({
-          blockNumber: currentBlock.blockNumber,
-          reason: "Merkle root mismatch",
-          expected: currentBlock.merkleRoot,
-          actual: calculatedMerkle,
-        });
-        continue;
+    }
+
+    const original = await this.getBlocks(fromBlock, head);
+    const copy = JSON.parse(JSON.stringify(original));
+    const tx = copy.find((block) => block.blockNumber === blockNumber)
+      .transactions[transactionIndex];
+    if (!tx) {
+      throw new Error(
+        `Block #${blockNumber} has no transaction ${transactionIndex}`
+      );
+    }
+
+    // Defaults to the first value in the transaction data
+    let path = ["data"];
+    if (options.field) {
+      path = options.field.split(".");
+    } else {
+      for (let value = tx.data; value && typeof value === "object"; ) {
+        const [key] = Object.keys(value);
+        path.push(key);
+        value = value[key];
       }
+    }
+    const field = path.join(".");
+    const parent = path
+      .slice(0, -1)
+      .reduce(
+        (value, key) =>
+          value && typeof value === "object" ? value[key] : undefined,
+        tx
+      );
+    const key = path[path.length - 1];
+    if (
+      !parent ||
+      typeof parent !== "object" ||
+      !Object.prototype.hasOwnProperty.call(parent, key)
+    ) {
+      throw new Error(
+        `Transaction ${tx.id} in block #${blockNumber} has no field ${field}`
+      );
+    }
+    const originalValue = parent[key];
+    parent[key] =
+      typeof originalValue === "number"
+        ? originalValue + 1
+        : `${originalValue} (altered)`;
+
+    const validation = await this.runValidation(
+      latest ? this.getSegmentAfter(latest, copy) : copy,
+      latest
+        ? latest.nextSignerPublicKey
+        : this.keyManager.getInitialPublicKey()
+    );
+    const blocks = new Map(copy.map((block) => [block.blockNumber, block]));
+    const findings = await investigateChain({
+      validation,
+      loadBlock: async (n) => blocks.get(n) || null,
+      chainLength: head + 1,
+      reference: original,
+      publicKeys: this.getForensicPublicKeys(),
+    });
+
+    const target = {
+      blockNumber,
+      transactionId: tx.id,
+      field,
+      originalValue,
+      alteredValue: parent[key],
+    };
+    const detected = validation.invalidBlocks.some(
+      (entry) => entry.blockNumber === blockNumber
+    );
+    const pinpointed = findings.some(
+      (finding) =>
+        finding.blockNumber === blockNumber &&
+        finding.transactionId === tx.id &&
+        finding.field === field
+    );
+
+    const incidentReport = await createIncidentReport({
+      facilityId: this.facilityId,
+      validation: { ...validation, mode: "drill" },
+      findings,
+      checkpoint: this.getCheckpointStatus(null),
+      drill: true,
+    });
+
+    securityModule.logAudit("TAMPER_DRILL", this.facilityId, {
+      passed: detected && pinpointed,
+      detected,
+      pinpointed,
+      target,
+      incidentReport,
+    });
+    return {
+      passed: detected && pinpointed,
+      detected,
+      pinpointed,
+      target,
+      incidentReport,
+    };
+  }
 
-      // Verify Proof of Work
-      const target = "0".repeat(currentBlock.difficulty);
-      if (!currentBlock.currentHash.startsWith(target)) {
-        result.isValid = false;
-        result.invalidBlocks.push({
-          blockNumber: currentBlock.blockNumber,
-          reason: "Invalid Proof of Work",
-          difficulty: currentBlock.difficulty,
+  /**
+   * Public keys that may have signed transactions
+   */
+  getForensicPublicKeys() {
+    const keys = this.keyManager.getHistory().map((entry) => entry.publicKey);
+    if (keys.length === 0 && this.publicKey) keys.push(this.publicKey);
+    return keys;
+  }
+
+  /**
+   * Number of the checkpoint covering a block, or null
+   */
+  getCoveringCheckpoint(blockNumber) {
+    const checkpoint = this.checkpoints.find(
+      (c) => c.fromBlock <= blockNumber && blockNumber <= c.toBlock
+    );
+    return checkpoint ? checkpoint.checkpointNumber : null;
+  }
+
+  /**
+   * Latest checkpoint as reported in an incident report
+   */
+  getCheckpointStatus(validation) {
+    const latest = this.getLatestCheckpoint();
+    if (!latest) return null;
+    return {
+      checkpointNumber: latest.checkpointNumber,
+      fromBlock: latest.fromBlock,
+      toBlock: latest.toBlock,
+      hash: latest.hash,
+      verified: validation
+        ? !(validation.invalidCheckpoints || []).some(
+            (c) => c.checkpointNumber === latest.checkpointNumber
+          )
+        : null,
+    };
+  }
+
+  /**
+   * Validate every checkpointed segment, loading one segment at a time
+   * @param {object} options - { onProgress }
+   * @returns {Promise<object>}
+   */
+  async validateArchivedSegments(options = {}) {
+    const startTime = Date.now();
+    const combined = { isValid: true, validatedBlocks: 0, invalidBlocks: [] };
+    const merge = (result) => {
+      combined.isValid = combined.isValid && result.isValid;
+      combined.validatedBlocks += result.validatedBlocks;
+      combined.invalidBlocks.push(...result.invalidBlocks);
+    };
+
+    let previous = null;
+    for (const checkpoint of this.checkpoints) {
+      const blocks = await this.loadBlocksFromStorage(
+        checkpoint.fromBlock,
+        checkpoint.toBlock
+      );
+
+      if (!(await verifySegment(checkpoint, blocks))) {
+        merge({
+          isValid: false,
+          validatedBlocks: 0,
+          invalidBlocks: [
+            {
+              blockNumber: checkpoint.fromBlock,
+              reason: "Segment does not match its checkpoint",
+              checkpointNumber: checkpoint.checkpointNumber,
+            },
+          ],
         });
-        continue;
       }
 
-      result.validatedBlocks++;
+      merge(
+        await this.runValidation(
+          previous ? this.getSegmentAfter(previous, blocks) : blocks,
+          previous
+            ? previous.nextSignerPublicKey
+            : this.keyManager.getInitialPublicKey(),
+          options
+        )
+      );
+      previous = checkpoint;
     }
 
-    result.validationTime = Date.now() - startTime;
-    result.details.push({
-      message: result.isValid
-        ? "Chain integrity verified"
-        : "Chain integrity compromised",
-      timestamp: new Date().toISOString(),
+    merge(
+      await this.runValidation(
+        this.getSegmentAfter(previous, this.chain),
+        previous.nextSignerPublicKey,
+        options
+      )
+    );
+
+    return {
+      ...combined,
+      validationTime: Date.now() - startTime,
+      details: [
+        {
+          message: combined.isValid
+            ? "Chain integrity verified"
+            : "Chain integrity compromised",
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Blocks after a checkpoint, anchored on the checkpoint's last hash
+   */
+  getSegmentAfter(checkpoint, blocks) {
+    return [
+      {
+        blockNumber: checkpoint.toBlock,
+        currentHash: checkpoint.lastBlockHash,
+      },
+      ...blocks.filter((block) => block.blockNumber > checkpoint.toBlock),
+    ];
+  }
+
+  /**
+   * Run a validation job for a run of blocks
+   * @param {array} chain
+   * @param {string} initialSigningKey - Key in force for the first block
+   * @param {object} options - { onProgress }
+   * @returns {Promise<object>}
+   */
+  async runValidation(chain, initialSigningKey, options = {}) {
+    const { jobId, promise } = this.miningClient.validate(chain, {
+      authority: this.authority,
+      initialSigningKey,
+      revocations: this.keyManager.getRevocations(),
+      nodeKeys: chain.length
+        ? this.keyManager.getNodeKeysAt(chain[0].blockNumber + 1)
+        : [],
+      facilitySealerId: this.facilityId,
+      onProgress: (progress) => {
+        this.notifySubscribers("validationProgress", progress);
+        if (options.onProgress) options.onProgress(progress);
+      },
     });
+    this.currentValidationJob = jobId;
+
+    try {
+      return await promise;
+    } finally {
+      this.currentValidationJob = null;
+    }
+  }
+
+  /**
+   * Checkpoint every complete segment and evict checkpointed blocks
+   * @returns {Promise<array>} - Checkpoints created
+   */
+  async createDueCheckpoints() {
+    const created = [];
+    if (!this.privateKey) return created;
+
+    let previous = this.getLatestCheckpoint();
+    let fromBlock = previous ? previous.toBlock + 1 : 0;
+    const head = this.getLatestBlock().blockNumber;
+
+    while (head - fromBlock + 1 > this.checkpointInterval) {
+      const toBlock = fromBlock + this.checkpointInterval - 1;
+      const nextSigner = this.keyManager.getFacilityKeyAt(toBlock + 1) || {
+        keyId: this.signerKeyId,
+        publicKey: this.publicKey,
+      };
+
+      const checkpoint = await createCheckpoint(
+        await this.getBlocks(fromBlock, toBlock),
+        {
+          previous,
+          facilityId: this.facilityId,
+          privateKey: this.privateKey,
+          signerKeyId: this.signerKeyId,
+          nextSignerKeyId: nextSigner.keyId,
+          nextSignerPublicKey: nextSigner.publicKey,
+        }
+      );
+      await this.saveCheckpoint(checkpoint);
+      this.checkpoints.push(checkpoint);
+      created.push(checkpoint);
 
-    return result;
+      previous = checkpoint;
+      fromBlock = toBlock + 1;
+    }
+
+    if (created.length > 0) {
+      const memoryStart = this.getMemoryStart();
+      this.chain = this.chain.filter((b) => b.blockNumber >= memoryStart);
+      this.chainIndex.evictBefore(memoryStart);
+
+      this.notifySubscribers("checkpointCreated", previous);
+      console.log(
+        `Checkpointed blocks up to #${previous.toBlock}; ${this.chain.length} blocks in memory`
+      );
+    }
+
+    return created;
+  }
+
+  /**
+   * Get the latest checkpoint
+   * @returns {object|null}
+   */
+  getLatestCheckpoint() {
+    return this.checkpoints[this.checkpoints.length - 1] || null;
+  }
+
+  /**
+   * Get all checkpoints
+   * @returns {array}
+   */
+  getCheckpoints() {
+    return [...this.checkpoints];
+  }
+
+  /**
+   * First block number kept in memory: everything after the latest
+   * checkpoint plus the most recent checkpointed blocks
+   * @returns {number}
+   */
+  getMemoryStart() {
+    const latest = this.getLatestCheckpoint();
+    return latest ? Math.max(0, latest.toBlock + 1 - this.retainedBlocks) : 0;
+  }
+
+  /**
+   * Replace the in-memory chain and rebuild its index
+   * @param {array} blocks
+   */
+  setChain(blocks) {
+    this.chain = blocks;
+    this.chainIndex.clear();
+    this.blockCache.clear();
+    blocks.forEach((block) => this.chainIndex.addBlock(block));
+  }
+
+  /**
+   * Cancel the block currently being mined
+   * Pending transactions stay queued for the next attempt.
+   * @returns {boolean} - True if a mining job was cancelled
+   */
+  cancelMining() {
+    if (!this.currentMiningJob) return false;
+    return this.miningClient.cancel(this.currentMiningJob);
+  }
+
+  /**
+   * Whether a block is currently being mined
+   * @returns {boolean}
+   */
+  isMining() {
+    return !!this.miningPromise;
   }
 
   /**
@@ -613,7 +1715,9 @@ class PharmaBlockchainService {
   }
 
   /**
-   * Get the full chain
+   * Get the blocks held in memory
+   * This is the full chain until checkpoints are created; use getBlocks()
+   * for older blocks.
    * @returns {array}
    */
   getChain() {
@@ -621,22 +1725,71 @@ class PharmaBlockchainService {
   }
 
   /**
-   * Get chain length
+   * Get chain length, including blocks evicted from memory
    * @returns {number}
    */
   getChainLength() {
-    return this.chain.length;
+    const latest = this.getLatestBlock();
+    return latest ? latest.blockNumber + 1 : 0;
   }
 
   /**
-   * Get block by number
+   * Get block by number from memory or the lazy-load cache
    * @param {number} blockNumber
    * @returns {object|null}
    */
   getBlock(blockNumber) {
-    return (
-      this.chain.find((block) => block.blockNumber === blockNumber) || null
-    );
+    const first = this.chain[0];
+    const block = first ? this.chain[blockNumber - first.blockNumber] : null;
+    if (block && block.blockNumber === blockNumber) return block;
+    return this.blockCache.get(blockNumber) || null;
+  }
+
+  /**
+   * Get block by number, loading archived blocks from IndexedDB
+   * @param {number} blockNumber
+   * @returns {Promise<object|null>}
+   */
+  async loadBlock(blockNumber) {
+    const block = this.getBlock(blockNumber);
+    if (block) return block;
+
+    const [stored] = await this.loadBlocksFromStorage(blockNumber, blockNumber);
+    if (stored) this.cacheBlock(stored);
+    return stored || null;
+  }
+
+  /**
+   * Get a range of blocks, loading archived ones from IndexedDB
+   * @param {number} fromBlock
+   * @param {number} toBlock - Inclusive
+   * @returns {Promise<array>}
+   */
+  async getBlocks(fromBlock, toBlock) {
+    const memoryStart = this.chain[0] ? this.chain[0].blockNumber : Infinity;
+    const archived =
+      fromBlock < memoryStart
+        ? await this.loadBlocksFromStorage(
+            fromBlock,
+            Math.min(toBlock, memoryStart - 1)
+          )
+        : [];
+
+    return [
+      ...archived,
+      ...this.chain.filter(
+        (block) =>
+          block.blockNumber >= fromBlock && block.blockNumber <= toBlock
+      ),
+    ];
+  }
+
+  cacheBlock(block) {
+    this.blockCache.delete(block.blockNumber);
+    this.blockCache.set(block.blockNumber, block);
+    if (this.blockCache.size > this.blockCacheSize) {
+      this.blockCache.delete(this.blockCache.keys().next().value);
+    }
   }
 
   /**
@@ -649,51 +1802,101 @@ class PharmaBlockchainService {
   }
 
   /**
-   * Get transaction by ID
+   * Get transaction by ID from the blocks in memory
    * @param {string} transactionId
    * @returns {object|null}
    */
   getTransaction(transactionId) {
-    for (const block of this.chain) {
-      const tx = block.transactions.find((t) => t.id === transactionId);
-      if (tx) {
-        return {
-          transaction: tx,
-          blockNumber: block.blockNumber,
-          blockHash: block.currentHash,
-        };
-      }
-    }
-    return null;
+    const entry = this.chainIndex.get(transactionId);
+    if (!entry) return null;
+
+    const block = this.getBlock(entry.blockNumber);
+    return {
+      transaction: block.transactions.find((t) => t.id === transactionId),
+      blockNumber: block.blockNumber,
+      blockHash: block.currentHash,
+    };
+  }
+
+  /**
+   * Get transaction by ID, including archived blocks
+   * @param {string} transactionId
+   * @returns {Promise<object|null>}
+   */
+  async findTransaction(transactionId) {
+    const txData = this.getTransaction(transactionId);
+    if (txData || !this.db) return txData;
+
+    const entry = await this.loadIndexEntry(transactionId);
+    if (!entry) return null;
+
+    const block = await this.loadBlock(entry.blockNumber);
+    return {
+      transaction: block.transactions.find((t) => t.id === transactionId),
+      blockNumber: block.blockNumber,
+      blockHash: block.currentHash,
+    };
   }
 
   /**
-   * Get transactions by type
+   * Get transactions by type from the blocks in memory
    * @param {string} type
    * @param {number} limit
    * @returns {array}
    */
   getTransactionsByType(type, limit = 100) {
-    const transactions = [];
+    return this.getRecentTransactions({ type, limit });
+  }
 
-    for (
-      let i = this.chain.length - 1;
-      i >= 0 && transactions.length < limit;
-      i--
-    ) {
-      const block = this.chain[i];
-      for (const tx of block.transactions) {
-        if (tx.type === type && transactions.length < limit) {
-          transactions.push({
-            ...tx,
-            blockNumber: block.blockNumber,
-            blockHash: block.currentHash,
-          });
-        }
-      }
+  /**
+   * Query transactions in memory by type, room and time range, newest first
+   * @param {object} query - { type, types, roomId, from, to, limit }
+   * @returns {array}
+   */
+  getRecentTransactions(query = {}) {
+    return this.chainIndex
+      .query(query)
+      .map((entry) =>
+        this.resolveIndexEntry(entry, this.getBlock(entry.blockNumber))
+      );
+  }
+
+  /**
+   * Query transactions across the whole chain, newest first
+   * Blocks in memory are searched first, then the IndexedDB index is
+   * used to lazy-load matching archived blocks.
+   * @param {object} query - { type, types, roomId, from, to, limit }
+   * @returns {Promise<array>}
+   */
+  async queryTransactions(query = {}) {
+    const normalized = normalizeQuery(query);
+    const results = this.getRecentTransactions(normalized);
+
+    const memoryStart = this.chain[0] ? this.chain[0].blockNumber : 0;
+    if (results.length >= normalized.limit || memoryStart === 0 || !this.db) {
+      return results;
     }
 
-    return transactions;
+    const entries = await this.queryIndexStore(
+      normalized,
+      memoryStart,
+      normalized.limit - results.length
+    );
+    for (const entry of entries) {
+      results.push(
+        this.resolveIndexEntry(entry, await this.loadBlock(entry.blockNumber))
+      );
+    }
+    return results;
+  }
+
+  resolveIndexEntry(entry, block) {
+    return {
+      ...block.transactions.find((tx) => tx.id === entry.id),
+      blockNumber: block.blockNumber,
+      blockHash: block.currentHash,
+      merkleRoot: block.merkleRoot,
+    };
   }
 
   /**
@@ -702,7 +1905,7 @@ class PharmaBlockchainService {
    * @returns {Promise<object>}
    */
   async verifyTransaction(transactionId) {
-    const txData = this.getTransaction(transactionId);
+    const txData = await this.findTransaction(transactionId);
 
     if (!txData) {
       return {
@@ -711,7 +1914,7 @@ class PharmaBlockchainService {
       };
     }
 
-    const block = this.getBlock(txData.blockNumber);
+    const block = await this.loadBlock(txData.blockNumber);
     const merkleTree = new MerkleTree(block.transactions);
     await merkleTree.build();
 
@@ -728,9 +1931,413 @@ class PharmaBlockchainService {
       blockHash: block.currentHash,
       merkleProof: proof,
       merkleRoot: block.merkleRoot,
+      proofBundle: await this.exportProofBundle(transactionId),
+    };
+  }
+
+  /**
+   * Export a portable inclusion proof for a transaction
+   * The bundle can be checked with verifyProofBundle() without the chain.
+   * @param {string} transactionId
+   * @returns {Promise<object|null>}
+   */
+  async exportProofBundle(transactionId) {
+    const txData = await this.findTransaction(transactionId);
+    if (!txData) return null;
+
+    const block = await this.loadBlock(txData.blockNumber);
+    return await createProofBundle(
+      block,
+      transactionId,
+      {
+        facilityId: this.facilityId,
+        publicKey: this.getSignerPublicKey(block),
+      },
+      this.authority
+    );
+  }
+
+  /**
+   * Export the chain, pending transactions and public keys as a
+   * JSON Lines archive
+   * @returns {Promise<string>}
+   */
+  async exportChainArchive() {
+    const keys = this.keyManager.getHistory();
+    if (keys.length === 0 && this.publicKey) {
+      keys.push({
+        keyId: this.signerKeyId,
+        publicKey: this.publicKey,
+        ownerId: FACILITY_KEY_OWNER,
+        status: KEY_STATUS.ACTIVE,
+      });
+    }
+
+    const chain = await this.getBlocks(0, this.getChainLength() - 1);
+    const archive = await createChainArchive({
+      facilityId: this.facilityId,
+      chain,
+      pendingTransactions: this.pendingTransactions,
+      keys,
+      consensus: { type: this.consensus, authority: this.authority },
+    });
+
+    securityModule.logAudit("CHAIN_ARCHIVE_EXPORTED", this.facilityId, {
+      blocks: chain.length,
+      pendingTransactions: this.pendingTransactions.length,
+    });
+    return archive;
+  }
+
+  /**
+   * Import a JSON Lines archive after fully re-validating it
+   * Replace swaps the local chain for the archive; merge appends archive
+   * blocks that extend the local chain and rejects forks.
+   * @param {string} text - Archive contents
+   * @param {object} options - { mode: "replace" | "merge" }
+   * @returns {Promise<object>} - { imported, mode, failedBlock, invalidBlocks,
+   *   blocksAdded, pendingAdded, warnings }
+   */
+  async importChainArchive(text, options = {}) {
+    const { mode = IMPORT_MODES.MERGE } = options;
+    if (!Object.values(IMPORT_MODES).includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    if (this.miningPromise || this.blockAwaitingSeals) {
+      throw new Error("Cannot import while a block is being mined or sealed");
+    }
+
+    const archive = await parseChainArchive(text);
+    if (archive.header.facilityId !== this.facilityId) {
+      throw new ChainArchiveError(
+        `Archive belongs to facility ${archive.header.facilityId}`
+      );
+    }
+
+    const rejected = (failedBlock, invalidBlocks = [failedBlock]) => {
+      securityModule.logAudit("CHAIN_ARCHIVE_REJECTED", this.facilityId, {
+        mode,
+        blockNumber: failedBlock.blockNumber,
+        reason: failedBlock.reason,
+      });
+      return { imported: false, mode, failedBlock, invalidBlocks };
+    };
+
+    const verification = await verifyChainArchive(archive);
+    if (!verification.valid) {
+      return rejected(verification.failedBlock, verification.invalidBlocks);
+    }
+
+    let blocksAdded;
+    if (mode === IMPORT_MODES.REPLACE) {
+      await this.clearChainStorage();
+      this.checkpoints = [];
+      this.setChain([...archive.chain]);
+      for (const block of this.chain) {
+        await this.saveBlockToStorage(block);
+      }
+      blocksAdded = this.chain.length;
+
+      // The archive's key history already reflects its key transactions,
+      // so only local pending transactions it has mined need dropping
+      const minedTxIds = new Set(
+        archive.chain.flatMap((block) => block.transactions.map((tx) => tx.id))
+      );
+      const mined = this.pendingTransactions.filter((tx) =>
+        minedTxIds.has(tx.id)
+      );
+      this.pendingTransactions = this.pendingTransactions.filter(
+        (tx) => !minedTxIds.has(tx.id)
+      );
+      await this.clearMinedTransactions(mined.map((tx) => tx.id));
+
+      await this.keyManager.importPublicKeys(archive.keys, { replace: true });
+    } else {
+      // Both chains are hash-linked, so matching at the last shared block
+      // means every earlier block matches too
+      const shared = Math.min(this.getChainLength(), archive.chain.length) - 1;
+      const local = await this.loadBlock(shared);
+      if (local.currentHash !== archive.chain[shared].currentHash) {
+        return rejected({
+          blockNumber: shared,
+          reason: "Archive diverges from the local chain",
+          expected: local.currentHash,
+          actual: archive.chain[shared].currentHash,
+        });
+      }
+
+      // Keys first, so revocations in the new blocks find the keys they name
+      await this.keyManager.importPublicKeys(archive.keys);
+
+      const newBlocks = archive.chain.slice(this.getChainLength());
+      for (const block of newBlocks) {
+        await this.appendBlock(block);
+      }
+      blocksAdded = newBlocks.length;
+    }
+
+    const { consensus } = archive.header;
+    if (consensus && (mode === IMPORT_MODES.REPLACE || !this.authority)) {
+      this.consensus = consensus.type;
+      this.authority = consensus.authority;
+      await this.saveConfig("consensus", consensus);
+    }
+
+    await this.createDueCheckpoints();
+
+    // Queue archived pending transactions that are not already known
+    let pendingAdded = 0;
+    for (const tx of archive.pendingTransactions) {
+      if (await this.findTransaction(tx.id)) continue;
+      if (this.pendingTransactions.some((p) => p.id === tx.id)) continue;
+      this.pendingTransactions.push(tx);
+      await this.savePendingTransaction(tx);
+      pendingAdded++;
+    }
+
+    const warnings = [];
+    const head = this.getLatestBlock();
+    if (head.signerKeyId && head.signerKeyId !== this.signerKeyId) {
+      warnings.push(
+        `Chain head was signed by ${head.signerKeyId}, but this device signs with ${this.signerKeyId}; restore the facility key before mining`
+      );
+    }
+
+    securityModule.logAudit("CHAIN_ARCHIVE_IMPORTED", this.facilityId, {
+      mode,
+      blocksAdded,
+      pendingAdded,
+      chainLength: this.getChainLength(),
+    });
+    this.notifySubscribers("chainImported", {
+      mode,
+      blocksAdded,
+      pendingAdded,
+      chainLength: this.getChainLength(),
+    });
+
+    return {
+      imported: true,
+      mode,
+      failedBlock: null,
+      invalidBlocks: [],
+      blocksAdded,
+      pendingAdded,
+      warnings,
+    };
+  }
+
+  /**
+   * Locate this chain for a replica: the latest ten block hashes, then
+   * exponentially sparser ones back to genesis
+   * @returns {Promise<array>} - [{ blockNumber, hash }], newest first
+   */
+  async getBlockLocator() {
+    const locator = [];
+    let step = 1;
+    let blockNumber = this.getLatestBlock().blockNumber;
+
+    while (blockNumber > 0) {
+      const block = await this.loadBlock(blockNumber);
+      locator.push({ blockNumber, hash: block.currentHash });
+      if (locator.length >= 10) step *= 2;
+      blockNumber -= step;
+    }
+
+    const genesis = await this.loadBlock(0);
+    locator.push({ blockNumber: 0, hash: genesis.currentHash });
+    return locator;
+  }
+
+  /**
+   * Find the newest block in a replica's locator that this chain shares
+   * @param {array} locator - Result of getBlockLocator() on the replica
+   * @returns {Promise<number>} - Block number, or -1 if even genesis differs
+   */
+  async findForkPoint(locator) {
+    const head = this.getLatestBlock().blockNumber;
+    for (const { blockNumber, hash } of locator) {
+      if (blockNumber > head) continue;
+      const block = await this.loadBlock(blockNumber);
+      if (block && block.currentHash === hash) return blockNumber;
+    }
+    return -1;
+  }
+
+  /**
+   * Apply blocks received from a replica
+   * Blocks that extend the chain are validated and appended. A competing
+   * branch is adopted only if it wins FORK_RULE: the discarded blocks'
+   * transactions return to the pending pool and the resolution is
+   * recorded on-chain.
+   * @param {number} forkPoint - Last block shared with the replica
+   * @param {array} blocks - Replica blocks after the fork point
+   * @param {object} options - { peerId }
+   * @returns {Promise<object>} - { status, forkPoint, ... }
+   */
+  async applyReplicatedBlocks(forkPoint, blocks, options = {}) {
+    const { peerId = null } = options;
+    const head = this.getLatestBlock();
+    const remoteHead = blocks[blocks.length - 1];
+    if (!remoteHead) {
+      return { status: REPLICATION_STATUS.IGNORED, forkPoint };
+    }
+
+    const anchor =
+      forkPoint >= 0 && forkPoint <= head.blockNumber
+        ? await this.loadBlock(forkPoint)
+        : null;
+    if (!anchor || anchor.currentHash !== blocks[0].previousHash) {
+      return { status: REPLICATION_STATUS.UNKNOWN_PARENT, forkPoint };
+    }
+
+    if (remoteHead.blockNumber <= head.blockNumber) {
+      const local = await this.loadBlock(remoteHead.blockNumber);
+      if (local.currentHash === remoteHead.currentHash) {
+        return { status: REPLICATION_STATUS.IGNORED, forkPoint };
+      }
+    }
+
+    const rejected = (reason, extra = {}) => {
+      securityModule.logAudit("REPLICATED_BLOCKS_REJECTED", peerId, {
+        forkPoint,
+        reason,
+      });
+      return {
+        status: REPLICATION_STATUS.REJECTED,
+        forkPoint,
+        reason,
+        ...extra,
+      };
+    };
+
+    const discarded = await this.getBlocks(forkPoint + 1, head.blockNumber);
+    if (discarded.length > 0) {
+      const choice = compareBranches(
+        { length: head.blockNumber + 1, headHash: head.currentHash },
+        { length: remoteHead.blockNumber + 1, headHash: remoteHead.currentHash }
+      );
+      if (choice <= 0) {
+        return {
+          status: REPLICATION_STATUS.KEPT,
+          forkPoint,
+          localBlocks: discarded,
+        };
+      }
+
+      const latest = this.getLatestCheckpoint();
+      if (latest && forkPoint < latest.toBlock) {
+        return rejected(
+          `Fork at block #${forkPoint} is behind checkpoint #${latest.checkpointNumber}`
+        );
+      }
+      if (
+        discarded.some((block) =>
+          block.transactions.some(
+            (tx) => tx.type === TRANSACTION_TYPES.KEY_MANAGEMENT
+          )
+        )
+      ) {
+        return rejected(
+          "Local branch contains key management transactions; resolve manually"
+        );
+      }
+      if (this.blockAwaitingSeals) {
+        return rejected("A block is awaiting co-signatures");
+      }
+    }
+
+    // Check the branch against the facility and replica keys in force
+    // after the fork
+    const signer = this.keyManager.getFacilityKeyAt(forkPoint + 1);
+    const validation = await this.runValidation(
+      [anchor, ...blocks],
+      signer ? signer.publicKey : null
+    );
+    if (!validation.isValid) {
+      return rejected("Replicated blocks failed validation", {
+        invalidBlocks: validation.invalidBlocks,
+      });
+    }
+
+    const requeued = [];
+    if (discarded.length > 0) {
+      await this.deleteBlocksFromStorage(forkPoint + 1);
+      this.setChain(this.chain.filter((b) => b.blockNumber <= forkPoint));
+
+      const adopted = new Set(
+        blocks.flatMap((block) => block.transactions.map((tx) => tx.id))
+      );
+      discarded.forEach((block) =>
+        block.transactions.forEach((tx) => {
+          if (!adopted.has(tx.id)) requeued.push(tx);
+        })
+      );
+      this.pendingTransactions.unshift(...requeued);
+      for (const tx of requeued) {
+        await this.savePendingTransaction(tx);
+        this.notifySubscribers("newTransaction", tx);
+      }
+    }
+
+    for (const block of blocks) {
+      await this.appendBlock(block);
+    }
+
+    if (discarded.length === 0) {
+      return {
+        status: REPLICATION_STATUS.EXTENDED,
+        forkPoint,
+        blocksAdded: blocks.length,
+      };
+    }
+
+    const resolution = {
+      peerId,
+      forkPoint,
+      rule: FORK_RULE,
+      adoptedHead: remoteHead.currentHash,
+      discardedHead: head.currentHash,
+      discardedBlocks: discarded.length,
+      requeuedTransactions: requeued.map((tx) => tx.id),
+    };
+    await this.recordForkResolution(resolution);
+
+    return {
+      status: REPLICATION_STATUS.REORGANIZED,
+      ...resolution,
+      blocksAdded: blocks.length,
     };
   }
 
+  /**
+   * Queue the on-chain record of a fork resolution
+   * @param {object} resolution
+   */
+  async recordForkResolution(resolution) {
+    const tx = this.transactionFactory.createReplicationTransaction(
+      "fork_resolved",
+      resolution
+    );
+
+    // With the signing key locked the record is queued unsigned, like
+    // the genesis transaction, so the resolution is never lost
+    if (this.privateKey) {
+      await this.addTransaction(tx);
+    } else {
+      this.pendingTransactions.push(tx);
+      await this.savePendingTransaction(tx);
+      this.notifySubscribers("newTransaction", tx);
+    }
+
+    securityModule.logAudit("LEDGER_FORK_RESOLVED", resolution.peerId, {
+      forkPoint: resolution.forkPoint,
+      discardedBlocks: resolution.discardedBlocks,
+      requeuedTransactions: resolution.requeuedTransactions.length,
+    });
+    this.notifySubscribers("chainReorganized", resolution);
+  }
+
   /**
    * Get blockchain summary
    * @returns {Promise<object>}
@@ -738,10 +2345,20 @@ class PharmaBlockchainService {
   async getSummary() {
     const validation = await this.validateChain();
 
+    // Checkpoints carry the counts for blocks evicted from memory
     let totalTransactions = 0;
     const transactionTypes = {};
+    const latest = this.getLatestCheckpoint();
+
+    for (const checkpoint of this.checkpoints) {
+      totalTransactions += checkpoint.transactionCount;
+      Object.entries(checkpoint.transactionTypes).forEach(([type, count]) => {
+        transactionTypes[type] = (transactionTypes[type] || 0) + count;
+      });
+    }
 
     for (const block of this.chain) {
+      if (latest && block.blockNumber <= latest.toBlock) continue;
       totalTransactions += block.transactions.length;
       for (const tx of block.transactions) {
         transactionTypes[tx.type] = (transactionTypes[tx.type] || 0) + 1;
@@ -749,7 +2366,7 @@ class PharmaBlockchainService {
     }
 
     return {
-      chainLength: this.chain.length,
+      chainLength: this.getChainLength(),
       totalTransactions,
       pendingTransactions: this.pendingTransactions.length,
       latestBlock: this.getLatestBlock(),
@@ -758,30 +2375,225 @@ class PharmaBlockchainService {
         : CHAIN_STATUS.INVALID,
       transactionTypes,
       difficulty: this.difficulty,
+      consensus: this.consensus,
+      sealThreshold: this.authority ? this.authority.threshold : null,
+      awaitingSeals: !!this.blockAwaitingSeals,
+      signerKeyId: this.signerKeyId,
+      signingKeyLocked: !this.privateKey,
+      checkpoints: this.checkpoints.length,
+      blocksInMemory: this.chain.length,
       facilityId: this.facilityId,
-      createdAt: this.chain[0]?.timestamp,
+      createdAt: this.checkpoints[0]?.startTime || this.chain[0]?.timestamp,
       lastUpdated: this.getLatestBlock()?.timestamp,
     };
   }
 
   // Storage methods
   async saveBlockToStorage(block) {
-    const transaction = this.db.transaction([STORES.CHAIN], "readwrite");
-    const store = transaction.objectStore(STORES.CHAIN);
+    // Block and its index entries are written atomically
+    const transaction = this.db.transaction(
+      [STORES.CHAIN, STORES.TX_INDEX],
+      "readwrite"
+    );
+    transaction.objectStore(STORES.CHAIN).put(block);
+    const indexStore = transaction.objectStore(STORES.TX_INDEX);
+    block.transactions.forEach((tx) =>
+      indexStore.put(createIndexEntry(tx, block))
+    );
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteBlocksFromStorage(fromBlock) {
+    const transaction = this.db.transaction(
+      [STORES.CHAIN, STORES.TX_INDEX],
+      "readwrite"
+    );
+    transaction
+      .objectStore(STORES.CHAIN)
+      .delete(IDBKeyRange.lowerBound(fromBlock));
+    const request = transaction
+      .objectStore(STORES.TX_INDEX)
+      .index("blockNumber")
+      .openCursor(IDBKeyRange.lowerBound(fromBlock));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearChainStorage() {
+    const stores = [STORES.CHAIN, STORES.TX_INDEX, STORES.CHECKPOINTS];
+    const transaction = this.db.transaction(stores, "readwrite");
+    stores.forEach((name) => transaction.objectStore(name).clear());
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async saveCheckpoint(checkpoint) {
+    const transaction = this.db.transaction([STORES.CHECKPOINTS], "readwrite");
+    const store = transaction.objectStore(STORES.CHECKPOINTS);
 
     return new Promise((resolve, reject) => {
-      const request = store.put(block);
+      const request = store.put(checkpoint);
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
   }
 
-  async loadChainFromStorage() {
+  async loadCheckpoints() {
+    const transaction = this.db.transaction([STORES.CHECKPOINTS], "readonly");
+    const store = transaction.objectStore(STORES.CHECKPOINTS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadIndexEntry(transactionId) {
+    const transaction = this.db.transaction([STORES.TX_INDEX], "readonly");
+    const store = transaction.objectStore(STORES.TX_INDEX);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(transactionId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Walk the persisted transaction index newest first
+   * Uses the room or type index when the query allows it.
+   * @param {object} query - Normalized query
+   * @param {number} beforeBlock - Only entries for earlier blocks
+   * @param {number} limit
+   * @returns {Promise<array>}
+   */
+  async queryIndexStore(query, beforeBlock, limit) {
+    const transaction = this.db.transaction([STORES.TX_INDEX], "readonly");
+    const store = transaction.objectStore(STORES.TX_INDEX);
+    const lower = query.from || "";
+    const upper = query.to || "\uffff";
+
+    let source;
+    let range;
+    if (query.roomId) {
+      source = store.index("room_time");
+      range = IDBKeyRange.bound([query.roomId, lower], [query.roomId, upper]);
+    } else if (query.types && query.types.length === 1) {
+      source = store.index("type_time");
+      range = IDBKeyRange.bound(
+        [query.types[0], lower],
+        [query.types[0], upper]
+      );
+    } else if (query.from || query.to) {
+      source = store.index("timestamp");
+      range = IDBKeyRange.bound(lower, upper);
+    } else {
+      source = store.index("blockNumber");
+      range = IDBKeyRange.upperBound(beforeBlock, true);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const request = source.openCursor(range, "prev");
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+        const entry = cursor.value;
+        if (entry.blockNumber < beforeBlock && matchesQuery(entry, query)) {
+          entries.push(entry);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveConfig(key, value) {
+    const transaction = this.db.transaction([STORES.CONFIG], "readwrite");
+    const store = transaction.objectStore(STORES.CONFIG);
+
+    return new Promise((resolve, reject) => {
+      const request = store.put({ key, value });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadConfig(key) {
+    const transaction = this.db.transaction([STORES.CONFIG], "readonly");
+    const store = transaction.objectStore(STORES.CONFIG);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () =>
+        resolve(request.result ? request.result.value : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadKeyRecord(id) {
+    const transaction = this.db.transaction([STORES.KEYS], "readonly");
+    const store = transaction.objectStore(STORES.KEYS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveKeyRecord(record) {
+    const transaction = this.db.transaction([STORES.KEYS], "readwrite");
+    const store = transaction.objectStore(STORES.KEYS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteKeyRecord(id) {
+    const transaction = this.db.transaction([STORES.KEYS], "readwrite");
+    const store = transaction.objectStore(STORES.KEYS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadBlocksFromStorage(fromBlock = 0, toBlock = Infinity) {
     const transaction = this.db.transaction([STORES.CHAIN], "readonly");
     const store = transaction.objectStore(STORES.CHAIN);
+    const range =
+      toBlock === Infinity
+        ? IDBKeyRange.lowerBound(fromBlock)
+        : IDBKeyRange.bound(fromBlock, toBlock);
 
     return new Promise((resolve, reject) => {
-      const request = store.getAll();
+      const request = store.getAll(range);
       request.onsuccess = () => {
         const blocks = request.result.sort(
           (a, b) => a.blockNumber - b.blockNumber
@@ -4,6 +4,16 @@
  */
 
 import { sha256, signData, verifySignature } from "./crypto";
+import {
+  RULE_OUTCOMES,
+  RULE_SEVERITIES,
+  RuleDefinitionError,
+  validateRuleSet,
+  hashRuleDefinition,
+  getRuleLimits,
+  escalateSeverity,
+} from "./contractRules";
+import storageComplianceRules from "./rules/storageCompliance.json";
 
 /**
  * Contract status constants
@@ -70,6 +80,20 @@ export const STORAGE_SPECIFICATIONS = {
   },
 };
 
+/**
+ * Bundled rule set for the parameter contracts
+ */
+export const DEFAULT_RULE_SET = storageComplianceRules;
+
+const getBundledRule = (id) =>
+  DEFAULT_RULE_SET.rules.find((rule) => rule.id === id);
+
+const STATUS_RANK = {
+  [COMPLIANCE_RESULT.PASS]: 0,
+  [COMPLIANCE_RESULT.WARNING]: 1,
+  [COMPLIANCE_RESULT.FAIL]: 2,
+};
+
 /**
  * Base Smart Contract Class
  */
@@ -122,103 +146,107 @@ class SmartContract {
 }
 
 /**
- * Temperature Compliance Contract
- * Ensures temperature readings comply with storage specifications
+ * Rule Contract
+ * Checks one parameter against a declarative rule definition. See
+ * contractRules.js for the definition format.
  */
-export class TemperatureComplianceContract extends SmartContract {
-  constructor() {
-    super(
-      "TC-001",
-      "Temperature Compliance Contract",
-      REGULATORY_FRAMEWORKS.FDA
-    );
-    this.regulations = [
-      {
-        code: "21 CFR 211.142",
-        description: "Storage temperature requirements",
-      },
-      {
-        code: "21 CFR 211.68",
-        description: "Temperature monitoring and control",
-      },
-    ];
+export class RuleContract extends SmartContract {
+  constructor(rule, ruleHash = null) {
+    super(rule.id, rule.name, rule.framework || REGULATORY_FRAMEWORKS.FDA);
+    this.rule = rule;
+    this.version = rule.version;
+    this.ruleHash = ruleHash;
+    this.regulations = rule.regulatoryReferences;
+  }
+
+  /**
+   * Hash of the rule definition, recorded on-chain when deployed
+   * @returns {Promise<string>}
+   */
+  async getRuleHash() {
+    if (!this.ruleHash) {
+      this.ruleHash = await hashRuleDefinition(this.rule);
+    }
+    return this.ruleHash;
   }
 
   async execute(data) {
-    const { roomType, temperature, timestamp, roomId } = data;
-    const specs =
-      STORAGE_SPECIFICATIONS[roomType] || STORAGE_SPECIFICATIONS.ambient;
+    const { roomType, timestamp, roomId, duration } = data;
+    const { parameter, unit, severity: outcomes } = this.rule;
+    const label = this.rule.label || parameter;
+    const value = data[parameter];
+    const limits = getRuleLimits(this.rule, roomType);
 
     const result = {
       contractId: this.id,
       contractName: this.name,
+      contractVersion: this.version,
+      ruleHash: await this.getRuleHash(),
       timestamp: new Date().toISOString(),
-      inputData: { roomType, temperature, timestamp, roomId },
-      specifications: specs.temperature,
+      inputData: { roomType, [parameter]: value, timestamp, roomId },
+      specifications: { min: limits.min, max: limits.max, unit },
       status: COMPLIANCE_RESULT.PASS,
+      severity: null,
       details: [],
       correctiveActions: [],
       regulatoryReferences: this.regulations,
     };
 
-    // Check temperature range
-    if (temperature < specs.temperature.min) {
-      result.status = COMPLIANCE_RESULT.FAIL;
-      result.details.push({
-        type: "BELOW_MINIMUM",
-        message: `Temperature ${temperature}${specs.temperature.unit} is below minimum ${specs.temperature.min}${specs.temperature.unit}`,
-        deviation: specs.temperature.min - temperature,
-      });
-      result.correctiveActions.push({
-        action: "IMMEDIATE_INVESTIGATION",
-        priority: "HIGH",
-        description:
-          "Investigate cold chain integrity and potential product impact",
-      });
-    } else if (temperature > specs.temperature.max) {
-      result.status = COMPLIANCE_RESULT.FAIL;
-      result.details.push({
-        type: "ABOVE_MAXIMUM",
-        message: `Temperature ${temperature}${specs.temperature.unit} exceeds maximum ${specs.temperature.max}${specs.temperature.unit}`,
-        deviation: temperature - specs.temperature.max,
+    const apply = (outcome, detail) => {
+      const mapping = outcomes[outcome];
+      result.details.push({ type: outcome, ...detail });
+      if (STATUS_RANK[mapping.status] > STATUS_RANK[result.status]) {
+        result.status = mapping.status;
+      }
+      if (
+        RULE_SEVERITIES.indexOf(mapping.severity) >
+        RULE_SEVERITIES.indexOf(result.severity)
+      ) {
+        result.severity = mapping.severity;
+      }
+      if (mapping.correctiveAction) {
+        result.correctiveActions.push({
+          priority: "MEDIUM",
+          ...mapping.correctiveAction,
+        });
+      }
+    };
+
+    // Check range
+    if (value < limits.min) {
+      apply(RULE_OUTCOMES.BELOW_MINIMUM, {
+        message: `${label} ${value}${unit} is below minimum ${limits.min}${unit}`,
+        deviation: limits.min - value,
       });
-      result.correctiveActions.push({
-        action: "IMMEDIATE_INVESTIGATION",
-        priority: "HIGH",
-        description:
-          "Investigate cooling system failure and potential product degradation",
+    } else if (value > limits.max) {
+      apply(RULE_OUTCOMES.ABOVE_MAXIMUM, {
+        message: `${label} ${value}${unit} exceeds maximum ${limits.max}${unit}`,
+        deviation: value - limits.max,
       });
     } else {
       result.details.push({
         type: "IN_RANGE",
-        message: `Temperature ${temperature}${specs.temperature.unit} within acceptable range`,
+        message: `${label} ${value}${unit} within acceptable range`,
       });
     }
 
-    // Check for warning zone (within 10% of limits)
-    const range = specs.temperature.max - specs.temperature.min;
-    const warningBuffer = range * 0.1;
-
-    if (temperature < specs.temperature.min + warningBuffer) {
-      result.status =
-        result.status === COMPLIANCE_RESULT.FAIL
-          ? COMPLIANCE_RESULT.FAIL
-          : COMPLIANCE_RESULT.WARNING;
-      result.details.push({
-        type: "APPROACHING_LOW",
-        message: "Temperature approaching lower limit",
+    // Check warning zone (warningMargin is a fraction of the range)
+    const margin = (limits.max - limits.min) * (this.rule.warningMargin || 0);
+    if (margin > 0 && value < limits.min + margin) {
+      apply(RULE_OUTCOMES.APPROACHING_LOW, {
+        message: `${label} approaching lower limit`,
       });
-    } else if (temperature > specs.temperature.max - warningBuffer) {
-      result.status =
-        result.status === COMPLIANCE_RESULT.FAIL
-          ? COMPLIANCE_RESULT.FAIL
-          : COMPLIANCE_RESULT.WARNING;
-      result.details.push({
-        type: "APPROACHING_HIGH",
-        message: "Temperature approaching upper limit",
+    } else if (margin > 0 && value > limits.max - margin) {
+      apply(RULE_OUTCOMES.APPROACHING_HIGH, {
+        message: `${label} approaching upper limit`,
       });
     }
 
+    // Longer excursions escalate through the duration windows
+    if (result.status === COMPLIANCE_RESULT.FAIL) {
+      result.severity = escalateSeverity(this.rule, result.severity, duration);
+    }
+
     // Generate hash for integrity
     result.hash = await sha256(JSON.stringify(result));
 
@@ -228,71 +256,22 @@ export class TemperatureComplianceContract extends SmartContract {
 }
 
 /**
- * Humidity Compliance Contract
- * Ensures humidity readings comply with storage specifications
+ * Temperature Compliance Contract
+ * Ensures temperature readings comply with storage specifications
  */
-export class HumidityComplianceContract extends SmartContract {
+export class TemperatureComplianceContract extends RuleContract {
   constructor() {
-    super("HC-001", "Humidity Compliance Contract", REGULATORY_FRAMEWORKS.FDA);
-    this.regulations = [
-      { code: "21 CFR 211.142", description: "Storage humidity requirements" },
-      { code: "EU GMP Annex 15", description: "Qualification and validation" },
-    ];
+    super(getBundledRule("TC-001"));
   }
+}
 
-  async execute(data) {
-    const { roomType, humidity, timestamp, roomId } = data;
-    const specs =
-      STORAGE_SPECIFICATIONS[roomType] || STORAGE_SPECIFICATIONS.ambient;
-
-    const result = {
-      contractId: this.id,
-      contractName: this.name,
-      timestamp: new Date().toISOString(),
-      inputData: { roomType, humidity, timestamp, roomId },
-      specifications: specs.humidity,
-      status: COMPLIANCE_RESULT.PASS,
-      details: [],
-      correctiveActions: [],
-      regulatoryReferences: this.regulations,
-    };
-
-    if (humidity < specs.humidity.min) {
-      result.status = COMPLIANCE_RESULT.FAIL;
-      result.details.push({
-        type: "BELOW_MINIMUM",
-        message: `Humidity ${humidity}${specs.humidity.unit} is below minimum ${specs.humidity.min}${specs.humidity.unit}`,
-        deviation: specs.humidity.min - humidity,
-      });
-      result.correctiveActions.push({
-        action: "HUMIDITY_ADJUSTMENT",
-        priority: "MEDIUM",
-        description: "Adjust humidification system to increase humidity levels",
-      });
-    } else if (humidity > specs.humidity.max) {
-      result.status = COMPLIANCE_RESULT.FAIL;
-      result.details.push({
-        type: "ABOVE_MAXIMUM",
-        message: `Humidity ${humidity}${specs.humidity.unit} exceeds maximum ${specs.humidity.max}${specs.humidity.unit}`,
-        deviation: humidity - specs.humidity.max,
-      });
-      result.correctiveActions.push({
-        action: "DEHUMIDIFICATION",
-        priority: "HIGH",
-        description:
-          "Activate dehumidification system and check for moisture ingress",
-      });
-    } else {
-      result.details.push({
-        type: "IN_RANGE",
-        message: `Humidity ${humidity}${specs.humidity.unit} within acceptable range`,
-      });
-    }
-
-    result.hash = await sha256(JSON.stringify(result));
-
-    this.logExecution(result);
-    return result;
+/**
+ * Humidity Compliance Contract
+ * Ensures humidity readings comply with storage specifications
+ */
+export class HumidityComplianceContract extends RuleContract {
+  constructor() {
+    super(getBundledRule("HC-001"));
   }
 }
 
@@ -816,13 +795,13 @@ export class SmartContractRegistry {
   constructor() {
     this.contracts = new Map();
     this.executionHistory = [];
+    this.deployments = [];
     this.initialize();
   }
 
   initialize() {
-    // Register default contracts
-    this.register(new TemperatureComplianceContract());
-    this.register(new HumidityComplianceContract());
+    // Parameter contracts come from the bundled rule definitions
+    this.loadRuleSet(DEFAULT_RULE_SET);
     this.register(new DeviationManagementContract());
     this.register(new ALCOAComplianceContract());
     this.register(new AuditTrailContract());
@@ -837,6 +816,98 @@ export class SmartContractRegistry {
     console.log(`Registered smart contract: ${contract.name} (${contract.id})`);
   }
 
+  /**
+   * Register the contracts of a rule set without recording a deployment
+   * @param {object} ruleSet - { ruleSet, version, rules }
+   * @returns {array} - Registered contracts
+   * @throws {RuleDefinitionError}
+   */
+  loadRuleSet(ruleSet) {
+    validateRuleSet(ruleSet);
+    return ruleSet.rules.map((rule) => {
+      const contract = new RuleContract(rule);
+      this.register(contract);
+      return contract;
+    });
+  }
+
+  /**
+   * Deploy a rule set
+   * Every rule is validated before any contract is replaced. Changing a
+   * rule requires a new version. With a ledger, each contract version
+   * hash is recorded on-chain in a contract_deployment transaction.
+   * @param {object} ruleSet - { ruleSet, version, rules }
+   * @param {object} [ledger] - PharmaBlockchainService
+   * @returns {Promise<object>} - Deployment record
+   * @throws {RuleDefinitionError}
+   */
+  async deployRuleSet(ruleSet, ledger = null) {
+    validateRuleSet(ruleSet);
+
+    const contracts = [];
+    for (const [index, rule] of ruleSet.rules.entries()) {
+      const hash = await hashRuleDefinition(rule);
+      const current = this.getContract(rule.id);
+      if (current && !(current instanceof RuleContract)) {
+        throw new RuleDefinitionError(
+          `${rule.id} is a built-in contract`,
+          `rules[${index}]`
+        );
+      }
+
+      const currentHash = current ? await current.getRuleHash() : null;
+      if (current && current.version === rule.version && currentHash !== hash) {
+        throw new RuleDefinitionError(
+          `${rule.id} version ${rule.version} is already deployed with different content`,
+          `rules[${index}].version`
+        );
+      }
+      contracts.push({
+        contractId: rule.id,
+        version: rule.version,
+        hash,
+        previousVersion: current ? current.version : null,
+        previousHash: currentHash,
+      });
+    }
+
+    // Unchanged contracts keep their execution history
+    ruleSet.rules.forEach((rule, index) => {
+      if (contracts[index].hash !== contracts[index].previousHash) {
+        this.register(new RuleContract(rule, contracts[index].hash));
+      }
+    });
+
+    const deployment = {
+      ruleSet: ruleSet.ruleSet,
+      version: ruleSet.version,
+      hash: await hashRuleDefinition(ruleSet),
+      deployedAt: new Date().toISOString(),
+      contracts,
+      transactionId: null,
+    };
+
+    if (ledger) {
+      const tx =
+        ledger.transactionFactory.createContractDeploymentTransaction(
+          deployment
+        );
+      await ledger.addTransaction(tx);
+      deployment.transactionId = tx.id;
+    }
+
+    this.deployments.push(deployment);
+    return deployment;
+  }
+
+  /**
+   * Get rule set deployments, oldest first
+   * @returns {array}
+   */
+  getDeployments() {
+    return [...this.deployments];
+  }
+
   /**
    * Get a contract by ID
    * @param {string} contractId
@@ -953,6 +1024,7 @@ export class SmartContractRegistry {
       stats.contractStats[contract.id] = {
         name: contract.name,
         status: contract.status,
+        version: contract.version,
         executionCount: contract.executionCount,
         lastExecuted: contract.lastExecuted,
         violations: contract.violations.length,
@@ -20,6 +20,9 @@ export const TRANSACTION_TYPES = {
   USER_ACTION: "user_action",
   SYSTEM: "system",
   COMPLIANCE_CHECK: "compliance_check",
+  KEY_MANAGEMENT: "key_management",
+  REPLICATION: "replication",
+  CONTRACT_DEPLOYMENT: "contract_deployment",
 };
 
 /**
@@ -33,6 +36,7 @@ export const REGULATORY_REFERENCES = {
   EU_GMP: ["EU-GMP-Annex11", "EU-GMP-Annex15", "PIC/S-PE-009"],
   WHO: ["WHO-TRS-961", "WHO-EPI-LOG"],
   ICH: ["ICH-Q1A", "ICH-Q7", "ICH-Q10"],
+  FDA_ESIGNATURE: ["21CFR11.50", "21CFR11.70", "21CFR11.200"],
 };
 
 /**
@@ -181,7 +185,8 @@ export class TransactionFactory {
   /**
    * Create medicine inventory transaction
    * @param {string} medicineId
-   * @param {string} action - 'add' | 'update' | 'remove' | 'quarantine' | 'release'
+   * @param {string} action - 'receive' | 'move' | 'dispense' | 'quarantine' | 'release',
+   *   or the older 'add' | 'update' | 'remove'
    * @param {object} details
    * @returns {object}
    */
@@ -210,7 +215,9 @@ export class TransactionFactory {
     tx.metadata = {
       ...tx.metadata,
       traceabilityLevel: "full",
-      requiresVerification: ["remove", "quarantine"].includes(action),
+      requiresVerification: ["remove", "dispense", "quarantine"].includes(
+        action
+      ),
       serialization: !!details.serialNumber,
       gdpCompliant: true,
     };
@@ -450,6 +457,156 @@ export class TransactionFactory {
     return tx;
   }
 
+  /**
+   * Create key management transaction
+   * @param {string} action - 'rotate' | 'revoke' | 'register' | 'enroll'
+   * @param {object} keyData - { keyId, publicKey, previousKeyId, ownerId, reason, ... }
+   * @returns {object}
+   */
+  createKeyManagementTransaction(action, keyData) {
+    const data = {
+      action,
+      keyId: keyData.keyId,
+      publicKey: keyData.publicKey || null,
+      previousKeyId: keyData.previousKeyId || null,
+      ownerId: keyData.ownerId || this.facilityId,
+      ownerRole: keyData.ownerRole || null,
+      reason: keyData.reason || null,
+      compromisedFromBlock:
+        keyData.compromisedFromBlock !== undefined
+          ? keyData.compromisedFromBlock
+          : null,
+      possessionProof: keyData.possessionProof || null,
+      ...(keyData.endorserKeyId && { endorserKeyId: keyData.endorserKeyId }),
+      algorithm: "ECDSA P-256",
+      effectiveAt: new Date().toISOString(),
+    };
+
+    const tx = this.createBaseTransaction(
+      TRANSACTION_TYPES.KEY_MANAGEMENT,
+      data,
+      [...REGULATORY_REFERENCES.FDA_RECORDS, "21CFR11.300"]
+    );
+
+    tx.metadata = {
+      ...tx.metadata,
+      immutable: true,
+      securityEvent: action !== "register",
+      retentionPeriod: "10 years",
+    };
+
+    return tx;
+  }
+
+  /**
+   * Create replication transaction
+   * Records how a fork between ledger replicas was resolved.
+   * @param {string} event - 'fork_resolved'
+   * @param {object} details
+   * @returns {object}
+   */
+  createReplicationTransaction(event, details) {
+    const data = {
+      event,
+      peerId: details.peerId,
+      forkPoint: details.forkPoint,
+      rule: details.rule,
+      adoptedHead: details.adoptedHead,
+      discardedHead: details.discardedHead,
+      discardedBlocks: details.discardedBlocks,
+      requeuedTransactions: details.requeuedTransactions || [],
+      resolvedAt: new Date().toISOString(),
+    };
+
+    const tx = this.createBaseTransaction(TRANSACTION_TYPES.REPLICATION, data, [
+      ...REGULATORY_REFERENCES.FDA_RECORDS,
+      ...REGULATORY_REFERENCES.EU_GMP,
+    ]);
+
+    tx.metadata = {
+      ...tx.metadata,
+      immutable: true,
+      retentionPeriod: "10 years",
+    };
+
+    return tx;
+  }
+
+  /**
+   * Create contract deployment transaction
+   * Records the version and hash of every contract in a deployed rule set.
+   * @param {object} deployment - SmartContractRegistry.deployRuleSet() record
+   * @returns {object}
+   */
+  createContractDeploymentTransaction(deployment) {
+    const data = {
+      ruleSet: deployment.ruleSet,
+      version: deployment.version,
+      hash: deployment.hash,
+      contracts: deployment.contracts.map((contract) => ({
+        contractId: contract.contractId,
+        version: contract.version,
+        hash: contract.hash,
+        previousVersion: contract.previousVersion,
+        previousHash: contract.previousHash,
+      })),
+      deployedAt: deployment.deployedAt,
+    };
+
+    const tx = this.createBaseTransaction(
+      TRANSACTION_TYPES.CONTRACT_DEPLOYMENT,
+      data,
+      [...REGULATORY_REFERENCES.FDA_RECORDS, "21CFR11.10(a)"]
+    );
+
+    tx.metadata = {
+      ...tx.metadata,
+      immutable: true,
+      retentionPeriod: "10 years",
+    };
+
+    return tx;
+  }
+
+  /**
+   * Create electronic signature transaction
+   * Records a signature manifestation and the signer's signature over it.
+   * @param {object} signature - eSignatureService signature record
+   * @returns {object}
+   */
+  createElectronicSignatureTransaction(signature) {
+    const data = {
+      action: "esign",
+      signatureId: signature.signatureId,
+      recordType: signature.recordType,
+      recordId: signature.recordId,
+      recordHash: signature.recordHash,
+      meaning: signature.meaning,
+      signerId: signature.signerId,
+      signerName: signature.signerName,
+      signerRole: signature.signerRole,
+      signedAt: signature.signedAt,
+      keyId: signature.keyId,
+      comment: signature.comment || null,
+      signature: signature.signature,
+      timestamp: new Date().toISOString(),
+    };
+
+    const tx = this.createBaseTransaction(TRANSACTION_TYPES.USER_ACTION, data, [
+      ...REGULATORY_REFERENCES.FDA_ESIGNATURE,
+      ...REGULATORY_REFERENCES.FDA_RECORDS,
+    ]);
+    tx.userId = signature.signerId;
+
+    tx.metadata = {
+      ...tx.metadata,
+      immutable: true,
+      retentionPeriod: "10 years",
+    };
+
+    return tx;
+  }
+
   /**
    * Get severity of status change
    * @param {string} oldStatus
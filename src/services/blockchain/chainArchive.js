@@ -0,0 +1,320 @@
+/**
+ * Chain Archives
+ * Versioned JSON Lines export of the full chain, pending transactions and
+ * public keys, with offline re-validation before an archive is imported.
+ *
+ * Line 1 is a header, followed by one line per key, block and pending
+ * transaction, and a footer holding counts and a checksum of every
+ * preceding line so truncated or edited archives are rejected.
+ */
+
+import {
+  sha256,
+  calculateBlockHash,
+  verifySignature,
+  importPublicKey,
+} from "./crypto";
+import { calculateMerkleRoot } from "./MerkleTree";
+import { validateChainData } from "./miningCore";
+import { FACILITY_KEY_OWNER } from "./KeyManager";
+
+export const ARCHIVE_FORMAT = "pharma-ledger-archive";
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Archive line types
+ */
+export const ARCHIVE_RECORDS = {
+  HEADER: "header",
+  KEY: "key",
+  BLOCK: "block",
+  PENDING: "pending",
+  FOOTER: "footer",
+};
+
+/**
+ * Import modes
+ */
+export const IMPORT_MODES = {
+  REPLACE: "replace",
+  MERGE: "merge",
+};
+
+/**
+ * Error raised for archives that cannot be read
+ */
+export class ChainArchiveError extends Error {
+  constructor(message, line = null) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = "ChainArchiveError";
+    this.line = line;
+  }
+}
+
+/**
+ * Public fields of a key history entry
+ */
+const toPublicKeyRecord = (key) => ({
+  keyId: key.keyId,
+  publicKey: key.publicKey,
+  ownerId: key.ownerId,
+  ownerRole: key.ownerRole || null,
+  status: key.status,
+  createdAt: key.createdAt || null,
+  activatedAtBlock: key.activatedAtBlock ?? null,
+  retiredAtBlock: key.retiredAtBlock ?? null,
+  revokedAtBlock: key.revokedAtBlock ?? null,
+  compromisedFromBlock: key.compromisedFromBlock ?? null,
+});
+
+/**
+ * Serialize a chain to a JSON Lines archive
+ * @param {object} ledger
+ * @param {string} ledger.facilityId
+ * @param {array} ledger.chain
+ * @param {array} [ledger.pendingTransactions]
+ * @param {array} ledger.keys - Public key history, genesis signer first
+ * @param {object} [ledger.consensus] - { type, authority }
+ * @returns {Promise<string>}
+ */
+export async function createChainArchive({
+  facilityId,
+  chain,
+  pendingTransactions = [],
+  keys,
+  consensus = null,
+}) {
+  const head = chain[chain.length - 1];
+
+  const records = [
+    {
+      type: ARCHIVE_RECORDS.HEADER,
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      facilityId,
+      exportedAt: new Date().toISOString(),
+      chainLength: chain.length,
+      headHash: head ? head.currentHash : null,
+      consensus,
+    },
+    ...keys.map((key) => ({
+      type: ARCHIVE_RECORDS.KEY,
+      ...toPublicKeyRecord(key),
+    })),
+    ...chain.map((block) => ({ type: ARCHIVE_RECORDS.BLOCK, block })),
+    ...pendingTransactions.map((transaction) => ({
+      type: ARCHIVE_RECORDS.PENDING,
+      transaction,
+    })),
+  ];
+
+  const lines = records.map((record) => JSON.stringify(record));
+  lines.push(
+    JSON.stringify({
+      type: ARCHIVE_RECORDS.FOOTER,
+      keyCount: keys.length,
+      blockCount: chain.length,
+      pendingCount: pendingTransactions.length,
+      checksum: await sha256(lines.join("\n")),
+    })
+  );
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parse a JSON Lines archive
+ * @param {string} text
+ * @returns {Promise<object>} - { header, keys, chain, pendingTransactions }
+ * @throws {ChainArchiveError}
+ */
+export async function parseChainArchive(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length < 2) {
+    throw new ChainArchiveError("Archive is empty or truncated");
+  }
+
+  const records = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new ChainArchiveError("Invalid JSON", index + 1);
+    }
+  });
+
+  const header = records[0];
+  if (
+    header.type !== ARCHIVE_RECORDS.HEADER ||
+    header.format !== ARCHIVE_FORMAT
+  ) {
+    throw new ChainArchiveError("Not a ledger archive", 1);
+  }
+  if (header.version > ARCHIVE_VERSION) {
+    throw new ChainArchiveError(
+      `Unsupported archive version ${header.version}`,
+      1
+    );
+  }
+
+  const footer = records[records.length - 1];
+  if (footer.type !== ARCHIVE_RECORDS.FOOTER) {
+    throw new ChainArchiveError("Archive footer missing; file is truncated");
+  }
+  const checksum = await sha256(lines.slice(0, -1).join("\n"));
+  if (checksum !== footer.checksum) {
+    throw new ChainArchiveError(
+      "Archive checksum mismatch; file was modified or truncated",
+      lines.length
+    );
+  }
+
+  const archive = { header, keys: [], chain: [], pendingTransactions: [] };
+  records.slice(1, -1).forEach((record, index) => {
+    switch (record.type) {
+      case ARCHIVE_RECORDS.KEY:
+        archive.keys.push(toPublicKeyRecord(record));
+        break;
+      case ARCHIVE_RECORDS.BLOCK:
+        archive.chain.push(record.block);
+        break;
+      case ARCHIVE_RECORDS.PENDING:
+        archive.pendingTransactions.push(record.transaction);
+        break;
+      default:
+        throw new ChainArchiveError(
+          `Unknown record type "${record.type}"`,
+          index + 2
+        );
+    }
+  });
+
+  if (
+    archive.chain.length !== footer.blockCount ||
+    archive.keys.length !== footer.keyCount ||
+    archive.pendingTransactions.length !== footer.pendingCount
+  ) {
+    throw new ChainArchiveError("Record counts do not match the footer");
+  }
+
+  return archive;
+}
+
+/**
+ * Re-validate an archived chain without local state
+ *
+ * Checks the genesis block, then every block's hash linkage, hash,
+ * Merkle root, proof of work or seals and signature against the key in
+ * force at that block, and finally each transaction signature.
+ *
+ * @param {object} archive - Result of parseChainArchive()
+ * @returns {Promise<object>} - { valid, failedBlock, invalidBlocks, validation }
+ */
+export async function verifyChainArchive(archive) {
+  const { header, keys, chain } = archive;
+  const invalidBlocks = [];
+
+  const report = (extra = {}) => ({
+    valid: invalidBlocks.length === 0,
+    failedBlock: invalidBlocks[0] || null,
+    invalidBlocks,
+    ...extra,
+  });
+
+  if (chain.length === 0) {
+    invalidBlocks.push({ blockNumber: 0, reason: "Archive has no blocks" });
+    return report();
+  }
+
+  chain.forEach((block, index) => {
+    if (block.blockNumber !== index) {
+      invalidBlocks.push({
+        blockNumber: block.blockNumber,
+        reason: "Block out of sequence",
+        expected: index,
+        actual: block.blockNumber,
+      });
+    }
+  });
+  if (invalidBlocks.length > 0) return report();
+
+  // Genesis signer is the first facility key
+  const facilityKeys = keys.filter((key) => key.ownerId === FACILITY_KEY_OWNER);
+  const genesis = chain[0];
+  const genesisKey =
+    facilityKeys.find((key) => key.keyId === genesis.signerKeyId) ||
+    facilityKeys[0];
+  if (!genesisKey) {
+    invalidBlocks.push({
+      blockNumber: 0,
+      reason: "No signing keys in archive",
+    });
+    return report();
+  }
+
+  const genesisHash = await calculateBlockHash(genesis);
+  if (genesisHash !== genesis.currentHash) {
+    invalidBlocks.push({
+      blockNumber: 0,
+      reason: "Block hash mismatch",
+      expected: genesis.currentHash,
+      actual: genesisHash,
+    });
+  } else if (
+    (await calculateMerkleRoot(genesis.transactions)) !== genesis.merkleRoot
+  ) {
+    invalidBlocks.push({ blockNumber: 0, reason: "Merkle root mismatch" });
+  } else if (
+    !(await verifySignature(
+      genesis.currentHash,
+      genesis.signature,
+      await importPublicKey(genesisKey.publicKey)
+    ))
+  ) {
+    invalidBlocks.push({
+      blockNumber: 0,
+      reason: "Invalid block signature",
+      expected: genesisKey.keyId,
+    });
+  }
+
+  const validation = await validateChainData(chain, {
+    authority: header.consensus ? header.consensus.authority : null,
+    initialSigningKey: genesisKey.publicKey,
+    facilitySealerId: header.facilityId,
+  });
+  invalidBlocks.push(...validation.invalidBlocks);
+
+  // Transactions are signed by whichever key was active when they were
+  // queued, which may precede the block's signer
+  const cryptoKeys = await Promise.all(
+    keys.map((key) => importPublicKey(key.publicKey))
+  );
+  const flagged = new Set(invalidBlocks.map((b) => b.blockNumber));
+
+  for (const block of chain) {
+    if (flagged.has(block.blockNumber)) continue;
+
+    for (const tx of block.transactions) {
+      if (!tx.signature) continue;
+      const payload = JSON.stringify(tx.data);
+      let verified = false;
+      for (const key of cryptoKeys) {
+        if (await verifySignature(payload, tx.signature, key)) {
+          verified = true;
+          break;
+        }
+      }
+      if (!verified) {
+        invalidBlocks.push({
+          blockNumber: block.blockNumber,
+          reason: "Invalid transaction signature",
+          transactionId: tx.id,
+        });
+        break;
+      }
+    }
+  }
+
+  invalidBlocks.sort((a, b) => a.blockNumber - b.blockNumber);
+  return report({ validation });
+}
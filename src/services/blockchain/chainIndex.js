@@ -0,0 +1,157 @@
+/**
+ * Chain Index
+ * In-memory transaction index over the blocks held in memory, keyed by
+ * transaction ID, type and room so queries don't scan every block.
+ * The same entries are persisted to IndexedDB for older blocks.
+ */
+
+/**
+ * Get the room a transaction belongs to
+ * @param {object} tx
+ * @returns {string|null}
+ */
+export function getTransactionRoomId(tx) {
+  return tx.data?.roomId || tx.metadata?.roomId || null;
+}
+
+/**
+ * Build the index entry for a transaction
+ * @param {object} tx
+ * @param {object} block
+ * @returns {object} - { id, blockNumber, blockHash, type, roomId, timestamp }
+ */
+export function createIndexEntry(tx, block) {
+  return {
+    id: tx.id,
+    blockNumber: block.blockNumber,
+    blockHash: block.currentHash,
+    type: tx.type,
+    roomId: getTransactionRoomId(tx),
+    timestamp: tx.timestamp,
+  };
+}
+
+/**
+ * Check an index entry against query filters
+ * @param {object} entry
+ * @param {object} query - { types, roomId, from, to }
+ * @returns {boolean}
+ */
+export function matchesQuery(entry, { types, roomId, from, to }) {
+  if (types && !types.includes(entry.type)) return false;
+  if (roomId && entry.roomId !== roomId) return false;
+  if (from && entry.timestamp < from) return false;
+  if (to && entry.timestamp > to) return false;
+  return true;
+}
+
+/**
+ * Normalize query options
+ * Accepts a single type or a list, and Date or ISO string bounds.
+ * @param {object} query
+ * @returns {object}
+ */
+export function normalizeQuery(query = {}) {
+  const { type, types, roomId, from, to, limit = 100 } = query;
+  const toIso = (value) =>
+    value instanceof Date ? value.toISOString() : value || null;
+
+  return {
+    types: types && types.length > 0 ? types : type ? [type] : null,
+    roomId: roomId || null,
+    from: toIso(from),
+    to: toIso(to),
+    limit,
+  };
+}
+
+/**
+ * Chain Index Class
+ */
+export class ChainIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.byId = new Map();
+    this.byType = new Map();
+    this.byRoom = new Map();
+    this.entries = [];
+  }
+
+  /**
+   * Index every transaction in a block
+   * Blocks must be added in block number order.
+   * @param {object} block
+   */
+  addBlock(block) {
+    block.transactions.forEach((tx) => {
+      const entry = createIndexEntry(tx, block);
+      this.byId.set(entry.id, entry);
+      this.entries.push(entry);
+      this.append(this.byType, entry.type, entry);
+      if (entry.roomId) {
+        this.append(this.byRoom, entry.roomId, entry);
+      }
+    });
+  }
+
+  append(map, key, entry) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  }
+
+  /**
+   * Drop entries for blocks evicted from memory
+   * @param {number} blockNumber - First block number to keep
+   */
+  evictBefore(blockNumber) {
+    const keep = (entry) => entry.blockNumber >= blockNumber;
+
+    this.entries.filter((e) => !keep(e)).forEach((e) => this.byId.delete(e.id));
+    this.entries = this.entries.filter(keep);
+    [this.byType, this.byRoom].forEach((map) => {
+      map.forEach((list, key) => {
+        const kept = list.filter(keep);
+        if (kept.length > 0) map.set(key, kept);
+        else map.delete(key);
+      });
+    });
+  }
+
+  /**
+   * Get the entry for a transaction ID
+   * @param {string} transactionId
+   * @returns {object|null}
+   */
+  get(transactionId) {
+    return this.byId.get(transactionId) || null;
+  }
+
+  /**
+   * Find entries, newest first
+   * Starts from the narrowest of the room or type lists.
+   * @param {object} query - { type, types, roomId, from, to, limit }
+   * @returns {array}
+   */
+  query(query = {}) {
+    const normalized = normalizeQuery(query);
+    const { types, roomId, limit } = normalized;
+
+    let candidates = this.entries;
+    if (roomId) {
+      candidates = this.byRoom.get(roomId) || [];
+    } else if (types && types.length === 1) {
+      candidates = this.byType.get(types[0]) || [];
+    }
+
+    const results = [];
+    for (let i = candidates.length - 1; i >= 0 && results.length < limit; i--) {
+      if (matchesQuery(candidates[i], normalized)) {
+        results.push(candidates[i]);
+      }
+    }
+    return results;
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Chain Checkpoints
+ * Signed summaries of completed chain segments. Once a segment is
+ * checkpointed its blocks can be evicted from memory and loaded from
+ * IndexedDB on demand, and quick validation starts from the latest
+ * checkpoint instead of the genesis block.
+ */
+
+import { sha256, signData, verifySignature, importPublicKey } from "./crypto";
+
+/**
+ * Hash a segment as the ordered list of its block hashes
+ * @param {array} blocks
+ * @returns {Promise<string>}
+ */
+export async function calculateSegmentHash(blocks) {
+  return await sha256(blocks.map((block) => block.currentHash).join(""));
+}
+
+/**
+ * Fields covered by the checkpoint hash
+ */
+const hashCheckpoint = (checkpoint) =>
+  sha256({
+    checkpointNumber: checkpoint.checkpointNumber,
+    facilityId: checkpoint.facilityId,
+    fromBlock: checkpoint.fromBlock,
+    toBlock: checkpoint.toBlock,
+    lastBlockHash: checkpoint.lastBlockHash,
+    segmentHash: checkpoint.segmentHash,
+    previousCheckpointHash: checkpoint.previousCheckpointHash,
+    transactionCount: checkpoint.transactionCount,
+    transactionTypes: checkpoint.transactionTypes,
+    startTime: checkpoint.startTime,
+    endTime: checkpoint.endTime,
+    nextSignerKeyId: checkpoint.nextSignerKeyId,
+    nextSignerPublicKey: checkpoint.nextSignerPublicKey,
+    createdAt: checkpoint.createdAt,
+  });
+
+/**
+ * Create a signed checkpoint for a contiguous run of blocks
+ * @param {array} blocks - Segment blocks in order
+ * @param {object} options
+ * @param {object} [options.previous] - Previous checkpoint
+ * @param {string} options.facilityId
+ * @param {CryptoKey} options.privateKey - Facility signing key
+ * @param {string} options.signerKeyId
+ * @param {string} options.nextSignerPublicKey - Key that signs the block after the segment
+ * @param {string} options.nextSignerKeyId
+ * @returns {Promise<object>}
+ */
+export async function createCheckpoint(blocks, options) {
+  const { previous = null, facilityId, privateKey, signerKeyId } = options;
+  const first = blocks[0];
+  const last = blocks[blocks.length - 1];
+
+  if (previous && first.blockNumber !== previous.toBlock + 1) {
+    throw new Error(
+      `Checkpoint segment must start at block #${previous.toBlock + 1}`
+    );
+  }
+  if (previous && first.previousHash !== previous.lastBlockHash) {
+    throw new Error("Checkpoint segment does not link to the previous one");
+  }
+
+  const transactionTypes = {};
+  let transactionCount = 0;
+  blocks.forEach((block) => {
+    block.transactions.forEach((tx) => {
+      transactionTypes[tx.type] = (transactionTypes[tx.type] || 0) + 1;
+      transactionCount++;
+    });
+  });
+
+  const checkpoint = {
+    checkpointNumber: previous ? previous.checkpointNumber + 1 : 0,
+    facilityId,
+    fromBlock: first.blockNumber,
+    toBlock: last.blockNumber,
+    lastBlockHash: last.currentHash,
+    segmentHash: await calculateSegmentHash(blocks),
+    previousCheckpointHash: previous ? previous.hash : null,
+    transactionCount,
+    transactionTypes,
+    startTime: first.timestamp,
+    endTime: last.timestamp,
+    nextSignerKeyId: options.nextSignerKeyId,
+    nextSignerPublicKey: options.nextSignerPublicKey,
+    createdAt: new Date().toISOString(),
+    signerKeyId,
+  };
+
+  checkpoint.hash = await hashCheckpoint(checkpoint);
+  checkpoint.signature = await signData(checkpoint.hash, privateKey);
+  return checkpoint;
+}
+
+/**
+ * Verify a list of checkpoints: hashes, signatures and linkage
+ * @param {array} checkpoints - Ordered by checkpoint number
+ * @param {function} resolvePublicKey - (keyId) => base64 public key or null
+ * @returns {Promise<object>} - { valid, invalidCheckpoints }
+ */
+export async function verifyCheckpoints(checkpoints, resolvePublicKey) {
+  const invalidCheckpoints = [];
+  const fail = (checkpoint, reason) =>
+    invalidCheckpoints.push({
+      checkpointNumber: checkpoint.checkpointNumber,
+      fromBlock: checkpoint.fromBlock,
+      toBlock: checkpoint.toBlock,
+      reason,
+    });
+
+  for (let i = 0; i < checkpoints.length; i++) {
+    const checkpoint = checkpoints[i];
+    const previous = checkpoints[i - 1] || null;
+
+    if (
+      (previous && checkpoint.previousCheckpointHash !== previous.hash) ||
+      checkpoint.fromBlock !== (previous ? previous.toBlock + 1 : 0)
+    ) {
+      fail(checkpoint, "Checkpoint linkage broken");
+      continue;
+    }
+
+    if ((await hashCheckpoint(checkpoint)) !== checkpoint.hash) {
+      fail(checkpoint, "Checkpoint hash mismatch");
+      continue;
+    }
+
+    const publicKey = resolvePublicKey(checkpoint.signerKeyId);
+    if (
+      !publicKey ||
+      !(await verifySignature(
+        checkpoint.hash,
+        checkpoint.signature,
+        await importPublicKey(publicKey)
+      ))
+    ) {
+      fail(checkpoint, "Invalid checkpoint signature");
+    }
+  }
+
+  return { valid: invalidCheckpoints.length === 0, invalidCheckpoints };
+}
+
+/**
+ * Check that stored blocks still match their checkpoint
+ * @param {object} checkpoint
+ * @param {array} blocks - The segment's blocks
+ * @returns {Promise<boolean>}
+ */
+export async function verifySegment(checkpoint, blocks) {
+  const last = blocks[blocks.length - 1];
+  return (
+    blocks.length === checkpoint.toBlock - checkpoint.fromBlock + 1 &&
+    last.currentHash === checkpoint.lastBlockHash &&
+    (await calculateSegmentHash(blocks)) === checkpoint.segmentHash
+  );
+}
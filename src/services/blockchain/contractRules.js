@@ -0,0 +1,283 @@
+/**
+ * Contract Rule Definitions
+ * Declarative JSON rules for parameter compliance contracts: the parameter
+ * checked, limits by room type, warning margin, duration windows, severity
+ * mapping and regulatory references. Rules are grouped in versioned rule
+ * sets; each rule's hash identifies the exact version that produced a
+ * compliance result.
+ */
+
+import { sha256 } from "./crypto";
+import { canonicalJson } from "../../utils/canonicalJson";
+
+/**
+ * Outcomes a rule can map to a status and severity
+ */
+export const RULE_OUTCOMES = {
+  BELOW_MINIMUM: "BELOW_MINIMUM",
+  ABOVE_MAXIMUM: "ABOVE_MAXIMUM",
+  APPROACHING_LOW: "APPROACHING_LOW",
+  APPROACHING_HIGH: "APPROACHING_HIGH",
+};
+
+/**
+ * Severities, least severe first
+ */
+export const RULE_SEVERITIES = ["minor", "major", "critical"];
+
+const OUTCOME_STATUSES = ["fail", "warning"];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+const RULE_FIELDS = [
+  "id",
+  "name",
+  "version",
+  "framework",
+  "parameter",
+  "label",
+  "unit",
+  "limits",
+  "defaultLimits",
+  "warningMargin",
+  "durationWindows",
+  "severity",
+  "regulatoryReferences",
+];
+
+/**
+ * Error raised for rule definitions that cannot be deployed
+ */
+export class RuleDefinitionError extends Error {
+  constructor(message, path = null) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "RuleDefinitionError";
+    this.path = path;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim() !== "";
+
+/**
+ * Validate one rule definition
+ * @param {object} rule
+ * @param {string} [path] - Location reported in errors
+ * @throws {RuleDefinitionError}
+ */
+export function validateRuleDefinition(rule, path = "rule") {
+  if (!isObject(rule)) {
+    throw new RuleDefinitionError("Rule must be an object", path);
+  }
+
+  const unknown = Object.keys(rule).filter((key) => !RULE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new RuleDefinitionError(`Unknown field "${unknown[0]}"`, path);
+  }
+
+  ["id", "name", "parameter", "unit"].forEach((field) => {
+    if (!isNonEmptyString(rule[field])) {
+      throw new RuleDefinitionError(`${field} is required`, path);
+    }
+  });
+  if (!VERSION_PATTERN.test(rule.version || "")) {
+    throw new RuleDefinitionError(
+      "version must look like 1.0.0",
+      `${path}.version`
+    );
+  }
+
+  if (!isObject(rule.limits) || Object.keys(rule.limits).length === 0) {
+    throw new RuleDefinitionError(
+      "limits must map room types to { min, max }",
+      `${path}.limits`
+    );
+  }
+  Object.entries(rule.limits).forEach(([roomType, limits]) => {
+    const limitPath = `${path}.limits.${roomType}`;
+    if (
+      !isObject(limits) ||
+      typeof limits.min !== "number" ||
+      typeof limits.max !== "number"
+    ) {
+      throw new RuleDefinitionError("min and max must be numbers", limitPath);
+    }
+    if (limits.min >= limits.max) {
+      throw new RuleDefinitionError("min must be below max", limitPath);
+    }
+  });
+  if (
+    rule.defaultLimits !== undefined &&
+    !Object.prototype.hasOwnProperty.call(rule.limits, rule.defaultLimits)
+  ) {
+    throw new RuleDefinitionError(
+      `"${rule.defaultLimits}" is not a room type in limits`,
+      `${path}.defaultLimits`
+    );
+  }
+
+  if (
+    rule.warningMargin !== undefined &&
+    !(
+      typeof rule.warningMargin === "number" &&
+      rule.warningMargin >= 0 &&
+      rule.warningMargin < 0.5
+    )
+  ) {
+    throw new RuleDefinitionError(
+      "warningMargin must be a fraction of the range below 0.5",
+      `${path}.warningMargin`
+    );
+  }
+
+  (rule.durationWindows || []).forEach((window, index) => {
+    const windowPath = `${path}.durationWindows[${index}]`;
+    if (!isObject(window) || !(window.minutes > 0)) {
+      throw new RuleDefinitionError("minutes must be positive", windowPath);
+    }
+    if (!RULE_SEVERITIES.includes(window.severity)) {
+      throw new RuleDefinitionError(
+        `Unknown severity "${window.severity}"`,
+        windowPath
+      );
+    }
+  });
+
+  if (!isObject(rule.severity)) {
+    throw new RuleDefinitionError(
+      "severity must map outcomes to a status and severity",
+      `${path}.severity`
+    );
+  }
+  Object.entries(rule.severity).forEach(([outcome, mapping]) => {
+    const mappingPath = `${path}.severity.${outcome}`;
+    if (!RULE_OUTCOMES[outcome]) {
+      throw new RuleDefinitionError("Unknown outcome", mappingPath);
+    }
+    if (!isObject(mapping) || !OUTCOME_STATUSES.includes(mapping.status)) {
+      throw new RuleDefinitionError(
+        `status must be one of ${OUTCOME_STATUSES.join(", ")}`,
+        mappingPath
+      );
+    }
+    if (!RULE_SEVERITIES.includes(mapping.severity)) {
+      throw new RuleDefinitionError(
+        `Unknown severity "${mapping.severity}"`,
+        mappingPath
+      );
+    }
+    const action = mapping.correctiveAction;
+    if (
+      action !== undefined &&
+      !(
+        isObject(action) &&
+        isNonEmptyString(action.action) &&
+        isNonEmptyString(action.description)
+      )
+    ) {
+      throw new RuleDefinitionError(
+        "correctiveAction needs an action and a description",
+        mappingPath
+      );
+    }
+  });
+
+  const required = [RULE_OUTCOMES.BELOW_MINIMUM, RULE_OUTCOMES.ABOVE_MAXIMUM];
+  if (rule.warningMargin > 0) {
+    required.push(
+      RULE_OUTCOMES.APPROACHING_LOW,
+      RULE_OUTCOMES.APPROACHING_HIGH
+    );
+  }
+  required.forEach((outcome) => {
+    if (!rule.severity[outcome]) {
+      throw new RuleDefinitionError(
+        `${outcome} needs a mapping`,
+        `${path}.severity`
+      );
+    }
+  });
+
+  if (
+    !Array.isArray(rule.regulatoryReferences) ||
+    rule.regulatoryReferences.some((ref) => !isNonEmptyString(ref?.code))
+  ) {
+    throw new RuleDefinitionError(
+      "regulatoryReferences must list { code, description }",
+      `${path}.regulatoryReferences`
+    );
+  }
+}
+
+/**
+ * Validate a rule set
+ * @param {object} ruleSet - { ruleSet, version, rules }
+ * @throws {RuleDefinitionError}
+ */
+export function validateRuleSet(ruleSet) {
+  if (!isObject(ruleSet) || !isNonEmptyString(ruleSet.ruleSet)) {
+    throw new RuleDefinitionError("Rule set needs a ruleSet name");
+  }
+  if (!VERSION_PATTERN.test(ruleSet.version || "")) {
+    throw new RuleDefinitionError("version must look like 1.0.0", "version");
+  }
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    throw new RuleDefinitionError("Rule set has no rules", "rules");
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    validateRuleDefinition(rule, `rules[${index}]`);
+    if (ids.has(rule.id)) {
+      throw new RuleDefinitionError(
+        `Duplicate rule id ${rule.id}`,
+        `rules[${index}]`
+      );
+    }
+    ids.add(rule.id);
+  });
+}
+
+/**
+ * Hash a rule definition or rule set
+ * @param {object} definition
+ * @returns {Promise<string>}
+ */
+export async function hashRuleDefinition(definition) {
+  return await sha256(canonicalJson(definition));
+}
+
+/**
+ * Limits for a room type, falling back to the rule's default room type
+ * @param {object} rule
+ * @param {string} roomType
+ * @returns {object|null} - { min, max }
+ */
+export function getRuleLimits(rule, roomType) {
+  return rule.limits[roomType] || rule.limits[rule.defaultLimits] || null;
+}
+
+/**
+ * Severity for an excursion, escalated by its duration
+ * @param {object} rule
+ * @param {string} severity - Severity mapped from the outcome
+ * @param {number} [duration] - Excursion duration in milliseconds
+ * @returns {string}
+ */
+export function escalateSeverity(rule, severity, duration) {
+  if (!(duration > 0)) return severity;
+
+  const minutes = duration / (60 * 1000);
+  return (rule.durationWindows || [])
+    .filter((window) => minutes > window.minutes)
+    .reduce(
+      (current, window) =>
+        RULE_SEVERITIES.indexOf(window.severity) >
+        RULE_SEVERITIES.indexOf(current)
+          ? window.severity
+          : current,
+      severity
+    );
+}
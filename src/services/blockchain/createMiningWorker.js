@@ -0,0 +1,9 @@
+/**
+ * Mining Worker Factory
+ * Kept in its own module so the bundler-specific worker URL is only
+ * loaded in environments that support Web Workers
+ */
+
+export default function createMiningWorker() {
+  return new Worker(new URL("./mining.worker.js", import.meta.url));
+}
@@ -130,6 +130,115 @@ export async function verifySignature(data, signature, publicKey) {
   }
 }
 
+/**
+ * Derive a short, stable key identifier from a public key
+ * @param {string} publicKey - Base64 encoded SPKI key
+ * @returns {Promise<string>}
+ */
+export async function getKeyId(publicKey) {
+  const hash = await sha256(publicKey);
+  return `key-${hash.substring(0, 16)}`;
+}
+
+/**
+ * Encrypt a private key with a passphrase (PBKDF2-SHA256 + AES-GCM)
+ * @param {CryptoKey} privateKey - Extractable ECDSA private key
+ * @param {string} passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<object>} - Wrapped key record
+ */
+export async function wrapPrivateKey(
+  privateKey,
+  passphrase,
+  iterations = 310000
+) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, iterations);
+
+  const pkcs8 = await crypto.subtle.exportKey("pkcs8", privateKey);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    wrappingKey,
+    pkcs8
+  );
+
+  return {
+    algorithm: "PBKDF2-SHA256/AES-GCM-256",
+    iterations,
+    salt: arrayBufferToBase64(salt),
+    iv: arrayBufferToBase64(iv),
+    ciphertext: arrayBufferToBase64(ciphertext),
+  };
+}
+
+/**
+ * Decrypt a passphrase-wrapped private key
+ * @param {object} wrapped - Record from wrapPrivateKey()
+ * @param {string} passphrase
+ * @param {boolean} [extractable] - Allow re-wrapping under a new passphrase
+ * @returns {Promise<CryptoKey>} - Signing key, non-extractable by default
+ */
+export async function unwrapPrivateKey(
+  wrapped,
+  passphrase,
+  extractable = false
+) {
+  const wrappingKey = await deriveWrappingKey(
+    passphrase,
+    new Uint8Array(base64ToArrayBuffer(wrapped.salt)),
+    wrapped.iterations
+  );
+
+  let pkcs8;
+  try {
+    pkcs8 = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: new Uint8Array(base64ToArrayBuffer(wrapped.iv)) },
+      wrappingKey,
+      base64ToArrayBuffer(wrapped.ciphertext)
+    );
+  } catch (error) {
+    throw new Error("Incorrect passphrase or corrupted key");
+  }
+
+  return await crypto.subtle.importKey(
+    "pkcs8",
+    pkcs8,
+    { name: "ECDSA", namedCurve: "P-256" },
+    extractable,
+    ["sign"]
+  );
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  if (!passphrase) {
+    throw new Error("A passphrase is required");
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return await crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
 /**
  * Generate a random nonce
  * @returns {string}
@@ -208,6 +317,10 @@ export async function calculateBlockHash(blockData) {
     minedBy: blockData.minedBy,
     facilityId: blockData.facilityId,
   };
+  // Only hashed when present so proof-of-work blocks keep their hashes
+  if (blockData.consensus) {
+    dataToHash.consensus = blockData.consensus;
+  }
   return await sha256(dataToHash);
 }
 
@@ -220,6 +333,9 @@ export default {
   importPrivateKey,
   signData,
   verifySignature,
+  getKeyId,
+  wrapPrivateKey,
+  unwrapPrivateKey,
   generateNonce,
   generateTransactionId,
   hashPair,
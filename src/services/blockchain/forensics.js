@@ -0,0 +1,423 @@
+/**
+ * Chain Forensics
+ * Pinpoints the block, transaction and field behind a failed integrity
+ * check and assembles a structured incident report.
+ *
+ * With a reference copy of the chain (the last exported archive) every
+ * altered field is named. Without one, findings come from recomputing
+ * hashes and checking transaction signatures, which identifies the
+ * block and transaction but not always the field.
+ */
+
+import {
+  sha256,
+  calculateBlockHash,
+  verifySignature,
+  importPublicKey,
+} from "./crypto";
+import { calculateMerkleRoot } from "./MerkleTree";
+
+export const INCIDENT_REPORT_FORMAT = "pharma-ledger-incident";
+export const INCIDENT_REPORT_VERSION = 1;
+
+/**
+ * Forensic check types
+ */
+export const FORENSIC_CHECKS = {
+  LINKAGE: "linkage",
+  BLOCK_HASH: "block_hash",
+  MERKLE_ROOT: "merkle_root",
+  BLOCK_SIGNATURE: "block_signature",
+  SEALS: "seals",
+  PROOF_OF_WORK: "proof_of_work",
+  TRANSACTION_SIGNATURE: "transaction_signature",
+  TRANSACTION_ADDED: "transaction_added",
+  TRANSACTION_REMOVED: "transaction_removed",
+  BLOCK_MISSING: "block_missing",
+  UNPROTECTED_FIELD: "unprotected_field",
+  CHECKPOINT: "checkpoint",
+};
+
+/**
+ * Block fields covered by the block hash
+ */
+const HASHED_FIELDS = [
+  "blockNumber",
+  "timestamp",
+  "previousHash",
+  "merkleRoot",
+  "nonce",
+  "difficulty",
+  "minedBy",
+  "facilityId",
+  "consensus",
+  "currentHash",
+];
+
+/**
+ * Transaction fields covered by the Merkle leaf hash
+ */
+const MERKLE_FIELDS = [
+  "id",
+  "type",
+  "data",
+  "timestamp",
+  "userId",
+  "facilityId",
+];
+
+/**
+ * Validation failures not re-derived by investigateBlock()
+ */
+const VALIDATION_CHECKS = {
+  "Invalid block signature": FORENSIC_CHECKS.BLOCK_SIGNATURE,
+  "Invalid authority seals": FORENSIC_CHECKS.SEALS,
+  "Invalid Proof of Work": FORENSIC_CHECKS.PROOF_OF_WORK,
+  "Segment does not match its checkpoint": FORENSIC_CHECKS.CHECKPOINT,
+};
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+/**
+ * List the fields that differ between two values
+ * @param {*} expected
+ * @param {*} actual
+ * @param {string} [path]
+ * @returns {array} - [{ field, expected, actual }]
+ */
+export function diffFields(expected, actual, path = "") {
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].flatMap((key) =>
+      diffFields(
+        expected[key],
+        actual[key],
+        Array.isArray(expected)
+          ? `${path}[${key}]`
+          : path
+          ? `${path}.${key}`
+          : key
+      )
+    );
+  }
+  if (expected === actual) return [];
+  return [{ field: path, expected: expected ?? null, actual: actual ?? null }];
+}
+
+/**
+ * Classify a changed block field by the check it defeats
+ */
+const classifyBlockField = (field) => {
+  const root = field.split(/[.[]/)[0];
+  if (HASHED_FIELDS.includes(root)) return FORENSIC_CHECKS.BLOCK_HASH;
+  if (root === "signature" || root === "signerKeyId") {
+    return FORENSIC_CHECKS.BLOCK_SIGNATURE;
+  }
+  if (root === "seals") return FORENSIC_CHECKS.SEALS;
+  return FORENSIC_CHECKS.UNPROTECTED_FIELD;
+};
+
+/**
+ * Classify a changed transaction field
+ */
+const classifyTransactionField = (field) => {
+  const root = field.split(/[.[]/)[0];
+  if (MERKLE_FIELDS.includes(root)) return FORENSIC_CHECKS.MERKLE_ROOT;
+  if (root === "signature") return FORENSIC_CHECKS.TRANSACTION_SIGNATURE;
+  return FORENSIC_CHECKS.UNPROTECTED_FIELD;
+};
+
+/**
+ * Compare a block with its reference copy
+ */
+function compareWithReference(block, reference) {
+  const findings = [];
+  const { transactions: referenceTxs, ...referenceHeader } = reference;
+  const { transactions, ...header } = block;
+
+  diffFields(referenceHeader, header).forEach((diff) =>
+    findings.push({ check: classifyBlockField(diff.field), ...diff })
+  );
+
+  const byId = new Map(transactions.map((tx) => [tx.id, tx]));
+  const referenceIds = new Set(referenceTxs.map((tx) => tx.id));
+
+  referenceTxs.forEach((referenceTx) => {
+    const tx = byId.get(referenceTx.id);
+    if (!tx) {
+      findings.push({
+        check: FORENSIC_CHECKS.TRANSACTION_REMOVED,
+        transactionId: referenceTx.id,
+        expected: referenceTx,
+      });
+      return;
+    }
+    diffFields(referenceTx, tx).forEach((diff) =>
+      findings.push({
+        check: classifyTransactionField(diff.field),
+        transactionId: tx.id,
+        ...diff,
+      })
+    );
+  });
+
+  transactions
+    .filter((tx) => !referenceIds.has(tx.id))
+    .forEach((tx) =>
+      findings.push({
+        check: FORENSIC_CHECKS.TRANSACTION_ADDED,
+        transactionId: tx.id,
+        actual: tx,
+      })
+    );
+
+  return findings;
+}
+
+/**
+ * Recompute a block's hashes to locate tampering without a reference
+ */
+async function recomputeBlock(block, cryptoKeys) {
+  const findings = [];
+
+  const hash = await calculateBlockHash(block);
+  if (hash !== block.currentHash) {
+    findings.push({
+      check: FORENSIC_CHECKS.BLOCK_HASH,
+      field: "currentHash",
+      expected: block.currentHash,
+      actual: hash,
+      detail: "A hashed header field was altered",
+    });
+  }
+
+  const merkleRoot = await calculateMerkleRoot(block.transactions);
+  if (merkleRoot !== block.merkleRoot) {
+    const unsigned = [];
+    for (const tx of block.transactions) {
+      if (!tx.signature) continue;
+      const payload = JSON.stringify(tx.data);
+      let verified = false;
+      for (const key of cryptoKeys) {
+        if (await verifySignature(payload, tx.signature, key)) {
+          verified = true;
+          break;
+        }
+      }
+      if (!verified) unsigned.push(tx);
+    }
+
+    if (unsigned.length > 0) {
+      unsigned.forEach((tx) =>
+        findings.push({
+          check: FORENSIC_CHECKS.TRANSACTION_SIGNATURE,
+          transactionId: tx.id,
+          field: "data",
+          detail: "Transaction data no longer matches its signature",
+        })
+      );
+    } else {
+      findings.push({
+        check: FORENSIC_CHECKS.MERKLE_ROOT,
+        field: "transactions",
+        expected: block.merkleRoot,
+        actual: merkleRoot,
+        detail: `One of ${MERKLE_FIELDS.join(
+          ", "
+        )} was altered in a transaction`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Investigate one block
+ * @param {object} block
+ * @param {object} context
+ * @param {object} [context.previous] - Preceding block
+ * @param {object} [context.reference] - Reference copy of the block
+ * @param {array} [context.cryptoKeys] - Imported public keys for
+ *   transaction signatures
+ * @param {array} [context.validationEntries] - invalidBlocks entries for
+ *   this block
+ * @returns {Promise<array>} - Findings
+ */
+export async function investigateBlock(block, context = {}) {
+  const {
+    previous = null,
+    reference = null,
+    cryptoKeys = [],
+    validationEntries = [],
+  } = context;
+  const findings = [];
+
+  if (previous && block.previousHash !== previous.currentHash) {
+    findings.push({
+      check: FORENSIC_CHECKS.LINKAGE,
+      field: "previousHash",
+      expected: previous.currentHash,
+      actual: block.previousHash,
+    });
+  }
+
+  const changes = reference
+    ? compareWithReference(block, reference)
+    : await recomputeBlock(block, cryptoKeys);
+  findings.push(
+    ...changes.filter(
+      (f) => !(f.field === "previousHash" && findings.length > 0)
+    )
+  );
+
+  // Signature, seal and proof-of-work failures come from validation
+  validationEntries.forEach((entry) => {
+    const check = VALIDATION_CHECKS[entry.reason];
+    if (!check || findings.some((f) => f.check === check)) return;
+    findings.push({
+      check,
+      expected: entry.expected ?? null,
+      actual: entry.actual ?? null,
+      detail: entry.details || entry.reason,
+    });
+  });
+
+  return findings.map((finding) => ({
+    blockNumber: block.blockNumber,
+    transactionId: null,
+    field: null,
+    expected: null,
+    actual: null,
+    detail: null,
+    ...finding,
+  }));
+}
+
+/**
+ * Investigate the blocks flagged by validation or that differ from a
+ * reference copy
+ * @param {object} options
+ * @param {object} options.validation - validateChain() result
+ * @param {function} options.loadBlock - async (blockNumber) => block | null
+ * @param {number} options.chainLength
+ * @param {array} [options.reference] - Reference chain, e.g. an archive
+ * @param {array} [options.publicKeys] - Base64 public keys
+ * @returns {Promise<array>} - Findings ordered by block
+ */
+export async function investigateChain(options) {
+  const {
+    validation,
+    loadBlock,
+    chainLength,
+    reference = null,
+    publicKeys = [],
+  } = options;
+  const entriesByBlock = new Map();
+  validation.invalidBlocks.forEach((entry) => {
+    if (!entriesByBlock.has(entry.blockNumber)) {
+      entriesByBlock.set(entry.blockNumber, []);
+    }
+    entriesByBlock.get(entry.blockNumber).push(entry);
+  });
+
+  const findings = [];
+  const suspects = new Set(entriesByBlock.keys());
+  const referenceBlocks = new Map(
+    (reference || []).map((block) => [block.blockNumber, block])
+  );
+
+  for (const [blockNumber, referenceBlock] of referenceBlocks) {
+    if (blockNumber >= chainLength) {
+      findings.push({
+        blockNumber,
+        check: FORENSIC_CHECKS.BLOCK_MISSING,
+        transactionId: null,
+        field: null,
+        expected: referenceBlock.currentHash,
+        actual: null,
+        detail: "Block present in the reference is missing from the chain",
+      });
+      continue;
+    }
+    const block = await loadBlock(blockNumber);
+    if (diffFields(referenceBlock, block).length > 0) {
+      suspects.add(blockNumber);
+    }
+  }
+
+  const cryptoKeys = await Promise.all(
+    publicKeys.map((key) => importPublicKey(key))
+  );
+
+  for (const blockNumber of [...suspects].sort((a, b) => a - b)) {
+    const block = await loadBlock(blockNumber);
+    if (!block) continue;
+    findings.push(
+      ...(await investigateBlock(block, {
+        previous: blockNumber > 0 ? await loadBlock(blockNumber - 1) : null,
+        reference: referenceBlocks.get(blockNumber) || null,
+        cryptoKeys,
+        validationEntries: entriesByBlock.get(blockNumber) || [],
+      }))
+    );
+  }
+
+  return findings.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Assemble an incident report
+ * @param {object} options
+ * @param {string} options.facilityId
+ * @param {object} options.validation - validateChain() result
+ * @param {array} options.findings
+ * @param {object} [options.checkpoint] - Latest checkpoint status
+ * @param {object} [options.reference] - Reference archive header
+ * @param {boolean} [options.drill] - Report produced by a tamper drill
+ * @returns {Promise<object>}
+ */
+export async function createIncidentReport(options) {
+  const {
+    facilityId,
+    validation,
+    findings,
+    checkpoint = null,
+    reference = null,
+    drill = false,
+  } = options;
+  const generatedAt = new Date().toISOString();
+
+  const blocks = [...new Set(findings.map((f) => f.blockNumber))];
+  const transactions = [
+    ...new Set(findings.map((f) => f.transactionId).filter(Boolean)),
+  ];
+
+  const report = {
+    format: INCIDENT_REPORT_FORMAT,
+    version: INCIDENT_REPORT_VERSION,
+    facilityId,
+    generatedAt,
+    drill,
+    status: findings.length > 0 || !validation.isValid ? "tampered" : "intact",
+    validation: {
+      isValid: validation.isValid,
+      mode: validation.mode || "full",
+      totalBlocks: validation.totalBlocks,
+      validatedBlocks: validation.validatedBlocks,
+      invalidCheckpoints: validation.invalidCheckpoints || [],
+    },
+    checkpoint,
+    reference,
+    summary: {
+      firstBlock: blocks.length > 0 ? Math.min(...blocks) : null,
+      blocks,
+      transactions,
+      fields: findings.filter((f) => f.field).map((f) => f.field),
+    },
+    findings,
+  };
+
+  report.reportId = `IR-${(await sha256({ ...report })).substring(0, 16)}`;
+  return report;
+}
@@ -15,8 +15,23 @@ export {
   importPrivateKey,
   importPublicKey,
   generateNonce,
+  getKeyId,
+  wrapPrivateKey,
+  unwrapPrivateKey,
 } from "./crypto";
 
+// Signing key management
+export {
+  KeyManager,
+  SigningKeySchedule,
+  KEY_STATUS,
+  KEY_ACTIONS,
+  FACILITY_KEY_OWNER,
+  NODE_KEY_OWNER,
+  getPossessionChallenge,
+  getEnrollmentChallenge,
+} from "./KeyManager";
+
 // Merkle Tree implementation
 export {
   MerkleTree,
@@ -24,6 +39,76 @@ export {
   createMerkleTreeWithProofs,
 } from "./MerkleTree";
 
+// Off-thread mining and validation
+export { MiningWorkerClient } from "./MiningWorkerClient";
+export {
+  mineBlockData,
+  validateChainData,
+  MiningCancelledError,
+} from "./miningCore";
+
+// Proof of Authority sealing
+export {
+  CONSENSUS_TYPES,
+  createAuthorityConfig,
+  createSeal,
+  verifyBlockSeals,
+  isAuthorityBlock,
+} from "./proofOfAuthority";
+
+// Portable inclusion proofs
+export {
+  createProofBundle,
+  verifyProofBundle,
+  getBlockHeader,
+  getPublicKeyFingerprint,
+  PROOF_BUNDLE_FORMAT,
+} from "./proofBundle";
+
+// Chain archives
+export {
+  createChainArchive,
+  parseChainArchive,
+  verifyChainArchive,
+  ChainArchiveError,
+  ARCHIVE_FORMAT,
+  IMPORT_MODES,
+} from "./chainArchive";
+
+// Checkpoints and transaction indexes
+export {
+  createCheckpoint,
+  verifyCheckpoints,
+  verifySegment,
+  calculateSegmentHash,
+} from "./checkpoints";
+export {
+  ChainIndex,
+  createIndexEntry,
+  getTransactionRoomId,
+} from "./chainIndex";
+
+// Multi-dashboard replication
+export {
+  LedgerReplicator,
+  InProcessRelay,
+  WebSocketRelay,
+  FORK_RULE,
+  REPLICATION_STATUS,
+  REPLICATION_MESSAGES,
+  compareBranches,
+} from "./replication";
+
+// Tamper forensics
+export {
+  investigateChain,
+  investigateBlock,
+  createIncidentReport,
+  diffFields,
+  FORENSIC_CHECKS,
+  INCIDENT_REPORT_FORMAT,
+} from "./forensics";
+
 // Transaction Factory
 export {
   TransactionFactory,
@@ -44,6 +129,7 @@ export {
 export {
   SmartContractRegistry,
   smartContractRegistry,
+  RuleContract,
   TemperatureComplianceContract,
   HumidityComplianceContract,
   DeviationManagementContract,
@@ -53,4 +139,13 @@ export {
   COMPLIANCE_RESULT,
   REGULATORY_FRAMEWORKS,
   STORAGE_SPECIFICATIONS,
+  DEFAULT_RULE_SET,
 } from "./RegulatorySmartContracts";
+export {
+  validateRuleSet,
+  validateRuleDefinition,
+  hashRuleDefinition,
+  RuleDefinitionError,
+  RULE_OUTCOMES,
+  RULE_SEVERITIES,
+} from "./contractRules";
@@ -0,0 +1,64 @@
+/**
+ * Mining Web Worker
+ * Runs proof-of-work, Merkle root calculation and chain validation
+ * off the UI thread
+ *
+ * Messages in:  { id, type: "mine" | "validate" | "cancel", payload }
+ * Messages out: { id, type: "progress" | "result" | "error", data }
+ */
+
+import { mineBlockData, validateChainData } from "./miningCore";
+
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+const jobOptions = (id) => ({
+  onProgress: (progress) =>
+    postMessage({ id, type: "progress", data: progress }),
+  isCancelled: () => cancelledJobs.has(id),
+});
+
+// Worker globals: postMessage replies to the page, onmessage receives jobs
+onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === "cancel") {
+    // A job that has already finished has nothing left to cancel
+    if (runningJobs.has(payload.jobId)) {
+      cancelledJobs.add(payload.jobId);
+    }
+    return;
+  }
+
+  runningJobs.add(id);
+  try {
+    let result;
+    switch (type) {
+      case "mine":
+        result = await mineBlockData(payload.template, {
+          ...jobOptions(id),
+          privateKey: payload.privateKey,
+          progressInterval: payload.progressInterval,
+        });
+        break;
+      case "validate":
+        result = await validateChainData(payload.chain, {
+          ...payload,
+          ...jobOptions(id),
+        });
+        break;
+      default:
+        throw new Error(`Unknown mining job type: ${type}`);
+    }
+    postMessage({ id, type: "result", data: result });
+  } catch (error) {
+    postMessage({
+      id,
+      type: "error",
+      data: { message: error.message, cancelled: !!error.cancelled },
+    });
+  } finally {
+    runningJobs.delete(id);
+    cancelledJobs.delete(id);
+  }
+};
@@ -0,0 +1,290 @@
+/**
+ * Mining Core for Pharmaceutical Blockchain
+ * Pure proof-of-work and chain validation routines shared by the
+ * mining Web Worker and the in-thread fallback
+ */
+
+import { calculateBlockHash, signData } from "./crypto";
+import { calculateMerkleRoot } from "./MerkleTree";
+import { isAuthorityBlock, verifyBlockSeals } from "./proofOfAuthority";
+import { SigningKeySchedule } from "./KeyManager";
+
+/**
+ * Error raised when a mining or validation job is cancelled
+ */
+export class MiningCancelledError extends Error {
+  constructor(message = "Mining cancelled") {
+    super(message);
+    this.name = "MiningCancelledError";
+    this.cancelled = true;
+  }
+}
+
+/**
+ * Yield to the event loop so cancel messages can be processed
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Mine a block: calculate the Merkle root, search for a nonce that
+ * satisfies the difficulty target, then sign the resulting hash
+ * @param {object} template - Block fields without merkleRoot/nonce/hash
+ * @param {object} options
+ * @param {CryptoKey} [options.privateKey] - Key used to sign the block hash
+ * @param {function} [options.onProgress] - ({ nonce, elapsed, hashRate }) => void
+ * @param {function} [options.isCancelled] - Returns true to abort
+ * @param {number} [options.progressInterval] - Nonces between progress events
+ * @returns {Promise<{block: object, miningTime: number, attempts: number}>}
+ */
+export async function mineBlockData(template, options = {}) {
+  const {
+    privateKey = null,
+    onProgress = () => {},
+    isCancelled = () => false,
+    progressInterval = 1000,
+  } = options;
+
+  const startTime = Date.now();
+
+  const blockData = {
+    ...template,
+    merkleRoot: await calculateMerkleRoot(template.transactions),
+    nonce: 0,
+  };
+
+  const target = "0".repeat(blockData.difficulty);
+  let nonce = 0;
+  let hash = "";
+
+  do {
+    blockData.nonce = nonce;
+    hash = await calculateBlockHash(blockData);
+
+    if (hash.substring(0, blockData.difficulty) === target) {
+      break;
+    }
+
+    nonce++;
+
+    if (nonce % progressInterval === 0) {
+      const elapsed = Date.now() - startTime;
+      onProgress({
+        blockNumber: blockData.blockNumber,
+        nonce,
+        elapsed,
+        hashRate: elapsed > 0 ? Math.round((nonce / elapsed) * 1000) : 0,
+      });
+
+      await yieldToEventLoop();
+      if (isCancelled()) {
+        throw new MiningCancelledError(
+          `Mining of block #${blockData.blockNumber} cancelled at nonce ${nonce}`
+        );
+      }
+    }
+  } while (true);
+
+  const block = { ...blockData, currentHash: hash };
+  if (privateKey) {
+    block.signature = await signData(hash, privateKey);
+  }
+
+  return {
+    block,
+    miningTime: Date.now() - startTime,
+    attempts: nonce + 1,
+  };
+}
+
+/**
+ * Validate chain integrity: hash linkage, block hashes, Merkle roots,
+ * block signatures against the facility and replica keys in force at each
+ * block, and proof of work or authority seals depending on each block's
+ * consensus
+ * @param {array} chain - Blocks ordered by block number
+ * @param {object} options
+ * @param {object} [options.authority] - { sealers, threshold } for sealed blocks
+ * @param {string} [options.initialSigningKey] - Key that signed the genesis
+ *   block, or the first block checked; enables signature checks across
+ *   key rotations
+ * @param {array} [options.revocations] - [{ keyId, fromBlock }] known from
+ *   outside the chain passed in
+ * @param {array} [options.nodeKeys] - [{ keyId, publicKey }] replica keys
+ *   enrolled before the first block checked
+ * @param {string} [options.facilitySealerId] - Sealer that seals with the
+ *   key of whichever replica signed the block
+ * @param {function} [options.onProgress] - ({ checked, total }) => void
+ * @param {function} [options.isCancelled] - Returns true to abort
+ * @returns {Promise<object>} - Validation result
+ */
+export async function validateChainData(chain, options = {}) {
+  const {
+    authority = null,
+    initialSigningKey = null,
+    revocations = [],
+    nodeKeys = [],
+    facilitySealerId = null,
+    onProgress = () => {},
+    isCancelled = () => false,
+  } = options;
+  const keyCache = new Map();
+  const schedule = initialSigningKey
+    ? await SigningKeySchedule.fromChain(
+        chain,
+        initialSigningKey,
+        revocations,
+        nodeKeys
+      )
+    : null;
+
+  const result = {
+    isValid: true,
+    totalBlocks: chain.length,
+    validatedBlocks: 0,
+    invalidBlocks: [],
+    validationTime: 0,
+    details: [],
+  };
+
+  const startTime = Date.now();
+
+  for (let i = 1; i < chain.length; i++) {
+    const currentBlock = chain[i];
+    const previousBlock = chain[i - 1];
+
+    if (i % 50 === 0) {
+      onProgress({ checked: i, total: chain.length });
+      await yieldToEventLoop();
+      if (isCancelled()) {
+        throw new MiningCancelledError("Chain validation cancelled");
+      }
+    }
+
+    // Check hash linkage
+    if (currentBlock.previousHash !== previousBlock.currentHash) {
+      result.isValid = false;
+      result.invalidBlocks.push({
+        blockNumber: currentBlock.blockNumber,
+        reason: "Hash linkage broken",
+        expected: previousBlock.currentHash,
+        actual: currentBlock.previousHash,
+      });
+      continue;
+    }
+
+    // Verify block hash
+    const calculatedHash = await calculateBlockHash(currentBlock);
+    if (calculatedHash !== currentBlock.currentHash) {
+      result.isValid = false;
+      result.invalidBlocks.push({
+        blockNumber: currentBlock.blockNumber,
+        reason: "Block hash mismatch",
+        expected: currentBlock.currentHash,
+        actual: calculatedHash,
+      });
+      continue;
+    }
+
+    // Verify Merkle root
+    const calculatedMerkle = await calculateMerkleRoot(
+      currentBlock.transactions
+    );
+    if (calculatedMerkle !== currentBlock.merkleRoot) {
+      result.isValid = false;
+      result.invalidBlocks.push({
+        blockNumber: currentBlock.blockNumber,
+        reason: "Merkle root mismatch",
+        expected: currentBlock.merkleRoot,
+        actual: calculatedMerkle,
+      });
+      continue;
+    }
+
+    // Verify block signature with a key in force at this block
+    let signingKey = null;
+    if (schedule) {
+      const signer = await schedule.checkBlock(currentBlock);
+      signingKey = signer.publicKey;
+      if (!signer.valid) {
+        result.isValid = false;
+        result.invalidBlocks.push({
+          blockNumber: currentBlock.blockNumber,
+          reason: "Invalid block signature",
+          expected: signer.keyId,
+          actual: currentBlock.signerKeyId || null,
+          details: signer.reason,
+        });
+        continue;
+      }
+    }
+
+    // Verify authority seals
+    if (isAuthorityBlock(currentBlock)) {
+      const seals = await verifyBlockSeals(
+        currentBlock,
+        signingKey
+          ? withSealerKey(authority, facilitySealerId, signingKey)
+          : authority,
+        keyCache
+      );
+      if (!seals.valid) {
+        result.isValid = false;
+        result.invalidBlocks.push({
+          blockNumber: currentBlock.blockNumber,
+          reason: "Invalid authority seals",
+          expected: seals.required,
+          actual: seals.validSeals.length,
+          details: seals.reason,
+        });
+        continue;
+      }
+
+      result.validatedBlocks++;
+      continue;
+    }
+
+    // Verify Proof of Work
+    const target = "0".repeat(currentBlock.difficulty);
+    if (!currentBlock.currentHash.startsWith(target)) {
+      result.isValid = false;
+      result.invalidBlocks.push({
+        blockNumber: currentBlock.blockNumber,
+        reason: "Invalid Proof of Work",
+        difficulty: currentBlock.difficulty,
+      });
+      continue;
+    }
+
+    result.validatedBlocks++;
+  }
+
+  onProgress({ checked: chain.length, total: chain.length });
+
+  result.validationTime = Date.now() - startTime;
+  result.details.push({
+    message: result.isValid
+      ? "Chain integrity verified"
+      : "Chain integrity compromised",
+    timestamp: new Date().toISOString(),
+  });
+
+  return result;
+}
+
+/**
+ * Substitute the key that signed the block for the facility sealer
+ * @param {object} authority
+ * @param {string} sealerId
+ * @param {string} publicKey
+ * @returns {object}
+ */
+function withSealerKey(authority, sealerId, publicKey) {
+  if (!authority || !sealerId) return authority;
+  return {
+    ...authority,
+    sealers: authority.sealers.map((sealer) =>
+      sealer.id === sealerId ? { ...sealer, publicKey } : sealer
+    ),
+  };
+}
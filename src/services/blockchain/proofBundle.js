@@ -0,0 +1,239 @@
+/**
+ * Transaction Proof Bundles
+ * Portable Merkle inclusion proofs for auditors and inspectors. A bundle
+ * carries one transaction, its Merkle path, the block header, the signer
+ * public key and the block signature, and can be verified without access
+ * to the rest of the chain.
+ */
+
+import {
+  sha256,
+  calculateBlockHash,
+  verifySignature,
+  importPublicKey,
+} from "./crypto";
+import { MerkleTree } from "./MerkleTree";
+import { isAuthorityBlock, verifyBlockSeals } from "./proofOfAuthority";
+
+export const PROOF_BUNDLE_FORMAT = "pharma-ledger-inclusion-proof";
+export const PROOF_BUNDLE_VERSION = 1;
+
+/**
+ * Header fields covered by the block hash
+ */
+const HEADER_FIELDS = [
+  "blockNumber",
+  "timestamp",
+  "previousHash",
+  "merkleRoot",
+  "nonce",
+  "difficulty",
+  "minedBy",
+  "facilityId",
+  "consensus",
+  "currentHash",
+];
+
+/**
+ * Extract the hashed header of a block
+ * @param {object} block
+ * @returns {object}
+ */
+export function getBlockHeader(block) {
+  const header = {};
+  HEADER_FIELDS.forEach((field) => {
+    if (block[field] !== undefined) {
+      header[field] = block[field];
+    }
+  });
+  return header;
+}
+
+/**
+ * Fingerprint a base64 public key so inspectors can compare it with the
+ * key the facility has published
+ * @param {string} publicKey
+ * @returns {Promise<string>}
+ */
+export async function getPublicKeyFingerprint(publicKey) {
+  return await sha256(publicKey);
+}
+
+/**
+ * Build a proof bundle for a transaction in a block
+ * @param {object} block - The block containing the transaction
+ * @param {string} transactionId
+ * @param {object} signer - { facilityId, publicKey } of the block signer
+ * @param {object} [authority] - { sealers, threshold } for sealed blocks
+ * @returns {Promise<object>}
+ */
+export async function createProofBundle(
+  block,
+  transactionId,
+  signer,
+  authority = null
+) {
+  const txIndex = block.transactions.findIndex((tx) => tx.id === transactionId);
+  if (txIndex === -1) {
+    throw new Error(
+      `Transaction ${transactionId} not found in block #${block.blockNumber}`
+    );
+  }
+
+  const merkleTree = new MerkleTree(block.transactions);
+  await merkleTree.build();
+  const { leaf, path, indices } = merkleTree.getProof(txIndex);
+
+  const bundle = {
+    format: PROOF_BUNDLE_FORMAT,
+    version: PROOF_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    transaction: block.transactions[txIndex],
+    merkleProof: { leaf, path, indices, transactionIndex: txIndex },
+    blockHeader: getBlockHeader(block),
+    signer: {
+      facilityId: signer.facilityId,
+      publicKey: signer.publicKey,
+      fingerprint: await getPublicKeyFingerprint(signer.publicKey),
+      algorithm: "ECDSA P-256 / SHA-256",
+    },
+    signature: block.signature,
+  };
+
+  if (isAuthorityBlock(block)) {
+    bundle.seals = block.seals || [];
+    bundle.authority = authority;
+  }
+
+  return bundle;
+}
+
+/**
+ * Verify a proof bundle on its own, without the chain or local storage
+ *
+ * Checks that the transaction hashes to the proof leaf, that the Merkle
+ * path leads to the header's Merkle root, that the header hashes to the
+ * block hash, the proof of work or authority seals, the block signature
+ * and the transaction signature.
+ *
+ * @param {object} bundle
+ * @param {object} [options]
+ * @param {string} [options.trustedFingerprint] - Published signer key fingerprint
+ * @returns {Promise<object>} - { verified, checks, errors }
+ */
+export async function verifyProofBundle(bundle, options = {}) {
+  const checks = {};
+  const errors = [];
+
+  const fail = (check, message) => {
+    checks[check] = false;
+    errors.push(message);
+  };
+
+  if (!bundle || bundle.format !== PROOF_BUNDLE_FORMAT) {
+    return {
+      verified: false,
+      checks,
+      errors: ["Not a ledger inclusion proof bundle"],
+    };
+  }
+  if (bundle.version > PROOF_BUNDLE_VERSION) {
+    return {
+      verified: false,
+      checks,
+      errors: [`Unsupported proof bundle version ${bundle.version}`],
+    };
+  }
+
+  const { transaction, merkleProof, blockHeader, signer, signature } = bundle;
+  const tree = new MerkleTree();
+
+  // 1. Transaction content matches the proof leaf
+  const leaf = await tree.hashTransaction(transaction);
+  checks.transactionHash = leaf === merkleProof.leaf;
+  if (!checks.transactionHash) {
+    errors.push("Transaction does not match the Merkle proof leaf");
+  }
+
+  // 2. Merkle path leads to the block's Merkle root
+  checks.merklePath = await tree.verifyProof(
+    { ...merkleProof, leaf },
+    blockHeader.merkleRoot
+  );
+  if (!checks.merklePath) {
+    errors.push("Merkle path does not lead to the block Merkle root");
+  }
+
+  // 3. Header hashes to the block hash
+  const calculatedHash = await calculateBlockHash(blockHeader);
+  checks.blockHash = calculatedHash === blockHeader.currentHash;
+  if (!checks.blockHash) {
+    errors.push("Block header does not hash to the block hash");
+  }
+
+  // 4. Proof of work or authority seals
+  if (isAuthorityBlock(blockHeader)) {
+    const seals = await verifyBlockSeals(
+      { ...blockHeader, seals: bundle.seals },
+      bundle.authority
+    );
+    checks.seals = seals.valid;
+    if (!seals.valid) {
+      errors.push(`Authority seals invalid: ${seals.reason}`);
+    }
+  } else {
+    const target = "0".repeat(blockHeader.difficulty || 0);
+    checks.proofOfWork = blockHeader.currentHash.startsWith(target);
+    if (!checks.proofOfWork) {
+      errors.push("Block hash does not meet its proof-of-work difficulty");
+    }
+  }
+
+  // 5. Signer key matches the published fingerprint, when given
+  const fingerprint = await getPublicKeyFingerprint(signer.publicKey);
+  if (options.trustedFingerprint) {
+    checks.trustedSigner = fingerprint === options.trustedFingerprint;
+    if (!checks.trustedSigner) {
+      errors.push("Signer key does not match the trusted fingerprint");
+    }
+  }
+
+  // 6. Block and transaction signatures
+  let publicKey = null;
+  try {
+    publicKey = await importPublicKey(signer.publicKey);
+  } catch (error) {
+    fail("blockSignature", `Signer public key is invalid: ${error.message}`);
+  }
+
+  if (publicKey) {
+    checks.blockSignature = await verifySignature(
+      blockHeader.currentHash,
+      signature,
+      publicKey
+    );
+    if (!checks.blockSignature) {
+      errors.push("Block signature does not verify with the signer key");
+    }
+
+    if (transaction.signature) {
+      checks.transactionSignature = await verifySignature(
+        JSON.stringify(transaction.data),
+        transaction.signature,
+        publicKey
+      );
+      if (!checks.transactionSignature) {
+        errors.push("Transaction signature does not verify");
+      }
+    }
+  }
+
+  return {
+    verified: errors.length === 0,
+    transactionId: transaction.id,
+    blockNumber: blockHeader.blockNumber,
+    signerFingerprint: fingerprint,
+    checks,
+    errors,
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Proof of Authority for Pharmaceutical Blockchain
+ * Blocks are sealed by a set of authorized facility keys instead of
+ * proof-of-work, optionally requiring M-of-N co-signatures
+ */
+
+import { signData, verifySignature, importPublicKey } from "./crypto";
+
+/**
+ * Consensus mechanisms
+ */
+export const CONSENSUS_TYPES = {
+  PROOF_OF_WORK: "proof_of_work",
+  PROOF_OF_AUTHORITY: "proof_of_authority",
+};
+
+/**
+ * Check whether a block was sealed under proof of authority
+ * @param {object} block
+ * @returns {boolean}
+ */
+export function isAuthorityBlock(block) {
+  return block?.consensus?.type === CONSENSUS_TYPES.PROOF_OF_AUTHORITY;
+}
+
+/**
+ * Validate and normalize an authority configuration
+ * @param {object} config - { sealers: [{ id, name, role, publicKey }], threshold }
+ * @returns {object}
+ */
+export function createAuthorityConfig({ sealers = [], threshold = 1 } = {}) {
+  const ids = new Set();
+
+  sealers.forEach((sealer) => {
+    if (!sealer.id || !sealer.publicKey) {
+      throw new Error("Each sealer requires an id and a public key");
+    }
+    if (ids.has(sealer.id)) {
+      throw new Error(`Duplicate sealer: ${sealer.id}`);
+    }
+    ids.add(sealer.id);
+  });
+
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new Error("Seal threshold must be a positive integer");
+  }
+  if (threshold > sealers.length) {
+    throw new Error(
+      `Seal threshold ${threshold} exceeds ${sealers.length} authorized sealers`
+    );
+  }
+
+  return {
+    sealers: sealers.map(({ id, name, role, publicKey }) => ({
+      id,
+      name: name || id,
+      role: role || null,
+      publicKey,
+    })),
+    threshold,
+  };
+}
+
+/**
+ * Create a seal over a block hash
+ * @param {string} blockHash
+ * @param {string} sealerId
+ * @param {CryptoKey} privateKey
+ * @returns {Promise<object>} - { sealerId, signature, sealedAt }
+ */
+export async function createSeal(blockHash, sealerId, privateKey) {
+  return {
+    sealerId,
+    signature: await signData(blockHash, privateKey),
+    sealedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Verify the seals on a block against the authority configuration
+ * @param {object} block
+ * @param {object} authority - { sealers, threshold }
+ * @param {Map} [keyCache] - Imported public keys by encoded key
+ * @returns {Promise<object>} - { valid, validSeals, required, reason }
+ */
+export async function verifyBlockSeals(block, authority, keyCache = new Map()) {
+  const required = Math.max(
+    block.consensus?.threshold || 1,
+    authority?.threshold || 1
+  );
+
+  if (!authority || !authority.sealers || authority.sealers.length === 0) {
+    return {
+      valid: false,
+      validSeals: [],
+      required,
+      reason: "No authority configuration",
+    };
+  }
+
+  const sealersById = new Map(authority.sealers.map((s) => [s.id, s]));
+  const validSeals = [];
+  const rejected = [];
+
+  for (const seal of block.seals || []) {
+    const sealer = sealersById.get(seal.sealerId);
+    if (!sealer) {
+      rejected.push(`${seal.sealerId}: not an authorized sealer`);
+      continue;
+    }
+    if (validSeals.includes(seal.sealerId)) {
+      rejected.push(`${seal.sealerId}: duplicate seal`);
+      continue;
+    }
+
+    if (!keyCache.has(sealer.publicKey)) {
+      keyCache.set(sealer.publicKey, await importPublicKey(sealer.publicKey));
+    }
+
+    const verified = await verifySignature(
+      block.currentHash,
+      seal.signature,
+      keyCache.get(sealer.publicKey)
+    );
+    if (verified) {
+      validSeals.push(seal.sealerId);
+    } else {
+      rejected.push(`${seal.sealerId}: invalid signature`);
+    }
+  }
+
+  const valid = validSeals.length >= required;
+
+  return {
+    valid,
+    validSeals,
+    required,
+    reason: valid
+      ? null
+      : `${validSeals.length} of ${required} required seals${
+          rejected.length ? ` (${rejected.join("; ")})` : ""
+        }`,
+  };
+}
@@ -0,0 +1,456 @@
+/**
+ * Ledger Replication
+ * Keeps several dashboard instances on one canonical chain by exchanging
+ * blocks and pending transactions through a relay. Replicas must share a
+ * genesis block; a new dashboard bootstraps from a peer's archive and
+ * signs blocks with its own key once a peer's operator enrolls it.
+ *
+ * Relays expose connect(nodeId, onMessage) and return a transport with
+ * send(message, to) and close(). InProcessRelay connects replicas in the
+ * same page (and in tests); WebSocketRelay talks to a fan-out server.
+ */
+
+import { IMPORT_MODES } from "./chainArchive";
+
+/**
+ * Fork choice rule, recorded on-chain with every resolution
+ */
+export const FORK_RULE = {
+  id: "longest-valid-chain/v1",
+  description:
+    "The longer valid branch wins; equal lengths keep the branch with the lower head hash. Blocks covered by a checkpoint are final, and a local branch holding key management transactions is never discarded automatically.",
+};
+
+/**
+ * Outcomes of applying replicated blocks
+ */
+export const REPLICATION_STATUS = {
+  EXTENDED: "extended",
+  REORGANIZED: "reorganized",
+  KEPT: "kept",
+  IGNORED: "ignored",
+  UNKNOWN_PARENT: "unknown_parent",
+  REJECTED: "rejected",
+};
+
+/**
+ * Replication message types
+ */
+export const REPLICATION_MESSAGES = {
+  HELLO: "hello",
+  TRANSACTION: "transaction",
+  BLOCKS: "blocks",
+  SYNC_REQUEST: "sync_request",
+  LEDGER_MISMATCH: "ledger_mismatch",
+  SNAPSHOT_REQUEST: "snapshot_request",
+  SNAPSHOT: "snapshot",
+};
+
+/**
+ * Compare two branches that share a fork point
+ * @param {object} local - { length, headHash }
+ * @param {object} remote - { length, headHash }
+ * @returns {number} - 1 if the remote branch wins, -1 if the local branch
+ *   wins, 0 if they are the same branch
+ */
+export function compareBranches(local, remote) {
+  if (remote.length !== local.length) {
+    return remote.length > local.length ? 1 : -1;
+  }
+  if (remote.headHash === local.headHash) return 0;
+  return remote.headHash < local.headHash ? 1 : -1;
+}
+
+/**
+ * In-process relay
+ * Delivers messages asynchronously, one at a time and in send order, as
+ * JSON copies so replicas never share objects.
+ */
+export class InProcessRelay {
+  constructor() {
+    this.nodes = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  connect(nodeId, onMessage) {
+    this.nodes.set(nodeId, onMessage);
+    return {
+      send: (message, to = null) => this.route(nodeId, message, to),
+      close: () => this.nodes.delete(nodeId),
+    };
+  }
+
+  route(from, message, to) {
+    const data = JSON.stringify({ ...message, from, to });
+    this.nodes.forEach((handler, nodeId) => {
+      if (nodeId === from || (to && nodeId !== to)) return;
+      this.queue = this.queue
+        .then(() => {
+          // Skip nodes that disconnected while the message was queued
+          if (this.nodes.get(nodeId) === handler) {
+            return handler(JSON.parse(data));
+          }
+        })
+        .catch((error) => console.error("Relay delivery error:", error));
+    });
+  }
+
+  /**
+   * Wait until every queued message, including replies, is delivered
+   */
+  async flush() {
+    let pending;
+    do {
+      pending = this.queue;
+      await pending;
+    } while (pending !== this.queue);
+  }
+}
+
+/**
+ * WebSocket relay
+ * The server only needs to fan each message out to every other client;
+ * addressed messages are filtered here.
+ */
+export class WebSocketRelay {
+  constructor(url) {
+    this.url = url;
+  }
+
+  connect(nodeId, onMessage) {
+    const socket = new WebSocket(this.url);
+    const outbox = [];
+
+    socket.onopen = () => outbox.splice(0).forEach((data) => socket.send(data));
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.from === nodeId || (message.to && message.to !== nodeId)) {
+        return;
+      }
+      onMessage(message);
+    };
+
+    return {
+      send: (message, to = null) => {
+        const data = JSON.stringify({ ...message, from: nodeId, to });
+        if (socket.readyState === WebSocket.OPEN) socket.send(data);
+        else outbox.push(data);
+      },
+      close: () => socket.close(),
+    };
+  }
+}
+
+/**
+ * Ledger Replicator Class
+ * Connects a PharmaBlockchainService to a relay: broadcasts new
+ * transactions and blocks, answers sync requests, and applies peer
+ * blocks through applyReplicatedBlocks().
+ */
+export class LedgerReplicator {
+  constructor(ledger, relay, options = {}) {
+    this.ledger = ledger;
+    this.relay = relay;
+    this.nodeId = options.nodeId || ledger.facilityId;
+    this.transport = null;
+    this.unsubscribe = null;
+    this.peers = new Map();
+    this.seenTransactions = new Set();
+    this.seenBlocks = new Set();
+    this.bootstrapPeer = null;
+    this.enrollmentRequests = new Map();
+    this.subscribers = [];
+  }
+
+  /**
+   * Join the relay and announce the local chain head
+   */
+  start() {
+    if (this.transport) return;
+
+    this.transport = this.relay.connect(this.nodeId, (message) =>
+      this.handleMessage(message)
+    );
+    this.unsubscribe = this.ledger.subscribe((event, data) =>
+      this.handleLedgerEvent(event, data)
+    );
+    this.send({ type: REPLICATION_MESSAGES.HELLO, head: this.getHead() });
+  }
+
+  /**
+   * Leave the relay; local mining and recording continue
+   */
+  stop() {
+    if (!this.transport) return;
+    this.transport.close();
+    this.unsubscribe();
+    this.transport = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Replace the local chain with a peer's archive
+   * Used once, when a new dashboard joins an existing ledger. The request
+   * asks the peer to enroll this device's key so its blocks are accepted.
+   * @param {string} peerId
+   */
+  async requestSnapshot(peerId) {
+    this.bootstrapPeer = peerId;
+    this.send(
+      {
+        type: REPLICATION_MESSAGES.SNAPSHOT_REQUEST,
+        enrollment: await this.ledger.createEnrollmentRequest(this.nodeId),
+      },
+      peerId
+    );
+  }
+
+  /**
+   * Enroll a replica that asked to join, once an operator approves it
+   * @param {string} nodeId
+   * @returns {Promise<object>} - See PharmaBlockchainService.enrollNode()
+   */
+  async approveEnrollment(nodeId) {
+    const request = this.enrollmentRequests.get(nodeId);
+    if (!request) {
+      throw new Error(`No enrollment request from ${nodeId}`);
+    }
+
+    const result = await this.ledger.enrollNode(request);
+    this.enrollmentRequests.delete(nodeId);
+    this.notifySubscribers("enrollmentApproved", { nodeId, ...result });
+    return result;
+  }
+
+  /**
+   * Drop a replica's enrollment request
+   * @param {string} nodeId
+   */
+  dismissEnrollment(nodeId) {
+    this.enrollmentRequests.delete(nodeId);
+  }
+
+  /**
+   * Get replication status
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      nodeId: this.nodeId,
+      connected: !!this.transport,
+      head: this.getHead(),
+      peers: [...this.peers.entries()].map(([nodeId, peer]) => ({
+        nodeId,
+        ...peer,
+      })),
+      enrollmentRequests: [...this.enrollmentRequests.values()],
+    };
+  }
+
+  getHead() {
+    const head = this.ledger.getLatestBlock();
+    return { blockNumber: head.blockNumber, hash: head.currentHash };
+  }
+
+  send(message, to = null) {
+    if (this.transport) this.transport.send(message, to);
+  }
+
+  handleLedgerEvent(event, data) {
+    if (event === "newTransaction" && !this.seenTransactions.has(data.id)) {
+      this.seenTransactions.add(data.id);
+      this.send({ type: REPLICATION_MESSAGES.TRANSACTION, transaction: data });
+    } else if (event === "newBlock" && !this.seenBlocks.has(data.currentHash)) {
+      this.seenBlocks.add(data.currentHash);
+      this.send({
+        type: REPLICATION_MESSAGES.BLOCKS,
+        forkPoint: data.blockNumber - 1,
+        blocks: [data],
+      });
+    }
+  }
+
+  async handleMessage(message) {
+    this.peers.set(message.from, {
+      lastSeen: new Date().toISOString(),
+      head: message.head || this.peers.get(message.from)?.head || null,
+    });
+
+    try {
+      switch (message.type) {
+        case REPLICATION_MESSAGES.HELLO:
+          return await this.handleHello(message);
+        case REPLICATION_MESSAGES.TRANSACTION:
+          return await this.handleTransaction(message);
+        case REPLICATION_MESSAGES.BLOCKS:
+          return await this.handleBlocks(message);
+        case REPLICATION_MESSAGES.SYNC_REQUEST:
+          return await this.handleSyncRequest(message);
+        case REPLICATION_MESSAGES.LEDGER_MISMATCH:
+          return this.notifySubscribers("ledgerMismatch", {
+            peerId: message.from,
+          });
+        case REPLICATION_MESSAGES.SNAPSHOT_REQUEST:
+          return await this.handleSnapshotRequest(message);
+        case REPLICATION_MESSAGES.SNAPSHOT:
+          return await this.handleSnapshot(message);
+        default:
+          console.warn(`Unknown replication message: ${message.type}`);
+      }
+    } catch (error) {
+      console.error("Replication error:", error);
+      this.notifySubscribers("replicationError", {
+        peerId: message.from,
+        type: message.type,
+        error: error.message,
+      });
+    }
+  }
+
+  async handleHello(message) {
+    if (!message.reply) {
+      this.send(
+        { type: REPLICATION_MESSAGES.HELLO, head: this.getHead(), reply: true },
+        message.from
+      );
+    }
+
+    // Ask for blocks when the peer is ahead or on a competing head
+    const local = this.getHead();
+    if (
+      message.head.blockNumber > local.blockNumber ||
+      (message.head.blockNumber === local.blockNumber &&
+        message.head.hash !== local.hash)
+    ) {
+      await this.requestSync(message.from);
+    }
+  }
+
+  async requestSync(peerId) {
+    this.send(
+      {
+        type: REPLICATION_MESSAGES.SYNC_REQUEST,
+        locator: await this.ledger.getBlockLocator(),
+      },
+      peerId
+    );
+  }
+
+  async handleSyncRequest(message) {
+    const forkPoint = await this.ledger.findForkPoint(message.locator);
+    if (forkPoint < 0) {
+      this.send({ type: REPLICATION_MESSAGES.LEDGER_MISMATCH }, message.from);
+      this.notifySubscribers("ledgerMismatch", { peerId: message.from });
+      return;
+    }
+
+    const head = this.ledger.getLatestBlock().blockNumber;
+    if (forkPoint === head) return;
+    this.send(
+      {
+        type: REPLICATION_MESSAGES.BLOCKS,
+        forkPoint,
+        blocks: await this.ledger.getBlocks(forkPoint + 1, head),
+      },
+      message.from
+    );
+  }
+
+  async handleTransaction(message) {
+    const { transaction } = message;
+    if (this.seenTransactions.has(transaction.id)) return;
+    this.seenTransactions.add(transaction.id);
+
+    if (
+      this.ledger.pendingTransactions.some((tx) => tx.id === transaction.id) ||
+      (await this.ledger.findTransaction(transaction.id))
+    ) {
+      return;
+    }
+    try {
+      await this.ledger.addTransaction(transaction);
+    } catch (error) {
+      // Already queued locally, or rejected by local validation
+      console.warn(`Replicated transaction ${transaction.id}:`, error.message);
+    }
+  }
+
+  async handleBlocks(message) {
+    message.blocks.forEach((block) => this.seenBlocks.add(block.currentHash));
+
+    const result = await this.ledger.applyReplicatedBlocks(
+      message.forkPoint,
+      message.blocks,
+      { peerId: message.from }
+    );
+
+    if (result.status === REPLICATION_STATUS.UNKNOWN_PARENT) {
+      await this.requestSync(message.from);
+    } else if (result.status === REPLICATION_STATUS.KEPT) {
+      // Our branch wins; send it so the peer can reorganize
+      this.send(
+        {
+          type: REPLICATION_MESSAGES.BLOCKS,
+          forkPoint: result.forkPoint,
+          blocks: result.localBlocks,
+        },
+        message.from
+      );
+    }
+
+    this.notifySubscribers("blocksReceived", {
+      peerId: message.from,
+      status: result.status,
+      reason: result.reason || null,
+    });
+  }
+
+  async handleSnapshotRequest(message) {
+    const { enrollment } = message;
+    if (enrollment && enrollment.nodeId === message.from) {
+      this.enrollmentRequests.set(message.from, enrollment);
+      this.notifySubscribers("enrollmentRequested", {
+        nodeId: message.from,
+        keyId: enrollment.keyId,
+      });
+    }
+
+    this.send(
+      {
+        type: REPLICATION_MESSAGES.SNAPSHOT,
+        archive: await this.ledger.exportChainArchive(),
+      },
+      message.from
+    );
+  }
+
+  async handleSnapshot(message) {
+    if (this.bootstrapPeer !== message.from) return;
+    this.bootstrapPeer = null;
+
+    const result = await this.ledger.importChainArchive(message.archive, {
+      mode: IMPORT_MODES.REPLACE,
+    });
+    this.notifySubscribers("bootstrapped", { peerId: message.from, result });
+    if (result.imported) {
+      this.send({ type: REPLICATION_MESSAGES.HELLO, head: this.getHead() });
+    }
+  }
+
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
@@ -6,6 +6,10 @@
  */
 
 import { INITIAL_ROOMS } from "../utils/constants";
+import SensorIngestionAdapter, {
+  FEED_PROTOCOLS,
+  CONNECTION_STATES,
+} from "./sensorIngestion";
 
 // Room thermal model parameters
 const THERMAL_MODELS = {
@@ -36,6 +40,9 @@ class DataPipeline {
   constructor() {
     this.websocket = null;
     this.simulationInterval = null;
+    this.validationInterval = null;
+    this.lastReadingAt = new Map();
+    this.staleRooms = new Set();
     this.roomModels = new Map();
     this.subscribers = new Set();
     this.options = {
@@ -43,15 +50,34 @@ class DataPipeline {
       frequency: 5000, // 5 seconds
       failureRate: 0.02,
       drift: true,
+      feed: {
+        url: process.env.REACT_APP_SENSOR_FEED_URL || null,
+        protocol:
+          process.env.REACT_APP_SENSOR_FEED_PROTOCOL ||
+          FEED_PROTOCOLS.WEBSOCKET,
+      },
+      staleAfter: 60000, // Flag rooms silent for 60 seconds
     };
     this.isInitialized = false;
   }
 
   /**
    * Initialize the data pipeline
+   * Live mode needs a feed URL; without one the options are refused and
+   * the pipeline is left as it was.
    */
   async initialize(options = {}) {
-    this.options = { ...this.options, ...options };
+    const merged = {
+      ...this.options,
+      ...options,
+      feed: { ...this.options.feed, ...(options.feed || {}) },
+    };
+    if (merged.mode === "live" && !merged.feed.url) {
+      throw new Error(
+        "Live mode needs a sensor feed URL: set REACT_APP_SENSOR_FEED_URL or pass feed.url"
+      );
+    }
+    this.options = merged;
 
     // Initialize room models
     INITIAL_ROOMS.forEach((room) => {
@@ -400,22 +426,90 @@ class DataPipeline {
   }
 
   /**
-   * Connect to WebSocket (for live mode)
+   * Connect to the live sensor feed (for live mode)
+   * Readings that fail schema validation are dropped by the adapter.
    */
   async connectWebSocket() {
-    return new Promise((resolve, reject) => {
-      // Mock WebSocket connection
-      console.log("WebSocket connection simulated");
-      resolve();
+    if (this.websocket) {
+      this.websocket.disconnect();
+    }
+
+    const adapter = new SensorIngestionAdapter(this.options.feed);
+
+    adapter.onReading((roomId, readings) => {
+      const model = this.roomModels.get(roomId);
+      if (!model) {
+        console.warn(`Sensor reading for unknown room: ${roomId}`);
+        return;
+      }
+
+      Object.entries(readings).forEach(([parameter, reading]) => {
+        if (parameter in model.state) {
+          model.state[parameter] = reading.value;
+        }
+      });
+
+      this.lastReadingAt.set(roomId, Date.now());
+      this.staleRooms.delete(roomId);
+      this.emitSensorUpdate(roomId, readings);
+    });
+
+    adapter.onStateChange((state) => {
+      console.log(`Sensor feed ${state}`);
     });
+
+    this.websocket = adapter;
+    const state = await adapter.connect();
+
+    if (state !== CONNECTION_STATES.CONNECTED) {
+      console.warn(
+        `Sensor feed not connected (${state}): ${
+          adapter.getStats().lastError || "retrying"
+        }`
+      );
+    }
   }
 
   /**
    * Start data validation
+   * Watches for rooms whose feed has gone silent.
    */
   startDataValidation() {
-    // Validate incoming data in live mode
-    console.log("Data validation started");
+    if (this.validationInterval) {
+      clearInterval(this.validationInterval);
+    }
+
+    const startedAt = Date.now();
+
+    this.validationInterval = setInterval(() => {
+      const now = Date.now();
+
+      this.roomModels.forEach((model, roomId) => {
+        const lastSeen = this.lastReadingAt.get(roomId) || startedAt;
+        if (
+          now - lastSeen > this.options.staleAfter &&
+          !this.staleRooms.has(roomId)
+        ) {
+          this.staleRooms.add(roomId);
+          console.warn(
+            `No sensor data from ${roomId} for ${Math.round(
+              (now - lastSeen) / 1000
+            )}s`
+          );
+        }
+      });
+    }, Math.min(this.options.staleAfter, this.options.frequency));
+  }
+
+  /**
+   * Get live feed status
+   */
+  getFeedStatus() {
+    return {
+      mode: this.options.mode,
+      ingestion: this.websocket ? this.websocket.getStats() : null,
+      staleRooms: Array.from(this.staleRooms),
+    };
   }
 
   /**
@@ -457,7 +551,7 @@ class DataPipeline {
    */
   setSpeed(multiplier) {
     this.options.frequency = 5000 / multiplier;
-    if (this.isInitialized) {
+    if (this.isInitialized && this.options.mode !== "live") {
       this.startAdvancedSimulation();
     }
   }
@@ -470,13 +564,30 @@ class DataPipeline {
       clearInterval(this.simulationInterval);
       this.simulationInterval = null;
     }
+    if (this.validationInterval) {
+      clearInterval(this.validationInterval);
+      this.validationInterval = null;
+    }
+    if (this.websocket) {
+      this.websocket.disconnect();
+      this.websocket = null;
+    }
   }
 
   /**
    * Resume simulation
    */
   resume() {
-    if (!this.simulationInterval && this.isInitialized) {
+    if (!this.isInitialized) return;
+
+    if (this.options.mode === "live") {
+      if (!this.websocket) {
+        this.connectWebSocket().catch((error) => {
+          console.error("Failed to reconnect sensor feed:", error);
+        });
+        this.startDataValidation();
+      }
+    } else if (!this.simulationInterval) {
       this.startAdvancedSimulation();
     }
   }
@@ -6,6 +6,7 @@
 
 import { supabase, TABLES } from "../config/supabase";
 import { INITIAL_ROOMS } from "../utils/constants";
+import { logAuditEntry as logAuditEntryDB } from "./supabaseService";
 
 // ============================================
 // STORAGE KEYS
@@ -638,23 +639,9 @@ export const logAuditEntry = async (entry) => {
   // Keep only last 500 entries
   saveToLocal(STORAGE_KEYS.AUDIT_TRAIL, auditTrail.slice(-500));
 
-  // Sync to Supabase if online
+  // Sync to Supabase if online; sessions Supabase refuses keep it local
   if (navigator.onLine) {
-    try {
-      await supabase.from(TABLES.AUDIT_TRAIL).insert({
-        action: entry.action,
-        entity_type: entry.entityType,
-        entity_id: entry.entityId,
-        user_id: entry.userId,
-        user_name: entry.userName,
-        details: entry.details,
-        previous_value: entry.previousValue,
-        new_value: entry.newValue,
-        created_at: timestamp,
-      });
-    } catch (error) {
-      console.error("Error syncing audit entry:", error);
-    }
+    await logAuditEntryDB(entry);
   }
 
   return auditEntry;
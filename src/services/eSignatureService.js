@@ -0,0 +1,279 @@
+/**
+ * Electronic Signature Service
+ *
+ * 21 CFR Part 11 signatures for critical actions. Signing re-authenticates
+ * the signed-in user by unlocking their passphrase-protected signing key,
+ * hashes the record being signed, and signs a manifestation of the printed
+ * name, meaning and time with that key. Each signature is written to the
+ * ledger and to the securityModule audit log.
+ */
+
+import { pharmaBlockchain } from "./blockchain/PharmaBlockchainService";
+import { TRANSACTION_TYPES } from "./blockchain/TransactionFactory";
+import {
+  sha256,
+  signData,
+  verifySignature,
+  importPublicKey,
+} from "./blockchain/crypto";
+import securityModule, { ROLES } from "../modules/securityModule";
+import { canonicalJson } from "../utils/canonicalJson";
+
+/**
+ * Signature meanings (21 CFR 11.50(a)(3))
+ */
+const SIGNATURE_MEANINGS = {
+  REVIEWED: "reviewed",
+  APPROVED: "approved",
+  RESPONSIBLE: "responsible",
+};
+
+/**
+ * ESignatureService class
+ */
+class ESignatureService {
+  /**
+   * @param {object} ledger - Blockchain holding user keys and signatures
+   * @param {object} security - securityModule providing the signer
+   */
+  constructor(ledger = pharmaBlockchain, security = securityModule) {
+    this.ledger = ledger;
+    this.security = security;
+    this.signatures = new Map();
+    this.subscribers = [];
+  }
+
+  /**
+   * Whether the signed-in user has a signing key to sign with
+   * @returns {Promise<boolean>}
+   */
+  async hasSigningKey() {
+    const user = this.security.currentUser;
+    return !!user && !!(await this.ledger.keyManager.getUserKey(user.id));
+  }
+
+  /**
+   * Set up the signed-in user's signature passphrase
+   * @param {string} passphrase
+   * @returns {Promise<object>} - { keyId, publicKey, transactionId }
+   */
+  async registerSigner(passphrase) {
+    const { isValid, issues } = this.security.validatePassword(passphrase);
+    if (!isValid) {
+      throw new Error(issues.join("; "));
+    }
+    return await this.ledger.registerUserSigningKey(
+      passphrase,
+      this.security.currentUser
+    );
+  }
+
+  /**
+   * Sign a record
+   * @param {object} request
+   * @param {string} request.recordType - e.g. "alert", "threshold", "deviation"
+   * @param {string} request.recordId
+   * @param {object} request.record - Record content the signature applies to
+   * @param {string} request.meaning - A SIGNATURE_MEANINGS value
+   * @param {string} request.credential - Signature passphrase
+   * @param {string} [request.comment]
+   * @returns {Promise<object>} - The signature
+   */
+  async sign({ recordType, recordId, record, meaning, credential, comment }) {
+    if (!this.security.isSessionValid()) {
+      throw new Error("A signed-in session is required to sign");
+    }
+    if (!Object.values(SIGNATURE_MEANINGS).includes(meaning)) {
+      throw new Error(`Unknown signature meaning: ${meaning}`);
+    }
+    if (!recordType || !recordId || !record) {
+      throw new Error("The record being signed is required");
+    }
+
+    const user = this.security.currentUser;
+    const privateKey = await this.reauthenticate(user, credential);
+    const { keyId } = await this.ledger.keyManager.getUserKey(user.id);
+
+    const manifestation = {
+      signatureId: `SIG-${Date.now()}-${Math.random()
+        .toString(36)
+        .substr(2, 9)}`,
+      recordType,
+      recordId,
+      recordHash: await sha256(canonicalJson(record)),
+      meaning,
+      signerId: user.id,
+      signerName: user.name,
+      signerRole: user.role,
+      signedAt: new Date().toISOString(),
+      keyId,
+      comment: comment || null,
+    };
+    const signature = {
+      ...manifestation,
+      signature: await signData(JSON.stringify(manifestation), privateKey),
+    };
+
+    const tx =
+      this.ledger.transactionFactory.createElectronicSignatureTransaction(
+        signature
+      );
+    await this.ledger.addTransaction(tx);
+    signature.transactionId = tx.id;
+
+    this.signatures.set(signature.signatureId, signature);
+    this.security.logAudit("ELECTRONIC_SIGNATURE", recordId, {
+      signatureId: signature.signatureId,
+      recordType,
+      recordHash: signature.recordHash,
+      meaning,
+      manifestation: this.getManifestation(signature),
+    });
+    this.notifySubscribers("signed", signature);
+    return signature;
+  }
+
+  /**
+   * Re-authenticate a user by unlocking their signing key
+   * Failures count towards the account lockout, and attempts while locked
+   * are audited as blocked logins.
+   * @returns {Promise<CryptoKey>}
+   */
+  async reauthenticate(user, credential) {
+    const lockout = this.security.checkLoginAttempts(user.id);
+    if (lockout.locked) {
+      this.security.logAudit("LOGIN_BLOCKED", user.id, {
+        reason: "signature re-authentication",
+        remainingTime: lockout.remainingTime,
+      });
+      throw new Error(
+        `Account locked, try again in ${lockout.remainingTime} seconds`
+      );
+    }
+    if (!(await this.ledger.keyManager.getUserKey(user.id))) {
+      throw new Error("Set up a signature passphrase before signing");
+    }
+
+    try {
+      const privateKey = await this.ledger.unlockUserSigningKey(
+        credential,
+        user.id
+      );
+      this.security.clearFailedLogins(user.id);
+      return privateKey;
+    } catch (error) {
+      this.security.recordFailedLogin(user.id);
+      this.security.logAudit("SIGNATURE_REAUTH_FAILED", user.id, {
+        reason: error.message,
+      });
+      throw new Error("Re-authentication failed");
+    }
+  }
+
+  /**
+   * Verify a signature against the record it was applied to
+   * @param {object} signature
+   * @param {object} record
+   * @returns {Promise<object>} - { valid, reason }
+   */
+  async verify(signature, record) {
+    const { signature: value, transactionId, ...manifestation } = signature;
+
+    if ((await sha256(canonicalJson(record))) !== signature.recordHash) {
+      return { valid: false, reason: "Record changed after signing" };
+    }
+
+    const publicKey = this.ledger.keyManager.getPublicKey(signature.keyId);
+    if (!publicKey) {
+      return { valid: false, reason: `Unknown signing key ${signature.keyId}` };
+    }
+
+    const valid = await verifySignature(
+      JSON.stringify(manifestation),
+      value,
+      await importPublicKey(publicKey)
+    );
+    return valid
+      ? { valid: true, reason: null }
+      : { valid: false, reason: "Signature does not match the signer's key" };
+  }
+
+  /**
+   * Human-readable signature manifestation (21 CFR 11.50)
+   * @param {object} signature
+   * @returns {string} - Printed name, role, meaning and time of signing
+   */
+  getManifestation(signature) {
+    const role = ROLES[signature.signerRole]?.name || signature.signerRole;
+    return `${signature.meaning.toUpperCase()} by ${
+      signature.signerName
+    } (${role}) at ${signature.signedAt}`;
+  }
+
+  /**
+   * Rebuild signatures from the ledger
+   * @returns {Promise<number>} - Number of signatures
+   */
+  async loadFromLedger() {
+    const isSignature = (tx) =>
+      tx.type === TRANSACTION_TYPES.USER_ACTION && tx.data.action === "esign";
+    const mined = await this.ledger.queryTransactions({
+      type: TRANSACTION_TYPES.USER_ACTION,
+      limit: Infinity,
+    });
+
+    this.signatures.clear();
+    [...mined.reverse(), ...this.ledger.pendingTransactions]
+      .filter(isSignature)
+      .forEach((tx) => {
+        const { action, timestamp, ...signature } = tx.data;
+        this.signatures.set(signature.signatureId, {
+          ...signature,
+          transactionId: tx.id,
+        });
+      });
+    return this.signatures.size;
+  }
+
+  /**
+   * Get signatures, newest first
+   * @param {object} [filters] - { recordType, recordId }
+   * @returns {array}
+   */
+  getSignatures({ recordType, recordId } = {}) {
+    return [...this.signatures.values()]
+      .filter(
+        (signature) =>
+          (!recordType || signature.recordType === recordType) &&
+          (!recordId || signature.recordId === recordId)
+      )
+      .sort((a, b) => new Date(b.signedAt) - new Date(a.signedAt));
+  }
+
+  /**
+   * Subscribe to new signatures
+   * @param {function} callback - (event, signature)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Subscriber notification error:", error);
+      }
+    });
+  }
+}
+
+const eSignatureService = new ESignatureService();
+
+export default eSignatureService;
+export { ESignatureService, SIGNATURE_MEANINGS };
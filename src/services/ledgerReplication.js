@@ -0,0 +1,62 @@
+/**
+ * Ledger Replication Setup
+ * Connects this dashboard's ledger to the other facility dashboards through
+ * the relay configured in the environment; without one the ledger stays
+ * local to this browser.
+ *   REACT_APP_LEDGER_RELAY_URL - WebSocket fan-out server
+ *   REACT_APP_LEDGER_NODE_ID   - This dashboard's ID on the relay
+ * A new dashboard joins the ledger from a peer in the Blockchain Explorer,
+ * and an operator on that peer approves its key.
+ */
+
+import { pharmaBlockchain } from "./blockchain/PharmaBlockchainService";
+import { LedgerReplicator, WebSocketRelay } from "./blockchain/replication";
+
+const env = process.env;
+
+export const ledgerReplicator =
+  env.REACT_APP_LEDGER_RELAY_URL && env.REACT_APP_LEDGER_NODE_ID
+    ? new LedgerReplicator(
+        pharmaBlockchain,
+        new WebSocketRelay(env.REACT_APP_LEDGER_RELAY_URL),
+        { nodeId: env.REACT_APP_LEDGER_NODE_ID }
+      )
+    : null;
+
+/**
+ * Start replicating once the ledger is initialized
+ * @param {object} [options] - { replicator, ledger }
+ * @returns {function} - Stops replication
+ */
+export function startLedgerReplication({
+  replicator = ledgerReplicator,
+  ledger = pharmaBlockchain,
+} = {}) {
+  if (!replicator) {
+    if (env.REACT_APP_LEDGER_RELAY_URL) {
+      console.warn(
+        "Ledger replication needs REACT_APP_LEDGER_NODE_ID; the ledger stays local"
+      );
+    }
+    return () => {};
+  }
+
+  let unsubscribe = null;
+  if (ledger.isInitialized) {
+    replicator.start();
+  } else {
+    unsubscribe = ledger.subscribe((event) => {
+      if (event !== "initialized") return;
+      unsubscribe();
+      unsubscribe = null;
+      replicator.start();
+    });
+  }
+
+  return () => {
+    if (unsubscribe) unsubscribe();
+    replicator.stop();
+  };
+}
+
+export default ledgerReplicator;
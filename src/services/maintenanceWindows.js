@@ -0,0 +1,225 @@
+/**
+ * Maintenance Windows Service
+ *
+ * Planned work in a room - defrosts, calibrations, door-open loading -
+ * that would otherwise raise the same alerts as a real excursion. A window
+ * covers a room for a period, optionally only some parameters or rules,
+ * and either suppresses the rules it covers or downgrades their alerts.
+ * Windows that have not ended are stored, so a reload keeps them.
+ */
+
+const STORAGE_KEY = "pharma-monitor-maintenance-windows";
+
+// What a window does to the alerts it covers
+const MAINTENANCE_ACTIONS = {
+  SUPPRESS: "suppress",
+  DOWNGRADE: "downgrade",
+};
+
+/**
+ * Window storage in localStorage, or memory where it is unavailable
+ * @param {string} [key]
+ * @returns {object} - { load(), save(data) }
+ */
+function createLocalMaintenanceStorage(key = STORAGE_KEY) {
+  if (typeof localStorage === "undefined") {
+    return createMemoryMaintenanceStorage();
+  }
+  return {
+    load: async () => JSON.parse(localStorage.getItem(key) || "null"),
+    save: async (data) => localStorage.setItem(key, JSON.stringify(data)),
+  };
+}
+
+/**
+ * Window storage held in memory, for tests and browsers without storage
+ * @returns {object} - { load(), save(data) }
+ */
+function createMemoryMaintenanceStorage() {
+  let stored = null;
+  return {
+    load: async () => stored && JSON.parse(stored),
+    save: async (data) => {
+      stored = JSON.stringify(data);
+    },
+  };
+}
+
+/**
+ * MaintenanceSchedule class
+ */
+class MaintenanceSchedule {
+  /**
+   * @param {array} [windows]
+   * @param {object} [deps] - { storage }
+   */
+  constructor(windows = [], deps = {}) {
+    this.windows = [];
+    this.storage = deps.storage || createLocalMaintenanceStorage();
+    this.load(windows);
+  }
+
+  /**
+   * Replace the schedule
+   * @param {array} windows
+   */
+  load(windows = []) {
+    this.windows = [];
+    windows.forEach((window) => this.insertWindow(window));
+  }
+
+  /**
+   * Load the stored windows, if any have been saved
+   * @returns {Promise<array>} - Windows that have not ended
+   */
+  async restore() {
+    const data = await this.storage.load();
+    if (data) {
+      this.load(data);
+    }
+    return this.getWindows();
+  }
+
+  /**
+   * Store the windows that have not ended
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    try {
+      await this.storage.save(this.getWindows());
+    } catch (error) {
+      console.error("Maintenance windows could not be saved:", error);
+    }
+  }
+
+  /**
+   * Schedule a window and store it
+   * Without parameters or ruleIds a window covers every rule for the room.
+   * @param {object} window - { id, roomId, parameters, ruleIds, from, to, action, reason }
+   * @returns {object} - The window
+   */
+  addWindow(window) {
+    const added = this.insertWindow(window);
+    this.persist();
+    return added;
+  }
+
+  insertWindow({
+    id,
+    roomId,
+    parameters = [],
+    ruleIds = [],
+    from,
+    to,
+    action = MAINTENANCE_ACTIONS.SUPPRESS,
+    reason,
+  }) {
+    if (!roomId) {
+      throw new Error("A maintenance window needs a room");
+    }
+    if (!reason?.trim()) {
+      throw new Error("A maintenance window needs a reason");
+    }
+    if (!Object.values(MAINTENANCE_ACTIONS).includes(action)) {
+      throw new Error(`Unknown maintenance action: ${action}`);
+    }
+
+    const window = {
+      id:
+        id || `maint-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      roomId,
+      parameters,
+      ruleIds,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      action,
+      reason: reason.trim(),
+    };
+    if (window.to <= window.from) {
+      throw new Error("A maintenance window must end after it starts");
+    }
+    this.windows.push(window);
+    return window;
+  }
+
+  /**
+   * Cancel a window
+   * @param {string} id
+   * @returns {object|null} - The removed window
+   */
+  removeWindow(id) {
+    const window = this.windows.find((w) => w.id === id);
+    if (!window) return null;
+    this.windows = this.windows.filter((w) => w.id !== id);
+    this.persist();
+    return window;
+  }
+
+  /**
+   * Whether a window covers a rule in a room at a moment
+   * @param {object} window
+   * @param {string} roomId
+   * @param {object} rule - { id, parameter }
+   * @param {string} iso - ISO timestamp
+   * @returns {boolean}
+   */
+  covers(window, roomId, rule, iso) {
+    if (window.roomId !== roomId || iso < window.from || iso >= window.to) {
+      return false;
+    }
+    if (!window.parameters.length && !window.ruleIds.length) return true;
+    return (
+      window.ruleIds.includes(rule.id) ||
+      (!!rule.parameter && window.parameters.includes(rule.parameter))
+    );
+  }
+
+  /**
+   * The window applying to a rule in a room
+   * Where windows overlap, suppressing wins over downgrading.
+   * @param {string} roomId
+   * @param {object} rule
+   * @param {Date} [at]
+   * @returns {object|null}
+   */
+  findWindow(roomId, rule, at = new Date()) {
+    const iso = new Date(at).toISOString();
+    const active = this.windows.filter((window) =>
+      this.covers(window, roomId, rule, iso)
+    );
+    return (
+      active.find((window) => window.action === MAINTENANCE_ACTIONS.SUPPRESS) ||
+      active[0] ||
+      null
+    );
+  }
+
+  /**
+   * Windows that have not ended, soonest first
+   * @param {object} [filters] - { roomId, at }
+   * @returns {array}
+   */
+  getWindows({ roomId, at = new Date() } = {}) {
+    const iso = new Date(at).toISOString();
+    return this.windows
+      .filter(
+        (window) => window.to > iso && (!roomId || window.roomId === roomId)
+      )
+      .sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  toJSON() {
+    return this.windows;
+  }
+}
+
+// Singleton instance
+const maintenanceSchedule = new MaintenanceSchedule();
+
+export default maintenanceSchedule;
+export {
+  MaintenanceSchedule,
+  MAINTENANCE_ACTIONS,
+  createLocalMaintenanceStorage,
+  createMemoryMaintenanceStorage,
+};
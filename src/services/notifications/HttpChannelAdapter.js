@@ -0,0 +1,69 @@
+/**
+ * HTTP Channel Adapter
+ * Base for adapters that hand notifications to a gateway over HTTP. The
+ * browser cannot hold SMTP, SMS or VAPID credentials safely, so each
+ * endpoint is expected to be a relay the site runs server-side. Subclasses
+ * only describe the request body for their channel.
+ *
+ * An adapter is { channel, send(notification) } where send resolves to
+ * { messageId } and throws on failure; errors marked retryable: false are
+ * not retried by the dispatcher.
+ */
+
+export class HttpChannelAdapter {
+  /**
+   * @param {string} channel - CHANNELS value the adapter delivers
+   * @param {object} config - { endpoint, apiKey }
+   * @param {object} [deps] - { fetch }
+   */
+  constructor(channel, config = {}, deps = {}) {
+    if (!config.endpoint) {
+      throw new Error(`An endpoint is required for the ${channel} channel`);
+    }
+    this.channel = channel;
+    this.config = config;
+    this.fetch = deps.fetch || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Body to post for a notification
+   * @param {object} notification - { alert, event, recipient, subject, text }
+   * @returns {object}
+   */
+  buildRequest() {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  /**
+   * Post a notification to the gateway
+   * @param {object} notification
+   * @returns {Promise<object>} - { messageId }
+   */
+  async send(notification) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await this.fetch(this.config.endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(this.buildRequest(notification)),
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        `${this.channel} gateway responded with ${response.status}`
+      );
+      error.status = response.status;
+      // Rejected requests fail the same way on every attempt
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { messageId: result.messageId || result.id || null };
+  }
+}
+
+export default HttpChannelAdapter;
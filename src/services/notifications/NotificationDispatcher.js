@@ -0,0 +1,382 @@
+/**
+ * Notification Dispatcher
+ *
+ * Delivers alertEngine alerts to the channels their rules list. The UI
+ * channel is served by alertEngine subscribers; every other channel goes
+ * through a swappable adapter. Each channel has its own retry policy and
+ * rate limit, and every delivery attempt ends in a receipt.
+ *
+ * New, escalated and unshelved alerts go to all of the alert's channels.
+ * Once an alert is acknowledged, shelved or resolved only ALARM is told, so
+ * the relay switches off.
+ * Besides each channel's fixed recipients, the on-call members the alert's
+ * escalation is paging are reached at their contact for the channel.
+ */
+
+import alertEngine, { CHANNELS } from "../alertEngine";
+import { calculateBackoff } from "../sensorIngestion";
+
+// Outcome of a delivery
+const RECEIPT_STATUS = {
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  RATE_LIMITED: "rate_limited",
+};
+
+// Retry and rate limit defaults; rateLimit is { max, window } or null
+const DEFAULT_POLICY = {
+  attempts: 3,
+  initialDelay: 2000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2,
+  rateLimit: { max: 20, window: 60 * 1000 },
+};
+
+const CHANNEL_POLICIES = {
+  [CHANNELS.EMAIL]: {},
+  [CHANNELS.SMS]: { rateLimit: { max: 5, window: 60 * 1000 } },
+  [CHANNELS.PUSH]: { rateLimit: { max: 30, window: 60 * 1000 } },
+  // Alarm relays are never throttled and are retried harder
+  [CHANNELS.ALARM]: { attempts: 5, initialDelay: 500, rateLimit: null },
+};
+
+const ALERT_EVENTS = ["new", "escalated", "unshelved"];
+const CLEAR_EVENTS = ["acknowledged", "shelved", "resolved"];
+const EVENT_PREFIXES = { escalated: "ESCALATED ", unshelved: "UNSHELVED " };
+const MAX_RECEIPTS = 1000;
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Subject and text for an alert event
+ * @param {object} alert
+ * @param {string} event
+ * @returns {object} - { subject, text }
+ */
+function formatNotification(alert, event) {
+  const prefix = EVENT_PREFIXES[event] || "";
+  const state = CLEAR_EVENTS.includes(event) ? ` (${event})` : "";
+  const subject = `${prefix}[${String(alert.severity).toUpperCase()}] ${
+    alert.roomName || alert.roomId
+  }: ${alert.message}${state}`;
+
+  const lines = [
+    alert.message,
+    "",
+    `Room: ${alert.roomName || alert.roomId}`,
+    `Severity: ${alert.severity}`,
+    `Raised: ${alert.timestamp}`,
+  ];
+  if (alert.actions?.length) {
+    lines.push(`Actions: ${alert.actions.join(", ")}`);
+  }
+  if (event === "escalated" && alert.escalationActions?.length) {
+    lines.push(`Escalation: ${alert.escalationActions.join(", ")}`);
+  }
+  return { subject, text: lines.join("\n") };
+}
+
+/**
+ * NotificationDispatcher class
+ */
+class NotificationDispatcher {
+  /**
+   * @param {object} [options] - { adapters, recipients, policies, resolveRecipients }
+   *   recipients maps channels to addresses, numbers, push subscriptions or
+   *   relay outputs; resolveRecipients(channel, alert) replaces the lookup
+   * @param {object} [deps] - { sleep, now }
+   */
+  constructor(options = {}, deps = {}) {
+    this.adapters = new Map();
+    this.recipients = { ...(options.recipients || {}) };
+    this.policies = options.policies || {};
+    this.resolveRecipients =
+      options.resolveRecipients ||
+      ((channel, alert) => this.getRecipients(channel, alert));
+    this.sleep = deps.sleep || defaultSleep;
+    this.now = deps.now || (() => Date.now());
+    this.sentAt = new Map(); // channel -> send times inside the rate window
+    this.receipts = [];
+    this.subscribers = new Set();
+    (options.adapters || []).forEach((adapter) =>
+      this.registerAdapter(adapter)
+    );
+  }
+
+  /**
+   * Add or replace the adapter for a channel
+   * @param {object} adapter - { channel, send(notification) }
+   */
+  registerAdapter(adapter) {
+    if (adapter.channel === CHANNELS.UI) {
+      throw new Error("The UI channel is served by alertEngine subscribers");
+    }
+    this.adapters.set(adapter.channel, adapter);
+  }
+
+  getAdapter(channel) {
+    return this.adapters.get(channel) || null;
+  }
+
+  /**
+   * Set who a channel notifies
+   * @param {string} channel
+   * @param {array} recipients
+   */
+  setRecipients(channel, recipients) {
+    this.recipients[channel] = [...recipients];
+  }
+
+  /**
+   * Fixed recipients of a channel plus the on-call members being paged
+   * @param {string} channel
+   * @param {object} alert
+   * @returns {array}
+   */
+  getRecipients(channel, alert) {
+    const onCall = (alert.escalation?.current?.members || [])
+      .map((member) => member.contacts?.[channel])
+      .filter(Boolean);
+    const seen = new Set();
+    return [...(this.recipients[channel] || []), ...onCall].filter(
+      (recipient) => {
+        const key = JSON.stringify(recipient);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }
+    );
+  }
+
+  /**
+   * Add a recipient to a channel, e.g. a device's push subscription
+   * @param {string} channel
+   * @param {string|object} recipient
+   */
+  addRecipient(channel, recipient) {
+    const current = this.recipients[channel] || [];
+    const key = JSON.stringify(recipient);
+    if (!current.some((existing) => JSON.stringify(existing) === key)) {
+      this.recipients[channel] = [...current, recipient];
+    }
+  }
+
+  /**
+   * Retry and rate limit policy for a channel
+   * @param {string} channel
+   * @returns {object}
+   */
+  getPolicy(channel) {
+    return {
+      ...DEFAULT_POLICY,
+      ...CHANNEL_POLICIES[channel],
+      ...this.policies[channel],
+    };
+  }
+
+  /**
+   * Dispatch alertEngine events as they happen
+   * @param {object} [engine]
+   * @returns {function} - Detach
+   */
+  attach(engine = alertEngine) {
+    return engine.subscribe(({ type, alert }) => {
+      this.dispatch(alert, type).catch((error) =>
+        console.error("Notification dispatch failed:", error)
+      );
+    });
+  }
+
+  /**
+   * Deliver an alert event to its channels
+   * Channels are served in parallel, recipients of a channel in turn.
+   * @param {object} alert
+   * @param {string} [event] - new, escalated, unshelved, acknowledged, shelved
+   *   or resolved
+   * @returns {Promise<array>} - Receipts
+   */
+  async dispatch(alert, event = "new") {
+    let channels = [];
+    if (ALERT_EVENTS.includes(event)) {
+      channels = alert.channels || [];
+    } else if (
+      CLEAR_EVENTS.includes(event) &&
+      alert.channels?.includes(CHANNELS.ALARM)
+    ) {
+      channels = [CHANNELS.ALARM];
+    }
+
+    const { subject, text } = formatNotification(alert, event);
+    const perChannel = await Promise.all(
+      channels
+        .filter((channel) => this.adapters.has(channel))
+        .map(async (channel) => {
+          const receipts = [];
+          for (const recipient of this.resolveRecipients(channel, alert)) {
+            receipts.push(
+              await this.deliver(channel, {
+                alert,
+                event,
+                recipient,
+                subject,
+                text,
+              })
+            );
+          }
+          return receipts;
+        })
+    );
+    return perChannel.flat();
+  }
+
+  /**
+   * Send one notification, retrying with backoff
+   * @param {string} channel
+   * @param {object} notification - { alert, event, recipient, subject, text }
+   * @returns {Promise<object>} - Receipt
+   */
+  async deliver(channel, notification) {
+    const policy = this.getPolicy(channel);
+    const receipt = {
+      id: `rcpt-${this.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      alertId: notification.alert.id,
+      event: notification.event,
+      channel,
+      recipient: notification.recipient,
+      attempts: 0,
+      messageId: null,
+      error: null,
+    };
+
+    if (!this.takeRateLimitSlot(channel, policy.rateLimit)) {
+      return this.recordReceipt({
+        ...receipt,
+        status: RECEIPT_STATUS.RATE_LIMITED,
+      });
+    }
+
+    const adapter = this.adapters.get(channel);
+    for (;;) {
+      receipt.attempts++;
+      try {
+        const { messageId } = await adapter.send(notification);
+        return this.recordReceipt({
+          ...receipt,
+          status: RECEIPT_STATUS.DELIVERED,
+          messageId: messageId || null,
+        });
+      } catch (error) {
+        receipt.error = error.message;
+        if (error.retryable === false || receipt.attempts >= policy.attempts) {
+          return this.recordReceipt({
+            ...receipt,
+            status: RECEIPT_STATUS.FAILED,
+          });
+        }
+        await this.sleep(calculateBackoff(receipt.attempts - 1, policy));
+      }
+    }
+  }
+
+  /**
+   * Count a send against the channel's rate limit
+   * @param {string} channel
+   * @param {object|null} rateLimit - { max, window }
+   * @returns {boolean} - false when the channel is at its limit
+   */
+  takeRateLimitSlot(channel, rateLimit) {
+    if (!rateLimit) return true;
+
+    const now = this.now();
+    const recent = (this.sentAt.get(channel) || []).filter(
+      (time) => now - time < rateLimit.window
+    );
+    if (recent.length >= rateLimit.max) {
+      this.sentAt.set(channel, recent);
+      return false;
+    }
+    recent.push(now);
+    this.sentAt.set(channel, recent);
+    return true;
+  }
+
+  recordReceipt(receipt) {
+    const recorded = {
+      ...receipt,
+      timestamp: new Date(this.now()).toISOString(),
+    };
+    this.receipts.unshift(recorded);
+    if (this.receipts.length > MAX_RECEIPTS) {
+      this.receipts = this.receipts.slice(0, MAX_RECEIPTS);
+    }
+    if (recorded.status !== RECEIPT_STATUS.DELIVERED) {
+      console.warn(
+        `Notification ${recorded.status} on ${recorded.channel} for alert ${recorded.alertId}`,
+        recorded.error || ""
+      );
+    }
+    this.notifySubscribers("receipt", recorded);
+    return recorded;
+  }
+
+  /**
+   * Delivery receipts, newest first
+   * @param {object} [filters] - { alertId, channel, status }
+   * @returns {array}
+   */
+  getReceipts(filters = {}) {
+    return this.receipts.filter(
+      (receipt) =>
+        (!filters.alertId || receipt.alertId === filters.alertId) &&
+        (!filters.channel || receipt.channel === filters.channel) &&
+        (!filters.status || receipt.status === filters.status)
+    );
+  }
+
+  /**
+   * Receipt counts per channel and status
+   * @returns {object}
+   */
+  getStats() {
+    const stats = {};
+    this.receipts.forEach(({ channel, status }) => {
+      stats[channel] = stats[channel] || {
+        [RECEIPT_STATUS.DELIVERED]: 0,
+        [RECEIPT_STATUS.FAILED]: 0,
+        [RECEIPT_STATUS.RATE_LIMITED]: 0,
+      };
+      stats[channel][status]++;
+    });
+    return stats;
+  }
+
+  /**
+   * Subscribe to delivery receipts
+   * @param {function} callback - (event, receipt)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in notification subscriber:", error);
+      }
+    });
+  }
+}
+
+export default NotificationDispatcher;
+export {
+  NotificationDispatcher,
+  RECEIPT_STATUS,
+  DEFAULT_POLICY,
+  CHANNEL_POLICIES,
+  formatNotification,
+};
@@ -0,0 +1,101 @@
+/**
+ * Notification Channel Adapters
+ * Gateways for the alertEngine EMAIL, SMS, PUSH and ALARM channels.
+ */
+
+import { CHANNELS } from "../alertEngine";
+import { HttpChannelAdapter } from "./HttpChannelAdapter";
+
+const SMS_LENGTH = 160;
+
+/**
+ * Email through an SMTP relay
+ * Posts { from, to, subject, text } for the relay to send over SMTP.
+ */
+export class SmtpEmailAdapter extends HttpChannelAdapter {
+  /**
+   * @param {object} config - { endpoint, from, apiKey }
+   * @param {object} [deps] - { fetch }
+   */
+  constructor(config, deps) {
+    super(CHANNELS.EMAIL, config, deps);
+  }
+
+  buildRequest({ recipient, subject, text }) {
+    return { from: this.config.from, to: recipient, subject, text };
+  }
+}
+
+/**
+ * Text message through an SMS gateway
+ * Messages are cut to a single SMS.
+ */
+export class SmsGatewayAdapter extends HttpChannelAdapter {
+  /**
+   * @param {object} config - { endpoint, sender, apiKey }
+   * @param {object} [deps] - { fetch }
+   */
+  constructor(config, deps) {
+    super(CHANNELS.SMS, config, deps);
+  }
+
+  buildRequest({ recipient, subject }) {
+    return {
+      from: this.config.sender,
+      to: recipient,
+      text: subject.slice(0, SMS_LENGTH),
+    };
+  }
+}
+
+/**
+ * Web Push through a push relay
+ * Recipients are PushSubscription JSON; the relay signs the request to the
+ * push service with the site's VAPID key.
+ */
+export class WebPushAdapter extends HttpChannelAdapter {
+  /**
+   * @param {object} config - { endpoint, ttl, apiKey }
+   * @param {object} [deps] - { fetch }
+   */
+  constructor(config, deps) {
+    super(CHANNELS.PUSH, { ttl: 60 * 60, ...config }, deps);
+  }
+
+  buildRequest({ alert, recipient, subject, text }) {
+    return {
+      subscription: recipient,
+      ttl: this.config.ttl,
+      urgency: alert.severity === "critical" ? "high" : "normal",
+      payload: {
+        title: subject,
+        body: text,
+        tag: alert.id,
+        data: { alertId: alert.id, roomId: alert.roomId },
+      },
+    };
+  }
+}
+
+/**
+ * Alarm relay output, e.g. a beacon or sounder on a network relay module
+ * The output is switched on for new and escalated alerts and off once the
+ * alert is acknowledged or resolved.
+ */
+export class RelayOutputAdapter extends HttpChannelAdapter {
+  /**
+   * @param {object} config - { endpoint, apiKey }
+   * @param {object} [deps] - { fetch }
+   */
+  constructor(config, deps) {
+    super(CHANNELS.ALARM, config, deps);
+  }
+
+  buildRequest({ alert, event, recipient }) {
+    return {
+      output: recipient,
+      state: event === "new" || event === "escalated" ? "on" : "off",
+      alertId: alert.id,
+    };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Notification Services Index
+ * Builds the app's notificationDispatcher from the environment. Each
+ * endpoint should be a server-side relay holding the provider credentials;
+ * channels without one are not dispatched.
+ *   REACT_APP_EMAIL_RELAY_URL / REACT_APP_EMAIL_FROM / REACT_APP_ALERT_EMAILS
+ *   REACT_APP_SMS_GATEWAY_URL / REACT_APP_SMS_SENDER / REACT_APP_ALERT_PHONES
+ *   REACT_APP_PUSH_RELAY_URL  - subscriptions are added with addRecipient()
+ *   REACT_APP_ALARM_RELAY_URL / REACT_APP_ALARM_OUTPUTS
+ */
+
+import { CHANNELS } from "../alertEngine";
+import { NotificationDispatcher } from "./NotificationDispatcher";
+import {
+  SmtpEmailAdapter,
+  SmsGatewayAdapter,
+  WebPushAdapter,
+  RelayOutputAdapter,
+} from "./adapters";
+
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const env = process.env;
+const adapters = [];
+if (env.REACT_APP_EMAIL_RELAY_URL) {
+  adapters.push(
+    new SmtpEmailAdapter({
+      endpoint: env.REACT_APP_EMAIL_RELAY_URL,
+      from: env.REACT_APP_EMAIL_FROM,
+    })
+  );
+}
+if (env.REACT_APP_SMS_GATEWAY_URL) {
+  adapters.push(
+    new SmsGatewayAdapter({
+      endpoint: env.REACT_APP_SMS_GATEWAY_URL,
+      sender: env.REACT_APP_SMS_SENDER,
+    })
+  );
+}
+if (env.REACT_APP_PUSH_RELAY_URL) {
+  adapters.push(new WebPushAdapter({ endpoint: env.REACT_APP_PUSH_RELAY_URL }));
+}
+if (env.REACT_APP_ALARM_RELAY_URL) {
+  adapters.push(
+    new RelayOutputAdapter({ endpoint: env.REACT_APP_ALARM_RELAY_URL })
+  );
+}
+
+export const notificationDispatcher = new NotificationDispatcher({
+  adapters,
+  recipients: {
+    [CHANNELS.EMAIL]: list(env.REACT_APP_ALERT_EMAILS),
+    [CHANNELS.SMS]: list(env.REACT_APP_ALERT_PHONES),
+    [CHANNELS.PUSH]: [],
+    [CHANNELS.ALARM]: list(env.REACT_APP_ALARM_OUTPUTS),
+  },
+});
+
+export {
+  NotificationDispatcher,
+  RECEIPT_STATUS,
+  DEFAULT_POLICY,
+  CHANNEL_POLICIES,
+  formatNotification,
+} from "./NotificationDispatcher";
+export { HttpChannelAdapter } from "./HttpChannelAdapter";
+export {
+  SmtpEmailAdapter,
+  SmsGatewayAdapter,
+  WebPushAdapter,
+  RelayOutputAdapter,
+} from "./adapters";
+export { createLocalAdapter, createLocalGateway } from "./localAdapters";
+
+export default notificationDispatcher;
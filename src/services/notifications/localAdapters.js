@@ -0,0 +1,60 @@
+/**
+ * Local Channel Adapters
+ * In-process stand-ins for the notification gateways, for tests and local
+ * development. Each records what it was sent and can be told to fail.
+ */
+
+/**
+ * Create a local adapter for a channel
+ * @param {string} channel
+ * @param {object} [options] - { failures, retryable }
+ *   failures: number of sends to fail before succeeding (Infinity: always)
+ * @returns {object} - Adapter with sent and attempts arrays
+ */
+export function createLocalAdapter(
+  channel,
+  { failures = 0, retryable = true } = {}
+) {
+  const adapter = {
+    channel,
+    sent: [],
+    attempts: [],
+    failures,
+
+    async send(notification) {
+      adapter.attempts.push(notification);
+      if (adapter.failures > 0) {
+        adapter.failures--;
+        const error = new Error(`Local ${channel} gateway unavailable`);
+        error.retryable = retryable;
+        throw error;
+      }
+      const messageId = `${channel}-${adapter.sent.length + 1}`;
+      adapter.sent.push({ ...notification, messageId });
+      return { messageId };
+    },
+  };
+  return adapter;
+}
+
+/**
+ * fetch() stand-in recording requests to HTTP gateways
+ * @param {function} [respond] - (url, body) => { status, body }
+ * @returns {function} - fetch with a requests array
+ */
+export function createLocalGateway(
+  respond = () => ({ status: 202, body: { id: "msg-1" } })
+) {
+  const gateway = async (url, init) => {
+    const body = JSON.parse(init.body);
+    gateway.requests.push({ url, headers: init.headers, body });
+    const response = respond(url, body);
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      json: async () => response.body || {},
+    };
+  };
+  gateway.requests = [];
+  return gateway;
+}
@@ -0,0 +1,317 @@
+/**
+ * On-Call Roster Service
+ *
+ * Who is on call for each securityModule role at a given time. Weekly
+ * shifts cover ordinary days; on site holidays only holiday shifts apply.
+ * Overrides (cover, swaps) replace the shift rota for their role while
+ * they are active. Times are the site's local time. The roster is stored
+ * so it survives a reload; updateRoster() replaces and stores it.
+ */
+
+import securityModule, { ROLES } from "../modules/securityModule";
+
+const STORAGE_KEY = "pharma-monitor-on-call-roster";
+
+const DAY_MINUTES = 24 * 60;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// "HH:MM" to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes = 0] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local calendar date as YYYY-MM-DD
+const dateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+const assertRole = (role) => {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+};
+
+/**
+ * Roster storage in localStorage, or memory where it is unavailable
+ * @param {string} [key]
+ * @returns {object} - { load(), save(data) }
+ */
+function createLocalRosterStorage(key = STORAGE_KEY) {
+  if (typeof localStorage === "undefined") {
+    return createMemoryRosterStorage();
+  }
+  return {
+    load: async () => JSON.parse(localStorage.getItem(key) || "null"),
+    save: async (data) => localStorage.setItem(key, JSON.stringify(data)),
+  };
+}
+
+/**
+ * Roster storage held in memory, for tests and browsers without storage
+ * @returns {object} - { load(), save(data) }
+ */
+function createMemoryRosterStorage() {
+  let stored = null;
+  return {
+    load: async () => stored && JSON.parse(stored),
+    save: async (data) => {
+      stored = JSON.stringify(data);
+    },
+  };
+}
+
+/**
+ * OnCallRoster class
+ */
+class OnCallRoster {
+  /**
+   * @param {object} [config] - { members, shifts, holidays, overrides }
+   * @param {object} [deps] - { storage, security }
+   */
+  constructor(config = {}, deps = {}) {
+    this.members = new Map();
+    this.shifts = [];
+    this.holidays = new Map();
+    this.overrides = [];
+    this.storage = deps.storage || createLocalRosterStorage();
+    this.security = deps.security || securityModule;
+    this.subscribers = new Set();
+    this.load(config);
+  }
+
+  /**
+   * Load the stored roster, if one has been saved
+   * @returns {Promise<object>} - The roster
+   */
+  async restore() {
+    const data = await this.storage.load();
+    if (data) {
+      this.load(data);
+    }
+    this.notifySubscribers("loaded", this.toJSON());
+    return this.toJSON();
+  }
+
+  /**
+   * Replace the roster and store it
+   * The config is checked on a scratch roster first, so one with an
+   * unknown role or member leaves the current roster in place.
+   * @param {object} config - { members, shifts, holidays, overrides }
+   * @returns {Promise<object>} - The roster
+   */
+  async updateRoster(config) {
+    const checked = new OnCallRoster(config, {
+      storage: createMemoryRosterStorage(),
+      security: this.security,
+    }).toJSON();
+    this.load(checked);
+    await this.storage.save(checked);
+
+    this.security.logAudit("ON_CALL_ROSTER_UPDATED", "on-call-roster", {
+      members: checked.members.length,
+      shifts: checked.shifts.length,
+      holidays: checked.holidays.length,
+      overrides: checked.overrides.length,
+    });
+    this.notifySubscribers("updated", checked);
+    return checked;
+  }
+
+  /**
+   * Replace the roster
+   * @param {object} config - { members, shifts, holidays, overrides }
+   */
+  load({ members = [], shifts = [], holidays = [], overrides = [] } = {}) {
+    this.members.clear();
+    this.shifts = [];
+    this.holidays.clear();
+    this.overrides = [];
+    members.forEach((member) => this.addMember(member));
+    shifts.forEach((shift) => this.addShift(shift));
+    holidays.forEach((holiday) => this.addHoliday(holiday));
+    overrides.forEach((override) => this.addOverride(override));
+  }
+
+  /**
+   * Add or replace a member
+   * @param {object} member - { id, name, role, contacts: { email, sms, push } }
+   */
+  addMember(member) {
+    assertRole(member.role);
+    this.members.set(member.id, { contacts: {}, ...member });
+  }
+
+  getMember(id) {
+    const member = this.members.get(id);
+    if (!member) {
+      throw new Error(`Unknown roster member: ${id}`);
+    }
+    return member;
+  }
+
+  /**
+   * Add a weekly shift
+   * A shift whose end is not after its start runs past midnight.
+   * @param {object} shift - { id, memberId, role, days, start, end, holiday }
+   *   role defaults to the member's; holiday shifts run only on holidays
+   * @returns {object} - The shift
+   */
+  addShift({
+    id,
+    memberId,
+    role,
+    days = ALL_DAYS,
+    start = "00:00",
+    end = "24:00",
+    holiday = false,
+  }) {
+    const member = this.getMember(memberId);
+    const shift = {
+      id: id || `shift-${this.shifts.length + 1}`,
+      memberId,
+      role: role || member.role,
+      days,
+      start,
+      end,
+      holiday,
+    };
+    assertRole(shift.role);
+    this.shifts.push(shift);
+    return shift;
+  }
+
+  /**
+   * Mark a site holiday
+   * @param {object} holiday - { date: "YYYY-MM-DD", name }
+   */
+  addHoliday({ date, name = "Holiday" }) {
+    this.holidays.set(date, name);
+  }
+
+  isHoliday(date) {
+    return this.holidays.has(dateKey(date));
+  }
+
+  /**
+   * Put a member on call for a role over a period, in place of the rota
+   * @param {object} override - { id, memberId, role, from, to, reason }
+   * @returns {object} - The override
+   */
+  addOverride({ id, memberId, role, from, to, reason = "" }) {
+    const member = this.getMember(memberId);
+    const override = {
+      id: id || `override-${this.overrides.length + 1}`,
+      memberId,
+      role: role || member.role,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      reason,
+    };
+    assertRole(override.role);
+    if (override.to <= override.from) {
+      throw new Error("An override must end after it starts");
+    }
+    this.overrides.push(override);
+    return override;
+  }
+
+  removeOverride(id) {
+    this.overrides = this.overrides.filter((override) => override.id !== id);
+  }
+
+  /**
+   * Whether a shift covers a moment
+   * @param {object} shift
+   * @param {Date} at
+   * @returns {boolean}
+   */
+  shiftCovers(shift, at) {
+    const start = toMinutes(shift.start);
+    const end = toMinutes(shift.end);
+    const minutes = at.getHours() * 60 + at.getMinutes();
+
+    // The part of the shift running on this calendar day, and the part
+    // carried over from a shift that started the day before
+    const runsOn = (date) =>
+      shift.days.includes(date.getDay()) &&
+      this.isHoliday(date) === shift.holiday;
+
+    if (end > start) {
+      return runsOn(at) && minutes >= start && minutes < end;
+    }
+    const previousDay = new Date(at);
+    previousDay.setDate(previousDay.getDate() - 1);
+    return (
+      (runsOn(at) && minutes >= start && minutes < DAY_MINUTES) ||
+      (runsOn(previousDay) && minutes < end)
+    );
+  }
+
+  /**
+   * Members on call for a role
+   * @param {string} role - ROLES key
+   * @param {Date} [at]
+   * @returns {array} - Members
+   */
+  getOnCall(role, at = new Date()) {
+    const when = new Date(at);
+    const iso = when.toISOString();
+
+    const overrides = this.overrides.filter(
+      (override) =>
+        override.role === role && override.from <= iso && iso < override.to
+    );
+    const memberIds = overrides.length
+      ? overrides.map((override) => override.memberId)
+      : this.shifts
+          .filter(
+            (shift) => shift.role === role && this.shiftCovers(shift, when)
+          )
+          .map((shift) => shift.memberId);
+
+    return [...new Set(memberIds)].map((id) => this.members.get(id));
+  }
+
+  toJSON() {
+    return {
+      members: [...this.members.values()],
+      shifts: this.shifts,
+      holidays: [...this.holidays].map(([date, name]) => ({ date, name })),
+      overrides: this.overrides,
+    };
+  }
+
+  /**
+   * Subscribe to roster changes
+   * @param {function} callback - (event, roster)
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in on-call roster subscriber:", error);
+      }
+    });
+  }
+}
+
+// Singleton instance
+const onCallRoster = new OnCallRoster();
+
+export default onCallRoster;
+export {
+  OnCallRoster,
+  dateKey,
+  createLocalRosterStorage,
+  createMemoryRosterStorage,
+};
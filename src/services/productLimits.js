@@ -0,0 +1,143 @@
+import { MEDICINE_DATABASE } from "../utils/constants";
+import inventoryModule, { LOT_STATUS } from "../modules/inventoryModule";
+
+/**
+ * Product-specific limits
+ *
+ * Effective room temperature limits are the strictest overlap of the room's
+ * configured range and the storage specification of every product stored
+ * in it, taken from the inventory lots in the room. Products whose ranges
+ * cannot overlap are reported as conflicts.
+ */
+
+const TEMPERATURE = "-?\\d+(?:\\.\\d+)?";
+const RANGE_PATTERN = new RegExp(`^(${TEMPERATURE})°C to (${TEMPERATURE})°C$`);
+const BELOW_PATTERN = new RegExp(`^(${TEMPERATURE})°C or below$`);
+const ABOVE_PATTERN = new RegExp(`^(${TEMPERATURE})°C or above$`);
+
+/**
+ * Parse a storage temperature specification such as "2°C to 8°C"
+ * @param {string} storageTemp - Range, "X°C or below" or "X°C or above"
+ * @returns {Object|null} { min, max }, open ends are ±Infinity
+ */
+export const parseStorageTemp = (storageTemp) => {
+  const spec = (storageTemp || "").trim();
+  let match = spec.match(RANGE_PATTERN);
+  if (match) return { min: parseFloat(match[1]), max: parseFloat(match[2]) };
+
+  match = spec.match(BELOW_PATTERN);
+  if (match) return { min: -Infinity, max: parseFloat(match[1]) };
+
+  match = spec.match(ABOVE_PATTERN);
+  if (match) return { min: parseFloat(match[1]), max: Infinity };
+
+  return null;
+};
+
+/**
+ * Format a range for messages
+ * @param {Object} range - { min, max }
+ * @returns {string}
+ */
+const formatRange = ({ min, max }) => {
+  if (min === -Infinity) return `≤${max}°C`;
+  if (max === Infinity) return `≥${min}°C`;
+  return `${min}°C to ${max}°C`;
+};
+
+/**
+ * Derive a room's temperature limits from the products stored in it
+ * @param {Object} configured - Room's own { min, max }
+ * @param {Array} productKeys - MEDICINE_DATABASE keys of stored products
+ * @returns {Object} { min, max, source, products, conflicts }
+ */
+export const deriveProductLimits = (configured, productKeys = []) => {
+  const products = [...new Set(productKeys)]
+    .map((key) => {
+      const range = parseStorageTemp(MEDICINE_DATABASE[key]?.storageTemp);
+      return range && { key, name: MEDICINE_DATABASE[key].name, ...range };
+    })
+    .filter(Boolean);
+
+  const ranges = [
+    { key: "room", name: "Room limits", ...configured },
+    ...products,
+  ];
+
+  // Every pair whose ranges do not touch
+  const conflicts = [];
+  ranges.forEach((a, i) => {
+    ranges.slice(i + 1).forEach((b) => {
+      if (a.max < b.min || b.max < a.min) {
+        conflicts.push({
+          products: [a.key, b.key],
+          message: `${a.name} (${formatRange(a)}) and ${b.name} (${formatRange(
+            b
+          )}) cannot share a room`,
+        });
+      }
+    });
+  });
+
+  if (products.length === 0 || conflicts.length > 0) {
+    return { ...configured, source: "room", products, conflicts };
+  }
+
+  return {
+    min: Math.max(...ranges.map((range) => range.min)),
+    max: Math.min(...ranges.map((range) => range.max)),
+    source: "products",
+    products,
+    conflicts,
+  };
+};
+
+/**
+ * MEDICINE_DATABASE keys of the lots stored in a room
+ * Depleted lots have left the room; quarantined ones are still in it.
+ * @param {string} roomId
+ * @param {Object} inventory - inventoryModule
+ * @returns {Array}
+ */
+const getStoredProductKeys = (roomId, inventory) =>
+  inventory
+    .getLots(roomId)
+    .filter((lot) => lot.status !== LOT_STATUS.DEPLETED)
+    .map((lot) => lot.medicineKey);
+
+/**
+ * Apply product-derived temperature limits to a room
+ * The configured limits are kept as configuredMin/configuredMax, so the
+ * room can be derived again when its lots change.
+ * @param {Object} room - Room data with conditions
+ * @param {Object} [inventory] - inventoryModule holding the room's lots
+ * @returns {Object} Room with effective limits and productLimits
+ */
+export const applyProductLimits = (room, inventory = inventoryModule) => {
+  const temperature = room?.conditions?.temperature;
+  if (!temperature) return room;
+
+  const configured = {
+    min: temperature.configuredMin ?? temperature.min,
+    max: temperature.configuredMax ?? temperature.max,
+  };
+  const productLimits = deriveProductLimits(
+    configured,
+    getStoredProductKeys(room.id, inventory)
+  );
+
+  return {
+    ...room,
+    conditions: {
+      ...room.conditions,
+      temperature: {
+        ...temperature,
+        min: productLimits.min,
+        max: productLimits.max,
+        configuredMin: configured.min,
+        configuredMax: configured.max,
+      },
+    },
+    productLimits,
+  };
+};
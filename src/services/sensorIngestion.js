@@ -0,0 +1,790 @@
+/**
+ * Sensor Ingestion Service
+ *
+ * Live-mode ingestion for WebSocket and MQTT-over-WebSocket sensor feeds.
+ * Maps device topics to room IDs, checks payloads against the reading
+ * schema and reconnects with exponential backoff, except after a broker
+ * has refused the connection.
+ */
+
+import { INITIAL_ROOMS } from "../utils/constants";
+
+// Supported feed protocols
+const FEED_PROTOCOLS = {
+  WEBSOCKET: "websocket",
+  MQTT: "mqtt",
+};
+
+// Connection lifecycle states
+const CONNECTION_STATES = {
+  DISCONNECTED: "disconnected",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed",
+};
+
+// Accepted parameters and their physically plausible ranges
+const READING_SCHEMA = {
+  temperature: { min: -200, max: 200, unit: "°C" },
+  humidity: { min: 0, max: 100, unit: "%" },
+  pressure: { min: 0, max: 200, unit: "kPa" },
+  pressureDifferential: { min: -500, max: 500, unit: "Pa" },
+};
+
+// Default topic layout: gmp/<roomId>/<anything>
+const DEFAULT_TOPIC_MAP = INITIAL_ROOMS.map((room) => ({
+  pattern: `gmp/${room.id}/#`,
+  roomId: room.id,
+}));
+
+// Reconnect backoff defaults
+const DEFAULT_RECONNECT = {
+  enabled: true,
+  initialDelay: 1000,
+  maxDelay: 60000,
+  factor: 2,
+  jitter: 0.2,
+  maxAttempts: Infinity,
+};
+
+// MQTT 3.1.1 control packet types
+const MQTT_PACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14,
+};
+
+// Why a broker refused the connection, by CONNACK return code
+const CONNACK_REFUSALS = {
+  1: "unacceptable protocol version",
+  2: "client identifier rejected",
+  3: "server unavailable",
+  4: "bad username or password",
+  5: "not authorized",
+};
+
+// ============================================
+// TOPIC MAPPING
+// ============================================
+
+/**
+ * Match an MQTT topic against a subscription pattern
+ * Supports the "+" (single level) and "#" (multi level) wildcards
+ * @param {string} pattern
+ * @param {string} topic
+ * @returns {boolean}
+ */
+export const matchTopic = (pattern, topic) => {
+  const patternLevels = pattern.split("/");
+  const topicLevels = topic.split("/");
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+    if (level === "#") return true;
+    if (i >= topicLevels.length) return false;
+    if (level === "+" || /^\{\w+\}$/.test(level)) continue;
+    if (level !== topicLevels[i]) return false;
+  }
+
+  return patternLevels.length === topicLevels.length;
+};
+
+/**
+ * Resolve the room ID for an incoming topic
+ * Entries either name a fixed roomId or capture it with a {roomId} level.
+ * @param {string} topic
+ * @param {Array} topicMap - [{ pattern, roomId? }]
+ * @returns {string|null}
+ */
+export const resolveRoomId = (topic, topicMap = DEFAULT_TOPIC_MAP) => {
+  if (!topic) return null;
+
+  for (const entry of topicMap) {
+    if (!matchTopic(entry.pattern, topic)) continue;
+    if (entry.roomId) return entry.roomId;
+
+    const patternLevels = entry.pattern.split("/");
+    const captureIndex = patternLevels.indexOf("{roomId}");
+    if (captureIndex !== -1) {
+      return topic.split("/")[captureIndex] || null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert a topic map pattern into an MQTT subscription filter
+ * @param {string} pattern
+ * @returns {string}
+ */
+export const toSubscriptionFilter = (pattern) =>
+  pattern.replace(/\{\w+\}/g, "+");
+
+// ============================================
+// PAYLOAD VALIDATION
+// ============================================
+
+/**
+ * Check a sensor payload against the reading schema and normalize it to
+ * the reading shape DataPipeline emits for simulated data.
+ *
+ * Accepted shapes:
+ *   { temperature: 5.1, humidity: 48, timestamp }
+ *   { readings: { temperature: { value: 5.1, accuracy: 0.98 } } }
+ *   { parameter: "temperature", value: 5.1 }
+ *
+ * @param {object} payload
+ * @returns {{ valid: boolean, readings: object, errors: string[] }}
+ */
+export const validateReadingPayload = (payload) => {
+  const errors = [];
+  const readings = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { valid: false, readings, errors: ["Payload must be an object"] };
+  }
+
+  const timestamp = payload.timestamp
+    ? new Date(payload.timestamp)
+    : new Date();
+  if (isNaN(timestamp.getTime())) {
+    errors.push(`Invalid timestamp: ${payload.timestamp}`);
+  }
+
+  let source = payload.readings || payload;
+  if (payload.parameter !== undefined) {
+    source = { [payload.parameter]: payload };
+  }
+
+  Object.entries(source).forEach(([parameter, raw]) => {
+    const spec = READING_SCHEMA[parameter];
+    if (!spec) return;
+
+    const value = typeof raw === "object" && raw !== null ? raw.value : raw;
+    const accuracy =
+      typeof raw === "object" && raw !== null && raw.accuracy !== undefined
+        ? raw.accuracy
+        : 1.0;
+
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${parameter}: value must be a finite number`);
+      return;
+    }
+    if (value < spec.min || value > spec.max) {
+      errors.push(
+        `${parameter}: ${value}${spec.unit} outside plausible range ${spec.min} to ${spec.max}`
+      );
+      return;
+    }
+    if (typeof accuracy !== "number" || accuracy < 0 || accuracy > 1) {
+      errors.push(`${parameter}: accuracy must be between 0 and 1`);
+      return;
+    }
+
+    readings[parameter] = {
+      value: Math.round(value * 100) / 100,
+      trueValue: Math.round(value * 100) / 100,
+      accuracy,
+      timestamp: isNaN(timestamp.getTime())
+        ? new Date().toISOString()
+        : timestamp.toISOString(),
+    };
+  });
+
+  if (Object.keys(readings).length === 0 && errors.length === 0) {
+    errors.push("Payload contains no recognised sensor parameters");
+  }
+
+  return {
+    valid: errors.length === 0 && Object.keys(readings).length > 0,
+    readings,
+    errors,
+  };
+};
+
+/**
+ * Calculate reconnect delay with exponential backoff and jitter
+ * @param {number} attempt - Zero-based attempt number
+ * @param {object} options
+ * @returns {number} Delay in milliseconds
+ */
+export const calculateBackoff = (attempt, options = {}) => {
+  const { initialDelay, maxDelay, factor, jitter } = {
+    ...DEFAULT_RECONNECT,
+    ...options,
+  };
+  const base = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+  const spread = base * jitter;
+  return Math.round(
+    Math.max(0, Math.min(maxDelay, base + (Math.random() * 2 - 1) * spread))
+  );
+};
+
+// ============================================
+// MQTT 3.1.1 PACKET CODEC
+// ============================================
+
+const textEncoder = () => new TextEncoder();
+
+const encodeRemainingLength = (length) => {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return bytes;
+};
+
+const encodeString = (str) => {
+  const bytes = textEncoder().encode(str);
+  return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+};
+
+const buildPacket = (header, body) =>
+  new Uint8Array([header, ...encodeRemainingLength(body.length), ...body]);
+
+/**
+ * Encode an MQTT CONNECT packet
+ * @param {string} clientId
+ * @param {object} options - { username, password, keepAlive, cleanSession }
+ * @returns {Uint8Array}
+ */
+export const encodeConnect = (clientId, options = {}) => {
+  const { username, password, keepAlive = 60, cleanSession = true } = options;
+
+  let flags = cleanSession ? 0x02 : 0;
+  if (username) flags |= 0x80;
+  if (password) flags |= 0x40;
+
+  const body = [
+    ...encodeString("MQTT"),
+    0x04, // protocol level 3.1.1
+    flags,
+    keepAlive >> 8,
+    keepAlive & 0xff,
+    ...encodeString(clientId),
+  ];
+  if (username) body.push(...encodeString(username));
+  if (password) body.push(...encodeString(password));
+
+  return buildPacket(MQTT_PACKET.CONNECT << 4, body);
+};
+
+/**
+ * Encode an MQTT SUBSCRIBE packet (QoS 0 for every filter)
+ * @param {number} packetId
+ * @param {string[]} filters
+ * @returns {Uint8Array}
+ */
+export const encodeSubscribe = (packetId, filters) => {
+  const body = [packetId >> 8, packetId & 0xff];
+  filters.forEach((filter) => {
+    body.push(...encodeString(filter), 0x00);
+  });
+  return buildPacket((MQTT_PACKET.SUBSCRIBE << 4) | 0x02, body);
+};
+
+/**
+ * Encode an MQTT PUBLISH packet (QoS 0)
+ * @param {string} topic
+ * @param {string} payload
+ * @returns {Uint8Array}
+ */
+export const encodePublish = (topic, payload) =>
+  buildPacket(MQTT_PACKET.PUBLISH << 4, [
+    ...encodeString(topic),
+    ...textEncoder().encode(payload),
+  ]);
+
+const encodePuback = (packetId) =>
+  buildPacket(MQTT_PACKET.PUBACK << 4, [packetId >> 8, packetId & 0xff]);
+
+const encodePingreq = () => new Uint8Array([MQTT_PACKET.PINGREQ << 4, 0]);
+
+const encodeDisconnect = () => new Uint8Array([MQTT_PACKET.DISCONNECT << 4, 0]);
+
+/**
+ * Decode the MQTT packets contained in a WebSocket frame
+ * @param {Uint8Array} bytes
+ * @returns {Array<object>} Decoded packets
+ */
+export const decodePackets = (bytes) => {
+  const packets = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const header = bytes[offset];
+    const type = header >> 4;
+    const flags = header & 0x0f;
+
+    let multiplier = 1;
+    let remaining = 0;
+    let byte;
+    let cursor = offset + 1;
+    do {
+      if (cursor >= bytes.length) return packets; // Incomplete frame
+      byte = bytes[cursor++];
+      remaining += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+
+    const body = bytes.subarray(cursor, cursor + remaining);
+    if (body.length < remaining) return packets;
+    offset = cursor + remaining;
+
+    const packet = { type, flags };
+
+    if (type === MQTT_PACKET.CONNACK) {
+      packet.returnCode = body[1];
+    } else if (type === MQTT_PACKET.PUBLISH) {
+      const qos = (flags >> 1) & 0x03;
+      const topicLength = (body[0] << 8) | body[1];
+      let position = 2 + topicLength;
+      packet.topic = new TextDecoder().decode(body.subarray(2, position));
+      packet.qos = qos;
+      if (qos > 0) {
+        packet.packetId = (body[position] << 8) | body[position + 1];
+        position += 2;
+      }
+      packet.payload = new TextDecoder().decode(body.subarray(position));
+    } else if (type === MQTT_PACKET.SUBACK) {
+      packet.packetId = (body[0] << 8) | body[1];
+      packet.grantedQos = Array.from(body.subarray(2));
+    }
+
+    packets.push(packet);
+  }
+
+  return packets;
+};
+
+// ============================================
+// INGESTION ADAPTER
+// ============================================
+
+/**
+ * SensorIngestionAdapter class for live sensor feeds
+ */
+class SensorIngestionAdapter {
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      protocol: FEED_PROTOCOLS.WEBSOCKET,
+      topicMap: DEFAULT_TOPIC_MAP,
+      deviceMap: {},
+      clientId: `gmp-dashboard-${Math.random().toString(36).substr(2, 8)}`,
+      username: null,
+      password: null,
+      keepAlive: 60,
+      WebSocketImpl: typeof WebSocket !== "undefined" ? WebSocket : undefined,
+      ...options,
+      reconnect: { ...DEFAULT_RECONNECT, ...(options.reconnect || {}) },
+    };
+
+    this.socket = null;
+    this.state = CONNECTION_STATES.DISCONNECTED;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.keepAliveTimer = null;
+    this.packetId = 0;
+    this.readingSubscribers = new Set();
+    this.stateSubscribers = new Set();
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      rejected: 0,
+      unmapped: 0,
+      lastMessageAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Open the feed. Resolves after the first connection attempt settles;
+   * a failed attempt keeps retrying in the background.
+   * @returns {Promise<string>} Connection state after the first attempt
+   */
+  connect() {
+    if (!this.options.url) {
+      return Promise.reject(new Error("Sensor feed URL is not configured"));
+    }
+    if (!this.options.WebSocketImpl) {
+      return Promise.reject(
+        new Error("WebSocket is not available in this environment")
+      );
+    }
+
+    this.closedByUser = false;
+    this.refused = false;
+
+    return new Promise((resolve) => {
+      const settle = () => {
+        unsubscribe();
+        resolve(this.state);
+      };
+      const unsubscribe = this.onStateChange((state) => {
+        if (
+          state === CONNECTION_STATES.CONNECTED ||
+          state === CONNECTION_STATES.RECONNECTING ||
+          state === CONNECTION_STATES.CLOSED
+        ) {
+          settle();
+        }
+      });
+      this.openSocket();
+    });
+  }
+
+  /**
+   * Create the underlying socket and wire its handlers
+   */
+  openSocket() {
+    const { url, protocol, WebSocketImpl } = this.options;
+    const isMqtt = protocol === FEED_PROTOCOLS.MQTT;
+
+    this.setState(
+      this.reconnectAttempts > 0
+        ? CONNECTION_STATES.RECONNECTING
+        : CONNECTION_STATES.CONNECTING
+    );
+
+    try {
+      this.socket = isMqtt
+        ? new WebSocketImpl(url, "mqtt")
+        : new WebSocketImpl(url);
+    } catch (error) {
+      this.handleClose(error);
+      return;
+    }
+
+    if (isMqtt) {
+      this.socket.binaryType = "arraybuffer";
+    }
+
+    this.socket.onopen = () => {
+      if (isMqtt) {
+        this.socket.send(
+          encodeConnect(this.options.clientId, {
+            username: this.options.username,
+            password: this.options.password,
+            keepAlive: this.options.keepAlive,
+          })
+        );
+      } else {
+        this.handleConnected();
+      }
+    };
+
+    this.socket.onmessage = (event) => {
+      if (isMqtt) {
+        this.handleMqttFrame(event.data);
+      } else {
+        this.handleWebSocketMessage(event.data);
+      }
+    };
+
+    this.socket.onerror = (event) => {
+      this.stats.lastError = event?.message || "WebSocket error";
+    };
+
+    this.socket.onclose = (event) => {
+      this.handleClose(event);
+    };
+  }
+
+  /**
+   * Mark the feed connected and reset backoff
+   */
+  handleConnected() {
+    this.reconnectAttempts = 0;
+    this.setState(CONNECTION_STATES.CONNECTED);
+  }
+
+  /**
+   * Handle a plain WebSocket JSON message
+   * Messages carry { topic, payload }, { deviceId, ... } or { roomId, ... }
+   */
+  handleWebSocketMessage(data) {
+    let message;
+    try {
+      message = typeof data === "string" ? JSON.parse(data) : data;
+    } catch (error) {
+      this.rejectMessage(null, [`Malformed JSON: ${error.message}`]);
+      return;
+    }
+
+    const batch = Array.isArray(message) ? message : [message];
+    batch.forEach((item) => {
+      if (!item || typeof item !== "object") {
+        this.rejectMessage(null, ["Message must be an object"]);
+        return;
+      }
+      const { topic, payload, ...rest } = item;
+      this.ingest(topic || null, payload ?? rest);
+    });
+  }
+
+  /**
+   * Handle a binary MQTT frame
+   */
+  handleMqttFrame(data) {
+    const bytes =
+      data instanceof Uint8Array ? data : new Uint8Array(data || []);
+
+    decodePackets(bytes).forEach((packet) => {
+      switch (packet.type) {
+        case MQTT_PACKET.CONNACK:
+          if (packet.returnCode !== 0) {
+            this.handleRefused(packet.returnCode);
+            return;
+          }
+          this.subscribeTopics();
+          this.startKeepAlive();
+          this.handleConnected();
+          break;
+        case MQTT_PACKET.PUBLISH: {
+          if (packet.qos === 1) {
+            this.socket.send(encodePuback(packet.packetId));
+          }
+          let payload;
+          try {
+            payload = JSON.parse(packet.payload);
+          } catch (error) {
+            this.rejectMessage(packet.topic, [
+              `Malformed JSON: ${error.message}`,
+            ]);
+            return;
+          }
+          this.ingest(packet.topic, payload);
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Subscribe to every topic pattern in the topic map
+   */
+  subscribeTopics() {
+    const filters = [
+      ...new Set(
+        this.options.topicMap.map((entry) =>
+          toSubscriptionFilter(entry.pattern)
+        )
+      ),
+    ];
+    if (filters.length === 0) return;
+
+    this.packetId = (this.packetId % 65535) + 1;
+    this.socket.send(encodeSubscribe(this.packetId, filters));
+  }
+
+  /**
+   * Send PINGREQ at the negotiated keep-alive interval
+   */
+  startKeepAlive() {
+    this.stopKeepAlive();
+    if (!this.options.keepAlive) return;
+
+    this.keepAliveTimer = setInterval(() => {
+      if (this.socket && this.state === CONNECTION_STATES.CONNECTED) {
+        this.socket.send(encodePingreq());
+      }
+    }, this.options.keepAlive * 1000 * 0.75);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  /**
+   * Map, validate and publish a single message
+   * @param {string|null} topic
+   * @param {object} payload
+   */
+  ingest(topic, payload) {
+    this.stats.received++;
+    this.stats.lastMessageAt = new Date().toISOString();
+
+    const roomId =
+      payload?.roomId ||
+      (payload?.deviceId && this.options.deviceMap[payload.deviceId]) ||
+      resolveRoomId(topic, this.options.topicMap);
+
+    if (!roomId) {
+      this.stats.unmapped++;
+      this.rejectMessage(topic, ["No room mapping for topic or device"]);
+      return;
+    }
+
+    const { valid, readings, errors } = validateReadingPayload(payload);
+    if (!valid) {
+      this.rejectMessage(topic, errors);
+      return;
+    }
+
+    this.stats.accepted++;
+    this.readingSubscribers.forEach((callback) => {
+      try {
+        callback(roomId, readings, { topic, deviceId: payload.deviceId });
+      } catch (error) {
+        console.error("Error in ingestion subscriber:", error);
+      }
+    });
+  }
+
+  rejectMessage(topic, errors) {
+    this.stats.rejected++;
+    console.warn(
+      `Rejected sensor message${topic ? ` on ${topic}` : ""}:`,
+      errors.join("; ")
+    );
+  }
+
+  /**
+   * Handle a broker refusing the connection
+   * Retrying with the same credentials and client ID would be refused
+   * again, so the feed closes instead of reconnecting.
+   * @param {number} returnCode - CONNACK return code
+   */
+  handleRefused(returnCode) {
+    this.refused = true;
+    this.stats.lastError = `MQTT connection refused: ${
+      CONNACK_REFUSALS[returnCode] || `return code ${returnCode}`
+    }`;
+    console.error(`Sensor feed ${this.stats.lastError}`);
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopKeepAlive();
+    this.socket.close();
+    this.setState(CONNECTION_STATES.CLOSED);
+  }
+
+  /**
+   * Handle socket closure and schedule reconnection
+   */
+  handleClose(event) {
+    this.stopKeepAlive();
+    this.socket = null;
+
+    if (this.closedByUser || this.refused) {
+      this.setState(CONNECTION_STATES.CLOSED);
+      return;
+    }
+
+    const { reconnect } = this.options;
+    if (!reconnect.enabled || this.reconnectAttempts >= reconnect.maxAttempts) {
+      this.stats.lastError =
+        this.stats.lastError || event?.reason || "Connection closed";
+      this.setState(CONNECTION_STATES.CLOSED);
+      return;
+    }
+
+    const delay = calculateBackoff(this.reconnectAttempts, reconnect);
+    this.reconnectAttempts++;
+    this.setState(CONNECTION_STATES.RECONNECTING);
+
+    console.warn(
+      `Sensor feed disconnected, reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`
+    );
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delay);
+  }
+
+  /**
+   * Close the feed and stop reconnecting
+   */
+  disconnect() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopKeepAlive();
+
+    if (this.socket) {
+      try {
+        if (this.options.protocol === FEED_PROTOCOLS.MQTT) {
+          this.socket.send(encodeDisconnect());
+        }
+        this.socket.close();
+      } catch (error) {
+        console.error("Error closing sensor feed:", error);
+      }
+    }
+
+    this.setState(CONNECTION_STATES.CLOSED);
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.stateSubscribers.forEach((callback) => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error("Error in ingestion state subscriber:", error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to validated readings
+   * @param {function} callback - (roomId, readings, meta) => void
+   */
+  onReading(callback) {
+    this.readingSubscribers.add(callback);
+    return () => this.readingSubscribers.delete(callback);
+  }
+
+  /**
+   * Subscribe to connection state changes
+   * @param {function} callback - (state) => void
+   */
+  onStateChange(callback) {
+    this.stateSubscribers.add(callback);
+    return () => this.stateSubscribers.delete(callback);
+  }
+
+  /**
+   * Get ingestion statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      state: this.state,
+      protocol: this.options.protocol,
+      reconnectAttempts: this.reconnectAttempts,
+    };
+  }
+}
+
+export default SensorIngestionAdapter;
+export {
+  SensorIngestionAdapter,
+  FEED_PROTOCOLS,
+  CONNECTION_STATES,
+  READING_SCHEMA,
+  DEFAULT_TOPIC_MAP,
+  DEFAULT_RECONNECT,
+  MQTT_PACKET,
+  CONNACK_REFUSALS,
+};
@@ -1,4 +1,5 @@
 import { MARGIN_PERCENTAGE } from "../utils/constants";
+import { applyProductLimits } from "./productLimits";
 
 /**
  * Get status color based on current value and allowed range
@@ -22,11 +23,12 @@ export const getStatusColor = (currentValue, min, max) => {
 
 /**
  * Calculate overall room status based on all conditions
+ * Each condition is rated against its range after product limits apply.
  * @param {Object} roomData - Room data with conditions
  * @returns {'green'|'yellow'|'red'} Overall status
  */
 export const calculateRoomStatus = (roomData) => {
-  const { conditions } = roomData;
+  const { conditions } = applyProductLimits(roomData);
   const statuses = [];
 
   Object.keys(conditions).forEach((key) => {
@@ -98,14 +100,32 @@ export const validateInputs = (values, roomConfig) => {
 
 /**
  * Generate alerts from all rooms
+ * Conditions outside their product-limited range raise alerts, and
+ * products that cannot share a room raise a warning.
  * @param {Array} allRooms - Array of room data
  * @returns {Array} Array of alert objects
  */
 export const generateAlerts = (allRooms) => {
   const alerts = [];
 
-  allRooms.forEach((room) => {
-    const { conditions, name, id } = room;
+  allRooms.forEach((roomData) => {
+    const room = applyProductLimits(roomData);
+    const { conditions, name, id, productLimits } = room;
+
+    productLimits?.conflicts.forEach((conflict) => {
+      alerts.push({
+        id: `${id}-productCompatibility-${conflict.products.join(
+          "-"
+        )}-${Date.now()}`,
+        roomId: id,
+        roomName: name,
+        condition: "productCompatibility",
+        severity: "warning",
+        message: `Incompatible storage: ${conflict.message}`,
+        timestamp: new Date().toISOString(),
+        acknowledged: false,
+      });
+    });
 
     Object.entries(conditions).forEach(([conditionName, condition]) => {
       const status = getStatusColor(
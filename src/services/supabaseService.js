@@ -6,6 +6,41 @@ import { INITIAL_ROOMS } from "../utils/constants";
  * Handles all database operations for Medicine Storage Monitoring
  */
 
+// ============================================
+// ERROR HANDLING
+// ============================================
+
+// insufficient_privilege (RLS and trigger refusals) and rejected JWTs
+const PERMISSION_DENIED_CODES = ["42501", "PGRST301"];
+
+// .single() on an update that RLS filtered down to no rows
+const NO_ROWS_CODE = "PGRST116";
+
+/**
+ * Whether a Supabase error is a permission refusal
+ * @param {object} error - Supabase/PostgREST error
+ * @param {object} [options] - { update: true } when the request was an update
+ * @returns {boolean}
+ */
+export const isPermissionDenied = (error, { update = false } = {}) =>
+  PERMISSION_DENIED_CODES.includes(error?.code) ||
+  error?.status === 401 ||
+  error?.status === 403 ||
+  (update && error?.code === NO_ROWS_CODE);
+
+/**
+ * Failed result for an operation; refusals are reported as such rather
+ * than as errors, since they are expected for read-only roles
+ */
+const failure = (operation, error, options) => {
+  if (isPermissionDenied(error, options)) {
+    console.warn(`Permission denied ${operation}:`, error.message);
+    return { success: false, error, permissionDenied: true };
+  }
+  console.error(`Error ${operation}:`, error);
+  return { success: false, error };
+};
+
 // ============================================
 // ROOM OPERATIONS
 // ============================================
@@ -58,8 +93,7 @@ export const initializeRooms = async () => {
       .select();
 
     if (error) {
-      console.error("Error initializing rooms:", error);
-      return { success: false, error };
+      return failure("initializing rooms", error);
     }
 
     console.log("Rooms initialized successfully:", data);
@@ -81,8 +115,7 @@ export const fetchRoomsFromDB = async () => {
       .order("name");
 
     if (error) {
-      console.error("Error fetching rooms:", error);
-      return { success: false, error, data: null };
+      return { ...failure("fetching rooms", error), data: null };
     }
 
     // Transform snake_case to camelCase
@@ -106,8 +139,7 @@ export const fetchRoomById = async (roomId) => {
       .single();
 
     if (error) {
-      console.error("Error fetching room:", error);
-      return { success: false, error, data: null };
+      return { ...failure("fetching room", error), data: null };
     }
 
     return { success: true, data: transformRoomFromDB(data) };
@@ -134,8 +166,7 @@ export const updateRoomConditions = async (roomId, conditions, status) => {
       .single();
 
     if (error) {
-      console.error("Error updating room conditions:", error);
-      return { success: false, error };
+      return failure("updating room conditions", error, { update: true });
     }
 
     return { success: true, data: transformRoomFromDB(data) };
@@ -173,8 +204,13 @@ export const batchUpdateRooms = async (rooms) => {
 
     const errors = results.filter((r) => r.error);
     if (errors.length > 0) {
-      console.error("Some room updates failed:", errors);
-      return { success: false, errors };
+      const permissionDenied = errors.some((r) => isPermissionDenied(r.error));
+      if (permissionDenied) {
+        console.warn("Room updates refused by row-level security");
+      } else {
+        console.error("Some room updates failed:", errors);
+      }
+      return { success: false, errors, permissionDenied };
     }
 
     return { success: true };
@@ -207,8 +243,7 @@ export const recordSensorReading = async (roomId, reading) => {
       .single();
 
     if (error) {
-      console.error("Error recording sensor reading:", error);
-      return { success: false, error };
+      return failure("recording sensor reading", error);
     }
 
     return { success: true, data };
@@ -233,8 +268,7 @@ export const fetchSensorHistory = async (roomId, hours = 24) => {
       .order("recorded_at", { ascending: true });
 
     if (error) {
-      console.error("Error fetching sensor history:", error);
-      return { success: false, error, data: [] };
+      return { ...failure("fetching sensor history", error), data: [] };
     }
 
     return { success: true, data };
@@ -244,6 +278,74 @@ export const fetchSensorHistory = async (roomId, hours = 24) => {
   }
 };
 
+// ============================================
+// INVENTORY OPERATIONS
+// ============================================
+
+/**
+ * Save a medicine lot
+ */
+export const upsertMedicineLot = async (lot) => {
+  try {
+    const lastAction = lot.actions[lot.actions.length - 1];
+    const { data, error } = await supabase
+      .from(TABLES.MEDICINE_LOTS)
+      .upsert({
+        id: lot.lotId,
+        medicine_id: lot.medicineKey,
+        name: lot.name,
+        batch_number: lot.batchNumber,
+        expiry_date: lot.expiryDate,
+        quantity: lot.quantity,
+        unit: lot.unit,
+        room_id: lot.roomId,
+        status: lot.status,
+        storage_history: lot.storageHistory,
+        last_transaction_id: lastAction?.transactionId || null,
+        received_at: lot.receivedAt,
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return failure("saving medicine lot", error);
+    }
+
+    return { success: true, data };
+  } catch (err) {
+    console.error("Exception saving medicine lot:", err);
+    return { success: false, error: err };
+  }
+};
+
+/**
+ * Fetch medicine lots, optionally for one room
+ */
+export const fetchMedicineLots = async (roomId = null) => {
+  try {
+    let query = supabase
+      .from(TABLES.MEDICINE_LOTS)
+      .select("*")
+      .order("expiry_date", { ascending: true });
+
+    if (roomId) {
+      query = query.eq("room_id", roomId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return { ...failure("fetching medicine lots", error), data: [] };
+    }
+
+    return { success: true, data };
+  } catch (err) {
+    console.error("Exception fetching medicine lots:", err);
+    return { success: false, error: err, data: [] };
+  }
+};
+
 // ============================================
 // ALERTS OPERATIONS
 // ============================================
@@ -271,8 +373,7 @@ export const createAlert = async (alert) => {
       .single();
 
     if (error) {
-      console.error("Error creating alert:", error);
-      return { success: false, error };
+      return failure("creating alert", error);
     }
 
     return { success: true, data: transformAlertFromDB(data) };
@@ -294,8 +395,7 @@ export const fetchActiveAlerts = async () => {
       .order("created_at", { ascending: false });
 
     if (error) {
-      console.error("Error fetching alerts:", error);
-      return { success: false, error, data: [] };
+      return { ...failure("fetching alerts", error), data: [] };
     }
 
     return { success: true, data: data.map(transformAlertFromDB) };
@@ -322,8 +422,7 @@ export const acknowledgeAlert = async (alertId, userId = "system") => {
       .single();
 
     if (error) {
-      console.error("Error acknowledging alert:", error);
-      return { success: false, error };
+      return failure("acknowledging alert", error, { update: true });
     }
 
     return { success: true, data: transformAlertFromDB(data) };
@@ -339,29 +438,26 @@ export const acknowledgeAlert = async (alertId, userId = "system") => {
 
 /**
  * Log audit entry
+ * Written by the log_audit_entry function, which records the signed-in
+ * Supabase user; sessions without one get a permission-denied result.
+ * @param {object} entry - { action, entityType, entityId, userName, details, ... }
+ * @returns {Promise<object>} - { success, data: entry id }
  */
 export const logAuditEntry = async (entry) => {
   try {
-    const { data, error } = await supabase
-      .from(TABLES.AUDIT_TRAIL)
-      .insert({
-        action: entry.action,
-        entity_type: entry.entityType,
-        entity_id: entry.entityId,
-        user_id: entry.userId || "system",
-        user_name: entry.userName || "System",
-        details: entry.details,
-        previous_value: entry.previousValue,
-        new_value: entry.newValue,
-        ip_address: entry.ipAddress,
-        created_at: new Date().toISOString(),
-      })
-      .select()
-      .single();
+    const { data, error } = await supabase.rpc("log_audit_entry", {
+      p_action: entry.action,
+      p_entity_type: entry.entityType,
+      p_entity_id: entry.entityId,
+      p_user_name: entry.userName || "System",
+      p_details: entry.details,
+      p_previous_value: entry.previousValue,
+      p_new_value: entry.newValue,
+      p_ip_address: entry.ipAddress,
+    });
 
     if (error) {
-      console.error("Error logging audit entry:", error);
-      return { success: false, error };
+      return failure("logging audit entry", error);
     }
 
     return { success: true, data };
@@ -389,8 +485,7 @@ export const fetchAuditTrail = async (limit = 100, entityType = null) => {
     const { data, error } = await query;
 
     if (error) {
-      console.error("Error fetching audit trail:", error);
-      return { success: false, error, data: [] };
+      return { ...failure("fetching audit trail", error), data: [] };
     }
 
     return { success: true, data };
@@ -400,6 +495,108 @@ export const fetchAuditTrail = async (limit = 100, entityType = null) => {
   }
 };
 
+// ============================================
+// SECURITY AUDIT LOG OPERATIONS
+// ============================================
+
+/**
+ * Append securityModule audit entries, in chain order
+ * Written by the append_security_audit_entries function, which registers
+ * the chain to its key on first upload and refuses other keys. Entries
+ * already uploaded are skipped, so a retried batch is harmless.
+ * @param {string} chainId - Installation whose chain the entries belong to
+ * @param {array} entries - Stored audit records with their sequence numbers
+ * @param {string} chainKey - Installation secret the chain is registered to
+ */
+export const uploadSecurityAuditEntries = async (
+  chainId,
+  entries,
+  chainKey
+) => {
+  try {
+    const { error } = await supabase.rpc("append_security_audit_entries", {
+      p_chain_id: chainId,
+      p_chain_key: chainKey,
+      p_entries: entries.map((entry) => ({
+        id: entry.id,
+        sequence: entry.sequence,
+        logged_at: entry.timestamp,
+        action: entry.action,
+        user_id: entry.userId,
+        user_name: entry.userName,
+        target: entry.target,
+        details: entry.details,
+        previous_hash: entry.previousHash,
+        hash: entry.hash,
+      })),
+    });
+
+    if (error) {
+      return failure("uploading security audit entries", error);
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error("Exception uploading security audit entries:", err);
+    return { success: false, error: err };
+  }
+};
+
+/**
+ * Fetch one page of the security audit log, newest first
+ * Filtering and paging are done by the database.
+ * @param {object} query - { action, userId, search, since, page, pageSize }
+ */
+export const fetchSecurityAuditLog = async ({
+  action,
+  userId,
+  search,
+  since,
+  page = 0,
+  pageSize = 20,
+} = {}) => {
+  try {
+    let query = supabase
+      .from(TABLES.SECURITY_AUDIT_LOG)
+      .select("*", { count: "exact" });
+
+    if (action) {
+      query = query.eq("action", action);
+    }
+    if (userId) {
+      query = query.eq("user_id", userId);
+    }
+    if (since) {
+      query = query.gte("logged_at", since);
+    }
+    // Characters that delimit PostgREST filters cannot be searched for
+    const term = search?.replace(/[,()*%\\]/g, " ").trim();
+    if (term) {
+      query = query.or(
+        `action.ilike.%${term}%,user_name.ilike.%${term}%,target.ilike.%${term}%`
+      );
+    }
+
+    const { data, error, count } = await query
+      .order("logged_at", { ascending: false })
+      .order("sequence", { ascending: false })
+      .range(page * pageSize, (page + 1) * pageSize - 1);
+
+    if (error) {
+      return { ...failure("fetching security audit log", error), data: [] };
+    }
+
+    return {
+      success: true,
+      data: data.map(transformSecurityAuditFromDB),
+      total: count,
+    };
+  } catch (err) {
+    console.error("Exception fetching security audit log:", err);
+    return { success: false, error: err, data: [] };
+  }
+};
+
 // ============================================
 // REAL-TIME SUBSCRIPTIONS
 // ============================================
@@ -503,6 +700,22 @@ const transformAlertFromDB = (dbAlert) => ({
   createdAt: dbAlert.created_at,
 });
 
+/**
+ * Transform security audit entry from DB format to app format
+ */
+const transformSecurityAuditFromDB = (dbEntry) => ({
+  id: dbEntry.id,
+  sequence: dbEntry.sequence,
+  timestamp: dbEntry.logged_at,
+  action: dbEntry.action,
+  userId: dbEntry.user_id,
+  userName: dbEntry.user_name,
+  target: dbEntry.target,
+  details: dbEntry.details,
+  previousHash: dbEntry.previous_hash,
+  hash: dbEntry.hash,
+});
+
 // ============================================
 // DATABASE INITIALIZATION
 // ============================================
@@ -541,6 +754,10 @@ export default {
   recordSensorReading,
   fetchSensorHistory,
 
+  // Inventory operations
+  upsertMedicineLot,
+  fetchMedicineLots,
+
   // Alert operations
   createAlert,
   fetchActiveAlerts,
@@ -549,6 +766,8 @@ export default {
   // Audit operations
   logAuditEntry,
   fetchAuditTrail,
+  uploadSecurityAuditEntries,
+  fetchSecurityAuditLog,
 
   // Subscriptions
   subscribeToRoomUpdates,
@@ -557,4 +776,5 @@ export default {
 
   // Utilities
   checkConnection,
+  isPermissionDenied,
 };
@@ -3,3 +3,19 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The blockchain modules use Web Crypto and TextEncoder, which the jest
+// environments do not expose; borrow Node's implementations.
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', {
+    value: webcrypto,
+    configurable: true,
+  });
+}
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
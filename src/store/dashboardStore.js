@@ -25,6 +25,7 @@ import { immer } from "zustand/middleware/immer";
  * @property {string} name
  * @property {string} expiry
  * @property {string} batch
+ * @property {string} receivedAt - When the batch was put into the room
  * @property {{ temp: number, humidity: number }} sensitivity
  */
 
@@ -169,6 +170,9 @@ const createEnhancedRoom = (baseRoom) => ({
       Date.now() + (180 + Math.random() * 365) * 24 * 60 * 60 * 1000
     ).toISOString(),
     batch: `BATCH-${Date.now().toString(36).toUpperCase()}-${index}`,
+    receivedAt: new Date(
+      Date.now() - (1 + Math.random() * 29) * 24 * 60 * 60 * 1000
+    ).toISOString(),
     sensitivity: {
       temp: 2 + Math.random() * 3, // degradation rate per degree deviation
       humidity: 0.5 + Math.random() * 1.5,
@@ -349,13 +353,41 @@ const useDashboardStore = create(
         });
       },
 
-      acknowledgeAlert: (alertId) => {
+      // Acknowledgements carry the e-signature applied to them
+      acknowledgeAlert: (alertId, signature = null) => {
         set((state) => {
           const alert = state.alerts.find((a) => a.id === alertId);
           if (alert) {
             alert.acknowledged = true;
             alert.acknowledgedAt = new Date().toISOString();
-            alert.acknowledgedBy = state.currentUser.id;
+            alert.acknowledgedBy = signature?.signerId || state.currentUser.id;
+            alert.signature = signature;
+          }
+        });
+      },
+
+      // Threshold changes are only applied with an e-signature
+      updateThreshold: (roomId, sensorType, { min, max }, signature) => {
+        if (!signature?.signatureId) {
+          throw new Error(
+            "Changing a threshold requires an electronic signature"
+          );
+        }
+        set((state) => {
+          const condition = state.rooms.get(roomId)?.conditions[sensorType];
+          if (condition) {
+            condition.thresholdHistory = [
+              ...(condition.thresholdHistory || []),
+              {
+                from: { min: condition.min, max: condition.max },
+                to: { min, max },
+                changedAt: signature.signedAt,
+                changedBy: signature.signerId,
+                signatureId: signature.signatureId,
+              },
+            ];
+            condition.min = min;
+            condition.max = max;
           }
         });
       },
@@ -0,0 +1,95 @@
+import PharmaBlockchainService from "../services/blockchain/PharmaBlockchainService";
+import { KeyManager } from "../services/blockchain/KeyManager";
+import {
+  generateKeyPair,
+  exportPublicKey,
+} from "../services/blockchain/crypto";
+
+/**
+ * Key storage held in a map
+ * @returns {object} - { records, get, put, delete }
+ */
+export const createMemoryStorage = () => {
+  const records = new Map();
+  return {
+    records,
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+// Storage is IndexedDB in the browser; keep everything in memory here
+const keepInMemory = (service) => {
+  service.saveBlockToStorage = jest.fn().mockResolvedValue();
+  service.deleteBlocksFromStorage = jest.fn().mockResolvedValue();
+  service.clearChainStorage = jest.fn().mockResolvedValue();
+  service.saveCheckpoint = jest.fn().mockResolvedValue();
+  service.clearMinedTransactions = jest.fn().mockResolvedValue();
+  service.savePendingTransaction = jest.fn().mockResolvedValue();
+  service.saveConfig = jest.fn().mockResolvedValue();
+  return service;
+};
+
+/**
+ * A ledger whose facility key is kept by a KeyManager
+ * @param {object} [options] - { storage, iterations }
+ * @returns {Promise<PharmaBlockchainService>}
+ */
+export const createService = async ({
+  storage = createMemoryStorage(),
+  iterations,
+} = {}) => {
+  const service = keepInMemory(new PharmaBlockchainService());
+  service.keyManager = new KeyManager(storage, { iterations });
+  service.difficulty = 1;
+
+  await service.loadOrGenerateKeys();
+  await service.createGenesisBlock();
+  return service;
+};
+
+/**
+ * A ledger signing with a throwaway key pair from a fixed genesis block
+ * @returns {Promise<PharmaBlockchainService>}
+ */
+export const createKeyedService = async () => {
+  const service = keepInMemory(new PharmaBlockchainService());
+  const keyPair = await generateKeyPair();
+  service.privateKey = keyPair.privateKey;
+  service.publicKey = await exportPublicKey(keyPair.publicKey);
+  service.difficulty = 1;
+
+  service.chain = [
+    {
+      blockNumber: 0,
+      timestamp: "2024-01-01T00:00:00.000Z",
+      previousHash: "0".repeat(64),
+      currentHash: "genesis",
+      transactions: [],
+      difficulty: 0,
+    },
+  ];
+  return service;
+};
+
+/**
+ * Add a sensor reading and mine it into a block
+ * @param {PharmaBlockchainService} service
+ * @param {number} temperature
+ * @param {boolean} [mine] - Leave the reading pending when false
+ * @returns {Promise<object>} - The transaction
+ */
+export const recordReading = async (service, temperature, mine = true) => {
+  const tx = service.transactionFactory.createSensorReadingTransaction(
+    { temperature, humidity: 45 },
+    "room-2-cold"
+  );
+  await service.addTransaction(tx);
+  if (mine) await service.mineBlock();
+  return tx;
+};
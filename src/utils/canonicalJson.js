@@ -0,0 +1,19 @@
+/**
+ * JSON with object keys sorted and undefined members dropped, so equal
+ * values serialize, and hash, equally whatever order their keys are in
+ * @param {*} value
+ * @returns {string}
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
@@ -183,6 +183,7 @@ export const MEDICINE_DATABASE = {
     shelfLife: "6 months at ultra-cold",
     criticalNote: "Must not exceed -60°C for >2 hours",
     batchTracking: true,
+    excursionBudget: { limit: -60, direction: "above", maxMinutes: 120 },
   },
   kymriah: {
     name: "Kymriah (CAR-T)",
@@ -220,6 +221,13 @@ export const MEDICINE_DATABASE = {
     shelfLife: "24 months",
     criticalNote: "Do not freeze - protein aggregation risk",
     batchTracking: true,
+    // Up to 14 days at no more than 25°C
+    excursionBudget: {
+      limit: 8,
+      direction: "above",
+      maxMinutes: 14 * 24 * 60,
+      maxDegreeMinutes: 14 * 24 * 60 * 17,
+    },
   },
   lantus: {
     name: "Lantus (Insulin Glargine)",
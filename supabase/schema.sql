@@ -102,6 +102,42 @@ CREATE INDEX IF NOT EXISTS idx_audit_trail_user ON audit_trail(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_trail_created_at ON audit_trail(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_audit_trail_action ON audit_trail(action);
 
+-- =====================================================
+-- SECURITY_AUDIT_LOG TABLE
+-- Hash-chained securityModule audit log, uploaded from each installation's
+-- IndexedDB copy. logged_at is the ISO-8601 string that was hashed.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS security_audit_log (
+    id TEXT PRIMARY KEY,
+    chain_id TEXT NOT NULL,
+    sequence BIGINT NOT NULL,
+    logged_at TEXT NOT NULL,
+    action TEXT NOT NULL,
+    user_id TEXT,
+    user_name TEXT,
+    target TEXT,
+    details JSONB,
+    previous_hash TEXT,
+    hash TEXT NOT NULL,
+    uploaded_by UUID DEFAULT auth.uid(),
+    uploaded_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (chain_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_audit_log_logged_at ON security_audit_log(logged_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_audit_log_action ON security_audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_security_audit_log_user ON security_audit_log(user_id);
+
+-- Installations uploading a security audit chain. The first upload
+-- registers the chain with a hash of the installation's chain key; only
+-- uploads presenting that key can extend it.
+CREATE TABLE IF NOT EXISTS security_audit_chains (
+    chain_id TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL,
+    registered_by UUID DEFAULT auth.uid(),
+    registered_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- =====================================================
 -- MEDICINES TABLE
 -- Medicine catalog with storage requirements
@@ -124,53 +160,280 @@ CREATE INDEX IF NOT EXISTS idx_medicines_room_id ON medicines(room_id);
 CREATE INDEX IF NOT EXISTS idx_medicines_type ON medicines(type);
 
 -- =====================================================
--- ROW LEVEL SECURITY (RLS) POLICIES
--- Enable RLS for secure access
+-- MEDICINE_LOTS TABLE
+-- Lot inventory mirrored from the ledger's inventory transactions
 -- =====================================================
+CREATE TABLE IF NOT EXISTS medicine_lots (
+    id TEXT PRIMARY KEY,
+    medicine_id TEXT REFERENCES medicines(id),
+    name TEXT,
+    batch_number TEXT NOT NULL,
+    expiry_date TIMESTAMPTZ NOT NULL,
+    quantity DECIMAL(12,2) NOT NULL CHECK (quantity >= 0),
+    unit TEXT DEFAULT 'units',
+    room_id TEXT REFERENCES rooms(id),
+    status TEXT DEFAULT 'available' CHECK (status IN ('available', 'quarantined', 'depleted')),
+    storage_history JSONB DEFAULT '[]'::jsonb,
+    last_transaction_id TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
 
--- Enable RLS on all tables
-ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
-ALTER TABLE sensor_readings ENABLE ROW LEVEL SECURITY;
-ALTER TABLE alerts ENABLE ROW LEVEL SECURITY;
-ALTER TABLE audit_trail ENABLE ROW LEVEL SECURITY;
-ALTER TABLE medicines ENABLE ROW LEVEL SECURITY;
-
--- Allow public read access (for anon key)
-CREATE POLICY "Allow public read access on rooms" ON rooms
-    FOR SELECT USING (true);
-
-CREATE POLICY "Allow public insert on rooms" ON rooms
-    FOR INSERT WITH CHECK (true);
-
-CREATE POLICY "Allow public update on rooms" ON rooms
-    FOR UPDATE USING (true);
-
-CREATE POLICY "Allow public read access on sensor_readings" ON sensor_readings
-    FOR SELECT USING (true);
-
-CREATE POLICY "Allow public insert on sensor_readings" ON sensor_readings
-    FOR INSERT WITH CHECK (true);
+CREATE INDEX IF NOT EXISTS idx_medicine_lots_room_id ON medicine_lots(room_id);
+CREATE INDEX IF NOT EXISTS idx_medicine_lots_batch_number ON medicine_lots(batch_number);
+CREATE INDEX IF NOT EXISTS idx_medicine_lots_expiry_date ON medicine_lots(expiry_date);
 
-CREATE POLICY "Allow public read access on alerts" ON alerts
-    FOR SELECT USING (true);
+-- =====================================================
+-- APP_ROLES / ROLE_PERMISSIONS TABLES
+-- Mirror of ROLES in src/modules/securityModule.js; keep both in step
+-- =====================================================
+CREATE TABLE IF NOT EXISTS app_roles (
+    role TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    level INTEGER NOT NULL
+);
 
-CREATE POLICY "Allow public insert on alerts" ON alerts
-    FOR INSERT WITH CHECK (true);
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role TEXT REFERENCES app_roles(role) ON DELETE CASCADE,
+    permission TEXT NOT NULL,
+    PRIMARY KEY (role, permission)
+);
 
-CREATE POLICY "Allow public update on alerts" ON alerts
-    FOR UPDATE USING (true);
+INSERT INTO app_roles (role, name, level) VALUES
+    ('ADMIN', 'Administrator', 100),
+    ('QUALITY_MANAGER', 'Quality Manager', 80),
+    ('SUPERVISOR', 'Supervisor', 60),
+    ('TECHNICIAN', 'Technician', 40),
+    ('VIEWER', 'Viewer', 20)
+ON CONFLICT (role) DO UPDATE SET name = EXCLUDED.name, level = EXCLUDED.level;
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('ADMIN', 'view:dashboard'),
+    ('ADMIN', 'view:alerts'),
+    ('ADMIN', 'view:reports'),
+    ('ADMIN', 'view:compliance'),
+    ('ADMIN', 'view:audit-log'),
+    ('ADMIN', 'manage:rooms'),
+    ('ADMIN', 'manage:thresholds'),
+    ('ADMIN', 'manage:alerts'),
+    ('ADMIN', 'manage:users'),
+    ('ADMIN', 'manage:roles'),
+    ('ADMIN', 'generate:reports'),
+    ('ADMIN', 'export:data'),
+    ('ADMIN', 'acknowledge:alerts'),
+    ('ADMIN', 'mine:blocks'),
+    ('ADMIN', 'configure:system'),
+    ('ADMIN', 'delete:data'),
+    ('ADMIN', 'open:deviations'),
+    ('ADMIN', 'investigate:deviations'),
+    ('ADMIN', 'approve:deviations'),
+    ('QUALITY_MANAGER', 'view:dashboard'),
+    ('QUALITY_MANAGER', 'view:alerts'),
+    ('QUALITY_MANAGER', 'view:reports'),
+    ('QUALITY_MANAGER', 'view:compliance'),
+    ('QUALITY_MANAGER', 'view:audit-log'),
+    ('QUALITY_MANAGER', 'manage:thresholds'),
+    ('QUALITY_MANAGER', 'manage:alerts'),
+    ('QUALITY_MANAGER', 'generate:reports'),
+    ('QUALITY_MANAGER', 'export:data'),
+    ('QUALITY_MANAGER', 'acknowledge:alerts'),
+    ('QUALITY_MANAGER', 'mine:blocks'),
+    ('QUALITY_MANAGER', 'open:deviations'),
+    ('QUALITY_MANAGER', 'investigate:deviations'),
+    ('QUALITY_MANAGER', 'approve:deviations'),
+    ('SUPERVISOR', 'view:dashboard'),
+    ('SUPERVISOR', 'view:alerts'),
+    ('SUPERVISOR', 'view:reports'),
+    ('SUPERVISOR', 'acknowledge:alerts'),
+    ('SUPERVISOR', 'manage:thresholds'),
+    ('SUPERVISOR', 'export:data'),
+    ('SUPERVISOR', 'open:deviations'),
+    ('SUPERVISOR', 'investigate:deviations'),
+    ('TECHNICIAN', 'view:dashboard'),
+    ('TECHNICIAN', 'view:alerts'),
+    ('TECHNICIAN', 'acknowledge:alerts'),
+    ('TECHNICIAN', 'open:deviations'),
+    ('VIEWER', 'view:dashboard'),
+    ('VIEWER', 'view:alerts')
+ON CONFLICT DO NOTHING;
 
-CREATE POLICY "Allow public read access on audit_trail" ON audit_trail
-    FOR SELECT USING (true);
+-- =====================================================
+-- ROLE HELPERS
+-- The role comes from app_metadata.role in the Supabase JWT, which only
+-- the service role can set; signed-in users without one are VIEWERs and
+-- the anon key has no role at all.
+-- =====================================================
 
-CREATE POLICY "Allow public insert on audit_trail" ON audit_trail
-    FOR INSERT WITH CHECK (true);
+-- Role of the signed-in user, NULL for anon
+CREATE OR REPLACE FUNCTION app_role()
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN auth.uid() IS NULL THEN NULL
+        WHEN EXISTS (
+            SELECT 1 FROM app_roles
+            WHERE role = auth.jwt() -> 'app_metadata' ->> 'role'
+        ) THEN auth.jwt() -> 'app_metadata' ->> 'role'
+        ELSE 'VIEWER'
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the signed-in user's role grants a permission
+CREATE OR REPLACE FUNCTION has_permission(required TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM role_permissions
+        WHERE role = app_role() AND permission = required
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the signed-in user's role is at least a level (TECHNICIAN = 40)
+CREATE OR REPLACE FUNCTION has_role_level(required INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(
+        (SELECT level >= required FROM app_roles WHERE role = app_role()),
+        false
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
 
-CREATE POLICY "Allow public read access on medicines" ON medicines
-    FOR SELECT USING (true);
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- Reads need the matching view permission. Operational writes (telemetry,
+-- alerts raised from it, lot movements) need TECHNICIAN level or above;
+-- everything else needs the permission the UI checks for the same action.
+-- Sensor gateways write with the service role key, which bypasses RLS.
+-- =====================================================
 
-CREATE POLICY "Allow public insert on medicines" ON medicines
-    FOR INSERT WITH CHECK (true);
+-- Enable RLS on all tables
+ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sensor_readings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_trail ENABLE ROW LEVEL SECURITY;
+ALTER TABLE security_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE security_audit_chains ENABLE ROW LEVEL SECURITY;
+ALTER TABLE medicines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE medicine_lots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE app_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- Remove the public policies of earlier versions of this schema
+DROP POLICY IF EXISTS "Allow public read access on rooms" ON rooms;
+DROP POLICY IF EXISTS "Allow public insert on rooms" ON rooms;
+DROP POLICY IF EXISTS "Allow public update on rooms" ON rooms;
+DROP POLICY IF EXISTS "Allow public read access on sensor_readings" ON sensor_readings;
+DROP POLICY IF EXISTS "Allow public insert on sensor_readings" ON sensor_readings;
+DROP POLICY IF EXISTS "Allow public read access on alerts" ON alerts;
+DROP POLICY IF EXISTS "Allow public insert on alerts" ON alerts;
+DROP POLICY IF EXISTS "Allow public update on alerts" ON alerts;
+DROP POLICY IF EXISTS "Allow public read access on audit_trail" ON audit_trail;
+DROP POLICY IF EXISTS "Allow public insert on audit_trail" ON audit_trail;
+DROP POLICY IF EXISTS "Allow public read access on medicines" ON medicines;
+DROP POLICY IF EXISTS "Allow public insert on medicines" ON medicines;
+DROP POLICY IF EXISTS "Allow public read access on medicine_lots" ON medicine_lots;
+DROP POLICY IF EXISTS "Allow public insert on medicine_lots" ON medicine_lots;
+DROP POLICY IF EXISTS "Allow public update on medicine_lots" ON medicine_lots;
+
+-- Roles
+DROP POLICY IF EXISTS "Signed-in users read roles" ON app_roles;
+CREATE POLICY "Signed-in users read roles" ON app_roles
+    FOR SELECT TO authenticated USING (true);
+
+DROP POLICY IF EXISTS "Signed-in users read role permissions" ON role_permissions;
+CREATE POLICY "Signed-in users read role permissions" ON role_permissions
+    FOR SELECT TO authenticated USING (true);
+
+-- Rooms (column-level limits are enforced by guard_room_update below)
+DROP POLICY IF EXISTS "view:dashboard reads rooms" ON rooms;
+CREATE POLICY "view:dashboard reads rooms" ON rooms
+    FOR SELECT TO authenticated USING (has_permission('view:dashboard'));
+
+DROP POLICY IF EXISTS "manage:rooms creates rooms" ON rooms;
+CREATE POLICY "manage:rooms creates rooms" ON rooms
+    FOR INSERT TO authenticated WITH CHECK (has_permission('manage:rooms'));
+
+DROP POLICY IF EXISTS "Technicians and above update rooms" ON rooms;
+CREATE POLICY "Technicians and above update rooms" ON rooms
+    FOR UPDATE TO authenticated
+    USING (has_role_level(40))
+    WITH CHECK (has_role_level(40));
+
+-- Sensor readings
+DROP POLICY IF EXISTS "view:dashboard reads sensor_readings" ON sensor_readings;
+CREATE POLICY "view:dashboard reads sensor_readings" ON sensor_readings
+    FOR SELECT TO authenticated USING (has_permission('view:dashboard'));
+
+DROP POLICY IF EXISTS "Technicians and above record sensor_readings" ON sensor_readings;
+CREATE POLICY "Technicians and above record sensor_readings" ON sensor_readings
+    FOR INSERT TO authenticated WITH CHECK (has_role_level(40));
+
+-- Alerts
+DROP POLICY IF EXISTS "view:alerts reads alerts" ON alerts;
+CREATE POLICY "view:alerts reads alerts" ON alerts
+    FOR SELECT TO authenticated USING (has_permission('view:alerts'));
+
+DROP POLICY IF EXISTS "Technicians and above raise alerts" ON alerts;
+CREATE POLICY "Technicians and above raise alerts" ON alerts
+    FOR INSERT TO authenticated
+    WITH CHECK (has_role_level(40) AND acknowledged = false);
+
+-- An acknowledgement is made in the signed-in user's own name
+DROP POLICY IF EXISTS "acknowledge:alerts acknowledges alerts" ON alerts;
+CREATE POLICY "acknowledge:alerts acknowledges alerts" ON alerts
+    FOR UPDATE TO authenticated
+    USING (has_permission('acknowledge:alerts'))
+    WITH CHECK (
+        has_permission('acknowledge:alerts')
+        AND acknowledged = true
+        AND acknowledged_by = auth.uid()::text
+    );
+
+-- Audit trail: append-only, entries are written in the user's own name
+DROP POLICY IF EXISTS "view:audit-log reads audit_trail" ON audit_trail;
+CREATE POLICY "view:audit-log reads audit_trail" ON audit_trail
+    FOR SELECT TO authenticated USING (has_permission('view:audit-log'));
+
+DROP POLICY IF EXISTS "Signed-in users append to audit_trail" ON audit_trail;
+CREATE POLICY "Signed-in users append to audit_trail" ON audit_trail
+    FOR INSERT TO authenticated
+    WITH CHECK (app_role() IS NOT NULL AND user_id = auth.uid()::text);
+
+-- Security audit log: append-only and written only through
+-- append_security_audit_entries, which ties each chain to its installation.
+-- security_audit_chains has no policies; only that function reads it.
+DROP POLICY IF EXISTS "view:audit-log reads security_audit_log" ON security_audit_log;
+CREATE POLICY "view:audit-log reads security_audit_log" ON security_audit_log
+    FOR SELECT TO authenticated USING (has_permission('view:audit-log'));
+
+DROP POLICY IF EXISTS "Signed-in users append to security_audit_log" ON security_audit_log;
+
+-- Medicines
+DROP POLICY IF EXISTS "view:dashboard reads medicines" ON medicines;
+CREATE POLICY "view:dashboard reads medicines" ON medicines
+    FOR SELECT TO authenticated USING (has_permission('view:dashboard'));
+
+DROP POLICY IF EXISTS "manage:rooms creates medicines" ON medicines;
+CREATE POLICY "manage:rooms creates medicines" ON medicines
+    FOR INSERT TO authenticated WITH CHECK (has_permission('manage:rooms'));
+
+DROP POLICY IF EXISTS "manage:rooms updates medicines" ON medicines;
+CREATE POLICY "manage:rooms updates medicines" ON medicines
+    FOR UPDATE TO authenticated
+    USING (has_permission('manage:rooms'))
+    WITH CHECK (has_permission('manage:rooms'));
+
+-- Medicine lots
+DROP POLICY IF EXISTS "view:dashboard reads medicine_lots" ON medicine_lots;
+CREATE POLICY "view:dashboard reads medicine_lots" ON medicine_lots
+    FOR SELECT TO authenticated USING (has_permission('view:dashboard'));
+
+DROP POLICY IF EXISTS "Technicians and above record medicine_lots" ON medicine_lots;
+CREATE POLICY "Technicians and above record medicine_lots" ON medicine_lots
+    FOR INSERT TO authenticated WITH CHECK (has_role_level(40));
+
+DROP POLICY IF EXISTS "Technicians and above update medicine_lots" ON medicine_lots;
+CREATE POLICY "Technicians and above update medicine_lots" ON medicine_lots
+    FOR UPDATE TO authenticated
+    USING (has_role_level(40))
+    WITH CHECK (has_role_level(40));
 
 -- =====================================================
 -- REALTIME SUBSCRIPTIONS
@@ -203,6 +466,228 @@ CREATE TRIGGER rooms_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_last_updated();
 
+-- Min/max limits of each room condition
+CREATE OR REPLACE FUNCTION room_limits(conditions JSONB)
+RETURNS JSONB AS $$
+    SELECT COALESCE(
+        jsonb_object_agg(
+            key,
+            jsonb_build_object('min', value -> 'min', 'max', value -> 'max')
+        ),
+        '{}'::jsonb
+    )
+    FROM jsonb_each(COALESCE(conditions, '{}'::jsonb));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Telemetry writers may only change current readings and status; room
+-- details need manage:rooms and limits need manage:thresholds. Requests
+-- without a JWT (SQL editor) and the service role are not restricted.
+CREATE OR REPLACE FUNCTION guard_room_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.jwt() IS NULL
+        OR auth.jwt() ->> 'role' = 'service_role'
+        OR has_permission('manage:rooms') THEN
+        RETURN NEW;
+    END IF;
+
+    IF (NEW.id, NEW.name, NEW.short_name, NEW.tier, NEW.description,
+        NEW.medicines, NEW.medicine_details, NEW.stability_rationale,
+        NEW.action_protocols, NEW.equipment, NEW.compliance_requirements)
+        IS DISTINCT FROM
+       (OLD.id, OLD.name, OLD.short_name, OLD.tier, OLD.description,
+        OLD.medicines, OLD.medicine_details, OLD.stability_rationale,
+        OLD.action_protocols, OLD.equipment, OLD.compliance_requirements) THEN
+        RAISE EXCEPTION 'Permission denied: manage:rooms is required'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    IF room_limits(NEW.conditions) IS DISTINCT FROM room_limits(OLD.conditions)
+        AND NOT has_permission('manage:thresholds') THEN
+        RAISE EXCEPTION 'Permission denied: manage:thresholds is required'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rooms_guard_update ON rooms;
+CREATE TRIGGER rooms_guard_update
+    BEFORE UPDATE ON rooms
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_room_update();
+
+-- Audit entries can never be changed or removed, not even by the service role
+CREATE OR REPLACE FUNCTION prevent_audit_trail_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only (% refused)', TG_TABLE_NAME, TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_trail_append_only ON audit_trail;
+CREATE TRIGGER audit_trail_append_only
+    BEFORE UPDATE OR DELETE ON audit_trail
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_trail_changes();
+
+DROP TRIGGER IF EXISTS audit_trail_no_truncate ON audit_trail;
+CREATE TRIGGER audit_trail_no_truncate
+    BEFORE TRUNCATE ON audit_trail
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_trail_changes();
+
+DROP TRIGGER IF EXISTS security_audit_log_append_only ON security_audit_log;
+CREATE TRIGGER security_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON security_audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_trail_changes();
+
+DROP TRIGGER IF EXISTS security_audit_log_no_truncate ON security_audit_log;
+CREATE TRIGGER security_audit_log_no_truncate
+    BEFORE TRUNCATE ON security_audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_trail_changes();
+
+-- Append entries to an installation's security audit chain. The first
+-- upload registers the chain to its key; later uploads must present the
+-- same key. Entries already uploaded are skipped, so a retried batch is
+-- harmless, and the rest must continue the chain's sequence without gaps.
+CREATE OR REPLACE FUNCTION append_security_audit_entries(
+    p_chain_id TEXT,
+    p_chain_key TEXT,
+    p_entries JSONB
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_key_hash TEXT := encode(sha256(convert_to(p_chain_key, 'UTF8')), 'hex');
+    v_registered_hash TEXT;
+    v_tip BIGINT;
+    v_entry JSONB;
+    v_appended INTEGER := 0;
+BEGIN
+    IF app_role() IS NULL THEN
+        RAISE EXCEPTION 'Audit entries need a signed-in user'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    IF p_chain_key IS NULL OR length(p_chain_key) < 32 THEN
+        RAISE EXCEPTION 'A chain key is required'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    INSERT INTO security_audit_chains (chain_id, key_hash)
+    VALUES (p_chain_id, v_key_hash)
+    ON CONFLICT (chain_id) DO NOTHING;
+
+    SELECT key_hash INTO v_registered_hash
+    FROM security_audit_chains
+    WHERE chain_id = p_chain_id
+    FOR UPDATE;
+    IF v_registered_hash <> v_key_hash THEN
+        RAISE EXCEPTION 'Audit chain % belongs to another installation', p_chain_id
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    SELECT COALESCE(MAX(sequence), 0) INTO v_tip
+    FROM security_audit_log
+    WHERE chain_id = p_chain_id;
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM security_audit_log
+            WHERE chain_id = p_chain_id AND id = v_entry->>'id'
+        );
+        IF (v_entry->>'sequence')::BIGINT <> v_tip + 1 THEN
+            RAISE EXCEPTION 'Audit chain % continues at sequence %, not %',
+                p_chain_id, v_tip + 1, v_entry->>'sequence'
+                USING ERRCODE = 'check_violation';
+        END IF;
+
+        INSERT INTO security_audit_log (
+            id,
+            chain_id,
+            sequence,
+            logged_at,
+            action,
+            user_id,
+            user_name,
+            target,
+            details,
+            previous_hash,
+            hash,
+            uploaded_by
+        ) VALUES (
+            v_entry->>'id',
+            p_chain_id,
+            v_tip + 1,
+            v_entry->>'logged_at',
+            v_entry->>'action',
+            v_entry->>'user_id',
+            v_entry->>'user_name',
+            v_entry->>'target',
+            v_entry->'details',
+            v_entry->>'previous_hash',
+            v_entry->>'hash',
+            auth.uid()
+        );
+        v_tip := v_tip + 1;
+        v_appended := v_appended + 1;
+    END LOOP;
+
+    RETURN v_appended;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Append an audit entry in the signed-in user's own name. Callers need no
+-- read access to audit_trail, so every role can log its own actions.
+CREATE OR REPLACE FUNCTION log_audit_entry(
+    p_action TEXT,
+    p_entity_type TEXT,
+    p_entity_id TEXT,
+    p_user_name TEXT,
+    p_details JSONB,
+    p_previous_value JSONB,
+    p_new_value JSONB,
+    p_ip_address TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+    entry_id UUID;
+BEGIN
+    IF app_role() IS NULL THEN
+        RAISE EXCEPTION 'Audit entries need a signed-in user'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    INSERT INTO audit_trail (
+        action,
+        entity_type,
+        entity_id,
+        user_id,
+        user_name,
+        details,
+        previous_value,
+        new_value,
+        ip_address
+    ) VALUES (
+        p_action,
+        p_entity_type,
+        p_entity_id,
+        auth.uid()::text,
+        p_user_name,
+        p_details,
+        p_previous_value,
+        p_new_value,
+        p_ip_address
+    )
+    RETURNING id INTO entry_id;
+
+    RETURN entry_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
 -- Function to auto-create audit entry on room update
 CREATE OR REPLACE FUNCTION audit_room_changes()
 RETURNS TRIGGER AS $$
@@ -241,9 +726,11 @@ $$ LANGUAGE plpgsql;
 -- =====================================================
 -- VIEWS FOR ANALYTICS
 -- =====================================================
+-- security_invoker makes the caller's RLS policies apply to each view
 
 -- View for room status summary
-CREATE OR REPLACE VIEW room_status_summary AS
+CREATE OR REPLACE VIEW room_status_summary
+WITH (security_invoker = true) AS
 SELECT 
     status,
     COUNT(*) as room_count,
@@ -252,7 +739,8 @@ FROM rooms
 GROUP BY status;
 
 -- View for recent alerts
-CREATE OR REPLACE VIEW recent_alerts AS
+CREATE OR REPLACE VIEW recent_alerts
+WITH (security_invoker = true) AS
 SELECT 
     a.*,
     r.name as room_name,
@@ -263,7 +751,8 @@ WHERE a.created_at > NOW() - INTERVAL '24 hours'
 ORDER BY a.created_at DESC;
 
 -- View for sensor readings aggregation (last 24 hours)
-CREATE OR REPLACE VIEW sensor_stats_24h AS
+CREATE OR REPLACE VIEW sensor_stats_24h
+WITH (security_invoker = true) AS
 SELECT 
     room_id,
     AVG(temperature) as avg_temperature,
@@ -363,24 +852,39 @@ VALUES (
 GRANT USAGE ON SCHEMA public TO anon;
 GRANT USAGE ON SCHEMA public TO authenticated;
 
+-- The anon key gets no table access; everything goes through RLS as a
+-- signed-in user
+REVOKE ALL ON rooms, sensor_readings, alerts, audit_trail,
+    security_audit_log, security_audit_chains, medicines, medicine_lots,
+    app_roles, role_permissions
+    FROM anon;
+REVOKE ALL ON room_status_summary, recent_alerts, sensor_stats_24h FROM anon;
+
 -- Grant permissions on tables
-GRANT ALL ON rooms TO anon;
-GRANT ALL ON sensor_readings TO anon;
-GRANT ALL ON alerts TO anon;
-GRANT ALL ON audit_trail TO anon;
-GRANT ALL ON medicines TO anon;
-
-GRANT ALL ON rooms TO authenticated;
-GRANT ALL ON sensor_readings TO authenticated;
-GRANT ALL ON alerts TO authenticated;
-GRANT ALL ON audit_trail TO authenticated;
-GRANT ALL ON medicines TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON rooms TO authenticated;
+GRANT SELECT, INSERT ON sensor_readings TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON alerts TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON medicines TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON medicine_lots TO authenticated;
+GRANT SELECT ON app_roles TO authenticated;
+GRANT SELECT ON role_permissions TO authenticated;
+
+-- audit_trail and security_audit_log are append-only
+REVOKE UPDATE, DELETE, TRUNCATE ON audit_trail FROM authenticated;
+GRANT SELECT, INSERT ON audit_trail TO authenticated;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON security_audit_log FROM authenticated;
+GRANT SELECT ON security_audit_log TO authenticated;
+REVOKE ALL ON security_audit_chains FROM authenticated;
+REVOKE ALL ON FUNCTION append_security_audit_entries(TEXT, TEXT, JSONB)
+    FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION append_security_audit_entries(TEXT, TEXT, JSONB)
+    TO authenticated;
+REVOKE ALL ON FUNCTION log_audit_entry(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT)
+    FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION log_audit_entry(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT)
+    TO authenticated;
 
 -- Grant permissions on views
-GRANT SELECT ON room_status_summary TO anon;
-GRANT SELECT ON recent_alerts TO anon;
-GRANT SELECT ON sensor_stats_24h TO anon;
-
 GRANT SELECT ON room_status_summary TO authenticated;
 GRANT SELECT ON recent_alerts TO authenticated;
 GRANT SELECT ON sensor_stats_24h TO authenticated;